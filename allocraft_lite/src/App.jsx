@@ -1,13 +1,17 @@
 import './App.css'
 import Pages from "@/pages/index.jsx"
 import { Toaster } from "@/components/ui/toaster"
+import { AccountProvider } from "@/features/accounts/AccountProvider"
+import { ConfidenceWeightsProvider } from "@/features/confidence/ConfidenceWeightsProvider"
 
 function App() {
   return (
-    <>
-      <Pages />
-      <Toaster />
-    </>
+    <AccountProvider>
+      <ConfidenceWeightsProvider>
+        <Pages />
+        <Toaster />
+      </ConfidenceWeightsProvider>
+    </AccountProvider>
   )
 }
 
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+    ALL_ACCOUNTS,
+    accountBalances,
+    accountTickerKey,
+    cyclesForAccount,
+    eventsByAccountTicker,
+    eventsForCycles,
+    positionsForAccount,
+    resolveCycleAccount,
+} from '../services/accountScope';
+
+const positions = [
+    { id: 1, account_id: 1, symbol: 'XYZ', asset_type: 'EQUITY', long_quantity: 100, short_quantity: 0 },
+    { id: 2, account_id: 2, symbol: 'XYZ   250620P00045000', underlying_symbol: 'XYZ', asset_type: 'OPTION', option_type: 'Put', strike_price: 45, long_quantity: 0, short_quantity: 2 },
+    { id: 3, account_id: 1, symbol: 'XYZ   250620C00055000', underlying_symbol: 'XYZ', asset_type: 'OPTION', option_type: 'Call', strike_price: 55, long_quantity: 0, short_quantity: 1 },
+    { id: 4, account_id: 2, symbol: 'ABC', asset_type: 'EQUITY', long_quantity: 50, short_quantity: 0 },
+];
+
+describe('positionsForAccount', () => {
+    it('keeps every position for the household and filters by account id otherwise', () => {
+        expect(positionsForAccount(positions, ALL_ACCOUNTS)).toBe(positions);
+        expect(positionsForAccount(positions, '2').map((p) => p.id)).toEqual([2, 4]);
+    });
+
+    it('keeps records with no account in every scope', () => {
+        const manual = [...positions, { id: 5, symbol: 'QQQ', shares: 10 }, { id: 6, account_id: null, symbol: 'SPY', shares: 5 }];
+
+        expect(positionsForAccount(manual, '1').map((p) => p.id)).toEqual([1, 3, 5, 6]);
+        expect(positionsForAccount(manual, '2').map((p) => p.id)).toEqual([2, 4, 5, 6]);
+        expect(accountBalances([{ id: 1 }, { id: 2 }], manual).accounts.map((r) => r.positionCount)).toEqual([2, 2]);
+    });
+});
+
+describe('resolveCycleAccount', () => {
+    it('prefers the recorded account, then a short option at the strike, then any short option, then shares', () => {
+        expect(resolveCycleAccount({ ticker: 'XYZ', account_id: 7 }, positions)).toBe('7');
+        expect(resolveCycleAccount({ ticker: 'XYZ', detection_metadata: { account_id: 3 } }, positions)).toBe('3');
+        expect(resolveCycleAccount({ ticker: 'XYZ', detection_metadata: { strike_price: 45 } }, positions)).toBe('2');
+        expect(resolveCycleAccount({ ticker: 'xyz', detection_metadata: { strike_price: 55 } }, positions)).toBe('1');
+        expect(resolveCycleAccount({ ticker: 'ABC' }, positions)).toBe('2');
+        expect(resolveCycleAccount({ ticker: 'QQQ' }, positions)).toBeNull();
+    });
+});
+
+describe('cyclesForAccount', () => {
+    it('shows wheels with no known account only for the household', () => {
+        const cycles = [
+            { id: 1, ticker: 'ABC' },
+            { id: 2, ticker: 'XYZ', account_id: 1 },
+            { id: 3, ticker: 'QQQ' },
+        ];
+        const events = [
+            { id: 10, cycle_id: 1 },
+            { id: 11, cycle_id: 2 },
+            { id: 12, cycle_id: 3 },
+        ];
+
+        expect(cyclesForAccount(cycles, ALL_ACCOUNTS, positions)).toHaveLength(3);
+        const scoped = cyclesForAccount(cycles, '2', positions);
+        expect(scoped.map((c) => c.id)).toEqual([1]);
+        expect(eventsForCycles(events, scoped).map((e) => e.id)).toEqual([10]);
+    });
+});
+
+describe('eventsByAccountTicker', () => {
+    it('keeps the wheels of a ticker held in two accounts apart', () => {
+        const cycles = [
+            { id: 1, ticker: 'XYZ', account_id: 1 },
+            { id: 2, ticker: 'xyz', detection_metadata: { strike_price: 45 } },
+            { id: 3, ticker: 'QQQ' },
+        ];
+        const events = [
+            { id: 10, cycle_id: 1 },
+            { id: 11, cycle_id: 2 },
+            { id: 12, cycle_id: 3 },
+            { id: 13, cycle_id: 1 },
+        ];
+        const grouped = eventsByAccountTicker(cycles, events, positions);
+
+        expect(Object.keys(grouped)).toEqual(['1:XYZ', '2:XYZ', ':QQQ']);
+        expect(grouped[accountTickerKey(1, 'xyz')].map((e) => e.id)).toEqual([10, 13]);
+        expect(grouped[accountTickerKey('2', 'XYZ')].map((e) => e.id)).toEqual([11]);
+        expect(grouped[accountTickerKey(undefined, 'QQQ')].map((e) => e.id)).toEqual([12]);
+    });
+});
+
+describe('accountBalances', () => {
+    it('uses broker buying power when reported, else cash less put collateral, and totals the household', () => {
+        const accounts = [
+            { id: 1, brokerage: 'Schwab', account_number: '11111234', total_value: 20000, cash_balance: 5000, buying_power: 9000, position_count: 2 },
+            { id: 2, brokerage: 'Schwab', account_number: '22225678', total_value: 15000, cash_balance: 10000, position_count: 2 },
+        ];
+        const { accounts: rows, household } = accountBalances(accounts, positions);
+
+        expect(rows.map((r) => [r.label, r.putCollateral, r.buyingPower])).toEqual([
+            ['Schwab …1234', 0, 9000],
+            ['Schwab …5678', 9000, 1000],
+        ]);
+        expect(household).toMatchObject({ totalValue: 35000, cash: 15000, putCollateral: 9000, buyingPower: 10000, positionCount: 4 });
+    });
+
+    it('reads imported options from their unpadded OCC symbol and any spelling of the type', () => {
+        const imported = [
+            { id: 5, account_id: 3, symbol: 'QQQ250620P00400000', option_type: 'PUT', short_quantity: 1 },
+            { id: 6, account_id: 3, symbol: 'QQQ250620C00450000', short_quantity: 1 },
+        ];
+        const { accounts: [row] } = accountBalances([{ id: 3, cash_balance: 50000 }], imported);
+
+        expect(row).toMatchObject({ putCollateral: 40000, buyingPower: 10000 });
+        expect(resolveCycleAccount({ ticker: 'QQQ', detection_metadata: { strike_price: 450 } }, imported)).toBe('3');
+    });
+});
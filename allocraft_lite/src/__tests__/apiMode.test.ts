@@ -0,0 +1,30 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setMockBackendEnabled } from '../services/mockBackend/mode';
+import { loadChangeQueue, loadPositionSnapshot, saveChangeQueue, savePositionSnapshot, snapshotPositions } from '../services/positionChanges';
+import { loadImportFingerprints, recordImportFingerprints } from '../services/importers/diff';
+
+const positions = [{ symbol: 'AAPL', asset_type: 'EQUITY', account_id: 'A1', long_quantity: 100, short_quantity: 0 }];
+
+describe('API mode switch', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        setMockBackendEnabled(false);
+    });
+
+    it('keeps the position snapshot, change queue and import fingerprints of each mode apart', () => {
+        savePositionSnapshot(snapshotPositions(positions, '2025-06-02T00:00:00Z'));
+        saveChangeQueue({ changes: [{ key: 'real' } as any], handled: [] });
+        recordImportFingerprints({ accounts: [{ account_number: '1234', positions }] });
+
+        setMockBackendEnabled(true);
+        expect(loadPositionSnapshot()).toBeNull();
+        expect(loadChangeQueue()).toEqual({ changes: [], handled: [] });
+        expect(loadImportFingerprints()).toEqual({});
+
+        savePositionSnapshot(snapshotPositions([], '2025-06-03T00:00:00Z'));
+        setMockBackendEnabled(false);
+        expect(loadPositionSnapshot()?.takenAt).toBe('2025-06-02T00:00:00Z');
+        expect(loadChangeQueue().changes).toEqual([{ key: 'real' }]);
+        expect(Object.keys(loadImportFingerprints())).toEqual(['1234']);
+    });
+});
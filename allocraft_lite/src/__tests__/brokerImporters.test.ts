@@ -0,0 +1,126 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { describe, it, expect } from 'vitest';
+import { detectImporter, getImporters, importBrokerFiles } from '../services/importers';
+import { parseCsv, parseDate, parseNumber } from '../services/importers/csv';
+import { parseOccSymbol } from '../utils/occSymbol';
+
+const fixture = (name: string) => ({ name, text: readFileSync(resolve(__dirname, 'fixtures/brokerCsv', name), 'utf-8') });
+
+describe('broker CSV helpers', () => {
+    it('tokenizes quoted fields, escaped quotes and embedded newlines', () => {
+        expect(parseCsv('a,"b, c","say ""hi"""\r\n"multi\nline",2,\n')).toEqual([
+            ['a', 'b, c', 'say "hi"'],
+            ['multi\nline', '2', ''],
+        ]);
+    });
+
+    it('reads broker number, date and option symbol formats', () => {
+        expect(parseNumber('($16,000.00)')).toBe(-16000);
+        expect(parseNumber('+$1.25')).toBe(1.25);
+        expect(parseNumber('--')).toBeNull();
+        expect(parseDate('7/18/25')).toBe('2025-07-18');
+        expect(parseDate('20250718')).toBe('2025-07-18');
+        expect(parseDate('2025-06-20T14:31:05+0000')).toBe('2025-06-20');
+        expect(parseOccSymbol(' -AAPL250718C220')).toMatchObject({ underlying: 'AAPL', expiration: '2025-07-18', optionType: 'CALL', strike: 220 });
+        expect(parseOccSymbol('SPY   250718P00520000')).toMatchObject({ underlying: 'SPY', strike: 520 });
+    });
+
+    it('registers an importer per broker and detects each fixture', () => {
+        expect(getImporters().map((i) => i.id)).toEqual(['fidelity', 'ibkr', 'tastytrade', 'robinhood']);
+        expect(detectImporter(fixture('fidelity-positions.csv').text)).toMatchObject({ importer: { id: 'fidelity' }, kind: 'positions' });
+        expect(detectImporter(fixture('fidelity-history.csv').text)).toMatchObject({ importer: { id: 'fidelity' }, kind: 'transactions' });
+        expect(detectImporter(fixture('ibkr-flex.csv').text)?.importer.id).toBe('ibkr');
+        expect(detectImporter(fixture('tastytrade-positions.csv').text)).toMatchObject({ importer: { id: 'tastytrade' }, kind: 'positions' });
+        expect(detectImporter(fixture('tastytrade-transactions.csv').text)).toMatchObject({ importer: { id: 'tastytrade' }, kind: 'transactions' });
+        expect(detectImporter(fixture('robinhood-activity.csv').text)?.importer.id).toBe('robinhood');
+        expect(detectImporter('foo,bar\n1,2')).toBeNull();
+    });
+});
+
+describe('Fidelity importer', () => {
+    const { unified, files } = importBrokerFiles([fixture('fidelity-positions.csv'), fixture('fidelity-history.csv')]);
+    const account = unified.accounts[0];
+
+    it('maps positions into the unified Schwab-shaped account', () => {
+        expect(unified.export_info).toMatchObject({ source: 'fidelity', total_accounts: 1, total_positions: 4, total_transactions: 6 });
+        expect(account).toMatchObject({ account_number: 'Z12345678', brokerage: 'fidelity', cash_balance: 25000 });
+
+        const call = account.positions.find((p) => p.option_type === 'CALL')!;
+        expect(call).toMatchObject({
+            symbol: 'AAPL  250718C00220000',
+            asset_type: 'OPTION',
+            underlying_symbol: 'AAPL',
+            strike_price: 220,
+            expiration_date: '2025-07-18',
+            long_quantity: 0,
+            short_quantity: 2,
+            contracts: 2,
+            current_price: 1.8,
+            average_price: 2.5,
+            short_open_profit_loss: 140,
+            data_source: 'fidelity_import',
+        });
+        expect(account.positions.find((p) => p.symbol === 'AAPL')).toMatchObject({ asset_type: 'EQUITY', long_quantity: 200, shares: 200, market_value: 42100 });
+    });
+
+    it('classifies history actions', () => {
+        expect(files[1].transactions.map((t) => t.action)).toEqual([
+            'SELL_TO_OPEN', 'BUY_TO_CLOSE', 'ASSIGNMENT', 'BUY', 'EXPIRATION', 'DIVIDEND',
+        ]);
+        expect(files[1].transactions[0]).toMatchObject({ date: '2025-06-20', quantity: 2, price: 2.5, amount: 498.66, fees: 1.34 });
+    });
+});
+
+describe('Interactive Brokers importer', () => {
+    const { unified, files } = importBrokerFiles([fixture('ibkr-flex.csv')], 'ibkr');
+
+    it('reads every Flex section', () => {
+        expect(files[0].positions).toHaveLength(2);
+        expect(files[0].skipped).toBe(1);
+        expect(files[0].positions[1]).toMatchObject({ symbol: 'NVDA  250718C00160000', option_type: 'CALL', short_quantity: 3, average_price: 3.4 });
+        expect(files[0].transactions.map((t) => t.action)).toEqual(['SELL_TO_OPEN', 'ASSIGNMENT', 'BUY', 'EXPIRATION', 'DIVIDEND']);
+        expect(files[0].transactions[0]).toMatchObject({ transaction_id: '3001', date: '2025-06-16', fees: 1.95, amount: 1018.05 });
+        expect(unified.accounts.map((a) => a.account_number)).toEqual(['U7654321']);
+    });
+});
+
+describe('Tastytrade importer', () => {
+    const { unified, files } = importBrokerFiles(
+        [fixture('tastytrade-positions.csv'), fixture('tastytrade-transactions.csv')],
+        undefined,
+        { accountNumber: '5WT00001' }
+    );
+
+    it('maps positions and per-share trade prices', () => {
+        expect(unified.accounts).toHaveLength(1);
+        expect(files[0].positions[1]).toMatchObject({ symbol: 'SPY   250718P00520000', option_type: 'PUT', strike_price: 520, short_quantity: 2, average_price: 6.15 });
+        expect(files[0].positions[2]).toMatchObject({ option_type: 'CALL', long_quantity: 1, long_open_profit_loss: -45 });
+        expect(files[1].transactions.map((t) => t.action)).toEqual(['SELL_TO_OPEN', 'EXPIRATION', 'BUY', 'DIVIDEND']);
+        expect(files[1].transactions[0]).toMatchObject({ price: 6.15, amount: 1230, fees: 2.28, account_number: '5WT00001' });
+    });
+});
+
+describe('Robinhood importer', () => {
+    const { unified } = importBrokerFiles([fixture('robinhood-activity.csv')], 'robinhood', { accountNumber: 'RH-1' });
+    const account = unified.accounts[0];
+
+    it('parses activity and derives open positions from it', () => {
+        expect(account.account_number).toBe('RH-1');
+        expect(account.transactions.map((t) => t.action)).toEqual(['SELL_TO_OPEN', 'EXPIRATION', 'SELL_TO_OPEN', 'BUY', 'OTHER']);
+        expect(account.transactions[3]).toMatchObject({ symbol: 'AMD', quantity: 100, amount: -16000 });
+
+        // The expired call nets out; the short put and shares remain
+        expect(account.positions).toHaveLength(2);
+        expect(account.positions.find((p) => p.asset_type === 'OPTION')).toMatchObject({
+            symbol: 'AMD   250718P00150000',
+            short_quantity: 1,
+            average_price: 3.2,
+        });
+        expect(account.positions.find((p) => p.asset_type === 'EQUITY')).toMatchObject({ symbol: 'AMD', long_quantity: 100, average_price: 160 });
+    });
+
+    it('rejects files from another broker when an importer is chosen', () => {
+        expect(() => importBrokerFiles([fixture('ibkr-flex.csv')], 'robinhood')).toThrow(/not a Robinhood/);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { buildCollateralLedger, checkCspCollateral, collateralFor, ledgerForAccount } from '../services/collateralLedger';
+
+const accounts = [
+    { id: 1, brokerage: 'Schwab', account_number: '11111234', total_value: 30000, cash_balance: 10000, position_count: 1 },
+    { id: 2, brokerage: 'Schwab', account_number: '22225678', total_value: 20000, cash_balance: 5000, buying_power: 4000, position_count: 1 },
+];
+
+const positions = [
+    { id: 1, account_id: 1, symbol: 'XYZ   250620P00040000', asset_type: 'OPTION', long_quantity: 0, short_quantity: 1 },
+    { id: 2, account_id: 2, symbol: 'ABC   250718P00020000', asset_type: 'OPTION', long_quantity: 0, short_quantity: 2 },
+    { id: 3, account_id: 1, symbol: 'XYZ   250620C00050000', asset_type: 'OPTION', long_quantity: 0, short_quantity: 1 },
+];
+
+const cycles = [
+    { id: 10, ticker: 'XYZ', account_id: 1 },
+    { id: 11, ticker: 'QQQ', account_id: 1 },
+];
+
+const events = [
+    // Same contract as the broker position: already reserved
+    { id: 100, cycle_id: 10, event_type: 'SELL_PUT_OPEN', trade_date: '2025-05-01', contracts: 1, strike: 40, premium: 1, expiration_date: '2025-06-20' },
+    // Recorded by hand only
+    { id: 110, cycle_id: 11, event_type: 'SELL_PUT_OPEN', trade_date: '2025-05-01', contracts: 1, strike: 30, premium: 1, expiration_date: '2025-05-16' },
+    { id: 111, cycle_id: 11, event_type: 'SELL_PUT_OPEN', trade_date: '2025-04-01', contracts: 1, strike: 25, premium: 1, expiration_date: '2025-04-17' },
+    { id: 112, cycle_id: 11, event_type: 'EXPIRED', trade_date: '2025-04-17', contracts: 1, link_event_id: 111 },
+];
+
+describe('buildCollateralLedger', () => {
+    const ledger = buildCollateralLedger({ accounts, positions, cycles, events });
+
+    it('reserves short puts from positions and open wheel legs no position covers', () => {
+        expect(collateralFor(40, 2)).toBe(8000);
+        expect(ledger.household.reservations.map((r) => [r.id, r.accountId, r.amount])).toEqual([
+            ['pos-1', '1', 4000],
+            ['pos-2', '2', 4000],
+            ['evt-110', '1', 3000],
+        ]);
+    });
+
+    it('shows committed and available cash per account and for the household', () => {
+        expect(ledger.accounts.map((a) => [a.label, a.cash, a.committed, a.available, a.buyingPower])).toEqual([
+            ['Schwab …1234', 10000, 7000, 3000, 3000],
+            ['Schwab …5678', 5000, 4000, 1000, 4000],
+        ]);
+        expect(ledger.household).toMatchObject({ cash: 15000, committed: 11000, available: 4000, buyingPower: 7000 });
+    });
+
+    it('projects cash released at each expiration', () => {
+        expect(ledgerForAccount(ledger, '1').releases).toEqual([
+            { expiration: '2025-05-16', amount: 3000, reservations: 1, availableAfter: 6000 },
+            { expiration: '2025-06-20', amount: 4000, reservations: 1, availableAfter: 10000 },
+        ]);
+    });
+});
+
+describe('checkCspCollateral', () => {
+    const ledger = buildCollateralLedger({ accounts, positions, cycles, events });
+
+    it('blocks a put that over-commits an account but only warns for the household', () => {
+        expect(checkCspCollateral(ledger, { accountId: '1', strike: 25 })).toMatchObject({ status: 'ok', required: 2500, shortfall: 0 });
+        expect(checkCspCollateral(ledger, { accountId: '1', strike: 35 })).toMatchObject({
+            status: 'blocked',
+            shortfall: 500,
+            message: 'Needs $3,500.00 of collateral but only $3,000.00 is available in Schwab …1234',
+        });
+        expect(checkCspCollateral(ledger, { accountId: 'all', strike: 45 }).status).toBe('warning');
+    });
+
+    it('warns when there are no balances to check against', () => {
+        const empty = buildCollateralLedger({ positions });
+        expect(checkCspCollateral(empty, { strike: 10 })).toMatchObject({ status: 'warning', required: 1000 });
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { confidenceInputOf, rescoreResult, scoreConfidence, weighConfidence } from '../services/confidenceScore';
+
+// 150 shares with a covered call 20 days out and no market data
+const input = {
+    strategy: 'covered_call',
+    stockShares: 150,
+    daysToExpiration: [20],
+    cashRequired: 0,
+    cashBalance: 0,
+};
+
+describe('confidence scoring', () => {
+    it('breaks the score into named factors', () => {
+        const result = scoreConfidence(input);
+
+        expect(result.score).toBe(65); // 50 + 20 strategy - 5 odd lot
+        expect(result.confidence).toBe('medium');
+        expect(result.factors.map((f) => [f.id, f.contribution])).toEqual([
+            ['strategy', 20],
+            ['round_lots', -5],
+            ['cash_coverage', 0],
+            ['expiration_window', 0],
+            ['market_context', 0],
+        ]);
+        expect(result.factors[1].detail).toBe('50 of 150 shares cannot be covered by a contract');
+    });
+
+    it('scores cash coverage against the collateral required', () => {
+        const short = scoreConfidence({ ...input, strategy: 'cash_secured_put', stockShares: 0, cashRequired: 5000, cashBalance: 1000 });
+        const covered = scoreConfidence({ ...input, strategy: 'cash_secured_put', stockShares: 0, cashRequired: 5000, cashBalance: 6000 });
+
+        expect(short.factors.find((f) => f.id === 'cash_coverage')?.points).toBe(-10);
+        expect(covered.factors.find((f) => f.id === 'cash_coverage')?.points).toBe(15);
+    });
+
+    it('re-weights stored factors without re-running detection', () => {
+        const { factors } = scoreConfidence(input);
+        const reweighted = weighConfidence(factors, { strategy: 2, round_lots: 0 });
+
+        expect(reweighted.score).toBe(90);
+        expect(reweighted.confidence).toBe('high');
+        expect(reweighted.factors[0]).toMatchObject({ points: 20, weight: 2, contribution: 40 });
+    });
+
+    it('derives factors for backend results that carry none', () => {
+        const backend = {
+            strategy: 'covered_call',
+            confidence_score: 80,
+            positions: [
+                { type: 'stock', quantity: 200, market_value: 14000 },
+                { type: 'call', quantity: 2, days_to_expiration: 45 },
+            ],
+            market_context: { volatility: 0.4, market_trend: 'bullish' },
+        };
+
+        expect(confidenceInputOf(backend)).toMatchObject({ stockShares: 200, daysToExpiration: [45] });
+        expect(rescoreResult(backend, {}).score).toBe(95); // 50 + 20 + 5 + 10 + 10
+        expect(rescoreResult(backend, { market_context: 0 }).score).toBe(85);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { planCorporateAction, type CorporateAction } from '../services/corporateActions';
+import { replayWheelEvents } from '../utils/wheelPnLEngine';
+import { computeLotCoverageAndShares } from '../utils/lotHelpers';
+
+const cycle = { id: 1, ticker: 'TSLL', status: 'Open', started_at: '2025-05-01', detection_metadata: { strike_price: 12, contract_count: 2 } };
+
+const events = [
+    { id: 10, cycle_id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-05-01', contracts: 2, strike: 12, premium: 0.5 },
+    { id: 11, cycle_id: 1, event_type: 'PUT_ASSIGNMENT', trade_date: '2025-05-16', contracts: 2, strike: 12, link_event_id: 10 },
+    { id: 12, cycle_id: 1, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-19', contracts: 2, strike: 13, premium: 0.4 },
+    { id: 13, cycle_id: 1, event_type: 'BUY_SHARES', trade_date: '2025-05-20', quantity_shares: 50, price: 11 },
+];
+
+const lot = { id: 5, cycle_id: 1, ticker: 'TSLL', status: 'OPEN_COVERED', acquisition_method: 'CASH_SECURED_PUT', cost_basis_effective: 11.5 };
+
+/** Events with a plan's updates applied */
+function applyPlan(plan: ReturnType<typeof planCorporateAction>, list: any[]) {
+    const updates = new Map(plan.cycles.flatMap((c) => c.eventUpdates).map((u) => [u.id, u.changes]));
+    return list.map((e) => ({ ...e, ...updates.get(e.id) }));
+}
+
+const split = (ratio_to: number, ratio_from: number, type: CorporateAction['type'] = 'SPLIT'): CorporateAction => ({
+    type, ticker: 'tsll', ratio_from, ratio_to, effective_date: '2025-06-02',
+});
+
+describe('planCorporateAction', () => {
+    it('rescales contracts, strikes and shares on a 2-for-1 split without changing P&L', () => {
+        const plan = planCorporateAction(split(2, 1), [cycle], events, [lot], '2025-06-02T12:00:00Z');
+        const adjusted = applyPlan(plan, events);
+
+        expect(adjusted.find((e) => e.id === 12)).toMatchObject({ contracts: 4, strike: 6.5, premium: 0.2 });
+        expect(adjusted.find((e) => e.id === 13)).toMatchObject({ quantity_shares: 100, price: 5.5 });
+        expect(plan.cycles[0].cycleUpdate.detection_metadata).toMatchObject({ strike_price: 6, contract_count: 4 });
+        expect(plan.adjustments).toContainEqual({ entity: 'lot', entity_id: 5, cycle_id: 1, field: 'cost_basis_effective', before: 11.5, after: 5.75 });
+
+        const before = replayWheelEvents(events, { currentPrice: 12 });
+        const after = replayWheelEvents(adjusted, { currentPrice: 6 });
+        expect(after.sharesOpen).toBe(before.sharesOpen * 2);
+        expect(after.stockCostOpen).toBe(before.stockCostOpen);
+        expect(after.premium).toBe(before.premium);
+        expect(after.total).toBe(before.total);
+    });
+
+    it('gives options a non-standard deliverable on a 1-for-10 reverse split', () => {
+        const plan = planCorporateAction(split(1, 10, 'REVERSE_SPLIT'), [cycle], events.slice(0, 3));
+        const adjusted = applyPlan(plan, events.slice(0, 3));
+
+        expect(adjusted.find((e) => e.id === 12)).toMatchObject({ contracts: 2, strike: 13, premium: 0.4, deliverable_shares: 10 });
+        expect(plan.cycles[0].cycleUpdate.detection_metadata.strike_price).toBe(12);
+
+        const pnl = replayWheelEvents(adjusted);
+        expect(pnl.sharesOpen).toBe(20);
+        expect(pnl.averageCost).toBe(120);
+        expect(pnl.stockCostOpen).toBe(2400);
+
+        const { shares, costBasis } = computeLotCoverageAndShares(lot, adjusted);
+        expect(shares).toBe(20);
+        expect(costBasis.basePrice).toBe(120);
+    });
+
+    it('renames the cycle and its lots on a symbol change and records the audit trail', () => {
+        const plan = planCorporateAction(
+            { type: 'SYMBOL_CHANGE', ticker: 'TSLL', new_ticker: 'tslx', effective_date: '2025-06-02' },
+            [cycle, { ...cycle, id: 2, status: 'Closed', started_at: '2025-01-02' }],
+            [...events, { id: 20, cycle_id: 2, event_type: 'SELL_PUT_OPEN', trade_date: '2025-01-02', contracts: 1, strike: 10, premium: 0.3 }],
+            [lot],
+        );
+
+        expect(plan.cycles).toHaveLength(1);
+        expect(plan.cycles[0].eventUpdates).toEqual([]);
+        expect(plan.cycles[0].cycleUpdate.ticker).toBe('TSLX');
+        expect(plan.skipped).toEqual([{ cycle_id: 2, ticker: 'TSLL', reason: 'Closed before the effective date' }]);
+        expect(plan.cycles[0].audit.adjustments.map((a) => [a.entity, a.field, a.after])).toEqual([
+            ['cycle', 'ticker', 'TSLX'],
+            ['lot', 'ticker', 'TSLX'],
+        ]);
+    });
+
+    it('skips cycles that already recorded the action and rejects invalid ratios', () => {
+        const first = planCorporateAction(split(2, 1), [cycle], events);
+        const recorded = { ...cycle, detection_metadata: first.cycles[0].cycleUpdate.detection_metadata };
+        const again = planCorporateAction(split(2, 1), [recorded], applyPlan(first, events));
+
+        expect(again.cycles).toEqual([]);
+        expect(again.skipped[0].reason).toBe('Already applied');
+        expect(() => planCorporateAction(split(1, 2), [cycle], events)).toThrow('forward split');
+        expect(() => planCorporateAction(split(2, 1, 'REVERSE_SPLIT'), [cycle], events)).toThrow('reverse split');
+    });
+
+    it('finishes an interrupted run from the pending entry without rescaling events twice', () => {
+        const first = planCorporateAction(split(2, 1), [cycle], events);
+        const interrupted = { ...cycle, ...first.cycles[0].pendingUpdate };
+        // Only the first event update was saved before the run failed
+        const [saved] = first.cycles[0].eventUpdates;
+        const partial = events.map((e) => (e.id === saved.id ? { ...e, ...saved.changes } : e));
+
+        const retry = planCorporateAction(split(2, 1), [interrupted], partial);
+
+        expect(retry.cycles[0].pendingUpdate).toBeNull();
+        expect(retry.cycles[0].eventUpdates).toEqual(first.cycles[0].eventUpdates);
+        expect(applyPlan(retry, partial)).toEqual(applyPlan(first, events));
+        expect(retry.cycles[0].cycleUpdate.detection_metadata).toMatchObject({ strike_price: 6, contract_count: 4 });
+        expect(retry.cycles[0].cycleUpdate.detection_metadata.corporate_actions).toEqual([
+            expect.objectContaining({ key: first.key, status: 'applied' }),
+        ]);
+    });
+});
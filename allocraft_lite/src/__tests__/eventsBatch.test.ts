@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { handleMockRequest, resetMockBackend } from '../services/mockBackend';
+
+vi.mock('../api/fastapiClient', () => ({ apiFetch: handleMockRequest }));
+vi.mock('../api/enhancedClient', () => ({
+    queryClient: { invalidateQueries: vi.fn(), setQueryData: vi.fn() },
+}));
+
+import { WheelManagementService } from '../services/WheelManagementService';
+
+const eventsOf = async (cycleId: number) => (await handleMockRequest(`/wheels/wheel-events?cycle_id=${cycleId}`)).json();
+
+describe('createEventsBatch', () => {
+    let cycleId: number;
+
+    beforeEach(async () => {
+        await resetMockBackend();
+        const cycle = await (await handleMockRequest('/wheels/wheel-cycles', {
+            method: 'POST',
+            body: JSON.stringify({ ticker: 'KO' }),
+        })).json();
+        cycleId = cycle.id;
+    });
+
+    it('creates every event of the batch in order', async () => {
+        const created = await WheelManagementService.createEventsBatch([
+            { cycle_id: cycleId, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 60 },
+            { cycle_id: cycleId, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-02', contracts: 1, strike: 65, premium: 1 },
+        ]);
+
+        expect(created.map((e) => e.event_type)).toEqual(['BUY_SHARES', 'SELL_CALL_OPEN']);
+        expect(await eventsOf(cycleId)).toHaveLength(2);
+    });
+
+    it('deletes the events already created when a later one fails', async () => {
+        const batch = WheelManagementService.createEventsBatch([
+            { cycle_id: cycleId, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 60 },
+            { cycle_id: cycleId, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-02', contracts: 1, strike: 65, premium: 1 },
+            { cycle_id: cycleId, event_type: 'NOPE', trade_date: '2025-05-03' },
+        ]);
+
+        await expect(batch).rejects.toMatchObject({ context: { total: 3, created: 0 } });
+        expect(await eventsOf(cycleId)).toEqual([]);
+    });
+});
+
+describe('option leg close and roll', () => {
+    let cycleId: number;
+    let putId: number;
+
+    const put = { optionType: 'PUT' as const, strike: 58, expiration: '2025-06-20', contracts: 2 };
+
+    beforeEach(async () => {
+        await resetMockBackend();
+        const cycle = await (await handleMockRequest('/wheels/wheel-cycles', {
+            method: 'POST',
+            body: JSON.stringify({ ticker: 'KO' }),
+        })).json();
+        cycleId = cycle.id;
+        const [, openPut] = await WheelManagementService.createEventsBatch([
+            { cycle_id: cycleId, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 60 },
+            { cycle_id: cycleId, event_type: 'SELL_PUT_OPEN', trade_date: '2025-05-02', contracts: 2, strike: 58, premium: 1, expiration_date: '2025-06-20' },
+            { cycle_id: cycleId, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-02', contracts: 1, strike: 65, premium: 1 },
+        ]);
+        putId = openPut.id;
+    });
+
+    it('buys back only the selected leg, linked to its opening event', async () => {
+        await WheelManagementService.closeOptionLeg(cycleId, put, { trade_date: '2025-06-01', premium: 0.3 });
+
+        const events = await eventsOf(cycleId);
+        expect(events.map((e: any) => e.event_type)).toEqual(['BUY_SHARES', 'SELL_PUT_OPEN', 'SELL_CALL_OPEN', 'BUY_PUT_CLOSE']);
+        expect(events[3]).toMatchObject({ link_event_id: putId, contracts: 2, strike: 58, premium: 0.3 });
+        const cycles = await (await handleMockRequest('/wheels/wheel-cycles')).json();
+        expect(cycles.find((c: any) => c.id === cycleId).status).not.toMatch(/closed/i);
+    });
+
+    it('rolls the leg into the chosen strike and expiration for the same contracts', async () => {
+        await WheelManagementService.rollOptionLeg(cycleId, put, {
+            from_expiration: '2025-06-20',
+            to_expiration: '2025-07-18',
+            to_strike: 55,
+            roll_type: 'out_and_down',
+            analysis: { premium: 1.4, buybackCost: 0.6 } as any,
+        });
+
+        const [close, open] = (await eventsOf(cycleId)).slice(3);
+        expect(close).toMatchObject({ event_type: 'BUY_PUT_CLOSE', link_event_id: putId, premium: 0.6 });
+        expect(open).toMatchObject({ event_type: 'SELL_PUT_OPEN', contracts: 2, strike: 55, premium: 1.4, expiration_date: '2025-07-18' });
+    });
+
+    it('refuses to close a leg the wheel does not hold', async () => {
+        const close = WheelManagementService.closeOptionLeg(cycleId, { ...put, strike: 50 }, { trade_date: '2025-06-01', premium: 0.3 });
+
+        await expect(close).rejects.toThrow(/No open PUT at \$50/);
+        expect(await eventsOf(cycleId)).toHaveLength(3);
+    });
+});
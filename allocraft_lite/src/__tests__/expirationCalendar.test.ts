@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+    addMonths,
+    buildMonthGrid,
+    buildWeek,
+    groupByExpiration,
+    summarizeDay,
+    toCalendarPositions,
+} from '../services/expirationCalendar';
+
+const optionPositions = [
+    { id: 1, underlying_symbol: 'AAPL', option_type: 'Put', strike_price: 180, expiration_date: '2025-07-18', contracts: -2, average_price: 2.5 },
+    { id: 2, underlying_symbol: 'MSFT', option_type: 'Call', strike_price: 440, expiration_date: '2025-07-18T00:00:00', long_quantity: 0, short_quantity: 1, average_price: 3 },
+    { id: 3, underlying_symbol: 'NVDA', option_type: 'Call', strike_price: 150, expiration_date: '2025-07-25', contracts: 1, average_price: 4 },
+    { id: 4, underlying_symbol: 'AMD', option_type: 'Call', strike_price: 120, expiration_date: '2025-07-25', contracts: 0, average_price: 1 },
+];
+
+describe('expirationCalendar', () => {
+    const positions = toCalendarPositions(optionPositions, { MSFT: 400 });
+
+    it('categorizes positions with premium at risk and collateral', () => {
+        expect(positions).toHaveLength(3);
+        expect(positions[0]).toMatchObject({ ticker: 'AAPL', category: 'short_put', contracts: 2, premiumAtRisk: 500, collateral: 36000 });
+        expect(positions[1]).toMatchObject({ ticker: 'MSFT', category: 'short_call', contracts: 1, expiration: '2025-07-18', premiumAtRisk: 300, collateral: 40000 });
+        expect(positions[2]).toMatchObject({ ticker: 'NVDA', category: 'long_option', premiumAtRisk: 400, collateral: 0 });
+    });
+
+    it('groups by expiration and summarizes a day', () => {
+        const grouped = groupByExpiration(positions);
+        expect(Object.keys(grouped).sort()).toEqual(['2025-07-18', '2025-07-25']);
+        expect(summarizeDay(grouped['2025-07-18'])).toEqual({ count: 2, contracts: 3, premiumAtRisk: 800, collateral: 76000 });
+        expect(summarizeDay()).toEqual({ count: 0, contracts: 0, premiumAtRisk: 0, collateral: 0 });
+    });
+
+    it('builds Sunday-start weeks and whole-week month grids', () => {
+        expect(buildWeek('2025-07-16')).toEqual([
+            '2025-07-13', '2025-07-14', '2025-07-15', '2025-07-16', '2025-07-17', '2025-07-18', '2025-07-19',
+        ]);
+
+        const grid = buildMonthGrid('2025-07-16');
+        expect(grid).toHaveLength(5);
+        expect(grid[0][0]).toBe('2025-06-29');
+        expect(grid[4][6]).toBe('2025-08-02');
+
+        expect(addMonths('2025-01-31', 1)).toBe('2025-02-01');
+        expect(addMonths('2025-01-15', -1)).toBe('2024-12-01');
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildUnderlyingPrices,
+    decideExpirationOutcome,
+    findExpiredLegs,
+    resolveLegExpiry,
+    withOutcome,
+} from '../services/expirationProcessor';
+import { replayWheelEvents } from '../utils/wheelPnLEngine';
+
+const cycles = [
+    { id: 1, ticker: 'AAPL' },
+    { id: 2, ticker: 'MSFT' },
+];
+
+const events = [
+    { id: 10, cycle_id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-02', contracts: 1, strike: 190, premium: 2.5, expiration_date: '2025-06-20' },
+    { id: 20, cycle_id: 2, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 400 },
+    { id: 21, cycle_id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-06-02', contracts: 1, strike: 420, premium: 3.1, notes: 'Exp 2025-06-13 • DAY' },
+];
+
+describe('expirationProcessor', () => {
+    it('settles expired legs against the underlying price', () => {
+        expect(decideExpirationOutcome('PUT', 190, 185)).toBe('PUT_ASSIGNMENT');
+        expect(decideExpirationOutcome('PUT', 190, 195)).toBe('EXPIRED');
+        expect(decideExpirationOutcome('CALL', 420, 430)).toBe('CALLED_AWAY');
+        expect(decideExpirationOutcome('CALL', 420, 420)).toBe('EXPIRED');
+        expect(decideExpirationOutcome('CALL', 420, null)).toBe('EXPIRED');
+    });
+
+    it('resolves expiry from the event, notes, option positions or detection metadata', () => {
+        const leg = { optionType: 'CALL', strike: 420 } as any;
+        expect(resolveLegExpiry(leg, events[2], cycles[1])).toBe('2025-06-13');
+        expect(resolveLegExpiry(leg, { expiration_date: '2025-06-20T00:00:00Z' }, cycles[1])).toBe('2025-06-20');
+        expect(resolveLegExpiry(leg, {}, cycles[1], [
+            { underlying_symbol: 'MSFT', option_type: 'call', strike_price: 420, expiration_date: '2025-06-27' },
+        ])).toBe('2025-06-27');
+        expect(resolveLegExpiry(leg, {}, { ticker: 'MSFT', detection_metadata: { expiration_date: '2025-07-03', strike_price: 420 } })).toBe('2025-07-03');
+        expect(resolveLegExpiry(leg, {}, { ticker: 'MSFT', detection_metadata: { expiration_date: '2025-07-03', strike_price: 430 } })).toBeNull();
+    });
+
+    it('proposes events for legs that expired before the as-of date', () => {
+        const prices = buildUnderlyingPrices([{ symbol: 'AAPL', current_price: 185 }, { symbol: 'MSFT', current_price: 410 }]);
+        const proposals = findExpiredLegs({ cycles, events, prices, asOf: '2025-06-21' });
+
+        expect(proposals.map((p) => [p.ticker, p.expiry, p.outcome])).toEqual([
+            ['MSFT', '2025-06-13', 'EXPIRED'],
+            ['AAPL', '2025-06-20', 'PUT_ASSIGNMENT'],
+        ]);
+        expect(proposals[0].event).toMatchObject({ cycle_id: 2, event_type: 'EXPIRED', trade_date: '2025-06-13', premium: 0, link_event_id: 21 });
+        expect(proposals[1].event).toMatchObject({ cycle_id: 1, event_type: 'PUT_ASSIGNMENT', quantity_shares: 100, price: 190, link_event_id: 10 });
+
+        // Options expire at the close of their expiry day
+        expect(findExpiredLegs({ cycles, events, prices, asOf: '2025-06-20' }).map((p) => p.ticker)).toEqual(['MSFT']);
+    });
+
+    it('rebuilds the event when an outcome is overridden', () => {
+        const [proposal] = findExpiredLegs({ cycles, events, prices: { MSFT: 410 }, asOf: '2025-06-14' });
+        const calledAway = withOutcome(proposal, 'CALLED_AWAY');
+
+        expect(calledAway.outcome).toBe('CALLED_AWAY');
+        expect(calledAway.event).toMatchObject({ event_type: 'CALLED_AWAY', quantity_shares: 100, price: 420 });
+        expect(calledAway.event.premium).toBeUndefined();
+    });
+
+    it('treats a confirmed EXPIRED event as closing the leg', () => {
+        const [proposal] = findExpiredLegs({ cycles, events, prices: { MSFT: 410 }, asOf: '2025-06-14' });
+        const pnl = replayWheelEvents([...events.slice(1), { id: 22, ...proposal.event }]);
+
+        expect(pnl.openLegs).toHaveLength(0);
+        expect(pnl.legs.map((leg) => leg.outcome)).toEqual(['EXPIRED']);
+        expect(pnl.premium).toBe(310);
+        expect(findExpiredLegs({ cycles, events: [...events, { id: 22, ...proposal.event }], asOf: '2025-06-14' })).toEqual([]);
+    });
+});
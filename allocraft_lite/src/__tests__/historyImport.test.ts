@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { handleMockRequest, resetMockBackend } from '../services/mockBackend';
+
+vi.mock('../api/fastapiClient', () => ({ apiFetch: handleMockRequest }));
+vi.mock('../api/enhancedClient', () => ({
+    queryClient: { invalidateQueries: vi.fn(), setQueryData: vi.fn() },
+}));
+
+import { WheelManagementService } from '../services/WheelManagementService';
+import type { ReconstructedCycle } from '../services/historyReplay';
+import { WheelEventType } from '../types/api';
+
+const cycle = {
+    key: 'NVDA|1',
+    cycle_key: 'NVDA-cash_secured_put-20250502',
+    ticker: 'NVDA',
+    account_number: '1',
+    strategy_type: 'cash_secured_put',
+    started_at: '2025-05-02',
+    ended_at: '2025-05-20',
+    status: 'Closed',
+    events: [
+        { key: 'e1', event_type: WheelEventType.SELL_PUT_OPEN, trade_date: '2025-05-02', contracts: 1, strike: 100, premium: 2, fees: 0.65, expiration_date: '2025-05-30' },
+        { key: 'e2', event_type: WheelEventType.BUY_PUT_CLOSE, trade_date: '2025-05-20', contracts: 1, strike: 100, premium: 0.5, fees: 0.65, link_key: 'e1' },
+    ],
+    lots: [],
+} as unknown as ReconstructedCycle;
+
+const get = async (path: string) => (await handleMockRequest(path)).json();
+const cyclesFor = async (key: string) => (await get('/wheels/wheel-cycles')).filter((c: any) => c.cycle_key === key);
+
+describe('createCyclesFromHistory', () => {
+    beforeEach(async () => {
+        await resetMockBackend();
+    });
+
+    it('skips cycles that were already imported', async () => {
+        const first = await WheelManagementService.createCyclesFromHistory([cycle]);
+        const second = await WheelManagementService.createCyclesFromHistory([cycle]);
+
+        expect(first.created).toHaveLength(1);
+        expect(second).toMatchObject({ created: [], completed: [], skipped: [cycle.cycle_key] });
+
+        const [saved] = await cyclesFor(cycle.cycle_key);
+        expect(await cyclesFor(cycle.cycle_key)).toHaveLength(1);
+        expect(await get(`/wheels/wheel-events?cycle_id=${saved.id}`)).toHaveLength(2);
+    });
+
+    it('finishes a cycle an interrupted import left with only some of its events', async () => {
+        const partial = await (await handleMockRequest('/wheels/wheel-cycles', {
+            method: 'POST',
+            body: JSON.stringify({ cycle_key: cycle.cycle_key, ticker: 'NVDA', started_at: '2025-05-02', status: 'Open' }),
+        })).json();
+        const { key: _key, ...opening } = cycle.events[0];
+        const saved = await (await handleMockRequest('/wheels/wheel-events', {
+            method: 'POST',
+            body: JSON.stringify({ ...opening, cycle_id: partial.id }),
+        })).json();
+
+        const result = await WheelManagementService.createCyclesFromHistory([cycle]);
+
+        expect(result.created).toHaveLength(0);
+        expect(result.completed.map((c: any) => c.id)).toEqual([partial.id]);
+        const events = await get(`/wheels/wheel-events?cycle_id=${partial.id}`);
+        expect(events.map((e: any) => e.event_type)).toEqual(['SELL_PUT_OPEN', 'BUY_PUT_CLOSE']);
+        expect(events[1].link_event_id).toBe(saved.id);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { reconstructWheelCycles } from '../services/historyReplay';
+import { schwabTransactionsToRecords } from '../services/importers';
+import { makeTransaction } from '../services/importers/csv';
+import type { UnifiedTransactionRecord } from '../services/importers';
+import { CycleStatus, LotStatus, WheelEventType } from '../types/api';
+
+const option = (date: string, action: UnifiedTransactionRecord['action'], type: 'PUT' | 'CALL', strike: number, quantity: number, price: number | null = null, fees = 0) =>
+    makeTransaction('test', {
+        account_number: 'A1',
+        date,
+        action,
+        symbol: `AAPL  250718${type[0]}${String(strike * 1000).padStart(8, '0')}`,
+        asset_type: 'OPTION',
+        underlying_symbol: 'AAPL',
+        option_type: type,
+        strike_price: strike,
+        expiration_date: '2025-07-18',
+        quantity,
+        price,
+        fees,
+    });
+
+const stock = (date: string, action: UnifiedTransactionRecord['action'], quantity: number, price: number, fees = 0) =>
+    makeTransaction('test', { account_number: 'A1', date, action, symbol: 'AAPL', underlying_symbol: 'AAPL', quantity, price, fees });
+
+const types = (events: Array<{ event_type: WheelEventType }>) => events.map((e) => e.event_type);
+
+describe('reconstructWheelCycles', () => {
+    it('replays put, assignment, covered call and call-away into one closed wheel', () => {
+        const { cycles, unmatched } = reconstructWheelCycles([
+            option('2025-07-18', 'ASSIGNMENT', 'CALL', 215, 1),
+            option('2025-06-01', 'SELL_TO_OPEN', 'PUT', 200, 1, 3, 0.65),
+            option('2025-06-20', 'ASSIGNMENT', 'PUT', 200, 1),
+            option('2025-06-23', 'SELL_TO_OPEN', 'CALL', 215, 1, 2.5, 0.65),
+        ], { asOf: '2025-08-01' });
+
+        expect(unmatched).toEqual([]);
+        expect(cycles).toHaveLength(1);
+        const [cycle] = cycles;
+        expect(cycle).toMatchObject({
+            cycle_key: 'AAPL-full_wheel-20250601',
+            strategy_type: 'full_wheel',
+            status: CycleStatus.CLOSED,
+            started_at: '2025-06-01',
+            ended_at: '2025-07-18',
+        });
+        expect(types(cycle.events)).toEqual([
+            WheelEventType.SELL_PUT_OPEN,
+            WheelEventType.PUT_ASSIGNMENT,
+            WheelEventType.SELL_CALL_OPEN,
+            WheelEventType.CALLED_AWAY,
+        ]);
+        expect(cycle.events[1]).toMatchObject({ quantity_shares: 100, strike: 200, link_key: cycle.events[0].key });
+        expect(cycle.lots).toHaveLength(1);
+        expect(cycle.lots[0]).toMatchObject({ status: LotStatus.CLOSED_CALLED_AWAY, acquisition_date: '2025-06-20', shares: 100 });
+        // Premiums (300 + 250) plus the 15/share gain on the shares, less fees
+        expect(cycle.pnl.realized).toBeCloseTo(300 + 250 + 1500 - 1.3, 2);
+    });
+
+    it('splits an open event when only part of it is closed', () => {
+        const { cycles } = reconstructWheelCycles([
+            option('2025-06-01', 'SELL_TO_OPEN', 'PUT', 200, 3, 3, 1.5),
+            option('2025-06-10', 'BUY_TO_CLOSE', 'PUT', 200, 1, 1),
+        ], { asOf: '2025-06-15' });
+
+        const [cycle] = cycles;
+        expect(cycle.status).toBe(CycleStatus.OPEN);
+        expect(cycle.events.map((e) => [e.event_type, e.contracts, e.fees])).toEqual([
+            [WheelEventType.SELL_PUT_OPEN, 1, 0.5],
+            [WheelEventType.SELL_PUT_OPEN, 2, 1],
+            [WheelEventType.BUY_PUT_CLOSE, 1, 0],
+        ]);
+        expect(cycle.events[2].link_key).toBe(cycle.events[0].key);
+        expect(cycle.lots).toHaveLength(2);
+        expect(cycle.lots.every((lot) => lot.put_event_key === cycle.events[1].key)).toBe(true);
+    });
+
+    it('folds the stock delivery of an assignment into the assignment event', () => {
+        const { cycles, ignored } = reconstructWheelCycles([
+            option('2025-06-01', 'SELL_TO_OPEN', 'PUT', 200, 1, 3),
+            option('2025-06-20', 'ASSIGNMENT', 'PUT', 200, 1),
+            stock('2025-06-21', 'BUY', 100, 200, 0.02),
+        ], { asOf: '2025-06-30' });
+
+        const [cycle] = cycles;
+        expect(types(cycle.events)).toEqual([WheelEventType.SELL_PUT_OPEN, WheelEventType.PUT_ASSIGNMENT]);
+        expect(cycle.events[1].fees).toBe(0.02);
+        expect(cycle.lots[0].status).toBe(LotStatus.OPEN_UNCOVERED);
+        expect(ignored).toBe(0);
+    });
+
+    it('reports closes with no open position and starts a new cycle after an idle gap', () => {
+        const { cycles, unmatched } = reconstructWheelCycles([
+            option('2025-05-01', 'BUY_TO_CLOSE', 'PUT', 180, 1, 0.5),
+            option('2025-05-02', 'SELL_TO_OPEN', 'PUT', 190, 1, 2),
+            option('2025-05-16', 'EXPIRATION', 'PUT', 190, 1),
+            option('2025-07-01', 'SELL_TO_OPEN', 'PUT', 200, 1, 3),
+        ], { asOf: '2025-07-05' });
+
+        expect(unmatched).toHaveLength(1);
+        expect(unmatched[0].transaction.date).toBe('2025-05-01');
+        expect(cycles.map((c) => [c.cycle_key, c.status, c.ended_at])).toEqual([
+            ['AAPL-cash_secured_put-20250502', CycleStatus.CLOSED, '2025-05-16'],
+            ['AAPL-cash_secured_put-20250701', CycleStatus.OPEN, null],
+        ]);
+        expect(cycles[0].lots).toEqual([]);
+    });
+});
+
+describe('schwabTransactionsToRecords', () => {
+    it('maps trades and fee transfer items to unified transactions', () => {
+        const [record] = schwabTransactionsToRecords([{
+            activityId: 101,
+            accountNumber: '1234',
+            type: 'TRADE',
+            tradeDate: '2025-06-02T14:30:00+0000',
+            netAmount: 298.34,
+            description: 'SOLD 1 AAPL PUT',
+            transferItems: [
+                { instrument: { assetType: 'CURRENCY' }, feeType: 'COMMISSION', cost: -0.65 },
+                { instrument: { assetType: 'CURRENCY' }, feeType: 'OPT_REG_FEE', cost: -1.01 },
+                {
+                    instrument: { assetType: 'OPTION', symbol: 'AAPL  250718P00200000', underlyingSymbol: 'AAPL', putCall: 'PUT', strikePrice: 200, expirationDate: '2025-07-18T20:00:00+0000' },
+                    amount: -1,
+                    price: 3,
+                    positionEffect: 'OPENING',
+                },
+            ],
+        }]);
+
+        expect(record).toMatchObject({
+            transaction_id: '101',
+            account_number: '1234',
+            date: '2025-06-02',
+            action: 'SELL_TO_OPEN',
+            asset_type: 'OPTION',
+            option_type: 'PUT',
+            expiration_date: '2025-07-18',
+            quantity: 1,
+            fees: 1.66,
+        });
+    });
+});
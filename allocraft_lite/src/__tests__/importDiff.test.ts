@@ -0,0 +1,75 @@
+import { beforeEach, describe, it, expect } from 'vitest';
+import {
+    accountFingerprint,
+    diffImport,
+    idempotentPayload,
+    loadImportFingerprints,
+    positionFingerprint,
+    recordImportFingerprints,
+} from '../services/importers';
+
+const position = (symbol: string, long_quantity: number, average_price: number, market_value = long_quantity * average_price) => ({
+    symbol,
+    asset_type: 'EQUITY',
+    long_quantity,
+    short_quantity: 0,
+    average_price,
+    market_value,
+});
+
+const payload = () => ({
+    export_info: { source: 'test', total_accounts: 2, total_positions: 3 },
+    accounts: [
+        { account_number: 'A1', positions: [position('AAPL', 100, 200), position('MSFT', 50, 400)] },
+        { account_number: 'B2', positions: [position('SPY', 10, 500)] },
+    ],
+});
+
+describe('import dry-run diff', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('fingerprints content independently of OCC padding and field order', () => {
+        const padded = { ...position('AAPL  250718C00220000', 0, 3), short_quantity: 1 };
+        const compact = { market_value: 0, average_price: 3, short_quantity: 1, long_quantity: 0, asset_type: 'EQUITY', symbol: 'AAPL250718C00220000' };
+        expect(positionFingerprint(padded)).toBe(positionFingerprint(compact));
+        expect(positionFingerprint(position('AAPL', 100, 200))).not.toBe(positionFingerprint(position('AAPL', 100, 201)));
+        expect(accountFingerprint('A1', [padded, position('MSFT', 1, 1)])).toBe(accountFingerprint('A1', [position('MSFT', 1, 1), compact]));
+    });
+
+    it('lists new, changed, unchanged and missing positions with field changes', () => {
+        const stored = [
+            { ...position('AAPL', 100, 200), account_number: 'A1' },
+            { ...position('MSFT', 40, 390), account_number: 'A1' },
+            { ...position('NVDA', 10, 120), account_number: 'A1' },
+        ];
+        const diff = diffImport(payload(), stored, {});
+
+        expect(diff.counts).toEqual({ new: 1, changed: 1, unchanged: 1, missing: 1 });
+        const [a1, b2] = diff.accounts;
+        expect(a1.positions.map((p) => [p.symbol, p.status])).toEqual([
+            ['AAPL', 'unchanged'],
+            ['MSFT', 'changed'],
+            ['NVDA', 'missing'],
+        ]);
+        expect(a1.positions[1].changes).toEqual([
+            { field: 'long_quantity', before: 40, after: 50 },
+            { field: 'average_price', before: 390, after: 400 },
+            { field: 'market_value', before: 15600, after: 20000 },
+        ]);
+        expect(b2.positions).toEqual([expect.objectContaining({ symbol: 'SPY', status: 'new' })]);
+    });
+
+    it('sends only accounts that changed, and nothing on a re-import of the same file', () => {
+        const stored = [{ ...position('SPY', 10, 500), account_number: 'B2' }];
+        const first = idempotentPayload(payload(), diffImport(payload(), stored));
+
+        expect(first?.accounts.map((a) => a.account_number)).toEqual(['A1']);
+        expect(first?.export_info).toMatchObject({ total_accounts: 1, total_positions: 2 });
+        expect(first?.accounts[0].positions[0].fingerprint).toBe(positionFingerprint(position('AAPL', 100, 200)));
+
+        recordImportFingerprints(first!);
+        expect(loadImportFingerprints()).toEqual({ A1: first!.accounts[0].fingerprint });
+        // Backend has not reflected the import yet; the fingerprint alone makes it a no-op
+        expect(idempotentPayload(payload(), diffImport(payload(), stored))).toBeNull();
+    });
+});
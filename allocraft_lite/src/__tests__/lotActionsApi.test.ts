@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const wheelApi = vi.hoisted(() => ({
+    createEvent: vi.fn(),
+    bindCall: vi.fn(),
+    unbindCall: vi.fn(),
+    rebuildLots: vi.fn(),
+    deleteEvent: vi.fn(),
+}));
+
+vi.mock('@/api/fastapiClient', () => ({ wheelApi }));
+
+import {
+    sellCoveredCall,
+    closeCoveredCall,
+    rollCoveredCall,
+    createLotBuy,
+    createLotShortPut,
+    closeShortPut,
+    recordDividend,
+    rollLeaps,
+} from '../features/wheels/lot-actions/api';
+
+describe('lot-actions api', () => {
+    let nextId: number;
+
+    beforeEach(() => {
+        nextId = 100;
+        vi.clearAllMocks();
+        wheelApi.createEvent.mockImplementation(async (draft) => ({ id: nextId++, ...draft }));
+        wheelApi.bindCall.mockResolvedValue({});
+        wheelApi.unbindCall.mockResolvedValue({});
+        wheelApi.rebuildLots.mockResolvedValue({});
+        wheelApi.deleteEvent.mockResolvedValue({});
+    });
+
+    it('persists a covered call sale for the lot\'s contracts and binds it to the lot', async () => {
+        const res = await sellCoveredCall(7, 3, {
+            lotId: 3, strike: 200, expiry: '2099-01-16', limitPremium: 4.95, timeInForce: 'DAY', fees: 0.65,
+        }, 2);
+
+        expect(wheelApi.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+            cycle_id: 7, event_type: 'SELL_CALL_OPEN', contracts: 2, strike: 200, premium: 4.95, fees: 0.65,
+        }));
+        expect(wheelApi.bindCall).toHaveBeenCalledWith(3, 100);
+        expect(res.id).toBe(100);
+    });
+
+    it('links a call close to its opening event and unbinds the lot', async () => {
+        await closeCoveredCall(7, 3, { lotId: 3, tradeDate: '2025-08-05', limitDebit: 2, contracts: 1 }, 42);
+
+        expect(wheelApi.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+            event_type: 'SELL_CALL_CLOSE', trade_date: '2025-08-05', premium: 2, link_event_id: 42, fees: 0,
+        }));
+        expect(wheelApi.unbindCall).toHaveBeenCalledWith(3);
+    });
+
+    it('rolls by closing the old call before opening and binding the new one', async () => {
+        const res = await rollCoveredCall(7, 3, {
+            lotId: 3,
+            close: { limitDebit: 1.2 },
+            open: { strike: 205, expiry: '2099-02-20', limitPremium: 3.1, timeInForce: 'GTC' },
+        }, 2, 42);
+
+        const drafts = wheelApi.createEvent.mock.calls.map(([draft]) => draft);
+        expect(drafts.map((d) => [d.event_type, d.contracts])).toEqual([['SELL_CALL_CLOSE', 2], ['SELL_CALL_OPEN', 2]]);
+        expect(res).toMatchObject({ closeId: 100, openId: 101 });
+        expect(wheelApi.bindCall).toHaveBeenCalledWith(3, 101);
+    });
+
+    it('deletes the close of a roll whose new call fails to save', async () => {
+        wheelApi.createEvent
+            .mockImplementationOnce(async (draft) => ({ id: 100, ...draft }))
+            .mockRejectedValueOnce(new Error('HTTP 500'));
+
+        await expect(rollCoveredCall(7, 3, {
+            lotId: 3,
+            close: { limitDebit: 1.2 },
+            open: { strike: 205, expiry: '2099-02-20', limitPremium: 3.1, timeInForce: 'GTC' },
+        }, 1, 42)).rejects.toThrow('HTTP 500');
+        expect(wheelApi.deleteEvent).toHaveBeenCalledWith(100);
+        expect(wheelApi.bindCall).not.toHaveBeenCalled();
+    });
+
+    it('records share buys and put closes as wheel events', async () => {
+        await createLotBuy(7, { ticker: 'GOOG', price: 175.17, date: '2025-07-01' });
+        await closeShortPut(7, 1, { lotId: 1, tradeDate: '2025-07-10', limitDebit: 0.4, contracts: 1 }, 9);
+
+        expect(wheelApi.createEvent.mock.calls[0][0]).toMatchObject({ event_type: 'BUY_SHARES', quantity_shares: 100, price: 175.17 });
+        expect(wheelApi.rebuildLots).toHaveBeenCalledWith(7);
+        expect(wheelApi.createEvent.mock.calls[1][0]).toMatchObject({ event_type: 'BUY_PUT_CLOSE', link_event_id: 9 });
+    });
+
+    it('sells a cash-secured put for the contracts entered', async () => {
+        await createLotShortPut(7, { ticker: 'GOOG', strike: 170, expiry: '2099-01-16', premium: 2.5, contracts: 3, timeInForce: 'DAY' });
+
+        expect(wheelApi.createEvent).toHaveBeenCalledWith(expect.objectContaining({ event_type: 'SELL_PUT_OPEN', contracts: 3, strike: 170 }));
+    });
+
+    it('records a dividend per share linked to the lot', async () => {
+        await recordDividend(7, { lotId: 1, exDate: '2025-08-14', amountPerShare: 0.21, shares: 100 }, 55);
+
+        expect(wheelApi.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+            cycle_id: 7, event_type: 'DIVIDEND', trade_date: '2025-08-14', price: 0.21, quantity_shares: 100, link_event_id: 55,
+        }));
+    });
+
+    it('rolls a LEAPS by selling the old call and linking the new purchase to the sale', async () => {
+        const res = await rollLeaps(7, {
+            lotId: 2,
+            close: { limitCredit: 30 },
+            open: { strike: 110, expiry: '2099-01-15', limitDebit: 32 },
+        }, 2, 41);
+
+        const [close, open] = wheelApi.createEvent.mock.calls.map(([draft]) => draft);
+        expect(close).toMatchObject({ event_type: 'SELL_LEAPS_CLOSE', contracts: 2, premium: 30, link_event_id: 41 });
+        expect(open).toMatchObject({ event_type: 'BUY_LEAPS_OPEN', contracts: 2, strike: 110, premium: 32, link_event_id: 100 });
+        expect(res).toMatchObject({ closeId: 100, openId: 101 });
+    });
+
+    it('deletes the LEAPS sale of a roll whose new purchase fails to save', async () => {
+        wheelApi.createEvent
+            .mockImplementationOnce(async (draft) => ({ id: 100, ...draft }))
+            .mockRejectedValueOnce(new Error('HTTP 500'));
+
+        await expect(rollLeaps(7, {
+            lotId: 2,
+            close: { limitCredit: 30 },
+            open: { strike: 110, expiry: '2099-01-15', limitDebit: 32 },
+        }, 2, 41)).rejects.toThrow('HTTP 500');
+        expect(wheelApi.deleteEvent).toHaveBeenCalledWith(100);
+    });
+
+    it('propagates backend failures without binding', async () => {
+        wheelApi.createEvent.mockRejectedValueOnce(new Error('HTTP 500'));
+
+        await expect(sellCoveredCall(7, 3, {
+            lotId: 3, strike: 200, expiry: '2099-01-16', limitPremium: 4.95, timeInForce: 'DAY',
+        }, 1)).rejects.toThrow('HTTP 500');
+        expect(wheelApi.bindCall).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { computeAdjustedCostBasis, computeLotCoverageAndShares } from '../utils/lotHelpers';
+
+const assignedLot = { status: 'OPEN_COVERED', acquisition_method: 'PUT_ASSIGNMENT' };
+const assignedEvents = [
+    { id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-28', contracts: 1, strike: 190, premium: 5.04 },
+    { id: 2, event_type: 'PUT_ASSIGNMENT', trade_date: '2025-07-02', contracts: 1, strike: 190 },
+    { id: 3, event_type: 'SELL_CALL_OPEN', trade_date: '2025-07-28', contracts: 1, strike: 200, premium: 4.95, fees: 0.65 },
+    { id: 4, event_type: 'SELL_CALL_CLOSE', trade_date: '2025-08-05', contracts: 1, premium: 2.0 },
+];
+
+describe('computeAdjustedCostBasis', () => {
+    it('nets premiums, buy-backs and fees against the assignment strike', () => {
+        const basis = computeAdjustedCostBasis(assignedLot, assignedEvents);
+
+        expect(basis.basePrice).toBe(190);
+        expect(basis.shares).toBe(100);
+        expect(basis.premiumsReceived).toBeCloseTo(999);
+        expect(basis.adjustedBasis).toBeCloseTo(182.0165); // 190 - 5.04 - 4.95 + 2.00 + 0.0065
+        expect(basis.breakeven).toBe(basis.adjustedBasis);
+        expect(basis.breakdown.map((b) => b.label)).toEqual(['Put premium', 'Call premium', 'Fee', 'Call buy-back']);
+    });
+
+    it('uses the purchase price for bought lots and honours overrides', () => {
+        const events = [
+            { id: 1, event_type: 'BUY_SHARES', quantity_shares: 200, price: 50 },
+            { id: 2, event_type: 'SELL_CALL_OPEN', contracts: 2, premium: 1.5 },
+        ];
+
+        expect(computeAdjustedCostBasis({}, events).adjustedBasis).toBeCloseTo(48.5);
+        expect(computeAdjustedCostBasis({}, events, { basePrice: 52, shares: 300 }).adjustedBasis).toBeCloseTo(51);
+    });
+
+    it('falls back to the short put strike for cash-reserved lots', () => {
+        const basis = computeAdjustedCostBasis(
+            { status: 'CASH_RESERVED', acquisition_method: 'CASH_SECURED_PUT' },
+            [{ id: 1, event_type: 'SELL_PUT', contracts: 1, strike: 30, premium: 0.8 }]
+        );
+
+        expect(basis.adjustedBasis).toBeCloseTo(29.2);
+    });
+
+    it('lowers the basis by dividends received without counting them as premium', () => {
+        const basis = computeAdjustedCostBasis(assignedLot, [
+            ...assignedEvents,
+            { id: 5, event_type: 'DIVIDEND', trade_date: '2025-08-10', quantity_shares: 100, price: 0.5 },
+        ]);
+
+        expect(basis.premiumsReceived).toBeCloseTo(999);
+        expect(basis.dividendsReceived).toBeCloseTo(50);
+        expect(basis.adjustedBasis).toBeCloseTo(181.5165);
+        expect(basis.breakdown.at(-1)).toMatchObject({ label: 'Dividend', amount: -50, perShare: -0.5 });
+    });
+
+    it('is returned alongside coverage and shares', () => {
+        const result = computeLotCoverageAndShares(assignedLot, assignedEvents);
+
+        expect(result.shares).toBe(100);
+        expect(result.coverage.status).toBe('CLOSED');
+        expect(result.costBasis.adjustedBasis).toBeCloseTo(182.0165);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { buildPageVM, buildLotVMs } from '../features/wheels/viewModel';
+
+const cycle = { id: 7, cycle_key: 'GOOG-1', ticker: 'GOOG', started_at: '2025-06-28', status: 'Open' } as any;
+
+const events = [
+    { id: 1, cycle_id: 7, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-28', contracts: 1, strike: 190, premium: 5.04 },
+    { id: 2, cycle_id: 7, event_type: 'PUT_ASSIGNMENT', trade_date: '2025-07-02', contracts: 1, strike: 190, link_event_id: 1 },
+    { id: 3, cycle_id: 7, event_type: 'SELL_CALL_OPEN', trade_date: '2025-07-28', contracts: 1, strike: 200, premium: 4.95 },
+    { id: 4, cycle_id: 7, event_type: 'SELL_CALL_CLOSE', trade_date: '2025-08-05', contracts: 1, premium: 2, link_event_id: 3 },
+    { id: 5, cycle_id: 7, event_type: 'BUY_SHARES', trade_date: '2025-08-08', quantity_shares: 100, price: 191.82 },
+    { id: 6, cycle_id: 7, event_type: 'SELL_PUT_OPEN', trade_date: '2025-08-10', contracts: 1, strike: 180, premium: 1.2 },
+] as any[];
+
+describe('lot view model', () => {
+    it('splits cycle events into lots with status and coverage', () => {
+        const vm = buildPageVM(cycle, events);
+
+        expect(vm.cycle).toEqual({ title: 'GOOG • GOOG-1', started: 'Open • Started 2025-06-28' });
+        expect(vm.lots.map((l) => l.status)).toEqual(['OPEN_UNCOVERED', 'OPEN_UNCOVERED', 'CASH_RESERVED']);
+
+        const [assigned, bought, reserved] = vm.lots;
+        expect(assigned.acquisition).toEqual({ type: 'PUT_ASSIGNMENT', label: 'PUT Assigned @ $190.00', date: '2025-07-02' });
+        expect(assigned.events.map((e) => e.type)).toEqual(['SELL_PUT', 'PUT_ASSIGNMENT', 'SELL_CALL_OPEN', 'SELL_CALL_CLOSE']);
+        expect(assigned.coverage).toEqual({ strike: '$200.00', premium: '$4.95', status: 'CLOSED' });
+        expect(assigned.adjustedBasis?.basis).toBe('$182.01'); // 190 - 5.04 - 4.95 + 2
+        expect(bought.costBasis).toBe('$191.82');
+        expect(reserved.costBasis).toBe('—');
+        expect(reserved.meta?.putOpenEventId).toBe(6);
+    });
+
+    it('tracks the open call so closes and rolls can link to it', () => {
+        const lots = buildLotVMs('GOOG', events.slice(0, 3));
+
+        expect(lots[0].status).toBe('OPEN_COVERED');
+        expect(lots[0].meta?.callOpenEventId).toBe(3);
+        expect(lots[0].meta?.putOpenEventId).toBeUndefined();
+    });
+
+    it('counts the contracts a lot\'s shares or long call cover', () => {
+        const lots = buildLotVMs('GOOG', [
+            { id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-28', contracts: 2, strike: 190, premium: 5 },
+            { id: 2, event_type: 'PUT_ASSIGNMENT', trade_date: '2025-07-02', quantity_shares: 200, strike: 190, link_event_id: 1 },
+            { id: 3, event_type: 'BUY_SHARES', trade_date: '2025-07-08', quantity_shares: 300, price: 191 },
+            { id: 4, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-07-10', contracts: 4, strike: 150, premium: 50 },
+        ] as any[]);
+
+        expect(lots.map((l) => l.meta?.contracts)).toEqual([2, 3, 4]);
+    });
+
+    it('closes a cash-secured put lot when the put is bought back', () => {
+        const [lot] = buildLotVMs('GOOG', [
+            events[0],
+            { id: 7, cycle_id: 7, event_type: 'BUY_PUT_CLOSE', trade_date: '2025-07-01', contracts: 1, premium: 1.5, link_event_id: 1 },
+        ] as any[]);
+
+        expect(lot.status).toBe('CLOSED_BOUGHT_BACK');
+        expect(lot.coverage).toEqual({ strike: '$190.00', premium: '$5.04', status: 'CLOSED' });
+        expect(lot.meta?.putOpenEventId).toBeUndefined();
+        expect(lot.costBasis).toBe('—');
+        expect(lot.adjustedBasis).toBeUndefined();
+    });
+
+    it('closes a cash-secured put lot when the put expires', () => {
+        const lots = buildLotVMs('GOOG', [
+            events[0],
+            { id: 7, cycle_id: 7, event_type: 'EXPIRED', trade_date: '2025-07-18', contracts: 1, link_event_id: 1 },
+            events[5],
+        ] as any[]);
+
+        expect(lots.map((l) => l.status)).toEqual(['CLOSED_EXPIRED', 'CASH_RESERVED']);
+        expect(lots[0].events.map((e) => e.type)).toEqual(['SELL_PUT', 'EXPIRED']);
+        expect(lots[0].coverage?.status).toBe('CLOSED');
+        expect(lots[1].meta?.putOpenEventId).toBe(6);
+    });
+
+    it('closes lots on call-away and share sales', () => {
+        const lots = buildLotVMs('GOOG', [
+            ...events.slice(0, 3),
+            { id: 7, event_type: 'CALLED_AWAY', trade_date: '2025-08-20', contracts: 1, strike: 200, link_event_id: 3 },
+            { id: 8, event_type: 'BUY_SHARES', trade_date: '2025-08-21', quantity_shares: 100, price: 150 },
+            { id: 9, event_type: 'SELL_SHARES', trade_date: '2025-08-22', quantity_shares: 100, price: 155 },
+        ] as any[]);
+
+        expect(lots.map((l) => l.status)).toEqual(['CLOSED_CALLED_AWAY', 'CLOSED_SOLD']);
+    });
+
+    it('opens a lot on a LEAPS purchase and keeps it across a LEAPS roll', () => {
+        const lots = buildLotVMs('GOOG', [
+            { id: 1, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-01-10', contracts: 1, strike: 100, premium: 25, expiration_date: '2026-01-16' },
+            { id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-01-15', contracts: 1, strike: 130, premium: 2 },
+            { id: 3, event_type: 'SELL_LEAPS_CLOSE', trade_date: '2025-02-03', contracts: 1, premium: 30, link_event_id: 1 },
+            { id: 4, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-02-03', contracts: 1, strike: 110, premium: 32, expiration_date: '2027-01-15', link_event_id: 3 },
+        ] as any[]);
+
+        expect(lots).toHaveLength(1);
+        expect(lots[0].acquisition).toEqual({ type: 'LEAPS_PURCHASE', label: 'LEAPS Call @ $100.00', date: '2025-01-10' });
+        expect(lots[0].status).toBe('OPEN_COVERED');
+        expect(lots[0].costBasis).toBe('$25.00');
+        expect(lots[0].adjustedBasis?.basis).toBe('$25.00'); // 25 - 2 call - 30 sale + 32 purchase
+        expect(lots[0].events.map((e) => e.qty)).toEqual(['1 ctr', '1 ctr', '1 ctr', '1 ctr']);
+        expect(lots[0].meta).toMatchObject({ leapsOpenEventId: 4, leapsContracts: 1, leapsStrike: 110, leapsExpiry: '2027-01-15', callOpenEventId: 2 });
+    });
+
+    it('attaches backend lot ids by acquisition method and date', () => {
+        const lots = buildLotVMs('GOOG', events, [
+            { id: 41, acquisition_method: 'OUTRIGHT_PURCHASE', acquisition_date: '2025-08-08' },
+            { id: 40, acquisition_method: 'PUT_ASSIGNMENT', acquisition_date: '2025-07-02' },
+        ] as any[]);
+
+        expect(lots.map((l) => l.meta?.lotId)).toEqual([40, 41, undefined]);
+    });
+
+    it('puts a call on the backend lot it is bound to', () => {
+        const open = [...events.slice(0, 2), events[4], { ...events[2], id: 7, trade_date: '2025-08-09' }];
+        const lots = buildLotVMs('GOOG', open, [
+            { id: 41, acquisition_method: 'OUTRIGHT_PURCHASE', acquisition_date: '2025-08-08', open_event_id: 5, call_event_ids: [7] },
+        ] as any[]);
+
+        expect(lots.map((l) => [l.status, l.meta?.callOpenEventId])).toEqual([['OPEN_UNCOVERED', undefined], ['OPEN_COVERED', 7]]);
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { handleMockRequest, resetMockBackend } from '../services/mockBackend';
+import { DEMO_USER } from '../services/mockBackend/fixtures';
+
+const json = (body: unknown): RequestInit => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+});
+
+describe('mock backend', () => {
+    beforeEach(async () => {
+        await resetMockBackend();
+    });
+
+    it('serves the seeded wheel cycles', async () => {
+        const response = await handleMockRequest('/wheels/wheel-cycles');
+        expect(response.status).toBe(200);
+        const cycles = await response.json();
+        expect(cycles.map((c: any) => c.ticker)).toEqual(['AAPL', 'MSFT', 'HIMS']);
+    });
+
+    it('records events and filters them by cycle', async () => {
+        const cycles = await (await handleMockRequest('/wheels/wheel-cycles')).json();
+        const msft = cycles.find((c: any) => c.ticker === 'MSFT');
+
+        const created = await handleMockRequest('/wheels/wheel-events', json({
+            cycle_id: msft.id,
+            event_type: 'BUY_PUT_CLOSE',
+            trade_date: '2025-06-02',
+            contracts: 1,
+            strike: 400,
+            premium: 1.1,
+        }));
+        expect(created.status).toBe(200);
+
+        const events = await (await handleMockRequest(`/wheels/wheel-events?cycle_id=${msft.id}`)).json();
+        expect(events.map((e: any) => e.event_type)).toEqual(['SELL_PUT_OPEN', 'BUY_PUT_CLOSE']);
+    });
+
+    it('rejects unknown event types', async () => {
+        const response = await handleMockRequest('/wheels/wheel-events', json({ cycle_id: 1, event_type: 'NOPE' }));
+        expect(response.status).toBe(422);
+        expect((await response.json()).detail).toMatch(/NOPE/);
+    });
+
+    it('splits lots from the events and keeps their ids as events are added', async () => {
+        const cycle = await (await handleMockRequest('/wheels/wheel-cycles', json({ ticker: 'KO' }))).json();
+        await handleMockRequest('/wheels/wheel-events', json({ cycle_id: cycle.id, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 60 }));
+        const lots = await (await handleMockRequest(`/wheels/cycles/${cycle.id}/lots`)).json();
+
+        await handleMockRequest('/wheels/wheel-events', json({ cycle_id: cycle.id, event_type: 'SELL_PUT_OPEN', trade_date: '2025-05-02', contracts: 1, strike: 58, premium: 1 }));
+        const rebuilt = await (await handleMockRequest(`/wheels/lots/rebuild?cycle_id=${cycle.id}`, { method: 'POST' })).json();
+        const after = await (await handleMockRequest(`/wheels/cycles/${cycle.id}/lots`)).json();
+
+        expect(lots.map((l: any) => [l.acquisition_method, l.status])).toEqual([['OUTRIGHT_PURCHASE', 'OPEN_UNCOVERED']]);
+        expect(rebuilt).toEqual({ rebuilt: 2 });
+        expect(after.map((l: any) => [l.id, l.status])).toEqual([[lots[0].id, 'OPEN_UNCOVERED'], [expect.any(Number), 'CASH_RESERVED']]);
+        expect((await handleMockRequest('/wheels/lots/9999')).status).toBe(404);
+    });
+
+    it('binds a covered call to the chosen lot and unbinds it', async () => {
+        const cycle = await (await handleMockRequest('/wheels/wheel-cycles', json({ ticker: 'KO' }))).json();
+        for (const trade_date of ['2025-05-01', '2025-05-05']) {
+            await handleMockRequest('/wheels/wheel-events', json({ cycle_id: cycle.id, event_type: 'BUY_SHARES', trade_date, quantity_shares: 100, price: 60 }));
+        }
+        const call = await (await handleMockRequest('/wheels/wheel-events', json({
+            cycle_id: cycle.id, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-06', contracts: 1, strike: 65, premium: 2,
+        }))).json();
+        const [first, second] = await (await handleMockRequest(`/wheels/cycles/${cycle.id}/lots`)).json();
+        expect(first.covering_call_event_id).toBe(call.id);
+
+        const bound = await (await handleMockRequest(`/wheels/lots/${second.id}/bind-call`, json({ option_event_id: call.id }))).json();
+        expect(bound).toMatchObject({ status: 'OPEN_COVERED', covering_call_event_id: call.id, call_event_ids: [call.id] });
+        expect(await (await handleMockRequest(`/wheels/lots/${first.id}`)).json()).toMatchObject({ status: 'OPEN_UNCOVERED' });
+
+        const links = await (await handleMockRequest(`/wheels/lots/${second.id}/links`)).json();
+        expect(links.map((l: any) => [l.event_type, l.covering_call])).toEqual([['BUY_SHARES', false], ['SELL_CALL_OPEN', true]]);
+        const metrics = await (await handleMockRequest(`/wheels/lots/${second.id}/metrics`)).json();
+        expect(metrics).toMatchObject({ lot_id: second.id, net_premiums: 200, stock_cost_total: 6000 });
+
+        const covered = await handleMockRequest(`/wheels/lots/${first.id}/bind-call`, json({ option_event_id: first.open_event_id }));
+        expect(covered.status).toBe(422);
+
+        const unbound = await (await handleMockRequest(`/wheels/lots/${second.id}/unbind-call`, { method: 'POST' })).json();
+        expect(unbound).toMatchObject({ status: 'OPEN_UNCOVERED', call_event_ids: [] });
+        expect(await (await handleMockRequest(`/wheels/lots/${first.id}`)).json()).toMatchObject({ covering_call_event_id: call.id });
+    });
+
+    it('logs in the demo user and answers /auth/me with the token', async () => {
+        const form = new URLSearchParams(DEMO_USER);
+        const login = await handleMockRequest('/auth/login', { method: 'POST', body: form });
+        const { access_token } = await login.json();
+
+        const me = await handleMockRequest('/auth/me', { headers: { Authorization: `Bearer ${access_token}` } });
+        const user = await me.json();
+        expect(user.username).toBe('demo');
+        expect(user.password).toBeUndefined();
+
+        const anonymous = await handleMockRequest('/auth/me');
+        expect(anonymous.status).toBe(401);
+    });
+
+    it('lists the open short options on a ticker as roll candidates', async () => {
+        const candidates = await (await handleMockRequest('/wheels/hims/roll-candidates')).json();
+        expect(candidates).toEqual([expect.objectContaining({ option_type: 'call', strike: 18, contracts: 2, premium: 0.55, current_price: 0.3, status: 'open' })]);
+        expect(await (await handleMockRequest('/wheels/KO/roll-candidates')).json()).toEqual([]);
+    });
+
+    it('refreshes the selected positions with fixed prices', async () => {
+        const response = await handleMockRequest('/portfolio/refresh-selected-prices', json([1, 2, 999]));
+        expect(await response.json()).toMatchObject({ success: true, summary: { total_positions: 2, stocks_updated: 0 } });
+        expect((await handleMockRequest('/portfolio/refresh-selected-prices', json({ ids: [1] }))).status).toBe(422);
+    });
+
+    it('serves the Schwab account routes from the local accounts', async () => {
+        expect(await (await handleMockRequest('/schwab/status')).json()).toMatchObject({ connected: true });
+        expect((await handleMockRequest('/schwab/auth-url')).status).toBe(501);
+
+        const summaries = await (await handleMockRequest('/schwab/accounts')).json();
+        expect(summaries).toEqual([{ accountNumber: '****1234', hashValue: 'local-1' }, { accountNumber: '****5678', hashValue: 'local-2' }]);
+        const account = await (await handleMockRequest('/schwab/accounts/local-2/positions')).json();
+        expect(account.securitiesAccount.positions.map((p: any) => [p.instrument.symbol.trim().slice(0, 4), p.longQuantity, p.shortQuantity]))
+            .toEqual([['HIMS', 200, 0], ['HIMS', 0, 2]]);
+        expect(account.securitiesAccount.positions[1].instrument.putCall).toBe('CALL');
+        expect((await handleMockRequest('/schwab/accounts/local-9')).status).toBe(404);
+    });
+
+    it('exports the Schwab positions in the format the import reads back', async () => {
+        const exported = await (await handleMockRequest('/schwab/export/positions')).json();
+        expect(exported.export_info).toMatchObject({ total_accounts: 2, total_positions: 5 });
+
+        exported.accounts[1].account_number = '****9999';
+        const imported = await (await handleMockRequest('/schwab/import/positions', json(exported))).json();
+        expect(imported).toMatchObject({ success: true, accounts_created: 1, positions_created: 5 });
+        const accounts = await (await handleMockRequest('/schwab/accounts')).json();
+        expect(accounts.map((a: any) => a.accountNumber)).toEqual(['****1234', '****5678', '****9999']);
+        expect(await (await handleMockRequest('/schwab/mock/sync', { method: 'POST' })).json()).toMatchObject({ success: true, synced_accounts: 3 });
+    });
+
+    it('answers unknown routes with 404', async () => {
+        const response = await handleMockRequest('/not/a/route');
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({ detail: 'Not Found' });
+    });
+});
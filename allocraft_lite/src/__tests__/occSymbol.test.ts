@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+    formatOccSymbol,
+    formatOptionLabel,
+    isOptionSymbol,
+    optionFieldsOf,
+    parseOccSymbol,
+} from '../utils/occSymbol';
+
+const GOOG = { underlying: 'GOOG', expiration: '2026-06-18', optionType: 'CALL', strike: 250 };
+
+describe('parseOccSymbol', () => {
+    it('reads padded and unpadded OCC symbols', () => {
+        expect(parseOccSymbol('GOOG  260618C00250000')).toEqual({ root: 'GOOG', ...GOOG, adjusted: false, weekly: true });
+        expect(parseOccSymbol('GOOG260618C00250000')).toMatchObject(GOOG);
+        expect(parseOccSymbol('BRKB  250718P00452500')).toMatchObject({ underlying: 'BRKB', optionType: 'PUT', strike: 452.5, weekly: false });
+    });
+
+    it('reads broker shorthand and descriptions', () => {
+        expect(parseOccSymbol('-GOOG260618C250')).toMatchObject(GOOG);
+        expect(parseOccSymbol('.GOOG260618C250')).toMatchObject(GOOG);
+        expect(parseOccSymbol('GOOG 18JUN26 250 C')).toMatchObject(GOOG);
+        expect(parseOccSymbol('GOOG 06/18/2026 250.00 C')).toMatchObject(GOOG);
+        expect(parseOccSymbol('goog 6/18/26 $250 call')).toMatchObject(GOOG);
+    });
+
+    it('flags adjusted deliverables and weekly roots', () => {
+        expect(parseOccSymbol('AAPL1 250718C00220000')).toMatchObject({ root: 'AAPL1', underlying: 'AAPL', adjusted: true });
+        expect(parseOccSymbol('SPXW  250721P05500000')).toMatchObject({ root: 'SPXW', underlying: 'SPX', adjusted: false, weekly: true });
+        expect(parseOccSymbol('SPY   250725P00520000')?.weekly).toBe(true);
+    });
+
+    it('returns null for stock tickers and junk', () => {
+        expect(parseOccSymbol('AAPL')).toBeNull();
+        expect(parseOccSymbol('BRK.B')).toBeNull();
+        expect(parseOccSymbol('GOOG 18XYZ26 250 C')).toBeNull();
+        expect(parseOccSymbol(undefined)).toBeNull();
+        expect(isOptionSymbol('SPY   250718P00520000')).toBe(true);
+        expect(isOptionSymbol('SPY')).toBe(false);
+    });
+});
+
+describe('formatOccSymbol', () => {
+    it('round-trips padded, unpadded and adjusted symbols', () => {
+        expect(formatOccSymbol(GOOG)).toBe('GOOG  260618C00250000');
+        expect(formatOccSymbol(GOOG, { padded: false })).toBe('GOOG260618C00250000');
+        expect(formatOccSymbol(parseOccSymbol('AAPL1 250718C00220000')!)).toBe('AAPL1 250718C00220000');
+        expect(formatOccSymbol({ underlying: 'spy', expiration: '2025-07-18', optionType: 'Put', strike: 520.5 })).toBe('SPY   250718P00520500');
+    });
+
+    it('labels a contract for display', () => {
+        expect(formatOptionLabel(parseOccSymbol('GOOG  260618C00250000')!)).toBe('GOOG 6/18/26 $250 Call');
+    });
+});
+
+describe('optionFieldsOf', () => {
+    it('prefers explicit fields and fills the rest from the symbol', () => {
+        expect(optionFieldsOf({ symbol: 'GOOG  260618C00250000', option_type: 'Call', strike_price: 250 })).toMatchObject({
+            underlying: 'GOOG',
+            optionType: 'CALL',
+            strike: 250,
+            expiration: '2026-06-18',
+        });
+        expect(optionFieldsOf({ symbol: 'SPY   250718P00520000', underlyingSymbol: 'SPY', optionType: 'Put' })).toMatchObject({
+            optionType: 'PUT',
+            strike: 520,
+        });
+        expect(optionFieldsOf({ symbol: 'AAPL' })).toEqual({ underlying: null, optionType: null, strike: null, expiration: null, occ: null });
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+    blackScholesPrice,
+    calculateGreeks,
+    impliedVolatility,
+    normalCdf,
+    probabilityITM,
+    probabilityOfTouch,
+    toOptionKind,
+    yearsToExpiry,
+} from '../utils/optionPricing';
+import { calculatePositionGreeks, calculateStrategyPnL } from '../utils/pnlCalculations';
+
+// Reference values from Hull, Options, Futures and Other Derivatives
+const hullPricing = { spot: 42, strike: 40, years: 0.5, volatility: 0.2, rate: 0.1 };
+const hullGreeks = { optionType: 'CALL' as const, spot: 49, strike: 50, years: 0.3846, volatility: 0.2, rate: 0.05 };
+
+describe('optionPricing', () => {
+    it('evaluates the standard normal CDF', () => {
+        expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+        expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+        expect(normalCdf(-1)).toBeCloseTo(0.158655, 5);
+    });
+
+    it('prices calls and puts with Black-Scholes', () => {
+        expect(blackScholesPrice({ optionType: 'CALL', ...hullPricing })).toBeCloseTo(4.76, 2);
+        expect(blackScholesPrice({ optionType: 'PUT', ...hullPricing })).toBeCloseTo(0.81, 2);
+        expect(blackScholesPrice({ optionType: 'CALL', spot: 100, strike: 100, years: 1, volatility: 0.2, rate: 0.05 })).toBeCloseTo(10.4506, 4);
+
+        // Expired options are worth intrinsic value
+        expect(blackScholesPrice({ optionType: 'PUT', spot: 90, strike: 100, years: 0, volatility: 0.2 })).toBe(10);
+    });
+
+    it('computes the Greeks', () => {
+        const greeks = calculateGreeks(hullGreeks);
+
+        expect(greeks.price).toBeCloseTo(2.40, 2);
+        expect(greeks.delta).toBeCloseTo(0.522, 3);
+        expect(greeks.gamma).toBeCloseTo(0.066, 3);
+        expect(greeks.theta * 365).toBeCloseTo(-4.31, 2); // per year
+        expect(greeks.vega * 100).toBeCloseTo(12.1, 1); // per 100% volatility
+
+        const put = calculateGreeks({ ...hullGreeks, optionType: 'PUT' });
+        expect(put.delta).toBeCloseTo(greeks.delta - 1, 10);
+        expect(put.gamma).toBeCloseTo(greeks.gamma, 10);
+    });
+
+    it('solves implied volatility from the mark', () => {
+        const { volatility, ...inputs } = { optionType: 'PUT' as const, ...hullPricing };
+        const price = blackScholesPrice({ ...inputs, volatility });
+
+        expect(impliedVolatility(price, inputs)).toBeCloseTo(0.2, 5);
+        const volatile = { optionType: 'CALL' as const, spot: 100, strike: 120, years: 0.1 };
+        expect(impliedVolatility(blackScholesPrice({ ...volatile, volatility: 1.5 }), volatile)).toBeCloseTo(1.5, 5);
+        // Below intrinsic value there is no solution
+        expect(impliedVolatility(1, { optionType: 'CALL', spot: 110, strike: 100, years: 0.25 })).toBeNull();
+        expect(impliedVolatility(0, inputs)).toBeNull();
+    });
+
+    it('computes probability in the money and of touching the strike', () => {
+        const atTheMoney = { optionType: 'PUT' as const, spot: 100, strike: 100, years: 30 / 365, volatility: 0.3 };
+        expect(probabilityITM(atTheMoney)).toBeCloseTo(0.5172, 4);
+
+        const otmPut = { ...atTheMoney, strike: 90 };
+        const itm = probabilityITM(otmPut);
+        const touch = probabilityOfTouch(otmPut);
+        expect(itm).toBeCloseTo(0.1186, 4);
+        // Touch is roughly twice the chance of finishing in the money
+        expect(touch).toBeCloseTo(0.2324, 4);
+        expect(touch).toBeCloseTo(2 * itm, 1);
+
+        expect(probabilityOfTouch({ ...otmPut, strike: 105 })).toBe(1);
+        expect(probabilityOfTouch({ ...otmPut, optionType: 'CALL', strike: 110 })).toBeCloseTo(0.2552, 4);
+    });
+
+    it('normalizes option types and time to expiry', () => {
+        expect(toOptionKind('Put')).toBe('PUT');
+        expect(toOptionKind('c')).toBe('CALL');
+        expect(yearsToExpiry('2025-07-18', new Date('2025-06-18T21:00:00Z'))).toBeCloseTo(30 / 365, 6);
+        expect(yearsToExpiry('2025-06-18', new Date('2025-06-20T12:00:00Z'))).toBe(0);
+    });
+
+    it('adds position Greeks and theta-based time decay to strategy P&L', () => {
+        const position = {
+            contracts: -2,
+            averagePrice: 3,
+            currentPrice: 1.8,
+            optionType: 'PUT' as const,
+            strikePrice: 95,
+            underlyingPrice: 100,
+            expirationDate: '2025-07-18',
+        };
+        const greeks = calculatePositionGreeks(position, new Date('2025-06-18T21:00:00Z'))!;
+
+        expect(greeks.impliedVolatility).toBeGreaterThan(0.3);
+        expect(greeks.delta).toBeGreaterThan(0); // short put is long delta
+        expect(greeks.theta).toBeGreaterThan(0); // and collects time decay
+        expect(greeks.probabilityOfTouch).toBeGreaterThan(greeks.probabilityITM);
+
+        expect(calculatePositionGreeks({ ...position, underlyingPrice: null })).toBeUndefined();
+        expect(calculateStrategyPnL({ ...position, underlyingPrice: null }, 'wheel').timeDecayImpact).toBe('positive');
+        expect(calculateStrategyPnL({ ...position, contracts: 1, underlyingPrice: null }, 'long_option').timeDecayImpact).toBe('negative');
+    });
+});
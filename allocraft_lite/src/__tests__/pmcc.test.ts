@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePmcc, pmccFromEvents } from '../services/pmcc';
+
+const asOf = new Date(2025, 8, 10);
+
+// $100 LEAPS bought for $25 with a $130 call sold against it for $2
+const long = { strike: 100, expiration: '2026-09-18', contracts: 1, debit: 25 };
+const short = { strike: 130, expiration: '2025-10-17', contracts: 1, premium: 2 };
+
+// LEAPS held through one expired call, then rolled up and out before a second call
+const rolled = [
+    { id: 1, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-01-10', contracts: 1, strike: 100, premium: 25, expiration_date: '2026-01-16' },
+    { id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-01-15', contracts: 1, strike: 130, premium: 2, expiration_date: '2025-02-21' },
+    { id: 3, event_type: 'EXPIRED', trade_date: '2025-02-21', contracts: 1, link_event_id: 2 },
+    { id: 4, event_type: 'SELL_LEAPS_CLOSE', trade_date: '2025-09-01', contracts: 1, premium: 30, link_event_id: 1 },
+    { id: 5, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-09-01', contracts: 1, strike: 110, premium: 32, expiration_date: '2027-01-15', link_event_id: 4 },
+    { id: 6, event_type: 'SELL_CALL_OPEN', trade_date: '2025-09-05', contracts: 1, strike: 140, premium: 3, expiration_date: '2025-10-17' },
+];
+
+describe('poor man\'s covered call', () => {
+    it('measures net debit, breakeven and max loss of a healthy diagonal', () => {
+        const pmcc = analyzePmcc({ longLegs: [long], shortLegs: [short], asOf });
+
+        expect(pmcc.longCost).toBe(2500);
+        expect(pmcc.premiumCollected).toBe(200);
+        expect(pmcc.netDebit).toBe(2300);
+        expect(pmcc.breakeven).toBe(123);
+        expect(pmcc.maxLoss).toBe(2300);
+        expect(pmcc.assignmentPnL).toBe(700); // (130 - 100) * 100 - 2300
+        expect(pmcc.returnOnDebit).toBe(0.08);
+        expect(pmcc.risks).toEqual([]);
+    });
+
+    it('adds the inverted width to max loss when the short strike is at or below the LEAPS strike', () => {
+        const pmcc = analyzePmcc({ longLegs: [long], shortLegs: [{ ...short, strike: 95 }], asOf });
+
+        expect(pmcc.maxLoss).toBe(2800); // 2300 net debit + (100 - 95) * 100
+        expect(pmcc.risks.map((r) => [r.code, r.severity])).toEqual([['short_strike_at_or_below_long', 'high']]);
+    });
+
+    it('flags narrow widths, short calls outlasting the LEAPS, an expiring LEAPS and naked contracts', () => {
+        const narrow = analyzePmcc({ longLegs: [long], shortLegs: [{ ...short, strike: 110 }], asOf });
+        expect(narrow.risks.map((r) => r.code)).toEqual(['width_below_debit']);
+
+        const expiring = { ...long, expiration: '2025-11-21' };
+        const late = analyzePmcc({ longLegs: [expiring], shortLegs: [{ ...short, expiration: '2025-12-19', contracts: 2 }], asOf });
+        expect(late.risks.map((r) => r.code)).toEqual(['short_outlasts_long', 'long_leg_expiring', 'uncovered_short_calls']);
+        expect(late.risks[1].message).toBe('LEAPS expires in 72 days - roll the long leg to a later expiration');
+    });
+
+    it('analyzes a cycle from its events across a LEAPS roll', () => {
+        const pmcc = pmccFromEvents(rolled, asOf);
+
+        expect(pmcc.longLegs).toEqual([{ strike: 110, expiration: '2027-01-15', contracts: 1, debit: 32 }]);
+        expect(pmcc.shortLegs).toEqual([{ strike: 140, expiration: '2025-10-17', contracts: 1, premium: 3 }]);
+        expect(pmcc.premiumCollected).toBe(500);
+        expect(pmcc.netDebit).toBe(2700);
+        expect(pmcc.breakeven).toBe(137);
+        expect(pmcc.assignmentPnL).toBe(300);
+        expect(pmcc.risks).toEqual([]);
+    });
+});
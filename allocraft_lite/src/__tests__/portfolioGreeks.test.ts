@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { accountLabel, calculatePortfolioGreeks } from '../services/portfolioGreeks';
+
+const asOf = new Date('2025-06-18T21:00:00Z');
+
+const stockPositions = [
+    { symbol: 'AAPL', long_quantity: 200, short_quantity: 0, current_price: 210, account_id: 1 },
+    { symbol: 'MSFT', long_quantity: 100, short_quantity: 0, current_price: 400, account_id: 2 },
+];
+
+const optionPositions = [
+    // Deep ITM short call on AAPL: likely assignment
+    { underlying_symbol: 'AAPL', option_type: 'Call', strike_price: 190, expiration_date: '2025-07-18', long_quantity: 0, short_quantity: 1, current_price: 21, account_id: 1 },
+    // OTM short call on MSFT
+    { underlying_symbol: 'MSFT', option_type: 'Call', strike_price: 440, expiration_date: '2025-07-18', long_quantity: 0, short_quantity: 1, current_price: 3, account_id: 2 },
+    // OTM short put on MSFT
+    { underlying_symbol: 'MSFT', option_type: 'Put', strike_price: 380, contracts: -2, expiration_date: '2025-07-18', current_price: 5, account_id: 2 },
+    // No underlying price available
+    { underlying_symbol: 'TSLA', option_type: 'Put', strike_price: 200, contracts: -1, expiration_date: '2025-07-18', current_price: 4 },
+];
+
+const accounts = [
+    { id: 1, brokerage: 'Schwab', account_number: '12345678' },
+    { id: 2, brokerage: 'Fidelity', account_number: '' },
+];
+
+describe('portfolioGreeks', () => {
+    const greeks = calculatePortfolioGreeks({ stockPositions, optionPositions, accounts, asOf });
+
+    it('nets stock and option delta per ticker in share-equivalents', () => {
+        const aapl = greeks.byTicker.find((row) => row.key === 'AAPL')!;
+        const msft = greeks.byTicker.find((row) => row.key === 'MSFT')!;
+
+        expect(aapl.shares).toBe(200);
+        expect(aapl.optionCount).toBe(1);
+        // Long 200 shares less a deep ITM short call
+        expect(aapl.delta).toBeGreaterThan(100);
+        expect(aapl.delta).toBeLessThan(120);
+
+        // Short call is short delta, short puts are long delta
+        expect(msft.delta).toBeGreaterThan(100);
+        expect(msft.theta).toBeGreaterThan(0);
+        expect(msft.vega).toBeLessThan(0);
+
+        expect(greeks.totals.delta).toBeCloseTo(aapl.delta + msft.delta, 1);
+        expect(greeks.totals.theta).toBeCloseTo(aapl.theta + msft.theta, 1);
+    });
+
+    it('aggregates per account with readable labels', () => {
+        expect(greeks.byAccount.map((row) => row.label).sort()).toEqual(['Fidelity', 'Schwab …5678']);
+        expect(greeks.byAccount.find((row) => row.key === '2')!.optionCount).toBe(2);
+        expect(accountLabel('unassigned')).toBe('Unassigned');
+        expect(accountLabel('9', accounts)).toBe('Account 9');
+    });
+
+    it('flags short calls whose delta implies likely assignment', () => {
+        expect(greeks.assignmentRisks).toHaveLength(1);
+        expect(greeks.assignmentRisks[0]).toMatchObject({ ticker: 'AAPL', strike: 190, contracts: 1, expiration: '2025-07-18' });
+        expect(greeks.assignmentRisks[0].delta).toBeGreaterThan(0.8);
+
+        expect(greeks.byTicker.find((row) => row.key === 'AAPL')!.assignmentRisk).toBe(true);
+        expect(greeks.byTicker.find((row) => row.key === 'MSFT')!.assignmentRisk).toBe(false);
+        expect(greeks.byAccount.find((row) => row.key === '1')!.assignmentRisk).toBe(true);
+    });
+
+    it('counts options it cannot model', () => {
+        expect(greeks.unpriced).toBe(1);
+        expect(greeks.byTicker.find((row) => row.key === 'TSLA')).toBeUndefined();
+    });
+});
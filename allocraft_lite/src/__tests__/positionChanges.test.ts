@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+    diffSnapshots,
+    settleQueue,
+    snapshotPositions,
+    suggestWheelEvents,
+    withEventType,
+} from '../services/positionChanges';
+
+const put = (strike: number, short: number, extra: Record<string, any> = {}) => ({
+    symbol: `AAPL  250620P00${strike}000`,
+    asset_type: 'OPTION',
+    account_id: 'A1',
+    long_quantity: 0,
+    short_quantity: short,
+    average_price: 2.5,
+    market_value: -short * 40,
+    ...extra,
+});
+
+const call = (strike: number, short: number) => ({
+    symbol: `MSFT  250613C00${strike}000`,
+    asset_type: 'OPTION',
+    account_id: 'A1',
+    long_quantity: 0,
+    short_quantity: short,
+    average_price: 3.1,
+    market_value: -short * 120,
+});
+
+const shares = (symbol: string, quantity: number, price: number) => ({
+    symbol,
+    asset_type: 'EQUITY',
+    account_id: 'A1',
+    long_quantity: quantity,
+    short_quantity: 0,
+    average_price: price,
+    market_value: quantity * price,
+});
+
+const cycles = [
+    { id: 1, ticker: 'AAPL', status: 'Open', account_id: 'A1' },
+    { id: 2, ticker: 'MSFT', status: 'Open', account_id: 'A1' },
+    { id: 3, ticker: 'MSFT', status: 'Closed', account_id: 'A1' },
+];
+
+const events = [
+    { id: 10, cycle_id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-02', contracts: 1, strike: 190, premium: 2.5, expiration_date: '2025-06-20' },
+    { id: 20, cycle_id: 2, event_type: 'BUY_SHARES', trade_date: '2025-05-01', quantity_shares: 100, price: 400 },
+    { id: 21, cycle_id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-06-02', contracts: 1, strike: 420, premium: 3.1, expiration_date: '2025-06-13' },
+];
+
+const suggest = (before: any[], after: any[], takenAt: string) => suggestWheelEvents({
+    changes: diffSnapshots(snapshotPositions(before, '2025-06-01T12:00:00Z'), snapshotPositions(after, takenAt)),
+    cycles,
+    events,
+});
+
+describe('positionChanges', () => {
+    it('diffs short options and shares between snapshots', () => {
+        const before = snapshotPositions([put(190, 1), call(420, 2), shares('MSFT', 200, 400)], '2025-06-01T12:00:00Z');
+        const after = snapshotPositions([put(185, 1), call(420, 1), shares('MSFT', 200, 410), shares('AAPL', 100, 190)], '2025-06-10T12:00:00Z');
+
+        expect(diffSnapshots(before, after).map((c) => [c.kind, c.symbol, c.before, c.after])).toEqual([
+            ['shares_changed', 'AAPL', 0, 100],
+            ['short_opened', 'AAPL250620P00185000', 0, -1],
+            ['short_vanished', 'AAPL250620P00190000', -1, 0],
+            ['short_reduced', 'MSFT250613C00420000', -2, -1],
+        ]);
+        // Price moves alone are not changes
+        expect(diffSnapshots(before, before)).toEqual([]);
+    });
+
+    it('suggests an opening event in the open cycle of the ticker', () => {
+        const [suggestion] = suggest([], [put(190, 2)], '2025-06-02T12:00:00Z');
+
+        expect(suggestion.event).toMatchObject({
+            cycle_id: 1,
+            event_type: 'SELL_PUT_OPEN',
+            trade_date: '2025-06-02',
+            contracts: 2,
+            strike: 190,
+            premium: 2.5,
+            expiration_date: '2025-06-20',
+        });
+    });
+
+    it('folds the delivered shares into a put assignment', () => {
+        const suggestions = suggest([put(190, 1)], [shares('AAPL', 150, 190)], '2025-06-23T12:00:00Z');
+
+        expect(suggestions.map((s) => s.event.event_type)).toEqual(['PUT_ASSIGNMENT', 'BUY_SHARES']);
+        expect(suggestions[0].event).toMatchObject({ cycle_id: 1, quantity_shares: 100, price: 190, link_event_id: 10, trade_date: '2025-06-20' });
+        expect(suggestions[0].changeKeys).toHaveLength(2);
+        // The 50 shares the assignment does not explain are a separate purchase
+        expect(suggestions[1].event).toMatchObject({ quantity_shares: 50, price: 190 });
+    });
+
+    it('tells expired legs from buy-backs and called-away calls', () => {
+        const [expired] = suggest([put(190, 1)], [], '2025-06-23T12:00:00Z');
+        expect(expired.event).toMatchObject({ event_type: 'EXPIRED', trade_date: '2025-06-20', premium: 0, link_event_id: 10 });
+
+        const [boughtBack] = suggest([put(190, 1)], [], '2025-06-10T12:00:00Z');
+        expect(boughtBack.event).toMatchObject({ event_type: 'BUY_PUT_CLOSE', trade_date: '2025-06-10', premium: 0.4, link_event_id: 10 });
+        expect(boughtBack.alternatives).toEqual(['BUY_PUT_CLOSE', 'EXPIRED', 'PUT_ASSIGNMENT']);
+
+        const [calledAway] = suggest([call(420, 1), shares('MSFT', 100, 400)], [], '2025-06-16T12:00:00Z');
+        expect(calledAway.event).toMatchObject({ cycle_id: 2, event_type: 'CALLED_AWAY', quantity_shares: 100, price: 420, link_event_id: 21 });
+    });
+
+    it('rebuilds the event when the type is changed', () => {
+        const [boughtBack] = suggest([put(190, 1)], [], '2025-06-10T12:00:00Z');
+        const assigned = withEventType(boughtBack, 'PUT_ASSIGNMENT');
+
+        expect(assigned.key).toBe(boughtBack.key);
+        expect(assigned.event).toMatchObject({ cycle_id: 1, event_type: 'PUT_ASSIGNMENT', quantity_shares: 100, price: 190, link_event_id: 10 });
+        expect(assigned.event.premium).toBeUndefined();
+    });
+
+    it('keeps a change queued until every suggestion using it is handled', () => {
+        const changes = diffSnapshots(
+            snapshotPositions([put(190, 1)], '2025-06-01T12:00:00Z'),
+            snapshotPositions([shares('AAPL', 150, 190)], '2025-06-23T12:00:00Z'),
+        );
+        const suggestions = suggestWheelEvents({ changes, cycles, events });
+        const [assignment, purchase] = suggestions;
+
+        const partly = settleQueue({ changes, handled: [assignment.key] }, suggestions);
+        expect(partly.changes).toHaveLength(2);
+        expect(partly.handled).toEqual([assignment.key]);
+
+        expect(settleQueue({ changes, handled: [assignment.key, purchase.key] }, suggestions)).toEqual({ changes: [], handled: [] });
+    });
+});
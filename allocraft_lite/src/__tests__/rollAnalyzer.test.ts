@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+    analyzeRoll,
+    analyzeRollCandidates,
+    candidateStrikes,
+    nextExpirations,
+    sortRollScenarios,
+} from '../services/rollAnalyzer';
+
+const shortPut = { optionType: 'PUT' as const, strike: 100, expiration: '2025-06-20', contracts: 1, currentPrice: 1.5, openPremium: 2 };
+const market = { underlyingPrice: 98, impliedVolatility: 0.3, asOf: '2025-06-18' };
+
+describe('rollAnalyzer', () => {
+    it('computes net credit, added days, breakeven, annualized return and P(ITM)', () => {
+        const scenario = analyzeRoll(shortPut, { strike: 95, expiration: '2025-07-18', premium: 2.1 }, market);
+
+        expect(scenario).toMatchObject({
+            dte: 30,
+            netCreditPerShare: 0.6,
+            netCredit: 60,
+            daysAdded: 28,
+            breakeven: 92.4, // 95 - (2.00 original + 0.60 roll credit)
+            capital: 9500,
+            annualizedReturn: 0.0823, // 60 / 9500 * 365 / 28
+            assignmentPnL: 560, // shares bought at 95 are worth 98 against a 92.40 breakeven
+        });
+        expect(scenario.probabilityITM).toBeCloseTo(0.375, 3);
+    });
+
+    it('uses the share cost basis for covered call breakeven and capital', () => {
+        const call = { optionType: 'CALL' as const, strike: 105, expiration: '2025-06-20', contracts: 2, currentPrice: 0.4, costBasis: 96 };
+        const scenario = analyzeRoll(call, { strike: 105, expiration: '2025-06-20', premium: 0.4 }, market);
+
+        expect(scenario.breakeven).toBe(96);
+        expect(scenario.capital).toBe(19200);
+        expect(scenario.annualizedReturn).toBeNull();
+        expect(scenario.assignmentPnL).toBe(1800); // called away at 105 against 96 basis
+    });
+
+    it('generates strikes and weekly expirations from the roll settings', () => {
+        expect(candidateStrikes(shortPut, 98, 'extend_dte', 'current')).toEqual([100]);
+        expect(candidateStrikes(shortPut, 98, 'adjust_strike', 'current')).toEqual([98, 99, 100, 101, 102]);
+        expect(candidateStrikes(shortPut, 98, 'defensive', 'otm')).toEqual([97, 98, 99]);
+        expect(candidateStrikes({ ...shortPut, optionType: 'CALL' }, 98, 'extend_dte', 'atm')).toEqual([98]);
+
+        expect(nextExpirations('2025-06-20', 14, '2025-06-18')).toEqual(['2025-06-27', '2025-07-04', '2025-07-11', '2025-07-18']);
+    });
+
+    it('prices generated candidates from implied volatility and drops rolls over the max debit', () => {
+        const all = analyzeRollCandidates(shortPut, market, { targetDte: 14 });
+        expect(all).toHaveLength(4);
+        expect(all.every((s) => s.premium > 0)).toBe(true);
+
+        const creditOnly = analyzeRollCandidates({ ...shortPut, currentPrice: 4 }, market, { targetDte: 14, maxDebit: 0 });
+        expect(creditOnly.every((s) => s.netCredit >= 0)).toBe(true);
+        expect(creditOnly.length).toBeLessThan(all.length);
+    });
+
+    it('sorts by any column with missing values last', () => {
+        const scenarios = [
+            analyzeRoll(shortPut, { strike: 100, expiration: '2025-06-20', premium: 1.6 }, market),
+            analyzeRoll(shortPut, { strike: 95, expiration: '2025-07-18', premium: 2.1 }, market),
+            analyzeRoll(shortPut, { strike: 100, expiration: '2025-07-03', premium: 2.5 }, market),
+        ];
+
+        expect(sortRollScenarios(scenarios, 'annualizedReturn').map((s) => s.expiration)).toEqual(['2025-07-03', '2025-07-18', '2025-06-20']);
+        expect(sortRollScenarios(scenarios, 'annualizedReturn', 'asc').map((s) => s.expiration)).toEqual(['2025-07-18', '2025-07-03', '2025-06-20']);
+        expect(sortRollScenarios(scenarios, 'expiration', 'asc').map((s) => s.strike)).toEqual([100, 100, 95]);
+    });
+});
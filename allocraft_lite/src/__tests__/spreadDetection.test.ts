@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { detectSpreads, spreadsFromPositions, type SpreadLeg } from '../services/spreadDetection';
+
+const leg = (optionType: SpreadLeg['optionType'], side: SpreadLeg['side'], strike: number, price: number, contracts = 1): SpreadLeg => ({
+    symbol: `XYZ ${strike}${optionType === 'put' ? 'P' : 'C'}`,
+    optionType,
+    side,
+    strike,
+    expiration: '2025-10-17',
+    contracts,
+    price,
+});
+
+describe('spread detection', () => {
+    it('prices a bull put spread as a credit with a defined loss', () => {
+        const [spread] = detectSpreads([leg('put', 'short', 50, 1.5, 2), leg('put', 'long', 45, 0.5, 2)]);
+
+        expect(spread.kind).toBe('bull_put_spread');
+        expect(spread.label).toBe('Bull put spread 45/50P');
+        expect(spread.netCredit).toBe(200);
+        expect(spread.maxProfit).toBe(200);
+        expect(spread.maxLoss).toBe(800); // (5 - 1) * 200
+        expect(spread.margin).toBe(1000);
+        expect(spread.breakevens).toEqual([49]);
+    });
+
+    it('prices a bull call spread as a debit', () => {
+        const [spread] = detectSpreads([leg('call', 'long', 100, 4), leg('call', 'short', 110, 1)]);
+
+        expect(spread.kind).toBe('bull_call_spread');
+        expect(spread.netCredit).toBe(-300);
+        expect(spread.maxLoss).toBe(300);
+        expect(spread.maxProfit).toBe(700);
+        expect(spread.margin).toBe(0);
+        expect(spread.breakevens).toEqual([103]);
+    });
+
+    it('gives a short strangle no max loss and Reg-T margin on the larger side', () => {
+        const [spread] = detectSpreads([leg('put', 'short', 90, 1), leg('call', 'short', 110, 1.2)], { underlyingPrice: 100 });
+
+        expect(spread.kind).toBe('short_strangle');
+        expect(spread.maxLoss).toBeNull();
+        // Call: 20% of 100 - 10 OTM + 1.20, plus the 1.00 put premium
+        expect(spread.margin).toBe(1220);
+        expect(spread.breakevens).toEqual([87.8, 112.2]);
+        expect(spread.risks[0]).toContain('Undefined risk');
+    });
+
+    it('flags a jade lizard whose credit does not cover the call spread', () => {
+        const legs = [leg('put', 'short', 90, 1.5), leg('call', 'short', 110, 1), leg('call', 'long', 112, 0.3)];
+        const [covered] = detectSpreads(legs, { underlyingPrice: 100 });
+        const [thin] = detectSpreads([leg('put', 'short', 90, 1), leg('call', 'short', 110, 1), leg('call', 'long', 115, 0.3)]);
+
+        expect(covered.kind).toBe('jade_lizard');
+        expect(covered.maxLoss).toBe(8780); // (90 - 2.20) * 100
+        expect(covered.risks).toEqual([]);
+        expect(covered.breakevens).toEqual([87.8]);
+        expect(thin.risks[0]).toContain('below the $5.00 call spread width');
+        expect(thin.breakevens).toEqual([88.3, 111.7]);
+    });
+
+    it('collars only as many contracts as there are round lots', () => {
+        const spreads = detectSpreads([leg('call', 'short', 110, 2, 2), leg('put', 'long', 90, 1, 2)], { stockShares: 100, stockPrice: 100 });
+
+        expect(spreads).toHaveLength(1);
+        expect(spreads[0].kind).toBe('collar');
+        expect(spreads[0].contracts).toBe(1);
+        expect(spreads[0].maxLoss).toBe(900); // basis 99 - 90
+        expect(spreads[0].maxProfit).toBe(1100);
+    });
+
+    it('leaves legs with different expirations unpaired', () => {
+        const spreads = detectSpreads([leg('put', 'short', 50, 1.5), { ...leg('put', 'long', 45, 0.5), expiration: '2025-11-21' }]);
+
+        expect(spreads).toEqual([]);
+    });
+
+    it('reads backend snake_case positions', () => {
+        const [spread] = spreadsFromPositions([
+            { type: 'call', position: 'short', quantity: 1, strike_price: 110, expiration_date: '2025-10-17', market_value: -200 },
+            { type: 'call', position: 'long', quantity: 1, strike_price: 115, expiration_date: '2025-10-17', market_value: 50 },
+        ]);
+
+        expect(spread.kind).toBe('bear_call_spread');
+        expect(spread.maxLoss).toBe(350);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { buildTaxLots, relieveLots, type TaxLot } from '../services/taxLots';
+
+const lot = (id: string, acquiredAt: string, shares: number, costPerShare: number): TaxLot => ({
+    id, symbol: 'AAPL', acquiredAt, shares, costPerShare, source: 'event',
+});
+
+const lots = [
+    lot('a', '2024-01-10', 100, 150),
+    lot('b', '2024-09-05', 100, 190),
+    lot('c', '2025-02-03', 100, 170),
+];
+
+const sale = { shares: 150, price: 200, date: '2025-03-01' };
+
+describe('relieveLots', () => {
+    it('relieves the oldest lots first under FIFO and splits short and long term', () => {
+        const result = relieveLots(lots, sale, { method: 'FIFO' });
+
+        expect(result.relieved.map((r) => [r.lotId, r.shares, r.term])).toEqual([['a', 100, 'long'], ['b', 50, 'short']]);
+        expect(result.longTermGain).toBe(5000);
+        expect(result.shortTermGain).toBe(500);
+        expect(result.realizedGain).toBe(5500);
+        expect(result.remaining.map((l) => [l.id, l.shares])).toEqual([['b', 50], ['c', 100]]);
+    });
+
+    it('relieves the newest lots under LIFO and the costliest under HIFO', () => {
+        const lifo = relieveLots(lots, sale, { method: 'LIFO' });
+        expect(lifo.relieved.map((r) => [r.lotId, r.shares])).toEqual([['c', 100], ['b', 50]]);
+        expect(lifo.realizedGain).toBe(3500);
+
+        const hifo = relieveLots(lots, sale, { method: 'HIFO' });
+        expect(hifo.relieved.map((r) => [r.lotId, r.shares])).toEqual([['b', 100], ['c', 50]]);
+        expect(hifo.realizedGain).toBe(2500);
+    });
+
+    it('relieves exactly the selected lots and allocates fees by shares', () => {
+        const result = relieveLots(lots, { ...sale, fees: 15 }, {
+            method: 'SPECIFIC',
+            lots: [{ lotId: 'c', shares: 100 }, { lotId: 'a', shares: 50 }],
+        });
+
+        expect(result.relieved.map((r) => [r.lotId, r.proceeds, r.cost])).toEqual([['c', 19990, 17000], ['a', 9995, 7500]]);
+        expect(result.realizedGain).toBe(5485);
+    });
+
+    it('rejects oversized sales and invalid selections', () => {
+        expect(() => relieveLots(lots, { ...sale, shares: 400 })).toThrow('only 300 held');
+        expect(() => relieveLots(lots, sale, { method: 'SPECIFIC', lots: [{ lotId: 'a', shares: 100 }] })).toThrow('sale is for 150');
+        expect(() => relieveLots(lots, sale, { method: 'SPECIFIC', lots: [{ lotId: 'a', shares: 150 }] })).toThrow('only has 100');
+    });
+});
+
+describe('buildTaxLots', () => {
+    const events = [
+        { id: 1, event_type: 'BUY_SHARES', trade_date: '2024-03-01', quantity_shares: 100, price: 40, fees: 1 },
+        { id: 2, event_type: 'SELL_PUT_OPEN', trade_date: '2024-06-01', contracts: 1, strike: 35, premium: 1.5 },
+        { id: 3, event_type: 'PUT_ASSIGNMENT', trade_date: '2024-06-21', contracts: 1, strike: 35, link_event_id: 2 },
+        { id: 4, event_type: 'SELL_CALL_OPEN', trade_date: '2025-04-01', contracts: 1, strike: 45, premium: 2 },
+        { id: 5, event_type: 'CALLED_AWAY', trade_date: '2025-04-18', contracts: 1, strike: 45, link_event_id: 4 },
+    ];
+
+    it('keeps acquisition dates and prices and relieves call assignments with the call premium', () => {
+        const { lots: open, sales } = buildTaxLots('XYZ', events);
+
+        expect(open).toEqual([
+            { id: 'evt-3', symbol: 'XYZ', acquiredAt: '2024-06-21', shares: 100, costPerShare: 33.5, source: 'event' },
+        ]);
+        expect(sales).toHaveLength(1);
+        expect(sales[0]).toMatchObject({ eventId: 5, shares: 100, proceeds: 4700, cost: 4001, realizedGain: 699, longTermGain: 699 });
+    });
+
+    it('honours the relief stored on a sale', () => {
+        const { lots: open, sales } = buildTaxLots('XYZ', [
+            ...events.slice(0, 3),
+            { id: 6, event_type: 'SELL_SHARES', trade_date: '2024-08-01', quantity_shares: 100, price: 38, lot_relief: { method: 'LIFO' } },
+        ]);
+
+        expect(open.map((l) => l.id)).toEqual(['evt-1']);
+        expect(sales[0].relieved[0]).toMatchObject({ lotId: 'evt-3', gain: 450, term: 'short' });
+    });
+
+    it('replays a specific selection that no longer matches the lots without throwing', () => {
+        const sale = (lots: Array<{ lotId: string; shares: number }>) => ({
+            id: 6, event_type: 'SELL_SHARES', trade_date: '2024-08-01', quantity_shares: 150, price: 38,
+            lot_relief: { method: 'SPECIFIC', lots },
+        });
+
+        // An untracked broker lot only exists after the replay; its shares come FIFO
+        const stale = buildTaxLots('XYZ', [...events.slice(0, 3), sale([{ lotId: 'evt-3', shares: 50 }, { lotId: 'pos-XYZ', shares: 100 }])],
+            { shares: 100, averagePrice: 36 });
+        expect(stale.sales[0].relieved.map((r) => [r.lotId, r.shares])).toEqual([['evt-3', 50], ['evt-1', 100]]);
+
+        // More shares picked from a lot than it holds
+        const over = buildTaxLots('XYZ', [...events.slice(0, 3), sale([{ lotId: 'evt-3', shares: 150 }])]);
+        expect(over.sales[0].relieved.map((r) => [r.lotId, r.shares])).toEqual([['evt-3', 100], ['evt-1', 50]]);
+        expect(over.lots).toMatchObject([{ id: 'evt-1', shares: 50 }]);
+    });
+
+    it('reconciles the lots with the broker position', () => {
+        const extra = buildTaxLots('XYZ', events.slice(0, 3), { shares: 300, averagePrice: 36 });
+        expect(extra.lots.at(-1)).toMatchObject({ id: 'pos-XYZ', acquiredAt: null, shares: 100, costPerShare: 34.49, source: 'position' });
+
+        const fewer = buildTaxLots('XYZ', events.slice(0, 3), { shares: 100, averagePrice: 33.5 });
+        expect(fewer.lots.map((l) => l.id)).toEqual(['evt-3']);
+
+        const untracked = buildTaxLots('XYZ', [], { shares: 50, averagePrice: 12 });
+        expect(untracked.lots).toEqual([
+            { id: 'pos-XYZ', symbol: 'XYZ', acquiredAt: null, shares: 50, costPerShare: 12, source: 'position' },
+        ]);
+    });
+});
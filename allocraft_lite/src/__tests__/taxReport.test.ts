@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { buildTaxReport, toForm8949Csv, taxYears, buildRealizedGains } from '../services/taxReport';
+
+const cycles = [
+    { id: 1, ticker: 'XYZ', status: 'Open' },
+    { id: 2, ticker: 'abc', status: 'Closed' },
+];
+
+const events = [
+    { id: 1, cycle_id: 1, event_type: 'BUY_SHARES', trade_date: '2025-01-02', quantity_shares: 100, price: 50 },
+    { id: 2, cycle_id: 1, event_type: 'SELL_SHARES', trade_date: '2025-03-03', quantity_shares: 100, price: 45 },
+    { id: 5, cycle_id: 1, event_type: 'BUY_SHARES', trade_date: '2025-03-20', quantity_shares: 50, price: 46 },
+    { id: 6, cycle_id: 1, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-01', contracts: 1, strike: 50, premium: 1, expiration_date: '2025-05-16' },
+    { id: 7, cycle_id: 1, event_type: 'SELL_CALL_CLOSE', trade_date: '2025-05-10', contracts: 1, premium: 2.5, link_event_id: 6 },
+    { id: 8, cycle_id: 1, event_type: 'SELL_CALL_OPEN', trade_date: '2025-05-12', contracts: 1, strike: 52, premium: 1.2, expiration_date: '2025-06-20' },
+    { id: 9, cycle_id: 1, event_type: 'EXPIRED', trade_date: '2025-06-20', contracts: 1, link_event_id: 8 },
+    { id: 20, cycle_id: 2, event_type: 'BUY_SHARES', trade_date: '2023-06-01', quantity_shares: 100, price: 20 },
+    { id: 21, cycle_id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-01-10', contracts: 1, strike: 25, premium: 0.5 },
+    { id: 22, cycle_id: 2, event_type: 'CALLED_AWAY', trade_date: '2025-02-21', contracts: 1, strike: 25, link_event_id: 21 },
+];
+
+describe('buildTaxReport', () => {
+    it('splits stock and option gains by term and rolls assigned call premium into proceeds', () => {
+        const report = buildTaxReport(cycles, events, 2025);
+
+        expect(report.rows.map((r) => [r.id, r.term, r.proceeds, r.cost, r.gain])).toEqual([
+            ['stock-22-evt-20', 'long', 2550, 2000, 550],
+            ['stock-2-evt-1', 'short', 4500, 5000, -500],
+            ['option-6', 'short', 100, 250, -150],
+            ['option-8', 'short', 120, 150, -30],
+        ]);
+        expect(report.shortTerm).toEqual({ proceeds: 4720, cost: 5400, adjustments: 400, gain: -280 });
+        expect(report.longTerm).toEqual({ proceeds: 2550, cost: 2000, adjustments: 0, gain: 550 });
+        expect(report.total.gain).toBe(270);
+    });
+
+    it('disallows losses replaced within 30 days, in proportion to the replacement', () => {
+        const { washSales, rows } = buildTaxReport(cycles, events, 2025);
+
+        expect(washSales).toEqual([
+            {
+                rowId: 'stock-2-evt-1', ticker: 'XYZ', soldAt: '2025-03-03', loss: 500, disallowed: 250,
+                replacements: [{ id: 'evt-5', acquiredAt: '2025-03-20', quantity: 50, basisAdjustment: 250 }],
+            },
+            {
+                rowId: 'option-6', ticker: 'XYZ', soldAt: '2025-05-10', loss: 150, disallowed: 150,
+                replacements: [{ id: 'option-8', acquiredAt: '2025-05-12', quantity: 1, basisAdjustment: 150 }],
+            },
+        ]);
+        expect(rows.find((r) => r.id === 'stock-2-evt-1')).toMatchObject({ washSaleAdjustment: 250, reportedGain: -250 });
+    });
+
+    it('adds the disallowed loss and holding period to the replacement shares when they are sold', () => {
+        const sold = [
+            ...events,
+            { id: 10, cycle_id: 1, event_type: 'SELL_SHARES', trade_date: '2026-02-10', quantity_shares: 50, price: 60 },
+        ];
+        const { rows, washSales } = buildRealizedGains(cycles, sold);
+
+        // 50 sh @ 46 plus the 250 washed; held 60 days before the 2025-03-20 purchase
+        expect(rows.find((r) => r.eventId === 10)).toMatchObject({
+            lotId: 'evt-5-w1', acquiredAt: '2025-03-20', proceeds: 3000, cost: 2550, gain: 450, term: 'long',
+        });
+        expect(washSales.map((w) => w.rowId)).toEqual(['stock-2-evt-1', 'option-6']);
+    });
+
+    it('treats a LEAPS call bought within the window as replacing the sold shares', () => {
+        const leapsCycles = [{ id: 4, ticker: 'XYZ', status: 'Open' }];
+        const { rows, washSales } = buildRealizedGains(leapsCycles, [
+            { id: 40, cycle_id: 4, event_type: 'BUY_SHARES', trade_date: '2025-01-02', quantity_shares: 100, price: 50 },
+            { id: 41, cycle_id: 4, event_type: 'SELL_SHARES', trade_date: '2025-03-03', quantity_shares: 100, price: 45 },
+            { id: 42, cycle_id: 4, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-03-10', contracts: 1, strike: 40, premium: 8, expiration_date: '2027-01-15' },
+            { id: 43, cycle_id: 4, event_type: 'SELL_LEAPS_CLOSE', trade_date: '2025-05-01', contracts: 1, premium: 10, link_event_id: 42 },
+        ]);
+
+        expect(washSales).toEqual([{
+            rowId: 'stock-41-evt-40', ticker: 'XYZ', soldAt: '2025-03-03', loss: 500, disallowed: 500,
+            replacements: [{ id: 'leaps-42', acquiredAt: '2025-03-10', quantity: 100, basisAdjustment: 500 }],
+        }]);
+        // The washed loss lands in the LEAPS cost when it is sold
+        expect(rows.find((r) => r.id === 'leaps-42')).toMatchObject({ proceeds: 1000, cost: 1300, gain: -300 });
+    });
+
+    it('ignores acquisitions outside the window and filters by tax year', () => {
+        const late = events.map((e) => (e.id === 5 ? { ...e, trade_date: '2025-04-03' } : e));
+        expect(buildRealizedGains(cycles, late).washSales.map((w) => w.rowId)).toEqual(['option-6']);
+
+        expect(taxYears(buildRealizedGains(cycles, events).rows)).toEqual([2025]);
+        expect(buildTaxReport(cycles, events, 2024).rows).toEqual([]);
+    });
+});
+
+describe('LEAPS rows', () => {
+    const leapsCycles = [{ id: 3, ticker: 'QQQ', status: 'Open' }];
+    const leapsEvents = [
+        { id: 30, cycle_id: 3, event_type: 'BUY_LEAPS_OPEN', trade_date: '2024-01-10', contracts: 1, strike: 350, premium: 60, fees: 1, expiration_date: '2026-01-16' },
+        { id: 31, cycle_id: 3, event_type: 'SELL_LEAPS_CLOSE', trade_date: '2025-03-03', contracts: 1, premium: 95, fees: 1, link_event_id: 30 },
+        { id: 32, cycle_id: 3, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-04-01', contracts: 1, strike: 500, premium: 3, expiration_date: '2025-06-20' },
+        { id: 33, cycle_id: 3, event_type: 'EXPIRED', trade_date: '2025-06-20', contracts: 1, link_event_id: 32 },
+    ];
+
+    it('reports a LEAPS sold after a year as long term and an expired LEAPS as a short-term loss', () => {
+        const report = buildTaxReport(leapsCycles, leapsEvents, 2025);
+
+        expect(report.rows.map((r) => [r.id, r.description, r.term, r.acquiredAt, r.soldAt, r.proceeds, r.cost, r.gain])).toEqual([
+            ['leaps-30', 'QQQ 1/16/26 $350 Call', 'long', '2024-01-10', '2025-03-03', 9499, 6001, 3498],
+            ['leaps-32', 'QQQ 6/20/25 $500 Call', 'short', '2025-04-01', '2025-06-20', 0, 300, -300],
+        ]);
+        expect(report.longTerm.gain).toBe(3498);
+        expect(report.shortTerm.gain).toBe(-300);
+    });
+});
+
+describe('toForm8949Csv', () => {
+    it('lists short-term rows before long-term with wash-sale codes', () => {
+        const lines = toForm8949Csv(buildTaxReport(cycles, events, 2025)).trim().split('\n');
+
+        expect(lines[0]).toBe('Part,Description of property,Date acquired,Date sold or disposed of,Proceeds,Cost or other basis,Code,Amount of adjustment,Gain or (loss)');
+        expect(lines.slice(1)).toEqual([
+            'I,100 sh XYZ,01/02/2025,03/03/2025,4500.00,5000.00,W,250.00,-250.00',
+            'I,XYZ 5/16/25 $50 Call,05/01/2025,05/10/2025,100.00,250.00,W,150.00,0.00',
+            'I,XYZ 6/20/25 $52 Call,05/12/2025,06/20/2025,120.00,150.00,,,-30.00',
+            'II,100 sh ABC,06/01/2023,02/21/2025,2550.00,2000.00,,,550.00',
+        ]);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { projectUpcomingDividends, WheelDetectionService } from '../services/wheelDetection';
+
+const inDays = (days: number) => new Date(Date.now() + days * 86_400_000).toISOString().slice(0, 10);
+
+// 100 KO at $70 covered by a $65 call expiring after the ex-date
+const coveredCall = (callMarketValue: number) => [
+    { id: '1', symbol: 'KO', shares: 100, isOption: false, marketValue: 7000, source: 'test' },
+    {
+        id: '2',
+        symbol: `KO    ${inDays(20).slice(2).replace(/-/g, '')}C00065000`,
+        shares: 0,
+        contracts: -1,
+        marketValue: callMarketValue,
+        source: 'test',
+    },
+];
+
+describe('WheelDetectionService ex-dividend risk', () => {
+    it('flags in-the-money short calls whose extrinsic value is below the dividend', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies(coveredCall(-520), {
+            dividends: { KO: { exDate: inDays(5), amount: 0.51 } },
+        });
+
+        expect(result.strategy).toBe('covered_call');
+        expect(result.riskAssessment.level).toBe('high');
+        expect(result.riskAssessment.assignmentRisk).toBe(90);
+        expect(result.riskAssessment.exDividend).toEqual([
+            expect.objectContaining({ strikePrice: 65, underlyingPrice: 70, extrinsicValue: 0.2, dividend: 0.51 }),
+        ]);
+        expect(result.riskAssessment.factors.some((f) => f.includes('early assignment likely'))).toBe(true);
+    });
+
+    it('ignores calls with enough time value, past ex-dates and tickers without a dividend', () => {
+        const rich = WheelDetectionService.detectWheelStrategies(coveredCall(-600), {
+            dividends: { KO: { exDate: inDays(5), amount: 0.51 } },
+        });
+        const past = WheelDetectionService.detectWheelStrategies(coveredCall(-520), {
+            dividends: { KO: { exDate: inDays(-3), amount: 0.51 } },
+        });
+        const none = WheelDetectionService.detectWheelStrategies(coveredCall(-520));
+
+        for (const [result] of [rich, past, none]) {
+            expect(result.riskAssessment.exDividend).toBeUndefined();
+        }
+    });
+
+    it('projects the next ex-date from recorded DIVIDEND events and flags the call with it', () => {
+        const cycles = [{ id: 1, ticker: 'KO' }, { id: 2, ticker: 'KO' }];
+        const events = [
+            { cycle_id: 1, event_type: 'DIVIDEND', trade_date: inDays(-180), price: 0.49 },
+            { cycle_id: 1, event_type: 'DIVIDEND', trade_date: inDays(-90), price: 0.5 },
+            // The same dividend recorded on a second lot
+            { cycle_id: 2, event_type: 'DIVIDEND', trade_date: inDays(-5), price: 0.51 },
+            { cycle_id: 1, event_type: 'DIVIDEND', trade_date: inDays(-5), price: 0.51 },
+            { cycle_id: 1, event_type: 'SELL_CALL_OPEN', trade_date: inDays(-2), premium: 1 },
+        ];
+
+        const dividends = projectUpcomingDividends(cycles, events);
+        expect(dividends).toEqual({ KO: { exDate: inDays(85), amount: 0.51 } });
+        expect(projectUpcomingDividends(cycles, events.slice(0, 1))).toEqual({ KO: { exDate: inDays(2), amount: 0.49 } });
+
+        const [result] = WheelDetectionService.detectWheelStrategies(coveredCall(-520), {
+            dividends: projectUpcomingDividends(cycles, events.slice(0, 1)),
+        });
+        expect(result.riskAssessment.exDividend).toHaveLength(1);
+    });
+});
+
+// KO $50 LEAPS worth $21 with a short call worth $1.50 expiring long before it
+const pmcc = (shortStrike: number) => [
+    { id: '1', symbol: `KO    ${inDays(400).slice(2).replace(/-/g, '')}C00050000`, shares: 0, contracts: 1, marketValue: 2100, source: 'test' },
+    {
+        id: '2',
+        symbol: `KO    ${inDays(30).slice(2).replace(/-/g, '')}C000${shortStrike}000`,
+        shares: 0,
+        contracts: -1,
+        marketValue: -150,
+        source: 'test',
+    },
+];
+
+describe('WheelDetectionService poor man\'s covered call', () => {
+    it('detects short calls sold against a later long call with its max loss', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies(pmcc(75));
+
+        expect(result.strategy).toBe('poor_mans_covered_call');
+        expect(result.riskAssessment.maxLoss).toBe(1950); // 2100 LEAPS value - 150 call value
+        expect(WheelDetectionService.generateWheelSuggestions(result)[0].action).toBe('create_pmcc_cycle');
+    });
+
+    it('flags a short strike below the LEAPS strike as high risk', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies(pmcc(45));
+
+        expect(result.riskAssessment.level).toBe('high');
+        expect(result.riskAssessment.maxLoss).toBe(2450); // plus (50 - 45) * 100
+        expect(result.riskAssessment.factors[0]).toContain('at or below the $50.00 LEAPS strike');
+    });
+});
+
+const occ = (days: number, type: 'C' | 'P', strike: number) =>
+    `KO    ${inDays(days).slice(2).replace(/-/g, '')}${type}000${strike}000`;
+
+describe('WheelDetectionService multi-leg strategies', () => {
+    it('detects a bull put spread instead of a naked cash-secured put', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies([
+            { id: '1', symbol: occ(30, 'P', 60), shares: 0, contracts: -1, marketValue: -150, source: 'test' },
+            { id: '2', symbol: occ(30, 'P', 55), shares: 0, contracts: 1, marketValue: 50, source: 'test' },
+        ]);
+
+        expect(result.strategy).toBe('vertical_spread');
+        expect(result.spreads?.[0].kind).toBe('bull_put_spread');
+        expect(result.cashRequired).toBe(500);
+        expect(result.riskAssessment.maxLoss).toBe(400);
+        expect(WheelDetectionService.generateWheelSuggestions(result)[0].action).toBe('create_spread_cycle');
+    });
+
+    it('rates a short strangle high risk with no max loss', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies([
+            { id: '1', symbol: occ(30, 'P', 60), shares: 0, contracts: -1, marketValue: -100, source: 'test' },
+            { id: '2', symbol: occ(30, 'C', 75), shares: 0, contracts: -1, marketValue: -100, source: 'test' },
+        ], { underlyingPrices: { KO: 68 } });
+
+        expect(result.strategy).toBe('short_strangle');
+        expect(result.riskAssessment.level).toBe('high');
+        expect(result.riskAssessment.maxLoss).toBeUndefined();
+        expect(result.cashRequired).toBeGreaterThan(0);
+    });
+
+    it('detects a collar ahead of the covered call', () => {
+        const [result] = WheelDetectionService.detectWheelStrategies([
+            { id: '1', symbol: 'KO', shares: 100, isOption: false, marketValue: 7000, source: 'test' },
+            { id: '2', symbol: occ(30, 'C', 75), shares: 0, contracts: -1, marketValue: -100, source: 'test' },
+            { id: '3', symbol: occ(30, 'P', 65), shares: 0, contracts: 1, marketValue: 80, source: 'test' },
+        ]);
+
+        expect(result.strategy).toBe('collar');
+        expect(result.riskAssessment.maxLoss).toBe(480); // basis 69.80 - 65
+    });
+});
+
+describe('WheelDetectionService confidence factors', () => {
+    it('returns the weighted factors behind the score', () => {
+        const [plain] = WheelDetectionService.detectWheelStrategies(coveredCall(-600));
+        const [weighted] = WheelDetectionService.detectWheelStrategies(coveredCall(-600), {
+            confidenceWeights: { strategy: 0 },
+        });
+
+        expect(plain.confidenceFactors.map((f) => f.id)).toEqual([
+            'strategy', 'round_lots', 'cash_coverage', 'expiration_window', 'market_context',
+        ]);
+        expect(plain.confidenceScore).toBe(75); // 50 + 20 covered call + 5 round lot
+        expect(weighted.confidenceScore).toBe(55);
+        expect(weighted.confidenceFactors[0]).toMatchObject({ id: 'strategy', points: 20, weight: 0, contribution: 0 });
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+    replayWheelEvents,
+    calculateCyclePnL,
+    sumPnLComponents,
+    groupEventsByCycle,
+} from '../utils/wheelPnLEngine';
+
+// Full GOOG wheel: put sold, assigned, call sold and bought back, call sold and called away
+const fullWheel = [
+    { id: 1, event_type: 'SELL_PUT_OPEN', trade_date: '2025-06-28', contracts: 1, strike: 190, premium: 5.04, fees: 0.65 },
+    { id: 2, event_type: 'PUT_ASSIGNMENT', trade_date: '2025-07-02', contracts: 1, strike: 190, link_event_id: 1 },
+    { id: 3, event_type: 'SELL_CALL_OPEN', trade_date: '2025-07-28', contracts: 1, strike: 200, premium: 4.95, fees: 0.65 },
+    { id: 4, event_type: 'SELL_CALL_CLOSE', trade_date: '2025-08-05', contracts: 1, premium: 2.0, fees: 0.65, link_event_id: 3 },
+    { id: 5, event_type: 'SELL_CALL_OPEN', trade_date: '2025-08-06', contracts: 1, strike: 205, premium: 3.1, fees: 0.65 },
+    { id: 6, event_type: 'CALLED_AWAY', trade_date: '2025-08-22', contracts: 1, strike: 205, link_event_id: 5 },
+];
+
+describe('wheelPnLEngine', () => {
+    it('replays a complete wheel into realized components', () => {
+        const pnl = replayWheelEvents(fullWheel);
+
+        expect(pnl.premium).toBe(1109); // 504 + 495 - 200 + 310
+        expect(pnl.premiumByType).toEqual({ put: 504, call: 605 });
+        expect(pnl.capitalGain).toBe(1500); // (205 - 190) * 100
+        expect(pnl.capitalGainByExit.calledAway).toBe(1500);
+        expect(pnl.fees).toBe(2.6);
+        expect(pnl.realized).toBe(2606.4);
+        expect(pnl.unrealized).toBe(0);
+        expect(pnl.total).toBe(2606.4);
+        expect(pnl.sharesOpen).toBe(0);
+        expect(pnl.openLegs).toHaveLength(0);
+        expect(pnl.legs.map((leg) => leg.outcome)).toEqual(['ASSIGNED', 'BOUGHT_BACK', 'ASSIGNED']);
+    });
+
+    it('keeps open short premium and stock as unrealized', () => {
+        const pnl = replayWheelEvents(fullWheel.slice(0, 3), { currentPrice: 195 });
+
+        expect(pnl.sharesOpen).toBe(100);
+        expect(pnl.averageCost).toBe(190);
+        expect(pnl.realized).toBe(502.7); // 504 put - 1.30 fees
+        expect(pnl.unrealized).toBe(995); // 495 open call + 500 stock
+        expect(pnl.total).toBe(1497.7);
+    });
+
+    it('values open legs at their marks when supplied', () => {
+        const pnl = replayWheelEvents(fullWheel.slice(0, 1), { optionMarks: { '1': 1.5 } });
+
+        expect(pnl.unrealized).toBe(354); // 504 credit - 150 to close
+    });
+
+    it('replays events in trade-date order regardless of input order', () => {
+        const shuffled = [...fullWheel].reverse();
+        expect(replayWheelEvents(shuffled).total).toBe(replayWheelEvents(fullWheel).total);
+    });
+
+    it('counts standalone FEE events and unmatched buy-backs', () => {
+        const pnl = replayWheelEvents([
+            { event_type: 'FEE', trade_date: '2025-01-01', price: 5 },
+            { event_type: 'BUY_PUT_CLOSE', trade_date: '2025-01-02', contracts: 2, premium: 0.5 },
+        ]);
+
+        expect(pnl.fees).toBe(5);
+        expect(pnl.premium).toBe(-100);
+        expect(pnl.realized).toBe(-105);
+    });
+
+    it('computes outright share sales against average cost', () => {
+        const pnl = replayWheelEvents([
+            { event_type: 'BUY_SHARES', trade_date: '2025-01-01', quantity_shares: 100, price: 10 },
+            { event_type: 'BUY_SHARES', trade_date: '2025-01-02', quantity_shares: 100, price: 12 },
+            { event_type: 'SELL_SHARES', trade_date: '2025-01-03', quantity_shares: 100, price: 13 },
+        ], { currentPrice: 14 });
+
+        expect(pnl.capitalGainByExit.sold).toBe(200);
+        expect(pnl.sharesOpen).toBe(100);
+        expect(pnl.unrealized).toBe(300);
+    });
+
+    it('realizes dividends on the shares held at the ex-date', () => {
+        const pnl = replayWheelEvents([
+            { id: 1, event_type: 'BUY_SHARES', trade_date: '2025-01-02', quantity_shares: 200, price: 50 },
+            { id: 2, event_type: 'DIVIDEND', trade_date: '2025-02-07', price: 0.25 },
+            { id: 3, event_type: 'SELL_SHARES', trade_date: '2025-03-03', quantity_shares: 100, price: 50 },
+            { id: 4, event_type: 'DIVIDEND', trade_date: '2025-05-09', quantity_shares: 100, price: 0.26 },
+        ]);
+
+        expect(pnl.dividends).toBe(76);
+        expect(pnl.realized).toBe(76);
+        expect(sumPnLComponents([pnl, pnl]).dividends).toBe(152);
+    });
+
+    it('splits a cycle into lots using lot links', () => {
+        const pnl = calculateCyclePnL(fullWheel, { cycleId: 7, lotLinks: { '1': [1, 2, 3, 4] } });
+
+        expect(pnl.cycleId).toBe(7);
+        expect(pnl.lots).toHaveLength(1);
+        expect(pnl.lots[0].lotId).toBe('1');
+        expect(pnl.lots[0].premium).toBe(799);
+        expect(pnl.lots[0].sharesOpen).toBe(100);
+    });
+
+    it('tracks LEAPS as long legs through a roll', () => {
+        const pnl = replayWheelEvents([
+            { id: 1, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-01-10', contracts: 1, strike: 100, premium: 25 },
+            { id: 2, event_type: 'SELL_CALL_OPEN', trade_date: '2025-01-15', contracts: 1, strike: 130, premium: 2 },
+            { id: 3, event_type: 'EXPIRED', trade_date: '2025-02-21', contracts: 1, link_event_id: 2 },
+            { id: 4, event_type: 'SELL_LEAPS_CLOSE', trade_date: '2025-09-01', contracts: 1, premium: 30, link_event_id: 1 },
+            { id: 5, event_type: 'BUY_LEAPS_OPEN', trade_date: '2025-09-01', contracts: 1, strike: 110, premium: 32, link_event_id: 4 },
+            { id: 6, event_type: 'SELL_CALL_OPEN', trade_date: '2025-09-05', contracts: 1, strike: 140, premium: 3 },
+        ], { optionMarks: { 5: 35 } });
+
+        expect(pnl.longLegs.map((leg) => [leg.outcome, leg.realized])).toEqual([['SOLD', 500], ['OPEN', 0]]);
+        expect(pnl.longCallCost).toBe(3200);
+        expect(pnl.premiumByType.call).toBe(500);
+        expect(pnl.realized).toBe(700); // 200 expired call + 500 on the LEAPS sale
+        expect(pnl.unrealized).toBe(600); // 300 open call credit + (35 - 32) * 100
+        expect(pnl.sharesOpen).toBe(0);
+    });
+
+    it('sums components and groups events by cycle', () => {
+        const grouped = groupEventsByCycle([
+            { cycle_id: 1, event_type: 'SELL_PUT', premium: 1, contracts: 1 },
+            { cycle_id: 2, event_type: 'SELL_PUT', premium: 2, contracts: 1 },
+            { event_type: 'FEE', price: 1 },
+        ]);
+        expect(Object.keys(grouped)).toEqual(['1', '2']);
+
+        const total = sumPnLComponents(Object.values(grouped).map((events) => replayWheelEvents(events)));
+        expect(total.premium).toBe(300);
+        expect(total.total).toBe(300);
+    });
+});
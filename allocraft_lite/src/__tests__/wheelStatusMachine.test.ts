@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { wheelStatusMachine, createStatusMachine, WHEEL_STATUS_TRANSITIONS } from '../services/wheelStatusMachine';
+
+describe('wheelStatusMachine', () => {
+    it('allows only declared transitions', () => {
+        expect(wheelStatusMachine.canTransition('pending', 'active')).toBe(true);
+        expect(wheelStatusMachine.canTransition('closed', 'active')).toBe(false);
+        expect(wheelStatusMachine.allowedTargets('paused')).toEqual(['active', 'closed']);
+        expect(wheelStatusMachine.allowedTargets('closed')).toEqual([]);
+
+        const result = wheelStatusMachine.validate('paused', 'assigned');
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('Invalid transition from paused to assigned');
+    });
+
+    it('requires a reason to close or pause a wheel', () => {
+        const missing = wheelStatusMachine.validate('pending', 'closed', {});
+        expect(missing.valid).toBe(false);
+        expect(missing.missing).toEqual(['reason']);
+
+        expect(wheelStatusMachine.validate('pending', 'closed', { reason: 'Exited' }).valid).toBe(true);
+    });
+
+    it('reports warning guards without blocking', () => {
+        const result = wheelStatusMachine.validate('active', 'closed', { reason: 'Done' });
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual(['Closing active wheel without completion may result in missed opportunities']);
+        expect(result.recommendations).toEqual(['Consider allowing wheel to complete naturally']);
+
+        expect(wheelStatusMachine.validate('active', 'closed', { reason: 'Done', manual_closure: true }).warnings).toEqual([]);
+    });
+
+    it('blocks covering a wheel without enough shares', () => {
+        expect(wheelStatusMachine.validate('assigned', 'covered', { shares_owned: 50 })).toMatchObject({
+            valid: false,
+            reason: 'Covered calls need at least 100 shares',
+        });
+        expect(wheelStatusMachine.validate('assigned', 'covered', { shares_owned: 100 }).valid).toBe(true);
+    });
+
+    it('returns the side effects to run', () => {
+        const closing = wheelStatusMachine.validate('covered', 'closed', { reason: 'Called away' });
+        expect(closing.effects).toEqual([
+            'log_status_event', 'update_cycle_cache', 'invalidate_history', 'invalidate_positions', 'invalidate_wheels',
+        ]);
+        expect(wheelStatusMachine.validate('active', 'monitoring').effects).toEqual([
+            'log_status_event', 'update_cycle_cache', 'invalidate_history',
+        ]);
+    });
+
+    it('emits a mermaid diagram of the transitions', () => {
+        const diagram = wheelStatusMachine.toMermaid();
+        const lines = diagram.split('\n');
+
+        expect(lines[0]).toBe('stateDiagram-v2');
+        expect(lines).toContain('    [*] --> pending');
+        expect(lines).toContain('    active --> closed: reason [manual_closure]');
+        expect(lines).toContain('    assigned --> covered: [has_shares]');
+        expect(lines).toContain('    closed --> [*]');
+        expect(lines.filter((l) => l.includes(' --> ') && !l.includes('[*]'))).toHaveLength(WHEEL_STATUS_TRANSITIONS.length);
+    });
+
+    it('builds machines from custom transition tables', () => {
+        const machine = createStatusMachine(
+            [{ from: 'pending', to: 'active', requires: [], guards: [], effects: [] }],
+            ['pending', 'active'],
+        );
+        expect(machine.canTransition('pending', 'active')).toBe(true);
+        expect(machine.toMermaid()).toBe('stateDiagram-v2\n    [*] --> pending\n    pending --> active\n    active --> [*]');
+    });
+});
@@ -9,6 +9,7 @@ const apiLog = (...args: any[]) => {
     void args; // Suppress unused parameter warning
 };
 
+import { useCallback, useMemo } from 'react';
 import { QueryClient, useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiFetch } from './fastapiClient';
 import { getCachedApiBaseUrl } from '../utils/apiConfig';
@@ -26,6 +27,19 @@ import {
     StockSector
 } from '../types';
 import { UnifiedPosition, UnifiedAccount } from '../services/unifiedApi';
+import { recordImportFingerprints } from '../services/importers/diff';
+import {
+    ALL_ACCOUNTS,
+    cyclesForAccount,
+    eventsForCycles,
+    isAllAccounts,
+    positionsForAccount,
+    resolveCycleAccount,
+    type AccountScope
+} from '../services/accountScope';
+import { buildCollateralLedger, checkCspCollateral, type CollateralCheck } from '../services/collateralLedger';
+import { projectUpcomingDividends } from '../services/wheelDetection';
+import { useAccountSelection } from '../features/accounts/AccountProvider';
 
 // Enhanced error handling
 export class ApiError extends Error {
@@ -77,7 +91,17 @@ export const queryKeys = {
     positions: ['positions'],
     stockPositions: ['positions', 'stocks'],
     optionPositions: ['positions', 'options'],
-    portfolioSummary: ['portfolio', 'summary']
+    portfolioSummary: ['portfolio', 'summary'],
+    accounts: ['portfolio', 'accounts']
+};
+
+/**
+ * Account a position or wheel hook is narrowed to: the one passed in, else
+ * the account selected in the layout. Pass ALL_ACCOUNTS for household data.
+ */
+const useAccountScope = (accountId?: AccountScope): AccountScope => {
+    const { accountId: selected } = useAccountSelection();
+    return accountId ?? selected;
 };
 
 /**
@@ -165,10 +189,13 @@ async function enhancedFetch<T = any>(path: string, options: RequestInit = {}):
 // STOCK HOOKS
 // =====================
 
-export const useStocks = () => {
+export const useStocks = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const select = useCallback((stocks: Stock[]) => positionsForAccount(stocks, scope), [scope]);
     return useQuery<Stock[]>({
         queryKey: queryKeys.stocks,
-        queryFn: () => enhancedFetch<Stock[]>('/stocks/')
+        queryFn: () => enhancedFetch<Stock[]>('/stocks/'),
+        select
     });
 };
 
@@ -238,10 +265,13 @@ export const useRefreshStockPrices = () => {
 // OPTION HOOKS
 // =====================
 
-export const useOptions = () => {
+export const useOptions = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const select = useCallback((options: Option[]) => positionsForAccount(options, scope), [scope]);
     return useQuery<Option[]>({
         queryKey: queryKeys.options,
-        queryFn: () => enhancedFetch<Option[]>('/portfolio/options')
+        queryFn: () => enhancedFetch<Option[]>('/portfolio/options'),
+        select
     });
 };
 
@@ -309,10 +339,18 @@ export const useRefreshOptionPrices = () => {
 // WHEEL HOOKS
 // =====================
 
-export const useWheelCycles = () => {
+export const useWheelCycles = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    // Cycles without a recorded account are placed by the positions that hold their collateral
+    const positions = useAllPositions(ALL_ACCOUNTS).data?.positions;
+    const select = useCallback(
+        (cycles: WheelCycle[]) => cyclesForAccount(cycles, scope, positions),
+        [scope, positions]
+    );
     return useQuery<WheelCycle[]>({
         queryKey: queryKeys.cycles,
-        queryFn: () => enhancedFetch<WheelCycle[]>('/wheels/wheel-cycles')
+        queryFn: () => enhancedFetch<WheelCycle[]>('/wheels/wheel-cycles'),
+        select
     });
 };
 
@@ -521,6 +559,37 @@ export const useWheelEvents = (wheelId?: string | number) => {
     });
 };
 
+/**
+ * Hook for getting every wheel event across all cycles (for P&L replay),
+ * narrowed to the cycles of the selected account
+ */
+export const useAllWheelEvents = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const cycles = useWheelCycles(scope).data;
+    const select = useCallback(
+        (events: any[]) => (isAllAccounts(scope) ? events : eventsForCycles(events, cycles || [])),
+        [scope, cycles]
+    );
+    return useQuery<any[]>({
+        queryKey: ['wheel-events', 'all'],
+        queryFn: () => enhancedFetch<any[]>('/wheels/wheel-events'),
+        select,
+        staleTime: 1 * 60 * 1000, // 1 minute
+    });
+};
+
+/**
+ * Hook for a cycle's persisted lots
+ */
+export const useWheelLots = (cycleId?: number) => {
+    return useQuery<any[]>({
+        queryKey: ['wheel-lots', cycleId],
+        queryFn: () => enhancedFetch<any[]>(`/wheels/cycles/${cycleId}/lots`),
+        enabled: !!cycleId,
+        staleTime: 1 * 60 * 1000, // 1 minute
+    });
+};
+
 /**
  * Hook for updating wheel status through service layer
  */
@@ -717,10 +786,17 @@ export const useSignup = () => {
 /**
  * Get all positions from unified backend
  */
-export const useAllPositions = () => {
+export const useAllPositions = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const select = useCallback((data: { total_positions: number; positions: UnifiedPosition[] }) => {
+        if (isAllAccounts(scope) || !data) return data;
+        const positions = positionsForAccount(data.positions || [], scope);
+        return { ...data, total_positions: positions.length, positions };
+    }, [scope]);
     return useQuery<{ total_positions: number; positions: UnifiedPosition[] }>({
         queryKey: queryKeys.positions,
         queryFn: () => enhancedFetch<{ total_positions: number; positions: UnifiedPosition[] }>('/portfolio/positions'),
+        select,
         staleTime: 3 * 60 * 1000, // 3 minutes - positions change frequently
     });
 };
@@ -728,9 +804,12 @@ export const useAllPositions = () => {
 /**
  * Get stock positions (EQUITY + COLLECTIVE_INVESTMENT)
  */
-export const useStockPositions = () => {
+export const useStockPositions = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const select = useCallback((positions: UnifiedPosition[]) => positionsForAccount(positions, scope), [scope]);
     return useQuery<UnifiedPosition[]>({
         queryKey: queryKeys.stockPositions,
+        select,
         queryFn: async () => {
             apiLog('🔍 useStockPositions: Starting fetch...');
             const response = await enhancedFetch<UnifiedPosition[]>('/portfolio/positions/stocks');
@@ -750,9 +829,12 @@ export const useStockPositions = () => {
 /**
  * Get option positions with parsed data
  */
-export const useOptionPositions = () => {
+export const useOptionPositions = (accountId?: AccountScope) => {
+    const scope = useAccountScope(accountId);
+    const select = useCallback((positions: UnifiedPosition[]) => positionsForAccount(positions, scope), [scope]);
     return useQuery<UnifiedPosition[]>({
         queryKey: queryKeys.optionPositions,
+        select,
         queryFn: async () => {
             apiLog('🔍 useOptionPositions: Starting fetch...');
             const response = await enhancedFetch<UnifiedPosition[]>('/portfolio/positions/options');
@@ -782,6 +864,82 @@ export const usePortfolioSummary = () => {
     });
 };
 
+/**
+ * Brokerage accounts with cash balances (for the account selector and balances)
+ */
+export const useAccounts = () => {
+    return useQuery<UnifiedAccount[]>({
+        queryKey: queryKeys.accounts,
+        queryFn: async () => {
+            const response = await enhancedFetch<{ total_accounts: number; accounts: UnifiedAccount[] }>('/portfolio/accounts');
+            return Array.isArray(response?.accounts) ? response.accounts : [];
+        },
+        staleTime: 5 * 60 * 1000,
+        retry: false,
+    });
+};
+
+/**
+ * Cash reserved by open short puts and what is left, per account and for the household
+ */
+export const useCollateralLedger = () => {
+    const accounts = useAccounts();
+    const positions = useAllPositions(ALL_ACCOUNTS);
+    const cycles = useWheelCycles(ALL_ACCOUNTS);
+    const events = useAllWheelEvents(ALL_ACCOUNTS);
+
+    const ledger = useMemo(() => buildCollateralLedger({
+        accounts: accounts.data || [],
+        positions: positions.data?.positions || [],
+        cycles: cycles.data || [],
+        events: events.data || [],
+    }), [accounts.data, positions.data, cycles.data, events.data]);
+
+    return {
+        ledger,
+        isLoading: accounts.isLoading || positions.isLoading || cycles.isLoading || events.isLoading,
+    };
+};
+
+/**
+ * Next expected dividend per ticker, projected from recorded DIVIDEND events,
+ * for the ex-dividend early assignment check in wheel detection
+ */
+export const useUpcomingDividends = () => {
+    const cycles = useWheelCycles(ALL_ACCOUNTS);
+    const events = useAllWheelEvents(ALL_ACCOUNTS);
+
+    return useMemo(
+        () => projectUpcomingDividends(cycles.data || [], events.data || []),
+        [cycles.data, events.data]
+    );
+};
+
+/**
+ * Whether a new cash-secured put fits in the available cash of the wheel's
+ * account, else of the selected account. Null until a strike is entered.
+ */
+export const useCspCollateralCheck = ({ strike, contracts = 1, accountId, cycleId }: {
+    strike?: number;
+    contracts?: number;
+    accountId?: AccountScope | null;
+    cycleId?: number | string;
+}): CollateralCheck | null => {
+    const { accountId: selected } = useAccountSelection();
+    const { ledger } = useCollateralLedger();
+    const positions = useAllPositions(ALL_ACCOUNTS).data?.positions;
+    const cycles = useWheelCycles(ALL_ACCOUNTS).data;
+
+    return useMemo(() => {
+        if (!strike || !(strike > 0)) return null;
+        const cycle = cycleId != null ? (cycles || []).find((c) => String(c.id) === String(cycleId)) : undefined;
+        const scope = (!isAllAccounts(accountId) ? accountId : null)
+            ?? (cycle ? resolveCycleAccount(cycle, positions || []) : null)
+            ?? selected;
+        return checkCspCollateral(ledger, { accountId: scope, strike, contracts });
+    }, [ledger, strike, contracts, accountId, cycleId, cycles, positions, selected]);
+};
+
 /**
  * Import positions from JSON export
  */
@@ -794,17 +952,37 @@ export const useImportPositions = () => {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(importData)
         }),
-        onSuccess: () => {
+        onSuccess: (_result, importData) => {
+            // Fingerprints let a re-import of the same file be skipped
+            recordImportFingerprints(importData);
             // Invalidate all position-related queries
             queryClient.invalidateQueries({ queryKey: queryKeys.positions });
             queryClient.invalidateQueries({ queryKey: queryKeys.stockPositions });
             queryClient.invalidateQueries({ queryKey: queryKeys.optionPositions });
             queryClient.invalidateQueries({ queryKey: queryKeys.portfolioSummary });
+            queryClient.invalidateQueries({ queryKey: queryKeys.accounts });
             queryClient.invalidateQueries({ queryKey: queryKeys.dashboard });
         }
     });
 };
 
+/**
+ * Pull positions from Schwab into the backend and refetch them
+ */
+export const useSyncPositions = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation<any, ApiError, boolean | void>({
+        mutationFn: (force) => enhancedFetch(`/schwab/sync?force=${Boolean(force)}`, { method: 'POST' }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: queryKeys.positions });
+            queryClient.invalidateQueries({ queryKey: queryKeys.stockPositions });
+            queryClient.invalidateQueries({ queryKey: queryKeys.optionPositions });
+            queryClient.invalidateQueries({ queryKey: queryKeys.accounts });
+        }
+    });
+};
+
 /**
  * Check backend health for unified API
  */
@@ -820,12 +998,13 @@ export const useBackendHealth = () => {
 /**
  * Combined positions hook with comprehensive diagnostics
  */
-export const usePositionsData = () => {
+export const usePositionsData = (accountId?: AccountScope) => {
     apiLog('🎯 usePositionsData: Initializing data hooks...');
 
-    const allPositions = useAllPositions();
-    const stockPositions = useStockPositions();
-    const optionPositions = useOptionPositions();
+    const scope = useAccountScope(accountId);
+    const allPositions = useAllPositions(scope);
+    const stockPositions = useStockPositions(scope);
+    const optionPositions = useOptionPositions(scope);
     const portfolioSummary = usePortfolioSummary();
 
     apiLog('📊 usePositionsData: Hook states:', {
@@ -861,6 +1040,7 @@ export const usePositionsData = () => {
     }
 
     const result = {
+        accountId: scope,
         allPositions: allPositions.data?.positions || [],
         stockPositions: stockPositions.data || [],
         optionPositions: optionPositions.data || [],
@@ -868,12 +1048,11 @@ export const usePositionsData = () => {
         isLoading: allPositions.isLoading || stockPositions.isLoading || optionPositions.isLoading,
         isError: allPositions.isError || stockPositions.isError || optionPositions.isError, // Exclude portfolioSummary.isError
         error: allPositions.error || stockPositions.error || optionPositions.error, // Exclude portfolioSummary.error
+        // Resolves once every position query has refetched
         refetch: () => {
             apiLog('🔄 usePositionsData: Refetching all data...');
-            allPositions.refetch();
-            stockPositions.refetch();
-            optionPositions.refetch();
             // portfolioSummary.refetch(); // Skip refetch since it's disabled
+            return Promise.all([allPositions.refetch(), stockPositions.refetch(), optionPositions.refetch()]);
         }
     };
 
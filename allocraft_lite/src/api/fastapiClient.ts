@@ -20,6 +20,7 @@ const fastApiLog = (...args: any[]) => {
 };
 
 import { getCachedApiBaseUrl } from '../utils/apiConfig';
+import { handleMockRequest, isMockBackendEnabled } from '../services/mockBackend';
 
 // Dynamic API base that will be resolved at runtime
 let resolvedApiBase: string | null = null;
@@ -82,6 +83,7 @@ export async function isDevBackend(): Promise<boolean> {
  * - Pre-pends the API base URL (auto-detected for local development)
  * - Adds your login token (if you have one)
  * - Ensures JSON Content-Type by default
+ * - Answers from the in-browser mock backend instead when local mode is on
  *
  * Usage example:
  *   const res = await apiFetch('/wheels/wheel-cycles');
@@ -98,6 +100,11 @@ export async function apiFetch(path: string, options: RequestInit = {}): Promise
         "Content-Type": "application/json",
     };
 
+    if (isMockBackendEnabled()) {
+        fastApiLog(`🧪 Serving API request locally: ${path}`);
+        return handleMockRequest(path, { ...options, headers });
+    }
+
     const fullUrl = `${apiBaseUrl}${path}`;
     fastApiLog(`📡 Making API request to: ${fullUrl}`);
 
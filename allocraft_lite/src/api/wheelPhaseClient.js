@@ -1,73 +1,6 @@
 import { useQuery } from '@tanstack/react-query';
 import { API_BASE } from './fastapiClient';
-
-// Mock data for development when backend is unavailable
-const mockWheelCycles = [
-  {
-    id: 1,
-    ticker: 'HIMS',
-    current_stock_price: 16.45,
-    total_pnl: 275.50,
-    created_at: '2024-12-01T10:00:00Z',
-    lifetime_earnings: {
-      phase1: 1250.00,
-      phase2: 0,
-      phase3: 850.00,
-      phase4: 1200.00
-    },
-    current_phase: 3,
-    strategy_type: 'covered_call',
-    status: 'open'
-  },
-  {
-    id: 2,
-    ticker: 'HOOD',
-    current_stock_price: 24.82,
-    total_pnl: -125.25,
-    created_at: '2024-11-15T14:30:00Z',
-    lifetime_earnings: {
-      phase1: 890.75,
-      phase2: 0,
-      phase3: 567.50,
-      phase4: 0
-    },
-    current_phase: 1,
-    strategy_type: 'cash_secured_put',
-    status: 'open'
-  },
-  {
-    id: 3,
-    ticker: 'TSLL',
-    current_stock_price: 8.95,
-    total_pnl: 445.80,
-    created_at: '2024-10-20T09:15:00Z',
-    lifetime_earnings: {
-      phase1: 2100.25,
-      phase2: 350.00,
-      phase3: 1800.75,
-      phase4: 950.00
-    },
-    current_phase: 2,
-    strategy_type: 'assignment',
-    status: 'assigned'
-  },
-  {
-    id: 4,
-    ticker: 'QUBT',
-    current_stock_price: 2.45,
-    total_pnl: 89.25,
-    created_at: '2024-12-10T16:45:00Z',
-    lifetime_earnings: {
-      phase1: 450.00,
-      phase2: 0,
-      phase3: 220.50,
-      phase4: 380.75
-    },
-    current_phase: 4,
-    strategy_type: 'closed',
-    status: 'completed'
-  }
-];
+import { calculateCyclePnL, groupEventsByCycle } from '../utils/wheelPnLEngine';
 
 /**
  * Hook for fetching wheel cycles with enhanced phase data
@@ -76,20 +9,25 @@ export function useWheelPhaseCycles() {
   return useQuery({
     queryKey: ['wheel-phase-cycles'],
     queryFn: async () => {
+      const response = await fetch(`${API_BASE}/wheels/wheel-cycles`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch wheel cycles');
+      }
+      const cycles = await response.json();
+
+      // Events drive lifetime earnings; a failed event fetch just means no history yet
+      let eventsByCycle = {};
       try {
-        const response = await fetch(`${API_BASE}/wheels/wheel-cycles`);
-        if (!response.ok) {
-          throw new Error('Failed to fetch wheel cycles');
+        const eventsResponse = await fetch(`${API_BASE}/wheels/wheel-events`);
+        if (eventsResponse.ok) {
+          eventsByCycle = groupEventsByCycle(await eventsResponse.json());
         }
-        const cycles = await response.json();
-
-        // Transform cycles to include phase classification
-        return cycles.map(cycle => transformCycleToPhaseData(cycle));
-      } catch (error) {
-        console.warn('Backend unavailable, using mock data:', error.message);
-        // Fallback to mock data when backend is unavailable
-        return mockWheelCycles.map(cycle => transformCycleToPhaseData(cycle));
+      } catch (eventsError) {
+        console.warn('Failed to fetch wheel events:', eventsError.message);
       }
+
+      // Transform cycles to include phase classification
+      return cycles.map(cycle => transformCycleToPhaseData(cycle, eventsByCycle[String(cycle.id)] || []));
     },
     staleTime: 30 * 1000, // 30 seconds
     refetchInterval: 60 * 1000, // 1 minute during active use
@@ -116,14 +54,14 @@ export function usePhasePerformanceMetrics() {
 /**
  * Transform a wheel cycle from backend into phase-based data structure
  */
-function transformCycleToPhaseData(cycle) {
+function transformCycleToPhaseData(cycle, events = []) {
   const metadata = cycle.detection_metadata || {};
 
   // Determine current phase based on strategy type and status
   const currentPhase = determineCurrentPhase(cycle);
 
-  // Calculate lifetime earnings (mock for now, will be enhanced with backend)
-  const lifetimeEarnings = calculateLifetimeEarnings(cycle);
+  // Calculate lifetime earnings from the cycle's event history
+  const lifetimeEarnings = calculateLifetimeEarnings(cycle, events);
 
   // Create phase data structure
   const phaseData = createPhaseDataStructure(cycle, metadata, currentPhase);
@@ -174,19 +112,23 @@ function determineCurrentPhase(cycle) {
 }
 
 /**
- * Calculate lifetime earnings per phase (mock implementation)
+ * Calculate lifetime earnings per phase by replaying the cycle's events
+ * through the shared P&L engine:
+ * phase1 = put premium, phase2 = outright share sales,
+ * phase3 = call premium, phase4 = capital gain on called-away shares.
  */
-function calculateLifetimeEarnings(cycle) {
-  const metadata = cycle.detection_metadata || {};
-  const premium = metadata.premium || 0;
-  const contractCount = metadata.contract_count || 1;
+export function calculateLifetimeEarnings(cycle, events = []) {
+  if (events.length === 0) {
+    // No recorded history (e.g. offline mock data) - keep whatever the cycle carries
+    return cycle.lifetime_earnings || { phase1: 0, phase2: 0, phase3: 0, phase4: 0 };
+  }
 
-  // Mock lifetime calculation - will be replaced with backend aggregation
+  const pnl = calculateCyclePnL(events, { cycleId: cycle.id });
   return {
-    phase1: premium * contractCount * 100 * 3, // Simulate 3 previous cycles
-    phase2: 0, // No outright sales yet
-    phase3: premium * contractCount * 100 * 2, // Simulate 2 covered call cycles
-    phase4: premium * contractCount * 100 * 1.5, // Simulate 1.5x profit on called away
+    phase1: pnl.premiumByType.put,
+    phase2: pnl.capitalGainByExit.sold,
+    phase3: pnl.premiumByType.call,
+    phase4: pnl.capitalGainByExit.calledAway,
   };
 }
 
@@ -1,20 +1,36 @@
 /**
  * API Mode Switcher Component
- * Allows switching between direct Schwab API and backend-proxied API
+ * Allows switching between direct Schwab API, backend-proxied API and the
+ * local in-browser mock backend
  */
 
 import { useState } from 'react';
 import { Button } from '@/components/ui/button';
+import { queryClient } from '@/api/enhancedClient';
 import { backendSchwabApi } from '@/services/backendSchwabApi';
+import { DEMO_USER } from '@/services/mockBackend/fixtures';
+import { isMockBackendEnabled, resetMockBackend, setMockBackendEnabled } from '@/services/mockBackend';
 
-type ApiMode = 'direct' | 'backend';
+type ApiMode = 'direct' | 'backend' | 'local';
 
 export default function ApiModeSwitcher() {
-  const [currentMode, setCurrentMode] = useState<ApiMode>('direct');
+  const [currentMode, setCurrentMode] = useState<ApiMode>(() => (isMockBackendEnabled() ? 'local' : 'direct'));
   const [healthStatus, setHealthStatus] = useState<any>(null);
 
+  // Everything cached came from the other backend: drop it rather than show it until the refetch.
+  // Snapshots and fingerprints kept in localStorage are stored per mode (see mockBackend/mode).
+  const setLocalMode = (enabled: boolean) => {
+    setMockBackendEnabled(enabled);
+    queryClient.resetQueries();
+  };
+
+  const leaveLocalMode = () => {
+    if (currentMode === 'local') setLocalMode(false);
+  };
+
   const switchToBackend = async () => {
     try {
+      leaveLocalMode();
       // Test backend health first
       const health = await backendSchwabApi.checkHealth();
       setHealthStatus(health);
@@ -29,11 +45,25 @@ export default function ApiModeSwitcher() {
   };
 
   const switchToDirect = () => {
+    leaveLocalMode();
     setCurrentMode('direct');
     setHealthStatus(null);
     console.log('🔄 Switched to Direct API Mode');
   };
 
+  const switchToLocal = () => {
+    setLocalMode(true);
+    setCurrentMode('local');
+    setHealthStatus(null);
+    console.log('🔄 Switched to Local Mock Backend');
+  };
+
+  const resetLocalData = async () => {
+    if (!confirm('Discard every change made in local mode and restore the sample data?')) return;
+    await resetMockBackend();
+    queryClient.invalidateQueries();
+  };
+
   const testBackendConnection = async () => {
     try {
       const health = await backendSchwabApi.checkHealth();
@@ -48,7 +78,7 @@ export default function ApiModeSwitcher() {
     <div className="p-4 bg-blue-50 rounded-lg border-2 border-blue-200">
       <h3 className="font-bold text-lg mb-3 text-blue-800">🔄 API Mode Switcher</h3>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
         {/* Direct API Mode */}
         <div className={`p-3 rounded-lg border-2 ${currentMode === 'direct' ? 'border-blue-500 bg-blue-100' : 'border-gray-300 bg-gray-50'}`}>
           <h4 className="font-semibold text-sm mb-2">
@@ -84,19 +114,53 @@ export default function ApiModeSwitcher() {
             {currentMode === 'backend' ? 'Current Mode' : 'Switch to Backend'}
           </Button>
         </div>
+
+        {/* Local Mock Backend Mode */}
+        <div className={`p-3 rounded-lg border-2 ${currentMode === 'local' ? 'border-purple-500 bg-purple-100' : 'border-gray-300 bg-gray-50'}`}>
+          <h4 className="font-semibold text-sm mb-2">
+            {currentMode === 'local' ? '✅' : '⚪'} Local Mock Backend
+          </h4>
+          <p className="text-xs text-gray-600 mb-3">
+            Sample data stored in this browser, no server needed
+          </p>
+          <Button
+            onClick={switchToLocal}
+            disabled={currentMode === 'local'}
+            className="w-full text-xs"
+            variant={currentMode === 'local' ? 'default' : 'outline'}
+          >
+            {currentMode === 'local' ? 'Current Mode' : 'Switch to Local'}
+          </Button>
+        </div>
       </div>
 
       {/* Current Mode Info */}
       <div className="p-3 bg-white rounded border">
         <h5 className="font-medium text-sm mb-2">Current Configuration:</h5>
         <div className="text-xs space-y-1">
-          <div><strong>Mode:</strong> {currentMode === 'direct' ? 'Direct Schwab API' : 'Backend-Proxied API'}</div>
-          <div><strong>OAuth URL:</strong> {currentMode === 'direct' ? 'https://api.schwabapi.com/v1/oauth/authorize' : 'Your Backend → Schwab'}</div>
-          <div><strong>Tokens:</strong> {currentMode === 'direct' ? 'Stored in browser' : 'Managed by backend'}</div>
-          <div><strong>CORS:</strong> {currentMode === 'direct' ? 'May have issues' : 'Handled by backend'}</div>
+          <div><strong>Mode:</strong> {currentMode === 'direct' ? 'Direct Schwab API' : currentMode === 'backend' ? 'Backend-Proxied API' : 'Local Mock Backend'}</div>
+          <div><strong>OAuth URL:</strong> {currentMode === 'direct' ? 'https://api.schwabapi.com/v1/oauth/authorize' : currentMode === 'backend' ? 'Your Backend → Schwab' : 'Not used'}</div>
+          <div><strong>Tokens:</strong> {currentMode === 'direct' ? 'Stored in browser' : currentMode === 'backend' ? 'Managed by backend' : 'Issued by the local backend'}</div>
+          <div><strong>CORS:</strong> {currentMode === 'direct' ? 'May have issues' : currentMode === 'backend' ? 'Handled by backend' : 'No network requests'}</div>
         </div>
       </div>
 
+      {/* Local Backend Data */}
+      {currentMode === 'local' && (
+        <div className="mt-3 p-3 bg-purple-50 rounded border border-purple-200">
+          <div className="flex justify-between items-center mb-2">
+            <h5 className="font-medium text-sm text-purple-800">Local Data:</h5>
+            <Button onClick={resetLocalData} className="text-xs py-1 px-2">
+              Reset Sample Data
+            </Button>
+          </div>
+          <div className="text-xs text-purple-700">
+            Stocks, options, wheels, positions and the dashboard are served from IndexedDB.
+            Sign in as <strong>{DEMO_USER.username}</strong> / <strong>{DEMO_USER.password}</strong>.
+          </div>
+        </div>
+      )}
+
       {/* Backend Health Status */}
       {currentMode === 'backend' && (
         <div className="mt-3 p-3 bg-green-50 rounded border border-green-200">
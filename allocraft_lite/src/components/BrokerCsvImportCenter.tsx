@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { useAllPositions, useImportPositions } from '../api/enhancedClient';
+import { ALL_ACCOUNTS } from '../services/accountScope';
+import { diffImport, getImporters, idempotentPayload, importBrokerFiles, type BrokerImportResult, type ImportFileInput } from '../services/importers';
+import ImportDiffPanel from './ImportDiffPanel';
+import WheelHistoryReplayPanel from './WheelHistoryReplayPanel';
+
+/**
+ * Broker CSV Import
+ * Position and transaction CSV exports from the registered broker importers,
+ * mapped to the same unified format as the Schwab JSON import.
+ */
+const BrokerCsvImportCenter: React.FC = () => {
+    const importers = getImporters();
+    const [importerId, setImporterId] = useState('');
+    const [accountNumber, setAccountNumber] = useState('');
+    const [files, setFiles] = useState<ImportFileInput[]>([]);
+    const [parseError, setParseError] = useState<string | null>(null);
+    const [successMsg, setSuccessMsg] = useState<string | null>(null);
+    const [preview, setPreview] = useState<BrokerImportResult | null>(null);
+    const importPositions = useImportPositions();
+    // Diff against every account: an import file may cover several
+    const storedPositions = useAllPositions(ALL_ACCOUNTS);
+
+    const selected = importers.find((i) => i.id === importerId);
+
+    const handleFiles = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        setParseError(null);
+        setSuccessMsg(null);
+        setPreview(null);
+        const chosen = Array.from(e.target.files || []);
+        try {
+            setFiles(await Promise.all(chosen.map(async (file) => ({ name: file.name, text: await file.text() }))));
+        } catch {
+            setParseError('Could not read the selected file(s).');
+        }
+    };
+
+    const diff = useMemo(
+        () => (preview ? diffImport(preview.unified, storedPositions.data?.positions) : null),
+        [preview, storedPositions.data],
+    );
+
+    const parseFiles = () => importBrokerFiles(files, importerId || undefined, {
+        accountNumber: accountNumber.trim() || undefined,
+    });
+
+    const handlePreview = () => {
+        setParseError(null);
+        setSuccessMsg(null);
+        try {
+            setPreview(parseFiles());
+        } catch (e: any) {
+            setPreview(null);
+            setParseError(e?.message || 'Could not parse the selected file(s).');
+        }
+    };
+
+    const handleImport = async () => {
+        setParseError(null);
+        setSuccessMsg(null);
+        try {
+            const result = parseFiles();
+            setPreview(result);
+            const payload = idempotentPayload(result.unified, diffImport(result.unified, storedPositions.data?.positions));
+            if (!payload) {
+                setSuccessMsg('Nothing to import: these files match what was already imported.');
+                return;
+            }
+            const response = await importPositions.mutateAsync(payload);
+            setSuccessMsg(`Imported ${response.imported_count || 0} positions from ${result.importer.label}!`);
+        } catch (err: any) {
+            setParseError(err?.message || 'Import failed.');
+        }
+    };
+
+    return (
+        <div style={{ maxWidth: 900, margin: '2rem auto', padding: '2rem', background: '#fff', borderRadius: 12, boxShadow: '0 2px 16px rgba(0,0,0,0.08)', fontFamily: 'inherit' }}>
+            <h2>Broker CSV Import</h2>
+            <p style={{ color: '#666', fontSize: 15, marginBottom: 16 }}>
+                Upload position and/or transaction CSV exports from one broker. The broker is detected from the file headers unless you pick one.
+            </p>
+            <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', marginBottom: 18 }}>
+                <label style={{ fontWeight: 600, fontSize: 15, display: 'flex', flexDirection: 'column', gap: 4 }}>
+                    Broker
+                    <select
+                        value={importerId}
+                        onChange={e => setImporterId(e.target.value)}
+                        style={{ padding: 8, borderRadius: 6, border: '1px solid #ccc', fontWeight: 400 }}
+                    >
+                        <option value="">Auto-detect</option>
+                        {importers.map((importer) => (
+                            <option key={importer.id} value={importer.id}>{importer.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label style={{ fontWeight: 600, fontSize: 15, display: 'flex', flexDirection: 'column', gap: 4 }}>
+                    Account number
+                    <input
+                        value={accountNumber}
+                        onChange={e => setAccountNumber(e.target.value)}
+                        placeholder="Used when the export has none"
+                        style={{ padding: 8, borderRadius: 6, border: '1px solid #ccc', fontWeight: 400 }}
+                    />
+                </label>
+            </div>
+            {selected && <p style={{ color: '#888', fontSize: 13, marginTop: -8, marginBottom: 12 }}>{selected.description}</p>}
+            <input type="file" accept=".csv,text/csv" multiple onChange={handleFiles} />
+            <div style={{ display: 'flex', gap: 8, marginBottom: 12, marginTop: 16 }}>
+                <button onClick={handlePreview} disabled={files.length === 0} style={{ background: '#eee', border: 'none', borderRadius: 6, padding: '8px 16px', fontWeight: 500 }}>Preview</button>
+                <button onClick={handleImport} disabled={files.length === 0 || importPositions.isPending} style={{ background: '#1a73e8', color: '#fff', border: 'none', borderRadius: 6, padding: '8px 16px', fontWeight: 600, cursor: 'pointer', transition: 'background 0.2s' }}>Import Data</button>
+            </div>
+            {parseError && <div style={{ color: '#c00', marginBottom: 8 }}>{parseError}</div>}
+            {successMsg && <div style={{ color: '#080', marginBottom: 8 }}>{successMsg}</div>}
+            {preview && (
+                <>
+                    <ul style={{ fontSize: 14, color: '#444', marginBottom: 8 }}>
+                        {preview.files.map((file, i) => (
+                            <li key={`${file.name}-${i}`}>
+                                {file.name || `File ${i + 1}`} ({preview.importer.label} {file.kind}): {file.positions.length} positions,{' '}
+                                {file.transactions.length} transactions{file.skipped ? `, ${file.skipped} rows skipped` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                    <pre style={{ background: '#f8f9fa', borderRadius: 8, padding: 14, fontSize: 14, minHeight: 120, maxHeight: 400, overflow: 'auto' }}>{JSON.stringify(preview.unified, null, 2)}</pre>
+                    {diff && <ImportDiffPanel diff={diff} loading={storedPositions.isLoading} />}
+                    <WheelHistoryReplayPanel transactions={preview.files.flatMap((file) => file.transactions)} />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BrokerCsvImportCenter;
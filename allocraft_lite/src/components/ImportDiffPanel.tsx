@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import type { ImportDiff, PositionChangeStatus } from '../services/importers';
+
+const cell: React.CSSProperties = { padding: '6px 8px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+const STATUS_COLORS: Record<PositionChangeStatus, string> = {
+    new: '#080',
+    changed: '#a60',
+    unchanged: '#888',
+    missing: '#c00',
+};
+
+const formatValue = (value: string | number | null) => (value === null ? '—' : String(value));
+
+/**
+ * Import Dry Run
+ * What an import would change compared with the positions already stored.
+ */
+const ImportDiffPanel: React.FC<{ diff: ImportDiff; loading?: boolean }> = ({ diff, loading }) => {
+    const [showUnchanged, setShowUnchanged] = useState(false);
+    const rows = diff.accounts.flatMap((account) => account.positions)
+        .filter((row) => showUnchanged || row.status !== 'unchanged');
+    const upToDate = diff.accounts.filter((a) => a.upToDate).map((a) => a.account_number);
+
+    return (
+        <div style={{ marginTop: 24 }}>
+            <h3 style={{ marginBottom: 4 }}>Dry run</h3>
+            <p style={{ color: '#666', fontSize: 14, marginBottom: 8 }}>
+                {loading ? 'Loading stored positions… ' : ''}
+                {(Object.keys(STATUS_COLORS) as PositionChangeStatus[]).map((status, i) => (
+                    <span key={status} style={{ color: STATUS_COLORS[status], fontWeight: 600 }}>
+                        {i > 0 ? ', ' : ''}{diff.counts[status]} {status}
+                    </span>
+                ))}
+            </p>
+            {upToDate.length > 0 && (
+                <p style={{ color: '#888', fontSize: 13, marginBottom: 8 }}>
+                    Already imported, will be skipped: {upToDate.join(', ')}
+                </p>
+            )}
+            {diff.counts.unchanged > 0 && (
+                <label style={{ fontSize: 13, color: '#444', display: 'flex', gap: 6, marginBottom: 8 }}>
+                    <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                    Show unchanged positions
+                </label>
+            )}
+            {rows.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+                    <thead>
+                        <tr>
+                            {['Status', 'Account', 'Symbol', 'Changes'].map((h) => (
+                                <th key={h} style={{ ...cell, fontWeight: 600 }}>{h}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row) => (
+                            <tr key={`${row.account_number}-${row.symbol}-${row.status}-${row.fingerprint}`}>
+                                <td style={{ ...cell, color: STATUS_COLORS[row.status], fontWeight: 600 }}>{row.status}</td>
+                                <td style={cell}>{row.account_number}</td>
+                                <td style={cell}>{row.symbol}</td>
+                                <td style={{ ...cell, fontSize: 13 }}>
+                                    {row.changes.map((change) => (
+                                        <div key={change.field}>
+                                            {change.field}: {formatValue(change.before)} → {formatValue(change.after)}
+                                        </div>
+                                    ))}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default ImportDiffPanel;
@@ -1,6 +1,10 @@
-import React, { useState } from 'react';
-import { useImportPositions } from '../api/enhancedClient';
+import React, { useMemo, useState } from 'react';
+import { useAllPositions, useImportPositions } from '../api/enhancedClient';
+import { ALL_ACCOUNTS } from '../services/accountScope';
 import { transform_positions, transform_orders, transform_transactions, transform_accounts } from '../services/schwabTransformClient';
+import { diffImport, idempotentPayload, schwabTransactionsToRecords } from '../services/importers';
+import ImportDiffPanel from './ImportDiffPanel';
+import WheelHistoryReplayPanel from './WheelHistoryReplayPanel';
 
 // --- Exported for automated testing and UI use ---
 export function schwabToAllocraftUnified({
@@ -122,6 +126,13 @@ const SchwabDataImportCenter: React.FC = () => {
     const [successMsg, setSuccessMsg] = useState<string | null>(null);
     const [preview, setPreview] = useState<any | null>(null);
     const importPositions = useImportPositions();
+    // Diff against every account: an import file may cover several
+    const storedPositions = useAllPositions(ALL_ACCOUNTS);
+
+    const diff = useMemo(
+        () => (preview ? diffImport(schwabToAllocraftUnified(preview), storedPositions.data?.positions) : null),
+        [preview, storedPositions.data],
+    );
 
     // File upload handler for each input
     const handleFileChange = (setter: (v: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -192,8 +203,15 @@ const SchwabDataImportCenter: React.FC = () => {
                 transactions
             });
 
+            // Skip accounts that match what is already stored or was last imported
+            const payload = idempotentPayload(unified, diffImport(unified, storedPositions.data?.positions));
+            if (!payload) {
+                setSuccessMsg('Nothing to import: this data matches what was already imported.');
+                return;
+            }
+
             // Send to backend
-            const result = await importPositions.mutateAsync(unified);
+            const result = await importPositions.mutateAsync(payload);
             setSuccessMsg(`Imported ${result.imported_count || 0} positions successfully!`);
         } catch (err: any) {
             setParseError(err?.message || 'Import failed.');
@@ -219,6 +237,8 @@ const SchwabDataImportCenter: React.FC = () => {
             {parseError && <div style={{ color: '#c00', marginBottom: 8 }}>{parseError}</div>}
             {successMsg && <div style={{ color: '#080', marginBottom: 8 }}>{successMsg}</div>}
             {preview && <pre style={{ background: '#f8f9fa', borderRadius: 8, padding: 14, fontSize: 14, minHeight: 120 }}>{JSON.stringify(preview, null, 2)}</pre>}
+            {diff && <ImportDiffPanel diff={diff} loading={storedPositions.isLoading} />}
+            {preview?.transactions && <WheelHistoryReplayPanel transactions={schwabTransactionsToRecords(transform_transactions(preview.transactions))} />}
         </div>
     );
 };
@@ -1,7 +1,11 @@
 
-import React, { useState } from 'react';
-import { useImportPositions } from '../api/enhancedClient';
+import React, { useMemo, useState } from 'react';
+import { useAllPositions, useImportPositions } from '../api/enhancedClient';
+import { ALL_ACCOUNTS } from '../services/accountScope';
 import { transform_positions, transform_orders, transform_transactions } from '../services/schwabTransformClient';
+import { diffImport, recordImportFingerprints } from '../services/importers';
+import { schwabToAllocraftUnified } from './SchwabDataImportCenter';
+import ImportDiffPanel from './ImportDiffPanel';
 
 /**
  * Schwab JSON Importer
@@ -14,8 +18,15 @@ const SchwabJsonImport: React.FC = () => {
     const [successMsg, setSuccessMsg] = useState<string | null>(null);
     const [fileName, setFileName] = useState<string | null>(null);
     const [preview, setPreview] = useState<any | null>(null);
-    const [activeTab, setActiveTab] = useState<'positions' | 'orders' | 'transactions' | 'wheels'>('positions');
+    const [activeTab, setActiveTab] = useState<'positions' | 'changes' | 'orders' | 'transactions' | 'wheels'>('positions');
     const importPositions = useImportPositions();
+    // Diff against every account: an import file may cover several
+    const storedPositions = useAllPositions(ALL_ACCOUNTS);
+
+    const diff = useMemo(
+        () => (preview ? diffImport(schwabToAllocraftUnified({ accountsPositions: preview }), storedPositions.data?.positions) : null),
+        [preview, storedPositions.data],
+    );
 
     // File upload handler
     const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -63,7 +74,15 @@ const SchwabJsonImport: React.FC = () => {
             return;
         }
         try {
+            const unified = schwabToAllocraftUnified({ accountsPositions: parsed });
+            const changes = diffImport(unified, storedPositions.data?.positions);
+            if (changes.accounts.length > 0 && changes.accounts.every((a) => a.upToDate)) {
+                setSuccessMsg('Nothing to import: this file matches what was already imported.');
+                return;
+            }
+            // The raw Schwab JSON is posted, so fingerprints are recorded from its unified form
             const result = await importPositions.mutateAsync(parsed);
+            recordImportFingerprints(unified);
             setSuccessMsg(`Imported ${result.imported_count} positions successfully!`);
             setJsonInput('');
             setPreview(null);
@@ -122,7 +141,7 @@ const SchwabJsonImport: React.FC = () => {
             {preview && (
                 <>
                     <div style={{ margin: '18px 0 8px 0', display: 'flex', gap: 8 }}>
-                        {['positions', 'orders', 'transactions', 'wheels'].map(tab => (
+                        {['positions', 'changes', 'orders', 'transactions', 'wheels'].map(tab => (
                             <button
                                 key={tab}
                                 onClick={() => setActiveTab(tab as any)}
@@ -150,6 +169,9 @@ const SchwabJsonImport: React.FC = () => {
                                 columns={['instrument.symbol', 'instrument.assetType', 'longQuantity', 'shortQuantity', 'marketValue', 'averagePrice']}
                             />
                         )}
+                        {activeTab === 'changes' && diff && (
+                            <ImportDiffPanel diff={diff} loading={storedPositions.isLoading} />
+                        )}
                         {activeTab === 'orders' && (
                             <PreviewTable
                                 title="Orders"
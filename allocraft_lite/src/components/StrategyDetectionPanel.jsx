@@ -13,10 +13,16 @@ import {
   Clock,
   Activity,
   BarChart3,
-  Settings
+  Settings,
+  Layers,
+  ArrowUpDown,
+  MoveHorizontal,
+  Gem,
+  Shield
 } from "lucide-react";
 import { useWheelDetection, useWheelDetectionResults } from "@/api/enhancedClient";
 import { formatCurrency } from "@/lib/utils";
+import { spreadsFromPositions } from "@/services/spreadDetection";
 
 /**
  * Strategy Detection Panel Component
@@ -148,6 +154,16 @@ const StrategyDetectionPanel = ({
         return <Zap className="w-4 h-4 text-purple-600" />;
       case 'covered_call':
         return <TrendingUp className="w-4 h-4 text-blue-600" />;
+      case 'poor_mans_covered_call':
+        return <Layers className="w-4 h-4 text-indigo-600" />;
+      case 'collar':
+        return <Shield className="w-4 h-4 text-cyan-600" />;
+      case 'jade_lizard':
+        return <Gem className="w-4 h-4 text-teal-600" />;
+      case 'short_strangle':
+        return <MoveHorizontal className="w-4 h-4 text-rose-600" />;
+      case 'vertical_spread':
+        return <ArrowUpDown className="w-4 h-4 text-sky-600" />;
       case 'cash_secured_put':
         return <DollarSign className="w-4 h-4 text-green-600" />;
       case 'naked_stock':
@@ -163,6 +179,16 @@ const StrategyDetectionPanel = ({
         return 'bg-purple-100 text-purple-800 border-purple-200';
       case 'covered_call':
         return 'bg-blue-100 text-blue-800 border-blue-200';
+      case 'poor_mans_covered_call':
+        return 'bg-indigo-100 text-indigo-800 border-indigo-200';
+      case 'collar':
+        return 'bg-cyan-100 text-cyan-800 border-cyan-200';
+      case 'jade_lizard':
+        return 'bg-teal-100 text-teal-800 border-teal-200';
+      case 'short_strangle':
+        return 'bg-rose-100 text-rose-800 border-rose-200';
+      case 'vertical_spread':
+        return 'bg-sky-100 text-sky-800 border-sky-200';
       case 'cash_secured_put':
         return 'bg-green-100 text-green-800 border-green-200';
       case 'naked_stock':
@@ -172,6 +198,12 @@ const StrategyDetectionPanel = ({
     }
   };
 
+  // Risk profile of every multi-leg strategy found, paired from its positions
+  const spreadRows = (lastAnalysis?.opportunities || []).flatMap((op) =>
+    (op.spreads || spreadsFromPositions(op.positions || [], op.market_context?.underlying_price))
+      .map((spread) => ({ ticker: op.ticker, spread }))
+  );
+
   const formatLastUpdated = (timestamp) => {
     if (!timestamp) return 'Never';
     const date = new Date(timestamp);
@@ -328,7 +360,7 @@ const StrategyDetectionPanel = ({
                   className={`${getStrategyColor(strategy)} flex items-center gap-1`}
                 >
                   {getStrategyIcon(strategy)}
-                  <span className="capitalize">{strategy.replace('_', ' ')}</span>
+                  <span className="capitalize">{strategy.replace(/_/g, ' ')}</span>
                   <span className="ml-1 bg-white/50 px-1 rounded text-xs">{count}</span>
                 </Badge>
               ))}
@@ -336,6 +368,44 @@ const StrategyDetectionPanel = ({
           </div>
         )}
 
+        {/* Multi-leg Risk Profiles */}
+        {spreadRows.length > 0 && (
+          <div className="bg-white/50 rounded-lg p-4 border border-white/50">
+            <h4 className="text-sm font-semibold text-slate-900 mb-3">Spread Risk Profiles</h4>
+            <div className="space-y-2">
+              {spreadRows.map(({ ticker, spread }, index) => (
+                <div key={`${ticker}-${spread.kind}-${index}`} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className={`${getStrategyColor(spread.strategy)} flex items-center gap-1`}>
+                      {getStrategyIcon(spread.strategy)}
+                      {ticker}
+                    </Badge>
+                    <span className="text-slate-800">{spread.label} x{spread.contracts}</span>
+                    {spread.expiration && <span className="text-xs text-slate-500">exp {spread.expiration}</span>}
+                  </div>
+                  <div className="flex items-center gap-4 text-xs text-slate-600">
+                    <span>
+                      Max loss{' '}
+                      <span className={`font-semibold ${spread.maxLoss === null ? 'text-red-700' : 'text-slate-900'}`}>
+                        {spread.maxLoss === null ? 'Undefined' : formatCurrency(spread.maxLoss)}
+                      </span>
+                    </span>
+                    <span>
+                      Margin <span className="font-semibold text-slate-900">{formatCurrency(spread.margin)}</span>
+                    </span>
+                    <span>
+                      Breakeven{' '}
+                      <span className="font-semibold text-slate-900">
+                        {spread.breakevens.map((b) => formatCurrency(b)).join(' / ')}
+                      </span>
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Analysis Status */}
         {lastAnalysis && (
           <div className="bg-white/50 rounded-lg p-4 border border-white/50">
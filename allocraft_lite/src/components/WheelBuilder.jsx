@@ -3,15 +3,18 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Badge } from "@/components/ui/badge";
-import { Zap, TrendingUp, DollarSign, AlertCircle, CheckCircle2, RefreshCw } from "lucide-react";
+import { Zap, TrendingUp, DollarSign, AlertCircle, CheckCircle2, RefreshCw, Layers, ArrowUpDown, MoveHorizontal, Gem, Shield } from "lucide-react";
 import { PositionDataService } from "@/services/positionDataService";
 import { WheelDetectionService } from "@/services/wheelDetection";
-import { useCreateWheelCycle, useWheelDetection } from "@/api/enhancedClient";
+import { useConfidenceWeights } from "@/features/confidence/ConfidenceWeightsProvider";
+import { useCreateWheelCycle, useUpcomingDividends, useWheelDetection } from "@/api/enhancedClient";
 import { formatCurrency } from "@/lib/utils";
 
 const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
+    const { weights: confidenceWeights } = useConfidenceWeights();
+    const dividends = useUpcomingDividends();
     const [detectedWheels, setDetectedWheels] = useState([]);
     const [isConnected, setIsConnected] = useState(false);
     const [error, setError] = useState('');
@@ -84,7 +87,7 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
                     return;
                 }
 
-                const frontendResults = WheelDetectionService.detectWheelStrategies(positions);
+                const frontendResults = WheelDetectionService.detectWheelStrategies(positions, { confidenceWeights, dividends });
                 console.log(`📊 Frontend detection found ${frontendResults.length} opportunities`);
                 setDetectedWheels(frontendResults);
 
@@ -104,7 +107,7 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
             try {
                 const positions = await PositionDataService.getAllPositions();
                 if (positions.length > 0) {
-                    const frontendResults = WheelDetectionService.detectWheelStrategies(positions);
+                    const frontendResults = WheelDetectionService.detectWheelStrategies(positions, { confidenceWeights, dividends });
                     setDetectedWheels(frontendResults);
                     console.log(`📊 Fallback detection found ${frontendResults.length} opportunities`);
                 } else {
@@ -132,6 +135,16 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
                 return <Zap className="w-4 h-4 text-purple-600" />;
             case 'covered_call':
                 return <TrendingUp className="w-4 h-4 text-blue-600" />;
+            case 'poor_mans_covered_call':
+                return <Layers className="w-4 h-4 text-indigo-600" />;
+            case 'collar':
+                return <Shield className="w-4 h-4 text-cyan-600" />;
+            case 'jade_lizard':
+                return <Gem className="w-4 h-4 text-teal-600" />;
+            case 'short_strangle':
+                return <MoveHorizontal className="w-4 h-4 text-rose-600" />;
+            case 'vertical_spread':
+                return <ArrowUpDown className="w-4 h-4 text-sky-600" />;
             case 'cash_secured_put':
                 return <DollarSign className="w-4 h-4 text-green-600" />;
             case 'naked_stock':
@@ -147,6 +160,16 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
                 return 'bg-purple-100 text-purple-800 border-purple-200';
             case 'covered_call':
                 return 'bg-blue-100 text-blue-800 border-blue-200';
+            case 'poor_mans_covered_call':
+                return 'bg-indigo-100 text-indigo-800 border-indigo-200';
+            case 'collar':
+                return 'bg-cyan-100 text-cyan-800 border-cyan-200';
+            case 'jade_lizard':
+                return 'bg-teal-100 text-teal-800 border-teal-200';
+            case 'short_strangle':
+                return 'bg-rose-100 text-rose-800 border-rose-200';
+            case 'vertical_spread':
+                return 'bg-sky-100 text-sky-800 border-sky-200';
             case 'cash_secured_put':
                 return 'bg-green-100 text-green-800 border-green-200';
             case 'naked_stock':
@@ -327,7 +350,7 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
                                                                 <CardTitle className="text-lg">{result.ticker}</CardTitle>
                                                                 <div className="flex items-center gap-2 mt-1">
                                                                     <Badge className={getStrategyColor(result.strategy)}>
-                                                                        {result.strategy.replace('_', ' ')}
+                                                                        {result.strategy.replace(/_/g, ' ')}
                                                                     </Badge>
                                                                     <Badge variant="outline" className={getConfidenceColor(result.confidence)}>
                                                                         {result.confidence} confidence
@@ -401,7 +424,7 @@ const WheelBuilder = ({ onWheelCreated, onClose, isOpen: externalIsOpen }) => {
                                                 <h4 className="font-semibold text-green-800">Wheel Creation Preview</h4>
                                             </div>
                                             <p className="text-sm text-green-700 mb-3">
-                                                Ready to create a {selectedResult.strategy.replace('_', ' ')} wheel for {selectedResult.ticker}.
+                                                Ready to create a {selectedResult.strategy.replace(/_/g, ' ')} wheel for {selectedResult.ticker}.
                                             </p>
                                             <div className="flex gap-2">
                                                 <Button
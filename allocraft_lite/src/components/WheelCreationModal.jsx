@@ -8,7 +8,10 @@ import {
   CheckCircle2, AlertCircle, TrendingUp, DollarSign, Calendar,
   RotateCcw, Zap, Shield, Info
 } from "lucide-react";
-import { useCreateWheelCycle } from "@/api/enhancedClient";
+import { useCreateWheelCycle, useCspCollateralCheck } from "@/api/enhancedClient";
+import { useAccountSelection } from "@/features/accounts/AccountProvider";
+import { isAllAccounts } from "@/services/accountScope";
+import { analyzePmcc } from "@/services/pmcc";
 
 // Step Components
 import PositionTickerStep from './wheel-creation/PositionTickerStep';
@@ -44,6 +47,11 @@ export default function WheelCreationModal({
     contractCount: prefilledData?.contractCount || 1,
     premium: prefilledData?.premium || '',
     positionSize: prefilledData?.positionSize || '',
+    underlyingPrice: prefilledData?.underlyingPrice || '',
+    impliedVolatility: prefilledData?.impliedVolatility || '',
+    leapStrike: prefilledData?.leapStrike || '',
+    leapExpirationDate: prefilledData?.leapExpirationDate || '',
+    leapPremium: prefilledData?.leapPremium || '',
 
     // Risk Management
     stopLoss: prefilledData?.stopLoss || '',
@@ -61,6 +69,16 @@ export default function WheelCreationModal({
 
   // API mutation for creating wheel cycles
   const createWheelCycle = useCreateWheelCycle();
+  const { accountId: selectedAccountId } = useAccountSelection();
+
+  // Cash-secured puts must fit in the account's uncommitted cash
+  const isCashSecuredPut = (formData.strategyType || prefilledData?.strategy) === 'cash_secured_put';
+  const collateral = useCspCollateralCheck({
+    strike: isCashSecuredPut ? parseFloat(formData.strikePrice || prefilledData?.strikePrice) : undefined,
+    contracts: parseInt(formData.contractCount || prefilledData?.contractCount || 1),
+    accountId: prefilledData?.account_id
+  });
+  const collateralBlocked = collateral?.status === 'blocked';
 
   // Step configuration
   const steps = [
@@ -148,7 +166,21 @@ export default function WheelCreationModal({
         if (!formData.contractCount || formData.contractCount < 1) {
           errors.contractCount = "Contract count must be at least 1";
         }
-        if (!formData.positionSize) errors.positionSize = "Position size is required";
+        if (formData.strategyType === 'poor_mans_covered_call') {
+          // The LEAPS is the collateral: the short call must sit above it and expire before it
+          if (!formData.leapStrike) errors.leapStrike = "LEAPS strike is required";
+          if (!formData.leapExpirationDate) errors.leapExpirationDate = "LEAPS expiration is required";
+          const pmccRisks = formData.leapStrike && formData.strikePrice ? analyzePmcc({
+            longLegs: [{ strike: parseFloat(formData.leapStrike), expiration: formData.leapExpirationDate || null, contracts: 1, debit: 0 }],
+            shortLegs: [{ strike: parseFloat(formData.strikePrice), expiration: formData.expirationDate || null, contracts: 1, premium: 0 }]
+          }).risks : [];
+          const inverted = pmccRisks.find(r => r.code === 'short_strike_at_or_below_long');
+          const outlasts = pmccRisks.find(r => r.code === 'short_outlasts_long');
+          if (inverted) errors.strikePrice = inverted.message;
+          if (outlasts) errors.leapExpirationDate = outlasts.message;
+        } else if (!formData.positionSize) {
+          errors.positionSize = "Position size is required";
+        }
         break;
 
       case 4:
@@ -159,6 +191,8 @@ export default function WheelCreationModal({
 
         if (!strategy || !ticker || !strikePrice) {
           errors.general = "Please complete all required fields";
+        } else if (collateralBlocked) {
+          errors.general = collateral.message;
         }
         break;
     }
@@ -214,6 +248,9 @@ export default function WheelCreationModal({
       const timestamp = Date.now();
       const cycleKey = `${ticker}-${strategy}-${timestamp}`;
 
+      // The wheel belongs to the account holding its collateral
+      const accountId = prefilledData?.account_id ?? (isAllAccounts(selectedAccountId) ? null : selectedAccountId);
+
       // Prepare wheel cycle data for backend API
       const wheelCycleData = {
         cycle_key: cycleKey,
@@ -221,6 +258,7 @@ export default function WheelCreationModal({
         started_at: new Date().toISOString().split('T')[0], // YYYY-MM-DD format
         status: 'Open',
         strategy_type: strategy,
+        account_id: accountId,
         notes: formData.notes || prefilledData?.notes || `${strategy.replace('_', ' ')} wheel created via ${quickMode ? 'quick creation' : 'full wizard'}`,
         detection_metadata: {
           // Store the original form data as metadata
@@ -229,11 +267,17 @@ export default function WheelCreationModal({
           contract_count: parseInt(formData.contractCount || prefilledData?.contractCount || 1),
           premium: parseFloat(formData.premium || prefilledData?.premium) || null,
           position_size: parseFloat(formData.positionSize || prefilledData?.positionSize),
+          ...(strategy === 'poor_mans_covered_call' ? {
+            leap_strike: parseFloat(formData.leapStrike) || null,
+            leap_expiration_date: formData.leapExpirationDate || null,
+            leap_premium: parseFloat(formData.leapPremium) || null
+          } : {}),
           stop_loss: parseFloat(formData.stopLoss || prefilledData?.stopLoss) || null,
           profit_target: parseFloat(formData.profitTarget || prefilledData?.profitTarget) || null,
           max_days: parseInt(formData.maxDays || prefilledData?.maxDays) || null,
           auto_roll: formData.autoRoll || prefilledData?.autoRoll || false,
           notifications_enabled: formData.notifications ?? prefilledData?.notifications ?? true,
+          account_id: accountId,
           created_via: quickMode ? 'quick_creation' : 'full_wizard',
           source_opportunity: prefilledData ? 'detected_opportunity' : 'manual_entry',
           creation_timestamp: new Date().toISOString()
@@ -386,6 +430,21 @@ export default function WheelCreationModal({
               />
             )}
 
+            {/* Collateral check for cash-secured puts */}
+            {collateral && collateral.status !== 'ok' && !validationErrors.general && (
+              <div className={`mt-6 p-4 rounded-lg border ${collateralBlocked ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+                <div className="flex items-center gap-2">
+                  <DollarSign className={`w-5 h-5 ${collateralBlocked ? 'text-red-600' : 'text-amber-600'}`} />
+                  <span className={`font-medium ${collateralBlocked ? 'text-red-900' : 'text-amber-900'}`}>
+                    {collateralBlocked ? 'Not enough cash' : 'Check collateral'}
+                  </span>
+                </div>
+                <p className={`text-sm mt-1 ${collateralBlocked ? 'text-red-700' : 'text-amber-700'}`}>
+                  {collateral.message}
+                </p>
+              </div>
+            )}
+
             {/* General Error Display */}
             {validationErrors.general && (
               <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -436,7 +495,7 @@ export default function WheelCreationModal({
               ) : (
                 <Button
                   onClick={handleSubmit}
-                  disabled={isSubmitting}
+                  disabled={isSubmitting || collateralBlocked}
                   className="bg-green-600 hover:bg-green-700 min-w-[120px]"
                 >
                   {isSubmitting ? (
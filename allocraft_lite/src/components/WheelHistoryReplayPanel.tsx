@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import type { UnifiedTransactionRecord } from '../services/importers';
+import { reconstructWheelCycles } from '../services/historyReplay';
+import { WheelManagementService } from '../services/WheelManagementService';
+import { formatCurrency } from '@/lib/utils';
+
+const cell: React.CSSProperties = { padding: '6px 8px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+/**
+ * Wheel History Replay
+ * Preview of the wheel cycles an imported transaction history rebuilds, with
+ * each cycle's event timeline, and creation of those cycles.
+ */
+const WheelHistoryReplayPanel: React.FC<{ transactions: UnifiedTransactionRecord[] }> = ({ transactions }) => {
+    const replay = useMemo(() => reconstructWheelCycles(transactions), [transactions]);
+    const [creating, setCreating] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [successMsg, setSuccessMsg] = useState<string | null>(null);
+
+    if (transactions.length === 0) return null;
+
+    const handleCreate = async () => {
+        setError(null);
+        setSuccessMsg(null);
+        setCreating(true);
+        try {
+            const { created, completed, skipped } = await WheelManagementService.createCyclesFromHistory(replay.cycles);
+            setSuccessMsg([
+                `Created ${created.length} wheel cycles from transaction history.`,
+                completed.length ? `Finished ${completed.length} partially imported cycles.` : '',
+                skipped.length ? `Skipped ${skipped.length} already imported: ${skipped.join(', ')}.` : '',
+            ].filter(Boolean).join(' '));
+        } catch (err: any) {
+            setError(err?.message || 'Creating wheel cycles failed.');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    return (
+        <div style={{ marginTop: 24 }}>
+            <h3 style={{ marginBottom: 4 }}>Wheel history</h3>
+            <p style={{ color: '#666', fontSize: 14, marginBottom: 12 }}>
+                {replay.cycles.length} wheel cycles rebuilt from {transactions.length} transactions
+                {replay.ignored ? ` (${replay.ignored} not wheel-related)` : ''}.
+            </p>
+            {replay.cycles.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14, marginBottom: 12 }}>
+                    <thead>
+                        <tr>
+                            {['Ticker', 'Account', 'Strategy', 'Started', 'Ended', 'Status', 'Events', 'Lots', 'Realized P&L'].map((h) => (
+                                <th key={h} style={{ ...cell, fontWeight: 600 }}>{h}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {replay.cycles.map((cycle) => (
+                            <tr key={cycle.key}>
+                                <td style={cell}>
+                                    <details>
+                                        <summary style={{ cursor: 'pointer', fontWeight: 600 }}>{cycle.ticker}</summary>
+                                        <ol style={{ margin: '6px 0 0', paddingLeft: 18, fontSize: 13, color: '#444' }}>
+                                            {cycle.events.map((event) => (
+                                                <li key={event.key}>
+                                                    {event.trade_date} {event.event_type.replace(/_/g, ' ').toLowerCase()}
+                                                    {event.contracts ? ` ×${event.contracts}` : ''}
+                                                    {event.quantity_shares && !event.contracts ? ` ${event.quantity_shares} sh` : ''}
+                                                    {event.strike ? ` @ ${formatCurrency(event.strike)}` : ''}
+                                                    {event.premium ? ` for ${formatCurrency(event.premium)}` : ''}
+                                                    {event.price && !event.strike ? ` @ ${formatCurrency(event.price)}` : ''}
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    </details>
+                                </td>
+                                <td style={cell}>{cycle.account_number}</td>
+                                <td style={cell}>{cycle.strategy_type.replace(/_/g, ' ')}</td>
+                                <td style={cell}>{cycle.started_at}</td>
+                                <td style={cell}>{cycle.ended_at || '—'}</td>
+                                <td style={cell}>{cycle.status}</td>
+                                <td style={cell}>{cycle.events.length}</td>
+                                <td style={cell}>{cycle.lots.length}</td>
+                                <td style={{ ...cell, color: cycle.pnl.realized >= 0 ? '#080' : '#c00' }}>{formatCurrency(cycle.pnl.realized)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {replay.unmatched.length > 0 && (
+                <div style={{ color: '#a60', fontSize: 13, marginBottom: 12 }}>
+                    {replay.unmatched.length} transactions could not be matched (history may start mid-position):
+                    <ul style={{ margin: '4px 0 0', paddingLeft: 18 }}>
+                        {replay.unmatched.slice(0, 5).map(({ transaction, reason }, i) => (
+                            <li key={i}>{transaction.date} {transaction.symbol}: {reason}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <button
+                onClick={handleCreate}
+                disabled={creating || replay.cycles.length === 0}
+                style={{ background: '#1a73e8', color: '#fff', border: 'none', borderRadius: 6, padding: '8px 16px', fontWeight: 600, cursor: 'pointer' }}
+            >
+                {creating ? 'Creating…' : `Create ${replay.cycles.length} wheel cycles`}
+            </button>
+            {error && <div style={{ color: '#c00', marginTop: 8 }}>{error}</div>}
+            {successMsg && <div style={{ color: '#080', marginTop: 8 }}>{successMsg}</div>}
+        </div>
+    );
+};
+
+export default WheelHistoryReplayPanel;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import {
   Zap,
   TrendingUp,
@@ -15,9 +16,19 @@ import {
   Percent,
   TrendingDown,
   Coins,
-  Activity
+  Activity,
+  Layers,
+  ArrowUpDown,
+  MoveHorizontal,
+  Gem,
+  Shield
 } from "lucide-react";
 import { formatCurrency } from "@/lib/utils";
+import { isOptionSymbol } from "@/utils/occSymbol";
+import { spreadsFromPositions } from "@/services/spreadDetection";
+import { CONFIDENCE_BASE_SCORE } from "@/services/confidenceScore";
+
+const MULTI_LEG_STRATEGIES = ['vertical_spread', 'short_strangle', 'jade_lizard', 'collar'];
 
 /**
  * Wheel Opportunity Card Component
@@ -45,6 +56,7 @@ const WheelOpportunityCard = ({
     days_to_expiration,
     market_context = {}
   } = opportunity;
+  const confidenceFactors = opportunity.confidence_factors || opportunity.confidenceFactors || [];
 
   // Strategy configuration
   const getStrategyConfig = (strategy) => {
@@ -65,6 +77,46 @@ const WheelOpportunityCard = ({
         title: "Covered Call",
         description: "Generate income from existing stock positions"
       },
+      poor_mans_covered_call: {
+        icon: <Layers className="w-5 h-5 text-white" />,
+        bgGradient: "bg-gradient-to-br from-indigo-600 to-indigo-700",
+        borderColor: "border-indigo-200",
+        badgeStyle: "bg-indigo-100 text-indigo-800 border-indigo-200",
+        title: "Poor Man's Covered Call",
+        description: "Short calls sold against a long LEAPS call"
+      },
+      collar: {
+        icon: <Shield className="w-5 h-5 text-white" />,
+        bgGradient: "bg-gradient-to-br from-cyan-600 to-cyan-700",
+        borderColor: "border-cyan-200",
+        badgeStyle: "bg-cyan-100 text-cyan-800 border-cyan-200",
+        title: "Collar",
+        description: "Shares hedged with a long put, paid for by a short call"
+      },
+      jade_lizard: {
+        icon: <Gem className="w-5 h-5 text-white" />,
+        bgGradient: "bg-gradient-to-br from-teal-600 to-teal-700",
+        borderColor: "border-teal-200",
+        badgeStyle: "bg-teal-100 text-teal-800 border-teal-200",
+        title: "Jade Lizard",
+        description: "Short put with a short call spread, no upside risk when the credit covers the width"
+      },
+      short_strangle: {
+        icon: <MoveHorizontal className="w-5 h-5 text-white" />,
+        bgGradient: "bg-gradient-to-br from-rose-600 to-rose-700",
+        borderColor: "border-rose-200",
+        badgeStyle: "bg-rose-100 text-rose-800 border-rose-200",
+        title: "Short Strangle",
+        description: "Naked put and call around the price - undefined risk"
+      },
+      vertical_spread: {
+        icon: <ArrowUpDown className="w-5 h-5 text-white" />,
+        bgGradient: "bg-gradient-to-br from-sky-600 to-sky-700",
+        borderColor: "border-sky-200",
+        badgeStyle: "bg-sky-100 text-sky-800 border-sky-200",
+        title: "Vertical Spread",
+        description: "Short and long option at different strikes with a defined loss"
+      },
       cash_secured_put: {
         icon: <DollarSign className="w-5 h-5 text-white" />,
         bgGradient: "bg-gradient-to-br from-green-600 to-green-700",
@@ -101,13 +153,6 @@ const WheelOpportunityCard = ({
 
   const confidenceStyle = getConfidenceStyle(confidence_level, confidence_score);
 
-  // Helper function to detect if a position is actually an option based on symbol pattern
-  const isOptionBySymbol = (symbol) => {
-    // Option symbols contain expiration dates and strike prices
-    // Examples: 'GOOG 260618C00250000', 'AAPL 230120P00150000'
-    return /\s+\d{6}[CP]\d{8}/.test(symbol);
-  };
-
   // Format position summary
   const getPositionSummary = (positions) => {
     console.log(`🔍 WheelOpportunityCard Debug - ${ticker}:`, {
@@ -125,14 +170,14 @@ const WheelOpportunityCard = ({
     // Enhanced position filtering - detect options by symbol pattern even if type is wrong
     const stockPositions = positions.filter(p => {
       const isStockByType = (p.type === 'stock' || p.instrument_type === 'stock' || p.asset_type === 'EQUITY');
-      const isNotOptionBySymbol = !isOptionBySymbol(p.symbol || '');
+      const isNotOptionBySymbol = !isOptionSymbol(p.symbol || '');
       return isStockByType && isNotOptionBySymbol;
     });
 
     const optionPositions = positions.filter(p => {
       const isOptionByType = (p.type === 'option' || p.type === 'call' || p.type === 'put' ||
         p.instrument_type === 'option' || p.asset_type === 'OPTION');
-      const hasOptionSymbolPattern = isOptionBySymbol(p.symbol || '');
+      const hasOptionSymbolPattern = isOptionSymbol(p.symbol || '');
       return isOptionByType || hasOptionSymbolPattern; // Include if either type says option OR symbol pattern matches
     });
 
@@ -188,6 +233,11 @@ const WheelOpportunityCard = ({
 
   const primaryRecommendation = getPrimaryRecommendation(recommendations);
 
+  // Backend results carry only positions; pair their legs here
+  const spreads = MULTI_LEG_STRATEGIES.includes(strategy)
+    ? (opportunity.spreads || spreadsFromPositions(positions, market_context?.underlying_price))
+    : [];
+
   return (
     <Card className={`hover:shadow-lg transition-all duration-200 ${strategyConfig.borderColor} border-2 ${className}`}>
       {/* Card Header with Strategy Info */}
@@ -205,10 +255,54 @@ const WheelOpportunityCard = ({
 
           {/* Confidence Badge */}
           <div className="flex flex-col items-end gap-1">
-            <Badge variant="outline" className={confidenceStyle.style}>
-              <Percent className="w-3 h-3 mr-1" />
-              {confidenceStyle.label} ({confidence_score}%)
-            </Badge>
+            {confidenceFactors.length > 0 ? (
+              <Popover>
+                <PopoverTrigger asChild>
+                  <button type="button" aria-label="Confidence breakdown">
+                    <Badge variant="outline" className={`${confidenceStyle.style} cursor-pointer`}>
+                      <Percent className="w-3 h-3 mr-1" />
+                      {confidenceStyle.label} ({confidence_score}%)
+                    </Badge>
+                  </button>
+                </PopoverTrigger>
+                <PopoverContent align="end" className="w-80">
+                  <h4 className="text-sm font-semibold text-slate-900 mb-2">Confidence Breakdown</h4>
+                  <table className="w-full text-xs">
+                    <tbody>
+                      <tr className="text-slate-600">
+                        <td className="py-1">Base score</td>
+                        <td />
+                        <td className="py-1 text-right font-mono">{CONFIDENCE_BASE_SCORE}</td>
+                      </tr>
+                      {confidenceFactors.map((factor) => (
+                        <tr key={factor.id} className="border-t border-slate-100 align-top">
+                          <td className="py-1">
+                            <div className="text-slate-900">{factor.label}</div>
+                            <div className="text-slate-500">{factor.detail}</div>
+                          </td>
+                          <td className="py-1 text-right text-slate-500 font-mono whitespace-nowrap">
+                            {factor.points > 0 ? '+' : ''}{factor.points} x{factor.weight}
+                          </td>
+                          <td className={`py-1 text-right font-mono ${factor.contribution < 0 ? 'text-red-700' : factor.contribution > 0 ? 'text-green-700' : 'text-slate-500'}`}>
+                            {factor.contribution > 0 ? '+' : ''}{factor.contribution}
+                          </td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-slate-300 font-semibold text-slate-900">
+                        <td className="py-1">Score (0-100)</td>
+                        <td />
+                        <td className="py-1 text-right font-mono">{confidence_score}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </PopoverContent>
+              </Popover>
+            ) : (
+              <Badge variant="outline" className={confidenceStyle.style}>
+                <Percent className="w-3 h-3 mr-1" />
+                {confidenceStyle.label} ({confidence_score}%)
+              </Badge>
+            )}
             {days_to_expiration && (
               <div className="text-xs text-slate-500 flex items-center gap-1">
                 <Calendar className="w-3 h-3" />
@@ -271,6 +365,48 @@ const WheelOpportunityCard = ({
           )}
         </div>
 
+        {/* Risk Profile for multi-leg strategies */}
+        {spreads.length > 0 && (
+          <div className="bg-slate-50 rounded-lg p-3 space-y-2">
+            <h4 className="text-sm font-semibold text-slate-900 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" />
+              Risk Profile
+            </h4>
+            {spreads.map((spread, index) => (
+              <div key={`${spread.kind}-${index}`} className="text-sm">
+                <div className="font-medium text-slate-800">
+                  {spread.label} x{spread.contracts}
+                  {spread.expiration && <span className="text-xs text-slate-500 ml-1">exp {spread.expiration}</span>}
+                </div>
+                <div className="grid grid-cols-3 gap-3 mt-1">
+                  <div>
+                    <div className="text-xs text-slate-600">Max Loss</div>
+                    <div className={`font-semibold ${spread.maxLoss === null ? 'text-red-700' : 'text-slate-900'}`}>
+                      {spread.maxLoss === null ? 'Undefined' : formatCurrency(spread.maxLoss)}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-slate-600">Margin</div>
+                    <div className="font-semibold text-slate-900">{formatCurrency(spread.margin)}</div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-slate-600">Breakeven</div>
+                    <div className="font-semibold text-slate-900">
+                      {spread.breakevens.map((b) => formatCurrency(b)).join(' / ')}
+                    </div>
+                  </div>
+                </div>
+                {spread.risks.map((risk) => (
+                  <p key={risk} className="text-xs text-amber-700 mt-1 flex items-start gap-1">
+                    <TrendingDown className="w-3 h-3 mt-0.5 shrink-0" />
+                    {risk}
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Recommendations */}
         {recommendations && recommendations.length > 0 && (
           <div className="bg-blue-50 rounded-lg p-3 border border-blue-200">
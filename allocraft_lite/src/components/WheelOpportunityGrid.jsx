@@ -16,6 +16,17 @@ import {
   Loader2
 } from "lucide-react";
 import WheelOpportunityCard from "@/components/WheelOpportunityCard";
+import { spreadsFromPositions, totalMaxLoss } from "@/services/spreadDetection";
+import { rescoreResult } from "@/services/confidenceScore";
+import { useConfidenceWeights } from "@/features/confidence/ConfidenceWeightsProvider";
+
+// Reported max loss, else the paired legs'; unknown or uncapped sorts as the largest
+const maxLossOf = (op) => {
+  const reported = op.risk_assessment?.max_loss ?? op.riskAssessment?.maxLoss;
+  if (reported != null) return reported;
+  const spreads = op.spreads || spreadsFromPositions(op.positions || []);
+  return spreads.length > 0 ? totalMaxLoss(spreads) ?? Infinity : Infinity;
+};
 
 /**
  * Wheel Opportunity Grid Component
@@ -37,10 +48,17 @@ const WheelOpportunityGrid = ({
   const [filterConfidence, setFilterConfidence] = useState('all'); // 'all', 'high', 'medium', 'low'
   const [searchTicker, setSearchTicker] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  const { weights } = useConfidenceWeights();
+
+  // Re-score under the factor weights from Settings so the ranking follows them live
+  const scoredOpportunities = useMemo(() => opportunities.map(op => {
+    const { score, confidence, factors } = rescoreResult(op, weights);
+    return { ...op, confidence_score: score, confidence_level: confidence, confidence_factors: factors };
+  }), [opportunities, weights]);
 
   // Filter and sort opportunities
   const filteredAndSortedOpportunities = useMemo(() => {
-    let filtered = [...opportunities];
+    let filtered = [...scoredOpportunities];
 
     // Filter by ticker search
     if (searchTicker.trim()) {
@@ -88,6 +106,10 @@ const WheelOpportunityGrid = ({
           valueA = a.days_to_expiration || 999;
           valueB = b.days_to_expiration || 999;
           break;
+        case 'maxloss':
+          valueA = maxLossOf(a);
+          valueB = maxLossOf(b);
+          break;
         default:
           return 0;
       }
@@ -97,7 +119,7 @@ const WheelOpportunityGrid = ({
     });
 
     return filtered;
-  }, [opportunities, searchTicker, filterStrategy, filterConfidence, sortBy, sortOrder]);
+  }, [scoredOpportunities, searchTicker, filterStrategy, filterConfidence, sortBy, sortOrder]);
 
   // Get unique strategies for filter options
   const availableStrategies = useMemo(() => {
@@ -212,7 +234,7 @@ const WheelOpportunityGrid = ({
                   <option value="all">All Strategies</option>
                   {availableStrategies.map(strategy => (
                     <option key={strategy} value={strategy}>
-                      {strategy.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                      {strategy.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
                     </option>
                   ))}
                 </select>
@@ -257,6 +279,8 @@ const WheelOpportunityGrid = ({
                   <option value="income-asc">Income (Low to High)</option>
                   <option value="expiration-asc">Expiration (Soon to Late)</option>
                   <option value="expiration-desc">Expiration (Late to Soon)</option>
+                  <option value="maxloss-asc">Max Loss (Low to High)</option>
+                  <option value="maxloss-desc">Max Loss (High to Low)</option>
                 </select>
               </div>
 
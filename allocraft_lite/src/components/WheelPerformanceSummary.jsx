@@ -14,6 +14,10 @@ import {
   Calculator
 } from "lucide-react";
 import { formatCurrency } from "@/lib/utils";
+import { calculateCyclePnL, groupEventsByCycle, sumPnLComponents } from "@/utils/wheelPnLEngine";
+
+// Stable default so the metrics memo doesn't recompute every render
+const NO_EVENTS = [];
 
 /**
  * Wheel Performance Summary Widget
@@ -24,6 +28,7 @@ const WheelPerformanceSummary = ({
   cycles = [],
   stockPositions = [],
   optionPositions = [],
+  events = NO_EVENTS,
   className = ""
 }) => {
   const [performanceMetrics, setPerformanceMetrics] = useState({
@@ -53,8 +58,24 @@ const WheelPerformanceSummary = ({
       ? Math.round(opportunities.reduce((sum, op) => sum + (op.confidence_score || 0), 0) / totalWheels)
       : 0;
 
-    // Calculate basic P&L from positions
+    // Replay wheel events through the P&L engine so this agrees with the close modal
+    const calculateEventPnL = () => {
+      const eventsByCycle = groupEventsByCycle(events);
+      const cycleList = Array.isArray(cycles) ? cycles : [];
+      const perCycle = Object.entries(eventsByCycle).map(([cycleId, cycleEvents]) => {
+        const cycle = cycleList.find(c => String(c.id) === cycleId) || {};
+        return calculateCyclePnL(cycleEvents, {
+          cycleId,
+          currentPrice: cycle.current_price ?? cycle.current_stock_price ?? null
+        });
+      });
+      return sumPnLComponents(perCycle).total;
+    };
+
+    // Fallback: basic P&L from positions when no wheel events are recorded
     const calculateBasicPnL = () => {
+      if (events.length > 0) return calculateEventPnL();
+
       let totalPnL = 0;
 
       // Stock positions P&L (simplified)
@@ -106,7 +127,7 @@ const WheelPerformanceSummary = ({
       successRate,
       riskLevel
     };
-  }, [opportunities, cycles, stockPositions, optionPositions]);
+  }, [opportunities, cycles, stockPositions, optionPositions, events]);
 
   useEffect(() => {
     setPerformanceMetrics(metrics);
@@ -10,6 +10,8 @@ const eventTypes = [
     { value: "SELL_CALL_OPEN", label: "Sell Call (Open)" },
     { value: "SELL_CALL_CLOSE", label: "Buy to Close Call" },
     { value: "CALLED_AWAY", label: "Called Away" },
+    { value: "BUY_LEAPS_OPEN", label: "Buy LEAPS Call (Open)" },
+    { value: "SELL_LEAPS_CLOSE", label: "Sell LEAPS Call (Close)" },
 ];
 
 export default function WheelEventForm({ form, onChange, onCancel, onSubmit, editing }) {
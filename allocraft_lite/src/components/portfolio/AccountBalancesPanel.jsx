@@ -0,0 +1,103 @@
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { CalendarClock, Wallet } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { ledgerForAccount } from "@/services/collateralLedger";
+import { useAccountSelection } from "@/features/accounts/AccountProvider";
+
+/**
+ * AccountBalancesPanel - Cash committed to short puts and what is left, per account
+ * Rows select the account for the rest of the app; the household row goes
+ * back to every account. Below, the selected scope's cash as puts expire.
+ */
+export default function AccountBalancesPanel({ ledger }) {
+  const { accountId, setAccountId } = useAccountSelection();
+
+  if (!ledger || ledger.accounts.length === 0) return null;
+
+  const scoped = ledgerForAccount(ledger, accountId);
+
+  const renderRow = (row, bold = false) => (
+    <TableRow
+      key={row.accountId}
+      onClick={() => setAccountId(row.accountId)}
+      className={`cursor-pointer ${row.accountId === scoped.accountId ? 'bg-slate-100' : ''} ${bold ? 'font-semibold' : ''}`}
+    >
+      <TableCell className="font-medium">{row.label}</TableCell>
+      <TableCell className="text-right">{formatCurrency(row.totalValue)}</TableCell>
+      <TableCell className="text-right">{formatCurrency(row.cash)}</TableCell>
+      <TableCell className="text-right">{formatCurrency(row.committed)}</TableCell>
+      <TableCell className={`text-right ${row.available < 0 ? 'text-red-600' : ''}`}>
+        {formatCurrency(row.available)}
+      </TableCell>
+      <TableCell className="text-right">{formatCurrency(row.buyingPower)}</TableCell>
+      <TableCell className="text-right">{row.positionCount}</TableCell>
+    </TableRow>
+  );
+
+  return (
+    <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold text-slate-900 flex items-center gap-2">
+          <Wallet className="w-5 h-5" />
+          Accounts
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Account</TableHead>
+              <TableHead className="text-right">Value</TableHead>
+              <TableHead className="text-right">Cash</TableHead>
+              <TableHead className="text-right">Committed</TableHead>
+              <TableHead className="text-right">Available</TableHead>
+              <TableHead className="text-right">Buying Power</TableHead>
+              <TableHead className="text-right">Positions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {ledger.accounts.map((row) => renderRow(row))}
+            {renderRow(ledger.household, true)}
+          </TableBody>
+        </Table>
+
+        {scoped.releases.length > 0 && (
+          <div>
+            <h3 className="text-sm font-semibold text-slate-700 flex items-center gap-2 mb-2">
+              <CalendarClock className="w-4 h-4" />
+              Cash releases — {scoped.label}
+            </h3>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Expiration</TableHead>
+                  <TableHead className="text-right">Short Puts</TableHead>
+                  <TableHead className="text-right">Released</TableHead>
+                  <TableHead className="text-right">Available After</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {scoped.releases.map((release) => (
+                  <TableRow key={release.expiration ?? 'unknown'}>
+                    <TableCell>{release.expiration ?? 'No expiration'}</TableCell>
+                    <TableCell className="text-right">{release.reservations}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(release.amount)}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(release.availableAfter)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
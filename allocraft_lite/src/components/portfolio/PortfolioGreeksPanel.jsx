@@ -0,0 +1,139 @@
+import { useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { AlertTriangle, Gauge } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { calculatePortfolioGreeks } from "@/services/portfolioGreeks";
+
+const formatDelta = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(0)}`;
+
+/**
+ * PortfolioGreeksPanel - Net delta, theta and vega across the portfolio
+ * Aggregated per ticker or per account; short calls likely to be assigned are
+ * highlighted.
+ */
+export default function PortfolioGreeksPanel({ stockPositions = [], optionPositions = [], accounts = [] }) {
+  const [groupBy, setGroupBy] = useState('ticker');
+
+  const greeks = useMemo(
+    () => calculatePortfolioGreeks({ stockPositions, optionPositions, accounts }),
+    [stockPositions, optionPositions, accounts]
+  );
+  const rows = groupBy === 'ticker' ? greeks.byTicker : greeks.byAccount;
+
+  if (rows.length === 0) return null;
+
+  return (
+    <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-xl font-bold text-slate-900 flex items-center gap-2">
+          <Gauge className="w-5 h-5" />
+          Portfolio Greeks
+        </CardTitle>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant={groupBy === 'ticker' ? 'default' : 'outline'}
+            onClick={() => setGroupBy('ticker')}
+          >
+            By Ticker
+          </Button>
+          <Button
+            size="sm"
+            variant={groupBy === 'account' ? 'default' : 'outline'}
+            onClick={() => setGroupBy('account')}
+          >
+            By Account
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="p-4 rounded-lg bg-slate-50">
+            <p className="text-sm font-medium text-slate-600">Net Delta</p>
+            <p className="text-2xl font-bold text-slate-900">{formatDelta(greeks.totals.delta)}</p>
+            <p className="text-xs text-slate-500">Share-equivalents</p>
+          </div>
+          <div className="p-4 rounded-lg bg-slate-50">
+            <p className="text-sm font-medium text-slate-600">Net Theta</p>
+            <p className={`text-2xl font-bold ${greeks.totals.theta >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+              {formatCurrency(greeks.totals.theta)}
+            </p>
+            <p className="text-xs text-slate-500">Per day</p>
+          </div>
+          <div className="p-4 rounded-lg bg-slate-50">
+            <p className="text-sm font-medium text-slate-600">Vega Exposure</p>
+            <p className="text-2xl font-bold text-slate-900">{formatCurrency(greeks.totals.vega)}</p>
+            <p className="text-xs text-slate-500">Per 1 point of implied volatility</p>
+          </div>
+        </div>
+
+        {greeks.assignmentRisks.length > 0 && (
+          <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+            <div className="flex items-center gap-2 font-medium">
+              <AlertTriangle className="w-4 h-4" />
+              Likely assignment
+            </div>
+            <ul className="mt-1 space-y-0.5">
+              {greeks.assignmentRisks.map((risk) => (
+                <li key={`${risk.accountKey}-${risk.ticker}-${risk.strike}-${risk.expiration}`}>
+                  {risk.ticker} {risk.contracts}× ${risk.strike} call exp {risk.expiration} — delta {risk.delta.toFixed(2)},{' '}
+                  {(risk.probabilityITM * 100).toFixed(0)}% ITM
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{groupBy === 'ticker' ? 'Ticker' : 'Account'}</TableHead>
+              <TableHead className="text-right">Shares</TableHead>
+              <TableHead className="text-right">Options</TableHead>
+              <TableHead className="text-right">Delta</TableHead>
+              <TableHead className="text-right">Theta / day</TableHead>
+              <TableHead className="text-right">Vega</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.key} className={row.assignmentRisk ? 'bg-amber-50' : ''}>
+                <TableCell className="font-medium">
+                  <span className="flex items-center gap-2">
+                    {row.label}
+                    {row.assignmentRisk && (
+                      <Badge className="bg-amber-100 text-amber-800 border-amber-300">Assignment risk</Badge>
+                    )}
+                  </span>
+                </TableCell>
+                <TableCell className="text-right">{row.shares}</TableCell>
+                <TableCell className="text-right">{row.optionCount}</TableCell>
+                <TableCell className="text-right">{formatDelta(row.delta)}</TableCell>
+                <TableCell className={`text-right ${row.theta >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                  {formatCurrency(row.theta)}
+                </TableCell>
+                <TableCell className="text-right">{formatCurrency(row.vega)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        {greeks.unpriced > 0 && (
+          <p className="text-xs text-slate-500">
+            {greeks.unpriced} option position{greeks.unpriced === 1 ? '' : 's'} excluded: missing underlying price or mark.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
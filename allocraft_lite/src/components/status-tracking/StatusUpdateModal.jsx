@@ -14,6 +14,7 @@ import {
 } from 'lucide-react';
 import WheelStatusBadge from './WheelStatusBadge';
 import { WheelManagementService } from '../../services/WheelManagementService';
+import { WHEEL_STATUSES, wheelStatusMachine } from '../../services/wheelStatusMachine';
 
 /**
  * StatusUpdateModal - Manual status management interface
@@ -28,51 +29,34 @@ export default function StatusUpdateModal({
 }) {
     const [selectedStatus, setSelectedStatus] = useState(wheel?.status || '');
     const [isUpdating, setIsUpdating] = useState(false);
-    const [validationResult, setValidationResult] = useState(null);
     const [updateReason, setUpdateReason] = useState('');
+    const [requiredValues, setRequiredValues] = useState({});
 
     // Available status options with descriptions
-    const statusOptions = [
-        { value: 'pending', label: 'Pending', description: 'Initial setup phase' },
-        { value: 'active', label: 'Active', description: 'Options active, generating income' },
-        { value: 'monitoring', label: 'Monitoring', description: 'Watching for assignment/expiration' },
-        { value: 'assigned', label: 'Assigned', description: 'Put assigned, holding shares' },
-        { value: 'rolling', label: 'Rolling', description: 'Rolling options to new expiration' },
-        { value: 'covered', label: 'Covered', description: 'Covered calls active on shares' },
-        { value: 'expired', label: 'Expired', description: 'Options expired, ready for next cycle' },
-        { value: 'paused', label: 'Paused', description: 'Strategy temporarily suspended' },
-        { value: 'closed', label: 'Closed', description: 'Strategy completed or manually closed' }
-    ];
+    const statusOptions = WHEEL_STATUSES;
+    const allowedTargets = wheelStatusMachine.allowedTargets(wheel?.status);
+    const transition = wheelStatusMachine.getTransition(wheel?.status, selectedStatus);
+    const reasonRequired = !!transition?.requires.some((r) => r.field === 'reason');
+    const extraFields = transition?.requires.filter((r) => r.field !== 'reason') || [];
 
-    // Validate status transition
-    const validateTransition = async (newStatus) => {
-        if (!newStatus || newStatus === wheel.status) {
-            setValidationResult(null);
-            return;
-        }
-
-        try {
-            // Use the advanced validation from the service
-            const validation = WheelManagementService.validateStatusTransitionAdvanced(
-                wheel.status,
-                newStatus,
-                { manual: true, reason: updateReason }
-            );
-            setValidationResult(validation);
-        } catch (error) {
-            setValidationResult({
-                valid: false,
-                reason: error.message,
-                warnings: [],
-                recommendations: []
-            });
-        }
+    const transitionContext = {
+        manual: true,
+        trigger_event: 'manual',
+        automated: false,
+        reason: updateReason,
+        updated_by: 'user',
+        ...requiredValues
     };
 
+    // Validate status transition against the state machine (guards and required context)
+    const validationResult = (!wheel || !selectedStatus || selectedStatus === wheel.status)
+        ? null
+        : WheelManagementService.validateStatusTransitionAdvanced(wheel.status, selectedStatus, transitionContext);
+
     // Handle status selection change
-    const handleStatusChange = async (newStatus) => {
+    const handleStatusChange = (newStatus) => {
         setSelectedStatus(newStatus);
-        await validateTransition(newStatus);
+        setRequiredValues({});
     };
 
     // Update wheel status
@@ -80,10 +64,8 @@ export default function StatusUpdateModal({
         setIsUpdating(true);
         try {
             await WheelManagementService.updateWheelStatus(wheel.id, selectedStatus, {
-                trigger_event: 'manual',
-                automated: false,
-                reason: updateReason || 'Manual status update',
-                updated_by: 'user'
+                ...transitionContext,
+                reason: updateReason || 'Manual status update'
             });
 
             onStatusUpdate(selectedStatus);
@@ -136,34 +118,39 @@ export default function StatusUpdateModal({
                         <CardContent>
                             <div className="space-y-4">
                                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                                    {statusOptions.map((option) => (
-                                        <div
-                                            key={option.value}
-                                            className={`
-                                                p-3 border rounded-lg cursor-pointer transition-colors
-                                                ${selectedStatus === option.value ?
-                                                    'border-blue-500 bg-blue-50' :
-                                                    'border-slate-200 hover:border-slate-300'
-                                                }
-                                            `}
-                                            onClick={() => handleStatusChange(option.value)}
-                                        >
-                                            <div className="flex items-center gap-2 mb-1">
-                                                <WheelStatusBadge
-                                                    status={option.value}
-                                                    size="sm"
-                                                    showTooltip={false}
-                                                />
-                                                <span className="font-medium text-sm">{option.label}</span>
+                                    {statusOptions.map((option) => {
+                                        const allowed = option.value === wheel?.status || allowedTargets.includes(option.value);
+                                        return (
+                                            <div
+                                                key={option.value}
+                                                className={`
+                                                    p-3 border rounded-lg transition-colors
+                                                    ${!allowed ? 'opacity-50 cursor-not-allowed border-slate-200' :
+                                                        selectedStatus === option.value ?
+                                                            'cursor-pointer border-blue-500 bg-blue-50' :
+                                                            'cursor-pointer border-slate-200 hover:border-slate-300'
+                                                    }
+                                                `}
+                                                onClick={() => allowed && handleStatusChange(option.value)}
+                                                title={allowed ? undefined : `Not reachable from ${wheel?.status}`}
+                                            >
+                                                <div className="flex items-center gap-2 mb-1">
+                                                    <WheelStatusBadge
+                                                        status={option.value}
+                                                        size="sm"
+                                                        showTooltip={false}
+                                                    />
+                                                    <span className="font-medium text-sm">{option.label}</span>
+                                                </div>
+                                                <p className="text-xs text-slate-600">{option.description}</p>
                                             </div>
-                                            <p className="text-xs text-slate-600">{option.description}</p>
-                                        </div>
-                                    ))}
+                                        );
+                                    })}
                                 </div>
 
                                 <div className="space-y-2">
                                     <label className="text-sm font-medium text-slate-700">
-                                        Update Reason (Optional)
+                                        Update Reason {reasonRequired ? '(Required)' : '(Optional)'}
                                     </label>
                                     <textarea
                                         value={updateReason}
@@ -173,6 +160,17 @@ export default function StatusUpdateModal({
                                         rows={2}
                                     />
                                 </div>
+
+                                {extraFields.map(({ field, label }) => (
+                                    <div key={field} className="space-y-2">
+                                        <label className="text-sm font-medium text-slate-700">{label} (Required)</label>
+                                        <input
+                                            value={requiredValues[field] ?? ''}
+                                            onChange={(e) => setRequiredValues((prev) => ({ ...prev, [field]: e.target.value }))}
+                                            className="w-full p-3 border rounded-lg"
+                                        />
+                                    </div>
+                                ))}
                             </div>
                         </CardContent>
                     </Card>
@@ -10,6 +10,74 @@ import {
   AlertCircle, CheckCircle2, Info, TrendingUp, Calculator,
   Clock, Percent, ArrowUp, ArrowDown
 } from "lucide-react";
+import {
+  calculateGreeks,
+  blackScholesPrice,
+  impliedVolatility,
+  probabilityITM,
+  probabilityOfTouch,
+  yearsToExpiry
+} from "@/utils/optionPricing";
+import { analyzePmcc } from "@/services/pmcc";
+
+/**
+ * Black-Scholes view of the short option being configured. Volatility comes
+ * from the IV input, or is solved from the expected premium.
+ */
+const calculateOptionModel = (formData) => {
+  const spot = parseFloat(formData.underlyingPrice);
+  const strike = parseFloat(formData.strikePrice);
+  const premium = parseFloat(formData.premium);
+  const contracts = parseInt(formData.contractCount) || 1;
+  if (!(spot > 0) || !(strike > 0) || !formData.expirationDate) return null;
+
+  const base = {
+    optionType: formData.strategyType === 'covered_call' || formData.strategyType === 'poor_mans_covered_call' ? 'CALL' : 'PUT',
+    spot,
+    strike,
+    years: yearsToExpiry(formData.expirationDate)
+  };
+  const ivInput = parseFloat(formData.impliedVolatility);
+  const volatility = ivInput > 0 ? ivInput / 100 : impliedVolatility(premium, base);
+  if (!volatility) return null;
+
+  const inputs = { ...base, volatility };
+  const greeks = calculateGreeks(inputs);
+  const size = contracts * 100;
+  return {
+    volatility,
+    modelPremium: blackScholesPrice(inputs),
+    // Short option: position Greeks are the negated long Greeks
+    delta: -greeks.delta * size,
+    theta: -greeks.theta * size,
+    probabilityITM: probabilityITM(inputs),
+    probabilityOfTouch: probabilityOfTouch(inputs)
+  };
+};
+
+/**
+ * Net debit, max loss and strike/expiry risks of a poor man's covered call:
+ * the short call configured here against the LEAPS call it is sold on.
+ */
+const calculatePmcc = (formData) => {
+  const leapStrike = parseFloat(formData.leapStrike);
+  if (!(leapStrike > 0)) return null;
+  const contracts = parseInt(formData.contractCount) || 1;
+  return analyzePmcc({
+    longLegs: [{
+      strike: leapStrike,
+      expiration: formData.leapExpirationDate || null,
+      contracts,
+      debit: parseFloat(formData.leapPremium) || 0
+    }],
+    shortLegs: parseFloat(formData.strikePrice) > 0 ? [{
+      strike: parseFloat(formData.strikePrice),
+      expiration: formData.expirationDate || null,
+      contracts,
+      premium: parseFloat(formData.premium) || 0
+    }] : []
+  });
+};
 
 /**
  * ParameterConfigurationStep - Second step in wheel creation wizard
@@ -27,7 +95,9 @@ export default function ParameterConfigurationStep({
     maxRisk: 0,
     potentialIncome: 0,
     breakeven: 0,
-    returnOnCapital: 0
+    returnOnCapital: 0,
+    model: null,
+    pmcc: null
   });
 
   // Strategy-specific parameter sets
@@ -122,6 +192,15 @@ export default function ParameterConfigurationStep({
       let potentialIncome = premium * contracts * 100; // Options are per 100 shares
       let breakeven = 0;
       let returnOnCapital = 0;
+      const pmcc = formData.strategyType === 'poor_mans_covered_call' ? calculatePmcc({
+        strikePrice: formData.strikePrice,
+        premium: formData.premium,
+        contractCount: formData.contractCount,
+        expirationDate: formData.expirationDate,
+        leapStrike: formData.leapStrike,
+        leapExpirationDate: formData.leapExpirationDate,
+        leapPremium: formData.leapPremium
+      }) : null;
 
       switch (formData.strategyType) {
         case 'covered_call':
@@ -141,18 +220,37 @@ export default function ParameterConfigurationStep({
           breakeven = strike - premium;
           returnOnCapital = (strike * contracts * 100) > 0 ? (potentialIncome / (strike * contracts * 100)) * 100 : 0;
           break;
+
+        case 'poor_mans_covered_call':
+          // Capital at work is the LEAPS debit, not shares
+          maxRisk = pmcc?.maxLoss ?? 0;
+          breakeven = pmcc?.breakeven ?? 0;
+          returnOnCapital = pmcc?.longCost > 0 ? (potentialIncome / pmcc.longCost) * 100 : 0;
+          break;
       }
 
       setCalculations({
         maxRisk: Math.round(maxRisk),
         potentialIncome: Math.round(potentialIncome),
         breakeven: Math.round(breakeven * 100) / 100,
-        returnOnCapital: Math.round(returnOnCapital * 100) / 100
+        returnOnCapital: Math.round(returnOnCapital * 100) / 100,
+        model: calculateOptionModel({
+          strategyType: formData.strategyType,
+          strikePrice: formData.strikePrice,
+          premium: formData.premium,
+          contractCount: formData.contractCount,
+          expirationDate: formData.expirationDate,
+          underlyingPrice: formData.underlyingPrice,
+          impliedVolatility: formData.impliedVolatility
+        }),
+        pmcc
       });
     };
 
     calculateMetrics();
-  }, [formData.strikePrice, formData.premium, formData.contractCount, formData.positionSize, formData.strategyType]);
+  }, [formData.strikePrice, formData.premium, formData.contractCount, formData.positionSize, formData.strategyType,
+    formData.expirationDate, formData.underlyingPrice, formData.impliedVolatility,
+    formData.leapStrike, formData.leapExpirationDate, formData.leapPremium]);
 
   // Auto-calculate cash position size for cash-secured puts
   useEffect(() => {
@@ -194,6 +292,13 @@ export default function ParameterConfigurationStep({
         strikePrice: "Start with puts 5-15% below current price",
         expirationDate: "15-45 days for consistent income",
         premium: "Target 1-2% monthly return on capital"
+      },
+      poor_mans_covered_call: {
+        strikePrice: "Above the LEAPS strike plus the net debit",
+        expirationDate: "15-45 days, well before the LEAPS expires",
+        premium: "Aim to recover the LEAPS extrinsic value over several cycles",
+        leapStrike: "Deep in the money, around 0.80 delta",
+        leapExpirationDate: "9-24 months out; roll with 90 days left"
       }
     };
 
@@ -373,6 +478,112 @@ export default function ParameterConfigurationStep({
             )}
           </div>
 
+          {/* Market inputs for the option model */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="underlyingPrice" className="font-medium">
+                Underlying Price ($)
+              </Label>
+              <Input
+                id="underlyingPrice"
+                type="number"
+                placeholder="150.00"
+                value={formData.underlyingPrice}
+                onChange={(e) => handleFieldUpdate('underlyingPrice', e.target.value)}
+                step="0.01"
+                min="0"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="impliedVolatility" className="font-medium">
+                Implied Volatility (%)
+              </Label>
+              <Input
+                id="impliedVolatility"
+                type="number"
+                placeholder="From premium"
+                value={formData.impliedVolatility}
+                onChange={(e) => handleFieldUpdate('impliedVolatility', e.target.value)}
+                step="1"
+                min="0"
+              />
+            </div>
+          </div>
+
+          {/* Long LEAPS call the short calls are sold against */}
+          {strategyConfig.requiresLeaps && (
+            <div className="space-y-4 p-4 border border-indigo-200 bg-indigo-50/50 rounded-lg">
+              <h4 className="font-medium text-slate-900">LEAPS Call (Long Leg)</h4>
+              <div className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <Label htmlFor="leapStrike" className="font-medium">
+                    LEAPS Strike ($)
+                  </Label>
+                  {validationErrors.leapStrike && (
+                    <Badge variant="destructive" className="text-xs">
+                      {validationErrors.leapStrike}
+                    </Badge>
+                  )}
+                </div>
+                <Input
+                  id="leapStrike"
+                  type="number"
+                  placeholder="120.00"
+                  value={formData.leapStrike}
+                  onChange={(e) => handleFieldUpdate('leapStrike', e.target.value)}
+                  step="0.50"
+                  min="0"
+                />
+                {suggestions.leapStrike && (
+                  <p className="text-xs text-blue-600 flex items-center gap-1">
+                    <Info className="w-3 h-3" />
+                    {suggestions.leapStrike}
+                  </p>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <Label htmlFor="leapExpirationDate" className="font-medium">
+                      LEAPS Expiration
+                    </Label>
+                    {validationErrors.leapExpirationDate && (
+                      <Badge variant="destructive" className="text-xs">
+                        {validationErrors.leapExpirationDate}
+                      </Badge>
+                    )}
+                  </div>
+                  <Input
+                    id="leapExpirationDate"
+                    type="date"
+                    value={formData.leapExpirationDate}
+                    onChange={(e) => handleFieldUpdate('leapExpirationDate', e.target.value)}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="leapPremium" className="font-medium">
+                    LEAPS Debit ($)
+                  </Label>
+                  <Input
+                    id="leapPremium"
+                    type="number"
+                    placeholder="35.00"
+                    value={formData.leapPremium}
+                    onChange={(e) => handleFieldUpdate('leapPremium', e.target.value)}
+                    step="0.01"
+                    min="0"
+                  />
+                </div>
+              </div>
+              {suggestions.leapExpirationDate && (
+                <p className="text-xs text-blue-600 flex items-center gap-1">
+                  <Info className="w-3 h-3" />
+                  {suggestions.leapExpirationDate}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Position Size (for strategies that require it) */}
           {strategyConfig.requiresCash && (
             <div className="space-y-2">
@@ -596,6 +807,66 @@ export default function ParameterConfigurationStep({
           </div>
         </div>
 
+        {/* Option Model */}
+        {calculations.model && (
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 mt-4">
+            <div className="p-4 bg-white border border-slate-200 rounded-lg">
+              <span className="text-sm font-medium text-slate-700">Assignment Probability</span>
+              <div className="text-xl font-bold text-slate-900">
+                {(calculations.model.probabilityITM * 100).toFixed(1)}%
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                {(calculations.model.probabilityOfTouch * 100).toFixed(1)}% chance to touch the strike
+              </p>
+            </div>
+
+            <div className="p-4 bg-white border border-slate-200 rounded-lg">
+              <span className="text-sm font-medium text-slate-700">Position Delta</span>
+              <div className="text-xl font-bold text-slate-900">
+                {calculations.model.delta.toFixed(1)}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                Share-equivalent exposure
+              </p>
+            </div>
+
+            <div className="p-4 bg-white border border-slate-200 rounded-lg">
+              <span className="text-sm font-medium text-slate-700">Theta</span>
+              <div className="text-xl font-bold text-green-600">
+                ${calculations.model.theta.toFixed(2)}/day
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                Daily time decay earned
+              </p>
+            </div>
+
+            <div className="p-4 bg-white border border-slate-200 rounded-lg">
+              <span className="text-sm font-medium text-slate-700">Model Premium</span>
+              <div className="text-xl font-bold text-slate-900">
+                ${calculations.model.modelPremium.toFixed(2)}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                At {(calculations.model.volatility * 100).toFixed(1)}% implied volatility
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* PMCC Risks */}
+        {calculations.pmcc?.risks.length > 0 && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <div className="flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 text-red-600" />
+              <span className="font-medium text-red-900">Poor Man&apos;s Covered Call Risks</span>
+            </div>
+            <ul className="text-sm text-red-700 mt-1 space-y-1">
+              {calculations.pmcc.risks.map((risk) => (
+                <li key={`${risk.code}-${risk.message}`}>{risk.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Risk Warning */}
         {calculations.returnOnCapital > 10 && (
           <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
@@ -10,44 +10,26 @@ import {
 } from "lucide-react";
 import { usePositionsData } from '@/api/enhancedClient';
 import { PositionDataService } from '@/services/positionDataService';
+import { optionTypeLabel, parseOccSymbol } from '@/utils/occSymbol';
 
 /**
- * Parse option symbol to extract expiration date and strike price
+ * Option symbol fields for display
  * Example: JBLU 251017P00005000 -> { ticker: 'JBLU', expiration: '2025-10-17', strike: 5.00, type: 'Put' }
  */
 const parseOptionSymbol = (symbol) => {
-  if (!symbol) return null;
+  const occ = parseOccSymbol(symbol);
+  if (!occ) return null;
 
-  // Pattern: TICKER YYMMDDX########
-  // X = C (Call) or P (Put)
-  // ######## = Strike price * 1000
-  const match = symbol.match(/^([A-Z]+)\s+(\d{6})([CP])(\d{8})$/);
-
-  if (!match) return null;
-
-  const [, ticker, dateStr, typeChar, strikeStr] = match;
-
-  // Parse date: YYMMDD
-  const year = 2000 + parseInt(dateStr.substring(0, 2));
-  const month = parseInt(dateStr.substring(2, 4));
-  const day = parseInt(dateStr.substring(4, 6));
-
-  // Parse strike: divide by 1000
-  const strike = parseInt(strikeStr) / 1000;
-
-  // Format expiration date
-  const expiration = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-  const expirationDisplay = `${month}/${day}/${year.toString().substring(2)}`;
-
-  const type = typeChar === 'C' ? 'Call' : 'Put';
+  const [year, month, day] = occ.expiration.split('-').map(Number);
+  const type = optionTypeLabel(occ.optionType);
 
   return {
-    ticker,
-    expiration,
-    expirationDisplay,
-    strike,
+    ticker: occ.underlying,
+    expiration: occ.expiration,
+    expirationDisplay: `${month}/${day}/${String(year).substring(2)}`,
+    strike: occ.strike,
     type,
-    typeShort: typeChar
+    typeShort: type[0]
   };
 };
 
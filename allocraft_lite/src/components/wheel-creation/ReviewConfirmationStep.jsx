@@ -7,6 +7,7 @@ import {
   TrendingDown, Clock, Percent, RotateCcw, Zap,
   FileText, Bell, Edit
 } from "lucide-react";
+import { analyzePmcc } from "@/services/pmcc";
 
 /**
  * ReviewConfirmationStep - Final step in wheel creation wizard
@@ -129,8 +130,17 @@ export default function ReviewConfirmationStep({
     const contracts = parseInt(formData.contractCount) || 1;
     const positionSize = parseFloat(formData.positionSize) || 0;
 
-    const potentialReturn = positionSize > 0 ? (premium * contracts * 100 / positionSize) * 100 : 0;
-    const maxRisk = formData.strategyType === 'cash_secured_put' ?
+    // A PMCC's capital is the LEAPS debit and its max loss the net debit plus any inverted strikes
+    const pmcc = formData.strategyType === 'poor_mans_covered_call' && parseFloat(formData.leapStrike) > 0
+      ? analyzePmcc({
+        longLegs: [{ strike: parseFloat(formData.leapStrike), expiration: formData.leapExpirationDate || null, contracts, debit: parseFloat(formData.leapPremium) || 0 }],
+        shortLegs: [{ strike, expiration: formData.expirationDate || null, contracts, premium }]
+      })
+      : null;
+    const capital = pmcc ? pmcc.longCost : positionSize;
+
+    const potentialReturn = capital > 0 ? (premium * contracts * 100 / capital) * 100 : 0;
+    const maxRisk = pmcc ? pmcc.maxLoss : formData.strategyType === 'cash_secured_put' ?
       (strike * contracts * 100) - (premium * contracts * 100) : positionSize;
 
     let riskLevel = 'Low';
@@ -158,6 +168,14 @@ export default function ReviewConfirmationStep({
       riskWarnings.push('High number of contracts increases position concentration');
     }
 
+    if (pmcc?.risks.length) {
+      riskWarnings.push(...pmcc.risks.map(r => r.message));
+      if (pmcc.risks.some(r => r.severity === 'high')) {
+        riskLevel = 'High';
+        riskColor = 'text-red-600 bg-red-100';
+      }
+    }
+
     return { riskLevel, riskColor, riskWarnings, potentialReturn, maxRisk };
   };
 
@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { XCircle } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * CloseLegModal - Buy back one short option of a wheel
+ * Unlike WheelCloseModal it leaves the wheel and its other legs open.
+ */
+export default function CloseLegModal({
+  isOpen,
+  onClose,
+  leg,
+  onCloseLeg = () => { }
+}) {
+  const [tradeDate, setTradeDate] = useState(today());
+  const [debit, setDebit] = useState('');
+  const [fees, setFees] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTradeDate(today());
+      setDebit('');
+      setFees('');
+    }
+  }, [isOpen]);
+
+  if (!leg) return null;
+
+  const valid = tradeDate && debit !== '' && Number(debit) >= 0;
+
+  const submit = async () => {
+    setLoading(true);
+    try {
+      await onCloseLeg({
+        trade_date: tradeDate,
+        premium: Number(debit),
+        fees: fees === '' ? 0 : Number(fees),
+        notes: 'Closed from expiration calendar'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <XCircle className="w-5 h-5" />
+            Buy to Close {leg.ticker} {leg.optionType === 'PUT' ? 'Put' : 'Call'}
+          </DialogTitle>
+        </DialogHeader>
+        <p className="text-sm text-slate-600">
+          {leg.contracts} × {formatCurrency(leg.strike)} expiring {leg.expiration}
+        </p>
+        <div className="space-y-3">
+          <div>
+            <Label htmlFor="close_leg_date">Close Date</Label>
+            <Input id="close_leg_date" type="date" value={tradeDate} onChange={(e) => setTradeDate(e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="close_leg_debit">Debit per Share</Label>
+            <Input id="close_leg_debit" type="number" min="0" step="0.01" value={debit} onChange={(e) => setDebit(e.target.value)} />
+          </div>
+          <div>
+            <Label htmlFor="close_leg_fees">Fees (optional)</Label>
+            <Input id="close_leg_fees" type="number" min="0" step="0.01" value={fees} onChange={(e) => setFees(e.target.value)} />
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 pt-2">
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={submit} disabled={!valid || loading}>
+            {loading ? 'Closing...' : 'Close Position'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
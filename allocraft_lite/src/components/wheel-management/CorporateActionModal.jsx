@@ -0,0 +1,231 @@
+import { useMemo, useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Split, AlertTriangle, History } from "lucide-react";
+import {
+  CORPORATE_ACTION_LABELS,
+  corporateActionHistory,
+  describeCorporateAction,
+  planCorporateAction
+} from '../../services/corporateActions';
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : String(value));
+
+/**
+ * CorporateActionModal - Record a split, reverse split or symbol change
+ * Previews every lot, event and cycle field the action rewrites before it is
+ * applied, and lists the actions already recorded for the ticker.
+ */
+export default function CorporateActionModal({
+  isOpen,
+  onClose,
+  cycles = [],
+  events = [],
+  onConfirm,
+  isConfirming = false
+}) {
+  const tickers = useMemo(
+    () => [...new Set(cycles.map((c) => String(c.ticker || '').toUpperCase()).filter(Boolean))].sort(),
+    [cycles]
+  );
+  const [form, setForm] = useState({
+    type: 'SPLIT',
+    ticker: tickers[0] || '',
+    new_ticker: '',
+    ratio_from: 1,
+    ratio_to: 2,
+    effective_date: new Date().toISOString().slice(0, 10)
+  });
+  const [error, setError] = useState(null);
+
+  const action = useMemo(() => ({
+    ...form,
+    ratio_from: Number(form.ratio_from),
+    ratio_to: Number(form.ratio_to)
+  }), [form]);
+
+  const preview = useMemo(() => {
+    try {
+      return { plan: planCorporateAction(action, cycles, events) };
+    } catch (e) {
+      return { invalid: e.message };
+    }
+  }, [action, cycles, events]);
+
+  const history = cycles
+    .filter((c) => String(c.ticker || '').toUpperCase() === form.ticker)
+    .flatMap((c) => corporateActionHistory(c).map((entry) => ({ ...entry, cycle_id: c.id })));
+
+  const update = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e?.target ? e.target.value : e }));
+
+  const handleTypeChange = (type) => {
+    setForm((prev) => ({
+      ...prev,
+      type,
+      ...(type === 'SPLIT' ? { ratio_from: 1, ratio_to: 2 } : {}),
+      ...(type === 'REVERSE_SPLIT' ? { ratio_from: 10, ratio_to: 1 } : {})
+    }));
+  };
+
+  const handleConfirm = async () => {
+    setError(null);
+    try {
+      await onConfirm(action);
+      onClose();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const plan = preview.plan;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Split className="h-5 w-5" />
+            Corporate Action
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="space-y-1">
+            <Label>Action</Label>
+            <Select value={form.type} onValueChange={handleTypeChange}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(CORPORATE_ACTION_LABELS).map(([type, label]) => (
+                  <SelectItem key={type} value={type}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Ticker</Label>
+            <Select value={form.ticker} onValueChange={update('ticker')}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select ticker" />
+              </SelectTrigger>
+              <SelectContent>
+                {tickers.map((ticker) => (
+                  <SelectItem key={ticker} value={ticker}>{ticker}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {form.type === 'SYMBOL_CHANGE' ? (
+            <div className="space-y-1">
+              <Label htmlFor="ca-new-ticker">New ticker</Label>
+              <Input id="ca-new-ticker" value={form.new_ticker} onChange={(e) => setForm((prev) => ({ ...prev, new_ticker: e.target.value.toUpperCase() }))} />
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <Label>Ratio (new for old)</Label>
+              <div className="flex items-center gap-2">
+                <Input type="number" min="0" step="any" aria-label="New shares" value={form.ratio_to} onChange={update('ratio_to')} />
+                <span className="text-slate-500">for</span>
+                <Input type="number" min="0" step="any" aria-label="Old shares" value={form.ratio_from} onChange={update('ratio_from')} />
+              </div>
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label htmlFor="ca-effective-date">Effective date</Label>
+            <Input id="ca-effective-date" type="date" value={form.effective_date} onChange={update('effective_date')} />
+          </div>
+        </div>
+
+        {preview.invalid ? (
+          <div className="flex items-start gap-2 p-3 bg-amber-50 rounded-lg text-sm text-amber-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            {preview.invalid}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-slate-600">
+              {describeCorporateAction(action)}: {plan.cycles.length} cycle{plan.cycles.length === 1 ? '' : 's'} to adjust,
+              {' '}{plan.adjustments.length} field change{plan.adjustments.length === 1 ? '' : 's'}. Lots are rebuilt from the adjusted events.
+            </p>
+            {plan.skipped.length > 0 && (
+              <p className="text-xs text-slate-500">
+                Skipped: {plan.skipped.map((s) => `#${s.cycle_id} (${s.reason.toLowerCase()})`).join(', ')}
+              </p>
+            )}
+            {plan.adjustments.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Cycle</TableHead>
+                    <TableHead>Record</TableHead>
+                    <TableHead>Field</TableHead>
+                    <TableHead className="text-right">Before</TableHead>
+                    <TableHead className="text-right">After</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {plan.adjustments.map((a) => (
+                    <TableRow key={`${a.entity}-${a.entity_id}-${a.field}`}>
+                      <TableCell>#{a.cycle_id}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline">{a.entity} {a.entity_id}</Badge>
+                      </TableCell>
+                      <TableCell className="font-mono text-xs">{a.field}</TableCell>
+                      <TableCell className="text-right">{formatValue(a.before)}</TableCell>
+                      <TableCell className="text-right font-medium">{formatValue(a.after)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        )}
+
+        {history.length > 0 && (
+          <div className="space-y-1 text-sm">
+            <div className="flex items-center gap-2 font-medium text-slate-700">
+              <History className="h-4 w-4" />
+              Recorded for {form.ticker}
+            </div>
+            {history.map((entry) => (
+              <div key={`${entry.cycle_id}-${entry.key}`} className="text-slate-600">
+                Cycle #{entry.cycle_id}: {describeCorporateAction(entry.action)},{' '}
+                {entry.status === 'pending' ? 'interrupted, apply it again to finish' : `applied ${entry.applied_at.slice(0, 10)}`}
+                {' '}({entry.adjustments.length} changes)
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 bg-red-50 rounded-lg text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-between pt-4 border-t">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleConfirm} disabled={isConfirming || !plan || plan.cycles.length === 0}>
+            {isConfirming ? 'Applying...' : `Apply to ${plan?.cycles.length ?? 0} Cycle${plan?.cycles.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { CalendarClock, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { withOutcome } from '../../services/expirationProcessor';
+
+const OUTCOME_LABELS = {
+  EXPIRED: 'Expired worthless',
+  PUT_ASSIGNMENT: 'Put assigned',
+  CALLED_AWAY: 'Called away'
+};
+
+const outcomesFor = (optionType) =>
+  optionType === 'PUT' ? ['EXPIRED', 'PUT_ASSIGNMENT'] : ['EXPIRED', 'CALLED_AWAY'];
+
+/**
+ * ExpirationReviewModal - Review proposed settlement events for expired options
+ * Each row can be excluded or have its outcome overridden before the accepted
+ * events are created together.
+ */
+export default function ExpirationReviewModal({
+  isOpen,
+  onClose,
+  proposals = [],
+  onConfirm,
+  isConfirming = false
+}) {
+  // Rows are captured when the modal mounts so edits survive background refetches
+  const [rows, setRows] = useState(() => proposals.map((proposal) => ({ proposal, included: true })));
+  const [error, setError] = useState(null);
+
+  const accepted = rows.filter((row) => row.included).map((row) => row.proposal);
+
+  const updateRow = (key, update) => {
+    setRows((prev) => prev.map((row) => (row.proposal.key === key ? { ...row, ...update(row) } : row)));
+  };
+
+  const handleConfirm = async () => {
+    setError(null);
+    try {
+      await onConfirm(accepted);
+      onClose();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarClock className="h-5 w-5" />
+            Review Expired Options
+          </DialogTitle>
+        </DialogHeader>
+
+        {rows.length === 0 ? (
+          <div className="flex items-center gap-2 p-4 text-sm text-slate-600">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            No open options are past their expiration date.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">
+              These short options are still open after expiration. Outcomes are based on the last known
+              underlying price; adjust any that settled differently.
+            </p>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-10" />
+                  <TableHead>Ticker</TableHead>
+                  <TableHead>Option</TableHead>
+                  <TableHead>Expiry</TableHead>
+                  <TableHead className="text-right">Underlying</TableHead>
+                  <TableHead>Outcome</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map(({ proposal, included }) => (
+                  <TableRow key={proposal.key} className={included ? '' : 'opacity-50'}>
+                    <TableCell>
+                      <input
+                        type="checkbox"
+                        checked={included}
+                        aria-label={`Include ${proposal.ticker} ${proposal.optionType} ${proposal.strike}`}
+                        onChange={(e) => updateRow(proposal.key, () => ({ included: e.target.checked }))}
+                      />
+                    </TableCell>
+                    <TableCell className="font-medium">{proposal.ticker}</TableCell>
+                    <TableCell>
+                      <Badge variant="outline">
+                        {proposal.contracts}× {proposal.optionType} ${proposal.strike ?? '—'}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>{proposal.expiry}</TableCell>
+                    <TableCell className="text-right">
+                      {proposal.underlyingPrice != null ? (
+                        `$${proposal.underlyingPrice.toFixed(2)}`
+                      ) : (
+                        <span className="inline-flex items-center gap-1 text-amber-600">
+                          <AlertTriangle className="h-3 w-3" /> Unknown
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={proposal.outcome}
+                        onValueChange={(outcome) => updateRow(proposal.key, (row) => ({ proposal: withOutcome(row.proposal, outcome) }))}
+                      >
+                        <SelectTrigger className="w-44">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {outcomesFor(proposal.optionType).map((outcome) => (
+                            <SelectItem key={outcome} value={outcome}>{OUTCOME_LABELS[outcome]}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 bg-red-50 rounded-lg text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-between pt-4 border-t">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleConfirm} disabled={isConfirming || accepted.length === 0}>
+            {isConfirming ? 'Creating...' : `Create ${accepted.length} Event${accepted.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
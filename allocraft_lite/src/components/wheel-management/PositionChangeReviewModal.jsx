@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { ArrowLeftRight, AlertTriangle, CheckCircle2, RefreshCw } from "lucide-react";
+import { withEventType } from '../../services/positionChanges';
+
+const EVENT_LABELS = {
+  SELL_PUT_OPEN: 'Sold put',
+  SELL_CALL_OPEN: 'Sold call',
+  BUY_PUT_CLOSE: 'Bought back put',
+  SELL_CALL_CLOSE: 'Bought back call',
+  PUT_ASSIGNMENT: 'Put assigned',
+  CALLED_AWAY: 'Called away',
+  EXPIRED: 'Expired worthless',
+  BUY_SHARES: 'Bought shares',
+  SELL_SHARES: 'Sold shares'
+};
+
+const SHARE_EVENTS = ['BUY_SHARES', 'SELL_SHARES'];
+const PRICED_EVENTS = ['PUT_ASSIGNMENT', 'CALLED_AWAY', ...SHARE_EVENTS];
+
+// Which draft fields the quantity and per-share amount columns edit
+const quantityField = (type) => (SHARE_EVENTS.includes(type) ? 'quantity_shares' : 'contracts');
+const amountField = (type) => (PRICED_EVENTS.includes(type) ? 'price' : 'premium');
+
+/**
+ * PositionChangeReviewModal - Review wheel events suggested by position changes
+ * Each row can be assigned to a cycle, re-typed and edited before the accepted
+ * events are created together; dismissed rows are dropped without an event.
+ */
+export default function PositionChangeReviewModal({
+  isOpen,
+  onClose,
+  suggestions = [],
+  cycles = [],
+  onAccept,
+  onDismiss,
+  onSync,
+  isAccepting = false,
+  isSyncing = false
+}) {
+  // Rows are captured when the modal mounts so edits survive background refetches
+  const [rows, setRows] = useState(() => suggestions.map((suggestion) => ({ suggestion, included: true })));
+  const [error, setError] = useState(null);
+
+  // Changes found while the modal is open (e.g. by Sync) are added without touching edited rows
+  useEffect(() => {
+    setRows((prev) => {
+      const known = new Set(prev.map((row) => row.suggestion.key));
+      const added = suggestions.filter((s) => !known.has(s.key));
+      return added.length ? [...prev, ...added.map((suggestion) => ({ suggestion, included: true }))] : prev;
+    });
+  }, [suggestions]);
+
+  const selected = rows.filter((row) => row.included).map((row) => row.suggestion);
+  const missingCycle = selected.some((s) => s.event.cycle_id == null);
+
+  const updateRow = (key, update) => {
+    setRows((prev) => prev.map((row) => (row.suggestion.key === key ? { ...row, ...update(row) } : row)));
+  };
+
+  const updateEvent = (key, fields) => {
+    updateRow(key, ({ suggestion }) => ({ suggestion: { ...suggestion, event: { ...suggestion.event, ...fields } } }));
+  };
+
+  const cyclesFor = (suggestion) =>
+    cycles.filter((cycle) => String(cycle.ticker || '').toUpperCase() === suggestion.ticker);
+
+  const handleAccept = async () => {
+    setError(null);
+    try {
+      await onAccept(selected);
+      onClose();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleDismiss = () => {
+    const keys = new Set(selected.map((s) => s.key));
+    onDismiss(Array.from(keys));
+    setRows((prev) => prev.filter((row) => !keys.has(row.suggestion.key)));
+  };
+
+  const handleSync = async () => {
+    setError(null);
+    try {
+      await onSync();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ArrowLeftRight className="h-5 w-5" />
+            Review Position Changes
+          </DialogTitle>
+        </DialogHeader>
+
+        {rows.length === 0 ? (
+          <div className="flex items-center gap-2 p-4 text-sm text-slate-600">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            No position changes are waiting for review. Sync with Schwab or import positions to check again.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">
+              These positions changed since the last sync or import. Each change is matched to the wheel event
+              it most likely was; pick the cycle and correct anything that happened differently.
+            </p>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-10" />
+                  <TableHead>Change</TableHead>
+                  <TableHead>Cycle</TableHead>
+                  <TableHead>Event</TableHead>
+                  <TableHead className="text-right">Qty</TableHead>
+                  <TableHead className="text-right">Per Share</TableHead>
+                  <TableHead>Date</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map(({ suggestion, included }) => {
+                  const { event } = suggestion;
+                  const tickerCycles = cyclesFor(suggestion);
+                  return (
+                    <TableRow key={suggestion.key} className={included ? '' : 'opacity-50'}>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          checked={included}
+                          aria-label={`Include ${suggestion.reason}`}
+                          onChange={(e) => updateRow(suggestion.key, () => ({ included: e.target.checked }))}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <div className="font-medium">{suggestion.ticker}</div>
+                        <div className="text-xs text-slate-500">{suggestion.reason}</div>
+                      </TableCell>
+                      <TableCell>
+                        {tickerCycles.length > 0 ? (
+                          <Select
+                            value={event.cycle_id != null ? String(event.cycle_id) : undefined}
+                            onValueChange={(id) => updateEvent(suggestion.key, { cycle_id: Number(id) })}
+                          >
+                            <SelectTrigger className="w-40">
+                              <SelectValue placeholder="Choose cycle" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {tickerCycles.map((cycle) => (
+                                <SelectItem key={cycle.id} value={String(cycle.id)}>
+                                  {cycle.cycle_key || `${cycle.ticker} #${cycle.id}`}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        ) : (
+                          <span className="inline-flex items-center gap-1 text-xs text-amber-600">
+                            <AlertTriangle className="h-3 w-3" /> No {suggestion.ticker} wheel
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          value={event.event_type}
+                          onValueChange={(type) => updateRow(suggestion.key, (row) => ({ suggestion: withEventType(row.suggestion, type) }))}
+                        >
+                          <SelectTrigger className="w-44">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {suggestion.alternatives.map((type) => (
+                              <SelectItem key={type} value={type}>{EVENT_LABELS[type]}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Input
+                          type="number"
+                          min="0"
+                          className="w-20 ml-auto text-right"
+                          aria-label="Quantity"
+                          value={event[quantityField(event.event_type)] ?? ''}
+                          onChange={(e) => updateEvent(suggestion.key, { [quantityField(event.event_type)]: Number(e.target.value) })}
+                        />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-24 ml-auto text-right"
+                          aria-label="Price per share"
+                          disabled={event.event_type === 'EXPIRED'}
+                          value={event[amountField(event.event_type)] ?? ''}
+                          onChange={(e) => updateEvent(suggestion.key, { [amountField(event.event_type)]: Number(e.target.value) })}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="date"
+                          className="w-36"
+                          aria-label="Trade date"
+                          value={event.trade_date}
+                          onChange={(e) => updateEvent(suggestion.key, { trade_date: e.target.value })}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {missingCycle && (
+          <div className="flex items-start gap-2 p-3 bg-amber-50 rounded-lg text-sm text-amber-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            Choose a cycle for every selected change, or create the wheel first and reopen this review.
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 bg-red-50 rounded-lg text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-between pt-4 border-t">
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="outline" onClick={handleSync} disabled={isSyncing}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${isSyncing ? 'animate-spin' : ''}`} />
+              {isSyncing ? 'Syncing...' : 'Sync Schwab'}
+            </Button>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={handleDismiss} disabled={selected.length === 0}>
+              Dismiss {selected.length}
+            </Button>
+            <Button onClick={handleAccept} disabled={isAccepting || selected.length === 0 || missingCycle}>
+              {isAccepting ? 'Creating...' : `Create ${selected.length} Event${selected.length === 1 ? '' : 's'}`}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -9,6 +9,8 @@ import {
   TrendingUp, TrendingDown, Calendar,
   CheckCircle, Clock, BarChart3, FileText
 } from "lucide-react";
+import { wheelApi } from "@/api/fastapiClient";
+import { calculateCyclePnL } from "@/utils/wheelPnLEngine";
 
 /**
  * WheelCloseModal - Close wheel strategy with summary and options
@@ -36,40 +38,47 @@ export default function WheelCloseModal({
   const fetchWheelSummary = async () => {
     setCalculating(true);
     try {
-      // Fetch detailed summary from backend
-      const response = await fetch(`http://127.0.0.1:8000/wheels/${wheel.id}/close-summary`);
-      if (response.ok) {
-        const summary = await response.json();
-        setWheelSummary(summary);
-      } else {
-        // Mock data for development
-        setWheelSummary({
-          total_premium_collected: 1250.00,
-          realized_pnl: 890.50,
-          unrealized_pnl: -120.25,
-          total_pnl: 770.25,
-          days_active: 45,
-          cycles_completed: 3,
-          current_positions: [
-            {
-              id: 1,
-              symbol: `${wheel.ticker}240119P00150000`,
-              type: 'put',
-              quantity: -1,
-              current_value: 180.00,
-              unrealized_pnl: -30.00
-            }
-          ],
-          performance_metrics: {
-            win_rate: 75,
-            avg_profit_per_cycle: 296.83,
-            max_drawdown: -5.2,
-            sharpe_ratio: 1.4
-          }
-        });
-      }
+      // Replay the wheel's events through the shared P&L engine
+      const events = await wheelApi.listEvents(wheel.id);
+      const pnl = calculateCyclePnL(events || [], {
+        cycleId: wheel.id,
+        currentPrice: wheel.current_price ?? wheel.current_stock_price ?? null
+      });
+
+      const closedLegs = pnl.legs.filter((leg) => leg.outcome !== 'OPEN');
+      const winningLegs = closedLegs.filter((leg) => leg.realized > 0);
+      const startDate = wheel.started_at || wheel.created_at || pnl.startDate;
+
+      setWheelSummary({
+        total_premium_collected: pnl.premium,
+        realized_pnl: pnl.realized,
+        unrealized_pnl: pnl.unrealized,
+        total_pnl: pnl.total,
+        capital_gain: pnl.capitalGain,
+        dividends: pnl.dividends,
+        total_fees: pnl.fees,
+        days_active: startDate
+          ? Math.max(0, Math.ceil((Date.now() - new Date(startDate).getTime()) / (1000 * 60 * 60 * 24)))
+          : 0,
+        cycles_completed: closedLegs.length,
+        current_positions: pnl.openLegs.map((leg, index) => ({
+          id: leg.openEventId ?? index,
+          symbol: `${wheel.ticker} ${leg.strike ?? ''}${leg.optionType === 'PUT' ? 'P' : 'C'}`,
+          type: leg.optionType.toLowerCase(),
+          quantity: -leg.contracts,
+          current_value: 0,
+          unrealized_pnl: leg.credit
+        })),
+        performance_metrics: {
+          win_rate: closedLegs.length > 0 ? (winningLegs.length / closedLegs.length) * 100 : 0,
+          avg_profit_per_cycle: closedLegs.length > 0
+            ? closedLegs.reduce((sum, leg) => sum + leg.realized, 0) / closedLegs.length
+            : 0
+        }
+      });
     } catch (error) {
-      console.error('Failed to fetch wheel summary:', error);
+      console.error('Failed to calculate wheel summary:', error);
+      setWheelSummary(null);
     } finally {
       setCalculating(false);
     }
@@ -183,7 +192,7 @@ export default function WheelCloseModal({
                     </div>
 
                     <div className="bg-slate-50 p-4 rounded-lg">
-                      <div className="text-sm text-slate-600 mb-1">Cycles Completed</div>
+                      <div className="text-sm text-slate-600 mb-1">Legs Closed</div>
                       <div className="text-xl font-semibold text-purple-600">
                         {wheelSummary.cycles_completed}
                       </div>
@@ -204,12 +213,21 @@ export default function WheelCloseModal({
                           <span className="font-medium">{formatCurrency(wheelSummary.performance_metrics.avg_profit_per_cycle)}</span>
                         </div>
                         <div className="flex justify-between">
-                          <span className="text-slate-600">Max Drawdown:</span>
-                          <span className="font-medium text-red-600">{formatPercentage(wheelSummary.performance_metrics.max_drawdown)}</span>
+                          <span className="text-slate-600">Capital Gain:</span>
+                          <span className={`font-medium ${wheelSummary.capital_gain >= 0 ? 'text-green-600' : 'text-red-600'
+                            }`}>
+                            {formatCurrency(wheelSummary.capital_gain)}
+                          </span>
                         </div>
+                        {wheelSummary.dividends > 0 && (
+                          <div className="flex justify-between">
+                            <span className="text-slate-600">Dividends:</span>
+                            <span className="font-medium text-green-600">{formatCurrency(wheelSummary.dividends)}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
-                          <span className="text-slate-600">Sharpe Ratio:</span>
-                          <span className="font-medium">{wheelSummary.performance_metrics.sharpe_ratio}</span>
+                          <span className="text-slate-600">Fees:</span>
+                          <span className="font-medium text-red-600">{formatCurrency(-wheelSummary.total_fees)}</span>
                         </div>
                       </div>
                     </div>
@@ -5,11 +5,65 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
 import {
   RotateCcw, Calendar, DollarSign, Target,
   TrendingUp, AlertTriangle, Clock, Zap,
-  ArrowRight, CheckCircle, Settings
+  ArrowRight, CheckCircle, Settings, ArrowUpDown
 } from "lucide-react";
+import { WheelManagementService } from '../../services/WheelManagementService';
+import { analyzeRollCandidates, daysBetween, sortRollScenarios } from '../../services/rollAnalyzer';
+
+const SCENARIO_COLUMNS = [
+  { key: 'strike', label: 'Strike' },
+  { key: 'expiration', label: 'Expiration' },
+  { key: 'netCredit', label: 'Net Credit/Debit' },
+  { key: 'daysAdded', label: '+Days' },
+  { key: 'breakeven', label: 'Breakeven' },
+  { key: 'annualizedReturn', label: 'Annualized' },
+  { key: 'probabilityITM', label: 'P(ITM)' }
+];
+
+// Debit allowed for each premium target, in dollars
+const maxDebitFor = (premiumTarget, maxDebit) => {
+  if (premiumTarget === 'credit') return 0;
+  if (premiumTarget === 'neutral') return Number.isFinite(maxDebit) ? maxDebit : Infinity;
+  return Infinity;
+};
+
+// The wheel's own open leg, used when the backend has no roll candidates
+const legFromWheel = (wheel) => {
+  if (!wheel?.strike_price || !wheel?.expiration_date) return [];
+  return [{
+    id: `wheel-${wheel.id}`,
+    option_type: String(wheel.strategy_type || '').includes('call') ? 'call' : 'put',
+    strike: Number(wheel.strike_price),
+    expiration: wheel.expiration_date,
+    contracts: wheel.contract_count || 1,
+    premium: wheel.original_metadata?.premium ?? null,
+    current_price: null,
+    days_to_expiration: daysBetween(new Date(), wheel.expiration_date),
+    status: 'open',
+    reason: 'Current position'
+  }];
+};
+
+const toRollPosition = (option, wheel) => ({
+  optionType: String(option.option_type).toUpperCase(),
+  strike: Number(option.strike),
+  expiration: option.expiration,
+  contracts: option.contracts || wheel.contract_count || 1,
+  currentPrice: option.current_price ?? null,
+  openPremium: option.premium ?? null,
+  costBasis: wheel.cost_basis ?? wheel.average_cost ?? null
+});
 
 /**
  * WheelRollModal - Roll expiring or ITM options to new strikes/dates
@@ -30,12 +84,20 @@ export default function WheelRollModal({
     premium_target: 'neutral',
     max_debit: 100
   });
+  const [market, setMarket] = useState({ underlying_price: '', implied_volatility: 30 });
+  const [sort, setSort] = useState({ key: 'annualizedReturn', direction: 'desc' });
+  const [chosenRoll, setChosenRoll] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [calculating, setCalculating] = useState(false);
 
   // Fetch roll candidates when modal opens
   useEffect(() => {
     if (isOpen && wheel) {
+      setMarket(prev => ({
+        ...prev,
+        underlying_price: wheel.current_price ?? wheel.underlying_price ?? ''
+      }));
+      setChosenRoll(null);
       fetchRollCandidates();
     }
   }, [isOpen, wheel]);
@@ -43,94 +105,75 @@ export default function WheelRollModal({
   const fetchRollCandidates = async () => {
     setLoading(true);
     try {
-      // Fetch options that need rolling from our backend
-      const response = await fetch(`http://127.0.0.1:8000/wheels/${wheel.ticker}/roll-candidates`);
-      if (response.ok) {
-        const candidates = await response.json();
-        setRollOptions(candidates);
-        // Auto-select all candidates by default
-        setSelectedOptions(candidates.map(opt => opt.id));
-      }
+      const candidates = await WheelManagementService.getRollCandidates(wheel.ticker);
+      setRollOptions(candidates);
+      // Auto-select all candidates by default
+      setSelectedOptions(candidates.map(opt => opt.id));
     } catch (error) {
       console.error('Failed to fetch roll candidates:', error);
-      // Mock data for development
-      setRollOptions([
-        {
-          id: 1,
-          option_type: 'put',
-          strike: 150.00,
-          expiration: '2024-01-19',
-          current_price: 2.50,
-          days_to_expiration: 3,
-          delta: -0.25,
-          status: 'expiring',
-          reason: 'Expiring soon'
-        }
-      ]);
-      setSelectedOptions([1]);
+      const fallback = legFromWheel(wheel);
+      setRollOptions(fallback);
+      setSelectedOptions(fallback.map(opt => opt.id));
     } finally {
       setLoading(false);
     }
   };
 
-  const calculateRollScenarios = async () => {
-    setCalculating(true);
-    try {
-      // Get roll scenarios from backend
-      const response = await fetch(`http://127.0.0.1:8000/wheels/${wheel.ticker}/roll-scenarios`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          option_ids: selectedOptions,
+  const calculateRollScenarios = () => {
+    const underlyingPrice = parseFloat(market.underlying_price);
+    const impliedVolatility = parseFloat(market.implied_volatility) / 100;
+    if (!(underlyingPrice > 0) || !(impliedVolatility > 0)) {
+      setAnalysisError('Enter the underlying price and implied volatility to analyze rolls');
+      return;
+    }
+    setAnalysisError(null);
+    setChosenRoll(null);
+
+    const asOf = new Date();
+    setRollOptions(prev => prev.map(opt => {
+      if (!selectedOptions.includes(opt.id)) return opt;
+      const scenarios = analyzeRollCandidates(
+        toRollPosition(opt, wheel),
+        { underlyingPrice, impliedVolatility, asOf },
+        {
           strategy: rollStrategy,
-          parameters: rollParameters
-        })
-      });
+          strikeAdjustment: rollParameters.strike_adjustment,
+          targetDte: rollParameters.target_dte,
+          maxDebit: maxDebitFor(rollParameters.premium_target, rollParameters.max_debit)
+        }
+      );
+      return { ...opt, scenarios };
+    }));
+  };
 
-      if (response.ok) {
-        const scenarios = await response.json();
-        // Update roll options with scenarios
-        setRollOptions(prev => prev.map(opt => {
-          const scenario = scenarios.find(s => s.option_id === opt.id);
-          return scenario ? { ...opt, scenarios: scenario.options } : opt;
-        }));
-      }
-    } catch (error) {
-      console.error('Failed to calculate roll scenarios:', error);
-    } finally {
-      setCalculating(false);
-    }
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
   };
 
   const executeRoll = async () => {
+    if (!chosenRoll) return;
+    const { option, scenario } = chosenRoll;
     setLoading(true);
     try {
-      const response = await fetch(`http://127.0.0.1:8000/wheels/${wheel.ticker}/execute-roll`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          option_ids: selectedOptions,
-          strategy: rollStrategy,
-          parameters: rollParameters
-        })
+      await onRoll({
+        from_expiration: option.expiration,
+        to_expiration: scenario.expiration,
+        from_strike: option.strike,
+        to_strike: scenario.strike,
+        roll_type: rollStrategy,
+        net_credit: scenario.netCredit,
+        analysis: scenario
       });
-
-      if (response.ok) {
-        const result = await response.json();
-        onRoll(result);
-        onClose();
-      }
-    } catch (error) {
-      console.error('Failed to execute roll:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const formatPercent = (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`);
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -151,7 +194,7 @@ export default function WheelRollModal({
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
-      <DialogContent className="max-w-4xl max-h-[90vh] overflow-hidden">
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-3">
             <RotateCcw className="h-5 w-5 text-blue-600" />
@@ -232,7 +275,7 @@ export default function WheelRollModal({
               {/* Roll Parameters */}
               <div className="mb-6">
                 <h3 className="text-lg font-semibold mb-4">Parameters</h3>
-                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div className="space-y-2">
                     <Label htmlFor="target_dte">Target DTE</Label>
                     <Input
@@ -303,22 +346,55 @@ export default function WheelRollModal({
                       }))}
                     />
                   </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="underlying_price">Underlying Price ($)</Label>
+                    <Input
+                      id="underlying_price"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={market.underlying_price}
+                      onChange={(e) => setMarket(prev => ({
+                        ...prev,
+                        underlying_price: e.target.value
+                      }))}
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="implied_volatility">Implied Volatility (%)</Label>
+                    <Input
+                      id="implied_volatility"
+                      type="number"
+                      min="1"
+                      max="300"
+                      step="1"
+                      value={market.implied_volatility}
+                      onChange={(e) => setMarket(prev => ({
+                        ...prev,
+                        implied_volatility: e.target.value
+                      }))}
+                    />
+                  </div>
                 </div>
 
                 <div className="mt-4">
                   <Button
                     onClick={calculateRollScenarios}
-                    disabled={calculating || selectedOptions.length === 0}
+                    disabled={selectedOptions.length === 0}
                     variant="outline"
                     className="w-full"
                   >
-                    {calculating ? (
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
-                    ) : (
-                      <Settings className="h-4 w-4 mr-2" />
-                    )}
+                    <Settings className="h-4 w-4 mr-2" />
                     Calculate Roll Scenarios
                   </Button>
+                  {analysisError && (
+                    <div className="flex items-center gap-2 mt-2 text-sm text-red-600">
+                      <AlertTriangle className="h-4 w-4" />
+                      {analysisError}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -358,14 +434,14 @@ export default function WheelRollModal({
                               </span>
                             </div>
                             <div className="text-sm text-slate-600 mt-1">
-                              {option.reason} • {option.days_to_expiration} DTE • Δ{option.delta}
+                              {option.reason} • {option.days_to_expiration} DTE{option.delta != null && ` • Δ${option.delta}`}
                             </div>
                           </div>
                         </div>
 
                         <div className="text-right">
                           <div className="text-lg font-semibold">
-                            {formatCurrency(option.current_price)}
+                            {option.current_price != null ? formatCurrency(option.current_price) : 'Model'}
                           </div>
                           <div className="text-sm text-slate-600">
                             Current Price
@@ -373,30 +449,60 @@ export default function WheelRollModal({
                         </div>
                       </div>
 
-                      {/* Roll Scenario */}
+                      {/* Roll Scenarios */}
                       {option.scenarios && (
                         <div className="bg-white border rounded p-3 mt-3">
                           <div className="flex items-center gap-2 mb-2">
                             <ArrowRight className="h-4 w-4 text-blue-600" />
-                            <span className="text-sm font-medium">Recommended Roll</span>
-                          </div>
-                          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
-                            <div>
-                              <span className="text-slate-600">New Strike: </span>
-                              <span className="font-medium">{formatCurrency(option.scenarios.strike)}</span>
-                            </div>
-                            <div>
-                              <span className="text-slate-600">New Expiration: </span>
-                              <span className="font-medium">{formatDate(option.scenarios.expiration)}</span>
-                            </div>
-                            <div>
-                              <span className="text-slate-600">Net Credit/Debit: </span>
-                              <span className={`font-medium ${option.scenarios.net_credit >= 0 ? 'text-green-600' : 'text-red-600'
-                                }`}>
-                                {option.scenarios.net_credit >= 0 ? '+' : ''}{formatCurrency(option.scenarios.net_credit)}
-                              </span>
-                            </div>
+                            <span className="text-sm font-medium">Roll Candidates</span>
+                            <span className="text-xs text-slate-500">Select a row to roll into</span>
                           </div>
+                          {option.scenarios.length === 0 ? (
+                            <p className="text-sm text-slate-500">No candidates within the premium target and max debit</p>
+                          ) : (
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  {SCENARIO_COLUMNS.map(({ key, label }) => (
+                                    <TableHead key={key}>
+                                      <button
+                                        type="button"
+                                        onClick={() => toggleSort(key)}
+                                        className={`inline-flex items-center gap-1 ${sort.key === key ? 'text-slate-900' : ''}`}
+                                      >
+                                        {label}
+                                        <ArrowUpDown className="h-3 w-3" />
+                                      </button>
+                                    </TableHead>
+                                  ))}
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {sortRollScenarios(option.scenarios, sort.key, sort.direction).map((scenario) => {
+                                  const chosen = chosenRoll?.option.id === option.id &&
+                                    chosenRoll.scenario.strike === scenario.strike &&
+                                    chosenRoll.scenario.expiration === scenario.expiration;
+                                  return (
+                                    <TableRow
+                                      key={`${scenario.strike}-${scenario.expiration}`}
+                                      onClick={() => setChosenRoll({ option, scenario })}
+                                      className={`cursor-pointer ${chosen ? 'bg-blue-50' : ''}`}
+                                    >
+                                      <TableCell className="font-medium">{formatCurrency(scenario.strike)}</TableCell>
+                                      <TableCell>{formatDate(scenario.expiration)} ({scenario.dte}d)</TableCell>
+                                      <TableCell className={scenario.netCredit >= 0 ? 'text-green-600' : 'text-red-600'}>
+                                        {scenario.netCredit >= 0 ? '+' : ''}{formatCurrency(scenario.netCredit)}
+                                      </TableCell>
+                                      <TableCell>{scenario.daysAdded >= 0 ? '+' : ''}{scenario.daysAdded}</TableCell>
+                                      <TableCell>{formatCurrency(scenario.breakeven)}</TableCell>
+                                      <TableCell>{formatPercent(scenario.annualizedReturn)}</TableCell>
+                                      <TableCell>{formatPercent(scenario.probabilityITM)}</TableCell>
+                                    </TableRow>
+                                  );
+                                })}
+                              </TableBody>
+                            </Table>
+                          )}
                         </div>
                       )}
                     </div>
@@ -414,19 +520,15 @@ export default function WheelRollModal({
                   <Button
                     variant="outline"
                     onClick={calculateRollScenarios}
-                    disabled={calculating || selectedOptions.length === 0}
+                    disabled={selectedOptions.length === 0}
                   >
-                    {calculating ? (
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
-                    ) : (
-                      <Settings className="h-4 w-4 mr-2" />
-                    )}
+                    <Settings className="h-4 w-4 mr-2" />
                     Recalculate
                   </Button>
 
                   <Button
                     onClick={executeRoll}
-                    disabled={loading || selectedOptions.length === 0}
+                    disabled={loading || !chosenRoll}
                     className="min-w-[120px]"
                   >
                     {loading ? (
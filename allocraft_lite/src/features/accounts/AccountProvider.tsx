@@ -0,0 +1,44 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from "react";
+import { ALL_ACCOUNTS, type AccountScope } from "@/services/accountScope";
+
+const STORAGE_KEY = "allocraft_selected_account";
+
+interface AccountSelectionValue {
+    /** Selected account id, or ALL_ACCOUNTS for the household */
+    accountId: AccountScope;
+    setAccountId: (accountId: AccountScope) => void;
+}
+
+// Without a provider (tests, standalone pages) everything is household-wide
+const AccountSelectionContext = createContext<AccountSelectionValue>({
+    accountId: ALL_ACCOUNTS,
+    setAccountId: () => undefined,
+});
+
+function readStoredAccount(): AccountScope {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || ALL_ACCOUNTS;
+    } catch {
+        return ALL_ACCOUNTS;
+    }
+}
+
+export function AccountProvider({ children }: { children: React.ReactNode }) {
+    const [accountId, setState] = useState<AccountScope>(readStoredAccount);
+
+    const setAccountId = useCallback((next: AccountScope) => {
+        setState(next);
+        try {
+            localStorage.setItem(STORAGE_KEY, next);
+        } catch {
+            // Selection still applies for this session
+        }
+    }, []);
+
+    const value = useMemo(() => ({ accountId, setAccountId }), [accountId, setAccountId]);
+    return <AccountSelectionContext.Provider value={value}>{children}</AccountSelectionContext.Provider>;
+}
+
+export function useAccountSelection() {
+    return useContext(AccountSelectionContext);
+}
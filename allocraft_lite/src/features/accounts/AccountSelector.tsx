@@ -0,0 +1,42 @@
+import { useMemo } from "react";
+import { useAccounts, useAllPositions } from "@/api/enhancedClient";
+import { ALL_ACCOUNTS, accountName } from "@/services/accountScope";
+import { useAccountSelection } from "./AccountProvider";
+
+/**
+ * Global account selector for the header. Lists the accounts the backend
+ * knows about plus any account that only shows up on imported positions.
+ */
+export default function AccountSelector() {
+    const { accountId, setAccountId } = useAccountSelection();
+    const { data: accounts = [] } = useAccounts();
+    const { data: positionsData } = useAllPositions(ALL_ACCOUNTS);
+
+    const options = useMemo(() => {
+        const byId = new Map<string, string>();
+        accounts.forEach((account) => byId.set(String(account.id), accountName(account)));
+        (positionsData?.positions || []).forEach((position) => {
+            const id = position.account_id != null ? String(position.account_id) : null;
+            if (id && !byId.has(id)) byId.set(id, `Account ${id}`);
+        });
+        // Keep a stored selection visible even before accounts load
+        if (accountId !== ALL_ACCOUNTS && !byId.has(accountId)) byId.set(accountId, `Account ${accountId}`);
+        return Array.from(byId, ([id, label]) => ({ id, label }));
+    }, [accounts, positionsData, accountId]);
+
+    return (
+        <label className="flex items-center gap-2 text-sm text-slate-600">
+            <span className="hidden md:inline">Account</span>
+            <select
+                value={accountId}
+                onChange={(event) => setAccountId(event.target.value)}
+                className="h-9 rounded-md border border-slate-200 bg-white px-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-slate-400"
+            >
+                <option value={ALL_ACCOUNTS}>All accounts</option>
+                {options.map((option) => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
@@ -0,0 +1,70 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from "react";
+import {
+    DEFAULT_CONFIDENCE_WEIGHTS,
+    MAX_CONFIDENCE_WEIGHT,
+    type ConfidenceFactorId,
+    type ConfidenceWeights,
+} from "@/services/confidenceScore";
+
+const STORAGE_KEY = "allocraft_confidence_weights";
+
+interface ConfidenceWeightsValue {
+    weights: ConfidenceWeights;
+    setWeight: (factor: ConfidenceFactorId, weight: number) => void;
+    resetWeights: () => void;
+}
+
+// Without a provider (tests, standalone pages) every factor counts once
+const ConfidenceWeightsContext = createContext<ConfidenceWeightsValue>({
+    weights: DEFAULT_CONFIDENCE_WEIGHTS,
+    setWeight: () => undefined,
+    resetWeights: () => undefined,
+});
+
+const clampWeight = (weight: number): number =>
+    Number.isFinite(weight) ? Math.max(0, Math.min(MAX_CONFIDENCE_WEIGHT, weight)) : 1;
+
+function readStoredWeights(): ConfidenceWeights {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+        const weights = { ...DEFAULT_CONFIDENCE_WEIGHTS };
+        (Object.keys(weights) as ConfidenceFactorId[]).forEach((id) => {
+            if (typeof stored[id] === "number") weights[id] = clampWeight(stored[id]);
+        });
+        return weights;
+    } catch {
+        return DEFAULT_CONFIDENCE_WEIGHTS;
+    }
+}
+
+function storeWeights(weights: ConfidenceWeights) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(weights));
+    } catch {
+        // Weights still apply for this session
+    }
+}
+
+export function ConfidenceWeightsProvider({ children }: { children: React.ReactNode }) {
+    const [weights, setWeights] = useState<ConfidenceWeights>(readStoredWeights);
+
+    const setWeight = useCallback((factor: ConfidenceFactorId, weight: number) => {
+        setWeights((current) => {
+            const next = { ...current, [factor]: clampWeight(weight) };
+            storeWeights(next);
+            return next;
+        });
+    }, []);
+
+    const resetWeights = useCallback(() => {
+        setWeights(DEFAULT_CONFIDENCE_WEIGHTS);
+        storeWeights(DEFAULT_CONFIDENCE_WEIGHTS);
+    }, []);
+
+    const value = useMemo(() => ({ weights, setWeight, resetWeights }), [weights, setWeight, resetWeights]);
+    return <ConfidenceWeightsContext.Provider value={value}>{children}</ConfidenceWeightsContext.Provider>;
+}
+
+export function useConfidenceWeights() {
+    return useContext(ConfidenceWeightsContext);
+}
@@ -0,0 +1,44 @@
+import { RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { CONFIDENCE_FACTORS, MAX_CONFIDENCE_WEIGHT } from "@/services/confidenceScore";
+import { useConfidenceWeights } from "./ConfidenceWeightsProvider";
+
+/**
+ * Weight of each confidence factor. Opportunities on the Wheels page are
+ * re-scored and re-ranked as the sliders move.
+ */
+export default function ConfidenceWeightsSettings() {
+    const { weights, setWeight, resetWeights } = useConfidenceWeights();
+
+    return (
+        <div className="space-y-5">
+            {CONFIDENCE_FACTORS.map((factor) => (
+                <div key={factor.id} className="space-y-2">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <p className="text-sm font-medium text-slate-900">{factor.label}</p>
+                            <p className="text-xs text-slate-500">{factor.description}</p>
+                        </div>
+                        <span className="text-sm font-mono text-slate-700">x{weights[factor.id].toFixed(1)}</span>
+                    </div>
+                    <input
+                        type="range"
+                        value={weights[factor.id]}
+                        min={0}
+                        max={MAX_CONFIDENCE_WEIGHT}
+                        step={0.1}
+                        onChange={(event) => setWeight(factor.id, Number(event.target.value))}
+                        aria-label={`${factor.label} weight`}
+                        className="w-full accent-slate-700"
+                    />
+                </div>
+            ))}
+            <div className="flex justify-end">
+                <Button variant="outline" size="sm" onClick={resetWeights} className="flex items-center gap-2">
+                    <RotateCcw className="w-4 h-4" />
+                    Reset to defaults
+                </Button>
+            </div>
+        </div>
+    );
+}
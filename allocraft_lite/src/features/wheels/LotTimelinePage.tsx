@@ -1,6 +1,9 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
 import type { PageVM, LotVM } from "./types";
-import { SAMPLE_VM } from "./sample";
+import type { WheelCycle } from "@/types";
+import { useWheelCycles, useWheelEvents, useWheelLots } from "@/api/enhancedClient";
+import { buildPageVM } from "./viewModel";
 import { CyclePickerCard } from "./components/CyclePickerCard";
 import { LotCard } from "./components/LotCard";
 import { LotActionsProvider, useLotActionsContext } from "./lot-actions/LotActionsProvider";
@@ -9,11 +12,17 @@ import { CoverLotModal } from "./lot-actions/CoverLotModal";
 import { CloseCallModal } from "./lot-actions/CloseCallModal";
 import { ClosePutModal } from "./lot-actions/ClosePutModal";
 import { RollCallModal } from "./lot-actions/RollCallModal";
+import { RollLeapsModal } from "./lot-actions/RollLeapsModal";
+import { DividendModal } from "./lot-actions/DividendModal";
 import { NewLotWizard } from "./lot-actions/NewLotWizard";
 
-function PageInner({ initial }: { initial: PageVM }) {
-    const [model] = useState<PageVM>(initial);
-    const [selected, setSelected] = useState<string | null>(null);
+function PageInner({ model, cycles, selectedId, onSelectCycle, status }: {
+    model: PageVM;
+    cycles: WheelCycle[];
+    selectedId?: number;
+    onSelectCycle: (id: number) => void;
+    status?: string;
+}) {
     const actions = useLotActionsContext();
 
     const lots = model.lots;
@@ -27,15 +36,23 @@ function PageInner({ initial }: { initial: PageVM }) {
                     <h1 className="text-2xl font-bold text-slate-900">Wheel Lots</h1>
                     <p className="text-sm text-slate-600">{model.cycle.title} — {model.cycle.started}</p>
                 </div>
-                <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={() => actions.openNewLot()}>New Lot</button>
+                <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={() => actions.openNewLot()} disabled={!selectedId}>New Lot</button>
             </header>
 
             <div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {["GOOG • GOOG", "MSFT • MSFT", "AMZN • AMZN"].map((title) => (
-                    <CyclePickerCard key={title} title={title} selected={selected === title} onClick={() => setSelected(title)} />
+                {cycles.map((cycle) => (
+                    <CyclePickerCard
+                        key={cycle.id}
+                        title={`${cycle.ticker} • ${cycle.cycle_key || cycle.ticker}`}
+                        subtitle={`${cycle.status} • Started ${cycle.started_at ?? "—"}`}
+                        selected={selectedId === cycle.id}
+                        onClick={() => onSelectCycle(cycle.id)}
+                    />
                 ))}
             </div>
 
+            {status && <p className="mb-4 text-sm text-slate-500">{status}</p>}
+
             <div className="grid grid-cols-1 gap-4">
                 {lots.map((lot: LotVM) => (
                     <LotCard key={lot.lotNo} lot={lot} actions={<ActionButtonsRow lot={lot} />} />
@@ -46,18 +63,59 @@ function PageInner({ initial }: { initial: PageVM }) {
             {modal?.type === "closeCall" && modal.lot && <CloseCallModal lot={modal.lot} />}
             {modal?.type === "closePut" && modal.lot && <ClosePutModal lot={modal.lot} />}
             {modal?.type === "roll" && modal.lot && <RollCallModal lot={modal.lot} />}
+            {modal?.type === "rollLeaps" && modal.lot && <RollLeapsModal lot={modal.lot} />}
+            {modal?.type === "dividend" && modal.lot && <DividendModal lot={modal.lot} />}
             {modal?.type === "new" && <NewLotWizard />}
         </div>
     );
 }
 
-export default function LotTimelinePage({ vm = SAMPLE_VM }: { vm?: PageVM }) {
+const EMPTY_VM: PageVM = { cycle: { title: "No cycle selected", started: "Pick a wheel cycle below" }, lots: [] };
+
+/**
+ * Lots for one wheel cycle, addressed as /wheels/:cycleId/lots. Without a cycle id
+ * the first cycle is shown. Lots are rebuilt from the cycle's events on every fetch,
+ * so optimistic writes to the events cache show up immediately. Pass `vm` to render
+ * a fixed model (e.g. SAMPLE_VM) without touching the backend.
+ */
+export default function LotTimelinePage({ vm }: { vm?: PageVM }) {
+    const navigate = useNavigate();
+    const params = useParams<{ cycleId?: string }>();
+    const { data: cycles = [], isLoading: cyclesLoading, error: cyclesError } = useWheelCycles();
+
+    const selectedId = params.cycleId ? Number(params.cycleId) : cycles[0]?.id;
+    const cycle = cycles.find((c) => c.id === selectedId);
+    const { data: events, isLoading: eventsLoading, error: eventsError } = useWheelEvents(vm ? undefined : selectedId);
+    const { data: backendLots } = useWheelLots(vm ? undefined : selectedId);
+
+    const built = useMemo<PageVM>(() => {
+        if (vm) return vm;
+        return cycle ? buildPageVM(cycle, events ?? [], backendLots ?? []) : EMPTY_VM;
+    }, [vm, cycle, events, backendLots]);
+
     // Provide actions with current lots and setter via context
-    const [model, setModel] = useState<PageVM>(vm);
+    const [model, setModel] = useState<PageVM>(built);
+    useEffect(() => setModel(built), [built]);
     const value = useMemo(() => ({ lots: model.lots, setLots: (updater: any) => setModel((prev) => ({ ...prev, lots: typeof updater === 'function' ? updater(prev.lots) : updater })) }), [model]);
+
+    let status: string | undefined;
+    if (!vm) {
+        if (cyclesLoading || eventsLoading) status = "Loading lots…";
+        else if (cyclesError || eventsError) status = `Failed to load lots: ${(cyclesError ?? eventsError)?.message}`;
+        else if (cycles.length === 0) status = "No wheel cycles yet. Create one on the Wheels page.";
+        else if (params.cycleId && !cycle) status = `Wheel cycle ${params.cycleId} was not found.`;
+        else if (model.lots.length === 0) status = "This cycle has no lots yet.";
+    }
+
     return (
-        <LotActionsProvider {...value} cycleId={1} ticker={model.cycle?.title?.split('•')?.[0]?.trim() || 'TICKER'} onEventCreated={() => { }}>
-            <PageInner initial={model} />
+        <LotActionsProvider {...value} cycleId={selectedId ?? 0} ticker={cycle?.ticker ?? model.cycle?.title?.split('•')?.[0]?.trim() ?? 'TICKER'} onEventCreated={() => { }}>
+            <PageInner
+                model={model}
+                cycles={vm ? [] : cycles}
+                selectedId={selectedId}
+                onSelectCycle={(id) => navigate(`/wheels/${id}/lots`)}
+                status={status}
+            />
         </LotActionsProvider>
     );
 }
@@ -1,5 +1,5 @@
 import React, { useState } from "react";
-import type { LotVM } from "../types";
+import type { LotVM, AdjustedBasis } from "../types";
 import { Timeline } from "./Timeline";
 
 function StatusChip({ status }: { status: LotVM["status"] }) {
@@ -9,6 +9,8 @@ function StatusChip({ status }: { status: LotVM["status"] }) {
         CASH_RESERVED: { cls: "border-blue-300 bg-blue-50 text-blue-700", label: "Cash Reserved" },
         CLOSED_SOLD: { cls: "border-green-300 bg-green-50 text-green-700", label: "Sold" },
         CLOSED_CALLED_AWAY: { cls: "border-slate-300 bg-slate-100 text-slate-700", label: "Called Away" },
+        CLOSED_BOUGHT_BACK: { cls: "border-slate-300 bg-slate-100 text-slate-700", label: "Put Closed" },
+        CLOSED_EXPIRED: { cls: "border-slate-300 bg-slate-100 text-slate-700", label: "Put Expired" },
     }[status];
 
     if (!map) {
@@ -26,6 +28,45 @@ function StatusChip({ status }: { status: LotVM["status"] }) {
     );
 }
 
+function AdjustedBasisLine({ basis }: { basis: AdjustedBasis }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="text-sm text-slate-600">
+            <div className="flex flex-wrap items-center gap-x-4">
+                <span>
+                    Adjusted Basis: <span className="font-medium text-emerald-700">{basis.basis}</span>
+                </span>
+                <span>
+                    Breakeven: <span className="font-medium text-slate-900">{basis.breakeven}</span>
+                </span>
+                {basis.breakdown.length > 0 && (
+                    <button
+                        onClick={() => setOpen((v) => !v)}
+                        className="text-xs text-slate-500 underline hover:text-slate-700"
+                        aria-expanded={open}
+                    >
+                        {open ? "Hide breakdown" : "Breakdown"}
+                    </button>
+                )}
+            </div>
+            {open && (
+                <ul className="mt-1 space-y-0.5 rounded-lg bg-slate-50 px-3 py-2 text-xs">
+                    {basis.breakdown.map((b) => (
+                        <li key={b.id} className="flex justify-between gap-4">
+                            <span>
+                                {b.label}
+                                {b.date && <span className="text-slate-400">{` • ${b.date}`}</span>}
+                            </span>
+                            <span className="font-medium text-slate-900">{b.amount}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
 export function LotCard({ lot, actions }: { lot: LotVM; actions?: React.ReactNode }) {
     const [open, setOpen] = useState(false);
     const id = `lot-${lot.lotNo}-timeline`;
@@ -56,6 +97,7 @@ export function LotCard({ lot, actions }: { lot: LotVM; actions?: React.ReactNod
                 <div className="text-sm text-slate-600">
                     Cost Basis: <span className="font-medium text-slate-900">{lot.costBasis}</span>
                 </div>
+                {lot.adjustedBasis && <AdjustedBasisLine basis={lot.adjustedBasis} />}
 
                 {lot.coverage ? (
                     <div className="text-sm text-slate-700">
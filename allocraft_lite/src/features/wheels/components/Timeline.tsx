@@ -8,9 +8,14 @@ const dotClass = (t: EventType) => {
         BUY_PUT_CLOSE: "bg-purple-200",
         PUT_ASSIGNMENT: "bg-fuchsia-600",
         BUY_SHARES: "bg-blue-500",
+        SELL_SHARES: "bg-blue-300",
         SELL_CALL_OPEN: "bg-emerald-600",
         SELL_CALL_CLOSE: "bg-emerald-300",
         CALL_ASSIGNMENT: "bg-emerald-800",
+        BUY_LEAPS_OPEN: "bg-indigo-500",
+        SELL_LEAPS_CLOSE: "bg-indigo-300",
+        EXPIRED: "bg-slate-300",
+        DIVIDEND: "bg-amber-500",
         FEE: "bg-slate-400",
     }[t];
 
@@ -2,11 +2,14 @@
 import type { LotVM } from "../types";
 import { useLotActions } from "./useLotActions";
 
-type HideFlags = Partial<{ cover: boolean; closePut: boolean; closeCall: boolean; roll: boolean }>;
+type HideFlags = Partial<{ cover: boolean; closePut: boolean; closeCall: boolean; roll: boolean; rollLeaps: boolean; dividend: boolean }>;
 
 export function ActionButtonsRow({ lot, hide }: { lot: LotVM; hide?: HideFlags }) {
-    const { openCover, openCloseCall, openClosePut, openRoll } = useLotActions();
+    const { openCover, openCloseCall, openClosePut, openRoll, openRollLeaps, openDividend } = useLotActions();
     const uncovered = lot.status === "OPEN_UNCOVERED";
+    const leapsOpen = lot.meta?.leapsOpenEventId != null;
+    // A LEAPS lot controls shares through its long call but holds none
+    const holdsShares = (uncovered || lot.status === "OPEN_COVERED") && lot.acquisition?.type !== "LEAPS_PURCHASE";
     const canCloseOrRoll = lot.status === "OPEN_COVERED" && lot.coverage?.status === "OPEN";
     const canClosePut = (lot.acquisition?.type === "CASH_SECURED_PUT" || lot.status === "CASH_RESERVED") && (lot.coverage?.status !== "CLOSED");
     return (
@@ -40,6 +43,15 @@ export function ActionButtonsRow({ lot, hide }: { lot: LotVM; hide?: HideFlags }
                         </button>)}
                 </>
             )}
+            {leapsOpen && !hide?.rollLeaps && (
+                <button
+                    className="rounded-lg border border-slate-300 bg-white px-3 py-1.5 text-sm text-slate-900 hover:bg-slate-100"
+                    onClick={() => openRollLeaps(lot)}
+                    aria-label={`Roll LEAPS on lot ${lot.lotNo}`}
+                >
+                    Roll LEAPS
+                </button>
+            )}
             {canClosePut && !hide?.closePut && (
                 <button
                     className="rounded-lg bg-slate-900 px-3 py-1.5 text-sm text-white hover:bg-black"
@@ -49,6 +61,15 @@ export function ActionButtonsRow({ lot, hide }: { lot: LotVM; hide?: HideFlags }
                     Close Put
                 </button>
             )}
+            {holdsShares && !hide?.dividend && (
+                <button
+                    className="rounded-lg border border-slate-300 bg-white px-3 py-1.5 text-sm text-slate-900 hover:bg-slate-100"
+                    onClick={() => openDividend(lot)}
+                    aria-label={`Record dividend on lot ${lot.lotNo}`}
+                >
+                    Dividend
+                </button>
+            )}
         </div>
     );
 }
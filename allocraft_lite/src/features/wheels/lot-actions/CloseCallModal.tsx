@@ -11,7 +11,7 @@ export function CloseCallModal({ lot }: { lot: LotVM }) {
     const qtyId = useId();
     const feesId = useId();
     const notesId = useId();
-    const [form, setForm] = useState<{ tradeDate: string; limitDebit?: number; contracts: number; fees?: number; notes?: string }>({ tradeDate: new Date().toISOString().slice(0, 10), contracts: 1 });
+    const [form, setForm] = useState<{ tradeDate: string; limitDebit?: number; contracts: number; fees?: number; notes?: string }>({ tradeDate: new Date().toISOString().slice(0, 10), contracts: lot.meta?.contracts ?? 1 });
     const [error, setError] = useState<string | null>(null);
 
     const submit = async () => {
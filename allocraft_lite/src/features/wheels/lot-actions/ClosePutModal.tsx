@@ -12,7 +12,7 @@ export function ClosePutModal({ lot }: { lot: LotVM }) {
     const feesId = useId();
     const notesId = useId();
     const [form, setForm] = useState<{ tradeDate: string; limitDebit?: number; contracts: number; fees?: number; notes?: string }>(
-        { tradeDate: new Date().toISOString().slice(0, 10), contracts: 1 }
+        { tradeDate: new Date().toISOString().slice(0, 10), contracts: lot.meta?.contracts ?? 1 }
     );
     const [error, setError] = useState<string | null>(null);
 
@@ -3,6 +3,9 @@ import type { LotVM } from "../types";
 import { useLotActions } from "./useLotActions";
 import type { SellCoveredCallInput, TimeInForce } from "./types";
 import { validateSellCC } from "./validators";
+import { analyzePmcc } from "@/services/pmcc";
+
+const dollars = (s?: string) => Number(String(s ?? "").replace(/[^0-9.-]/g, "")) || 0;
 
 export function CoverLotModal({ lot }: { lot: LotVM }) {
     const { sellCoveredCall, closeModal } = useLotActions();
@@ -16,6 +19,16 @@ export function CoverLotModal({ lot }: { lot: LotVM }) {
     );
     const [error, setError] = useState<string | null>(null);
 
+    // On a LEAPS lot the short call is covered by the long call, not shares
+    const leaps = lot.acquisition.type === "LEAPS_PURCHASE" && lot.meta?.leapsStrike ? lot.meta : undefined;
+    const pmcc = leaps && form.strike
+        ? analyzePmcc({
+            longLegs: [{ strike: leaps.leapsStrike!, expiration: leaps.leapsExpiry ?? null, contracts: leaps.leapsContracts ?? 1, debit: dollars(lot.costBasis) }],
+            shortLegs: [{ strike: form.strike, expiration: form.expiry || null, contracts: lot.meta?.contracts ?? 1, premium: form.limitPremium ?? 0 }],
+        })
+        : null;
+    const blocking = pmcc?.risks.find((r) => r.severity === "high");
+
     const submit = async () => {
         const payload: SellCoveredCallInput = {
             lotId: lot.lotNo,
@@ -29,6 +42,10 @@ export function CoverLotModal({ lot }: { lot: LotVM }) {
             setError("Please enter a valid strike, premium, and a future expiration date.");
             return;
         }
+        if (blocking) {
+            setError(blocking.message);
+            return;
+        }
         setError(null);
         await sellCoveredCall(payload).catch((e) => setError(e.message));
     };
@@ -64,12 +81,24 @@ export function CoverLotModal({ lot }: { lot: LotVM }) {
                             <label htmlFor={feesId} className="text-sm text-slate-700">Fees (optional)</label>
                             <input id={feesId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, fees: Number(e.target.value) }))} />
                         </div>
-                        <div className="text-xs text-slate-500">Contracts: 1 (fixed) — 1 contract per 100-share lot.</div>
+                        <div className="text-xs text-slate-500">
+                            {leaps
+                                ? `Contracts: 1 — sold against the $${leaps.leapsStrike!.toFixed(2)} LEAPS call.`
+                                : "Contracts: 1 (fixed) — 1 contract per 100-share lot."}
+                        </div>
+                        {pmcc && (
+                            <div className="rounded-lg border border-slate-200 p-3 text-xs text-slate-600" aria-live="polite">
+                                <div>Net debit ${pmcc.netDebit.toFixed(2)} • Max loss ${pmcc.maxLoss.toFixed(2)}{pmcc.breakeven != null ? ` • Breakeven $${pmcc.breakeven.toFixed(2)}` : ""}</div>
+                                {pmcc.risks.map((r) => (
+                                    <div key={`${r.code}-${r.message}`} className={r.severity === "high" ? "mt-1 text-rose-600" : "mt-1 text-amber-700"}>{r.message}</div>
+                                ))}
+                            </div>
+                        )}
                         {error && <div className="text-sm text-rose-600" aria-live="polite">{error}</div>}
                     </div>
                     <div className="mt-6 flex justify-end gap-2">
                         <button className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-slate-900 hover:bg-slate-100" onClick={closeModal}>Cancel</button>
-                        <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={submit}>Submit</button>
+                        <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black disabled:opacity-50" onClick={submit} disabled={!!blocking}>Submit</button>
                     </div>
                 </div>
             </div>
@@ -0,0 +1,68 @@
+import { useId, useState } from "react";
+import type { LotVM } from "../types";
+import { useLotActions } from "./useLotActions";
+import type { RecordDividendInput } from "./types";
+import { validateDividend } from "./validators";
+
+export function DividendModal({ lot }: { lot: LotVM }) {
+    const { recordDividend, closeModal } = useLotActions();
+    const dateId = useId();
+    const amountId = useId();
+    const sharesId = useId();
+    const notesId = useId();
+    const [form, setForm] = useState<{ exDate: string; amountPerShare?: number; shares: number; notes?: string }>(
+        { exDate: new Date().toISOString().slice(0, 10), shares: 100 }
+    );
+    const [error, setError] = useState<string | null>(null);
+
+    const submit = async () => {
+        const payload: RecordDividendInput = {
+            lotId: lot.lotNo,
+            exDate: form.exDate,
+            amountPerShare: form.amountPerShare!,
+            shares: form.shares,
+            notes: form.notes,
+        };
+        if (!validateDividend(payload)) {
+            setError("Please enter an ex-date, an amount per share and the shares held.");
+            return;
+        }
+        setError(null);
+        await recordDividend(payload).catch((e) => setError(e.message));
+    };
+
+    return (
+        <div className="fixed inset-0 z-50" role="dialog" aria-modal="true">
+            <div className="absolute inset-0 bg-black/30" onClick={closeModal} />
+            <div className="absolute inset-0 flex items-center justify-center p-4">
+                <div className="w-full max-w-lg rounded-2xl bg-white p-6 shadow-xl">
+                    <h2 className="text-lg font-semibold text-slate-900">Record Dividend</h2>
+                    <p className="mt-1 text-sm text-slate-600">Lot {lot.lotNo} — {lot.ticker}</p>
+                    <div className="mt-4 space-y-3">
+                        <div>
+                            <label htmlFor={dateId} className="text-sm text-slate-700">Ex-Dividend Date</label>
+                            <input id={dateId} type="date" value={form.exDate} className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, exDate: e.target.value }))} />
+                        </div>
+                        <div>
+                            <label htmlFor={amountId} className="text-sm text-slate-700">Amount per Share</label>
+                            <input id={amountId} type="number" step="0.0001" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, amountPerShare: Number(e.target.value) }))} />
+                        </div>
+                        <div>
+                            <label htmlFor={sharesId} className="text-sm text-slate-700">Shares Held</label>
+                            <input id={sharesId} type="number" min={1} value={form.shares} className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, shares: Number(e.target.value) }))} />
+                        </div>
+                        <div>
+                            <label htmlFor={notesId} className="text-sm text-slate-700">Notes</label>
+                            <input id={notesId} className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))} />
+                        </div>
+                        {error && <div className="text-sm text-rose-600" aria-live="polite">{error}</div>}
+                    </div>
+                    <div className="mt-6 flex justify-end gap-2">
+                        <button className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-slate-900 hover:bg-slate-100" onClick={closeModal}>Cancel</button>
+                        <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={submit}>Submit</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, { createContext, useContext, useMemo, useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
 import type { LotVM } from "../types";
 import type {
     SellCoveredCallInput,
@@ -6,26 +7,50 @@ import type {
     RollCoveredCallInput,
     CreateLotBuyInput,
     CreateLotShortPutInput,
+    RecordDividendInput,
+    CreateLotLeapsInput,
+    RollLeapsInput,
     LotsUpdater,
 } from "./types";
 import {
     sellCoveredCall as apiSellCC,
-    // closeCoveredCall as apiCloseCC, // Currently unused
+    closeCoveredCall as apiCloseCC,
     rollCoveredCall as apiRollCC,
     createLotBuy as apiCreateBuy,
     createLotShortPut as apiCreateShortPut,
+    closeShortPut as apiClosePut,
+    recordDividend as apiRecordDividend,
+    createLotLeaps as apiCreateLeaps,
+    rollLeaps as apiRollLeaps,
+    buildEvents,
+    lotActionKeys,
+    type WheelEventDraft,
 } from "./api";
-import { validateSellCC, validateCloseCC, validateRoll, validateBuyLot, validateShortPut } from "./validators";
-import { useCreateWheelEvent } from "@/api/enhancedClient";
+import {
+    validateSellCC,
+    validateCloseCC,
+    validateRoll,
+    validateBuyLot,
+    validateShortPut,
+    validateDividend,
+    validateLeapsLot,
+    validateRollLeaps,
+} from "./validators";
+import { queryKeys } from "@/api/enhancedClient";
+import type { WheelEvent } from "@/types/api";
 
 interface LotActionsContextValue {
+    /** Wheel the actions record events on */
+    cycleId: number;
     openCover: (lot: LotVM) => void;
     openCloseCall: (lot: LotVM) => void;
     openClosePut: (lot: LotVM) => void;
     openRoll: (lot: LotVM) => void;
+    openDividend: (lot: LotVM) => void;
+    openRollLeaps: (lot: LotVM) => void;
     openNewLot: (ticker?: string) => void;
     // state for modals
-    modal: null | { type: "cover" | "closeCall" | "closePut" | "roll" | "new"; lot?: LotVM; ticker?: string };
+    modal: null | { type: "cover" | "closeCall" | "closePut" | "roll" | "rollLeaps" | "dividend" | "new"; lot?: LotVM; ticker?: string };
     closeModal: () => void;
     // ops
     sellCoveredCall: (p: SellCoveredCallInput) => Promise<void>;
@@ -34,19 +59,26 @@ interface LotActionsContextValue {
     createLotBuy: (p: CreateLotBuyInput) => Promise<void>;
     createLotShortPut: (p: CreateLotShortPutInput) => Promise<void>;
     closeShortPut: (p: { lotId: number; tradeDate: string; limitDebit: number; contracts: number; fees?: number; notes?: string }) => Promise<void>;
+    recordDividend: (p: RecordDividendInput) => Promise<void>;
+    createLotLeaps: (p: CreateLotLeapsInput) => Promise<void>;
+    rollLeaps: (p: RollLeapsInput) => Promise<void>;
 }
 
 const LotActionsContext = createContext<LotActionsContextValue | undefined>(undefined);
 
+const ctrs = (contracts: number) => `${contracts} ctr${contracts > 1 ? "s" : ""}`;
+
 export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _ticker, onEventCreated }:
     {
         children: React.ReactNode; lots: LotVM[]; setLots: (lots: LotVM[]) => void | ((updater: (prev: LotVM[]) => LotVM[]) => void);
         cycleId: number; ticker?: string; onEventCreated?: (e: any) => void;
     }) {
     const [modal, setModal] = useState<LotActionsContextValue["modal"]>(null);
+    const queryClient = useQueryClient();
 
-    // React Query hook for creating wheel events
-    const createEventMutation = useCreateWheelEvent();
+    // ops are memoized with the modal state only, so read lots through a ref for rollback snapshots
+    const lotsRef = useRef(lots);
+    lotsRef.current = lots;
 
     const updateLots: LotsUpdater = (updater) => {
         if (typeof setLots === "function") {
@@ -55,18 +87,58 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
         }
     };
 
+    const findLot = (lotNo: number) => lotsRef.current.find((l) => l.lotNo === lotNo);
+
+    /**
+     * Apply an action optimistically: append the drafted events to the cycle's events
+     * cache and update the lot view models, then persist. On failure both are restored
+     * from their snapshots; either way the cycle's queries are refetched afterwards.
+     */
+    const runOptimistic = async <T,>(drafts: WheelEventDraft[], optimistic: (prev: LotVM[]) => LotVM[], persist: () => Promise<T>): Promise<T> => {
+        const eventsKey = lotActionKeys.events(cycleId);
+        await queryClient.cancelQueries({ queryKey: eventsKey });
+        const previousEvents = queryClient.getQueryData<WheelEvent[]>(eventsKey);
+        const previousLots = lotsRef.current;
+
+        const now = Date.now();
+        queryClient.setQueryData<WheelEvent[]>(eventsKey, (old) => [
+            ...(old ?? []),
+            ...drafts.map((d, i) => ({ ...d, id: -(now + i) })), // negative ids mark unsaved rows
+        ]);
+        updateLots(optimistic);
+
+        try {
+            return await persist();
+        } catch (error) {
+            queryClient.setQueryData(eventsKey, previousEvents);
+            updateLots(() => previousLots);
+            throw error;
+        } finally {
+            queryClient.invalidateQueries({ queryKey: ["wheel-events"] });
+            queryClient.invalidateQueries({ queryKey: lotActionKeys.lots(cycleId) });
+            queryClient.invalidateQueries({ queryKey: queryKeys.cycles });
+        }
+    };
+
+    const contractsOf = (lotNo: number) => findLot(lotNo)?.meta?.contracts ?? 1;
+
+    const setLotMeta = (lotNo: number, meta: NonNullable<LotVM["meta"]>) =>
+        updateLots((prev) => prev.map((l) => (l.lotNo === lotNo ? { ...l, meta: { ...l.meta, ...meta } } : l)));
+
     const openCover = (lot: LotVM) => setModal({ type: "cover", lot });
     const openCloseCall = (lot: LotVM) => setModal({ type: "closeCall", lot });
     const openClosePut = (lot: LotVM) => setModal({ type: "closePut", lot });
     const openRoll = (lot: LotVM) => setModal({ type: "roll", lot });
+    const openDividend = (lot: LotVM) => setModal({ type: "dividend", lot });
+    const openRollLeaps = (lot: LotVM) => setModal({ type: "rollLeaps", lot });
     const openNewLot = (ticker?: string) => setModal({ type: "new", ticker });
     const closeModal = () => setModal(null);
 
-    // optimistic updates
     const sellCoveredCall = async (p: SellCoveredCallInput) => {
         if (!validateSellCC(p)) throw new Error("Invalid sell covered call");
-        await apiSellCC(p.lotId, p);
-        updateLots((prev) =>
+        const contracts = contractsOf(p.lotId);
+        const draft = buildEvents.sellCoveredCall(cycleId, p, contracts);
+        const res = await runOptimistic([draft], (prev) =>
             prev.map((l) =>
                 l.lotNo === p.lotId
                     ? {
@@ -77,39 +149,28 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                             ...l.events,
                             {
                                 id: crypto.randomUUID(),
-                                date: new Date().toISOString().slice(0, 10),
+                                date: draft.trade_date,
                                 type: "SELL_CALL_OPEN",
                                 label: "Sold CALL",
                                 strike: `$${p.strike.toFixed(2)}`,
                                 premium: `$${p.limitPremium.toFixed(2)}`,
-                                qty: "1 ctr",
+                                qty: ctrs(contracts),
                             },
                         ],
                     }
                     : l
-            )
+            ),
+            () => apiSellCC(cycleId, findLot(p.lotId)?.meta?.lotId, p, contracts)
         );
+        setLotMeta(p.lotId, { callOpenEventId: res.id });
+        onEventCreated?.(res.event);
         closeModal();
     };
 
     const closeCoveredCall = async (p: CloseCoveredCallInput) => {
         if (!validateCloseCC(p)) throw new Error("Invalid close call");
-        // Create backend event for closing a covered call using React Query
-        const evt = await new Promise((resolve, reject) => {
-            createEventMutation.mutate({
-                wheel_cycle_id: cycleId,
-                event_type: "CLOSE_POSITION",
-                quantity: p.contracts,
-                price: p.limitDebit,
-                premium: p.limitDebit,
-                notes: p.notes ?? "",
-            }, {
-                onSuccess: resolve,
-                onError: reject
-            });
-        });
-        onEventCreated?.(evt);
-        updateLots((prev) =>
+        const openEventId = findLot(p.lotId)?.meta?.callOpenEventId;
+        const res = await runOptimistic([buildEvents.closeCoveredCall(cycleId, p, openEventId)], (prev) =>
             prev.map((l) =>
                 l.lotNo === p.lotId
                     ? {
@@ -123,20 +184,25 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                                 type: "SELL_CALL_CLOSE",
                                 label: "Closed CALL",
                                 price: `$${p.limitDebit.toFixed(2)}`,
-                                qty: `${p.contracts || 1} ctr${(p.contracts || 1) > 1 ? 's' : ''}`,
+                                qty: ctrs(p.contracts || 1),
                             },
                         ],
                     }
                     : l
-            )
+            ),
+            () => apiCloseCC(cycleId, findLot(p.lotId)?.meta?.lotId, p, openEventId)
         );
+        setLotMeta(p.lotId, { callOpenEventId: undefined });
+        onEventCreated?.(res.event);
         closeModal();
     };
 
     const rollCoveredCall = async (p: RollCoveredCallInput) => {
         if (!validateRoll(p)) throw new Error("Invalid roll");
-        await apiRollCC(p.lotId, p);
-        updateLots((prev) =>
+        const openEventId = findLot(p.lotId)?.meta?.callOpenEventId;
+        const contracts = contractsOf(p.lotId);
+        const drafts = buildEvents.rollCoveredCall(cycleId, p, contracts, openEventId);
+        const res = await runOptimistic(drafts, (prev) =>
             prev.map((l) =>
                 l.lotNo === p.lotId
                     ? {
@@ -146,26 +212,29 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                             ...l.events,
                             {
                                 id: crypto.randomUUID(),
-                                date: new Date().toISOString().slice(0, 10),
+                                date: drafts[0].trade_date,
                                 type: "SELL_CALL_CLOSE",
                                 label: "Closed CALL",
                                 price: `$${p.close.limitDebit.toFixed(2)}`,
-                                qty: "1 ctr",
+                                qty: ctrs(contracts),
                             },
                             {
                                 id: crypto.randomUUID(),
-                                date: new Date().toISOString().slice(0, 10),
+                                date: drafts[1].trade_date,
                                 type: "SELL_CALL_OPEN",
                                 label: "Sold CALL",
                                 strike: `$${p.open.strike.toFixed(2)}`,
                                 premium: `$${p.open.limitPremium.toFixed(2)}`,
-                                qty: "1 ctr",
+                                qty: ctrs(contracts),
                             },
                         ],
                     }
                     : l
-            )
+            ),
+            () => apiRollCC(cycleId, findLot(p.lotId)?.meta?.lotId, p, contracts, openEventId)
         );
+        setLotMeta(p.lotId, { callOpenEventId: res.openId });
+        res.events.forEach((e) => onEventCreated?.(e));
         closeModal();
     };
 
@@ -173,22 +242,8 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
         // reuse validation from close CC since it's the same shape
         if (!validateCloseCC({ lotId: p.lotId, tradeDate: p.tradeDate, limitDebit: p.limitDebit, contracts: p.contracts, fees: p.fees, notes: p.notes }))
             throw new Error("Invalid close put");
-        // Create backend event for closing a short put using React Query
-        const evt = await new Promise((resolve, reject) => {
-            createEventMutation.mutate({
-                wheel_cycle_id: cycleId,
-                event_type: "CLOSE_POSITION",
-                quantity: p.contracts,
-                price: p.limitDebit,
-                premium: p.limitDebit,
-                notes: p.notes ?? "",
-            }, {
-                onSuccess: resolve,
-                onError: reject
-            });
-        });
-        onEventCreated?.(evt);
-        updateLots((prev) =>
+        const openEventId = findLot(p.lotId)?.meta?.putOpenEventId;
+        const res = await runOptimistic([buildEvents.closeShortPut(cycleId, p, openEventId)], (prev) =>
             prev.map((l) =>
                 l.lotNo === p.lotId
                     ? {
@@ -200,26 +255,61 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                             {
                                 id: crypto.randomUUID(),
                                 date: p.tradeDate,
-                                type: "SELL_PUT_CLOSE",
+                                type: "BUY_PUT_CLOSE",
                                 label: "Closed PUT",
                                 price: `$${p.limitDebit.toFixed(2)}`,
-                                qty: `${p.contracts || 1} ctr${(p.contracts || 1) > 1 ? 's' : ''}`,
+                                qty: ctrs(p.contracts || 1),
                             },
                         ],
                     }
                     : l
-            )
+            ),
+            () => apiClosePut(cycleId, findLot(p.lotId)?.meta?.lotId, p, openEventId)
         );
+        onEventCreated?.(res.event);
         closeModal();
     };
 
+    const recordDividend = async (p: RecordDividendInput) => {
+        if (!validateDividend(p)) throw new Error("Invalid dividend");
+        // Link to the lot's first persisted event so the dividend lands on this lot
+        const lotEventId = Number(findLot(p.lotId)?.events[0]?.id);
+        const linkId = lotEventId > 0 ? lotEventId : undefined;
+        const res = await runOptimistic([buildEvents.recordDividend(cycleId, p, linkId)], (prev) =>
+            prev.map((l) =>
+                l.lotNo === p.lotId
+                    ? {
+                        ...l,
+                        events: [
+                            ...l.events,
+                            {
+                                id: crypto.randomUUID(),
+                                date: p.exDate,
+                                type: "DIVIDEND",
+                                label: "Dividend",
+                                price: `$${p.amountPerShare.toFixed(2)}`,
+                                qty: `${p.shares} sh`,
+                                notes: p.notes,
+                            },
+                        ],
+                    }
+                    : l
+            ),
+            () => apiRecordDividend(cycleId, p, linkId)
+        );
+        onEventCreated?.(res.event);
+        closeModal();
+    };
+
+    const nextLotNo = (prev: LotVM[]) => Math.max(0, ...prev.map((x) => x.lotNo)) + 1;
+
     const createLotBuy = async (p: CreateLotBuyInput) => {
         if (!validateBuyLot(p)) throw new Error("Invalid lot buy");
-        await apiCreateBuy(p);
-        updateLots((prev) => [
+        const lotNo = nextLotNo(lotsRef.current);
+        const res = await runOptimistic([buildEvents.createLotBuy(cycleId, p)], (prev) => [
             ...prev,
             {
-                lotNo: Math.max(0, ...prev.map((x) => x.lotNo)) + 1,
+                lotNo,
                 ticker: p.ticker,
                 acquisition: { type: "OUTRIGHT_PURCHASE", label: `Bought @ $${p.price.toFixed(2)}`, date: p.date },
                 costBasis: `$${p.price.toFixed(2)}`,
@@ -235,17 +325,21 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                     },
                 ],
             },
-        ]);
+        ],
+            () => apiCreateBuy(cycleId, p)
+        );
+        onEventCreated?.(res.event);
         closeModal();
     };
 
     const createLotShortPut = async (p: CreateLotShortPutInput) => {
         if (!validateShortPut(p)) throw new Error("Invalid CSP");
-        await apiCreateShortPut(p);
-        updateLots((prev) => [
+        const lotNo = nextLotNo(lotsRef.current);
+        const draft = buildEvents.createLotShortPut(cycleId, p);
+        const res = await runOptimistic([draft], (prev) => [
             ...prev,
             {
-                lotNo: Math.max(0, ...prev.map((x) => x.lotNo)) + 1,
+                lotNo,
                 ticker: p.ticker,
                 acquisition: { type: "PUT_ASSIGNMENT", label: `Pending PUT Assignment`, date: p.expiry },
                 costBasis: "—",
@@ -253,25 +347,105 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
                 events: [
                     {
                         id: crypto.randomUUID(),
-                        date: new Date().toISOString().slice(0, 10),
+                        date: draft.trade_date,
                         type: "SELL_PUT",
                         label: "Sold PUT",
                         strike: `$${p.strike.toFixed(2)}`,
                         premium: `$${p.premium.toFixed(2)}`,
-                        qty: "1 ctr",
+                        qty: ctrs(p.contracts),
                         notes: "Pending assignment",
                     },
                 ],
             },
-        ]);
+        ],
+            () => apiCreateShortPut(cycleId, p)
+        );
+        setLotMeta(lotNo, { putOpenEventId: res.id });
+        onEventCreated?.(res.event);
+        closeModal();
+    };
+
+    const createLotLeaps = async (p: CreateLotLeapsInput) => {
+        if (!validateLeapsLot(p)) throw new Error("Invalid LEAPS");
+        const lotNo = nextLotNo(lotsRef.current);
+        const qty = ctrs(p.contracts);
+        const res = await runOptimistic([buildEvents.createLotLeaps(cycleId, p)], (prev) => [
+            ...prev,
+            {
+                lotNo,
+                ticker: p.ticker,
+                acquisition: { type: "LEAPS_PURCHASE", label: `LEAPS Call @ $${p.strike.toFixed(2)}`, date: p.date },
+                costBasis: `$${p.premium.toFixed(2)}`,
+                status: "OPEN_UNCOVERED",
+                events: [
+                    {
+                        id: crypto.randomUUID(),
+                        date: p.date,
+                        type: "BUY_LEAPS_OPEN",
+                        label: "Bought LEAPS",
+                        strike: `$${p.strike.toFixed(2)}`,
+                        premium: `$${p.premium.toFixed(2)}`,
+                        qty,
+                    },
+                ],
+            },
+        ],
+            () => apiCreateLeaps(cycleId, p)
+        );
+        setLotMeta(lotNo, { leapsOpenEventId: res.id, leapsContracts: p.contracts, leapsStrike: p.strike, leapsExpiry: p.expiry });
+        onEventCreated?.(res.event);
+        closeModal();
+    };
+
+    const rollLeaps = async (p: RollLeapsInput) => {
+        if (!validateRollLeaps(p)) throw new Error("Invalid LEAPS roll");
+        const meta = findLot(p.lotId)?.meta;
+        const contracts = meta?.leapsContracts ?? 1;
+        const qty = ctrs(contracts);
+        const drafts = buildEvents.rollLeaps(cycleId, p, contracts, meta?.leapsOpenEventId);
+        const res = await runOptimistic(drafts, (prev) =>
+            prev.map((l) =>
+                l.lotNo === p.lotId
+                    ? {
+                        ...l,
+                        events: [
+                            ...l.events,
+                            {
+                                id: crypto.randomUUID(),
+                                date: drafts[0].trade_date,
+                                type: "SELL_LEAPS_CLOSE",
+                                label: "Sold LEAPS",
+                                price: `$${p.close.limitCredit.toFixed(2)}`,
+                                qty,
+                            },
+                            {
+                                id: crypto.randomUUID(),
+                                date: drafts[1].trade_date,
+                                type: "BUY_LEAPS_OPEN",
+                                label: "Bought LEAPS",
+                                strike: `$${p.open.strike.toFixed(2)}`,
+                                premium: `$${p.open.limitDebit.toFixed(2)}`,
+                                qty,
+                            },
+                        ],
+                    }
+                    : l
+            ),
+            () => apiRollLeaps(cycleId, p, contracts, meta?.leapsOpenEventId)
+        );
+        setLotMeta(p.lotId, { leapsOpenEventId: res.openId, leapsStrike: p.open.strike, leapsExpiry: p.open.expiry });
+        res.events.forEach((e) => onEventCreated?.(e));
         closeModal();
     };
 
     const value = useMemo<LotActionsContextValue>(() => ({
+        cycleId,
         openCover,
         openCloseCall,
         openClosePut,
         openRoll,
+        openDividend,
+        openRollLeaps,
         openNewLot,
         modal,
         closeModal,
@@ -281,7 +455,10 @@ export function LotActionsProvider({ children, lots, setLots, cycleId, ticker: _
         createLotBuy,
         createLotShortPut,
         closeShortPut,
-    }), [modal]);
+        recordDividend,
+        createLotLeaps,
+        rollLeaps,
+    }), [modal, cycleId]);
 
     return <LotActionsContext.Provider value={value}>{children}</LotActionsContext.Provider>;
 }
@@ -1,17 +1,29 @@
 import { useId, useState } from "react";
 import { useLotActions } from "./useLotActions";
+import { useCspCollateralCheck } from "@/api/enhancedClient";
+import { isLeaps, LEAPS_MIN_DAYS } from "@/services/pmcc";
 
 export function NewLotWizard({ ticker }: { ticker?: string }) {
-    const { createLotBuy, createLotShortPut, closeModal } = useLotActions();
-    const [tab, setTab] = useState<"BUY" | "CSP">("BUY");
+    const { cycleId, createLotBuy, createLotShortPut, createLotLeaps, closeModal } = useLotActions();
+    const [tab, setTab] = useState<"BUY" | "CSP" | "LEAPS">("BUY");
     const priceId = useId();
     const buyDateId = useId();
     const buyFeesId = useId();
     const cspStrikeId = useId();
     const cspExpiryId = useId();
     const cspPremId = useId();
+    const cspContractsId = useId();
     const cspFeesId = useId();
+    const leapsStrikeId = useId();
+    const leapsExpiryId = useId();
+    const leapsPremId = useId();
+    const leapsContractsId = useId();
+    const leapsFeesId = useId();
+    const [leapsExpiry, setLeapsExpiry] = useState("");
     const [err, setErr] = useState<string | null>(null);
+    const [cspStrike, setCspStrike] = useState("");
+    const [cspContracts, setCspContracts] = useState(1);
+    const collateral = useCspCollateralCheck({ strike: Number(cspStrike), contracts: cspContracts, cycleId });
 
     const submitBuy = async () => {
         const price = Number((document.getElementById(priceId) as HTMLInputElement)?.value);
@@ -21,11 +33,24 @@ export function NewLotWizard({ ticker }: { ticker?: string }) {
     };
 
     const submitCsp = async () => {
-        const strike = Number((document.getElementById(cspStrikeId) as HTMLInputElement)?.value);
+        if (collateral?.status === "blocked") {
+            setErr(collateral.message);
+            return;
+        }
+        const strike = Number(cspStrike);
         const expiry = (document.getElementById(cspExpiryId) as HTMLInputElement)?.value;
         const premium = Number((document.getElementById(cspPremId) as HTMLInputElement)?.value);
         const fees = Number((document.getElementById(cspFeesId) as HTMLInputElement)?.value) || undefined;
-        await createLotShortPut({ ticker: ticker ?? "TICKER", strike, expiry, premium, timeInForce: "DAY", fees }).catch((e) => setErr(e.message));
+        await createLotShortPut({ ticker: ticker ?? "TICKER", strike, expiry, premium, contracts: cspContracts, timeInForce: "DAY", fees }).catch((e) => setErr(e.message));
+    };
+
+    const submitLeaps = async () => {
+        const strike = Number((document.getElementById(leapsStrikeId) as HTMLInputElement)?.value);
+        const premium = Number((document.getElementById(leapsPremId) as HTMLInputElement)?.value);
+        const contracts = Number((document.getElementById(leapsContractsId) as HTMLInputElement)?.value) || 1;
+        const fees = Number((document.getElementById(leapsFeesId) as HTMLInputElement)?.value) || undefined;
+        const date = new Date().toISOString().slice(0, 10);
+        await createLotLeaps({ ticker: ticker ?? "TICKER", strike, expiry: leapsExpiry, premium, contracts, date, fees }).catch((e) => setErr(e.message));
     };
 
     return (
@@ -38,6 +63,7 @@ export function NewLotWizard({ ticker }: { ticker?: string }) {
                         <div className="inline-flex rounded-lg border border-slate-300 p-0.5">
                             <button className={`px-3 py-1.5 text-sm ${tab === "BUY" ? "bg-slate-900 text-white" : "text-slate-700"}`} onClick={() => setTab("BUY")}>Buy 100 Shares</button>
                             <button className={`px-3 py-1.5 text-sm ${tab === "CSP" ? "bg-slate-900 text-white" : "text-slate-700"}`} onClick={() => setTab("CSP")}>Cash-Secured Put</button>
+                            <button className={`px-3 py-1.5 text-sm ${tab === "LEAPS" ? "bg-slate-900 text-white" : "text-slate-700"}`} onClick={() => setTab("LEAPS")}>LEAPS (PMCC)</button>
                         </div>
                         {tab === "BUY" ? (
                             <div className="mt-4 space-y-3">
@@ -54,25 +80,70 @@ export function NewLotWizard({ ticker }: { ticker?: string }) {
                                     <input id={buyFeesId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
                                 </div>
                             </div>
-                        ) : (
+                        ) : tab === "CSP" ? (
                             <div className="mt-4 space-y-3">
                                 <div>
                                     <label htmlFor={cspStrikeId} className="text-sm text-slate-700">Strike</label>
-                                    <input id={cspStrikeId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                    <input id={cspStrikeId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" value={cspStrike} onChange={(e) => setCspStrike(e.target.value)} />
                                 </div>
                                 <div>
                                     <label htmlFor={cspExpiryId} className="text-sm text-slate-700">Expiration</label>
                                     <input id={cspExpiryId} type="date" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
                                 </div>
-                                <div>
-                                    <label htmlFor={cspPremId} className="text-sm text-slate-700">Premium</label>
-                                    <input id={cspPremId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div>
+                                        <label htmlFor={cspPremId} className="text-sm text-slate-700">Premium</label>
+                                        <input id={cspPremId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor={cspContractsId} className="text-sm text-slate-700">Contracts</label>
+                                        <input id={cspContractsId} type="number" min={1} className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" value={cspContracts} onChange={(e) => setCspContracts(Math.max(1, Number(e.target.value) || 1))} />
+                                    </div>
                                 </div>
                                 <div>
                                     <label htmlFor={cspFeesId} className="text-sm text-slate-700">Fees (optional)</label>
                                     <input id={cspFeesId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
                                 </div>
-                                <div className="text-xs text-slate-500">Requires cash to secure 100 shares at strike.</div>
+                                <div className="text-xs text-slate-500">Requires cash to secure 100 shares per contract at strike.</div>
+                                {collateral && (
+                                    <div
+                                        className={`text-xs ${collateral.status === "ok" ? "text-slate-600" : collateral.status === "warning" ? "text-amber-700" : "text-rose-600"}`}
+                                        aria-live="polite"
+                                    >
+                                        {collateral.message}
+                                    </div>
+                                )}
+                            </div>
+                        ) : (
+                            <div className="mt-4 space-y-3">
+                                <div>
+                                    <label htmlFor={leapsStrikeId} className="text-sm text-slate-700">Call Strike</label>
+                                    <input id={leapsStrikeId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                </div>
+                                <div>
+                                    <label htmlFor={leapsExpiryId} className="text-sm text-slate-700">Expiration</label>
+                                    <input id={leapsExpiryId} type="date" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" value={leapsExpiry} onChange={(e) => setLeapsExpiry(e.target.value)} />
+                                </div>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div>
+                                        <label htmlFor={leapsPremId} className="text-sm text-slate-700">Debit / share</label>
+                                        <input id={leapsPremId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor={leapsContractsId} className="text-sm text-slate-700">Contracts</label>
+                                        <input id={leapsContractsId} type="number" min={1} className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" defaultValue={1} />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label htmlFor={leapsFeesId} className="text-sm text-slate-700">Fees (optional)</label>
+                                    <input id={leapsFeesId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" />
+                                </div>
+                                <div className="text-xs text-slate-500">Long call that short calls are sold against (poor man's covered call).</div>
+                                {leapsExpiry && !isLeaps(leapsExpiry) && (
+                                    <div className="text-xs text-amber-700" aria-live="polite">
+                                        Expires within {LEAPS_MIN_DAYS} days — too short-dated to carry short calls for long.
+                                    </div>
+                                )}
                             </div>
                         )}
                         {err && <div className="mt-2 text-sm text-rose-600" aria-live="polite">{err}</div>}
@@ -81,8 +152,10 @@ export function NewLotWizard({ ticker }: { ticker?: string }) {
                         <button className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-slate-900 hover:bg-slate-100" onClick={closeModal}>Cancel</button>
                         {tab === "BUY" ? (
                             <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={submitBuy}>Submit</button>
+                        ) : tab === "LEAPS" ? (
+                            <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={submitLeaps}>Submit</button>
                         ) : (
-                            <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black" onClick={submitCsp}>Submit</button>
+                            <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black disabled:opacity-50" onClick={submitCsp} disabled={collateral?.status === "blocked"}>Submit</button>
                         )}
                     </div>
                 </div>
@@ -0,0 +1,97 @@
+import { useId, useState } from "react";
+import type { LotVM } from "../types";
+import { useLotActions } from "./useLotActions";
+import type { RollLeapsInput } from "./types";
+import { validateRollLeaps } from "./validators";
+import { analyzePmcc } from "@/services/pmcc";
+
+const dollars = (s?: string) => Number(String(s ?? "").replace(/[^0-9.-]/g, "")) || 0;
+
+export function RollLeapsModal({ lot }: { lot: LotVM }) {
+    const { rollLeaps, closeModal } = useLotActions();
+    const creditId = useId();
+    const strikeId = useId();
+    const expiryId = useId();
+    const debitId = useId();
+
+    const [form, setForm] = useState<{ closeCredit?: number; openStrike?: number; openExpiry?: string; openDebit?: number }>({});
+    const [error, setError] = useState<string | null>(null);
+
+    // The short call stays open across the roll, so check it against the new long leg
+    const shortOpen = lot.status === "OPEN_COVERED" && lot.coverage?.status === "OPEN";
+    const risks = shortOpen && form.openStrike
+        ? analyzePmcc({
+            longLegs: [{ strike: form.openStrike, expiration: form.openExpiry || null, contracts: lot.meta?.leapsContracts ?? 1, debit: 0 }],
+            shortLegs: [{ strike: dollars(lot.coverage?.strike), expiration: null, contracts: 1, premium: 0 }],
+        }).risks.filter((r) => r.code === "short_strike_at_or_below_long")
+        : [];
+
+    const submit = async () => {
+        const payload: RollLeapsInput = {
+            lotId: lot.lotNo,
+            close: { limitCredit: form.closeCredit! },
+            open: { strike: form.openStrike!, expiry: form.openExpiry!, limitDebit: form.openDebit! },
+        };
+        if (!validateRollLeaps(payload)) {
+            setError("Please enter a valid sale credit and new LEAPS (strike, expiry, debit).");
+            return;
+        }
+        if (risks.length) {
+            setError(risks[0].message);
+            return;
+        }
+        setError(null);
+        await rollLeaps(payload).catch((e) => setError(e.message));
+    };
+
+    return (
+        <div className="fixed inset-0 z-50" role="dialog" aria-modal="true">
+            <div className="absolute inset-0 bg-black/30" onClick={closeModal} />
+            <div className="absolute inset-0 flex items-center justify-center p-4">
+                <div className="w-full max-w-lg rounded-2xl bg-white p-6 shadow-xl">
+                    <h2 className="text-lg font-semibold text-slate-900">Roll LEAPS</h2>
+                    <p className="mt-1 text-sm text-slate-600">
+                        Lot {lot.lotNo} — {lot.ticker}
+                        {lot.meta?.leapsStrike ? ` • $${lot.meta.leapsStrike.toFixed(2)} call` : ""}
+                        {lot.meta?.leapsExpiry ? ` exp ${lot.meta.leapsExpiry}` : ""}
+                    </p>
+                    <div className="mt-4 grid grid-cols-1 gap-4">
+                        <div className="rounded-xl border border-slate-200 p-3">
+                            <div className="text-sm font-medium text-slate-900">Sell current LEAPS</div>
+                            <div className="mt-2">
+                                <label htmlFor={creditId} className="text-sm text-slate-700">Limit Credit</label>
+                                <input id={creditId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, closeCredit: Number(e.target.value) }))} />
+                            </div>
+                        </div>
+                        <div className="rounded-xl border border-slate-200 p-3">
+                            <div className="text-sm font-medium text-slate-900">Buy new LEAPS</div>
+                            <div className="mt-2 grid grid-cols-2 gap-3">
+                                <div>
+                                    <label htmlFor={strikeId} className="text-sm text-slate-700">Strike</label>
+                                    <input id={strikeId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, openStrike: Number(e.target.value) }))} />
+                                </div>
+                                <div>
+                                    <label htmlFor={expiryId} className="text-sm text-slate-700">Expiration</label>
+                                    <input id={expiryId} type="date" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, openExpiry: e.target.value }))} />
+                                </div>
+                                <div className="col-span-2">
+                                    <label htmlFor={debitId} className="text-sm text-slate-700">Limit Debit</label>
+                                    <input id={debitId} type="number" className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2" onChange={(e) => setForm((f) => ({ ...f, openDebit: Number(e.target.value) }))} />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="text-xs text-slate-500">Contracts: {lot.meta?.leapsContracts ?? 1} — the whole long leg rolls.</div>
+                        {risks.map((r) => (
+                            <div key={r.code} className="text-sm text-amber-700" aria-live="polite">{r.message}</div>
+                        ))}
+                        {error && <div className="text-sm text-rose-600" aria-live="polite">{error}</div>}
+                    </div>
+                    <div className="mt-6 flex justify-end gap-2">
+                        <button className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-slate-900 hover:bg-slate-100" onClick={closeModal}>Cancel</button>
+                        <button className="rounded-lg bg-slate-900 px-4 py-2 text-white hover:bg-black disabled:opacity-50" onClick={submit} disabled={risks.length > 0}>Submit</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,3 +1,5 @@
+import { wheelApi } from "@/api/fastapiClient";
+import { WheelEventType, type WheelEvent } from "@/types/api";
 import {
     SellCoveredCallInput,
     CloseCoveredCallInput,
@@ -5,24 +7,232 @@ import {
     CreateLotBuyInput,
     CreateLotShortPutInput,
     ClosePutInput,
+    RecordDividendInput,
+    CreateLotLeapsInput,
+    RollLeapsInput,
 } from "./types";
 
-export async function sellCoveredCall(_lotId: number, _p: SellCoveredCallInput) {
-    return { ok: true, id: crypto.randomUUID() };
+/** React Query keys for the data these actions mutate. */
+export const lotActionKeys = {
+    events: (cycleId: number) => ["wheel-events", cycleId] as const,
+    lots: (cycleId: number) => ["wheel-lots", cycleId] as const,
+};
+
+export type WheelEventDraft = Omit<WheelEvent, "id">;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function expiryNote(expiry: string, timeInForce: string) {
+    return `Exp ${expiry} • ${timeInForce}`;
+}
+
+/*
+ * Builders for the WheelEvent records each action persists. They are shared with
+ * LotActionsProvider so the optimistic cache entry matches what the server stores.
+ */
+export const buildEvents = {
+    sellCoveredCall(cycleId: number, p: SellCoveredCallInput, contracts: number): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.SELL_CALL_OPEN,
+            trade_date: today(),
+            contracts,
+            strike: p.strike,
+            premium: p.limitPremium,
+            fees: p.fees ?? 0,
+            expiration_date: p.expiry,
+            notes: expiryNote(p.expiry, p.timeInForce),
+        };
+    },
+    closeCoveredCall(cycleId: number, p: CloseCoveredCallInput, openEventId?: number): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.SELL_CALL_CLOSE,
+            trade_date: p.tradeDate,
+            contracts: p.contracts,
+            premium: p.limitDebit,
+            fees: p.fees ?? 0,
+            link_event_id: openEventId,
+            notes: p.notes,
+        };
+    },
+    rollCoveredCall(cycleId: number, p: RollCoveredCallInput, contracts: number, openEventId?: number): [WheelEventDraft, WheelEventDraft] {
+        const tradeDate = today();
+        return [
+            {
+                cycle_id: cycleId,
+                event_type: WheelEventType.SELL_CALL_CLOSE,
+                trade_date: tradeDate,
+                contracts,
+                premium: p.close.limitDebit,
+                fees: p.close.fees ?? 0,
+                link_event_id: openEventId,
+                notes: p.close.notes ?? "Rolled",
+            },
+            {
+                cycle_id: cycleId,
+                event_type: WheelEventType.SELL_CALL_OPEN,
+                trade_date: tradeDate,
+                contracts,
+                strike: p.open.strike,
+                premium: p.open.limitPremium,
+                fees: p.open.fees ?? 0,
+                expiration_date: p.open.expiry,
+                notes: expiryNote(p.open.expiry, p.open.timeInForce),
+            },
+        ];
+    },
+    createLotBuy(cycleId: number, p: CreateLotBuyInput): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.BUY_SHARES,
+            trade_date: p.date,
+            quantity_shares: 100,
+            price: p.price,
+            fees: p.fees ?? 0,
+        };
+    },
+    createLotShortPut(cycleId: number, p: CreateLotShortPutInput): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.SELL_PUT_OPEN,
+            trade_date: today(),
+            contracts: p.contracts,
+            strike: p.strike,
+            premium: p.premium,
+            fees: p.fees ?? 0,
+            expiration_date: p.expiry,
+            notes: expiryNote(p.expiry, p.timeInForce),
+        };
+    },
+    closeShortPut(cycleId: number, p: ClosePutInput, openEventId?: number): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.BUY_PUT_CLOSE,
+            trade_date: p.tradeDate,
+            contracts: p.contracts,
+            premium: p.limitDebit,
+            fees: p.fees ?? 0,
+            link_event_id: openEventId,
+            notes: p.notes,
+        };
+    },
+    createLotLeaps(cycleId: number, p: CreateLotLeapsInput): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.BUY_LEAPS_OPEN,
+            trade_date: p.date,
+            contracts: p.contracts,
+            strike: p.strike,
+            premium: p.premium,
+            fees: p.fees ?? 0,
+            expiration_date: p.expiry,
+            notes: `Exp ${p.expiry} • PMCC long leg`,
+        };
+    },
+    // The new LEAPS links to the sale of the old one once it is saved, which marks it a roll
+    rollLeaps(cycleId: number, p: RollLeapsInput, contracts: number, openEventId?: number): [WheelEventDraft, WheelEventDraft] {
+        const tradeDate = today();
+        return [
+            {
+                cycle_id: cycleId,
+                event_type: WheelEventType.SELL_LEAPS_CLOSE,
+                trade_date: tradeDate,
+                contracts,
+                premium: p.close.limitCredit,
+                fees: p.close.fees ?? 0,
+                link_event_id: openEventId,
+                notes: p.close.notes ?? "Rolled",
+            },
+            {
+                cycle_id: cycleId,
+                event_type: WheelEventType.BUY_LEAPS_OPEN,
+                trade_date: tradeDate,
+                contracts,
+                strike: p.open.strike,
+                premium: p.open.limitDebit,
+                fees: p.open.fees ?? 0,
+                expiration_date: p.open.expiry,
+                notes: `Exp ${p.open.expiry} • PMCC long leg`,
+            },
+        ];
+    },
+    recordDividend(cycleId: number, p: RecordDividendInput, lotEventId?: number): WheelEventDraft {
+        return {
+            cycle_id: cycleId,
+            event_type: WheelEventType.DIVIDEND,
+            trade_date: p.exDate,
+            quantity_shares: p.shares,
+            price: p.amountPerShare,
+            link_event_id: lotEventId,
+            notes: p.notes,
+        };
+    },
+};
+
+async function createEvent(draft: WheelEventDraft): Promise<WheelEvent> {
+    return wheelApi.createEvent(draft);
+}
+
+/**
+ * Persist a roll's closing leg, then its new leg. If the new leg fails the close
+ * is deleted again, so a failed roll leaves the old position open.
+ */
+async function createRoll(closeDraft: WheelEventDraft, openDraft: (close: WheelEvent) => WheelEventDraft): Promise<[WheelEvent, WheelEvent]> {
+    const closeEvent = await createEvent(closeDraft);
+    try {
+        return [closeEvent, await createEvent(openDraft(closeEvent))];
+    } catch (error) {
+        await wheelApi.deleteEvent(closeEvent.id).catch((cleanup: unknown) =>
+            console.error("Failed to remove the close of a failed roll:", cleanup));
+        throw error;
+    }
+}
+
+// lotId is the backend lot id; call bindings are skipped for lots that only exist client-side
+export async function sellCoveredCall(cycleId: number, lotId: number | undefined, p: SellCoveredCallInput, contracts: number) {
+    const event = await createEvent(buildEvents.sellCoveredCall(cycleId, p, contracts));
+    if (lotId != null) await wheelApi.bindCall(lotId, event.id);
+    return { ok: true, id: event.id, event };
+}
+export async function closeCoveredCall(cycleId: number, lotId: number | undefined, p: CloseCoveredCallInput, openEventId?: number) {
+    const event = await createEvent(buildEvents.closeCoveredCall(cycleId, p, openEventId));
+    if (lotId != null) await wheelApi.unbindCall(lotId);
+    return { ok: true, id: event.id, event };
 }
-export async function closeCoveredCall(_lotId: number, _p: CloseCoveredCallInput) {
-    return { ok: true, id: crypto.randomUUID() };
+export async function rollCoveredCall(cycleId: number, lotId: number | undefined, p: RollCoveredCallInput, contracts: number, openEventId?: number) {
+    const [closeDraft, openDraft] = buildEvents.rollCoveredCall(cycleId, p, contracts, openEventId);
+    const [closeEvent, openEvent] = await createRoll(closeDraft, () => openDraft);
+    if (lotId != null) await wheelApi.bindCall(lotId, openEvent.id);
+    return { ok: true, closeId: closeEvent.id, openId: openEvent.id, events: [closeEvent, openEvent] };
 }
-export async function rollCoveredCall(_lotId: number, _p: RollCoveredCallInput) {
-    return { ok: true, closeId: crypto.randomUUID(), openId: crypto.randomUUID() };
+export async function createLotBuy(cycleId: number, p: CreateLotBuyInput) {
+    const event = await createEvent(buildEvents.createLotBuy(cycleId, p));
+    await wheelApi.rebuildLots(cycleId);
+    return { ok: true, id: event.id, event };
 }
-export async function createLotBuy(_p: CreateLotBuyInput) {
-    return { ok: true, lotId: Math.floor(Math.random() * 1e6) };
+export async function createLotShortPut(cycleId: number, p: CreateLotShortPutInput) {
+    const event = await createEvent(buildEvents.createLotShortPut(cycleId, p));
+    await wheelApi.rebuildLots(cycleId);
+    return { ok: true, id: event.id, event };
 }
-export async function createLotShortPut(_p: CreateLotShortPutInput) {
-    return { ok: true, lotId: Math.floor(Math.random() * 1e6) };
+export async function createLotLeaps(cycleId: number, p: CreateLotLeapsInput) {
+    const event = await createEvent(buildEvents.createLotLeaps(cycleId, p));
+    await wheelApi.rebuildLots(cycleId);
+    return { ok: true, id: event.id, event };
+}
+export async function rollLeaps(cycleId: number, p: RollLeapsInput, contracts: number, openEventId?: number) {
+    const [closeDraft, openDraft] = buildEvents.rollLeaps(cycleId, p, contracts, openEventId);
+    const [closeEvent, openEvent] = await createRoll(closeDraft, (close) => ({ ...openDraft, link_event_id: close.id }));
+    return { ok: true, closeId: closeEvent.id, openId: openEvent.id, events: [closeEvent, openEvent] };
+}
+
+export async function closeShortPut(cycleId: number, _lotId: number | undefined, p: ClosePutInput, openEventId?: number) {
+    const event = await createEvent(buildEvents.closeShortPut(cycleId, p, openEventId));
+    return { ok: true, id: event.id, event };
 }
 
-export async function closeShortPut(_lotId: number, _p: ClosePutInput) {
-    return { ok: true, id: crypto.randomUUID() };
+export async function recordDividend(cycleId: number, p: RecordDividendInput, lotEventId?: number) {
+    const event = await createEvent(buildEvents.recordDividend(cycleId, p, lotEventId));
+    return { ok: true, id: event.id, event };
 }
@@ -38,12 +38,37 @@ export interface CreateLotShortPutInput {
     strike: number;
     expiry: string;
     premium: number;
+    contracts: number;
     timeInForce: TimeInForce;
     fees?: number;
 }
 
+export interface CreateLotLeapsInput {
+    ticker: string;
+    strike: number;
+    expiry: string; // ISO date
+    premium: number; // debit per share
+    contracts: number;
+    date: string; // ISO
+    fees?: number;
+}
+
+export interface RollLeapsInput {
+    lotId: number;
+    close: { limitCredit: number; fees?: number; notes?: string };
+    open: { strike: number; expiry: string; limitDebit: number; fees?: number };
+}
+
 export type LotsUpdater = (update: (prev: LotVM[]) => LotVM[]) => void;
 
+export interface RecordDividendInput {
+    lotId: number;
+    exDate: string; // ISO
+    amountPerShare: number;
+    shares: number; // shares held on the ex-date
+    notes?: string;
+}
+
 export interface ClosePutInput {
     lotId: number;
     tradeDate: string; // ISO
@@ -5,6 +5,9 @@ import type {
     CreateLotBuyInput,
     CreateLotShortPutInput,
     ClosePutInput,
+    RecordDividendInput,
+    CreateLotLeapsInput,
+    RollLeapsInput,
 } from "./types";
 
 export const isPositive = (n?: number) => typeof n === "number" && n > 0;
@@ -30,9 +33,26 @@ export function validateBuyLot(p: CreateLotBuyInput) {
     return isPositive(p.price);
 }
 export function validateShortPut(p: CreateLotShortPutInput) {
-    return isPositive(p.strike) && isNonNegative(p.premium) && isFutureOrToday(p.expiry);
+    return isPositive(p.strike) && isNonNegative(p.premium) && isPositive(p.contracts) && isFutureOrToday(p.expiry);
 }
 
 export function validateClosePut(p: ClosePutInput) {
     return isNonNegative(p.limitDebit) && typeof p.tradeDate === "string" && !!p.tradeDate && (p.contracts ?? 1) > 0;
 }
+
+export function validateDividend(p: RecordDividendInput) {
+    return isPositive(p.amountPerShare) && isPositive(p.shares) && typeof p.exDate === "string" && !!p.exDate;
+}
+
+export function validateLeapsLot(p: CreateLotLeapsInput) {
+    return isPositive(p.strike) && isPositive(p.premium) && isPositive(p.contracts) && isFutureOrToday(p.expiry);
+}
+
+export function validateRollLeaps(p: RollLeapsInput) {
+    return (
+        isNonNegative(p.close.limitCredit) &&
+        isPositive(p.open.strike) &&
+        isPositive(p.open.limitDebit) &&
+        isFutureOrToday(p.open.expiry)
+    );
+}
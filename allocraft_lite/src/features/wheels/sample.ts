@@ -8,6 +8,15 @@ export const SAMPLE_VM: PageVM = {
             ticker: "GOOG",
             acquisition: { type: "PUT_ASSIGNMENT", label: "PUT Assigned @ $175.17", date: "2025-07-02" },
             costBasis: "$175.17",
+            adjustedBasis: {
+                basis: "$167.18",
+                breakeven: "$167.18",
+                breakdown: [
+                    { id: "e1", date: "2025-06-28", label: "Put premium", amount: "-$5.04/sh" },
+                    { id: "e3", date: "2025-07-28", label: "Call premium", amount: "-$4.95/sh" },
+                    { id: "e4", date: "2025-08-05", label: "Call buy-back", amount: "+$2.00/sh" }
+                ]
+            },
             coverage: { strike: "$200", premium: "$4.95", status: "CLOSED" },
             status: "OPEN_COVERED",
             events: [
@@ -22,6 +31,7 @@ export const SAMPLE_VM: PageVM = {
             ticker: "GOOG",
             acquisition: { type: "OUTRIGHT_PURCHASE", label: "Bought @ $191.82", date: "2025-08-08" },
             costBasis: "$191.82",
+            adjustedBasis: { basis: "$191.82", breakeven: "$191.82", breakdown: [] },
             status: "OPEN_UNCOVERED",
             events: [
                 { id: "e5", date: "2025-08-08", type: "BUY_SHARES", label: "Bought Shares", price: "$191.82", qty: "100 sh" }
@@ -32,6 +42,14 @@ export const SAMPLE_VM: PageVM = {
             ticker: "GOOG",
             acquisition: { type: "PUT_ASSIGNMENT", label: "PUT Assigned @ $190.00", date: "2025-08-08" },
             costBasis: "$190.00",
+            adjustedBasis: {
+                basis: "$188.12",
+                breakeven: "$188.12",
+                breakdown: [
+                    { id: "e6", date: "2025-08-01", label: "Put premium", amount: "-$0.94/sh" },
+                    { id: "e8", date: "2025-08-08", label: "Call premium", amount: "-$0.94/sh" }
+                ]
+            },
             coverage: { strike: "$220", premium: "$0.94", status: "OPEN" },
             status: "OPEN_COVERED",
             events: [
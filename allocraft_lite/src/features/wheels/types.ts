@@ -4,9 +4,14 @@ export type EventType =
     | "BUY_PUT_CLOSE"
     | "PUT_ASSIGNMENT"
     | "BUY_SHARES"
+    | "SELL_SHARES"
     | "SELL_CALL_OPEN"
     | "SELL_CALL_CLOSE"
     | "CALL_ASSIGNMENT"
+    | "BUY_LEAPS_OPEN"
+    | "SELL_LEAPS_CLOSE"
+    | "EXPIRED"
+    | "DIVIDEND"
     | "FEE";
 
 export interface LotEvent {
@@ -21,14 +26,16 @@ export interface LotEvent {
     notes?: string;
 }
 
-export type AcquisitionType = "PUT_ASSIGNMENT" | "OUTRIGHT_PURCHASE" | "CASH_SECURED_PUT";
+export type AcquisitionType = "PUT_ASSIGNMENT" | "OUTRIGHT_PURCHASE" | "CASH_SECURED_PUT" | "LEAPS_PURCHASE";
 
 export type LotStatus =
     | "OPEN_COVERED"
     | "OPEN_UNCOVERED"
     | "CASH_RESERVED"
     | "CLOSED_SOLD"
-    | "CLOSED_CALLED_AWAY";
+    | "CLOSED_CALLED_AWAY"
+    | "CLOSED_BOUGHT_BACK"
+    | "CLOSED_EXPIRED";
 
 export interface Coverage {
     strike: string; // "$200"
@@ -36,17 +43,38 @@ export interface Coverage {
     status: "OPEN" | "CLOSED";
 }
 
+export interface BasisAdjustment {
+    id: string;
+    date?: string;
+    label: string; // "Call premium"
+    amount: string; // "-$4.95/sh"
+}
+
+export interface AdjustedBasis {
+    basis: string; // "$167.18" — purchase/strike net of premiums, buy-backs and fees
+    breakeven: string; // "$167.18"
+    breakdown: BasisAdjustment[];
+}
+
 export interface LotVM {
     lotNo: number;
     ticker: string;
     acquisition: { type: AcquisitionType; label: string; date?: string };
     costBasis: string; // formatted
+    adjustedBasis?: AdjustedBasis;
     coverage?: Coverage;
     status: LotStatus;
     events: LotEvent[];
     // optional metadata used by UI-only flows (e.g., linking close PUT to its open id)
     meta?: {
+        lotId?: number; // backend lot id, when the lot has been persisted
+        contracts?: number; // contracts the lot's shares or long call cover
         putOpenEventId?: number;
+        callOpenEventId?: number;
+        leapsOpenEventId?: number; // open long call of a poor man's covered call lot
+        leapsContracts?: number;
+        leapsStrike?: number;
+        leapsExpiry?: string;
     };
 }
 
@@ -0,0 +1,288 @@
+import type { WheelCycle } from "@/types";
+import type { Lot, WheelEvent } from "@/types/api";
+import { computeAdjustedCostBasis } from "@/utils/lotHelpers";
+import { sortEventsChronologically } from "@/utils/wheelPnLEngine";
+import type { AcquisitionType, AdjustedBasis, Coverage, EventType, LotEvent, LotStatus, LotVM, PageVM } from "./types";
+
+const PUT_OPEN = ["SELL_PUT", "SELL_PUT_OPEN"];
+const PUT_CLOSE = ["SELL_PUT_CLOSE", "BUY_PUT_CLOSE"];
+const PUT_ASSIGN = ["PUT_ASSIGNMENT", "ASSIGNMENT"];
+const CALL_OPEN = ["SELL_CALL_OPEN", "SELL_CALL"];
+const CALL_CLOSE = ["SELL_CALL_CLOSE", "BUY_CALL_CLOSE"];
+const CALL_AWAY = ["CALLED_AWAY", "CALL_ASSIGNED", "CALL_ASSIGNMENT"];
+const LEAPS_EVENTS = ["BUY_LEAPS_OPEN", "SELL_LEAPS_CLOSE"];
+
+const EVENT_DISPLAY: Record<string, { type: EventType; label: string }> = {
+    SELL_PUT: { type: "SELL_PUT", label: "Sold PUT" },
+    SELL_PUT_OPEN: { type: "SELL_PUT", label: "Sold PUT" },
+    SELL_PUT_CLOSE: { type: "SELL_PUT_CLOSE", label: "Closed PUT" },
+    BUY_PUT_CLOSE: { type: "BUY_PUT_CLOSE", label: "Closed PUT" },
+    PUT_ASSIGNMENT: { type: "PUT_ASSIGNMENT", label: "PUT Assigned" },
+    ASSIGNMENT: { type: "PUT_ASSIGNMENT", label: "PUT Assigned" },
+    BUY_SHARES: { type: "BUY_SHARES", label: "Bought Shares" },
+    SELL_SHARES: { type: "SELL_SHARES", label: "Sold Shares" },
+    SELL_CALL_OPEN: { type: "SELL_CALL_OPEN", label: "Sold CALL" },
+    SELL_CALL: { type: "SELL_CALL_OPEN", label: "Sold CALL" },
+    SELL_CALL_CLOSE: { type: "SELL_CALL_CLOSE", label: "Closed CALL" },
+    BUY_CALL_CLOSE: { type: "SELL_CALL_CLOSE", label: "Closed CALL" },
+    CALLED_AWAY: { type: "CALL_ASSIGNMENT", label: "Called Away" },
+    CALL_ASSIGNED: { type: "CALL_ASSIGNMENT", label: "Called Away" },
+    CALL_ASSIGNMENT: { type: "CALL_ASSIGNMENT", label: "Called Away" },
+    BUY_LEAPS_OPEN: { type: "BUY_LEAPS_OPEN", label: "Bought LEAPS" },
+    SELL_LEAPS_CLOSE: { type: "SELL_LEAPS_CLOSE", label: "Sold LEAPS" },
+    EXPIRED: { type: "EXPIRED", label: "Expired" },
+    FEE: { type: "FEE", label: "Fee" },
+    DIVIDEND: { type: "DIVIDEND", label: "Dividend" },
+};
+
+const money = (n: number) => `$${n.toFixed(2)}`;
+const perShare = (n: number) => `${n < 0 ? "-" : "+"}$${Math.abs(n).toFixed(2)}/sh`;
+
+interface LotDraft {
+    lotNo: number;
+    acquisition: { type: AcquisitionType; label: string; date?: string };
+    status: LotStatus;
+    events: WheelEvent[];
+    put?: WheelEvent;
+    putClosed?: boolean;
+    call?: WheelEvent;
+    callClosed?: boolean;
+    leaps?: WheelEvent;
+    leapsClosed?: boolean;
+}
+
+function toLotEvent(e: WheelEvent): LotEvent {
+    const display = EVENT_DISPLAY[e.event_type] ?? { type: "FEE", label: String(e.event_type) };
+    const type = String(e.event_type);
+    const contracts = Number(e.contracts || 0);
+    const shareEvent = !LEAPS_EVENTS.includes(type)
+        && (type === "BUY_SHARES" || type === "SELL_SHARES" || type === "DIVIDEND" || PUT_ASSIGN.includes(type) || CALL_AWAY.includes(type));
+    const shares = Number(e.quantity_shares || 0) || contracts * 100;
+    return {
+        id: String(e.id),
+        date: e.trade_date,
+        type: display.type,
+        label: display.label,
+        price: e.price != null ? money(Number(e.price)) : undefined,
+        strike: e.strike != null ? money(Number(e.strike)) : undefined,
+        premium: e.premium != null ? money(Number(e.premium)) : undefined,
+        qty: shareEvent ? (shares ? `${shares} sh` : undefined) : contracts ? `${contracts} ctr${contracts > 1 ? "s" : ""}` : undefined,
+        notes: e.notes || undefined,
+    };
+}
+
+/**
+ * Split a cycle's events into lots. Every short put, share purchase and LEAPS
+ * purchase opens a lot; assignments, calls, buy-backs and exits are attached to
+ * the lot holding the matching open leg (by link_event_id, else the oldest
+ * candidate). A short put bought back or expired without assignment closes
+ * its lot. A LEAPS purchase linked to the sale of a LEAPS rolls that lot's
+ * long leg instead of opening a new lot. A call covers the lot it was bound
+ * to (`boundCalls`: call event id to the id of the lot's opening event) when
+ * that lot is uncovered, else the oldest uncovered lot.
+ */
+export function groupEventsIntoLots(events: WheelEvent[], boundCalls: Record<string, number | string> = {}): LotDraft[] {
+    const lots: LotDraft[] = [];
+    const byOpenId = (id: number | undefined, key: "put" | "call" | "leaps") =>
+        id != null ? lots.find((l) => l[key]?.id === id) : undefined;
+    let last: LotDraft | undefined;
+
+    for (const e of sortEventsChronologically(events) as WheelEvent[]) {
+        const type = String(e.event_type);
+        let lot: LotDraft | undefined;
+
+        if (PUT_OPEN.includes(type)) {
+            lot = {
+                lotNo: lots.length + 1,
+                acquisition: { type: "CASH_SECURED_PUT", label: `Short PUT @ ${money(Number(e.strike ?? 0))}`, date: e.trade_date },
+                status: "CASH_RESERVED",
+                events: [],
+                put: e,
+            };
+            lots.push(lot);
+        } else if (type === "BUY_SHARES") {
+            lot = {
+                lotNo: lots.length + 1,
+                acquisition: { type: "OUTRIGHT_PURCHASE", label: `Bought @ ${money(Number(e.price ?? 0))}`, date: e.trade_date },
+                status: "OPEN_UNCOVERED",
+                events: [],
+            };
+            lots.push(lot);
+        } else if (type === "BUY_LEAPS_OPEN") {
+            lot = e.link_event_id != null
+                ? lots.find((l) => l.leapsClosed && l.events.some((x) => x.id === e.link_event_id && x.event_type === "SELL_LEAPS_CLOSE"))
+                : undefined;
+            if (lot) {
+                lot.status = lot.call && !lot.callClosed ? "OPEN_COVERED" : "OPEN_UNCOVERED";
+            } else {
+                lot = {
+                    lotNo: lots.length + 1,
+                    acquisition: { type: "LEAPS_PURCHASE", label: `LEAPS Call @ ${money(Number(e.strike ?? 0))}`, date: e.trade_date },
+                    status: "OPEN_UNCOVERED",
+                    events: [],
+                };
+                lots.push(lot);
+            }
+            lot.leaps = e;
+            lot.leapsClosed = false;
+        } else if (type === "SELL_LEAPS_CLOSE") {
+            lot = byOpenId(e.link_event_id, "leaps") ?? lots.find((l) => l.leaps && !l.leapsClosed);
+            if (lot) {
+                lot.leapsClosed = true;
+                lot.status = "CLOSED_SOLD";
+            }
+        } else if (PUT_CLOSE.includes(type) || PUT_ASSIGN.includes(type)) {
+            lot = byOpenId(e.link_event_id, "put") ?? lots.find((l) => l.status === "CASH_RESERVED" && !l.putClosed);
+            if (lot && PUT_ASSIGN.includes(type)) {
+                const strike = Number(e.strike ?? lot.put?.strike ?? e.price ?? 0);
+                lot.acquisition = { type: "PUT_ASSIGNMENT", label: `PUT Assigned @ ${money(strike)}`, date: e.trade_date };
+                lot.status = "OPEN_UNCOVERED";
+            } else if (lot?.status === "CASH_RESERVED") {
+                lot.status = "CLOSED_BOUGHT_BACK";
+            }
+            if (lot) lot.putClosed = true;
+        } else if (CALL_OPEN.includes(type)) {
+            const boundTo = boundCalls[String(e.id)];
+            lot = (boundTo != null
+                ? lots.find((l) => l.status === "OPEN_UNCOVERED" && String(l.events[0]?.id) === String(boundTo))
+                : undefined) ?? lots.find((l) => l.status === "OPEN_UNCOVERED");
+            if (lot) {
+                lot.status = "OPEN_COVERED";
+                lot.call = e;
+                lot.callClosed = false;
+            }
+        } else if (CALL_CLOSE.includes(type) || CALL_AWAY.includes(type)) {
+            lot = byOpenId(e.link_event_id, "call") ?? lots.find((l) => l.status === "OPEN_COVERED");
+            if (lot) {
+                lot.callClosed = true;
+                lot.status = CALL_AWAY.includes(type) ? "CLOSED_CALLED_AWAY" : "OPEN_UNCOVERED";
+            }
+        } else if (type === "EXPIRED") {
+            lot = byOpenId(e.link_event_id, "call");
+            const leapsLot = lot ? undefined : byOpenId(e.link_event_id, "leaps");
+            if (lot) {
+                lot.callClosed = true;
+                lot.status = "OPEN_UNCOVERED";
+            } else if (leapsLot) {
+                lot = leapsLot;
+                lot.leapsClosed = true;
+                lot.status = "CLOSED_SOLD";
+            } else {
+                lot = byOpenId(e.link_event_id, "put");
+                if (lot) lot.putClosed = true;
+                if (lot?.status === "CASH_RESERVED") lot.status = "CLOSED_EXPIRED";
+            }
+        } else if (type === "SELL_SHARES") {
+            lot = lots.find((l) => l.status === "OPEN_UNCOVERED") ?? lots.find((l) => l.status === "OPEN_COVERED");
+            if (lot) lot.status = "CLOSED_SOLD";
+        } else if (type === "DIVIDEND") {
+            // Paid to the lot it names, else the oldest lot holding shares
+            lot = lots.find((l) => l.events.some((x) => x.id === e.link_event_id))
+                ?? lots.find((l) => l.status === "OPEN_UNCOVERED" || l.status === "OPEN_COVERED");
+        } else {
+            lot = lots.find((l) => l.events.some((x) => x.id === e.link_event_id)) ?? last;
+        }
+
+        lot = lot ?? last;
+        if (!lot) continue;
+        lot.events.push(e);
+        last = lot;
+    }
+
+    return lots;
+}
+
+/** A lot that only ever held a short put: reserved cash, or the put closed unassigned */
+const putOnly = (lot: LotDraft) => lot.acquisition.type === "CASH_SECURED_PUT";
+
+/** Contracts the lot's shares or open long call cover, for the calls written against it */
+function lotContracts(lot: LotDraft): number {
+    const opening = lot.leaps && !lot.leapsClosed ? lot.leaps : lot.events[0];
+    return Number(opening?.contracts || 0) || Math.floor(Number(opening?.quantity_shares || 0) / 100) || 1;
+}
+
+function toCoverage(lot: LotDraft): Coverage | undefined {
+    const leg = lot.call ?? (putOnly(lot) ? lot.put : undefined);
+    if (!leg) return undefined;
+    const closed = lot.call ? lot.callClosed : lot.putClosed;
+    return {
+        strike: money(Number(leg.strike ?? 0)),
+        premium: money(Number(leg.premium ?? 0)),
+        status: closed ? "CLOSED" : "OPEN",
+    };
+}
+
+function toAdjustedBasis(lot: LotDraft): { costBasis: string; adjustedBasis?: AdjustedBasis } {
+    if (lot.events.length === 0 || (putOnly(lot) && lot.putClosed)) return { costBasis: "—" };
+    const basis = computeAdjustedCostBasis({ status: lot.status, acquisition_method: lot.acquisition.type }, lot.events);
+    return {
+        costBasis: lot.status === "CASH_RESERVED" ? "—" : money(basis.basePrice),
+        adjustedBasis: {
+            basis: money(basis.adjustedBasis),
+            breakeven: money(basis.breakeven),
+            breakdown: basis.breakdown.map((b, i) => ({
+                id: `${b.id ?? i}-${b.label}`,
+                date: b.trade_date,
+                label: b.label,
+                amount: perShare(b.perShare),
+            })),
+        },
+    };
+}
+
+/**
+ * Match backend lots to derived lots on acquisition method and date so lot
+ * actions can address the persisted lot (e.g. to bind a covered call).
+ */
+function matchBackendLots(drafts: LotDraft[], backendLots: Lot[]): Map<LotDraft, number> {
+    const remaining = [...backendLots];
+    const matches = new Map<LotDraft, number>();
+    for (const draft of drafts) {
+        const i = remaining.findIndex((l) =>
+            String(l.acquisition_method) === draft.acquisition.type && l.acquisition_date === draft.acquisition.date);
+        if (i >= 0) {
+            matches.set(draft, remaining[i].id);
+            remaining.splice(i, 1);
+        }
+    }
+    return matches;
+}
+
+export function buildLotVMs(ticker: string, events: WheelEvent[], backendLots: Lot[] = []): LotVM[] {
+    const boundCalls = Object.fromEntries(backendLots.flatMap((l) =>
+        l.open_event_id != null ? (l.call_event_ids || []).map((callId) => [String(callId), l.open_event_id!]) : []));
+    const drafts = groupEventsIntoLots(events, boundCalls);
+    const lotIds = matchBackendLots(drafts, backendLots);
+
+    return drafts.map((lot) => ({
+        lotNo: lot.lotNo,
+        ticker,
+        acquisition: lot.acquisition,
+        ...toAdjustedBasis(lot),
+        coverage: toCoverage(lot),
+        status: lot.status,
+        events: lot.events.map(toLotEvent),
+        meta: {
+            lotId: lotIds.get(lot),
+            contracts: lotContracts(lot),
+            putOpenEventId: lot.put && !lot.putClosed ? lot.put.id : undefined,
+            callOpenEventId: lot.call && !lot.callClosed ? lot.call.id : undefined,
+            ...(lot.leaps && !lot.leapsClosed ? {
+                leapsOpenEventId: lot.leaps.id,
+                leapsContracts: Number(lot.leaps.contracts || 0) || 1,
+                leapsStrike: Number(lot.leaps.strike ?? 0),
+                leapsExpiry: lot.leaps.expiration_date || undefined,
+            } : {}),
+        },
+    }));
+}
+
+export function buildPageVM(cycle: WheelCycle, events: WheelEvent[], backendLots: Lot[] = []): PageVM {
+    return {
+        cycle: {
+            title: `${cycle.ticker} • ${cycle.cycle_key || cycle.ticker}`,
+            started: `${cycle.status} • Started ${cycle.started_at ?? "—"}`,
+        },
+        lots: buildLotVMs(cycle.ticker, events, backendLots),
+    };
+}
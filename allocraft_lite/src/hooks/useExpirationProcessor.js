@@ -0,0 +1,50 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useWheelCycles, useAllWheelEvents, usePositionsData } from '../api/enhancedClient';
+import { WheelManagementService } from '../services/WheelManagementService';
+import { buildUnderlyingPrices, findExpiredLegs } from '../services/expirationProcessor';
+
+// Stable fallbacks so the proposals memo only recomputes when data changes
+const NONE = [];
+
+/**
+ * Expiration processing for wheel cycles
+ *
+ * Proposals are recomputed whenever cycles, events or positions load, so they
+ * are ready as soon as a page mounts. `process()` refetches positions (for fresh
+ * underlying prices) and re-evaluates as of now once they are in; `confirm()`
+ * creates the accepted events as one batch, all of them or none.
+ */
+export function useExpirationProcessor() {
+    const { data: cycles = NONE } = useWheelCycles();
+    const { data: events = NONE } = useAllWheelEvents();
+    const { stockPositions = NONE, optionPositions = NONE, refetch: refetchPositions } = usePositionsData();
+
+    const [asOf, setAsOf] = useState(() => new Date());
+    const [isConfirming, setIsConfirming] = useState(false);
+
+    const proposals = useMemo(() => {
+        return findExpiredLegs({
+            cycles: Array.isArray(cycles) ? cycles : [],
+            events: Array.isArray(events) ? events : [],
+            optionPositions,
+            prices: buildUnderlyingPrices(stockPositions, optionPositions),
+            asOf
+        });
+    }, [cycles, events, stockPositions, optionPositions, asOf]);
+
+    const process = useCallback(async () => {
+        await refetchPositions?.();
+        setAsOf(new Date());
+    }, [refetchPositions]);
+
+    const confirm = useCallback(async (accepted) => {
+        setIsConfirming(true);
+        try {
+            return await WheelManagementService.createEventsBatch(accepted.map((proposal) => proposal.event));
+        } finally {
+            setIsConfirming(false);
+        }
+    }, []);
+
+    return { proposals, process, confirm, isConfirming };
+}
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAllPositions, useAllWheelEvents, useSyncPositions, useWheelCycles } from '../api/enhancedClient';
+import { WheelManagementService } from '../services/WheelManagementService';
+import { ALL_ACCOUNTS } from '../services/accountScope';
+import {
+    diffSnapshots,
+    loadChangeQueue,
+    loadPositionSnapshot,
+    saveChangeQueue,
+    savePositionSnapshot,
+    settleQueue,
+    snapshotPositions,
+    suggestWheelEvents
+} from '../services/positionChanges';
+
+// Stable fallbacks so the suggestions memo only recomputes when data changes
+const NONE = [];
+
+/**
+ * Position changes since the last snapshot, as suggested wheel events
+ *
+ * Every time positions load with new content (a Schwab sync, an import, a
+ * refetch) they are compared with the stored snapshot and what changed joins
+ * the queue. Suggestions are rebuilt from the queue as cycles and events
+ * load; `accept()` creates the events in one batch and `dismiss()` drops
+ * suggestions without creating anything.
+ */
+export function usePositionChanges() {
+    const { data: positionsData } = useAllPositions(ALL_ACCOUNTS);
+    const { data: cycles = NONE } = useWheelCycles(ALL_ACCOUNTS);
+    const { data: events = NONE } = useAllWheelEvents(ALL_ACCOUNTS);
+    const syncPositions = useSyncPositions();
+
+    const [queue, setQueue] = useState(loadChangeQueue);
+    const [isAccepting, setIsAccepting] = useState(false);
+
+    useEffect(() => {
+        const positions = positionsData?.positions;
+        if (!Array.isArray(positions)) return;
+        const current = snapshotPositions(positions);
+        const previous = loadPositionSnapshot();
+        savePositionSnapshot(current);
+        // The first snapshot is the baseline; there is nothing to compare it with
+        if (!previous) return;
+        const changes = diffSnapshots(previous, current);
+        if (changes.length === 0) return;
+        setQueue((prev) => {
+            const known = new Set(prev.changes.map((c) => c.key));
+            const next = { ...prev, changes: [...prev.changes, ...changes.filter((c) => !known.has(c.key))] };
+            saveChangeQueue(next);
+            return next;
+        });
+    }, [positionsData]);
+
+    const allSuggestions = useMemo(() => {
+        return suggestWheelEvents({
+            changes: queue.changes,
+            cycles: Array.isArray(cycles) ? cycles : [],
+            events: Array.isArray(events) ? events : []
+        });
+    }, [queue.changes, cycles, events]);
+
+    const suggestions = useMemo(() => {
+        const handled = new Set(queue.handled);
+        return allSuggestions.filter((s) => !handled.has(s.key));
+    }, [allSuggestions, queue.handled]);
+
+    // Cycles a suggestion can be accepted into
+    const openCycles = useMemo(() => {
+        return (Array.isArray(cycles) ? cycles : []).filter((cycle) => String(cycle.status || 'Open').toLowerCase() !== 'closed');
+    }, [cycles]);
+
+    const markHandled = useCallback((keys) => {
+        setQueue((prev) => {
+            const next = settleQueue({ ...prev, handled: [...prev.handled, ...keys] }, allSuggestions);
+            saveChangeQueue(next);
+            return next;
+        });
+    }, [allSuggestions]);
+
+    const accept = useCallback(async (accepted) => {
+        setIsAccepting(true);
+        try {
+            const created = await WheelManagementService.createEventsBatch(accepted.map((suggestion) => suggestion.event));
+            markHandled(accepted.map((s) => s.key));
+            return created;
+        } catch (error) {
+            // A failed batch is deleted again; any events the rollback left are the first ones and must not be suggested again
+            const createdCount = error?.context?.created ?? 0;
+            if (createdCount > 0) markHandled(accepted.slice(0, createdCount).map((s) => s.key));
+            throw error;
+        } finally {
+            setIsAccepting(false);
+        }
+    }, [markHandled]);
+
+    const dismiss = useCallback((keys) => markHandled(keys), [markHandled]);
+
+    const sync = useCallback(() => syncPositions.mutateAsync(false), [syncPositions]);
+
+    return {
+        suggestions,
+        cycles: openCycles,
+        accept,
+        dismiss,
+        sync,
+        isAccepting,
+        isSyncing: syncPositions.isPending
+    };
+}
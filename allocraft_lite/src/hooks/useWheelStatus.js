@@ -1,5 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { WheelManagementService } from '../services/WheelManagementService';
+import { wheelStatusMachine } from '../services/wheelStatusMachine';
 
 /**
  * Custom React Query hooks for wheel status tracking functionality
@@ -50,16 +51,35 @@ export function useWheelStatusUpdate() {
 }
 
 // Hook for bulk status updates
+// Updates that carry their currentStatus are checked against the status state
+// machine first, so one invalid transition rejects the batch before any request.
 export function useBulkStatusUpdate() {
     const queryClient = useQueryClient();
 
     return useMutation({
-        mutationFn: (updates) =>
-            Promise.all(
+        mutationFn: (updates) => {
+            const rejected = updates
+                .filter(({ currentStatus }) => currentStatus)
+                .map((update) => ({
+                    ...update,
+                    validation: wheelStatusMachine.validate(update.currentStatus, update.status, update.metadata)
+                }))
+                .filter(({ validation }) => !validation.valid);
+
+            if (rejected.length > 0) {
+                return Promise.reject(new Error(
+                    `Invalid status transitions: ${rejected
+                        .map(({ wheelId, currentStatus, status, validation }) => `#${wheelId} ${currentStatus} → ${status} (${validation.reason})`)
+                        .join('; ')}`
+                ));
+            }
+
+            return Promise.all(
                 updates.map(({ wheelId, status, metadata }) =>
                     WheelManagementService.updateWheelStatus(wheelId, status, metadata)
                 )
-            ),
+            );
+        },
         onSuccess: (data, variables) => {
             // Invalidate queries for all affected wheels
             variables.forEach(({ wheelId }) => {
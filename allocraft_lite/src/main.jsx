@@ -4,8 +4,12 @@ import { QueryClientProvider } from '@tanstack/react-query'
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools'
 import App from '@/App.jsx'
 import { queryClient } from '@/api/enhancedClient'
+import { installMockBackend } from '@/services/mockBackend'
 import '@/index.css'
 
+// Direct backend fetches are answered locally while local mode is on
+installMockBackend()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <QueryClientProvider client={queryClient}>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { useDashboardData } from "@/api/enhancedClient";
+import { useCollateralLedger, useDashboardData, usePositionsData } from "@/api/enhancedClient";
 import { API_BASE } from "@/api/fastapiClient";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
@@ -18,9 +18,15 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import StatCard from "../components/portfolio/StatCard";
 import { formatCurrency } from "@/lib/utils";
 import RefreshPricesButton from "@/components/RefreshPricesButton";
+import PortfolioGreeksPanel from "@/components/portfolio/PortfolioGreeksPanel";
+import AccountBalancesPanel from "@/components/portfolio/AccountBalancesPanel";
 
 export default function Dashboard() {
   let { stocks, options, wheels, snapshot, isLoading, error } = useDashboardData();
+  // Position-level data for portfolio Greeks
+  const { stockPositions, optionPositions, portfolioSummary } = usePositionsData();
+  // Balances are listed for every account so the household total stays visible
+  const { ledger } = useCollateralLedger();
   // Patch: ensure wheels is always an array, even if backend returns { cycles: [...] }
   if (wheels && !Array.isArray(wheels) && wheels.cycles && Array.isArray(wheels.cycles)) {
     wheels = wheels.cycles;
@@ -251,6 +257,16 @@ export default function Dashboard() {
           })}
         </div>
 
+        {/* Cash and buying power per account */}
+        <AccountBalancesPanel ledger={ledger} />
+
+        {/* Portfolio Greeks */}
+        <PortfolioGreeksPanel
+          stockPositions={stockPositions}
+          optionPositions={optionPositions}
+          accounts={portfolioSummary?.accounts}
+        />
+
         {/* Recent Activity */}
         <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
           <CardHeader>
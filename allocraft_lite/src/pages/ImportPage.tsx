@@ -1,5 +1,6 @@
 import React from 'react';
 import SchwabDataImportCenter from '../components/SchwabDataImportCenter';
+import BrokerCsvImportCenter from '../components/BrokerCsvImportCenter';
 
 const ImportPage: React.FC = () => {
     return (
@@ -9,10 +10,10 @@ const ImportPage: React.FC = () => {
                     Data Import Center
                 </h1>
                 <p style={{ color: '#444', fontSize: 17, marginBottom: 32, textAlign: 'center' }}>
-                    Import your data from various sources. More importers coming soon!
+                    Import your data from Schwab JSON or Fidelity, Interactive Brokers, Tastytrade and Robinhood CSV exports.
                 </p>
                 <SchwabDataImportCenter />
-                {/* Future importers can be added here as new sections/components */}
+                <BrokerCsvImportCenter />
             </div>
         </div>
     );
@@ -1,14 +1,17 @@
 import React, { useEffect, useState } from "react";
 import { isDevBackend, getApiBase } from "@/api/fastapiClient";
 import BrandedLoader from "@/components/ui/BrandedLoader";
+import AccountSelector from "@/features/accounts/AccountSelector";
 import { Link, useLocation } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import {
   LayoutDashboard,
   TrendingUp,
   Target,
+  CalendarDays,
   RotateCcw,
   PieChart,
+  FileText,
   Settings
 } from "lucide-react";
 import {
@@ -52,6 +55,11 @@ const navigationItems = [
     url: createPageUrl("Options"),
     icon: Target,
   },
+  {
+    title: "Expiration Calendar",
+    url: createPageUrl("OptionsCalendar"),
+    icon: CalendarDays,
+  },
   {
     title: "Wheels",
     url: createPageUrl("Wheels"),
@@ -62,6 +70,11 @@ const navigationItems = [
     url: "/WheelsPhaseView",
     icon: RotateCcw,
   },
+  {
+    title: "Tax Report",
+    url: createPageUrl("TaxReport"),
+    icon: FileText,
+  },
 ];
 
 const settingsItems = [
@@ -202,6 +215,7 @@ export default function Layout({ children, currentPageName }) {
                   DEV API
                 </span>
               )}
+              <AccountSelector />
               <UserMenu onUserLoaded={() => {
                 try { sessionStorage.removeItem('allocraft_post_login_loading'); } catch { }
                 setTimeout(() => setShowLoader(false), 150);
@@ -23,6 +23,7 @@ import { format } from 'date-fns';
 import OptionForm from "@/components/forms/OptionForm";
 import RefreshPricesButton from "@/components/RefreshPricesButton";
 import { formatCurrency } from "@/lib/utils";
+import { optionFieldsOf, optionTypeLabel } from "@/utils/occSymbol";
 import {
   useOptions,
   useOptionExpiries,
@@ -54,8 +55,9 @@ const categorizeOptions = (options) => {
 
   options.forEach(option => {
     const isShort = (option.contracts || 0) < 0;
-    const isCall = option.option_type === 'Call';
-    const isPut = option.option_type === 'Put';
+    const { optionType } = optionFieldsOf(option);
+    const isCall = optionType === 'CALL';
+    const isPut = optionType === 'PUT';
 
     if (isCall && !isShort) {
       longCalls.push(option);
@@ -63,8 +65,7 @@ const categorizeOptions = (options) => {
       longPuts.push(option);
     } else if (isCall && isShort) {
       shortCalls.push(option);
-      // Note: Would need to check for associated long calls (PMCC) or stock (CC)
-      // This requires cross-referencing with stock positions
+      // Covered calls need the stock positions to cross-reference; PMCCs are paired below
     } else if (isPut && isShort) {
       shortPuts.push(option);
       // Note: Short puts are typically the start of wheel strategies
@@ -72,6 +73,17 @@ const categorizeOptions = (options) => {
     }
   });
 
+  // A short call is a PMCC leg when a long call on the same underlying expires after it
+  shortCalls.forEach(shortCall => {
+    const short = optionFieldsOf(shortCall);
+    const longCall = longCalls.find(candidate => {
+      const long = optionFieldsOf(candidate);
+      return long.underlying === short.underlying
+        && (!long.expiration || !short.expiration || long.expiration > short.expiration);
+    });
+    if (longCall) pmccPositions.push({ shortCall, longCall });
+  });
+
   return {
     longCalls,
     longPuts,
@@ -396,6 +408,7 @@ export default function Options() {
                     <TableHead className="font-semibold text-slate-700">Cost Basis</TableHead>
                     <TableHead className="font-semibold text-slate-700">Current Price</TableHead>
                     <TableHead className="font-semibold text-slate-700">P&L</TableHead>
+                    <TableHead className="font-semibold text-slate-700">Greeks</TableHead>
                     <TableHead className="font-semibold text-slate-700">Status</TableHead>
                     <TableHead className="font-semibold text-slate-700">Actions</TableHead>
                   </TableRow>
@@ -410,22 +423,28 @@ export default function Options() {
                       }
 
                       // Use enhanced P&L calculation
+                      const fields = optionFieldsOf(option);
                       const positionData = {
                         contracts: option.contracts || 0,
                         averagePrice: option.average_price || 0,
                         currentPrice: option.current_price || 0,
-                        optionType: option.option_type || 'CALL',
-                        strikePrice: option.strike_price || 0,
-                        symbol: option.symbol
+                        optionType: fields.optionType || 'CALL',
+                        strikePrice: fields.strike || 0,
+                        symbol: option.symbol,
+                        underlyingPrice: option.underlying_price ?? null,
+                        expirationDate: fields.expiration
                       };
 
                       // Determine strategy type based on position characteristics
                       let strategyType = 'unknown';
                       const isShort = (option.contracts || 0) < 0;
-                      if (isShort) {
-                        if (option.option_type === 'Put') {
+                      const inPmcc = categorizedOptions.pmccPositions.some(pair => pair.shortCall === option || pair.longCall === option);
+                      if (inPmcc) {
+                        strategyType = 'pmcc';
+                      } else if (isShort) {
+                        if (fields.optionType === 'PUT') {
                           strategyType = 'wheel';
-                        } else if (option.option_type === 'Call') {
+                        } else if (fields.optionType === 'CALL') {
                           strategyType = 'covered_call';
                         }
                       } else {
@@ -455,13 +474,13 @@ export default function Options() {
                       return (
                         <TableRow key={option.id || Math.random()} className="hover:bg-slate-50">
                           <TableCell className="font-medium text-slate-900">
-                            {option.ticker || option.underlying_symbol || 'N/A'}
+                            {option.ticker || fields.underlying || 'N/A'}
                           </TableCell>
                           <TableCell>
                             <div className="flex flex-col gap-1">
                               <div className="flex gap-2">
-                                <Badge variant={option.option_type === 'Call' ? 'default' : 'secondary'}>
-                                  {option.option_type || 'Unknown'}
+                                <Badge variant={fields.optionType === 'CALL' ? 'default' : 'secondary'}>
+                                  {fields.optionType ? optionTypeLabel(fields.optionType) : 'Unknown'}
                                 </Badge>
                                 <Badge variant={isShort ? 'destructive' : 'default'} className="text-xs">
                                   {positionType}
@@ -472,8 +491,8 @@ export default function Options() {
                               </Badge>
                             </div>
                           </TableCell>
-                          <TableCell>{formatCurrency(option.strike_price || 0)}</TableCell>
-                          <TableCell>{formatExpiryDate(option.expiration_date)}</TableCell>
+                          <TableCell>{formatCurrency(fields.strike || 0)}</TableCell>
+                          <TableCell>{formatExpiryDate(fields.expiration)}</TableCell>
                           <TableCell>
                             <span className={isShort ? 'text-red-600' : 'text-green-600'}>
                               {isShort ? '-' : '+'}{absContracts}
@@ -503,6 +522,20 @@ export default function Options() {
                               )}
                             </div>
                           </TableCell>
+                          <TableCell>
+                            {pnlResult.greeks ? (
+                              <div className="flex flex-col gap-1 text-xs text-slate-600">
+                                <span>
+                                  Δ {pnlResult.greeks.delta.toFixed(1)} • Θ {formatCurrency(pnlResult.greeks.theta)}/day
+                                </span>
+                                <span>
+                                  IV {(pnlResult.greeks.impliedVolatility * 100).toFixed(1)}% • ITM {(pnlResult.greeks.probabilityITM * 100).toFixed(0)}% • Touch {(pnlResult.greeks.probabilityOfTouch * 100).toFixed(0)}%
+                                </span>
+                              </div>
+                            ) : (
+                              <span className="text-xs text-slate-400">—</span>
+                            )}
+                          </TableCell>
                           <TableCell>
                             <Badge className={getStatusBadge(option.status || 'Unknown')}>
                               {option.status || 'Unknown'}
@@ -534,7 +567,7 @@ export default function Options() {
                       );
                     }).filter(Boolean)) : (
                     <TableRow>
-                      <TableCell colSpan={9} className="text-center py-8 text-slate-500">
+                      <TableCell colSpan={11} className="text-center py-8 text-slate-500">
                         No options data available
                       </TableCell>
                     </TableRow>
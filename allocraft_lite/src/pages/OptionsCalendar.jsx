@@ -0,0 +1,326 @@
+import { useMemo, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { CalendarDays, ChevronLeft, ChevronRight, RotateCcw, XCircle } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { queryKeys, useOptionExpiries, usePositionsData, useWheelCycles } from "@/api/enhancedClient";
+import WheelRollModal from "@/components/wheel-management/WheelRollModal";
+import CloseLegModal from "@/components/wheel-management/CloseLegModal";
+import { WheelManagementService } from "@/services/WheelManagementService";
+import { buildUnderlyingPrices } from "@/services/expirationProcessor";
+import {
+  addDays,
+  addMonths,
+  buildMonthGrid,
+  buildWeek,
+  groupByExpiration,
+  summarizeDay,
+  toCalendarPositions,
+  toIsoDate
+} from "@/services/expirationCalendar";
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CATEGORY_STYLES = {
+  short_put: { label: 'Short Put', className: 'bg-red-100 text-red-800 border-red-300' },
+  short_call: { label: 'Short Call', className: 'bg-blue-100 text-blue-800 border-blue-300' },
+  long_option: { label: 'Long', className: 'bg-emerald-100 text-emerald-800 border-emerald-300' }
+};
+
+const formatDay = (iso, options) =>
+  new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+/**
+ * OptionsCalendar - Open option positions by expiration date
+ * Month and week views; selecting a day lists its positions with roll and
+ * close actions for the short options that belong to a wheel. The actions
+ * settle only the selected option, never the rest of its wheel.
+ */
+export default function OptionsCalendar() {
+  const today = toIsoDate(new Date());
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(today);
+  const [selectedDay, setSelectedDay] = useState(today);
+  const [modal, setModal] = useState(null); // { type: 'roll' | 'close', wheel, leg }
+  const queryClient = useQueryClient();
+
+  const { stockPositions, optionPositions, isLoading } = usePositionsData();
+  const { data: expiries = [] } = useOptionExpiries();
+  const { data: cycles = [] } = useWheelCycles();
+
+  const positionsByDay = useMemo(() => {
+    const prices = buildUnderlyingPrices(stockPositions, optionPositions);
+    return groupByExpiration(toCalendarPositions(optionPositions, prices));
+  }, [stockPositions, optionPositions]);
+
+  const listedExpiries = useMemo(
+    () => new Set((Array.isArray(expiries) ? expiries : []).map(toIsoDate)),
+    [expiries]
+  );
+
+  const weeks = view === 'month' ? buildMonthGrid(cursor) : [buildWeek(cursor)];
+  const currentMonth = cursor.slice(0, 7);
+  const selectedPositions = positionsByDay[selectedDay] || [];
+  const selectedSummary = summarizeDay(selectedPositions);
+
+  const upcoming = Object.keys(positionsByDay).filter((day) => day >= today).sort();
+
+  const step = (direction) => {
+    setCursor((prev) => (view === 'month' ? addMonths(prev, direction) : addDays(prev, direction * 7)));
+  };
+
+  const selectDay = (day) => {
+    setSelectedDay(day);
+    setCursor(day);
+  };
+
+  // Roll/close act on the wheel that holds this option, narrowed to the leg
+  const findWheel = (position) => {
+    const openCycles = (Array.isArray(cycles) ? cycles : []).filter(
+      (cycle) => cycle.ticker === position.ticker && (cycle.status || 'Open').toLowerCase() !== 'closed'
+    );
+    const cycle = openCycles.find((c) => Number(c.detection_metadata?.strike_price) === position.strike) || openCycles[0];
+    if (!cycle) return null;
+    return {
+      ...cycle,
+      strike_price: position.strike,
+      expiration_date: position.expiration,
+      contract_count: position.contracts,
+      strategy_type: cycle.strategy_type || (position.optionType === 'CALL' ? 'covered_call' : 'cash_secured_put')
+    };
+  };
+
+  const refreshAfterTrade = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.cycles });
+    queryClient.invalidateQueries({ queryKey: ['wheel-events'] });
+    queryClient.invalidateQueries({ queryKey: queryKeys.positions });
+    queryClient.invalidateQueries({ queryKey: queryKeys.optionExpiries });
+  };
+
+  const handleRoll = async (rollData) => {
+    try {
+      await WheelManagementService.rollOptionLeg(modal.wheel.id, modal.leg, rollData);
+      refreshAfterTrade();
+      setModal(null);
+    } catch (error) {
+      alert(`Roll failed: ${error.message}`);
+    }
+  };
+
+  const handleClose = async (closeData) => {
+    try {
+      await WheelManagementService.closeOptionLeg(modal.wheel.id, modal.leg, closeData);
+      refreshAfterTrade();
+      setModal(null);
+    } catch (error) {
+      alert(`Closure failed: ${error.message}`);
+    }
+  };
+
+  const title = view === 'month'
+    ? formatDay(cursor, { month: 'long', year: 'numeric' })
+    : `Week of ${formatDay(weeks[0][0], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="flex justify-between items-start">
+          <div>
+            <h1 className="text-4xl font-bold text-slate-900 tracking-tight">
+              Expiration Calendar
+            </h1>
+            <p className="text-slate-600 mt-2">
+              Open short puts, short calls and long options by expiration date
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button variant={view === 'month' ? 'default' : 'outline'} onClick={() => setView('month')}>
+              Month
+            </Button>
+            <Button variant={view === 'week' ? 'default' : 'outline'} onClick={() => setView('week')}>
+              Week
+            </Button>
+          </div>
+        </div>
+
+        <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-xl font-bold text-slate-900 flex items-center gap-2">
+              <CalendarDays className="w-5 h-5" />
+              {title}
+            </CardTitle>
+            <div className="flex items-center gap-2">
+              <Button size="sm" variant="outline" onClick={() => step(-1)} aria-label="Previous">
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => selectDay(today)}>
+                Today
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => step(1)} aria-label="Next">
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="h-64 bg-slate-100 rounded-lg animate-pulse" />
+            ) : (
+              <div className="grid grid-cols-7 gap-px bg-slate-200 rounded-lg overflow-hidden">
+                {WEEKDAYS.map((day) => (
+                  <div key={day} className="bg-slate-50 p-2 text-xs font-semibold text-slate-600 text-center">
+                    {day}
+                  </div>
+                ))}
+                {weeks.flat().map((day) => {
+                  const positions = positionsByDay[day] || [];
+                  const summary = summarizeDay(positions);
+                  const outside = view === 'month' && day.slice(0, 7) !== currentMonth;
+                  return (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => setSelectedDay(day)}
+                      className={`bg-white p-2 text-left align-top transition-colors hover:bg-slate-50 ${view === 'week' ? 'min-h-[160px]' : 'min-h-[96px]'} ${outside ? 'text-slate-400' : 'text-slate-900'} ${day === selectedDay ? 'ring-2 ring-inset ring-blue-500' : ''}`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className={`text-sm font-medium ${day === today ? 'text-blue-600' : ''}`}>
+                          {Number(day.slice(8))}
+                        </span>
+                        {listedExpiries.has(day) && (
+                          <span className="w-1.5 h-1.5 rounded-full bg-slate-400" title="Listed expiration" />
+                        )}
+                      </div>
+                      {summary.count > 0 && (
+                        <div className="mt-1 space-y-1">
+                          {(view === 'week' ? positions : positions.slice(0, 2)).map((p) => (
+                            <div key={p.key} className={`text-[11px] px-1 rounded border ${CATEGORY_STYLES[p.category].className}`}>
+                              {p.ticker} {p.optionType === 'PUT' ? 'P' : 'C'}{p.strike} ×{p.contracts}
+                            </div>
+                          ))}
+                          {view === 'month' && positions.length > 2 && (
+                            <div className="text-[11px] text-slate-500">+{positions.length - 2} more</div>
+                          )}
+                        </div>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            {upcoming.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+                <span className="text-slate-500">Upcoming:</span>
+                {upcoming.slice(0, 6).map((day) => (
+                  <Button key={day} size="sm" variant="outline" onClick={() => selectDay(day)}>
+                    {formatDay(day, { month: 'short', day: 'numeric' })} ({positionsByDay[day].length})
+                  </Button>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+          <CardHeader>
+            <CardTitle className="text-xl font-bold text-slate-900">
+              {formatDay(selectedDay, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+            </CardTitle>
+            {selectedSummary.count > 0 && (
+              <p className="text-sm text-slate-600">
+                {selectedSummary.contracts} contracts • {formatCurrency(selectedSummary.premiumAtRisk)} premium at risk
+                • {formatCurrency(selectedSummary.collateral)} collateral
+              </p>
+            )}
+          </CardHeader>
+          <CardContent>
+            {selectedPositions.length === 0 ? (
+              <p className="text-slate-500 text-center py-6">No open options expire on this day</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Ticker</TableHead>
+                    <TableHead>Position</TableHead>
+                    <TableHead className="text-right">Contracts</TableHead>
+                    <TableHead className="text-right">Strike</TableHead>
+                    <TableHead className="text-right">Premium at Risk</TableHead>
+                    <TableHead className="text-right">Collateral</TableHead>
+                    <TableHead>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {selectedPositions.map((position) => {
+                    const wheel = position.category === 'long_option' ? null : findWheel(position);
+                    return (
+                      <TableRow key={position.key}>
+                        <TableCell className="font-medium">{position.ticker}</TableCell>
+                        <TableCell>
+                          <Badge className={CATEGORY_STYLES[position.category].className}>
+                            {CATEGORY_STYLES[position.category].label} {position.optionType === 'PUT' ? 'Put' : 'Call'}
+                          </Badge>
+                        </TableCell>
+                        <TableCell className="text-right">{position.contracts}</TableCell>
+                        <TableCell className="text-right">{formatCurrency(position.strike)}</TableCell>
+                        <TableCell className="text-right">{formatCurrency(position.premiumAtRisk)}</TableCell>
+                        <TableCell className="text-right">
+                          {position.collateral > 0 ? formatCurrency(position.collateral) : '—'}
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex gap-2" title={wheel ? undefined : 'Not a short option of an open wheel'}>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={!wheel}
+                              onClick={() => setModal({ type: 'roll', wheel, leg: position })}
+                            >
+                              <RotateCcw className="w-4 h-4 mr-1" />
+                              Roll
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={!wheel}
+                              onClick={() => setModal({ type: 'close', wheel, leg: position })}
+                            >
+                              <XCircle className="w-4 h-4 mr-1" />
+                              Close
+                            </Button>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <WheelRollModal
+        isOpen={modal?.type === 'roll'}
+        onClose={() => setModal(null)}
+        wheel={modal?.type === 'roll' ? modal.wheel : null}
+        onRoll={handleRoll}
+      />
+
+      <CloseLegModal
+        isOpen={modal?.type === 'close'}
+        onClose={() => setModal(null)}
+        leg={modal?.type === 'close' ? modal.leg : null}
+        onCloseLeg={handleClose}
+      />
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import React from 'react';
-import { Settings as SettingsIcon, Link, TestTube } from 'lucide-react';
+import { Settings as SettingsIcon, Link, TestTube, Gauge } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import SchwabIntegration from '@/components/SchwabIntegration';
 import SchwabConfigTest from '@/components/SchwabConfigTest';
 import SchwabIntegrationTests from '@/components/SchwabIntegrationTests';
 import APISwitcher from '@/components/APISwitcher';
+import ApiModeSwitcher from '@/components/ApiModeSwitcher';
+import ConfidenceWeightsSettings from '@/features/confidence/ConfidenceWeightsSettings';
 
 const Settings: React.FC = () => {
     return (
@@ -27,8 +29,9 @@ const Settings: React.FC = () => {
                         </CardTitle>
                         <p className="text-sm text-slate-600">Choose your market data source for real-time pricing</p>
                     </CardHeader>
-                    <CardContent>
+                    <CardContent className="space-y-6">
                         <APISwitcher />
+                        <ApiModeSwitcher />
                     </CardContent>
                 </Card>
 
@@ -89,6 +92,22 @@ const Settings: React.FC = () => {
                     </CardContent>
                 </Card>
 
+                {/* Wheel Detection Scoring Section */}
+                <Card className="border-0 shadow bg-white/80">
+                    <CardHeader className="py-4">
+                        <CardTitle className="text-xl flex items-center gap-2">
+                            <Gauge className="w-5 h-5" />
+                            Wheel Detection Scoring
+                        </CardTitle>
+                        <p className="text-sm text-slate-600">
+                            Weigh the factors behind each opportunity&apos;s confidence score; 0 ignores a factor
+                        </p>
+                    </CardHeader>
+                    <CardContent>
+                        <ConfidenceWeightsSettings />
+                    </CardContent>
+                </Card>
+
                 {/* Additional Settings Placeholder */}
                 <Card className="border-0 shadow bg-white/80">
                     <CardHeader className="py-4">
@@ -4,17 +4,17 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { toast } from 'sonner';
 import AddStockModal from '@/components/AddStockModal';
-import { usePositionsData, useImportPositions, useBackendHealth } from '../api/enhancedClient';
+import { usePositionsData, useImportPositions, useBackendHealth, useWheelCycles, useAllWheelEvents } from '../api/enhancedClient';
+import { buildTaxLots, holdingTerm, type HoldingTerm, type TaxLot as EngineTaxLot } from '../services/taxLots';
 import { UnifiedPosition } from '../services/unifiedApi';
 import RefreshPricesButton from '@/components/RefreshPricesButton';
 import { isDevelopmentMode } from '../services/backendSchwabApi';
+import { accountTickerKey, eventsByAccountTicker } from '../services/accountScope';
 
-// Tax Lot interface for organizing stock positions
-interface TaxLot {
+// Tax lot as displayed: an acquisition with its own date and price, marked to market
+interface TaxLot extends EngineTaxLot {
   lotNumber: number;
-  shares: number;
-  isRemainder: boolean;
-  averagePrice: number;
+  term: HoldingTerm;
   currentPrice: number;
   marketValue: number;
   profitLoss: number;
@@ -69,6 +69,8 @@ const Stocks: React.FC = () => {
   } = usePositionsData();
 
   const importPositionsMutation = useImportPositions();
+  const { data: wheelCycles = [] } = useWheelCycles();
+  const { data: wheelEvents = [] } = useAllWheelEvents();
 
   console.log('📊 Stocks Component: Raw data from usePositionsData:', {
     allPositionsCount: allPositions.length,
@@ -207,6 +209,13 @@ const Stocks: React.FC = () => {
     );
   };
 
+  // Wheel events per account and ticker; purchases and assignments in them are the tax lots
+  const wheelEventsByAccountTicker = useMemo(() => eventsByAccountTicker(
+    Array.isArray(wheelCycles) ? wheelCycles : [],
+    Array.isArray(wheelEvents) ? wheelEvents : [],
+    allPositions
+  ), [wheelCycles, wheelEvents, allPositions]);
+
   // Calculate tax lots for a given stock position
   const calculateTaxLots = (position: StockPosition): TaxLot[] => {
     const totalShares = position.shares || 0;
@@ -217,61 +226,29 @@ const Stocks: React.FC = () => {
 
     if (totalShares <= 0) return [];
 
-    const lots: TaxLot[] = [];
-    let remainingShares = totalShares;
-    let lotNumber = 1;
-
-    // Get covered calls for this symbol
+    const today = new Date().toISOString().slice(0, 10);
+    const events = wheelEventsByAccountTicker[accountTickerKey(position.account_id, position.symbol)] || [];
+    // One covered call per lot that holds at least a contract's worth of shares
     const coveredCalls = getCoveredCalls(position.symbol);
-
-    // Create 100-share lots
-    while (remainingShares >= 100) {
-      const lotShares = 100;
-      const lotMarketValue = lotShares * currentPrice;
-      const lotCostBasis = lotShares * averagePrice;
-      const lotProfitLoss = lotMarketValue - lotCostBasis;
-      const lotProfitLossPercent = lotCostBasis > 0 ? (lotProfitLoss / lotCostBasis) * 100 : 0;
-
-      // Assign covered calls to this lot (simplified distribution)
-      const callsForThisLot = lotNumber <= coveredCalls.length ? [coveredCalls[lotNumber - 1]] : [];
-
-      lots.push({
-        lotNumber,
-        shares: lotShares,
-        isRemainder: false,
-        averagePrice,
-        currentPrice,
-        marketValue: lotMarketValue,
-        profitLoss: lotProfitLoss,
-        profitLossPercent: lotProfitLossPercent,
-        coveredCalls: callsForThisLot.length > 0 ? callsForThisLot : undefined
+    let callIndex = 0;
+
+    return buildTaxLots(position.symbol, events, { shares: totalShares, averagePrice }).lots
+      .map((lot, index) => {
+        const marketValue = lot.shares * currentPrice;
+        const costBasis = lot.shares * lot.costPerShare;
+        const profitLoss = marketValue - costBasis;
+        const callsForThisLot = lot.shares >= 100 && callIndex < coveredCalls.length ? [coveredCalls[callIndex++]] : [];
+        return {
+          ...lot,
+          lotNumber: index + 1,
+          term: holdingTerm(lot.acquiredAt, today).term,
+          currentPrice,
+          marketValue,
+          profitLoss,
+          profitLossPercent: costBasis > 0 ? (profitLoss / costBasis) * 100 : 0,
+          coveredCalls: callsForThisLot.length > 0 ? callsForThisLot : undefined
+        };
       });
-
-      remainingShares -= 100;
-      lotNumber++;
-    }
-
-    // Add remainder lot if any shares left
-    if (remainingShares > 0) {
-      const lotMarketValue = remainingShares * currentPrice;
-      const lotCostBasis = remainingShares * averagePrice;
-      const lotProfitLoss = lotMarketValue - lotCostBasis;
-      const lotProfitLossPercent = lotCostBasis > 0 ? (lotProfitLoss / lotCostBasis) * 100 : 0;
-
-      lots.push({
-        lotNumber: 0, // 0 indicates remainder
-        shares: remainingShares,
-        isRemainder: true,
-        averagePrice,
-        currentPrice,
-        marketValue: lotMarketValue,
-        profitLoss: lotProfitLoss,
-        profitLossPercent: lotProfitLossPercent,
-        coveredCalls: undefined // Remainders typically don't have covered calls
-      });
-    }
-
-    return lots;
   };
 
   // Add a new manual position (using React Query pattern)
@@ -575,15 +552,15 @@ const Stocks: React.FC = () => {
                         <h4 className="text-lg font-medium text-slate-700 flex items-center gap-2">
                           📊 Tax Lots
                           <span className="text-sm font-normal text-slate-500">
-                            ({Math.floor(summary.totalShares / 100)} lots + {summary.totalShares % 100} remainder)
+                            ({positions.reduce((count, position) => count + calculateTaxLots(position).length, 0)} lots)
                           </span>
                         </h4>
                         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                           {positions.map((position) => {
                             const taxLots = calculateTaxLots(position);
-                            return taxLots.map((lot, index) => (
+                            return taxLots.map((lot) => (
                               <TaxLotCard
-                                key={`${position.id}-${index}`}
+                                key={`${position.id}-${lot.id}`}
                                 lot={lot}
                                 symbol={symbol}
                                 canRemove={position.data_source === 'manual'}
@@ -657,17 +634,17 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
   };
 
   const getLotTitle = () => {
-    if (lot.isRemainder) {
-      return `Remainder`;
+    if (lot.term === 'unknown') {
+      return 'Untracked';
     }
-    return `Lot ${lot.lotNumber}`;
+    return lot.term === 'long' ? 'Long term' : 'Short term';
   };
 
   const getLotTypeChip = () => {
     const isProfit = lot.profitLoss >= 0;
     return (
       <div className="flex gap-2">
-        <span className={`inline-flex items-center rounded-xl border px-2.5 py-1 text-xs font-medium ${lot.isRemainder
+        <span className={`inline-flex items-center rounded-xl border px-2.5 py-1 text-xs font-medium ${lot.term === 'unknown'
           ? 'border-orange-300 bg-orange-50 text-orange-700'
           : 'border-blue-300 bg-blue-50 text-blue-700'
           }`}>
@@ -688,7 +665,7 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
       <div className="mb-3 flex items-center justify-between gap-3">
         <div className="flex min-w-0 items-center gap-2">
           <h3 className="text-lg font-semibold text-slate-900 truncate">
-            {symbol}
+            {symbol} #{lot.lotNumber}
           </h3>
           {getLotTypeChip()}
         </div>
@@ -709,10 +686,10 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
       <div className="space-y-3">
         <div className="text-sm text-slate-600">
           <div className="font-medium">
-            {lot.shares} shares • Avg: {formatCurrency(lot.averagePrice)}
+            {lot.shares} shares • Cost: {formatCurrency(lot.costPerShare)}
           </div>
           <div className="text-xs text-slate-500 mt-1">
-            Current: {formatCurrency(lot.currentPrice)}
+            Acquired: {lot.acquiredAt ?? 'before tracked history'} • Current: {formatCurrency(lot.currentPrice)}
           </div>
         </div>
 
@@ -4,20 +4,34 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { toast } from 'sonner';
 import AddStockModal from '@/components/AddStockModal';
-import { usePositionsData, useImportPositions, useBackendHealth } from '../api/enhancedClient';
+import { useQueryClient } from '@tanstack/react-query';
+import { usePositionsData, useImportPositions, useBackendHealth, useWheelCycles, useAllWheelEvents } from '../api/enhancedClient';
+import { wheelApi } from '../api/fastapiClient';
+import { computeAdjustedCostBasis } from '../utils/lotHelpers';
+import {
+  buildTaxLots,
+  holdingTerm,
+  relieveLots,
+  LOT_RELIEF_METHODS,
+  type HoldingTerm,
+  type LotReliefMethod,
+  type TaxLot as EngineTaxLot
+} from '../services/taxLots';
 import { UnifiedPosition } from '../services/unifiedApi';
 import { isDevelopmentMode } from '../services/backendSchwabApi';
 
-// Tax Lot interface for organizing stock positions
-interface TaxLot {
+// Tax lot as displayed: an acquisition with its own date and price, marked to market
+interface TaxLot extends EngineTaxLot {
   lotNumber: number;
-  shares: number;
-  isRemainder: boolean;
+  term: HoldingTerm;
+  // Broker average price across all lots of the position
   averagePrice: number;
   currentPrice: number;
   marketValue: number;
   profitLoss: number;
   profitLossPercent: number;
+  // Position average price net of wheel premiums, buy-backs and fees (also the breakeven)
+  adjustedBasis: number;
 }
 
 // Simplified position interface focused on stocks only
@@ -44,6 +58,8 @@ const Stocks: React.FC = () => {
 
   const importPositionsMutation = useImportPositions();
   const backendHealth = useBackendHealth();
+  const { data: wheelCycles = [] } = useWheelCycles();
+  const { data: wheelEvents = [] } = useAllWheelEvents();
 
   // UI state
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
@@ -64,61 +80,64 @@ const Stocks: React.FC = () => {
       }));
   }, [allPositions, expandedTickers]);
 
-  // Calculate tax lots for a given stock position
-  const calculateTaxLots = (position: StockPosition): TaxLot[] => {
-    const totalShares = position.shares || 0;
-    const currentPrice = position.current_price || 0;
+  // Wheel events per ticker, used to net collected premiums into the basis
+  const wheelEventsByTicker = useMemo(() => {
+    const tickerByCycle = new Map<string, string>();
+    (Array.isArray(wheelCycles) ? wheelCycles : []).forEach((cycle: any) => {
+      tickerByCycle.set(String(cycle.id), String(cycle.ticker || '').toUpperCase());
+    });
+    const grouped: Record<string, any[]> = {};
+    (Array.isArray(wheelEvents) ? wheelEvents : []).forEach((event: any) => {
+      const ticker = tickerByCycle.get(String(event.cycle_id));
+      if (!ticker) return;
+      (grouped[ticker] ||= []).push(event);
+    });
+    return grouped;
+  }, [wheelCycles, wheelEvents]);
+
+  // Adjusted per-share basis for a position: broker average price net of wheel cash flows
+  const getAdjustedBasis = (position: StockPosition): number => {
     const averagePrice = position.average_price || 0;
+    const events = wheelEventsByTicker[(position.symbol || '').toUpperCase()];
+    if (!events?.length || !position.shares) return averagePrice;
+    return computeAdjustedCostBasis({}, events, { basePrice: averagePrice, shares: position.shares }).adjustedBasis;
+  };
 
+  // Real tax lots for a ticker: acquisitions replayed from wheel events, reconciled with the broker position
+  const calculateTaxLots = (symbol: string, positions: StockPosition[]): TaxLot[] => {
+    const totalShares = positions.reduce((sum, pos) => sum + (pos.shares || 0), 0);
     if (totalShares <= 0) return [];
-
-    const lots: TaxLot[] = [];
-    let remainingShares = totalShares;
-    let lotNumber = 1;
-
-    // Create 100-share lots
-    while (remainingShares >= 100) {
-      const lotShares = 100;
-      const lotMarketValue = lotShares * currentPrice;
-      const lotCostBasis = lotShares * averagePrice;
-      const lotProfitLoss = lotMarketValue - lotCostBasis;
-      const lotProfitLossPercent = lotCostBasis > 0 ? (lotProfitLoss / lotCostBasis) * 100 : 0;
-
-      lots.push({
-        lotNumber,
-        shares: lotShares,
-        isRemainder: false,
-        averagePrice,
-        currentPrice,
-        marketValue: lotMarketValue,
-        profitLoss: lotProfitLoss,
-        profitLossPercent: lotProfitLossPercent
+    const averagePrice = positions.reduce((sum, pos) => sum + (pos.shares || 0) * (pos.average_price || 0), 0) / totalShares;
+    const currentPrice = positions[0].current_price || 0;
+    const adjustedBasis = getAdjustedBasis({ ...positions[0], shares: totalShares, average_price: averagePrice });
+    const today = new Date().toISOString().slice(0, 10);
+    const events = wheelEventsByTicker[symbol.toUpperCase()] || [];
+
+    return buildTaxLots(symbol, events, { shares: totalShares, averagePrice }).lots
+      .map((lot, index) => {
+        const marketValue = lot.shares * currentPrice;
+        const costBasis = lot.shares * lot.costPerShare;
+        const profitLoss = marketValue - costBasis;
+        return {
+          ...lot,
+          lotNumber: index + 1,
+          term: holdingTerm(lot.acquiredAt, today).term,
+          averagePrice,
+          currentPrice,
+          marketValue,
+          profitLoss,
+          profitLossPercent: costBasis > 0 ? (profitLoss / costBasis) * 100 : 0,
+          adjustedBasis
+        };
       });
+  };
 
-      remainingShares -= 100;
-      lotNumber++;
-    }
-
-    // Add remainder lot if any shares left
-    if (remainingShares > 0) {
-      const lotMarketValue = remainingShares * currentPrice;
-      const lotCostBasis = remainingShares * averagePrice;
-      const lotProfitLoss = lotMarketValue - lotCostBasis;
-      const lotProfitLossPercent = lotCostBasis > 0 ? (lotProfitLoss / lotCostBasis) * 100 : 0;
-
-      lots.push({
-        lotNumber: 0, // 0 indicates remainder
-        shares: remainingShares,
-        isRemainder: true,
-        averagePrice,
-        currentPrice,
-        marketValue: lotMarketValue,
-        profitLoss: lotProfitLoss,
-        profitLossPercent: lotProfitLossPercent
-      });
-    }
-
-    return lots;
+  // Cycle a sale is recorded against: the ticker's open cycle, else its latest one
+  const getSaleCycle = (symbol: string): any | undefined => {
+    const cycles = (Array.isArray(wheelCycles) ? wheelCycles : [])
+      .filter((cycle: any) => String(cycle.ticker || '').toUpperCase() === symbol.toUpperCase())
+      .sort((a: any, b: any) => String(b.started_at || '').localeCompare(String(a.started_at || '')));
+    return cycles.find((cycle: any) => cycle.status === 'Open') || cycles[0];
   };
 
   // Add a new manual position (using React Query pattern)
@@ -314,6 +333,7 @@ const Stocks: React.FC = () => {
             const summary = getStockTickerSummary(positions);
             const isExpanded = expandedTickers.has(symbol);
             const position = positions[0]; // Use first position for main data
+            const taxLots = isExpanded ? calculateTaxLots(symbol, positions) : [];
 
             return (
               <Card key={symbol} className="overflow-hidden">
@@ -347,24 +367,30 @@ const Stocks: React.FC = () => {
                         <h4 className="text-lg font-medium text-slate-700 flex items-center gap-2">
                           📊 Tax Lots
                           <span className="text-sm font-normal text-slate-500">
-                            ({Math.floor(summary.totalShares / 100)} lots + {summary.totalShares % 100} remainder)
+                            ({taxLots.length} lot{taxLots.length === 1 ? '' : 's'})
                           </span>
                         </h4>
                         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                          {positions.map((position) => {
-                            const taxLots = calculateTaxLots(position);
-                            return taxLots.map((lot, index) => (
-                              <TaxLotCard
-                                key={`${position.id}-${index}`}
-                                lot={lot}
-                                symbol={symbol}
-                                canRemove={position.data_source === 'manual'}
-                                onRemove={() => removePosition(position.id)}
-                              />
-                            ));
-                          })}
+                          {taxLots.map((lot) => (
+                            <TaxLotCard
+                              key={lot.id}
+                              lot={lot}
+                              symbol={symbol}
+                              canRemove={position.data_source === 'manual'}
+                              onRemove={() => removePosition(position.id)}
+                            />
+                          ))}
                         </div>
                       </div>
+
+                      {taxLots.length > 0 && (
+                        <SaleTicket
+                          symbol={symbol}
+                          lots={taxLots}
+                          currentPrice={position.current_price || 0}
+                          cycle={getSaleCycle(symbol)}
+                        />
+                      )}
                     </div>
                   </CardContent>
                 )}
@@ -429,17 +455,17 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
   };
 
   const getLotTitle = () => {
-    if (lot.isRemainder) {
-      return `Remainder`;
+    if (lot.term === 'unknown') {
+      return 'Untracked';
     }
-    return `Lot ${lot.lotNumber}`;
+    return lot.term === 'long' ? 'Long term' : 'Short term';
   };
 
   const getLotTypeChip = () => {
     const isProfit = lot.profitLoss >= 0;
     return (
       <div className="flex gap-2">
-        <span className={`inline-flex items-center rounded-xl border px-2.5 py-1 text-xs font-medium ${lot.isRemainder
+        <span className={`inline-flex items-center rounded-xl border px-2.5 py-1 text-xs font-medium ${lot.term === 'unknown'
           ? 'border-orange-300 bg-orange-50 text-orange-700'
           : 'border-blue-300 bg-blue-50 text-blue-700'
           }`}>
@@ -460,7 +486,7 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
       <div className="mb-3 flex items-center justify-between gap-3">
         <div className="flex min-w-0 items-center gap-2">
           <h3 className="text-lg font-semibold text-slate-900 truncate">
-            {symbol}
+            {symbol} #{lot.lotNumber}
           </h3>
           {getLotTypeChip()}
         </div>
@@ -481,11 +507,17 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
       <div className="space-y-3">
         <div className="text-sm text-slate-600">
           <div className="font-medium">
-            {lot.shares} shares • Avg: {formatCurrency(lot.averagePrice)}
+            {lot.shares} shares • Cost: {formatCurrency(lot.costPerShare)}
           </div>
           <div className="text-xs text-slate-500 mt-1">
-            Current: {formatCurrency(lot.currentPrice)}
+            Acquired: {lot.acquiredAt ?? 'before tracked history'} • Current: {formatCurrency(lot.currentPrice)}
           </div>
+          {lot.adjustedBasis !== lot.averagePrice && (
+            <div className="text-xs text-slate-500 mt-1">
+              Position adjusted: <span className="font-medium text-emerald-700">{formatCurrency(lot.adjustedBasis)}</span>
+              {' • '}Breakeven: <span className="font-medium text-slate-900">{formatCurrency(lot.adjustedBasis)}</span>
+            </div>
+          )}
         </div>
 
         <div className="grid grid-cols-2 gap-4 text-sm">
@@ -514,4 +546,187 @@ const TaxLotCard: React.FC<TaxLotCardProps> = ({ lot, symbol, canRemove, onRemov
   );
 };
 
+// Sale Ticket Component: pick a lot relief method and preview the realized gain before recording
+interface SaleTicketProps {
+  symbol: string;
+  lots: TaxLot[];
+  currentPrice: number;
+  cycle?: { id: number; status?: string };
+}
+
+const SaleTicket: React.FC<SaleTicketProps> = ({ symbol, lots, currentPrice, cycle }) => {
+  const queryClient = useQueryClient();
+  const [method, setMethod] = useState<LotReliefMethod>('FIFO');
+  const [shares, setShares] = useState(0);
+  const [price, setPrice] = useState(currentPrice);
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [fees, setFees] = useState(0);
+  const [selection, setSelection] = useState<Record<string, number>>({});
+  const [isRecording, setIsRecording] = useState(false);
+
+  const selectedShares = Object.values(selection).reduce((sum, n) => sum + (n || 0), 0);
+  const saleShares = method === 'SPECIFIC' ? selectedShares : shares;
+  const relief = useMemo(() => (method === 'SPECIFIC'
+    ? { method, lots: Object.entries(selection).map(([lotId, n]) => ({ lotId, shares: n })).filter((l) => l.shares > 0) }
+    : { method }), [method, selection]);
+
+  const preview = useMemo(() => {
+    if (!(saleShares > 0)) return null;
+    try {
+      return { result: relieveLots(lots, { shares: saleShares, price, date, fees }, relief) };
+    } catch (e) {
+      return { error: e instanceof Error ? e.message : String(e) };
+    }
+  }, [lots, saleShares, price, date, fees, relief]);
+
+  const formatCurrency = (value: number) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  };
+
+  const gainColor = (value: number) => (value > 0 ? 'text-emerald-600' : value < 0 ? 'text-red-600' : 'text-slate-600');
+
+  const recordSale = async () => {
+    if (!cycle || !preview?.result) return;
+    setIsRecording(true);
+    try {
+      await wheelApi.createEvent({
+        cycle_id: cycle.id,
+        event_type: 'SELL_SHARES',
+        trade_date: date,
+        quantity_shares: saleShares,
+        price,
+        fees: fees || undefined,
+        lot_relief: relief,
+        notes: `Sold by ${LOT_RELIEF_METHODS[method]}`
+      });
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['wheel-events'] }),
+        queryClient.invalidateQueries({ queryKey: ['wheel-cycles'] })
+      ]);
+      toast.success(`Recorded sale of ${saleShares} ${symbol} shares`);
+      setShares(0);
+      setSelection({});
+    } catch (error) {
+      toast.error(`Failed to record sale: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsRecording(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm';
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-slate-50 p-5 space-y-4">
+      <h4 className="text-lg font-medium text-slate-700">Sell Shares</h4>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <label className="text-sm text-slate-700">
+          Lot Relief
+          <select className={inputClass} value={method} onChange={(e) => setMethod(e.target.value as LotReliefMethod)}>
+            {Object.entries(LOT_RELIEF_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-slate-700">
+          Shares
+          <input
+            type="number"
+            min={0}
+            className={inputClass}
+            value={method === 'SPECIFIC' ? selectedShares : shares}
+            disabled={method === 'SPECIFIC'}
+            onChange={(e) => setShares(Number(e.target.value))}
+          />
+        </label>
+        <label className="text-sm text-slate-700">
+          Price
+          <input type="number" step="0.01" min={0} className={inputClass} value={price} onChange={(e) => setPrice(Number(e.target.value))} />
+        </label>
+        <label className="text-sm text-slate-700">
+          Trade Date
+          <input type="date" className={inputClass} value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <label className="text-sm text-slate-700">
+          Fees
+          <input type="number" step="0.01" min={0} className={inputClass} value={fees} onChange={(e) => setFees(Number(e.target.value))} />
+        </label>
+      </div>
+
+      {method === 'SPECIFIC' && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {/* Untracked shares only exist against the broker position, so a saved sale could not find them again */}
+            {lots.filter((lot) => lot.source === 'event').map((lot) => (
+              <label key={lot.id} className="text-sm text-slate-700">
+                #{lot.lotNumber} · {lot.acquiredAt} · {formatCurrency(lot.costPerShare)}
+                <input
+                  type="number"
+                  min={0}
+                  max={lot.shares}
+                  className={inputClass}
+                  value={selection[lot.id] ?? 0}
+                  onChange={(e) => setSelection((prev) => ({ ...prev, [lot.id]: Number(e.target.value) }))}
+                />
+              </label>
+            ))}
+          </div>
+          {lots.some((lot) => lot.source === 'position') && (
+            <p className="text-xs text-slate-500">Untracked shares cannot be picked individually; sell them first in, last in or highest cost first.</p>
+          )}
+        </div>
+      )}
+
+      {preview?.error && <div className="text-sm text-red-600" aria-live="polite">{preview.error}</div>}
+
+      {preview?.result && (
+        <div className="space-y-2">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-1">Lot</th>
+                <th>Acquired</th>
+                <th className="text-right">Shares</th>
+                <th className="text-right">Proceeds</th>
+                <th className="text-right">Cost</th>
+                <th className="text-right">Gain</th>
+                <th className="text-right">Term</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.result.relieved.map((r) => (
+                <tr key={r.lotId} className="border-t border-slate-200">
+                  <td className="py-1">#{lots.find((l) => l.id === r.lotId)?.lotNumber}</td>
+                  <td>{r.acquiredAt ?? '—'}</td>
+                  <td className="text-right">{r.shares}</td>
+                  <td className="text-right">{formatCurrency(r.proceeds)}</td>
+                  <td className="text-right">{formatCurrency(r.cost)}</td>
+                  <td className={`text-right font-medium ${gainColor(r.gain)}`}>{formatCurrency(r.gain)}</td>
+                  <td className="text-right capitalize">{r.term}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex flex-wrap justify-end gap-4 text-sm">
+            <span>Short term: <span className={`font-medium ${gainColor(preview.result.shortTermGain)}`}>{formatCurrency(preview.result.shortTermGain)}</span></span>
+            <span>Long term: <span className={`font-medium ${gainColor(preview.result.longTermGain)}`}>{formatCurrency(preview.result.longTermGain)}</span></span>
+            <span>Realized: <span className={`font-semibold ${gainColor(preview.result.realizedGain)}`}>{formatCurrency(preview.result.realizedGain)}</span></span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-3">
+        {!cycle && <span className="text-xs text-slate-500">No wheel cycle for {symbol}; preview only</span>}
+        <Button onClick={recordSale} disabled={!cycle || !preview?.result || isRecording}>
+          {isRecording ? 'Recording...' : 'Record Sale'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
 export default Stocks;
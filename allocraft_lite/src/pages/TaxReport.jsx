@@ -0,0 +1,189 @@
+import { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Download, FileText, AlertTriangle } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { useAllWheelEvents, useWheelCycles } from "@/api/enhancedClient";
+import { buildRealizedGains, buildTaxReport, taxYears, toForm8949Csv } from "@/services/taxReport";
+
+const TERM_STYLES = {
+  short: 'bg-blue-100 text-blue-800 border-blue-300',
+  long: 'bg-emerald-100 text-emerald-800 border-emerald-300',
+  unknown: 'bg-orange-100 text-orange-800 border-orange-300'
+};
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+const gainColor = (value) => (value > 0 ? 'text-emerald-600' : value < 0 ? 'text-red-600' : 'text-slate-600');
+
+function SummaryCard({ title, line }) {
+  return (
+    <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base font-medium text-slate-600">{title}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-1">
+        <div className={`text-2xl font-bold ${gainColor(line.gain)}`}>{formatCurrency(line.gain)}</div>
+        <div className="text-xs text-slate-500">
+          Proceeds {formatCurrency(line.proceeds)} • Cost {formatCurrency(line.cost)}
+          {line.adjustments > 0 && <> • Wash sale {formatCurrency(line.adjustments)}</>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * TaxReport - Realized gains for a tax year
+ * Short- and long-term gains from sold and called-away lots and closed short
+ * options, wash-sale adjustments, and a Form 8949-style CSV export.
+ */
+export default function TaxReport() {
+  const { data: cycles = [], isLoading: cyclesLoading } = useWheelCycles();
+  const { data: events = [], isLoading: eventsLoading } = useAllWheelEvents();
+  const currentYear = new Date().getFullYear();
+  const [year, setYear] = useState(null);
+
+  const years = useMemo(() => {
+    const found = taxYears(buildRealizedGains(asList(cycles), asList(events)).rows);
+    return found.includes(currentYear) ? found : [currentYear, ...found];
+  }, [cycles, events, currentYear]);
+
+  const selectedYear = year ?? years[0];
+  const report = useMemo(
+    () => buildTaxReport(asList(cycles), asList(events), selectedYear),
+    [cycles, events, selectedYear]
+  );
+
+  const exportCsv = () => {
+    const blob = new Blob([toForm8949Csv(report)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `form-8949-${report.year}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const isLoading = cyclesLoading || eventsLoading;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="flex justify-between items-start">
+          <div>
+            <h1 className="text-4xl font-bold text-slate-900 tracking-tight">
+              Tax Report
+            </h1>
+            <p className="text-slate-600 mt-2">
+              Realized gains from closed lots and options, with wash sales
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Select value={String(selectedYear)} onValueChange={(value) => setYear(Number(value))}>
+              <SelectTrigger className="w-28">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {years.map((y) => (
+                  <SelectItem key={y} value={String(y)}>{y}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={exportCsv} disabled={report.rows.length === 0}>
+              <Download className="w-4 h-4 mr-2" />
+              Form 8949 CSV
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <SummaryCard title="Short-term" line={report.shortTerm} />
+          <SummaryCard title="Long-term" line={report.longTerm} />
+          <SummaryCard title="Total realized" line={report.total} />
+        </div>
+
+        <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+          <CardHeader>
+            <CardTitle className="text-xl font-bold text-slate-900 flex items-center gap-2">
+              <FileText className="w-5 h-5" />
+              Realized Gains {report.year}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="h-64 bg-slate-100 rounded-lg animate-pulse" />
+            ) : report.rows.length === 0 ? (
+              <p className="text-sm text-slate-500">No closed lots or options in {report.year}.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Description</TableHead>
+                    <TableHead>Acquired</TableHead>
+                    <TableHead>Sold</TableHead>
+                    <TableHead>Term</TableHead>
+                    <TableHead className="text-right">Proceeds</TableHead>
+                    <TableHead className="text-right">Cost</TableHead>
+                    <TableHead className="text-right">Adjustment</TableHead>
+                    <TableHead className="text-right">Gain</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.rows.map((row) => (
+                    <TableRow key={row.id}>
+                      <TableCell className="font-medium">{row.description}</TableCell>
+                      <TableCell>{row.acquiredAt ?? 'Various'}</TableCell>
+                      <TableCell>{row.soldAt}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className={TERM_STYLES[row.term]}>{row.term}</Badge>
+                      </TableCell>
+                      <TableCell className="text-right">{formatCurrency(row.proceeds)}</TableCell>
+                      <TableCell className="text-right">{formatCurrency(row.cost)}</TableCell>
+                      <TableCell className="text-right">
+                        {row.washSaleAdjustment > 0 ? `W ${formatCurrency(row.washSaleAdjustment)}` : '—'}
+                      </TableCell>
+                      <TableCell className={`text-right font-medium ${gainColor(row.reportedGain)}`}>
+                        {formatCurrency(row.reportedGain)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        {report.washSales.length > 0 && (
+          <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-xl">
+            <CardHeader>
+              <CardTitle className="text-xl font-bold text-slate-900 flex items-center gap-2">
+                <AlertTriangle className="w-5 h-5 text-amber-500" />
+                Wash Sales
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {report.washSales.map((wash) => (
+                <div key={wash.rowId} className="text-sm text-slate-700">
+                  <span className="font-medium">{wash.ticker}</span> loss of {formatCurrency(wash.loss)} on {wash.soldAt}:
+                  {' '}{formatCurrency(wash.disallowed)} disallowed, added to the basis of
+                  {' '}{wash.replacements.map((r) => `${r.quantity} acquired ${r.acquiredAt} (+${formatCurrency(r.basisAdjustment)})`).join(', ')}
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Button } from "@/components/ui/button";
-import { Plus, RotateCcw, Target, CheckCircle2, Zap, TrendingUp, Search } from "lucide-react";
-import { useWheelCycles, useWheelDetection, useWheelDetectionResults, usePositionsData } from "@/api/enhancedClient";
+import { Plus, RotateCcw, Target, CheckCircle2, Zap, TrendingUp, Search, CalendarClock, Split, ArrowLeftRight } from "lucide-react";
+import { useWheelCycles, useWheelDetection, useWheelDetectionResults, usePositionsData, useAllWheelEvents } from "@/api/enhancedClient";
+import { isAllAccounts } from "@/services/accountScope";
 // import WheelBuilder from "@/components/WheelBuilder";
 import WheelCreationModal from "@/components/WheelCreationModal";
 import WheelOpportunityCard from "@/components/WheelOpportunityCard";
@@ -12,6 +13,11 @@ import WheelDetailsModal from '../components/wheel-management/WheelDetailsModal'
 import WheelEditModal from '../components/wheel-management/WheelEditModal';
 import WheelRollModal from '../components/wheel-management/WheelRollModal';
 import WheelCloseModal from '../components/wheel-management/WheelCloseModal';
+import ExpirationReviewModal from '../components/wheel-management/ExpirationReviewModal';
+import CorporateActionModal from '../components/wheel-management/CorporateActionModal';
+import PositionChangeReviewModal from '../components/wheel-management/PositionChangeReviewModal';
+import { useExpirationProcessor } from '../hooks/useExpirationProcessor';
+import { usePositionChanges } from '../hooks/usePositionChanges';
 import { WheelManagementService } from '../services/WheelManagementService';
 
 // Silent logging function for Wheels page
@@ -33,8 +39,12 @@ export default function Wheels() {
     refetch: refetchWheelCycles
   } = useWheelCycles();
 
+  // Wheel events feed the shared P&L engine in the performance summary
+  const { data: wheelEvents } = useAllWheelEvents();
+
   // Positions data for wheel detection
   const {
+    accountId,
     allPositions,
     stockPositions,
     optionPositions,
@@ -125,10 +135,48 @@ export default function Wheels() {
   const [showPricePrompt, setShowPricePrompt] = useState(false);
   const [selectedDetectedWheel, setSelectedDetectedWheel] = useState(null);
 
+  // Expiration processing: review open options that are past their expiry
+  const expirations = useExpirationProcessor();
+  const [showExpirationReview, setShowExpirationReview] = useState(false);
+  const expirationsPrompted = useRef(false);
+
+  // Position changes since the last sync or import, as suggested wheel events
+  const positionChanges = usePositionChanges();
+  const [showPositionChanges, setShowPositionChanges] = useState(false);
+
+  // Splits, reverse splits and symbol changes
+  const [showCorporateAction, setShowCorporateAction] = useState(false);
+  const [applyingCorporateAction, setApplyingCorporateAction] = useState(false);
+
   // Computed values
   const tickers = Array.from(new Set(transformedCycles.map(c => c.ticker))).sort();
   const loading = cyclesLoading || positionsLoading;
 
+  // Prompt once per visit when expired options are found on load
+  useEffect(() => {
+    if (!expirationsPrompted.current && expirations.proposals.length > 0) {
+      expirationsPrompted.current = true;
+      wheelsLog('⏰ Found expired options to settle:', expirations.proposals.length);
+      setShowExpirationReview(true);
+    }
+  }, [expirations.proposals]);
+
+  const handleProcessExpirations = async () => {
+    expirationsPrompted.current = true;
+    await expirations.process();
+    setShowExpirationReview(true);
+  };
+
+  const handleCorporateAction = async (action) => {
+    setApplyingCorporateAction(true);
+    try {
+      const plan = await WheelManagementService.applyCorporateAction(action, cyclesArray, wheelEvents || []);
+      wheelsLog('🔀 Corporate action applied:', plan.key, plan.adjustments.length);
+    } finally {
+      setApplyingCorporateAction(false);
+    }
+  };
+
   // Auto-detect wheels when positions are loaded
   useEffect(() => {
     console.log("🔍 Position data changed:", {
@@ -255,7 +303,7 @@ export default function Wheels() {
     try {
       // Prepare correct request format for backend WheelDetectionRequest
       const detectionData = {
-        account_id: 1, // Default account ID - should match your positions
+        account_id: isAllAccounts(accountId) ? null : accountId, // Selected account, or every account
         specific_tickers: [], // Empty to analyze all tickers
         options: {
           risk_tolerance: "moderate",
@@ -790,6 +838,43 @@ export default function Wheels() {
               <TrendingUp className="w-4 h-4 mr-2" />
               Refresh Prices
             </Button>
+            <Button
+              onClick={handleProcessExpirations}
+              variant="outline"
+              disabled={loading}
+              className="border-slate-300 hover:border-amber-500"
+            >
+              <CalendarClock className="w-4 h-4 mr-2" />
+              Process Expirations
+              {expirations.proposals.length > 0 && (
+                <span className="ml-2 rounded-full bg-amber-100 px-2 text-xs text-amber-700">
+                  {expirations.proposals.length}
+                </span>
+              )}
+            </Button>
+            <Button
+              onClick={() => setShowPositionChanges(true)}
+              variant="outline"
+              disabled={loading}
+              className="border-slate-300 hover:border-blue-500"
+            >
+              <ArrowLeftRight className="w-4 h-4 mr-2" />
+              Position Changes
+              {positionChanges.suggestions.length > 0 && (
+                <span className="ml-2 rounded-full bg-blue-100 px-2 text-xs text-blue-700">
+                  {positionChanges.suggestions.length}
+                </span>
+              )}
+            </Button>
+            <Button
+              onClick={() => setShowCorporateAction(true)}
+              variant="outline"
+              disabled={loading || cyclesArray.length === 0}
+              className="border-slate-300 hover:border-purple-500"
+            >
+              <Split className="w-4 h-4 mr-2" />
+              Corporate Action
+            </Button>
             <Button
               onClick={() => setAutoRefreshEnabled(!autoRefreshEnabled)}
               variant="outline"
@@ -858,6 +943,7 @@ export default function Wheels() {
           cycles={cycles}
           stockPositions={stockPositions}
           optionPositions={optionPositions}
+          events={wheelEvents}
           className="shadow-lg"
         />
 
@@ -982,6 +1068,41 @@ export default function Wheels() {
         onCloseWheel={handleWheelClose}
       />
 
+      {showExpirationReview && (
+        <ExpirationReviewModal
+          isOpen={showExpirationReview}
+          onClose={() => setShowExpirationReview(false)}
+          proposals={expirations.proposals}
+          onConfirm={expirations.confirm}
+          isConfirming={expirations.isConfirming}
+        />
+      )}
+
+      {showPositionChanges && (
+        <PositionChangeReviewModal
+          isOpen={showPositionChanges}
+          onClose={() => setShowPositionChanges(false)}
+          suggestions={positionChanges.suggestions}
+          cycles={positionChanges.cycles}
+          onAccept={positionChanges.accept}
+          onDismiss={positionChanges.dismiss}
+          onSync={positionChanges.sync}
+          isAccepting={positionChanges.isAccepting}
+          isSyncing={positionChanges.isSyncing}
+        />
+      )}
+
+      {showCorporateAction && (
+        <CorporateActionModal
+          isOpen={showCorporateAction}
+          onClose={() => setShowCorporateAction(false)}
+          cycles={cyclesArray}
+          events={wheelEvents || []}
+          onConfirm={handleCorporateAction}
+          isConfirming={applyingCorporateAction}
+        />
+      )}
+
       {/* Price Data Prompt Modal for Auto-Detected Wheels */}
       {showPricePrompt && wheelsNeedingPrices.length > 0 && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
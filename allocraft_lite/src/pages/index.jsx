@@ -5,6 +5,8 @@ import Dashboard from "./Dashboard";
 import Stocks from "./Stocks.tsx";
 
 import Options from "./Options";
+import OptionsCalendar from "./OptionsCalendar";
+import TaxReport from "./TaxReport";
 
 
 import Wheels from "./Wheels";
@@ -35,13 +37,19 @@ const PAGES = {
     Dashboard: Dashboard,
     Stocks: Stocks,
     Options: Options,
+    OptionsCalendar: OptionsCalendar,
     Wheels: Wheels,
+    TaxReport: TaxReport,
     Import: ImportPage,
     Profile: Profile,
     Settings: Settings,
 }
 
 function _getCurrentPage(url) {
+    // Nested wheel routes (e.g. /wheels/12/lots) belong to the Wheels page
+    if (/^\/wheels\//i.test(url)) {
+        return 'Wheels';
+    }
     if (url.endsWith('/')) {
         url = url.slice(0, -1);
     }
@@ -67,7 +75,6 @@ function PagesContent() {
             <Route path="/auth/callback" element={<SchwabCallback />} />
             {/* Public mock route for easy design preview */}
             <Route path="/WheelsLotsMock" element={<WheelsLotsMock />} />
-            <Route path="/LotTimelineMock" element={<LotTimelinePage />} />
             <Route
                 path="/*"
                 element={
@@ -78,8 +85,12 @@ function PagesContent() {
                                 <Route path="/Dashboard" element={<Dashboard />} />
                                 <Route path="/Stocks" element={<Stocks />} />
                                 <Route path="/Options" element={<Options />} />
+                                <Route path="/OptionsCalendar" element={<OptionsCalendar />} />
                                 <Route path="/Wheels" element={<Wheels />} />
                                 <Route path="/WheelsPhaseView" element={<WheelsPhaseView />} />
+                                <Route path="/wheels/lots" element={<LotTimelinePage />} />
+                                <Route path="/wheels/:cycleId/lots" element={<LotTimelinePage />} />
+                                <Route path="/TaxReport" element={<TaxReport />} />
                                 <Route path="/Import" element={<ImportPage />} />
                                 <Route path="/Profile" element={<Profile />} />
                                 <Route path="/Settings" element={<Settings />} />
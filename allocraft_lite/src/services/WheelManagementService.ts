@@ -16,6 +16,12 @@
 
 import { queryClient } from '../api/enhancedClient';
 import { apiFetch } from '../api/fastapiClient';
+import { calculateCyclePnL, replayWheelEvents } from '../utils/wheelPnLEngine';
+import { resolveLegExpiry } from './expirationProcessor';
+import { wheelStatusMachine, type StatusSideEffect, type StatusTransitionValidation } from './wheelStatusMachine';
+import type { RollScenario } from './rollAnalyzer';
+import type { ReconstructedCycle } from './historyReplay';
+import { planCorporateAction, type CorporateAction, type CorporateActionPlan } from './corporateActions';
 
 // Silent logging function for WheelManagementService
 const serviceLog = (...args: any[]) => {
@@ -63,6 +69,10 @@ interface RollData {
     to_expiration: string;
     roll_type: string;
     net_credit?: number;
+    from_strike?: number;
+    to_strike?: number;
+    /** Client-side analysis of the chosen roll (see rollAnalyzer) */
+    analysis?: RollScenario;
 }
 
 interface CloseData {
@@ -71,6 +81,22 @@ interface CloseData {
     [key: string]: any;
 }
 
+/** One short option of a wheel, as the options calendar lists it */
+interface OptionLegRef {
+    optionType: 'PUT' | 'CALL';
+    strike: number;
+    expiration: string;
+    contracts: number;
+}
+
+interface LegCloseData {
+    trade_date: string;
+    /** Debit per share paid to buy the option back */
+    premium: number;
+    fees?: number;
+    notes?: string;
+}
+
 interface RiskAssessment {
     level: 'low' | 'medium' | 'high';
     factors: string[];
@@ -85,6 +111,10 @@ interface PnLCalculation {
     annualized_return: number;
     duration_days: number;
     calculation_date: string;
+    realized_pnl: number;
+    unrealized_pnl: number;
+    capital_gain: number;
+    dividends: number;
 }
 
 interface StatusHistoryEntry {
@@ -107,11 +137,12 @@ interface AutoStatusDetectionResult {
     recommendations: string[];
 }
 
-interface StatusTransitionValidation {
-    valid: boolean;
-    reason?: string;
-    warnings: string[];
-    recommendations: string[];
+interface HistoryImportResult {
+    created: any[];
+    /** Cycles left partial by an earlier import whose missing events were added */
+    completed: any[];
+    /** Keys of cycles that were already fully imported */
+    skipped: string[];
 }
 
 /**
@@ -300,6 +331,84 @@ export class WheelManagementService {
         }
     }
 
+    /**
+     * Buy back one short option of a wheel, leaving the rest of the wheel open
+     */
+    static async closeOptionLeg(wheelId: string | number, leg: OptionLegRef, closeData: LegCloseData): Promise<any[]> {
+        try {
+            serviceLog('🔄 WheelManagementService: Closing option leg:', wheelId, leg, closeData);
+            const openEventId = await this.findOpenLegEventId(wheelId, leg);
+            return await this.createEventsBatch([this.legCloseEvent(wheelId, leg, openEventId, closeData)]);
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: Option leg close failed:', error);
+            throw this.enhanceError(error, 'closeOptionLeg', { wheelId, leg, closeData });
+        }
+    }
+
+    /**
+     * Roll one short option of a wheel: buy it back and sell the chosen
+     * strike and expiration for the same contracts, as one batch
+     */
+    static async rollOptionLeg(wheelId: string | number, leg: OptionLegRef, rollData: RollData): Promise<any[]> {
+        try {
+            serviceLog('🔄 WheelManagementService: Rolling option leg:', wheelId, leg, rollData);
+            this.validateRollData(rollData);
+            const openEventId = await this.findOpenLegEventId(wheelId, leg);
+            const tradeDate = new Date().toISOString().slice(0, 10);
+            const strike = rollData.to_strike ?? leg.strike;
+            return await this.createEventsBatch([
+                this.legCloseEvent(wheelId, leg, openEventId, {
+                    trade_date: tradeDate,
+                    premium: rollData.analysis?.buybackCost ?? 0,
+                    notes: 'Rolled',
+                }),
+                {
+                    cycle_id: Number(wheelId),
+                    event_type: leg.optionType === 'PUT' ? 'SELL_PUT_OPEN' : 'SELL_CALL_OPEN',
+                    trade_date: tradeDate,
+                    contracts: leg.contracts,
+                    strike,
+                    premium: rollData.analysis?.premium ?? 0,
+                    expiration_date: rollData.to_expiration,
+                    notes: `Exp ${rollData.to_expiration} • Rolled from $${leg.strike} ${leg.expiration}`,
+                },
+            ]);
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: Option leg roll failed:', error);
+            throw this.enhanceError(error, 'rollOptionLeg', { wheelId, leg, rollData });
+        }
+    }
+
+    /**
+     * Opening event of the wheel's open short option with the leg's type,
+     * strike and expiration; a close must link to it to settle that leg
+     */
+    static async findOpenLegEventId(wheelId: string | number, leg: OptionLegRef): Promise<number | undefined> {
+        const events: any[] = await enhancedFetch(`/wheels/wheel-events?cycle_id=${wheelId}`);
+        const candidates = replayWheelEvents(events).openLegs
+            .filter((open) => open.optionType === leg.optionType && open.strike === leg.strike);
+        const match = candidates.find((open) => {
+            const openEvent = events.find((e) => String(e.id) === String(open.openEventId));
+            return resolveLegExpiry(open, openEvent, null) === leg.expiration;
+        }) ?? candidates[0];
+        if (!match) throw new Error(`No open ${leg.optionType} at $${leg.strike} recorded on this wheel`);
+        return match.openEventId != null ? Number(match.openEventId) : undefined;
+    }
+
+    static legCloseEvent(wheelId: string | number, leg: OptionLegRef, openEventId: number | undefined, closeData: LegCloseData): any {
+        return {
+            cycle_id: Number(wheelId),
+            event_type: leg.optionType === 'PUT' ? 'BUY_PUT_CLOSE' : 'SELL_CALL_CLOSE',
+            trade_date: closeData.trade_date,
+            contracts: leg.contracts,
+            strike: leg.strike,
+            premium: closeData.premium,
+            fees: closeData.fees ?? 0,
+            link_event_id: openEventId,
+            notes: closeData.notes,
+        };
+    }
+
     /**
      * Delete a wheel strategy completely
      */
@@ -357,6 +466,19 @@ export class WheelManagementService {
         }
     }
 
+    /**
+     * Get open options on a ticker that are candidates for rolling
+     */
+    static async getRollCandidates(ticker: string): Promise<any[]> {
+        try {
+            serviceLog('🔄 WheelManagementService: Fetching roll candidates:', ticker);
+            return await enhancedFetch(`/wheels/${ticker}/roll-candidates`);
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: Failed to fetch roll candidates:', error);
+            throw this.enhanceError(error, 'getRollCandidates', { ticker });
+        }
+    }
+
     /**
      * Get wheel event history
      */
@@ -389,7 +511,7 @@ export class WheelManagementService {
         try {
             serviceLog('🔄 WheelManagementService: Updating wheel status:', wheelId, newStatus);
 
-            // Validate status transition
+            // Validate status transition against the status state machine
             const currentWheel = await this.getWheelDetails(wheelId);
             const validation = this.validateStatusTransitionAdvanced(currentWheel.status, newStatus, context);
 
@@ -431,28 +553,8 @@ export class WheelManagementService {
                 { status: newStatus }
             );
 
-            // Log status change event
-            await this.logWheelEvent(wheelId, {
-                event_type: 'status_change',
-                description: `Status changed: ${currentWheel.status} → ${newStatus}`,
-                metadata: {
-                    previous_status: currentWheel.status,
-                    new_status: newStatus,
-                    context: context,
-                    validation: validation
-                }
-            });
-
-            // Update cache
-            queryClient.setQueryData(['wheel-cycles'], (oldData: any) => {
-                if (!oldData) return oldData;
-                return oldData.map((wheel: any) =>
-                    wheel.id === wheelId ? { ...wheel, status: newStatus } : wheel
-                );
-            });
-
-            // Invalidate status-related queries
-            await queryClient.invalidateQueries({ queryKey: ['wheel-status-history', wheelId] });
+            // Run the transition's declared side effects (event log, cache updates)
+            await this.runStatusEffects(validation.effects ?? [], wheelId, currentWheel.status, newStatus, context, validation);
 
             serviceLog('✅ WheelManagementService: Wheel status updated:', response);
             return response;
@@ -605,6 +707,7 @@ export class WheelManagementService {
                     const result = await this.updateWheelStatus(wheelId, detection.recommended_status, {
                         trigger_event: trigger,
                         automated: true,
+                        reason: `Auto-detected ${detection.recommended_status} (confidence ${Math.round(detection.confidence * 100)}%)`,
                         detection_result: detection,
                         updated_by: 'auto_detector'
                     });
@@ -763,6 +866,24 @@ export class WheelManagementService {
      */
     static async analyzeRollScenarios(_wheelId: string | number, rollData: RollData): Promise<any> {
         try {
+            // Use the analyzed roll's probability of finishing in the money when available
+            const analysis = rollData.analysis;
+            if (analysis) {
+                return {
+                    optimistic: {
+                        probability: 1 - analysis.probabilityITM,
+                        outcome: 'New option expires worthless, keep net credit',
+                        estimated_profit: analysis.netCredit
+                    },
+                    pessimistic: {
+                        probability: analysis.probabilityITM,
+                        outcome: `Assignment at ${analysis.strike} (breakeven ${analysis.breakeven})`,
+                        estimated_profit: analysis.assignmentPnL
+                    },
+                    selected: analysis
+                };
+            }
+
             // Simplified scenario analysis - can be enhanced with market data
             const scenarios = {
                 optimistic: {
@@ -797,108 +918,104 @@ export class WheelManagementService {
     }
 
     /**
-     * Calculate final P&L for wheel closure
+     * Calculate final P&L for wheel closure by replaying every wheel event
+     * through the P&L engine. Errors propagate so a closure is never
+     * recorded with fabricated zero P&L.
      */
     static async calculateFinalPnL(wheelId: string | number, closeData: CloseData): Promise<PnLCalculation> {
-        try {
-            const wheelDetails = await this.getWheelDetails(wheelId);
-            const events = wheelDetails.events || [];
-
-            // Calculate total premiums received
-            const totalPremiums = events
-                .filter((event: any) => event.event_type === 'premium_received')
-                .reduce((sum: number, event: any) => sum + (event.amount || 0), 0);
-
-            // Calculate costs (commissions, assignment costs, etc.)
-            const totalCosts = events
-                .filter((event: any) => event.event_type === 'cost')
-                .reduce((sum: number, event: any) => sum + (event.amount || 0), 0);
+        const wheelDetails = await this.getWheelDetails(wheelId);
+        const events = wheelDetails.events || [];
 
-            // Calculate duration
-            const startDate = new Date(wheelDetails.created_at);
-            const endDate = new Date(closeData.close_date);
-            const durationDays = Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
+        const pnl = calculateCyclePnL(events, {
+            cycleId: wheelId,
+            currentPrice: closeData.close_price ?? wheelDetails.current_price ?? null
+        });
 
-            const netProfit = totalPremiums - totalCosts;
-            const totalReturn = wheelDetails.capital_requirement ? (netProfit / wheelDetails.capital_requirement) * 100 : 0;
-            const annualizedReturn = durationDays > 0 ? (totalReturn * 365 / durationDays) : 0;
+        // Calculate duration
+        const startDate = new Date(wheelDetails.started_at || wheelDetails.created_at || pnl.startDate);
+        const endDate = new Date(closeData.close_date);
+        const durationDays = Math.max(0, Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24))) || 0;
 
-            return {
-                total_premiums: totalPremiums,
-                total_costs: totalCosts,
-                net_profit: netProfit,
-                total_return: totalReturn,
-                annualized_return: annualizedReturn,
-                duration_days: durationDays,
-                calculation_date: new Date().toISOString()
-            };
+        const netProfit = pnl.total;
+        const totalReturn = wheelDetails.capital_requirement ? (netProfit / wheelDetails.capital_requirement) * 100 : 0;
+        const annualizedReturn = durationDays > 0 ? (totalReturn * 365 / durationDays) : 0;
 
-        } catch (error) {
-            console.warn('P&L calculation failed, using defaults:', error);
-            return {
-                total_premiums: 0,
-                total_costs: 0,
-                net_profit: 0,
-                total_return: 0,
-                annualized_return: 0,
-                duration_days: 0,
-                calculation_date: new Date().toISOString()
-            };
-        }
+        return {
+            total_premiums: pnl.premium,
+            total_costs: pnl.fees,
+            net_profit: netProfit,
+            total_return: totalReturn,
+            annualized_return: annualizedReturn,
+            duration_days: durationDays,
+            calculation_date: new Date().toISOString(),
+            realized_pnl: pnl.realized,
+            unrealized_pnl: pnl.unrealized,
+            capital_gain: pnl.capitalGain,
+            dividends: pnl.dividends
+        };
     }
 
     /**
      * Validate status transitions (basic)
      */
     static validateStatusTransition(currentStatus: string, newStatus: string): boolean {
-        const validTransitions: { [key: string]: string[] } = {
-            'active': ['paused', 'monitoring', 'closed', 'assigned', 'rolling', 'covered'],
-            'paused': ['active', 'closed'],
-            'monitoring': ['active', 'paused', 'closed', 'assigned', 'rolling'],
-            'assigned': ['active', 'closed', 'covered'],
-            'rolling': ['active', 'closed', 'monitoring'],
-            'covered': ['active', 'closed', 'monitoring'],
-            'expired': ['closed', 'active'],
-            'closed': [], // No transitions from closed
-            'pending': ['active', 'closed']
-        };
-
-        return validTransitions[currentStatus]?.includes(newStatus) || false;
+        return wheelStatusMachine.canTransition(currentStatus, newStatus);
     }
 
     /**
-     * Validate status transitions with advanced logic
+     * Validate status transitions against the state machine's required context and guards
      */
     static validateStatusTransitionAdvanced(currentStatus: string, newStatus: string, context: any = {}): StatusTransitionValidation {
-        const basicValidation = this.validateStatusTransition(currentStatus, newStatus);
-        const warnings: string[] = [];
-        const recommendations: string[] = [];
-
-        if (!basicValidation) {
-            return {
-                valid: false,
-                reason: `Invalid transition from ${currentStatus} to ${newStatus}`,
-                warnings: [],
-                recommendations: ['Review wheel status transition rules']
-            };
-        }
-
-        // Add contextual warnings and recommendations
-        if (currentStatus === 'active' && newStatus === 'closed' && !context.manual_closure) {
-            warnings.push('Closing active wheel without completion may result in missed opportunities');
-            recommendations.push('Consider allowing wheel to complete naturally');
-        }
+        return wheelStatusMachine.validate(currentStatus, newStatus, context);
+    }
 
-        if (currentStatus === 'assigned' && newStatus === 'active' && !context.shares_sold) {
-            warnings.push('Transitioning from assigned to active without selling shares');
-            recommendations.push('Verify covered call strategy is in place');
+    /**
+     * Run the side effects a status transition declares
+     */
+    static async runStatusEffects(
+        effects: StatusSideEffect[],
+        wheelId: string | number,
+        previousStatus: string,
+        newStatus: string,
+        context: any,
+        validation: StatusTransitionValidation
+    ): Promise<void> {
+        for (const effect of effects) {
+            switch (effect) {
+                case 'log_status_event':
+                    await this.logWheelEvent(wheelId, {
+                        event_type: 'status_change',
+                        description: `Status changed: ${previousStatus} → ${newStatus}`,
+                        metadata: {
+                            previous_status: previousStatus,
+                            new_status: newStatus,
+                            context: context,
+                            validation: validation
+                        }
+                    });
+                    break;
+                case 'update_cycle_cache':
+                    queryClient.setQueryData(['wheel-cycles'], (oldData: any) => {
+                        if (!oldData) return oldData;
+                        return oldData.map((wheel: any) =>
+                            wheel.id === wheelId ? { ...wheel, status: newStatus } : wheel
+                        );
+                    });
+                    break;
+                case 'invalidate_history':
+                    await queryClient.invalidateQueries({ queryKey: ['wheel-status-history', wheelId] });
+                    break;
+                case 'invalidate_positions':
+                    await Promise.all([
+                        queryClient.invalidateQueries({ queryKey: ['wheel-events'] }),
+                        queryClient.invalidateQueries({ queryKey: ['wheel-lots'] })
+                    ]);
+                    break;
+                case 'invalidate_wheels':
+                    await this.invalidateWheelCaches();
+                    break;
+            }
         }
-
-        return {
-            valid: true,
-            warnings: warnings,
-            recommendations: recommendations
-        };
     }
 
     /**
@@ -1051,6 +1168,204 @@ export class WheelManagementService {
         }
     }
 
+    /**
+     * Create several wheel events in one go (e.g. confirmed expirations).
+     * Events are posted in order and caches are refreshed once at the end.
+     * If one fails, those already created are deleted again so the batch
+     * lands whole or not at all; the error reports how many could not be.
+     */
+    static async createEventsBatch(events: any[]): Promise<any[]> {
+        const created: any[] = [];
+        try {
+            serviceLog('🔄 WheelManagementService: Creating event batch:', events.length);
+
+            for (const event of events) {
+                created.push(await enhancedFetch('/wheels/wheel-events', {
+                    method: 'POST',
+                    body: JSON.stringify(event)
+                }));
+            }
+
+            serviceLog('✅ WheelManagementService: Event batch created:', created);
+            return created;
+
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: Event batch failed:', error);
+            const remaining = await this.deleteEventsNewestFirst(created);
+            throw this.enhanceError(error, 'createEventsBatch', { total: events.length, created: remaining });
+        } finally {
+            if (created.length > 0) {
+                await Promise.all([
+                    this.invalidateWheelCaches(),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-events'] }),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-lots'] })
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Delete events newest first, stopping at the first that cannot be
+     * deleted; returns how many are left, always the oldest ones.
+     */
+    static async deleteEventsNewestFirst(created: any[]): Promise<number> {
+        for (let i = created.length - 1; i >= 0; i--) {
+            try {
+                await enhancedFetch(`/wheels/wheel-events/${created[i].id}`, { method: 'DELETE' });
+            } catch (error: any) {
+                console.error('❌ WheelManagementService: Failed to delete event:', created[i].id, error);
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Persist cycles rebuilt from transaction history: each cycle is created,
+     * its events are posted in order with links resolved to the new event ids,
+     * and the backend rebuilds the cycle's lots from them. Cycles whose
+     * cycle_key already exists are skipped, or finished when an earlier import
+     * stopped partway, so the same history can be imported again.
+     */
+    static async createCyclesFromHistory(cycles: ReconstructedCycle[]): Promise<HistoryImportResult> {
+        const result: HistoryImportResult = { created: [], completed: [], skipped: [] };
+        try {
+            serviceLog('🔄 WheelManagementService: Creating cycles from history:', cycles.length);
+
+            const existing = await enhancedFetch<any[]>('/wheels/wheel-cycles');
+            const byKey = new Map(existing.filter((c) => c.cycle_key).map((c) => [c.cycle_key, c]));
+
+            for (const cycle of cycles) {
+                const found = byKey.get(cycle.cycle_key);
+                // Events are posted in replay order, so an interrupted import saved a prefix of them
+                const saved = found
+                    ? (await enhancedFetch<any[]>(`/wheels/wheel-events?cycle_id=${found.id}`)).sort((a, b) => a.id - b.id)
+                    : [];
+                if (found && saved.length >= cycle.events.length) {
+                    result.skipped.push(cycle.cycle_key);
+                    continue;
+                }
+
+                const response = found ?? await enhancedFetch('/wheels/wheel-cycles', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        cycle_key: cycle.cycle_key,
+                        ticker: cycle.ticker,
+                        started_at: cycle.started_at,
+                        status: cycle.status,
+                        strategy_type: cycle.strategy_type,
+                        notes: `Rebuilt from transaction history (${cycle.events.length} events)`,
+                        detection_metadata: {
+                            created_via: 'history_replay',
+                            account_number: cycle.account_number,
+                            ended_at: cycle.ended_at,
+                        }
+                    })
+                });
+
+                const eventIds: Record<string, number> = {};
+                saved.forEach((event, i) => { eventIds[cycle.events[i].key] = event.id; });
+                for (const { key, link_key, ...event } of cycle.events.slice(saved.length)) {
+                    const posted = await enhancedFetch('/wheels/wheel-events', {
+                        method: 'POST',
+                        body: JSON.stringify({
+                            ...event,
+                            cycle_id: response.id,
+                            link_event_id: link_key ? eventIds[link_key] : undefined
+                        })
+                    });
+                    eventIds[key] = posted.id;
+                }
+
+                await this.safeApiCall(
+                    () => enhancedFetch(`/wheels/lots/rebuild?cycle_id=${response.id}`, { method: 'POST' }),
+                    null
+                );
+                (found ? result.completed : result.created).push(response);
+            }
+
+            serviceLog('✅ WheelManagementService: Cycles created from history:', result);
+            return result;
+
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: History import failed:', error);
+            throw this.enhanceError(error, 'createCyclesFromHistory', {
+                total: cycles.length,
+                created: result.created.length,
+                completed: result.completed.length
+            });
+        } finally {
+            if (result.created.length + result.completed.length > 0) {
+                await Promise.all([
+                    this.invalidateWheelCaches(),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-events'] }),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-lots'] })
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Apply a split, reverse split or symbol change to every cycle of its
+     * ticker that spans the effective date. Events are rewritten, the cycle
+     * gets its new ticker and an audit trail entry, and lots are rebuilt
+     * from the adjusted events. Cycles that already recorded the action are
+     * left alone. The audit entry is saved as pending before any event is
+     * touched, so a retry after a partial failure resends the recorded values
+     * instead of rescaling adjusted events again.
+     */
+    static async applyCorporateAction(action: CorporateAction, cycles: any[], events: any[]): Promise<CorporateActionPlan> {
+        let adjusted = 0;
+        try {
+            serviceLog('🔄 WheelManagementService: Applying corporate action:', action);
+
+            const candidates = cycles.filter((c) => String(c.ticker || '').toUpperCase() === action.ticker.trim().toUpperCase());
+            const lots = (await Promise.all(candidates.map((c) =>
+                this.safeApiCall(() => enhancedFetch<any[]>(`/wheels/cycles/${c.id}/lots`), [])
+            ))).flat();
+            const plan = planCorporateAction(action, cycles, events, lots);
+
+            for (const cycle of plan.cycles) {
+                if (cycle.pendingUpdate) {
+                    await enhancedFetch(`/wheels/wheel-cycles/${cycle.cycle_id}`, {
+                        method: 'PUT',
+                        body: JSON.stringify(cycle.pendingUpdate)
+                    });
+                }
+                for (const update of cycle.eventUpdates) {
+                    await enhancedFetch(`/wheels/wheel-events/${update.id}`, {
+                        method: 'PUT',
+                        body: JSON.stringify(update.changes)
+                    });
+                }
+                await enhancedFetch(`/wheels/wheel-cycles/${cycle.cycle_id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify(cycle.cycleUpdate)
+                });
+                await this.safeApiCall(
+                    () => enhancedFetch(`/wheels/lots/rebuild?cycle_id=${cycle.cycle_id}`, { method: 'POST' }),
+                    null
+                );
+                adjusted++;
+            }
+
+            serviceLog('✅ WheelManagementService: Corporate action applied:', plan);
+            return plan;
+
+        } catch (error: any) {
+            console.error('❌ WheelManagementService: Corporate action failed:', error);
+            throw this.enhanceError(error, 'applyCorporateAction', { action, adjusted });
+        } finally {
+            if (adjusted > 0) {
+                await Promise.all([
+                    this.invalidateWheelCaches(),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-events'] }),
+                    queryClient.invalidateQueries({ queryKey: ['wheel-lots'] })
+                ]);
+            }
+        }
+    }
+
     /**
      * Invalidate wheel-related caches
      */
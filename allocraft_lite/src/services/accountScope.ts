@@ -0,0 +1,164 @@
+/**
+ * Account Scope
+ *
+ * Positions, wheels and balances narrowed to one brokerage account, or the
+ * whole household. Positions carry `account_id`; records without one (manual
+ * stocks and options, positions the broker sync did not attribute) are not
+ * tied to any account and show in every scope. A wheel belongs to the
+ * account recorded on it when it was created (`account_id`, or
+ * `detection_metadata.account_id` for cycles the backend stores without the
+ * column), else to the account that holds the shares or short options of its
+ * ticker, since that account holds the collateral.
+ */
+
+import type { UnifiedAccount, UnifiedPosition } from './unifiedApi';
+import { CONTRACT_MULTIPLIER } from '../utils/wheelPnLEngine';
+import { optionFieldsOf, type OptionFields } from '../utils/occSymbol';
+
+/** Household: every account together */
+export const ALL_ACCOUNTS = 'all';
+
+export type AccountScope = string;
+
+export interface AccountBalance {
+    accountId: string;
+    label: string;
+    totalValue: number;
+    cash: number;
+    /** Strike x 100 x contracts of the account's short puts */
+    putCollateral: number;
+    /** Broker-reported buying power, else cash less put collateral */
+    buyingPower: number;
+    positionCount: number;
+}
+
+export interface AccountBalances {
+    accounts: AccountBalance[];
+    household: AccountBalance;
+}
+
+type AnyRecord = Record<string, any>;
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+export const isAllAccounts = (scope: AccountScope | null | undefined): boolean =>
+    scope == null || scope === '' || scope === ALL_ACCOUNTS;
+
+const sameAccount = (accountId: unknown, scope: AccountScope): boolean =>
+    accountId != null && String(accountId) === String(scope);
+
+/** "Schwab …1234", else "Account 7" */
+export function accountName(account: Pick<UnifiedAccount, 'id' | 'brokerage' | 'account_number'> | AnyRecord): string {
+    const number = String(account.account_number || '');
+    const name = [account.brokerage, number ? `…${number.slice(-4)}` : null].filter(Boolean).join(' ');
+    return name || `Account ${account.id}`;
+}
+
+const hasAccount = (record: AnyRecord): boolean => record.account_id != null && record.account_id !== '';
+
+/** Positions (or any records with `account_id`) held in the scoped account, plus those with no account */
+export function positionsForAccount<T extends object>(positions: T[], scope: AccountScope): T[] {
+    if (isAllAccounts(scope) || !Array.isArray(positions)) return positions;
+    return positions.filter((position) => !hasAccount(position as AnyRecord) || sameAccount((position as AnyRecord).account_id, scope));
+}
+
+/** Option fields of a position, or null for shares; imports may leave out asset_type and spell the type in capitals */
+const optionOf = (position: AnyRecord): OptionFields | null => {
+    const fields = optionFieldsOf(position);
+    return position.asset_type === 'OPTION' || fields.occ ? fields : null;
+};
+
+const positionTicker = (position: AnyRecord): string =>
+    String(optionOf(position)?.underlying || position.underlying_symbol || position.ticker || position.symbol || '').toUpperCase();
+
+/**
+ * Account a wheel belongs to, or null when neither the cycle nor the
+ * positions say. A short option at the cycle's strike wins over shares.
+ */
+export function resolveCycleAccount(cycle: AnyRecord, positions: AnyRecord[] = []): string | null {
+    const recorded = cycle.account_id ?? cycle.detection_metadata?.account_id;
+    if (recorded != null && recorded !== '') return String(recorded);
+
+    const ticker = String(cycle.ticker || '').toUpperCase();
+    const held = positions.filter((p) => p.account_id != null && positionTicker(p) === ticker);
+    const strike = num(cycle.detection_metadata?.strike_price ?? cycle.strike_price);
+    const shortOptions = held.filter((p) => optionOf(p) && num(p.short_quantity) > 0);
+    const match = shortOptions.find((p) => strike && optionOf(p)?.strike === strike)
+        ?? shortOptions[0]
+        ?? held.find((p) => !optionOf(p) && num(p.long_quantity) > 0);
+    return match ? String(match.account_id) : null;
+}
+
+/** Wheels in the scoped account; wheels with no known account only show for the household */
+export function cyclesForAccount<T extends AnyRecord>(cycles: T[], scope: AccountScope, positions: AnyRecord[] = []): T[] {
+    if (isAllAccounts(scope)) return cycles;
+    return (cycles || []).filter((cycle) => resolveCycleAccount(cycle, positions) === String(scope));
+}
+
+/** Events that belong to one of `cycles` */
+export function eventsForCycles<T extends { cycle_id?: number | string }>(events: T[], cycles: AnyRecord[]): T[] {
+    const ids = new Set((cycles || []).map((cycle) => String(cycle.id)));
+    return (events || []).filter((event) => event.cycle_id != null && ids.has(String(event.cycle_id)));
+}
+
+/** Key for one ticker in one account; positions and wheels with no account share the '' account */
+export const accountTickerKey = (accountId: unknown, ticker: string): string =>
+    `${accountId ?? ''}:${String(ticker || '').toUpperCase()}`;
+
+/**
+ * Wheel events grouped by the account and ticker of their cycle, so a ticker
+ * held in two accounts keeps each account's trades apart
+ */
+export function eventsByAccountTicker<T extends { cycle_id?: number | string }>(cycles: AnyRecord[], events: T[], positions: AnyRecord[] = []): Record<string, T[]> {
+    const cyclesByKey: Record<string, AnyRecord[]> = {};
+    (cycles || []).forEach((cycle) => {
+        (cyclesByKey[accountTickerKey(resolveCycleAccount(cycle, positions), cycle.ticker)] ||= []).push(cycle);
+    });
+    const grouped: Record<string, T[]> = {};
+    Object.entries(cyclesByKey).forEach(([key, keyCycles]) => {
+        const keyEvents = eventsForCycles(events, keyCycles);
+        if (keyEvents.length > 0) grouped[key] = keyEvents;
+    });
+    return grouped;
+}
+
+/** Cash, collateral and buying power per account, plus household totals */
+export function accountBalances(accounts: Array<UnifiedAccount | AnyRecord> = [], positions: Array<UnifiedPosition | AnyRecord> = []): AccountBalances {
+    const rows: AccountBalance[] = accounts.map((account) => {
+        // Only positions attributed to the account, so unattributed ones are not counted once per account
+        const held = (positions as AnyRecord[]).filter((p) => sameAccount(p.account_id, String(account.id)));
+        const putCollateral = held
+            .filter((p) => optionOf(p)?.optionType === 'PUT' && num(p.short_quantity) > 0)
+            .reduce((sum, p) => sum + num(optionOf(p)?.strike) * CONTRACT_MULTIPLIER * num(p.short_quantity), 0);
+        const cash = num(account.cash_balance);
+        return {
+            accountId: String(account.id),
+            label: accountName(account),
+            totalValue: round2(num(account.total_value)),
+            cash: round2(cash),
+            putCollateral: round2(putCollateral),
+            buyingPower: round2(account.buying_power != null ? num(account.buying_power) : cash - putCollateral),
+            positionCount: num(account.position_count) || held.length,
+        };
+    });
+
+    const total = (field: 'totalValue' | 'cash' | 'putCollateral' | 'buyingPower' | 'positionCount') =>
+        round2(rows.reduce((sum, row) => sum + row[field], 0));
+    return {
+        accounts: rows,
+        household: {
+            accountId: ALL_ACCOUNTS,
+            label: 'All accounts',
+            totalValue: total('totalValue'),
+            cash: total('cash'),
+            putCollateral: total('putCollateral'),
+            buyingPower: total('buyingPower'),
+            positionCount: total('positionCount'),
+        },
+    };
+}
@@ -0,0 +1,242 @@
+/**
+ * Collateral Ledger
+ *
+ * Cash reserved to secure short puts, per account and for the household.
+ * Every open short put reserves strike x 100 x contracts until it expires,
+ * is bought back or is assigned:
+ * - Broker positions are the source of truth for what is open.
+ * - Open put legs of recorded wheels reserve cash too, unless a broker
+ *   position already covers the same contract (wheels entered by hand).
+ * Available cash is the account's cash less what is reserved, and the
+ * release projection shows how it grows as the puts expire.
+ */
+
+import type { UnifiedAccount, UnifiedPosition } from './unifiedApi';
+import {
+    ALL_ACCOUNTS,
+    accountBalances,
+    isAllAccounts,
+    resolveCycleAccount,
+    type AccountBalance,
+    type AccountScope,
+} from './accountScope';
+import { CONTRACT_MULTIPLIER, groupEventsByCycle, replayWheelEvents } from '../utils/wheelPnLEngine';
+import { optionFieldsOf } from '../utils/occSymbol';
+
+export interface CollateralReservation {
+    id: string;
+    /** Null when neither the wheel nor the positions say which account holds it */
+    accountId: string | null;
+    ticker: string;
+    strike: number;
+    contracts: number;
+    expiration: string | null;
+    amount: number;
+    source: 'position' | 'wheel';
+    cycleId?: number | string;
+}
+
+export interface CashRelease {
+    /** Null for reservations with no known expiration, listed last */
+    expiration: string | null;
+    amount: number;
+    reservations: number;
+    /** Available cash once this and every earlier expiration has released */
+    availableAfter: number;
+}
+
+/** Balance row with `putCollateral` and the buying-power fallback taken from the ledger */
+export interface AccountCollateral extends AccountBalance {
+    committed: number;
+    available: number;
+    reservations: CollateralReservation[];
+    releases: CashRelease[];
+}
+
+export interface CollateralLedger {
+    accounts: AccountCollateral[];
+    household: AccountCollateral;
+}
+
+export type CollateralStatus = 'ok' | 'warning' | 'blocked';
+
+export interface CollateralCheck {
+    status: CollateralStatus;
+    required: number;
+    available: number;
+    shortfall: number;
+    /** Account the check ran against; ALL_ACCOUNTS for the household */
+    accountId: AccountScope;
+    message: string;
+}
+
+type AnyRecord = Record<string, any>;
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const money = (value: number): string =>
+    `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/** Cash that secures `contracts` short puts at `strike` */
+export function collateralFor(strike: number, contracts: number, deliverableShares: number = CONTRACT_MULTIPLIER): number {
+    return round2(Math.abs(num(strike)) * Math.abs(num(contracts)) * deliverableShares);
+}
+
+function positionReservations(positions: AnyRecord[]): CollateralReservation[] {
+    return positions.flatMap((position) => {
+        if (position.asset_type !== 'OPTION' || num(position.short_quantity) <= 0) return [];
+        const fields = optionFieldsOf(position);
+        if (fields.optionType !== 'PUT' || !fields.strike) return [];
+        const contracts = num(position.short_quantity);
+        return [{
+            id: `pos-${position.id}`,
+            accountId: position.account_id != null ? String(position.account_id) : null,
+            ticker: String(fields.underlying || '').toUpperCase(),
+            strike: fields.strike,
+            contracts,
+            expiration: fields.expiration,
+            amount: collateralFor(fields.strike, contracts),
+            source: 'position' as const,
+        }];
+    });
+}
+
+function wheelReservations(cycles: AnyRecord[], events: AnyRecord[], positions: AnyRecord[]): CollateralReservation[] {
+    const byCycle = groupEventsByCycle(events as any[]);
+    return cycles.flatMap((cycle) => {
+        const cycleEvents = byCycle[String(cycle.id)] || [];
+        if (cycleEvents.length === 0) return [];
+        const byId = new Map(cycleEvents.map((e: AnyRecord) => [String(e.id), e]));
+        const accountId = resolveCycleAccount(cycle, positions);
+        return replayWheelEvents(cycleEvents).openLegs
+            .filter((leg) => leg.optionType === 'PUT' && leg.strike)
+            .map((leg) => ({
+                id: `evt-${leg.openEventId}`,
+                accountId,
+                ticker: String(cycle.ticker || '').toUpperCase(),
+                strike: leg.strike as number,
+                contracts: leg.contracts,
+                expiration: byId.get(String(leg.openEventId))?.expiration_date || null,
+                amount: collateralFor(leg.strike as number, leg.contracts, leg.deliverableShares),
+                source: 'wheel' as const,
+                cycleId: cycle.id,
+            }));
+    });
+}
+
+/** Wheel legs a broker position already reserves are dropped; each position covers one leg */
+function withoutCoveredLegs(fromPositions: CollateralReservation[], fromWheels: CollateralReservation[]): CollateralReservation[] {
+    const matched = new Set<string>();
+    const uncovered = fromWheels.filter((leg) => {
+        const position = fromPositions.find((p) =>
+            !matched.has(p.id)
+            && p.ticker === leg.ticker
+            && p.strike === leg.strike
+            && (!p.expiration || !leg.expiration || p.expiration === leg.expiration)
+            && (leg.accountId == null || p.accountId === leg.accountId));
+        if (position) matched.add(position.id);
+        return !position;
+    });
+    return [...fromPositions, ...uncovered];
+}
+
+function releaseProjection(reservations: CollateralReservation[], available: number): CashRelease[] {
+    const byExpiration = new Map<string | null, CollateralReservation[]>();
+    reservations.forEach((r) => byExpiration.set(r.expiration, [...(byExpiration.get(r.expiration) || []), r]));
+    const order = Array.from(byExpiration.keys())
+        .sort((a, b) => (a === null ? 1 : b === null ? -1 : a.localeCompare(b)));
+
+    let running = available;
+    return order.map((expiration) => {
+        const group = byExpiration.get(expiration) || [];
+        const amount = round2(group.reduce((sum, r) => sum + r.amount, 0));
+        running = round2(running + amount);
+        return { expiration, amount, reservations: group.length, availableAfter: running };
+    });
+}
+
+function collateralRow(balance: AccountBalance, reportedBuyingPower: number | null, reservations: CollateralReservation[]): AccountCollateral {
+    const committed = round2(reservations.reduce((sum, r) => sum + r.amount, 0));
+    const available = round2(balance.cash - committed);
+    return {
+        ...balance,
+        putCollateral: committed,
+        buyingPower: reportedBuyingPower ?? available,
+        committed,
+        available,
+        reservations,
+        releases: releaseProjection(reservations, available),
+    };
+}
+
+/** Reserved and available cash per account and for the household */
+export function buildCollateralLedger({
+    accounts = [],
+    positions = [],
+    cycles = [],
+    events = [],
+}: {
+    accounts?: Array<UnifiedAccount | AnyRecord>;
+    positions?: Array<UnifiedPosition | AnyRecord>;
+    cycles?: AnyRecord[];
+    events?: AnyRecord[];
+}): CollateralLedger {
+    const held = positions as AnyRecord[];
+    const reservations = withoutCoveredLegs(positionReservations(held), wheelReservations(cycles, events, held));
+    const balances = accountBalances(accounts, held);
+    const reported = new Map(accounts.map((a) => [String(a.id), a.buying_power != null ? num(a.buying_power) : null]));
+
+    const rows = balances.accounts.map((balance) => collateralRow(
+        balance,
+        reported.get(balance.accountId) ?? null,
+        reservations.filter((r) => r.accountId === balance.accountId)
+    ));
+    const household = collateralRow(balances.household, null, reservations);
+
+    return {
+        accounts: rows,
+        // Household buying power sums each account's, reported or derived
+        household: { ...household, buyingPower: round2(rows.reduce((sum, row) => sum + row.buyingPower, 0)) },
+    };
+}
+
+const scopeLabel = (row: AccountCollateral): string => (row.accountId === ALL_ACCOUNTS ? 'all accounts' : row.label);
+
+/** Ledger row for an account, the household when none is selected or it is unknown */
+export function ledgerForAccount(ledger: CollateralLedger, scope: AccountScope | null | undefined): AccountCollateral {
+    if (isAllAccounts(scope)) return ledger.household;
+    return ledger.accounts.find((row) => row.accountId === String(scope)) ?? ledger.household;
+}
+
+/**
+ * Whether a new cash-secured put fits in the available cash. Over-committing
+ * a single account is blocked; at household level the cash may sit in
+ * another account, so it only warns.
+ */
+export function checkCspCollateral(
+    ledger: CollateralLedger,
+    { accountId, strike, contracts = 1 }: { accountId?: AccountScope | null; strike: number; contracts?: number }
+): CollateralCheck {
+    const row = ledgerForAccount(ledger, accountId);
+    const required = collateralFor(strike, contracts);
+    const shortfall = round2(Math.max(0, required - row.available));
+    const base = { required, available: row.available, shortfall, accountId: row.accountId };
+
+    if (ledger.accounts.length === 0) {
+        return { ...base, status: 'warning', message: `No account balances to check the ${money(required)} of collateral against` };
+    }
+    if (shortfall > 0) {
+        const accountLevel = row.accountId !== ALL_ACCOUNTS;
+        return {
+            ...base,
+            status: accountLevel ? 'blocked' : 'warning',
+            message: `Needs ${money(required)} of collateral but only ${money(row.available)} is available in ${scopeLabel(row)}`,
+        };
+    }
+    return { ...base, status: 'ok', message: `Reserves ${money(required)}; ${money(round2(row.available - required))} stays available in ${scopeLabel(row)}` };
+}
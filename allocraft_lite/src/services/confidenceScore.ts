@@ -0,0 +1,202 @@
+/**
+ * Confidence Scoring
+ *
+ * Wheel detection confidence as named factors rather than one number, so a
+ * score of 62 can be read as "base 50, covered call +20, odd lot -5, ...".
+ * Each factor yields raw points; the score is the base plus every factor's
+ * points times its weight, clamped to 0-100. Weights default to 1 and are
+ * user-editable, so results that carry their factors can be re-scored
+ * without running detection again.
+ */
+
+export type ConfidenceFactorId = 'strategy' | 'round_lots' | 'cash_coverage' | 'expiration_window' | 'market_context';
+
+export type ConfidenceWeights = Record<ConfidenceFactorId, number>;
+
+export type ConfidenceLevel = 'high' | 'medium' | 'low';
+
+export interface ConfidenceFactor {
+    id: ConfidenceFactorId;
+    label: string;
+    /** Unweighted points */
+    points: number;
+    weight: number;
+    /** Points times weight, what the factor adds to the score */
+    contribution: number;
+    detail: string;
+}
+
+export interface ConfidenceScore {
+    score: number;
+    confidence: ConfidenceLevel;
+    factors: ConfidenceFactor[];
+}
+
+export interface ConfidenceInput {
+    strategy: string;
+    stockShares: number;
+    daysToExpiration: number[];
+    cashRequired: number;
+    cashBalance: number;
+    marketContext?: {
+        volatility?: number;
+        marketTrend?: 'bullish' | 'bearish' | 'neutral';
+    };
+}
+
+export const CONFIDENCE_BASE_SCORE = 50;
+
+export const CONFIDENCE_FACTORS: Array<{ id: ConfidenceFactorId; label: string; description: string }> = [
+    { id: 'strategy', label: 'Strategy completeness', description: 'How much of a wheel the positions already form' },
+    { id: 'round_lots', label: 'Shares in round lots', description: 'Share count is a multiple of 100, so every lot can be covered' },
+    { id: 'cash_coverage', label: 'Cash coverage', description: 'Cash on hand against the collateral or margin required' },
+    { id: 'expiration_window', label: 'Days to expiration', description: 'Average time left on the options' },
+    { id: 'market_context', label: 'Market context', description: 'Volatility and trend, when market data is available' },
+];
+
+export const DEFAULT_CONFIDENCE_WEIGHTS: ConfidenceWeights = {
+    strategy: 1,
+    round_lots: 1,
+    cash_coverage: 1,
+    expiration_window: 1,
+    market_context: 1,
+};
+
+/** Weights can range from ignoring a factor to counting it three times */
+export const MAX_CONFIDENCE_WEIGHT = 3;
+
+const STRATEGY_POINTS: Record<string, number> = {
+    full_wheel: 30, // Complete strategy
+    covered_call: 20, // Partial strategy
+    collar: 20, // Hedged stock position
+    poor_mans_covered_call: 15, // Partial strategy on a long call
+    jade_lizard: 15, // Defined-risk spread
+    vertical_spread: 15, // Defined-risk spread
+    cash_secured_put: 15, // Basic strategy
+    naked_stock: 10, // Potential strategy
+    short_strangle: 5, // Undefined risk on both sides
+};
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const money = (value: number): string =>
+    `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const labelOf = (id: ConfidenceFactorId): string => CONFIDENCE_FACTORS.find((f) => f.id === id)?.label || id;
+
+type RawFactor = Pick<ConfidenceFactor, 'id' | 'points' | 'detail'>;
+
+function strategyFactor({ strategy }: ConfidenceInput): RawFactor {
+    return { id: 'strategy', points: STRATEGY_POINTS[strategy] ?? 0, detail: strategy.replace(/_/g, ' ') };
+}
+
+function roundLotFactor({ stockShares }: ConfidenceInput): RawFactor {
+    if (stockShares <= 0) return { id: 'round_lots', points: 0, detail: 'No shares held' };
+    const oddShares = stockShares % 100;
+    return oddShares === 0
+        ? { id: 'round_lots', points: 5, detail: `${stockShares} shares, ${stockShares / 100} full lot(s)` }
+        : { id: 'round_lots', points: -5, detail: `${oddShares} of ${stockShares} shares cannot be covered by a contract` };
+}
+
+function cashFactor({ cashRequired, cashBalance }: ConfidenceInput): RawFactor {
+    if (cashRequired <= 0) return { id: 'cash_coverage', points: 0, detail: 'No cash required' };
+    const detail = `${money(cashBalance)} of ${money(cashRequired)} required`;
+    if (cashBalance >= cashRequired) return { id: 'cash_coverage', points: 15, detail }; // Sufficient cash
+    if (cashBalance >= cashRequired * 0.5) return { id: 'cash_coverage', points: 5, detail }; // Partial cash coverage
+    return { id: 'cash_coverage', points: -10, detail }; // Insufficient cash
+}
+
+function expirationFactor({ daysToExpiration }: ConfidenceInput): RawFactor {
+    if (daysToExpiration.length === 0) return { id: 'expiration_window', points: 0, detail: 'No options' };
+    const average = daysToExpiration.reduce((sum, days) => sum + days, 0) / daysToExpiration.length;
+    const detail = `${Math.round(average)} days on average`;
+    if (average > 30) return { id: 'expiration_window', points: 10, detail }; // Good time horizon
+    if (average < 7) return { id: 'expiration_window', points: -15, detail }; // Close to expiration
+    return { id: 'expiration_window', points: 0, detail };
+}
+
+function marketFactor({ marketContext }: ConfidenceInput): RawFactor {
+    if (!marketContext) return { id: 'market_context', points: 0, detail: 'No market data' };
+    const notes: string[] = [];
+    let points = 0;
+    if (marketContext.volatility && marketContext.volatility > 0.3) {
+        points += 5; // Higher volatility = better premiums
+        notes.push(`volatility ${marketContext.volatility}`);
+    }
+    if (marketContext.marketTrend === 'bullish') {
+        points += 5; // Bullish trend favors wheels
+        notes.push('bullish trend');
+    }
+    return { id: 'market_context', points, detail: notes.length ? notes.join(', ') : 'Neutral' };
+}
+
+/** Raw factor points for a detection */
+export function confidenceFactors(input: ConfidenceInput): RawFactor[] {
+    return [strategyFactor, roundLotFactor, cashFactor, expirationFactor, marketFactor].map((factor) => factor(input));
+}
+
+export function confidenceLevel(score: number): ConfidenceLevel {
+    if (score >= 70) return 'high';
+    if (score >= 40) return 'medium';
+    return 'low';
+}
+
+/** Score factors under `weights`; factors missing a weight count once */
+export function weighConfidence(factors: RawFactor[], weights: Partial<ConfidenceWeights> = {}): ConfidenceScore {
+    const weighted = factors.map((factor) => {
+        const weight = weights[factor.id] ?? DEFAULT_CONFIDENCE_WEIGHTS[factor.id] ?? 1;
+        return { ...factor, label: labelOf(factor.id), weight, contribution: round2(factor.points * weight) };
+    });
+    const total = CONFIDENCE_BASE_SCORE + weighted.reduce((sum, factor) => sum + factor.contribution, 0);
+    const score = Math.round(Math.max(0, Math.min(100, total)));
+    return { score, confidence: confidenceLevel(score), factors: weighted };
+}
+
+export function scoreConfidence(input: ConfidenceInput, weights?: Partial<ConfidenceWeights>): ConfidenceScore {
+    return weighConfidence(confidenceFactors(input), weights);
+}
+
+type AnyRecord = Record<string, any>;
+
+const daysFrom = (date: string): number =>
+    Math.ceil((new Date(date).getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+
+/**
+ * Scoring input of a detection result, from WheelDetectionService
+ * (camelCase) or the backend (snake_case).
+ */
+export function confidenceInputOf(result: AnyRecord): ConfidenceInput {
+    const positions: AnyRecord[] = Array.isArray(result.positions) ? result.positions : [];
+    const context = result.marketContext ?? result.market_context;
+    return {
+        strategy: String(result.strategy || ''),
+        stockShares: positions
+            .filter((p) => p.type === 'stock')
+            .reduce((sum, p) => sum + num(p.rawQuantity ?? p.raw_quantity ?? p.quantity), 0),
+        daysToExpiration: positions
+            .map((p) => p.daysToExpiration ?? p.days_to_expiration
+                ?? ((p.expirationDate ?? p.expiration_date) ? daysFrom(p.expirationDate ?? p.expiration_date) : undefined))
+            .filter((days): days is number => days !== undefined && days !== null),
+        cashRequired: num(result.cashRequired ?? result.cash_required),
+        cashBalance: num(result.cashBalance ?? result.cash_balance),
+        marketContext: context
+            ? { volatility: context.volatility, marketTrend: context.marketTrend ?? context.market_trend }
+            : undefined,
+    };
+}
+
+/**
+ * Re-score a detection result under new weights, from the factors it
+ * carries or, for results without them, factors derived from its positions.
+ */
+export function rescoreResult(result: AnyRecord, weights: Partial<ConfidenceWeights>): ConfidenceScore {
+    const factors: RawFactor[] | undefined = result.confidenceFactors ?? result.confidence_factors;
+    return Array.isArray(factors) && factors.length > 0
+        ? weighConfidence(factors, weights)
+        : scoreConfidence(confidenceInputOf(result), weights);
+}
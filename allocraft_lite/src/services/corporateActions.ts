@@ -0,0 +1,336 @@
+/**
+ * Corporate Actions
+ *
+ * Splits, reverse splits and symbol changes rewrite the wheel history that
+ * spans them so lots, strikes and share counts stay in post-action terms.
+ * `planCorporateAction` is pure: it works out every field change for the
+ * cycles that were active on the effective date, plus the audit entry each
+ * cycle keeps in `detection_metadata.corporate_actions`.
+ *
+ * Adjustment rules, for a split factor f = ratio_to / ratio_from:
+ * - Share events and dividends: quantity x f, price / f.
+ * - Options on a whole-number forward split (2-for-1, 3-for-1): contracts x f,
+ *   strike and premium / f, as OCC adjusts them.
+ * - Options on any other ratio keep contracts, strike and premium and get a
+ *   non-standard deliverable: `deliverable_shares` = 100 x f per contract.
+ * - Lots: effective cost basis / f.
+ * - Symbol changes rename the cycle and its lots; nothing is rescaled.
+ *
+ * Only events dated before the effective date are touched, and a cycle that
+ * already carries the action's audit entry is skipped, so applying the same
+ * action twice changes nothing. The entry is first saved as pending, listing
+ * every event change, and marked applied once the events are saved; a cycle
+ * left pending by a failed run is finished from the stored after-values
+ * rather than planned again from events that may already be rescaled.
+ */
+
+import { CONTRACT_MULTIPLIER, groupEventsByCycle } from '../utils/wheelPnLEngine';
+
+export type CorporateActionType = 'SPLIT' | 'REVERSE_SPLIT' | 'SYMBOL_CHANGE';
+
+export interface CorporateAction {
+    type: CorporateActionType;
+    ticker: string;
+    /** SYMBOL_CHANGE only */
+    new_ticker?: string;
+    /** Old shares; a 2-for-1 split is 1 -> 2, a 1-for-10 reverse split 10 -> 1 */
+    ratio_from?: number;
+    /** New shares */
+    ratio_to?: number;
+    /** YYYY-MM-DD, first trading day on the new terms */
+    effective_date: string;
+    notes?: string;
+}
+
+export interface CorporateActionAdjustment {
+    entity: 'cycle' | 'event' | 'lot';
+    entity_id: number | string;
+    cycle_id: number | string;
+    field: string;
+    before: string | number | null;
+    after: string | number | null;
+}
+
+/** Audit trail entry stored on each adjusted cycle */
+export interface CorporateActionAuditEntry {
+    key: string;
+    action: CorporateAction;
+    applied_at: string;
+    adjustments: CorporateActionAdjustment[];
+    /** Pending until every event update is saved; entries without a status are applied */
+    status?: 'pending' | 'applied';
+}
+
+export interface CycleAdjustmentPlan {
+    cycle_id: number | string;
+    ticker: string;
+    /** Body for the PUT /wheels/wheel-cycles/{id} that records the pending entry; null when resuming */
+    pendingUpdate: Record<string, any> | null;
+    /** Body for PUT /wheels/wheel-cycles/{id} once the events are saved */
+    cycleUpdate: Record<string, any>;
+    /** Bodies for PUT /wheels/wheel-events/{id} */
+    eventUpdates: Array<{ id: number | string; changes: Record<string, number> }>;
+    audit: CorporateActionAuditEntry;
+}
+
+export interface CorporateActionPlan {
+    action: CorporateAction;
+    key: string;
+    cycles: CycleAdjustmentPlan[];
+    skipped: Array<{ cycle_id: number | string; ticker: string; reason: string }>;
+    adjustments: CorporateActionAdjustment[];
+}
+
+type AnyRecord = Record<string, any>;
+
+const SHARE_EVENTS = new Set(['BUY_SHARES', 'SELL_SHARES', 'DIVIDEND']);
+const NON_OPTION_EVENTS = new Set(['BUY_SHARES', 'SELL_SHARES', 'DIVIDEND', 'FEE']);
+
+const round = (value: number, places = 4): number => {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+};
+
+const day = (date: unknown): string => String(date ?? '').slice(0, 10);
+
+export const CORPORATE_ACTION_LABELS: Record<CorporateActionType, string> = {
+    SPLIT: 'Stock split',
+    REVERSE_SPLIT: 'Reverse split',
+    SYMBOL_CHANGE: 'Symbol change',
+};
+
+/** New shares per old share; 1 for symbol changes */
+export function splitFactor(action: CorporateAction): number {
+    if (action.type === 'SYMBOL_CHANGE') return 1;
+    return Number(action.ratio_to) / Number(action.ratio_from);
+}
+
+/** Identifies an action in the audit trail */
+export function corporateActionKey(action: CorporateAction): string {
+    const terms = action.type === 'SYMBOL_CHANGE'
+        ? String(action.new_ticker || '').toUpperCase()
+        : `${action.ratio_to}:${action.ratio_from}`;
+    return `${action.type}:${action.ticker.toUpperCase()}:${day(action.effective_date)}:${terms}`;
+}
+
+/** "2-for-1 split of TSLL on 2025-06-02", "HIMS renamed to HIMZ on …" */
+export function describeCorporateAction(action: CorporateAction): string {
+    const ticker = action.ticker.toUpperCase();
+    if (action.type === 'SYMBOL_CHANGE') {
+        return `${ticker} renamed to ${String(action.new_ticker || '').toUpperCase()} on ${day(action.effective_date)}`;
+    }
+    const kind = action.type === 'REVERSE_SPLIT' ? 'reverse split' : 'split';
+    return `${action.ratio_to}-for-${action.ratio_from} ${kind} of ${ticker} on ${day(action.effective_date)}`;
+}
+
+export function validateCorporateAction(action: CorporateAction): void {
+    if (!action.ticker?.trim()) {
+        throw new Error('Ticker is required');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day(action.effective_date))) {
+        throw new Error('Effective date must be a YYYY-MM-DD date');
+    }
+    if (action.type === 'SYMBOL_CHANGE') {
+        const next = action.new_ticker?.trim().toUpperCase();
+        if (!next || next === action.ticker.trim().toUpperCase()) {
+            throw new Error('Symbol change needs a new ticker different from the old one');
+        }
+        return;
+    }
+    const from = Number(action.ratio_from);
+    const to = Number(action.ratio_to);
+    if (!(from > 0) || !(to > 0)) {
+        throw new Error('Split ratio must be two positive numbers');
+    }
+    if (action.type === 'SPLIT' && to <= from) {
+        throw new Error('A forward split must give more shares than it takes (e.g. 2-for-1)');
+    }
+    if (action.type === 'REVERSE_SPLIT' && to >= from) {
+        throw new Error('A reverse split must give fewer shares than it takes (e.g. 1-for-10)');
+    }
+}
+
+/**
+ * Field changes for one event dated before a split with factor `factor`.
+ * Returns an empty object when nothing about the event is share-denominated.
+ */
+export function adjustEventForSplit(event: AnyRecord, factor: number): Record<string, number> {
+    if (factor === 1) return {};
+    const type = String(event.event_type || '').toUpperCase();
+    const changes: Record<string, number> = {};
+    const scale = (field: string, by: number, places = 4) => {
+        if (event[field] == null || event[field] === '') return;
+        const value = Number(event[field]);
+        if (Number.isFinite(value) && value !== 0) changes[field] = round(value * by, places);
+    };
+
+    if (SHARE_EVENTS.has(type)) {
+        scale('quantity_shares', factor);
+        scale('price', 1 / factor);
+    } else if (!NON_OPTION_EVENTS.has(type)) {
+        scale('quantity_shares', factor);
+        if (Number.isInteger(factor) && !event.deliverable_shares) {
+            scale('contracts', factor, 0);
+            scale('strike', 1 / factor);
+            scale('premium', 1 / factor);
+            scale('price', 1 / factor);
+        } else {
+            const deliverable = Number(event.deliverable_shares) || CONTRACT_MULTIPLIER;
+            changes.deliverable_shares = round(deliverable * factor);
+        }
+    }
+    return changes;
+}
+
+function skipReason(cycle: AnyRecord, events: AnyRecord[], action: CorporateAction, key: string): string | null {
+    if (corporateActionHistory(cycle).some((entry) => entry.key === key && entry.status !== 'pending')) return 'Already applied';
+
+    const effective = day(action.effective_date);
+    const dates = events.map((e) => day(e.trade_date)).filter(Boolean);
+    const started = day(cycle.started_at) || dates.sort()[0] || '';
+    if (!started || started >= effective) return 'Started on or after the effective date';
+    if (cycle.status === 'Closed' && !dates.some((date) => date >= effective)) return 'Closed before the effective date';
+    return null;
+}
+
+const withEntry = (cycle: AnyRecord, metadata: AnyRecord, entry: CorporateActionAuditEntry) => ({
+    ...metadata,
+    corporate_actions: [...corporateActionHistory(cycle).filter((e) => e.key !== entry.key), entry],
+});
+
+/**
+ * Finish a cycle whose pending entry was saved by an earlier, failed run.
+ * Event updates carry the recorded after-values, so saving them again is
+ * harmless for events that were already adjusted.
+ */
+function resumeCyclePlan(cycle: AnyRecord, ticker: string, pending: CorporateActionAuditEntry): CycleAdjustmentPlan {
+    const metadata = { ...(cycle.detection_metadata || {}) };
+    const eventChanges = new Map<number | string, Record<string, number>>();
+    let newTicker: string | null = null;
+
+    for (const adjustment of pending.adjustments) {
+        if (adjustment.entity === 'event') {
+            const changes = eventChanges.get(adjustment.entity_id) || {};
+            changes[adjustment.field] = Number(adjustment.after);
+            eventChanges.set(adjustment.entity_id, changes);
+        } else if (adjustment.entity === 'cycle' && adjustment.field === 'ticker') {
+            newTicker = String(adjustment.after);
+        } else if (adjustment.entity === 'cycle') {
+            metadata[adjustment.field.replace('detection_metadata.', '')] = adjustment.after;
+        }
+    }
+
+    const audit: CorporateActionAuditEntry = { ...pending, status: 'applied' };
+    return {
+        cycle_id: cycle.id,
+        ticker,
+        pendingUpdate: null,
+        cycleUpdate: {
+            ...(newTicker ? { ticker: newTicker } : {}),
+            detection_metadata: withEntry(cycle, metadata, audit),
+        },
+        eventUpdates: Array.from(eventChanges, ([id, changes]) => ({ id, changes })),
+        audit,
+    };
+}
+
+/**
+ * Work out every change a corporate action makes to the cycles of its
+ * ticker. `events` is the flat event list across cycles (with `cycle_id`);
+ * `lots` is optional and only feeds the audit trail, since the backend
+ * rebuilds lots from the adjusted events.
+ */
+export function planCorporateAction(
+    action: CorporateAction,
+    cycles: AnyRecord[],
+    events: AnyRecord[],
+    lots: AnyRecord[] = [],
+    appliedAt: string = new Date().toISOString(),
+): CorporateActionPlan {
+    validateCorporateAction(action);
+    const key = corporateActionKey(action);
+    const ticker = action.ticker.trim().toUpperCase();
+    const newTicker = action.type === 'SYMBOL_CHANGE' ? action.new_ticker!.trim().toUpperCase() : null;
+    const factor = splitFactor(action);
+    const effective = day(action.effective_date);
+    const eventsByCycle = groupEventsByCycle(events as any[]) as Record<string, AnyRecord[]>;
+
+    const plan: CorporateActionPlan = { action, key, cycles: [], skipped: [], adjustments: [] };
+
+    for (const cycle of cycles) {
+        if (String(cycle.ticker || '').toUpperCase() !== ticker) continue;
+        const pending = corporateActionHistory(cycle).find((entry) => entry.key === key && entry.status === 'pending');
+        if (pending) {
+            plan.cycles.push(resumeCyclePlan(cycle, ticker, pending));
+            plan.adjustments.push(...pending.adjustments);
+            continue;
+        }
+
+        const cycleEvents = eventsByCycle[String(cycle.id)] || [];
+        const reason = skipReason(cycle, cycleEvents, action, key);
+        if (reason) {
+            plan.skipped.push({ cycle_id: cycle.id, ticker, reason });
+            continue;
+        }
+
+        const adjustments: CorporateActionAdjustment[] = [];
+        const record = (entity: CorporateActionAdjustment['entity'], entityId: number | string, field: string, before: any, after: any) =>
+            adjustments.push({ entity, entity_id: entityId, cycle_id: cycle.id, field, before: before ?? null, after });
+
+        const eventUpdates = cycleEvents
+            .filter((event) => day(event.trade_date) < effective)
+            .map((event) => ({ id: event.id, changes: adjustEventForSplit(event, factor) }))
+            .filter((update) => Object.keys(update.changes).length > 0);
+        for (const update of eventUpdates) {
+            const event = cycleEvents.find((e) => e.id === update.id)!;
+            Object.entries(update.changes).forEach(([field, after]) => record('event', update.id, field, event[field], after));
+        }
+
+        const metadata = { ...(cycle.detection_metadata || {}) };
+        if (newTicker) {
+            record('cycle', cycle.id, 'ticker', cycle.ticker, newTicker);
+        } else if (Number.isInteger(factor)) {
+            // Summary fields the wheel cards read straight from the metadata
+            const rescale = (field: string, by: number, places = 4) => {
+                const value = Number(metadata[field]);
+                if (!metadata[field] || !Number.isFinite(value)) return;
+                metadata[field] = round(value * by, places);
+                record('cycle', cycle.id, `detection_metadata.${field}`, value, metadata[field]);
+            };
+            rescale('strike_price', 1 / factor);
+            rescale('premium', 1 / factor);
+            rescale('contract_count', factor, 0);
+        }
+
+        for (const lot of lots.filter((l) => String(l.cycle_id) === String(cycle.id))) {
+            if (newTicker) record('lot', lot.id, 'ticker', lot.ticker, newTicker);
+            const basis = Number(lot.cost_basis_effective);
+            if (factor !== 1 && lot.cost_basis_effective != null && Number.isFinite(basis)) {
+                record('lot', lot.id, 'cost_basis_effective', basis, round(basis / factor));
+            }
+        }
+
+        const audit: CorporateActionAuditEntry = { key, action, applied_at: appliedAt, adjustments, status: 'applied' };
+        plan.cycles.push({
+            cycle_id: cycle.id,
+            ticker,
+            pendingUpdate: {
+                detection_metadata: withEntry(cycle, cycle.detection_metadata || {}, { ...audit, status: 'pending' }),
+            },
+            cycleUpdate: {
+                ...(newTicker ? { ticker: newTicker } : {}),
+                detection_metadata: withEntry(cycle, metadata, audit),
+            },
+            eventUpdates,
+            audit,
+        });
+        plan.adjustments.push(...adjustments);
+    }
+
+    return plan;
+}
+
+/** Audit entries recorded on a cycle, oldest first */
+export function corporateActionHistory(cycle: AnyRecord): CorporateActionAuditEntry[] {
+    return cycle?.detection_metadata?.corporate_actions || [];
+}
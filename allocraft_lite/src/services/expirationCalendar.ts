@@ -0,0 +1,140 @@
+/**
+ * Expiration Calendar
+ *
+ * Normalizes open option positions into calendar entries keyed by expiration
+ * date and builds the month and week grids the calendar page renders.
+ *
+ * - Premium at risk is the option premium on the position: the credit a short
+ *   gives back if it has to be bought back at a loss, or the debit a long
+ *   loses if it expires worthless (average price x contracts x 100).
+ * - Collateral is the cash securing a short put (strike x 100) or the value
+ *   of the shares covering a short call (underlying price, else strike, x 100).
+ *   Long options need none.
+ *
+ * Dates are ISO `YYYY-MM-DD` strings handled in UTC so grids never shift with
+ * the browser time zone.
+ */
+
+import { CONTRACT_MULTIPLIER } from '../utils/wheelPnLEngine';
+import { optionFieldsOf } from '../utils/occSymbol';
+
+export type CalendarCategory = 'short_put' | 'short_call' | 'long_option';
+
+export interface CalendarPosition {
+    key: string;
+    ticker: string;
+    optionType: 'PUT' | 'CALL';
+    category: CalendarCategory;
+    contracts: number;
+    strike: number;
+    expiration: string;
+    premium: number;
+    premiumAtRisk: number;
+    collateral: number;
+    accountId?: number | string;
+}
+
+export interface DaySummary {
+    count: number;
+    contracts: number;
+    premiumAtRisk: number;
+    collateral: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toIsoDate = (value: Date | string): string =>
+    (typeof value === 'string' ? value : value.toISOString()).slice(0, 10);
+
+const parseDay = (iso: string) => Date.parse(`${iso}T00:00:00Z`);
+const isoFromMs = (ms: number) => new Date(ms).toISOString().slice(0, 10);
+
+export const addDays = (iso: string, days: number) => isoFromMs(parseDay(iso) + days * DAY_MS);
+
+export function addMonths(iso: string, months: number): string {
+    const date = new Date(parseDay(iso));
+    return isoFromMs(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+/**
+ * Open option positions as calendar entries. Positions without an expiration
+ * or a non-zero quantity are skipped.
+ */
+export function toCalendarPositions(optionPositions: any[] = [], prices: Record<string, number> = {}): CalendarPosition[] {
+    const entries: CalendarPosition[] = [];
+    optionPositions.forEach((position, index) => {
+        const option = optionFieldsOf(position);
+        const expiration = option.expiration;
+        const quantity = position.contracts != null
+            ? Number(position.contracts)
+            : (Number(position.long_quantity) || 0) - (Number(position.short_quantity) || 0);
+        if (!expiration || !quantity) return;
+
+        const ticker = option.underlying || position.ticker || position.symbol;
+        const optionType = option.optionType ?? 'CALL';
+        const strike = option.strike ?? 0;
+        const contracts = Math.abs(quantity);
+        const size = contracts * CONTRACT_MULTIPLIER;
+        const category: CalendarCategory = quantity > 0 ? 'long_option' : optionType === 'PUT' ? 'short_put' : 'short_call';
+        const premium = Number(position.average_price ?? position.cost_basis) || 0;
+
+        let collateral = 0;
+        if (category === 'short_put') collateral = strike * size;
+        if (category === 'short_call') collateral = (prices[ticker] ?? strike) * size;
+
+        entries.push({
+            key: String(position.id ?? `${ticker}-${optionType}-${strike}-${expiration}-${index}`),
+            ticker,
+            optionType,
+            category,
+            contracts,
+            strike,
+            expiration: toIsoDate(expiration),
+            premium,
+            premiumAtRisk: premium * size,
+            collateral,
+            accountId: position.account_id,
+        });
+    });
+    return entries;
+}
+
+export function groupByExpiration(positions: CalendarPosition[]): Record<string, CalendarPosition[]> {
+    const grouped: Record<string, CalendarPosition[]> = {};
+    for (const position of positions) {
+        (grouped[position.expiration] ||= []).push(position);
+    }
+    for (const day of Object.values(grouped)) {
+        day.sort((a, b) => a.ticker.localeCompare(b.ticker) || a.strike - b.strike);
+    }
+    return grouped;
+}
+
+export function summarizeDay(positions: CalendarPosition[] = []): DaySummary {
+    return positions.reduce<DaySummary>((sum, p) => ({
+        count: sum.count + 1,
+        contracts: sum.contracts + p.contracts,
+        premiumAtRisk: sum.premiumAtRisk + p.premiumAtRisk,
+        collateral: sum.collateral + p.collateral,
+    }), { count: 0, contracts: 0, premiumAtRisk: 0, collateral: 0 });
+}
+
+/** Sunday-to-Saturday week containing `iso`. */
+export function buildWeek(iso: string): string[] {
+    const start = addDays(iso, -new Date(parseDay(iso)).getUTCDay());
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Whole weeks covering the month containing `iso`, padded with the
+ * neighbouring months' days.
+ */
+export function buildMonthGrid(iso: string): string[][] {
+    const first = `${iso.slice(0, 7)}-01`;
+    const last = addDays(addMonths(first, 1), -1);
+    const weeks: string[][] = [];
+    for (let day = buildWeek(first)[0]; day <= last; day = addDays(day, 7)) {
+        weeks.push(buildWeek(day));
+    }
+    return weeks;
+}
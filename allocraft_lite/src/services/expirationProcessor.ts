@@ -0,0 +1,191 @@
+/**
+ * Expiration Processor
+ *
+ * Finds short puts and calls that are still open in the wheel event history
+ * after their expiration date and proposes the event that settles each one:
+ * - EXPIRED         the option finished out of the money
+ * - PUT_ASSIGNMENT  a put finished in the money (underlying below strike)
+ * - CALLED_AWAY     a call finished in the money (underlying above strike)
+ *
+ * The decision uses the last known underlying price. Proposals are pure data;
+ * nothing is persisted until the user confirms them in the review screen.
+ */
+
+import { replayWheelEvents, groupEventsByCycle, CONTRACT_MULTIPLIER, type OptionLeg } from '../utils/wheelPnLEngine';
+
+export type ExpirationOutcome = 'EXPIRED' | 'PUT_ASSIGNMENT' | 'CALLED_AWAY';
+
+export interface ExpirationEventDraft {
+    cycle_id: number;
+    event_type: ExpirationOutcome;
+    trade_date: string;
+    contracts: number;
+    quantity_shares?: number;
+    strike?: number;
+    price?: number;
+    premium?: number;
+    link_event_id?: number;
+    deliverable_shares?: number;
+    notes?: string;
+}
+
+export interface ExpirationProposal {
+    key: string;
+    cycleId: number;
+    ticker: string;
+    optionType: 'PUT' | 'CALL';
+    strike: number | null;
+    contracts: number;
+    /** Shares per contract; 100 unless adjusted by a corporate action */
+    deliverableShares: number;
+    expiry: string;
+    openEventId?: number;
+    underlyingPrice: number | null;
+    outcome: ExpirationOutcome;
+    event: ExpirationEventDraft;
+}
+
+export interface ExpirationInputs {
+    cycles: any[];
+    events: any[];
+    optionPositions?: any[];
+    prices?: Record<string, number>;
+    asOf?: Date | string;
+}
+
+const EXPIRY_NOTE = /\bExp\s+(\d{4}-\d{2}-\d{2})/i;
+
+const isoDate = (value: Date | string): string =>
+    (typeof value === 'string' ? value : value.toISOString()).slice(0, 10);
+
+/**
+ * Last known underlying price per ticker, taken from stock positions and
+ * falling back to any price carried on option positions.
+ */
+export function buildUnderlyingPrices(stockPositions: any[] = [], optionPositions: any[] = []): Record<string, number> {
+    const prices: Record<string, number> = {};
+    for (const position of optionPositions) {
+        const ticker = position.underlying_symbol || position.ticker;
+        const price = Number(position.underlying_price);
+        if (ticker && Number.isFinite(price) && price > 0) prices[ticker] = price;
+    }
+    for (const position of stockPositions) {
+        const ticker = position.symbol || position.ticker;
+        const price = Number(position.current_price);
+        if (ticker && Number.isFinite(price) && price > 0) prices[ticker] = price;
+    }
+    return prices;
+}
+
+/**
+ * Expiration date of an open leg, from (in order) the opening event's own
+ * expiration field, an "Exp YYYY-MM-DD" note, a matching option position, or
+ * the cycle's detection metadata when its strike matches.
+ */
+export function resolveLegExpiry(leg: OptionLeg, openEvent: any, cycle: any, optionPositions: any[] = []): string | null {
+    const own = openEvent?.expiration_date || openEvent?.expiry_date || openEvent?.expiration;
+    if (own) return isoDate(own);
+
+    const note = EXPIRY_NOTE.exec(openEvent?.notes || '');
+    if (note) return note[1];
+
+    const position = optionPositions.find((p) =>
+        (p.underlying_symbol || p.ticker) === cycle?.ticker &&
+        String(p.option_type || '').toUpperCase() === leg.optionType &&
+        Number(p.strike_price) === leg.strike &&
+        p.expiration_date);
+    if (position) return isoDate(position.expiration_date);
+
+    const metadata = cycle?.detection_metadata || {};
+    if (metadata.expiration_date && (metadata.strike_price == null || Number(metadata.strike_price) === leg.strike)) {
+        return isoDate(metadata.expiration_date);
+    }
+    return null;
+}
+
+/**
+ * Settle an expired short option against the underlying's last price.
+ * Without a price the option is assumed to have expired worthless.
+ */
+export function decideExpirationOutcome(optionType: 'PUT' | 'CALL', strike: number | null, underlyingPrice: number | null): ExpirationOutcome {
+    if (strike == null || underlyingPrice == null) return 'EXPIRED';
+    if (optionType === 'PUT') return underlyingPrice < strike ? 'PUT_ASSIGNMENT' : 'EXPIRED';
+    return underlyingPrice > strike ? 'CALLED_AWAY' : 'EXPIRED';
+}
+
+export function buildExpirationEvent(proposal: Omit<ExpirationProposal, 'event' | 'outcome' | 'key'>, outcome: ExpirationOutcome): ExpirationEventDraft {
+    const base = {
+        cycle_id: proposal.cycleId,
+        event_type: outcome,
+        trade_date: proposal.expiry,
+        contracts: proposal.contracts,
+        strike: proposal.strike ?? undefined,
+        link_event_id: proposal.openEventId,
+    };
+    const adjusted = proposal.deliverableShares !== CONTRACT_MULTIPLIER;
+    const priceNote = proposal.underlyingPrice != null ? ` (underlying $${proposal.underlyingPrice.toFixed(2)})` : '';
+
+    if (outcome === 'EXPIRED') {
+        return { ...base, premium: 0, notes: `${proposal.optionType} expired worthless${priceNote}` };
+    }
+    return {
+        ...base,
+        quantity_shares: proposal.contracts * proposal.deliverableShares,
+        price: proposal.strike != null ? proposal.strike * CONTRACT_MULTIPLIER / proposal.deliverableShares : undefined,
+        ...(adjusted ? { deliverable_shares: proposal.deliverableShares } : {}),
+        notes: `${outcome === 'PUT_ASSIGNMENT' ? 'Put assigned' : 'Called away'} at expiration${priceNote}`,
+    };
+}
+
+/**
+ * Change the outcome of a proposal, rebuilding its event.
+ */
+export function withOutcome(proposal: ExpirationProposal, outcome: ExpirationOutcome): ExpirationProposal {
+    return { ...proposal, outcome, event: buildExpirationEvent(proposal, outcome) };
+}
+
+/**
+ * Propose settlement events for every open short option whose expiration
+ * date is before `asOf` (options expire at the close of their expiry day).
+ */
+export function findExpiredLegs({ cycles, events, optionPositions = [], prices = {}, asOf = new Date() }: ExpirationInputs): ExpirationProposal[] {
+    const today = isoDate(asOf);
+    const eventsByCycle = groupEventsByCycle(events || []);
+    const proposals: ExpirationProposal[] = [];
+
+    for (const cycle of cycles || []) {
+        const cycleEvents = eventsByCycle[String(cycle.id)] || [];
+        if (cycleEvents.length === 0) continue;
+
+        const { openLegs } = replayWheelEvents(cycleEvents);
+        for (const leg of openLegs) {
+            const openEvent = cycleEvents.find((e: any) => String(e.id) === String(leg.openEventId));
+            const expiry = resolveLegExpiry(leg, openEvent, cycle, optionPositions);
+            if (!expiry || expiry >= today) continue;
+
+            const underlyingPrice = prices[cycle.ticker] ?? null;
+            const details = {
+                cycleId: Number(cycle.id),
+                ticker: cycle.ticker,
+                optionType: leg.optionType,
+                strike: leg.strike,
+                contracts: leg.contracts,
+                deliverableShares: leg.deliverableShares,
+                expiry,
+                openEventId: leg.openEventId != null ? Number(leg.openEventId) : undefined,
+                underlyingPrice,
+            };
+            // Adjusted contracts settle against the strike per delivered share
+            const effectiveStrike = leg.strike != null ? leg.strike * CONTRACT_MULTIPLIER / leg.deliverableShares : null;
+            const outcome = decideExpirationOutcome(leg.optionType, effectiveStrike, underlyingPrice);
+            proposals.push({
+                key: `${cycle.id}-${leg.openEventId ?? `${leg.optionType}-${leg.strike}-${expiry}`}`,
+                ...details,
+                outcome,
+                event: buildExpirationEvent(details, outcome),
+            });
+        }
+    }
+
+    return proposals.sort((a, b) => a.expiry.localeCompare(b.expiry) || a.ticker.localeCompare(b.ticker));
+}
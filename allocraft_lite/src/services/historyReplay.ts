@@ -0,0 +1,488 @@
+/**
+ * Transaction History Replay
+ *
+ * Rebuilds wheel cycles from imported broker transactions instead of the
+ * current-snapshot guesswork in WheelDetectionService. Trades are walked in
+ * chronological order per account and underlying:
+ *
+ * - Short option opens are paired FIFO, by contract symbol, with their
+ *   buy-to-close, expiration or assignment. A partial close splits the
+ *   opening event so every wheel event closes exactly one open event.
+ * - Stock delivered by an assignment is folded into the assignment event
+ *   rather than recorded as a separate purchase.
+ * - A cycle starts with the first short option or share purchase and ends
+ *   when shares are called away or sold with nothing left open, or when the
+ *   position stays flat for longer than `idleDays`.
+ *
+ * Lots are tracked per 100 shares (or per short put contract while cash is
+ * reserved) the same way the lot timeline presents them. Puts that close or
+ * expire without assignment leave no lot behind; their events stay on the
+ * cycle timeline. Long options, dividends and cash movements are not part of
+ * a wheel and are counted as ignored.
+ */
+
+import { CycleStatus, LotAcquisitionMethod, LotStatus, WheelEventType } from '../types/api';
+import { calculateCyclePnL, CONTRACT_MULTIPLIER, type CyclePnL } from '../utils/wheelPnLEngine';
+import type { TransactionAction, UnifiedTransactionRecord } from './importers';
+
+export interface ReplayEvent {
+    key: string;
+    event_type: WheelEventType;
+    trade_date: string;
+    contracts?: number;
+    quantity_shares?: number;
+    strike?: number;
+    premium?: number;
+    price?: number;
+    fees: number;
+    expiration_date?: string;
+    /** Key of the opening event this event closes */
+    link_key?: string;
+    notes?: string;
+}
+
+export interface ReconstructedLot {
+    key: string;
+    lotNo: number;
+    acquisition_method: LotAcquisitionMethod;
+    acquisition_date: string;
+    status: LotStatus;
+    shares: number;
+    /** Per share: the put strike or purchase price */
+    cost_basis: number;
+    put_event_key?: string;
+    call_event_key?: string;
+    event_keys: string[];
+}
+
+export interface ReconstructedCycle {
+    key: string;
+    cycle_key: string;
+    ticker: string;
+    account_number: string;
+    strategy_type: 'full_wheel' | 'cash_secured_put' | 'covered_call';
+    started_at: string;
+    ended_at: string | null;
+    status: CycleStatus;
+    events: ReplayEvent[];
+    lots: ReconstructedLot[];
+    pnl: CyclePnL;
+}
+
+export interface UnmatchedTransaction {
+    transaction: UnifiedTransactionRecord;
+    reason: string;
+}
+
+export interface ReplayResult {
+    cycles: ReconstructedCycle[];
+    /** Closing trades with nothing open to close, e.g. history that starts mid-position */
+    unmatched: UnmatchedTransaction[];
+    ignored: number;
+}
+
+export interface ReplayOptions {
+    /** Days a position may sit flat before the next trade starts a new cycle */
+    idleDays?: number;
+    /** Date used to decide whether a flat position at the end of history is still open */
+    asOf?: Date | string;
+}
+
+export const DEFAULT_IDLE_DAYS = 30;
+
+/** Days within which stock delivered by an assignment is expected to post */
+const DELIVERY_WINDOW_DAYS = 3;
+
+interface OpenLeg {
+    eventKey: string;
+    symbol: string;
+    optionType: 'PUT' | 'CALL';
+    strike: number;
+    contracts: number;
+}
+
+interface PendingDelivery {
+    date: string;
+    side: 'BUY' | 'SELL';
+    shares: number;
+    eventKey: string;
+}
+
+interface CycleDraft {
+    cycle: Omit<ReconstructedCycle, 'pnl' | 'cycle_key' | 'strategy_type'>;
+    shares: number;
+    legs: OpenLeg[];
+    flatSince: string | null;
+    deliveries: PendingDelivery[];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysBetween = (from: string, to: string) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+const round = (value: number, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/** Same-day ordering: settlements, then closes and exits, then opens */
+const PRIORITY: Partial<Record<TransactionAction, number>> = {
+    ASSIGNMENT: 0,
+    EXERCISE: 0,
+    EXPIRATION: 0,
+    BUY_TO_CLOSE: 1,
+    SELL: 1,
+    SELL_TO_OPEN: 2,
+    BUY: 2,
+};
+
+export function sortTransactions(transactions: UnifiedTransactionRecord[]): UnifiedTransactionRecord[] {
+    return transactions
+        .map((txn, index) => ({ txn, index }))
+        .sort((a, b) =>
+            a.txn.date.localeCompare(b.txn.date)
+            || (PRIORITY[a.txn.action] ?? 3) - (PRIORITY[b.txn.action] ?? 3)
+            || a.index - b.index)
+        .map(({ txn }) => txn);
+}
+
+const underlyingOf = (txn: UnifiedTransactionRecord) =>
+    (txn.asset_type === 'OPTION' ? txn.underlying_symbol : txn.symbol || txn.underlying_symbol) || '';
+
+function strategyOf(events: ReplayEvent[]): ReconstructedCycle['strategy_type'] {
+    const types = new Set(events.map((e) => e.event_type));
+    const puts = types.has(WheelEventType.SELL_PUT_OPEN);
+    const stock = types.has(WheelEventType.BUY_SHARES) || types.has(WheelEventType.SELL_CALL_OPEN);
+    if (puts && (stock || types.has(WheelEventType.PUT_ASSIGNMENT))) return 'full_wheel';
+    return puts ? 'cash_secured_put' : 'covered_call';
+}
+
+/**
+ * Replay a transaction history into wheel cycles with event timelines and
+ * lots. Transactions may come from any importer, in any order.
+ */
+export function reconstructWheelCycles(transactions: UnifiedTransactionRecord[], options: ReplayOptions = {}): ReplayResult {
+    const idleDays = options.idleDays ?? DEFAULT_IDLE_DAYS;
+    const asOf = (options.asOf ? new Date(options.asOf) : new Date()).toISOString().slice(0, 10);
+
+    const finished: CycleDraft[] = [];
+    const active = new Map<string, CycleDraft>();
+    const unmatched: UnmatchedTransaction[] = [];
+    let ignored = 0;
+    let eventSeq = 0;
+    let cycleSeq = 0;
+    let lotSeq = 0;
+
+    const nextEventKey = () => `e${++eventSeq}`;
+
+    const closeCycle = (group: string, draft: CycleDraft, date: string) => {
+        draft.cycle.ended_at = date;
+        draft.cycle.status = CycleStatus.CLOSED;
+        finished.push(draft);
+        active.delete(group);
+    };
+
+    const cycleFor = (group: string, txn: UnifiedTransactionRecord): CycleDraft => {
+        const current = active.get(group);
+        if (current?.flatSince && daysBetween(current.flatSince, txn.date) > idleDays) {
+            closeCycle(group, current, current.flatSince);
+        } else if (current) {
+            return current;
+        }
+        const draft: CycleDraft = {
+            cycle: {
+                key: `c${++cycleSeq}`,
+                ticker: underlyingOf(txn),
+                account_number: txn.account_number,
+                started_at: txn.date,
+                ended_at: null,
+                status: CycleStatus.OPEN,
+                events: [],
+                lots: [],
+            },
+            shares: 0,
+            legs: [],
+            flatSince: null,
+            deliveries: [],
+        };
+        active.set(group, draft);
+        return draft;
+    };
+
+    const addEvent = (draft: CycleDraft, event: Omit<ReplayEvent, 'key'>): ReplayEvent => {
+        const created = { key: nextEventKey(), ...event, fees: round(event.fees, 2) };
+        draft.cycle.events.push(created);
+        return created;
+    };
+
+    const addLot = (draft: CycleDraft, lot: Omit<ReconstructedLot, 'key' | 'lotNo'>) => {
+        draft.cycle.lots.push({ key: `lot${++lotSeq}`, lotNo: draft.cycle.lots.length + 1, ...lot });
+    };
+
+    /**
+     * Split `take` contracts off an open leg's event: the original event keeps
+     * `take` contracts and the remainder becomes a new open event right after it.
+     */
+    const splitOpen = (draft: CycleDraft, leg: OpenLeg, take: number) => {
+        const events = draft.cycle.events;
+        const index = events.findIndex((e) => e.key === leg.eventKey);
+        const original = events[index];
+        const remainder: ReplayEvent = {
+            ...original,
+            key: nextEventKey(),
+            contracts: leg.contracts - take,
+            fees: round((original.fees * (leg.contracts - take)) / leg.contracts, 2),
+        };
+        original.contracts = take;
+        original.fees = round(original.fees - remainder.fees, 2);
+        events.splice(index + 1, 0, remainder);
+
+        // Lots opened or covered by the remainder follow it to the new event
+        const field = leg.optionType === 'PUT' ? 'put_event_key' : 'call_event_key';
+        draft.cycle.lots
+            .filter((lot) => lot[field] === original.key)
+            .slice(take)
+            .forEach((lot) => {
+                lot[field] = remainder.key;
+                lot.event_keys = lot.event_keys.map((k) => (k === original.key ? remainder.key : k));
+            });
+        leg.eventKey = remainder.key;
+        leg.contracts -= take;
+        return original;
+    };
+
+    const settleLots = (draft: CycleDraft, event: ReplayEvent, optionType: 'PUT' | 'CALL', openKey: string, count: number) => {
+        const lots = draft.cycle.lots;
+        if (optionType === 'PUT') {
+            const reserved = lots.filter((lot) => lot.put_event_key === openKey && lot.status === LotStatus.CASH_RESERVED).slice(0, count);
+            for (const lot of reserved) {
+                if (event.event_type === WheelEventType.PUT_ASSIGNMENT) {
+                    lot.acquisition_method = LotAcquisitionMethod.PUT_ASSIGNMENT;
+                    lot.acquisition_date = event.trade_date;
+                    lot.status = LotStatus.OPEN_UNCOVERED;
+                    lot.shares = CONTRACT_MULTIPLIER;
+                    lot.event_keys.push(event.key);
+                } else {
+                    lots.splice(lots.indexOf(lot), 1);
+                }
+            }
+            lots.forEach((lot, i) => {
+                lot.lotNo = i + 1;
+            });
+            return;
+        }
+        const covered = lots.filter((lot) => lot.call_event_key === openKey && lot.status === LotStatus.OPEN_COVERED).slice(0, count);
+        for (const lot of covered) {
+            lot.status = event.event_type === WheelEventType.CALLED_AWAY ? LotStatus.CLOSED_CALLED_AWAY : LotStatus.OPEN_UNCOVERED;
+            if (lot.status === LotStatus.OPEN_UNCOVERED) delete lot.call_event_key;
+            lot.event_keys.push(event.key);
+        }
+    };
+
+    /** Close `quantity` contracts of `symbol` FIFO across its open legs */
+    const closeLegs = (draft: CycleDraft, txn: UnifiedTransactionRecord, eventType: (leg: OpenLeg) => WheelEventType): boolean => {
+        let remaining = txn.quantity;
+        const legs = draft.legs.filter((leg) => leg.symbol === txn.symbol);
+        if (legs.length === 0 || remaining <= 0) return false;
+
+        for (const leg of legs) {
+            if (remaining <= 0) break;
+            const take = Math.min(leg.contracts, remaining);
+            const open = take < leg.contracts
+                ? splitOpen(draft, leg, take)
+                : draft.cycle.events.find((e) => e.key === leg.eventKey)!;
+            if (take === leg.contracts) draft.legs.splice(draft.legs.indexOf(leg), 1);
+
+            const type = eventType(leg);
+            const shares = take * CONTRACT_MULTIPLIER;
+            const settlesShares = type === WheelEventType.PUT_ASSIGNMENT || type === WheelEventType.CALLED_AWAY;
+            const event = addEvent(draft, {
+                event_type: type,
+                trade_date: txn.date,
+                contracts: take,
+                ...(settlesShares ? { quantity_shares: shares, strike: leg.strike, price: leg.strike } : {}),
+                ...(type === WheelEventType.BUY_PUT_CLOSE || type === WheelEventType.SELL_CALL_CLOSE ? { premium: txn.price ?? 0 } : {}),
+                fees: (txn.fees * take) / txn.quantity,
+                link_key: open.key,
+                notes: txn.description || undefined,
+            });
+            settleLots(draft, event, leg.optionType, open.key, take);
+
+            if (settlesShares) {
+                draft.shares += type === WheelEventType.PUT_ASSIGNMENT ? shares : -shares;
+                draft.deliveries.push({ date: txn.date, side: type === WheelEventType.PUT_ASSIGNMENT ? 'BUY' : 'SELL', shares, eventKey: event.key });
+            }
+            remaining -= take;
+        }
+        if (remaining > 0) unmatched.push({ transaction: txn, reason: `${remaining} contract(s) closed with no open position` });
+        return true;
+    };
+
+    /** Stock leg of an assignment already recorded on the assignment event */
+    const takeDelivery = (draft: CycleDraft | undefined, txn: UnifiedTransactionRecord, side: 'BUY' | 'SELL'): boolean => {
+        if (!draft) return false;
+        const index = draft.deliveries.findIndex((d) =>
+            d.side === side && d.shares === txn.quantity && daysBetween(d.date, txn.date) <= DELIVERY_WINDOW_DAYS);
+        if (index === -1) return false;
+        const [delivery] = draft.deliveries.splice(index, 1);
+        const event = draft.cycle.events.find((e) => e.key === delivery.eventKey);
+        if (event) event.fees = round(event.fees + txn.fees, 2);
+        return true;
+    };
+
+    const sellShares = (draft: CycleDraft, txn: UnifiedTransactionRecord) => {
+        const quantity = Math.min(txn.quantity, draft.shares);
+        const event = addEvent(draft, {
+            event_type: WheelEventType.SELL_SHARES,
+            trade_date: txn.date,
+            quantity_shares: quantity,
+            price: txn.price ?? 0,
+            fees: txn.fees,
+            notes: txn.description || undefined,
+        });
+        draft.shares -= quantity;
+
+        let left = quantity;
+        const open = draft.cycle.lots.filter((lot) => lot.status === LotStatus.OPEN_UNCOVERED)
+            .concat(draft.cycle.lots.filter((lot) => lot.status === LotStatus.OPEN_COVERED));
+        for (const lot of open) {
+            if (left <= 0) break;
+            const sold = Math.min(lot.shares, left);
+            left -= sold;
+            lot.event_keys.push(event.key);
+            if (sold === lot.shares) lot.status = LotStatus.CLOSED_SOLD;
+            else lot.shares -= sold;
+        }
+        if (quantity < txn.quantity) {
+            unmatched.push({ transaction: txn, reason: `${txn.quantity - quantity} share(s) sold with no shares held` });
+        }
+    };
+
+    for (const txn of sortTransactions(transactions)) {
+        const ticker = underlyingOf(txn);
+        if (!ticker || !txn.quantity) {
+            ignored += 1;
+            continue;
+        }
+        const group = `${txn.account_number}|${ticker}`;
+        const isOption = txn.asset_type === 'OPTION';
+        let draft = active.get(group);
+        let exit = false;
+
+        if (isOption && txn.action === 'SELL_TO_OPEN') {
+            draft = cycleFor(group, txn);
+            const optionType = txn.option_type === 'CALL' ? 'CALL' : 'PUT';
+            const strike = txn.strike_price ?? 0;
+            const event = addEvent(draft, {
+                event_type: optionType === 'PUT' ? WheelEventType.SELL_PUT_OPEN : WheelEventType.SELL_CALL_OPEN,
+                trade_date: txn.date,
+                contracts: txn.quantity,
+                strike,
+                premium: txn.price ?? 0,
+                fees: txn.fees,
+                expiration_date: txn.expiration_date ?? undefined,
+                notes: txn.description || undefined,
+            });
+            draft.legs.push({ eventKey: event.key, symbol: txn.symbol, optionType, strike, contracts: txn.quantity });
+
+            if (optionType === 'PUT') {
+                for (let i = 0; i < txn.quantity; i++) {
+                    addLot(draft, {
+                        acquisition_method: LotAcquisitionMethod.CASH_SECURED_PUT,
+                        acquisition_date: txn.date,
+                        status: LotStatus.CASH_RESERVED,
+                        shares: 0,
+                        cost_basis: strike,
+                        put_event_key: event.key,
+                        event_keys: [event.key],
+                    });
+                }
+            } else {
+                const uncovered = draft.cycle.lots
+                    .filter((lot) => lot.status === LotStatus.OPEN_UNCOVERED && lot.shares >= CONTRACT_MULTIPLIER)
+                    .slice(0, txn.quantity);
+                for (const lot of uncovered) {
+                    lot.status = LotStatus.OPEN_COVERED;
+                    lot.call_event_key = event.key;
+                    lot.event_keys.push(event.key);
+                }
+            }
+        } else if (isOption && ['BUY_TO_CLOSE', 'EXPIRATION', 'ASSIGNMENT', 'EXERCISE'].includes(txn.action)) {
+            const closeType = (leg: OpenLeg): WheelEventType => {
+                if (txn.action === 'BUY_TO_CLOSE') return leg.optionType === 'PUT' ? WheelEventType.BUY_PUT_CLOSE : WheelEventType.SELL_CALL_CLOSE;
+                if (txn.action === 'EXPIRATION') return WheelEventType.EXPIRED;
+                return leg.optionType === 'PUT' ? WheelEventType.PUT_ASSIGNMENT : WheelEventType.CALLED_AWAY;
+            };
+            if (!draft || !closeLegs(draft, txn, closeType)) {
+                // Buy-to-close must have had an open; settlements without one belong to long options
+                if (txn.action === 'BUY_TO_CLOSE') unmatched.push({ transaction: txn, reason: 'No open short option to close' });
+                else ignored += 1;
+                continue;
+            }
+            exit = txn.action === 'ASSIGNMENT' || txn.action === 'EXERCISE';
+        } else if (!isOption && txn.action === 'BUY') {
+            if (takeDelivery(draft, txn, 'BUY')) continue;
+            draft = cycleFor(group, txn);
+            const event = addEvent(draft, {
+                event_type: WheelEventType.BUY_SHARES,
+                trade_date: txn.date,
+                quantity_shares: txn.quantity,
+                price: txn.price ?? 0,
+                fees: txn.fees,
+                notes: txn.description || undefined,
+            });
+            draft.shares += txn.quantity;
+            for (let left = txn.quantity; left > 0; left -= CONTRACT_MULTIPLIER) {
+                addLot(draft, {
+                    acquisition_method: LotAcquisitionMethod.OUTRIGHT_PURCHASE,
+                    acquisition_date: txn.date,
+                    status: LotStatus.OPEN_UNCOVERED,
+                    shares: Math.min(left, CONTRACT_MULTIPLIER),
+                    cost_basis: txn.price ?? 0,
+                    event_keys: [event.key],
+                });
+            }
+        } else if (!isOption && txn.action === 'SELL') {
+            if (takeDelivery(draft, txn, 'SELL')) continue;
+            if (!draft || draft.shares <= 0) {
+                unmatched.push({ transaction: txn, reason: 'Shares sold with no shares held' });
+                continue;
+            }
+            sellShares(draft, txn);
+            exit = true;
+        } else if (!isOption && ['ASSIGNMENT', 'EXERCISE', 'EXPIRATION'].includes(txn.action)) {
+            // Delivery legs some brokers report separately from the option
+            if (!takeDelivery(draft, txn, 'BUY') && !takeDelivery(draft, txn, 'SELL')) ignored += 1;
+            continue;
+        } else {
+            ignored += 1;
+            continue;
+        }
+
+        if (draft && draft.shares === 0 && draft.legs.length === 0) {
+            if (exit) closeCycle(group, draft, txn.date);
+            else draft.flatSince = txn.date;
+        } else if (draft) {
+            draft.flatSince = null;
+        }
+    }
+
+    for (const [group, draft] of Array.from(active.entries())) {
+        if (draft.flatSince && daysBetween(draft.flatSince, asOf) > idleDays) closeCycle(group, draft, draft.flatSince);
+        else finished.push(draft);
+    }
+
+    const keys = new Set<string>();
+    const cycles = finished
+        .map(({ cycle }) => cycle)
+        .sort((a, b) => a.started_at.localeCompare(b.started_at) || a.ticker.localeCompare(b.ticker))
+        .map((cycle): ReconstructedCycle => {
+            const strategy_type = strategyOf(cycle.events);
+            let cycle_key = `${cycle.ticker}-${strategy_type}-${cycle.started_at.replace(/-/g, '')}`;
+            for (let n = 2; keys.has(cycle_key); n++) cycle_key = `${cycle.ticker}-${strategy_type}-${cycle.started_at.replace(/-/g, '')}-${n}`;
+            keys.add(cycle_key);
+
+            const pnl = calculateCyclePnL(
+                cycle.events.map((e) => ({ ...e, id: e.key, link_event_id: e.link_key })),
+                { lotLinks: Object.fromEntries(cycle.lots.map((lot) => [lot.key, lot.event_keys])) }
+            );
+            return { ...cycle, cycle_key, strategy_type, pnl };
+        });
+
+    return { cycles, unmatched, ignored };
+}
@@ -0,0 +1,254 @@
+/**
+ * CSV helpers shared by the broker importers: tokenizing, header lookup,
+ * broker number/date formats and builders for the unified records.
+ */
+
+import type { ImportFileKind, ImportOptions, ParsedImportFile, UnifiedPositionRecord, UnifiedTransactionRecord } from './types';
+
+/** RFC 4180 tokenizer: quoted fields, escaped quotes, embedded newlines, CRLF */
+export function parseCsv(text: string): string[][] {
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.map((cells) => cells.map((cell) => cell.trim()));
+}
+
+const normalizeHeader = (header: string) => header.trim().toLowerCase();
+
+/** Index of the first row containing every column in `required`, or -1 */
+export function findHeaderRow(rows: string[][], required: string[]): number {
+    const wanted = required.map(normalizeHeader);
+    return rows.findIndex((row) => {
+        const headers = row.map(normalizeHeader);
+        return wanted.every((column) => headers.includes(column));
+    });
+}
+
+export const hasColumns = (rows: string[][], required: string[]) => findHeaderRow(rows, required) !== -1;
+
+/**
+ * Rows below the header as column -> value records. Blank rows and footer
+ * text (rows much shorter than the header) end the table.
+ */
+export function toRecords(rows: string[][], headerIndex: number): Record<string, string>[] {
+    if (headerIndex < 0) return [];
+    const headers = rows[headerIndex].map(normalizeHeader);
+    const records: Record<string, string>[] = [];
+    for (const row of rows.slice(headerIndex + 1)) {
+        if (row.every((cell) => cell === '')) break;
+        if (row.length < Math.min(headers.length, 3)) break;
+        const record: Record<string, string> = {};
+        headers.forEach((header, i) => {
+            record[header] = row[i] ?? '';
+        });
+        records.push(record);
+    }
+    return records;
+}
+
+/** Case-insensitive field lookup trying each alias in turn */
+export const field = (record: Record<string, string>, ...names: string[]): string => {
+    for (const name of names) {
+        const value = record[normalizeHeader(name)];
+        if (value !== undefined && value !== '') return value;
+    }
+    return '';
+};
+
+/** "$1,234.50", "(12.00)", "+3.5%", "-" and "--" style broker numbers */
+export function parseNumber(value: string | undefined | null): number | null {
+    if (value == null) return null;
+    let text = String(value).trim();
+    if (text === '' || /^-+$/.test(text) || /^n\/?a$/i.test(text)) return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    text = text.replace(/[$,%\s]/g, '');
+    const number = Number(text);
+    if (!Number.isFinite(number)) return null;
+    return negative ? -number : number;
+}
+
+export const numberOr = (value: string | undefined | null, fallback = 0) => parseNumber(value) ?? fallback;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const pad = (n: number) => String(n).padStart(2, '0');
+const fullYear = (year: number) => (year < 100 ? 2000 + year : year);
+
+/**
+ * Broker date formats to ISO `YYYY-MM-DD`: ISO dates and timestamps,
+ * `YYYYMMDD`, `M/D/YY(YY)` and `Mon D YYYY` / `Mon D YY`.
+ */
+export function parseDate(value: string | undefined | null): string | null {
+    if (!value) return null;
+    const text = value.trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+    if (match) return `${fullYear(Number(match[3]))}-${pad(Number(match[1]))}-${pad(Number(match[2]))}`;
+    match = text.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{2,4})$/);
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+        return `${fullYear(Number(match[3]))}-${pad(MONTHS.indexOf(match[1].toLowerCase()) + 1)}-${pad(Number(match[2]))}`;
+    }
+    return null;
+}
+
+export function toPutCall(value: string | undefined | null): 'PUT' | 'CALL' | null {
+    const text = (value || '').trim().toUpperCase();
+    if (text === 'P' || text === 'PUT') return 'PUT';
+    if (text === 'C' || text === 'CALL') return 'CALL';
+    return null;
+}
+
+type PositionInput = Pick<UnifiedPositionRecord, 'account_number' | 'symbol' | 'asset_type'> & {
+    quantity: number;
+} & Partial<Omit<UnifiedPositionRecord, 'long_quantity' | 'short_quantity' | 'shares' | 'contracts'>>;
+
+/** Unified position from a signed quantity, defaulting everything a CSV lacks */
+export function makePosition(source: string, input: PositionInput): UnifiedPositionRecord {
+    const { quantity, ...rest } = input;
+    const isOption = input.asset_type === 'OPTION';
+    return {
+        underlying_symbol: isOption ? null : input.symbol,
+        option_type: null,
+        strike_price: null,
+        expiration_date: null,
+        market_value: 0,
+        current_price: null,
+        average_price: null,
+        status: 'Open',
+        current_day_profit_loss: 0,
+        current_day_profit_loss_percentage: 0,
+        long_open_profit_loss: 0,
+        short_open_profit_loss: 0,
+        data_source: `${source}_import`,
+        ...rest,
+        long_quantity: quantity > 0 ? quantity : 0,
+        short_quantity: quantity < 0 ? -quantity : 0,
+        shares: input.asset_type === 'EQUITY' ? Math.abs(quantity) : 0,
+        contracts: isOption ? Math.abs(quantity) : 0,
+    };
+}
+
+type TransactionInput = Pick<UnifiedTransactionRecord, 'account_number' | 'date' | 'action' | 'symbol'> &
+    Partial<UnifiedTransactionRecord>;
+
+export function makeTransaction(source: string, input: TransactionInput): UnifiedTransactionRecord {
+    return {
+        transaction_id: null,
+        asset_type: input.option_type ? 'OPTION' : 'EQUITY',
+        underlying_symbol: input.option_type ? null : input.symbol,
+        option_type: null,
+        strike_price: null,
+        expiration_date: null,
+        price: null,
+        amount: 0,
+        description: '',
+        data_source: `${source}_import`,
+        ...input,
+        quantity: Math.abs(input.quantity ?? 0),
+        fees: Math.round((input.fees ?? 0) * 100) / 100,
+    };
+}
+
+/** Account from the row, else the one chosen at import, else the broker name */
+export const accountFor = (value: string, options: ImportOptions = {}, source: string) =>
+    value || options.accountNumber || source.toUpperCase();
+
+export const emptyParse = (kind: ImportFileKind): ParsedImportFile => ({ kind, positions: [], transactions: [], skipped: 0 });
+
+const OPENING: Partial<Record<UnifiedTransactionRecord['action'], 1 | -1>> = {
+    BUY: 1,
+    BUY_TO_OPEN: 1,
+    SELL_TO_OPEN: -1,
+};
+
+const CLOSING: Partial<Record<UnifiedTransactionRecord['action'], 1 | -1>> = {
+    SELL: -1,
+    SELL_TO_CLOSE: -1,
+    BUY_TO_CLOSE: 1,
+};
+
+/**
+ * Open positions implied by a transaction history, for brokers that only
+ * export activity. Expirations, assignments and exercises flatten the option
+ * leg; average price is the mean opening price of what remains.
+ */
+export function netPositionsFromTransactions(source: string, transactions: UnifiedTransactionRecord[]): UnifiedPositionRecord[] {
+    const legs = new Map<string, { template: UnifiedTransactionRecord; quantity: number; openQuantity: number; openCost: number }>();
+    const ordered = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+
+    for (const txn of ordered) {
+        const key = `${txn.account_number}|${txn.symbol}`;
+        const leg = legs.get(key) || { template: txn, quantity: 0, openQuantity: 0, openCost: 0 };
+        const opening = OPENING[txn.action];
+        const closing = CLOSING[txn.action];
+        if (opening) {
+            leg.quantity += opening * txn.quantity;
+            leg.openQuantity += txn.quantity;
+            leg.openCost += txn.quantity * (txn.price ?? 0);
+        } else if (closing) {
+            leg.quantity += closing * txn.quantity;
+        } else if (txn.asset_type === 'OPTION' && ['EXPIRATION', 'ASSIGNMENT', 'EXERCISE'].includes(txn.action)) {
+            leg.quantity = 0;
+        } else {
+            continue;
+        }
+        if (leg.quantity === 0) {
+            leg.openQuantity = 0;
+            leg.openCost = 0;
+        }
+        legs.set(key, leg);
+    }
+
+    return Array.from(legs.values())
+        .filter((leg) => leg.quantity !== 0)
+        .map(({ template, quantity, openQuantity, openCost }) => makePosition(source, {
+            account_number: template.account_number,
+            symbol: template.symbol,
+            asset_type: template.asset_type,
+            underlying_symbol: template.underlying_symbol,
+            option_type: template.option_type,
+            strike_price: template.strike_price,
+            expiration_date: template.expiration_date,
+            average_price: openQuantity ? Math.round((openCost / openQuantity) * 10000) / 10000 : null,
+            quantity,
+        }));
+}
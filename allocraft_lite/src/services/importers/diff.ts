@@ -0,0 +1,205 @@
+/**
+ * Import dry run and idempotent re-import
+ *
+ * `diffImport` compares an import payload (the unified format posted to
+ * `/portfolio/import/positions`) with the positions already stored and sorts
+ * every position into new, changed, unchanged or missing, with field-level
+ * changes. Positions and accounts carry content fingerprints so importing
+ * the same file twice sends nothing the second time.
+ */
+
+import { modeStorageKey } from '../mockBackend/mode';
+
+export type PositionChangeStatus = 'new' | 'changed' | 'unchanged' | 'missing';
+
+export interface FieldChange {
+    field: string;
+    before: string | number | null;
+    after: string | number | null;
+}
+
+export interface PositionDiff {
+    status: PositionChangeStatus;
+    account_number: string;
+    symbol: string;
+    /** Fingerprint of the incoming position, or of the stored one when missing */
+    fingerprint: string;
+    changes: FieldChange[];
+}
+
+export interface AccountDiff {
+    account_number: string;
+    fingerprint: string;
+    /** Same content as the last import of this account, or nothing differs from what is stored */
+    upToDate: boolean;
+    positions: PositionDiff[];
+}
+
+export interface ImportDiff {
+    accounts: AccountDiff[];
+    counts: Record<PositionChangeStatus, number>;
+}
+
+/** Any unified import payload: broker CSV, Schwab JSON or a test fixture */
+export interface ImportPayload {
+    export_info?: Record<string, any>;
+    accounts: Array<{ account_number: string; positions: Array<Record<string, any>>; [key: string]: any }>;
+}
+
+/** Fields that make up a position's content, in fingerprint order */
+export const COMPARED_FIELDS = ['asset_type', 'long_quantity', 'short_quantity', 'average_price', 'market_value'] as const;
+
+const STORAGE_KEY = 'allocraft_import_fingerprints';
+
+/** Schwab pads OCC symbols with spaces, other sources do not */
+export const normalizeSymbol = (symbol: unknown) => String(symbol ?? '').replace(/\s+/g, '').toUpperCase();
+
+function fieldValue(position: Record<string, any>, field: string): string | number | null {
+    const value = position[field];
+    if (value === undefined || value === null || value === '') return null;
+    if (field === 'asset_type') return String(value);
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.round(number * 10000) / 10000 : null;
+}
+
+/** 32-bit FNV-1a, hex encoded */
+function hash(text: string): string {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+export function positionFingerprint(position: Record<string, any>): string {
+    return hash(JSON.stringify([normalizeSymbol(position.symbol), ...COMPARED_FIELDS.map((f) => fieldValue(position, f))]));
+}
+
+export function accountFingerprint(accountNumber: string, positions: Array<Record<string, any>>): string {
+    return hash(JSON.stringify([accountNumber, positions.map(positionFingerprint).sort()]));
+}
+
+export function loadImportFingerprints(): Record<string, string> {
+    try {
+        return JSON.parse(localStorage.getItem(modeStorageKey(STORAGE_KEY)) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+/** Remember the fingerprint of every account in a successfully imported payload */
+export function recordImportFingerprints(payload: ImportPayload): void {
+    if (!Array.isArray(payload?.accounts)) return;
+    try {
+        const stored = loadImportFingerprints();
+        for (const account of payload.accounts) {
+            stored[account.account_number] = account.fingerprint || accountFingerprint(account.account_number, account.positions || []);
+        }
+        localStorage.setItem(modeStorageKey(STORAGE_KEY), JSON.stringify(stored));
+    } catch (error) {
+        console.warn('Failed to save import fingerprints to localStorage:', error);
+    }
+}
+
+function fieldChanges(before: Record<string, any>, after: Record<string, any>): FieldChange[] {
+    return COMPARED_FIELDS
+        .map((field) => ({ field, before: fieldValue(before, field), after: fieldValue(after, field) }))
+        .filter((change) => change.before !== change.after);
+}
+
+/**
+ * Diff an import payload against stored positions. Stored positions are
+ * matched by account number and symbol; ones without an account number
+ * match on symbol alone and only count as missing from a single-account
+ * import.
+ */
+export function diffImport(
+    payload: ImportPayload,
+    stored: Array<Record<string, any>> = [],
+    fingerprints: Record<string, string> = loadImportFingerprints(),
+): ImportDiff {
+    const accountNumbers = payload.accounts.map((a) => a.account_number);
+    const unclaimed = stored.filter((p) => Number(p.long_quantity || 0) !== 0 || Number(p.short_quantity || 0) !== 0);
+
+    const accounts = payload.accounts.map((account): AccountDiff => {
+        const positions = account.positions || [];
+        const ownsStored = (p: Record<string, any>) =>
+            p.account_number != null ? String(p.account_number) === account.account_number : accountNumbers.length === 1;
+
+        const diffs: PositionDiff[] = positions.map((incoming) => {
+            const symbol = normalizeSymbol(incoming.symbol);
+            const index = unclaimed.findIndex((p) =>
+                normalizeSymbol(p.symbol) === symbol
+                && (p.account_number == null || String(p.account_number) === account.account_number));
+            const fingerprint = positionFingerprint(incoming);
+            if (index === -1) return { status: 'new', account_number: account.account_number, symbol, fingerprint, changes: [] };
+
+            const [match] = unclaimed.splice(index, 1);
+            const changes = fieldChanges(match, incoming);
+            return { status: changes.length ? 'changed' : 'unchanged', account_number: account.account_number, symbol, fingerprint, changes };
+        });
+
+        unclaimed.filter(ownsStored).forEach((missing) => {
+            unclaimed.splice(unclaimed.indexOf(missing), 1);
+            diffs.push({
+                status: 'missing',
+                account_number: account.account_number,
+                symbol: normalizeSymbol(missing.symbol),
+                fingerprint: positionFingerprint(missing),
+                changes: [],
+            });
+        });
+
+        const fingerprint = accountFingerprint(account.account_number, positions);
+        return {
+            account_number: account.account_number,
+            fingerprint,
+            upToDate: fingerprints[account.account_number] === fingerprint || diffs.every((d) => d.status === 'unchanged'),
+            positions: diffs,
+        };
+    });
+
+    const counts: Record<PositionChangeStatus, number> = { new: 0, changed: 0, unchanged: 0, missing: 0 };
+    accounts.forEach((a) => a.positions.forEach((p) => {
+        counts[p.status] += 1;
+    }));
+    return { accounts, counts };
+}
+
+type PayloadAccount<T extends ImportPayload> = T['accounts'][number];
+
+/** An import payload with account and position fingerprints attached */
+export type FingerprintedPayload<T extends ImportPayload> = Omit<T, 'accounts'> & {
+    accounts: Array<PayloadAccount<T> & {
+        fingerprint: string;
+        positions: Array<PayloadAccount<T>['positions'][number] & { fingerprint: string }>;
+    }>;
+};
+
+/**
+ * The payload to actually post: accounts that are already up to date are
+ * dropped, the rest are sent whole with their fingerprints. Null when there
+ * is nothing to import.
+ */
+export function idempotentPayload<T extends ImportPayload>(payload: T, diff: ImportDiff): FingerprintedPayload<T> | null {
+    const accounts = payload.accounts
+        .map((account, i) => ({ account, diff: diff.accounts[i] }))
+        .filter(({ diff: accountDiff }) => !accountDiff.upToDate)
+        .map(({ account, diff: accountDiff }) => ({
+            ...account,
+            fingerprint: accountDiff.fingerprint,
+            positions: (account.positions || []).map((p) => ({ ...p, fingerprint: positionFingerprint(p) })),
+        }));
+    if (accounts.length === 0) return null;
+
+    return {
+        ...payload,
+        export_info: payload.export_info && {
+            ...payload.export_info,
+            total_accounts: accounts.length,
+            total_positions: accounts.reduce((sum, a) => sum + a.positions.length, 0),
+        },
+        accounts,
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Fidelity importer: "Portfolio Positions" and "Accounts History" CSV
+ * downloads. Option symbols are Fidelity shorthand (`-AAPL250718P180`);
+ * transaction direction is spelled out in the Action text.
+ */
+
+import {
+    accountFor,
+    emptyParse,
+    field,
+    findHeaderRow,
+    makePosition,
+    makeTransaction,
+    numberOr,
+    parseDate,
+    parseNumber,
+    toRecords,
+} from './csv';
+import { formatOccSymbol, parseOccSymbol } from '../../utils/occSymbol';
+import type { BrokerImporter, ImportFileKind, ImportOptions, ParsedImportFile, TransactionAction } from './types';
+
+const SOURCE = 'fidelity';
+const POSITION_COLUMNS = ['Account Number', 'Symbol', 'Quantity', 'Last Price', 'Current Value'];
+const HISTORY_COLUMNS = ['Run Date', 'Action', 'Symbol', 'Amount ($)'];
+
+export function fidelityAction(action: string): TransactionAction {
+    const text = action.toUpperCase();
+    const bought = text.startsWith('YOU BOUGHT');
+    const sold = text.startsWith('YOU SOLD');
+    if (text.includes('OPENING TRANSACTION')) return bought ? 'BUY_TO_OPEN' : 'SELL_TO_OPEN';
+    if (text.includes('CLOSING TRANSACTION')) return bought ? 'BUY_TO_CLOSE' : 'SELL_TO_CLOSE';
+    if (text.startsWith('ASSIGNED')) return 'ASSIGNMENT';
+    if (text.startsWith('EXPIRED')) return 'EXPIRATION';
+    if (text.startsWith('EXERCISED')) return 'EXERCISE';
+    if (text.includes('DIVIDEND')) return 'DIVIDEND';
+    if (bought) return 'BUY';
+    if (sold) return 'SELL';
+    return 'OTHER';
+}
+
+function parsePositions(rows: string[][], options?: ImportOptions): ParsedImportFile {
+    const result = emptyParse('positions');
+    for (const record of toRecords(rows, findHeaderRow(rows, POSITION_COLUMNS))) {
+        const rawSymbol = field(record, 'Symbol');
+        if (!rawSymbol || /pending activity/i.test(rawSymbol)) continue;
+
+        const account_number = accountFor(field(record, 'Account Number'), options, SOURCE);
+        const marketValue = numberOr(field(record, 'Current Value'));
+        const totalGain = numberOr(field(record, 'Total Gain/Loss Dollar'));
+        const common = {
+            account_number,
+            market_value: marketValue,
+            current_price: parseNumber(field(record, 'Last Price')),
+            average_price: parseNumber(field(record, 'Average Cost Basis')),
+            current_day_profit_loss: numberOr(field(record, "Today's Gain/Loss Dollar")),
+            current_day_profit_loss_percentage: numberOr(field(record, "Today's Gain/Loss Percent")),
+        };
+
+        // Core/money market positions: "SPAXX**" with a value and no quantity
+        if (rawSymbol.endsWith('**')) {
+            result.positions.push(makePosition(SOURCE, {
+                ...common,
+                symbol: rawSymbol.replace(/\*+$/, ''),
+                asset_type: 'CASH_EQUIVALENT',
+                quantity: parseNumber(field(record, 'Quantity')) ?? marketValue,
+            }));
+            continue;
+        }
+
+        const quantity = parseNumber(field(record, 'Quantity'));
+        if (!quantity) {
+            result.skipped += 1;
+            continue;
+        }
+        const option = rawSymbol.startsWith('-') ? parseOccSymbol(rawSymbol) : null;
+        const openPnL = quantity > 0 ? { long_open_profit_loss: totalGain } : { short_open_profit_loss: totalGain };
+
+        result.positions.push(option
+            ? makePosition(SOURCE, {
+                ...common,
+                ...openPnL,
+                symbol: formatOccSymbol(option),
+                asset_type: 'OPTION',
+                underlying_symbol: option.underlying,
+                option_type: option.optionType,
+                strike_price: option.strike,
+                expiration_date: option.expiration,
+                quantity,
+            })
+            : makePosition(SOURCE, { ...common, ...openPnL, symbol: rawSymbol, asset_type: 'EQUITY', quantity }));
+    }
+    return result;
+}
+
+function parseHistory(rows: string[][], options?: ImportOptions): ParsedImportFile {
+    const result = emptyParse('transactions');
+    for (const record of toRecords(rows, findHeaderRow(rows, HISTORY_COLUMNS))) {
+        const date = parseDate(field(record, 'Run Date'));
+        const rawSymbol = field(record, 'Symbol');
+        if (!date) {
+            result.skipped += 1;
+            continue;
+        }
+        const option = rawSymbol.startsWith('-') ? parseOccSymbol(rawSymbol) : null;
+        const fees = numberOr(field(record, 'Commission ($)')) + numberOr(field(record, 'Fees ($)'));
+
+        result.transactions.push(makeTransaction(SOURCE, {
+            account_number: accountFor(field(record, 'Account Number'), options, SOURCE),
+            date,
+            action: fidelityAction(field(record, 'Action')),
+            symbol: option ? formatOccSymbol(option) : rawSymbol,
+            asset_type: option ? 'OPTION' : 'EQUITY',
+            underlying_symbol: option ? option.underlying : rawSymbol || null,
+            option_type: option?.optionType ?? null,
+            strike_price: option?.strike ?? null,
+            expiration_date: option?.expiration ?? null,
+            quantity: numberOr(field(record, 'Quantity')),
+            price: parseNumber(field(record, 'Price ($)')),
+            amount: numberOr(field(record, 'Amount ($)')),
+            fees,
+            description: field(record, 'Action'),
+        }));
+    }
+    return result;
+}
+
+export const fidelityImporter: BrokerImporter = {
+    id: SOURCE,
+    label: 'Fidelity',
+    description: 'Portfolio Positions or Accounts History CSV from Fidelity.com',
+    detect(rows): ImportFileKind | null {
+        if (findHeaderRow(rows, POSITION_COLUMNS) !== -1) return 'positions';
+        if (findHeaderRow(rows, HISTORY_COLUMNS) !== -1) return 'transactions';
+        return null;
+    },
+    parse(rows, kind, options) {
+        return kind === 'positions' ? parsePositions(rows, options) : parseHistory(rows, options);
+    },
+};
@@ -0,0 +1,167 @@
+/**
+ * Interactive Brokers importer: Flex Query CSV reports. A report may hold
+ * several sections (Open Positions, Trades, Cash Transactions), each starting
+ * with its own header row; all sections present in the file are mapped.
+ */
+
+import {
+    accountFor,
+    emptyParse,
+    field,
+    makePosition,
+    makeTransaction,
+    numberOr,
+    parseDate,
+    parseNumber,
+    toPutCall,
+    toRecords,
+} from './csv';
+import { formatOccSymbol } from '../../utils/occSymbol';
+import type { BrokerImporter, ImportFileKind, ImportOptions, ParsedImportFile, TransactionAction } from './types';
+
+const SOURCE = 'ibkr';
+
+type Section = 'positions' | 'trades' | 'cash';
+
+const lower = (row: string[]) => row.map((cell) => cell.toLowerCase());
+
+function sectionOf(row: string[]): Section | null {
+    const headers = lower(row);
+    if (!headers.includes('clientaccountid')) return null;
+    if (headers.includes('tradedate') && headers.includes('buy/sell')) return 'trades';
+    if (headers.includes('markprice') || headers.includes('positionvalue')) return 'positions';
+    if (headers.includes('amount') && headers.includes('type')) return 'cash';
+    return null;
+}
+
+/** Header row index of every section in the report */
+const findSections = (rows: string[][]) =>
+    rows.flatMap((row, index) => {
+        const section = sectionOf(row);
+        return section ? [{ section, index }] : [];
+    });
+
+const tradeDate = (value: string) => parseDate(value.split(/[;,\s]/)[0]);
+
+export function ibkrAction(record: Record<string, string>): TransactionAction {
+    const isOption = field(record, 'AssetClass').toUpperCase() === 'OPT';
+    const codes = field(record, 'Notes/Codes').split(';').map((code) => code.trim());
+    const buy = field(record, 'Buy/Sell').toUpperCase().startsWith('BUY');
+    if (isOption) {
+        if (codes.includes('A')) return 'ASSIGNMENT';
+        if (codes.includes('Ep')) return 'EXPIRATION';
+        if (codes.includes('Ex')) return 'EXERCISE';
+        const opening = field(record, 'Open/CloseIndicator').toUpperCase() === 'O';
+        if (opening) return buy ? 'BUY_TO_OPEN' : 'SELL_TO_OPEN';
+        return buy ? 'BUY_TO_CLOSE' : 'SELL_TO_CLOSE';
+    }
+    return buy ? 'BUY' : 'SELL';
+}
+
+function optionFields(record: Record<string, string>) {
+    const underlying = field(record, 'UnderlyingSymbol');
+    const optionType = toPutCall(field(record, 'Put/Call'));
+    const strike = parseNumber(field(record, 'Strike'));
+    const expiration = parseDate(field(record, 'Expiry'));
+    if (!underlying || !optionType || strike == null || !expiration) return null;
+    return {
+        symbol: formatOccSymbol({ underlying, expiration, optionType, strike }),
+        asset_type: 'OPTION' as const,
+        underlying_symbol: underlying,
+        option_type: optionType,
+        strike_price: strike,
+        expiration_date: expiration,
+    };
+}
+
+function parsePositionRecord(record: Record<string, string>, result: ParsedImportFile, options?: ImportOptions) {
+    const assetClass = field(record, 'AssetClass').toUpperCase();
+    const quantity = parseNumber(field(record, 'Quantity'));
+    if (!quantity || !['STK', 'OPT'].includes(assetClass)) {
+        result.skipped += 1;
+        return;
+    }
+    const option = assetClass === 'OPT' ? optionFields(record) : null;
+    if (assetClass === 'OPT' && !option) {
+        result.skipped += 1;
+        return;
+    }
+    const unrealized = numberOr(field(record, 'FifoPnlUnrealized'));
+    result.positions.push(makePosition(SOURCE, {
+        account_number: accountFor(field(record, 'ClientAccountID'), options, SOURCE),
+        symbol: field(record, 'Symbol'),
+        asset_type: 'EQUITY',
+        ...option,
+        market_value: numberOr(field(record, 'PositionValue')),
+        current_price: parseNumber(field(record, 'MarkPrice')),
+        average_price: parseNumber(field(record, 'CostBasisPrice')),
+        ...(quantity > 0 ? { long_open_profit_loss: unrealized } : { short_open_profit_loss: unrealized }),
+        quantity,
+    }));
+}
+
+function parseTradeRecord(record: Record<string, string>, result: ParsedImportFile, options?: ImportOptions) {
+    const assetClass = field(record, 'AssetClass').toUpperCase();
+    const date = tradeDate(field(record, 'TradeDate', 'DateTime'));
+    const option = assetClass === 'OPT' ? optionFields(record) : null;
+    if (!date || !['STK', 'OPT'].includes(assetClass) || (assetClass === 'OPT' && !option)) {
+        result.skipped += 1;
+        return;
+    }
+    result.transactions.push(makeTransaction(SOURCE, {
+        transaction_id: field(record, 'TransactionID', 'TradeID') || null,
+        account_number: accountFor(field(record, 'ClientAccountID'), options, SOURCE),
+        date,
+        action: ibkrAction(record),
+        symbol: field(record, 'Symbol'),
+        asset_type: 'EQUITY',
+        ...option,
+        quantity: numberOr(field(record, 'Quantity')),
+        price: parseNumber(field(record, 'TradePrice')),
+        amount: numberOr(field(record, 'NetCash')),
+        fees: Math.abs(numberOr(field(record, 'IBCommission'))),
+        description: field(record, 'Description'),
+    }));
+}
+
+function parseCashRecord(record: Record<string, string>, result: ParsedImportFile, options?: ImportOptions) {
+    const date = tradeDate(field(record, 'Date/Time', 'DateTime', 'SettleDate', 'ReportDate'));
+    if (!date) {
+        result.skipped += 1;
+        return;
+    }
+    const symbol = field(record, 'Symbol');
+    result.transactions.push(makeTransaction(SOURCE, {
+        transaction_id: field(record, 'TransactionID') || null,
+        account_number: accountFor(field(record, 'ClientAccountID'), options, SOURCE),
+        date,
+        action: /dividend/i.test(field(record, 'Type')) ? 'DIVIDEND' : 'OTHER',
+        symbol,
+        underlying_symbol: symbol || null,
+        amount: numberOr(field(record, 'Amount')),
+        description: field(record, 'Description') || field(record, 'Type'),
+    }));
+}
+
+export const ibkrImporter: BrokerImporter = {
+    id: SOURCE,
+    label: 'Interactive Brokers',
+    description: 'Flex Query CSV with Open Positions, Trades and/or Cash Transactions sections',
+    detect(rows): ImportFileKind | null {
+        const sections = findSections(rows).map((s) => s.section);
+        if (sections.includes('positions')) return 'positions';
+        if (sections.length > 0) return 'transactions';
+        return null;
+    },
+    parse(rows, kind, options) {
+        const result = emptyParse(kind);
+        const sections = findSections(rows);
+        sections.forEach(({ section, index }, i) => {
+            const handler = section === 'positions' ? parsePositionRecord : section === 'trades' ? parseTradeRecord : parseCashRecord;
+            // Each section runs until the next section's header row
+            const sectionRows = rows.slice(index, sections[i + 1]?.index ?? rows.length);
+            for (const record of toRecords(sectionRows, 0)) handler(record, result, options);
+        });
+        return result;
+    },
+};
@@ -0,0 +1,119 @@
+/**
+ * Broker CSV importer registry
+ *
+ * Importers register here and are picked explicitly or by recognising a
+ * file's header row. `importBrokerFiles` parses any mix of a broker's
+ * position and transaction exports and merges them per account into the
+ * unified import format the Schwab JSON importer produces.
+ */
+
+import { parseCsv } from './csv';
+import { fidelityImporter } from './fidelity';
+import { ibkrImporter } from './ibkr';
+import { robinhoodImporter } from './robinhood';
+import { tastytradeImporter } from './tastytrade';
+import type { BrokerImporter, ImportFileKind, ImportOptions, ParsedImportFile, UnifiedImport } from './types';
+
+export type * from './types';
+export { schwabTransactionsToRecords } from './schwab';
+export * from './diff';
+
+const registry = new Map<string, BrokerImporter>();
+
+export function registerImporter(importer: BrokerImporter): void {
+    registry.set(importer.id, importer);
+}
+
+export const getImporters = (): BrokerImporter[] => Array.from(registry.values());
+
+export const getImporter = (id: string): BrokerImporter | undefined => registry.get(id);
+
+[fidelityImporter, ibkrImporter, tastytradeImporter, robinhoodImporter].forEach(registerImporter);
+
+/** First registered importer that recognises the file, with the kind of export it is */
+export function detectImporter(text: string): { importer: BrokerImporter; kind: ImportFileKind } | null {
+    const rows = parseCsv(text);
+    for (const importer of registry.values()) {
+        const kind = importer.detect(rows);
+        if (kind) return { importer, kind };
+    }
+    return null;
+}
+
+export interface ImportFileInput {
+    name?: string;
+    text: string;
+}
+
+export interface BrokerImportResult {
+    importer: BrokerImporter;
+    files: Array<ParsedImportFile & { name?: string }>;
+    unified: UnifiedImport;
+}
+
+/**
+ * Parse one broker's CSV exports into the unified import format. Throws when
+ * a file is not a recognised export of that broker, or when files from
+ * different brokers are mixed without choosing an importer.
+ */
+export function importBrokerFiles(files: ImportFileInput[], importerId?: string, options: ImportOptions = {}): BrokerImportResult {
+    if (files.length === 0) throw new Error('No files to import');
+
+    let importer = importerId ? getImporter(importerId) : undefined;
+    if (importerId && !importer) throw new Error(`Unknown importer: ${importerId}`);
+
+    const parsed = files.map((file) => {
+        const rows = parseCsv(file.text);
+        const label = file.name || 'File';
+        if (!importer) {
+            const detected = detectImporter(file.text);
+            if (!detected) throw new Error(`${label}: not a recognised broker CSV export`);
+            importer = detected.importer;
+        }
+        const kind = importer.detect(rows);
+        if (!kind) throw new Error(`${label}: not a ${importer.label} positions or transactions export`);
+        return { name: file.name, ...importer.parse(rows, kind, options) };
+    });
+
+    return { importer: importer!, files: parsed, unified: buildUnifiedImport(importer!.id, parsed) };
+}
+
+/** Group parsed records by account in the shape of `schwabToAllocraftUnified` */
+export function buildUnifiedImport(source: string, parsed: ParsedImportFile[]): UnifiedImport {
+    const now = new Date().toISOString();
+    const positions = parsed.flatMap((file) => file.positions);
+    const transactions = parsed.flatMap((file) => file.transactions);
+    const accountNumbers = Array.from(new Set([...positions, ...transactions].map((r) => r.account_number)));
+
+    return {
+        export_info: {
+            source,
+            imported_at: now,
+            total_accounts: accountNumbers.length,
+            total_positions: positions.length,
+            total_orders: 0,
+            total_transactions: transactions.length,
+        },
+        accounts: accountNumbers.map((account_number) => {
+            const accountPositions = positions.filter((p) => p.account_number === account_number);
+            return {
+                account_number,
+                account_type: 'UNKNOWN',
+                brokerage: source,
+                hash_value: null,
+                is_day_trader: false,
+                cash_balance: accountPositions
+                    .filter((p) => p.asset_type === 'CASH_EQUIVALENT')
+                    .reduce((sum, p) => sum + p.market_value, 0),
+                buying_power: 0,
+                total_value: accountPositions.reduce((sum, p) => sum + p.market_value, 0),
+                day_trading_buying_power: 0,
+                last_synced: now,
+                is_active: true,
+                positions: accountPositions,
+                orders: [],
+                transactions: transactions.filter((t) => t.account_number === account_number),
+            };
+        }),
+    };
+}
@@ -0,0 +1,92 @@
+/**
+ * Robinhood importer: the account activity report CSV. Robinhood has no
+ * positions export, so open positions are derived by netting the activity;
+ * import the full history for them to be accurate.
+ */
+
+import {
+    accountFor,
+    emptyParse,
+    field,
+    findHeaderRow,
+    makeTransaction,
+    netPositionsFromTransactions,
+    numberOr,
+    parseDate,
+    parseNumber,
+    toPutCall,
+    toRecords,
+} from './csv';
+import { formatOccSymbol } from '../../utils/occSymbol';
+import type { BrokerImporter, ImportFileKind, ImportOptions, ParsedImportFile, TransactionAction } from './types';
+
+const SOURCE = 'robinhood';
+const ACTIVITY_COLUMNS = ['Activity Date', 'Instrument', 'Description', 'Trans Code', 'Amount'];
+
+const TRANS_CODES: Record<string, TransactionAction> = {
+    BUY: 'BUY',
+    SELL: 'SELL',
+    BTO: 'BUY_TO_OPEN',
+    STO: 'SELL_TO_OPEN',
+    BTC: 'BUY_TO_CLOSE',
+    STC: 'SELL_TO_CLOSE',
+    OASGN: 'ASSIGNMENT',
+    OEXP: 'EXPIRATION',
+    OEXCS: 'EXERCISE',
+    CDIV: 'DIVIDEND',
+};
+
+/** "AAPL 7/18/2025 Put $180.00", optionally prefixed ("Option Expiration for ...") */
+const OPTION_DESCRIPTION = /([A-Z][A-Z.]*)\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s+(Call|Put)\s+\$([\d,.]+)/i;
+
+export const robinhoodAction = (code: string): TransactionAction => TRANS_CODES[code.trim().toUpperCase()] ?? 'OTHER';
+
+function parseActivity(rows: string[][], options?: ImportOptions): ParsedImportFile {
+    const result = emptyParse('transactions');
+    for (const record of toRecords(rows, findHeaderRow(rows, ACTIVITY_COLUMNS))) {
+        const date = parseDate(field(record, 'Activity Date'));
+        if (!date) {
+            result.skipped += 1;
+            continue;
+        }
+        const instrument = field(record, 'Instrument');
+        const description = field(record, 'Description');
+        const match = description.match(OPTION_DESCRIPTION);
+        const optionType = match ? toPutCall(match[3]) : null;
+        const expiration = match ? parseDate(match[2]) : null;
+        const strike = match ? parseNumber(match[4]) : null;
+        const isOption = Boolean(optionType && expiration && strike != null);
+        const underlying = (isOption ? match![1] : instrument).toUpperCase();
+
+        result.transactions.push(makeTransaction(SOURCE, {
+            account_number: accountFor('', options, SOURCE),
+            date,
+            action: robinhoodAction(field(record, 'Trans Code')),
+            symbol: isOption ? formatOccSymbol({ underlying, expiration: expiration!, optionType: optionType!, strike: strike! }) : underlying,
+            asset_type: isOption ? 'OPTION' : 'EQUITY',
+            underlying_symbol: underlying || null,
+            option_type: isOption ? optionType : null,
+            strike_price: isOption ? strike : null,
+            expiration_date: isOption ? expiration : null,
+            // Quantities can carry a suffix, e.g. "2S" for short contracts
+            quantity: numberOr(field(record, 'Quantity').replace(/[^\d.-]/g, '')),
+            price: parseNumber(field(record, 'Price')),
+            amount: numberOr(field(record, 'Amount')),
+            description,
+        }));
+    }
+    result.positions = netPositionsFromTransactions(SOURCE, result.transactions);
+    return result;
+}
+
+export const robinhoodImporter: BrokerImporter = {
+    id: SOURCE,
+    label: 'Robinhood',
+    description: 'Account activity report CSV; open positions are derived from the activity',
+    detect(rows): ImportFileKind | null {
+        return findHeaderRow(rows, ACTIVITY_COLUMNS) !== -1 ? 'transactions' : null;
+    },
+    parse(rows, _kind, options) {
+        return parseActivity(rows, options);
+    },
+};
@@ -0,0 +1,83 @@
+/**
+ * Schwab transactions as unified transaction records. The Schwab JSON import
+ * itself lives in SchwabDataImportCenter; this maps the `GET transactions`
+ * payload (after `transform_transactions`) so it can be replayed like the
+ * CSV importers' history.
+ */
+
+import { makeTransaction, parseDate, toPutCall } from './csv';
+import type { TransactionAction, UnifiedTransactionRecord } from './types';
+
+const SOURCE = 'schwab';
+
+function schwabAction(txn: any, item: any, isOption: boolean): TransactionAction {
+    const description = String(txn.description || '').toUpperCase();
+    const type = String(txn.type || '').toUpperCase();
+    if (type === 'DIVIDEND_OR_INTEREST') return description.includes('DIVIDEND') ? 'DIVIDEND' : 'OTHER';
+
+    if (type === 'RECEIVE_AND_DELIVER' && isOption) {
+        if (description.includes('EXPIR')) return 'EXPIRATION';
+        if (description.includes('ASSIGN')) return 'ASSIGNMENT';
+        if (description.includes('EXERCIS')) return 'EXERCISE';
+    }
+
+    const buy = Number(item.amount) > 0;
+    if (!isOption) return buy ? 'BUY' : 'SELL';
+    if (item.positionEffect === 'OPENING') return buy ? 'BUY_TO_OPEN' : 'SELL_TO_OPEN';
+    if (item.positionEffect === 'CLOSING') return buy ? 'BUY_TO_CLOSE' : 'SELL_TO_CLOSE';
+    return 'OTHER';
+}
+
+export function schwabTransactionsToRecords(transactions: any[] = [], accountNumber?: string): UnifiedTransactionRecord[] {
+    const records: UnifiedTransactionRecord[] = [];
+    for (const txn of transactions) {
+        const items: any[] = Array.isArray(txn.transferItems) ? txn.transferItems : [];
+        const date = parseDate(txn.tradeDate || txn.time);
+        if (!date) continue;
+
+        // Commissions and fees arrive as separate currency transfer items
+        const fees = items
+            .filter((item) => item.feeType)
+            .reduce((sum, item) => sum + Math.abs(Number(item.cost) || 0), 0);
+        const account_number = String(txn.accountNumber || accountNumber || SOURCE.toUpperCase());
+        const instruments = items.filter((item) => !item.feeType && ['OPTION', 'EQUITY', 'COLLECTIVE_INVESTMENT'].includes(item.instrument?.assetType));
+
+        if (instruments.length === 0) {
+            records.push(makeTransaction(SOURCE, {
+                transaction_id: txn.activityId != null ? String(txn.activityId) : null,
+                account_number,
+                date,
+                action: schwabAction(txn, {}, false) === 'DIVIDEND' ? 'DIVIDEND' : 'OTHER',
+                symbol: items[0]?.instrument?.symbol || '',
+                underlying_symbol: items[0]?.instrument?.symbol || null,
+                amount: Number(txn.netAmount) || 0,
+                fees,
+                description: txn.description || '',
+            }));
+            continue;
+        }
+
+        instruments.forEach((item, index) => {
+            const instrument = item.instrument;
+            const isOption = instrument.assetType === 'OPTION';
+            records.push(makeTransaction(SOURCE, {
+                transaction_id: txn.activityId != null ? `${txn.activityId}${instruments.length > 1 ? `-${index}` : ''}` : null,
+                account_number,
+                date,
+                action: schwabAction(txn, item, isOption),
+                symbol: instrument.symbol,
+                asset_type: isOption ? 'OPTION' : 'EQUITY',
+                underlying_symbol: isOption ? instrument.underlyingSymbol : instrument.symbol,
+                option_type: isOption ? toPutCall(instrument.putCall) : null,
+                strike_price: isOption ? Number(instrument.strikePrice) || null : null,
+                expiration_date: isOption ? parseDate(instrument.expirationDate) : null,
+                quantity: Number(item.amount) || 0,
+                price: item.price != null ? Number(item.price) : null,
+                amount: index === 0 ? Number(txn.netAmount) || 0 : 0,
+                fees: index === 0 ? fees : 0,
+                description: txn.description || '',
+            }));
+        });
+    }
+    return records;
+}
@@ -0,0 +1,153 @@
+/**
+ * Tastytrade importer: Positions CSV from the desktop platform and the
+ * transaction history CSV from tastytrade.com. Neither carries an account
+ * number, so the one chosen at import is used.
+ */
+
+import {
+    accountFor,
+    emptyParse,
+    field,
+    findHeaderRow,
+    makePosition,
+    makeTransaction,
+    numberOr,
+    parseDate,
+    parseNumber,
+    toPutCall,
+    toRecords,
+} from './csv';
+import { formatOccSymbol } from '../../utils/occSymbol';
+import type { BrokerImporter, ImportFileKind, ImportOptions, ParsedImportFile, TransactionAction } from './types';
+
+const SOURCE = 'tastytrade';
+const POSITION_COLUMNS = ['Symbol', 'Type', 'Quantity', 'Exp Date', 'Strike Price', 'Call/Put'];
+const HISTORY_COLUMNS = ['Date', 'Type', 'Action', 'Symbol', 'Instrument Type', 'Value'];
+
+const TRADE_ACTIONS: Record<string, TransactionAction> = {
+    BUY_TO_OPEN: 'BUY_TO_OPEN',
+    SELL_TO_OPEN: 'SELL_TO_OPEN',
+    BUY_TO_CLOSE: 'BUY_TO_CLOSE',
+    SELL_TO_CLOSE: 'SELL_TO_CLOSE',
+};
+
+const toKey = (value: string) => value.trim().toUpperCase().replace(/\s+/g, '_');
+
+export function tastytradeAction(record: Record<string, string>): TransactionAction {
+    const subType = toKey(field(record, 'Sub Type'));
+    const action = TRADE_ACTIONS[toKey(field(record, 'Action'))];
+    const isOption = /option/i.test(field(record, 'Instrument Type'));
+
+    if (subType === 'ASSIGNMENT') return 'ASSIGNMENT';
+    if (subType === 'EXPIRATION') return 'EXPIRATION';
+    if (subType === 'EXERCISE') return 'EXERCISE';
+    if (subType.includes('DIVIDEND')) return 'DIVIDEND';
+    if (!action) return 'OTHER';
+    // Stock trades are reported with option-style open/close actions
+    if (!isOption) return action.startsWith('BUY') ? 'BUY' : 'SELL';
+    return action;
+}
+
+function optionFields(underlying: string, expiry: string, putCall: string, strikeText: string) {
+    const optionType = toPutCall(putCall);
+    const expiration = parseDate(expiry);
+    const strike = parseNumber(strikeText);
+    if (!underlying || !optionType || !expiration || strike == null) return null;
+    return {
+        symbol: formatOccSymbol({ underlying, expiration, optionType, strike }),
+        asset_type: 'OPTION' as const,
+        underlying_symbol: underlying,
+        option_type: optionType,
+        strike_price: strike,
+        expiration_date: expiration,
+    };
+}
+
+/** Average Price is signed and, for options, per contract */
+function perSharePrice(record: Record<string, string>, isOption: boolean): number | null {
+    const price = parseNumber(field(record, 'Average Price'));
+    if (price == null) return null;
+    return Math.abs(price) / (isOption ? numberOr(field(record, 'Multiplier'), 100) : 1);
+}
+
+function parsePositions(rows: string[][], options?: ImportOptions): ParsedImportFile {
+    const result = emptyParse('positions');
+    for (const record of toRecords(rows, findHeaderRow(rows, POSITION_COLUMNS))) {
+        const quantity = parseNumber(field(record, 'Quantity'));
+        const symbol = field(record, 'Symbol');
+        if (!quantity || !symbol) {
+            result.skipped += 1;
+            continue;
+        }
+        const isOption = /option/i.test(field(record, 'Type'));
+        const underlying = symbol.split(/\s+/)[0];
+        const option = isOption
+            ? optionFields(underlying, field(record, 'Exp Date'), field(record, 'Call/Put'), field(record, 'Strike Price'))
+            : null;
+        if (isOption && !option) {
+            result.skipped += 1;
+            continue;
+        }
+        const openPnL = numberOr(field(record, 'P/L Open'));
+        result.positions.push(makePosition(SOURCE, {
+            account_number: accountFor(field(record, 'Account'), options, SOURCE),
+            symbol,
+            asset_type: 'EQUITY',
+            ...option,
+            market_value: numberOr(field(record, 'NetLiq')),
+            current_price: parseNumber(field(record, 'Mark')),
+            average_price: parseNumber(field(record, 'Trade Price')),
+            current_day_profit_loss: numberOr(field(record, 'P/L Day')),
+            ...(quantity > 0 ? { long_open_profit_loss: openPnL } : { short_open_profit_loss: openPnL }),
+            quantity,
+        }));
+    }
+    return result;
+}
+
+function parseHistory(rows: string[][], options?: ImportOptions): ParsedImportFile {
+    const result = emptyParse('transactions');
+    for (const record of toRecords(rows, findHeaderRow(rows, HISTORY_COLUMNS))) {
+        const date = parseDate(field(record, 'Date'));
+        if (!date) {
+            result.skipped += 1;
+            continue;
+        }
+        const isOption = /option/i.test(field(record, 'Instrument Type'));
+        const underlying = field(record, 'Underlying Symbol', 'Root Symbol') || field(record, 'Symbol').split(/\s+/)[0];
+        const option = isOption
+            ? optionFields(underlying, field(record, 'Expiration Date'), field(record, 'Call or Put'), field(record, 'Strike Price'))
+            : null;
+
+        result.transactions.push(makeTransaction(SOURCE, {
+            transaction_id: field(record, 'Order #') || null,
+            account_number: accountFor(field(record, 'Account'), options, SOURCE),
+            date,
+            action: tastytradeAction(record),
+            symbol: field(record, 'Symbol'),
+            asset_type: 'EQUITY',
+            underlying_symbol: underlying || null,
+            ...option,
+            quantity: numberOr(field(record, 'Quantity')),
+            price: perSharePrice(record, Boolean(option)),
+            amount: numberOr(field(record, 'Value')),
+            fees: Math.abs(numberOr(field(record, 'Commissions'))) + Math.abs(numberOr(field(record, 'Fees'))),
+            description: field(record, 'Description'),
+        }));
+    }
+    return result;
+}
+
+export const tastytradeImporter: BrokerImporter = {
+    id: SOURCE,
+    label: 'Tastytrade',
+    description: 'Positions CSV from the desktop platform or transaction history CSV',
+    detect(rows): ImportFileKind | null {
+        if (findHeaderRow(rows, POSITION_COLUMNS) !== -1) return 'positions';
+        if (findHeaderRow(rows, HISTORY_COLUMNS) !== -1) return 'transactions';
+        return null;
+    },
+    parse(rows, kind, options) {
+        return kind === 'positions' ? parsePositions(rows, options) : parseHistory(rows, options);
+    },
+};
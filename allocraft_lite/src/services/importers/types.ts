@@ -0,0 +1,117 @@
+/**
+ * Broker CSV importer types
+ *
+ * Every importer maps its broker's exports onto the unified import format
+ * produced by `schwabToAllocraftUnified` (see SchwabDataImportCenter), so the
+ * backend `/portfolio/import/positions` endpoint receives the same shape
+ * regardless of source.
+ */
+
+export type ImportFileKind = 'positions' | 'transactions';
+
+export type TransactionAction =
+    | 'BUY'
+    | 'SELL'
+    | 'BUY_TO_OPEN'
+    | 'SELL_TO_OPEN'
+    | 'BUY_TO_CLOSE'
+    | 'SELL_TO_CLOSE'
+    | 'ASSIGNMENT'
+    | 'EXERCISE'
+    | 'EXPIRATION'
+    | 'DIVIDEND'
+    | 'OTHER';
+
+export interface UnifiedPositionRecord {
+    account_number: string;
+    symbol: string;
+    asset_type: 'EQUITY' | 'OPTION' | 'CASH_EQUIVALENT';
+    underlying_symbol: string | null;
+    option_type: 'PUT' | 'CALL' | null;
+    strike_price: number | null;
+    expiration_date: string | null;
+    long_quantity: number;
+    short_quantity: number;
+    market_value: number;
+    current_price: number | null;
+    average_price: number | null;
+    status: string;
+    shares: number;
+    contracts: number;
+    current_day_profit_loss: number;
+    current_day_profit_loss_percentage: number;
+    long_open_profit_loss: number;
+    short_open_profit_loss: number;
+    data_source: string;
+}
+
+export interface UnifiedTransactionRecord {
+    transaction_id: string | null;
+    account_number: string;
+    /** Trade date, ISO `YYYY-MM-DD` */
+    date: string;
+    action: TransactionAction;
+    symbol: string;
+    asset_type: 'EQUITY' | 'OPTION' | 'CASH_EQUIVALENT';
+    underlying_symbol: string | null;
+    option_type: 'PUT' | 'CALL' | null;
+    strike_price: number | null;
+    expiration_date: string | null;
+    /** Always positive; direction is carried by `action` */
+    quantity: number;
+    price: number | null;
+    /** Net cash effect on the account, negative for debits */
+    amount: number;
+    fees: number;
+    description: string;
+    data_source: string;
+}
+
+export interface ParsedImportFile {
+    kind: ImportFileKind;
+    positions: UnifiedPositionRecord[];
+    transactions: UnifiedTransactionRecord[];
+    /** Rows that were recognised but could not be mapped */
+    skipped: number;
+}
+
+export interface ImportOptions {
+    /** Account number for exports that do not carry one */
+    accountNumber?: string;
+}
+
+export interface BrokerImporter {
+    id: string;
+    label: string;
+    description: string;
+    /** Identify which of this broker's exports `rows` is, or null if none */
+    detect(rows: string[][]): ImportFileKind | null;
+    parse(rows: string[][], kind: ImportFileKind, options?: ImportOptions): ParsedImportFile;
+}
+
+export interface UnifiedImport {
+    export_info: {
+        source: string;
+        imported_at: string;
+        total_accounts: number;
+        total_positions: number;
+        total_orders: number;
+        total_transactions: number;
+    };
+    accounts: Array<{
+        account_number: string;
+        account_type: string;
+        brokerage: string;
+        hash_value: string | null;
+        is_day_trader: boolean;
+        cash_balance: number;
+        buying_power: number;
+        total_value: number;
+        day_trading_buying_power: number;
+        last_synced: string;
+        is_active: boolean;
+        positions: UnifiedPositionRecord[];
+        orders: any[];
+        transactions: UnifiedTransactionRecord[];
+    }>;
+}
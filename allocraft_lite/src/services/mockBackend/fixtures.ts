@@ -0,0 +1,177 @@
+/**
+ * Mock Backend Fixtures
+ *
+ * The data a fresh local backend starts with: a demo login, two brokerage
+ * accounts, their positions, the matching legacy stock and option records,
+ * and three wheel cycles with their events. Lots are split from the events
+ * when first asked for. Expirations are placed on the Fridays after the seed
+ * date so the options are always still open.
+ */
+
+import { formatOccSymbol } from '../../utils/occSymbol';
+
+export interface MockData {
+    users: Array<Record<string, any>>;
+    accounts: Array<Record<string, any>>;
+    positions: Array<Record<string, any>>;
+    stocks: Array<Record<string, any>>;
+    options: Array<Record<string, any>>;
+    cycles: Array<Record<string, any>>;
+    events: Array<Record<string, any>>;
+    /** Lots split from each cycle's events, with the calls bound to them */
+    lots: Array<Record<string, any>>;
+    /** Next id handed out for a created record, shared by every collection */
+    nextId: number;
+}
+
+export const DEMO_USER = { username: 'demo', password: 'demo' };
+
+const isoDate = (date: Date): string => date.toISOString().slice(0, 10);
+
+/** The Friday `weeks` weeks after the week of `from` */
+function fridayAfter(from: Date, weeks: number): string {
+    const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    date.setUTCDate(date.getUTCDate() + ((5 - date.getUTCDay() + 7) % 7) + 7 * weeks);
+    return isoDate(date);
+}
+
+function daysBefore(from: Date, days: number): string {
+    const date = new Date(from.getTime());
+    date.setUTCDate(date.getUTCDate() - days);
+    return isoDate(date);
+}
+
+interface SeedOption {
+    ticker: string;
+    optionType: 'PUT' | 'CALL';
+    strike: number;
+    expiration: string;
+    contracts: number;
+    premium: number;
+    mark: number;
+    underlyingPrice: number;
+}
+
+export function seedMockData(now: Date = new Date()): MockData {
+    const seededAt = now.toISOString();
+    const shortExpiry = fridayAfter(now, 2);
+    const longExpiry = fridayAfter(now, 5);
+
+    const shares = [
+        { account: 1, ticker: 'AAPL', name: 'Apple Inc.', sector: 'Technology', quantity: 100, cost: 182.4, price: 195.3 },
+        { account: 2, ticker: 'HIMS', name: 'Hims & Hers Health', sector: 'Healthcare', quantity: 200, cost: 15, price: 16.45 },
+    ];
+    const shortOptions: SeedOption[] = [
+        { ticker: 'AAPL', optionType: 'CALL', strike: 200, expiration: shortExpiry, contracts: 1, premium: 2.35, mark: 1.6, underlyingPrice: 195.3 },
+        { ticker: 'MSFT', optionType: 'PUT', strike: 400, expiration: longExpiry, contracts: 1, premium: 5.2, mark: 4.1, underlyingPrice: 418.9 },
+        { ticker: 'HIMS', optionType: 'CALL', strike: 18, expiration: shortExpiry, contracts: 2, premium: 0.55, mark: 0.3, underlyingPrice: 16.45 },
+    ];
+    const optionAccount: Record<string, number> = { AAPL: 1, MSFT: 1, HIMS: 2 };
+
+    let id = 1;
+    const positions = [
+        ...shares.map((s) => ({
+            id: id++,
+            symbol: s.ticker,
+            asset_type: 'EQUITY',
+            long_quantity: s.quantity,
+            short_quantity: 0,
+            average_price: s.cost,
+            current_price: s.price,
+            market_value: s.quantity * s.price,
+            current_day_profit_loss: 0,
+            data_source: 'manual',
+            status: 'Active',
+            account_id: s.account,
+            last_updated: seededAt,
+        })),
+        ...shortOptions.map((o) => ({
+            id: id++,
+            symbol: formatOccSymbol({ underlying: o.ticker, expiration: o.expiration, optionType: o.optionType, strike: o.strike }),
+            asset_type: 'OPTION',
+            underlying_symbol: o.ticker,
+            option_type: o.optionType === 'PUT' ? 'Put' : 'Call',
+            strike_price: o.strike,
+            expiration_date: o.expiration,
+            long_quantity: 0,
+            short_quantity: o.contracts,
+            contracts: o.contracts,
+            average_price: o.premium,
+            current_price: o.mark,
+            market_value: -o.mark * o.contracts * 100,
+            current_day_profit_loss: 0,
+            data_source: 'manual',
+            status: 'Active',
+            account_id: optionAccount[o.ticker],
+            last_updated: seededAt,
+        })),
+    ];
+
+    const stocks = shares.map((s) => ({
+        id: id++,
+        ticker: s.ticker,
+        name: s.name,
+        sector: s.sector,
+        shares: s.quantity,
+        cost_basis: s.cost,
+        market_price: s.price,
+        current_price: s.price,
+        status: 'Open',
+        entry_date: daysBefore(now, 60),
+        price_last_updated: seededAt,
+    }));
+
+    const options = shortOptions.map((o) => ({
+        id: id++,
+        ticker: o.ticker,
+        option_type: o.optionType === 'PUT' ? 'Put' : 'Call',
+        strike_price: o.strike,
+        expiry_date: o.expiration,
+        contracts: o.contracts,
+        cost_basis: o.premium,
+        market_price_per_contract: o.mark,
+        current_price: o.mark,
+        underlying_price: o.underlyingPrice,
+        status: 'Open',
+        price_last_updated: seededAt,
+    }));
+
+    const cycle = (ticker: string, account: number, strategy: string, startedDaysAgo: number) => ({
+        id: id++,
+        cycle_key: `${ticker}-1`,
+        ticker,
+        started_at: daysBefore(now, startedDaysAgo),
+        status: 'Open',
+        strategy_type: strategy,
+        account_id: account,
+        notes: 'Seeded by the local mock backend',
+    });
+    const aapl = cycle('AAPL', 1, 'covered_call', 60);
+    const msft = cycle('MSFT', 1, 'cash_secured_put', 10);
+    const hims = cycle('HIMS', 2, 'covered_call', 45);
+
+    const himsPut = id++;
+    const events = [
+        { id: id++, cycle_id: aapl.id, event_type: 'BUY_SHARES', trade_date: daysBefore(now, 60), quantity_shares: 100, price: 182.4, fees: 0 },
+        { id: id++, cycle_id: aapl.id, event_type: 'SELL_CALL_OPEN', trade_date: daysBefore(now, 12), contracts: 1, strike: 200, premium: 2.35, fees: 0.66, expiration_date: shortExpiry },
+        { id: id++, cycle_id: msft.id, event_type: 'SELL_PUT_OPEN', trade_date: daysBefore(now, 10), contracts: 1, strike: 400, premium: 5.2, fees: 0.66, expiration_date: longExpiry },
+        { id: himsPut, cycle_id: hims.id, event_type: 'SELL_PUT_OPEN', trade_date: daysBefore(now, 45), contracts: 2, strike: 15, premium: 0.6, fees: 1.32, expiration_date: daysBefore(now, 17) },
+        { id: id++, cycle_id: hims.id, event_type: 'PUT_ASSIGNMENT', trade_date: daysBefore(now, 17), quantity_shares: 200, price: 15, link_event_id: himsPut },
+        { id: id++, cycle_id: hims.id, event_type: 'SELL_CALL_OPEN', trade_date: daysBefore(now, 8), contracts: 2, strike: 18, premium: 0.55, fees: 1.32, expiration_date: shortExpiry },
+    ];
+
+    return {
+        users: [{ id: id++, username: DEMO_USER.username, password: DEMO_USER.password, email: 'demo@allocraft.local', is_active: true, roles: 'user' }],
+        accounts: [
+            { id: '1', account_number: '****1234', account_type: 'MARGIN', brokerage: 'schwab', cash_balance: 48250, buying_power: 96500, last_synced: seededAt },
+            { id: '2', account_number: '****5678', account_type: 'IRA', brokerage: 'schwab', cash_balance: 6120, last_synced: seededAt },
+        ],
+        positions,
+        stocks,
+        options,
+        cycles: [aapl, msft, hims],
+        events,
+        lots: [],
+        nextId: id,
+    };
+}
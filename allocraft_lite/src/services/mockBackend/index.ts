@@ -0,0 +1,120 @@
+/**
+ * Local Mock Backend
+ *
+ * Serves the app's API from an in-browser store instead of the FastAPI
+ * server, so the UI can be developed and tested without one. When local
+ * mode is on, `apiFetch` hands its requests here and a `fetch` interceptor
+ * catches the components and services that call the backend URL directly.
+ * Local mode is chosen in ApiModeSwitcher (remembered in localStorage) or
+ * defaulted with VITE_MOCK_BACKEND=true.
+ */
+
+import { getMockData, resetMockData, updateMockData } from './store';
+import { MockHttpError, matchMockRoute, type MockRequest } from './routes';
+import { isMockBackendEnabled } from './mode';
+
+export { isMockBackendEnabled, modeStorageKey, setMockBackendEnabled } from './mode';
+
+/** Ports the dev backend is looked for on (see utils/apiConfig) */
+const BACKEND_PORTS = ['8000', '8001', '8002', '8003', '8004'];
+
+const jsonResponse = (status: number, body: unknown): Response =>
+    new Response(body === undefined ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+
+function parseBody(body: BodyInit | null | undefined): any {
+    if (body == null) return undefined;
+    if (body instanceof URLSearchParams) return body;
+    if (typeof FormData !== 'undefined' && body instanceof FormData) return Object.fromEntries(body.entries());
+    if (typeof body === 'string') {
+        try {
+            return JSON.parse(body);
+        } catch {
+            return body;
+        }
+    }
+    return body;
+}
+
+/**
+ * Answer an API request from the mock store. `path` is the API path with
+ * its query string, as passed to apiFetch.
+ */
+export async function handleMockRequest(path: string, options: RequestInit = {}): Promise<Response> {
+    const url = new URL(path, 'http://mock.local');
+    const method = (options.method || 'GET').toUpperCase();
+    const matched = matchMockRoute(method, url.pathname);
+    if (!matched) return jsonResponse(404, { detail: 'Not Found' });
+
+    const request: MockRequest = {
+        method,
+        path: url.pathname,
+        params: matched.params,
+        query: url.searchParams,
+        headers: new Headers(options.headers),
+        body: parseBody(options.body),
+    };
+
+    try {
+        const body = matched.route.mutates
+            ? await updateMockData((data) => matched.route.handler(request, data))
+            : matched.route.handler(request, await getMockData());
+        // Hand out copies so callers cannot change the store without a request
+        return jsonResponse(200, body === undefined ? undefined : JSON.parse(JSON.stringify(body)));
+    } catch (error: any) {
+        if (error instanceof MockHttpError) return jsonResponse(error.status, { detail: error.message });
+        console.error('Mock backend: request failed:', method, url.pathname, error);
+        return jsonResponse(500, { detail: error?.message || 'Internal Server Error' });
+    }
+}
+
+/** Whether a URL points at the backend rather than the app's own origin */
+function isBackendUrl(url: URL): boolean {
+    const configured = (import.meta as any).env?.VITE_API_BASE_URL;
+    if (configured) {
+        try {
+            if (new URL(configured).origin === url.origin) return true;
+        } catch {
+            // Not an absolute URL; only the dev ports below apply
+        }
+    }
+    return BACKEND_PORTS.includes(url.port) && (url.hostname === '127.0.0.1' || url.hostname === 'localhost'
+        || (typeof window !== 'undefined' && url.hostname === window.location.hostname));
+}
+
+let installed = false;
+
+/**
+ * Route `fetch` calls aimed at the backend to the mock store while local
+ * mode is on. Safe to call more than once; other requests pass through.
+ */
+export function installMockBackend(): void {
+    if (installed || typeof globalThis.fetch !== 'function') return;
+    installed = true;
+    const networkFetch = globalThis.fetch.bind(globalThis);
+
+    globalThis.fetch = async (input: RequestInfo | URL, init?: RequestInit): Promise<Response> => {
+        if (!isMockBackendEnabled()) return networkFetch(input, init);
+        const request = input instanceof Request ? input : null;
+        let url: URL;
+        try {
+            url = new URL(request ? request.url : String(input));
+        } catch {
+            return networkFetch(input, init);
+        }
+        if (!isBackendUrl(url)) return networkFetch(input, init);
+
+        return handleMockRequest(`${url.pathname}${url.search}`, {
+            method: init?.method ?? request?.method,
+            headers: init?.headers ?? request?.headers,
+            body: init?.body ?? (request && request.method !== 'GET' ? await request.text() : undefined),
+        });
+    };
+}
+
+/** Reseed the store, for a clean local backend */
+export async function resetMockBackend(): Promise<void> {
+    await resetMockData();
+}
@@ -0,0 +1,32 @@
+/**
+ * API Mode
+ *
+ * Whether the app talks to the local mock backend or a real one, kept apart
+ * from the mock backend itself so services can namespace what they store in
+ * localStorage without loading the store and its routes. Data remembered
+ * about one backend (position snapshots, import fingerprints) means nothing
+ * to the other, so each mode keeps its own copy.
+ */
+
+const MODE_KEY = 'allocraft_api_mode';
+
+export function isMockBackendEnabled(): boolean {
+    try {
+        const stored = localStorage.getItem(MODE_KEY);
+        if (stored) return stored === 'local';
+    } catch {
+        // Storage blocked: fall through to the build default
+    }
+    return (import.meta as any).env?.VITE_MOCK_BACKEND === 'true';
+}
+
+export function setMockBackendEnabled(enabled: boolean): void {
+    try {
+        localStorage.setItem(MODE_KEY, enabled ? 'local' : 'remote');
+    } catch (error) {
+        console.warn('Failed to save API mode to localStorage:', error);
+    }
+}
+
+/** `key` for the real backend, `key:local` while local mode is on */
+export const modeStorageKey = (key: string): string => (isMockBackendEnabled() ? `${key}:local` : key);
@@ -0,0 +1,807 @@
+/**
+ * Mock Backend Routes
+ *
+ * The FastAPI routes the app calls, answered from the mock store. Handlers
+ * get the parsed request and the store's data and return a JSON body, or
+ * throw MockHttpError for the status codes the real backend would send.
+ * Routes that change data are marked so the store is written through after
+ * them. Lots are split from each cycle's events the way the lot timeline
+ * splits them and stored so their ids, and the covered calls bound to them,
+ * stay put while events are added.
+ */
+
+import { WheelEventType } from '../../types/api';
+import { calculateCyclePnL, groupEventsByCycle, replayWheelEvents, sumPnLComponents } from '../../utils/wheelPnLEngine';
+import { computeAdjustedCostBasis } from '../../utils/lotHelpers';
+import { groupEventsIntoLots } from '../../features/wheels/viewModel';
+import { projectUpcomingDividends, WheelDetectionService } from '../wheelDetection';
+import { daysBetween } from '../rollAnalyzer';
+import { optionFieldsOf } from '../../utils/occSymbol';
+import { nextMockId } from './store';
+import type { MockData } from './fixtures';
+
+type AnyRecord = Record<string, any>;
+
+export interface MockRequest {
+    method: string;
+    path: string;
+    params: Record<string, string>;
+    query: URLSearchParams;
+    headers: Headers;
+    body: any;
+}
+
+export class MockHttpError extends Error {
+    public status: number;
+
+    constructor(status: number, message: string) {
+        super(message);
+        this.name = 'MockHttpError';
+        this.status = status;
+    }
+}
+
+export interface MockRoute {
+    method: string;
+    pattern: RegExp;
+    keys: string[];
+    /** Whether the store must be written after the handler runs */
+    mutates: boolean;
+    handler: (request: MockRequest, data: MockData) => unknown;
+}
+
+const EVENT_TYPES = new Set<string>(Object.values(WheelEventType));
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const today = (): string => new Date().toISOString().slice(0, 10);
+
+/** Paths are matched without their trailing slash, as FastAPI redirects them */
+export const trimPath = (path: string): string => (path.length > 1 ? path.replace(/\/+$/, '') : path);
+
+function route(method: string, path: string, handler: MockRoute['handler'], mutates = false): MockRoute {
+    const keys: string[] = [];
+    const source = trimPath(path).replace(/:(\w+)/g, (_match, key: string) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+    return { method, pattern: new RegExp(`^${source}$`), keys, mutates, handler };
+}
+
+function findById(records: AnyRecord[], id: string, label: string): AnyRecord {
+    const record = records.find((r) => String(r.id) === id);
+    if (!record) throw new MockHttpError(404, `${label} not found`);
+    return record;
+}
+
+function removeById(records: AnyRecord[], id: string, label: string): { ok: true; id: number } {
+    const index = records.findIndex((r) => String(r.id) === id);
+    if (index < 0) throw new MockHttpError(404, `${label} not found`);
+    records.splice(index, 1);
+    return { ok: true, id: Number(id) };
+}
+
+/** Fields a client may set; ids and ownership stay with the store */
+const editable = (body: AnyRecord = {}): AnyRecord => {
+    const fields = { ...(body || {}) };
+    delete fields.id;
+    return fields;
+};
+
+// ----- auth -----
+
+const tokenFor = (user: AnyRecord): string => `mock-token-${user.id}`;
+
+function publicUser(user: AnyRecord): AnyRecord {
+    const visible = { ...user };
+    delete visible.password;
+    return visible;
+}
+
+function currentUser(request: MockRequest, data: MockData): AnyRecord {
+    const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const user = data.users.find((u) => tokenFor(u) === token);
+    if (!user) throw new MockHttpError(401, 'Not authenticated');
+    return user;
+}
+
+/** Login sends a form, register sends JSON; accept either for both */
+function credentials(body: any): AnyRecord {
+    if (body instanceof URLSearchParams) return Object.fromEntries(body.entries());
+    if (typeof body === 'string') {
+        try {
+            return JSON.parse(body);
+        } catch {
+            return Object.fromEntries(new URLSearchParams(body).entries());
+        }
+    }
+    return body || {};
+}
+
+// ----- portfolio -----
+
+const isOption = (position: AnyRecord): boolean => position.asset_type === 'OPTION';
+
+function accountsView(data: MockData): AnyRecord[] {
+    return data.accounts.map((account) => {
+        const held = data.positions.filter((p) => String(p.account_id) === String(account.id));
+        return {
+            ...account,
+            position_count: held.length,
+            total_value: round2(num(account.cash_balance) + held.reduce((sum, p) => sum + num(p.market_value), 0)),
+        };
+    });
+}
+
+function importPositions(body: AnyRecord, data: MockData): AnyRecord {
+    if (!Array.isArray(body?.accounts)) throw new MockHttpError(422, 'Import payload needs an accounts list');
+    const importedAt = new Date().toISOString();
+    let imported = 0;
+
+    for (const incoming of body.accounts) {
+        let account = data.accounts.find((a) => a.account_number === incoming.account_number);
+        if (!account) {
+            account = {
+                id: String(nextMockId(data)),
+                account_number: incoming.account_number,
+                account_type: incoming.account_type || 'UNKNOWN',
+                brokerage: incoming.brokerage || 'schwab',
+                cash_balance: num(incoming.cash_balance ?? incoming.balances?.cash_balance),
+            };
+            data.accounts.push(account);
+        }
+        account.last_synced = importedAt;
+
+        // An import replaces everything the account held
+        data.positions = data.positions.filter((p) => String(p.account_id) !== String(account.id));
+        for (const position of incoming.positions || []) {
+            data.positions.push({
+                ...position,
+                id: nextMockId(data),
+                account_id: Number(account.id),
+                data_source: position.data_source || 'schwab_import',
+                status: position.status || 'Active',
+                last_updated: importedAt,
+            });
+            imported += 1;
+        }
+    }
+    return { imported_count: imported, accounts_count: body.accounts.length };
+}
+
+// ----- schwab -----
+// The local accounts stand in for a linked Schwab login, so the Schwab
+// screens read the store's positions instead of a live account.
+
+const accountHash = (account: AnyRecord): string => `local-${account.id}`;
+
+function findAccountByHash(data: MockData, hash: string): AnyRecord {
+    const account = data.accounts.find((a) => accountHash(a) === hash);
+    if (!account) throw new MockHttpError(404, 'Account not found');
+    return account;
+}
+
+const heldBy = (data: MockData, account: AnyRecord): AnyRecord[] =>
+    data.positions.filter((p) => String(p.account_id) === String(account.id));
+
+const toSchwabPosition = (position: AnyRecord): AnyRecord => ({
+    instrument: {
+        symbol: position.symbol,
+        assetType: position.asset_type,
+        description: position.description ?? position.symbol,
+        underlyingSymbol: position.underlying_symbol,
+        putCall: isOption(position) ? String(optionFieldsOf(position).optionType || '') || undefined : undefined,
+    },
+    longQuantity: num(position.long_quantity),
+    shortQuantity: num(position.short_quantity),
+    averagePrice: num(position.average_price),
+    marketValue: num(position.market_value),
+    currentDayProfitLoss: num(position.current_day_profit_loss),
+});
+
+/** An account in Schwab's accounts-endpoint shape */
+function schwabAccount(data: MockData, account: AnyRecord): AnyRecord {
+    const held = heldBy(data, account);
+    const longValue = held.reduce((sum, p) => sum + Math.max(num(p.market_value), 0), 0);
+    const shortValue = held.reduce((sum, p) => sum + Math.min(num(p.market_value), 0), 0);
+    const liquidationValue = round2(num(account.cash_balance) + longValue + shortValue);
+    return {
+        securitiesAccount: {
+            accountNumber: account.account_number,
+            type: account.account_type,
+            positions: held.map(toSchwabPosition),
+            currentBalances: {
+                cashBalance: num(account.cash_balance),
+                buyingPower: num(account.buying_power ?? account.cash_balance),
+                longMarketValue: round2(longValue),
+                shortMarketValue: round2(shortValue),
+                liquidationValue,
+            },
+        },
+        aggregatedBalance: { currentLiquidationValue: liquidationValue, liquidationValue },
+    };
+}
+
+/** Every account with its positions, in the file format the import route reads back */
+function exportPositions(data: MockData): AnyRecord {
+    const accounts = data.accounts.map((account) => ({
+        account_number: account.account_number,
+        account_type: account.account_type,
+        brokerage: account.brokerage,
+        cash_balance: num(account.cash_balance),
+        positions: heldBy(data, account).map((position) => {
+            const exported = { ...position };
+            delete exported.id;
+            delete exported.account_id;
+            return exported;
+        }),
+    }));
+    return {
+        export_info: {
+            export_timestamp: new Date().toISOString(),
+            total_accounts: accounts.length,
+            total_positions: accounts.reduce((sum, a) => sum + a.positions.length, 0),
+            source: 'local',
+        },
+        accounts,
+    };
+}
+
+const alreadySynced = (data: MockData): AnyRecord => ({
+    success: true,
+    message: 'Local backend: positions are already current',
+    synced_accounts: data.accounts.length,
+});
+
+function importSchwabPositions(body: AnyRecord, data: MockData): AnyRecord {
+    const known = new Set(data.accounts.map((a) => a.account_number));
+    const result = importPositions(body, data);
+    return {
+        ...result,
+        success: true,
+        accounts_created: body.accounts.filter((a: AnyRecord) => !known.has(a.account_number)).length,
+        positions_created: result.imported_count,
+    };
+}
+
+// ----- stocks and options -----
+
+function stockSectors(data: MockData): AnyRecord[] {
+    const sectors = new Map<string, AnyRecord>();
+    for (const stock of data.stocks.filter((s) => s.status !== 'Sold')) {
+        const sector = stock.sector || 'Unknown';
+        const entry = sectors.get(sector) || { sector, count: 0, total_value: 0, total_cost: 0, unrealized_pl: 0 };
+        const value = num(stock.shares) * num(stock.current_price ?? stock.cost_basis);
+        const cost = num(stock.shares) * num(stock.cost_basis);
+        entry.count += 1;
+        entry.total_value = round2(entry.total_value + value);
+        entry.total_cost = round2(entry.total_cost + cost);
+        entry.unrealized_pl = round2(entry.total_value - entry.total_cost);
+        sectors.set(sector, entry);
+    }
+    return Array.from(sectors.values());
+}
+
+/** Prices come from the positions, the only market data the local backend has */
+function refreshPrices(records: AnyRecord[], priceOf: (record: AnyRecord) => number | undefined): AnyRecord {
+    const refreshedAt = new Date().toISOString();
+    let updated = 0;
+    for (const record of records) {
+        const price = priceOf(record);
+        if (price === undefined) continue;
+        record.current_price = price;
+        record.price_last_updated = refreshedAt;
+        updated += 1;
+    }
+    return { updated };
+}
+
+/** The refresh summary the portfolio price routes answer with */
+function fixedPriceSummary(totalPositions: number): AnyRecord {
+    return {
+        success: true,
+        message: 'Local backend prices are fixed; nothing to refresh',
+        summary: {
+            total_positions: totalPositions,
+            stocks_updated: 0,
+            options_updated: 0,
+            market_value_recalculated: 0,
+            update_timestamp: new Date().toISOString(),
+        },
+    };
+}
+
+/** Selected positions arrive as a bare list of ids */
+function refreshSelectedPrices(body: unknown, data: MockData): AnyRecord {
+    if (!Array.isArray(body)) throw new MockHttpError(422, 'Expected a list of position ids');
+    const ids = new Set(body.map(String));
+    return fixedPriceSummary(data.positions.filter((p) => ids.has(String(p.id))).length);
+}
+
+function dashboardSnapshot(data: MockData): AnyRecord {
+    const openStocks = data.stocks.filter((s) => s.status === 'Open');
+    const openOptions = data.options.filter((o) => o.status === 'Open');
+    const stockValue = openStocks.reduce((sum, s) => sum + num(s.shares) * num(s.current_price ?? s.cost_basis), 0);
+    const stockBasis = openStocks.reduce((sum, s) => sum + num(s.shares) * num(s.cost_basis), 0);
+    const optionValue = openOptions.reduce((sum, o) => sum + num(o.contracts) * num(o.market_price_per_contract ?? o.cost_basis) * 100, 0);
+    const optionBasis = openOptions.reduce((sum, o) => sum + num(o.contracts) * num(o.cost_basis) * 100, 0);
+
+    const openCycles = data.cycles.filter((c) => String(c.status || 'Open').toLowerCase() !== 'closed');
+    const eventsByCycle = groupEventsByCycle(data.events as any[]);
+    // Collateral is what the open short puts would cost if assigned
+    const collateral = openCycles.reduce((sum, cycle) => sum + replayWheelEvents(eventsByCycle[String(cycle.id)] || []).openLegs
+        .filter((leg) => leg.optionType === 'PUT')
+        .reduce((legSum, leg) => legSum + num(leg.strike) * leg.contracts * leg.deliverableShares, 0), 0);
+
+    return {
+        portfolio: {
+            total_value: round2(stockValue + optionValue),
+            total_pl: round2(stockValue - stockBasis + optionValue - optionBasis),
+            active_positions: openStocks.length + openOptions.length,
+        },
+        stocks: { total_value: round2(stockValue), invested_basis: round2(stockBasis) },
+        options: { total_value: round2(optionValue), invested_basis: round2(optionBasis) },
+        wheels: { open_tickers: new Set(openCycles.map((c) => c.ticker)).size, total_collateral: round2(collateral) },
+        generated_at: new Date().toISOString(),
+    };
+}
+
+// ----- wheels -----
+
+function createCycle(body: AnyRecord, data: MockData): AnyRecord {
+    const ticker = String(body?.ticker || '').toUpperCase();
+    if (!ticker) throw new MockHttpError(422, 'ticker is required');
+    const count = data.cycles.filter((c) => c.ticker === ticker).length;
+    const cycle = {
+        cycle_key: `${ticker}-${count + 1}`,
+        started_at: today(),
+        status: 'Open',
+        ...editable(body),
+        ticker,
+        id: nextMockId(data),
+    };
+    data.cycles.push(cycle);
+    return cycle;
+}
+
+function createEvent(body: AnyRecord, data: MockData): AnyRecord {
+    if (!EVENT_TYPES.has(body?.event_type)) {
+        throw new MockHttpError(422, `Unsupported event_type: ${body?.event_type}`);
+    }
+    findById(data.cycles, String(body.cycle_id), 'Wheel cycle');
+    const event = {
+        ...editable(body),
+        cycle_id: Number(body.cycle_id),
+        trade_date: String(body.trade_date || today()).slice(0, 10),
+        id: nextMockId(data),
+    };
+    data.events.push(event);
+    return event;
+}
+
+const cycleEvents = (data: MockData, cycleId: string): AnyRecord[] =>
+    data.events.filter((e) => String(e.cycle_id) === cycleId);
+
+const tickerOf = (position: AnyRecord): string =>
+    String((isOption(position) ? position.underlying_symbol : position.symbol) || '').toUpperCase();
+
+function cycleMetrics(data: MockData, cycleId: string): AnyRecord {
+    const cycle = findById(data.cycles, cycleId, 'Wheel cycle');
+    const stock = data.positions.find((p) => !isOption(p) && tickerOf(p) === cycle.ticker);
+    const currentPrice = stock ? num(stock.current_price) : undefined;
+    const pnl = replayWheelEvents(cycleEvents(data, cycleId) as any[], { currentPrice });
+    return {
+        shares_owned: pnl.sharesOpen,
+        average_cost_basis: round2(pnl.averageCost),
+        total_cost_remaining: round2(pnl.stockCostOpen),
+        net_options_cashflow: round2(pnl.premium),
+        realized_stock_pl: round2(pnl.capitalGain),
+        total_realized_pl: round2(pnl.realized),
+        current_price: currentPrice,
+        unrealized_pl: round2(pnl.unrealized),
+    };
+}
+
+/** A cycle goes with its events and lots */
+function deleteCycle(data: MockData, cycleId: string): AnyRecord {
+    const removed = removeById(data.cycles, cycleId, 'Wheel cycle');
+    data.events = data.events.filter((e) => String(e.cycle_id) !== cycleId);
+    data.lots = storedLots(data).filter((lot) => String(lot.cycle_id) !== cycleId);
+    return removed;
+}
+
+function closeCycle(data: MockData, cycleId: string, body: AnyRecord): AnyRecord {
+    return Object.assign(findById(data.cycles, cycleId, 'Wheel cycle'), {
+        status: 'Closed',
+        closed_at: today(),
+        close_reason: body?.reason,
+    });
+}
+
+/** Latest cycle of a ticker with its events, in the legacy ticker-data shape */
+function tickerData(data: MockData, ticker: string): AnyRecord {
+    const cycles = data.cycles.filter((c) => c.ticker === ticker.toUpperCase());
+    if (cycles.length === 0) throw new MockHttpError(404, `No wheel cycle for ${ticker}`);
+    const cycle = cycles[cycles.length - 1];
+    const events = cycleEvents(data, String(cycle.id));
+    const lots = syncCycleLots(data, String(cycle.id));
+    return {
+        cycle,
+        events,
+        lots,
+        events_by_lot: Object.fromEntries(lots.map((lot) => [lot.id, lotEvents(data, lot)])),
+        summary: {
+            total_events: events.length,
+            total_premium: round2(replayWheelEvents(events as any[]).premium),
+            total_lots: lots.length,
+            active_lots: lots.filter((lot) => !String(lot.status).startsWith('CLOSED')).length,
+        },
+    };
+}
+
+/** Open short options on a ticker, in the leg shape the roll modal analyzes */
+function rollCandidates(data: MockData, ticker: string): AnyRecord[] {
+    return data.positions
+        .filter((p) => isOption(p) && tickerOf(p) === ticker.toUpperCase() && num(p.short_quantity) > 0)
+        .map((p) => {
+            const fields = optionFieldsOf(p);
+            return {
+                id: p.id,
+                symbol: p.symbol,
+                option_type: String(fields.optionType || '').toLowerCase(),
+                strike: fields.strike,
+                expiration: fields.expiration,
+                contracts: num(p.short_quantity),
+                premium: p.average_price ?? null,
+                current_price: p.current_price ?? null,
+                days_to_expiration: fields.expiration ? daysBetween(new Date(), fields.expiration) : null,
+                status: 'open',
+                reason: 'Open short option',
+            };
+        });
+}
+
+// ----- lots -----
+
+/** Data saved before lots were stored has none */
+const storedLots = (data: MockData): AnyRecord[] => (data.lots ||= []);
+
+const lotEvents = (data: MockData, lot: AnyRecord): AnyRecord[] =>
+    data.events.filter((e) => (lot.event_ids || []).includes(e.id));
+
+/**
+ * Re-split a cycle's events into lots. A lot keeps its id, and the calls
+ * bound to it, as long as the event that opened it (short put, share
+ * purchase or LEAPS) exists; bound calls go to their lot in the split.
+ */
+function syncCycleLots(data: MockData, cycleId: string): AnyRecord[] {
+    const cycle = findById(data.cycles, cycleId, 'Wheel cycle');
+    const events = cycleEvents(data, cycleId);
+    const previous = storedLots(data).filter((lot) => String(lot.cycle_id) === cycleId);
+    const boundCalls = Object.fromEntries(previous.flatMap((lot) =>
+        (lot.call_event_ids || []).map((callId: number) => [String(callId), lot.open_event_id])));
+
+    const lots = groupEventsIntoLots(events as any[], boundCalls).map((draft) => {
+        const openEventId = draft.events[0]?.id;
+        const lot = previous.find((l) => l.open_event_id === openEventId)
+            ?? { id: nextMockId(data), cycle_id: Number(cycleId), created_at: new Date().toISOString(), call_event_ids: [] };
+        return Object.assign(lot, {
+            ticker: cycle.ticker,
+            lot_no: draft.lotNo,
+            open_event_id: openEventId,
+            acquisition_method: draft.acquisition.type,
+            acquisition_date: draft.acquisition.date,
+            status: draft.status,
+            cost_basis_effective: draft.acquisition.type === 'CASH_SECURED_PUT'
+                ? null
+                : round2(computeAdjustedCostBasis({ status: draft.status, acquisition_method: draft.acquisition.type }, draft.events).adjustedBasis),
+            event_ids: draft.events.map((e) => e.id),
+            call_event_ids: lot.call_event_ids.filter((callId: number) => events.some((e) => e.id === callId)),
+            covering_call_event_id: draft.call && !draft.callClosed ? draft.call.id : null,
+        });
+    });
+
+    data.lots = storedLots(data).filter((lot) => String(lot.cycle_id) !== cycleId).concat(lots);
+    return lots;
+}
+
+/** A lot, re-split from its cycle's current events */
+function findLot(data: MockData, lotId: string): AnyRecord {
+    const lot = findById(storedLots(data), lotId, 'Lot');
+    return findById(syncCycleLots(data, String(lot.cycle_id)), lotId, 'Lot');
+}
+
+/** Cover a lot with an open call, moving the call off whichever lot the split gave it to */
+function bindCall(data: MockData, lotId: string, body: AnyRecord): AnyRecord {
+    const lot = findLot(data, lotId);
+    const call = findById(data.events, String(body?.option_event_id), 'Wheel event');
+    const open = replayWheelEvents(cycleEvents(data, String(lot.cycle_id)) as any[]).openLegs
+        .some((leg) => leg.optionType === 'CALL' && String(leg.openEventId) === String(call.id));
+    if (String(call.cycle_id) !== String(lot.cycle_id) || !open) {
+        throw new MockHttpError(422, `Event ${call.id} is not an open call in this lot's cycle`);
+    }
+    if (lot.status !== 'OPEN_UNCOVERED' && lot.covering_call_event_id !== call.id) {
+        throw new MockHttpError(409, lot.status === 'OPEN_COVERED'
+            ? `Lot ${lot.id} is already covered by call ${lot.covering_call_event_id}`
+            : `Lot ${lot.id} holds no shares to cover`);
+    }
+    for (const other of storedLots(data)) {
+        other.call_event_ids = (other.call_event_ids || []).filter((callId: number) => callId !== call.id);
+    }
+    lot.call_event_ids.push(call.id);
+    return findLot(data, lotId);
+}
+
+/** Release the lot's open call; calls it already closed stay in its history */
+function unbindCall(data: MockData, lotId: string): AnyRecord {
+    const lot = findLot(data, lotId);
+    lot.call_event_ids = lot.call_event_ids.filter((callId: number) => callId !== lot.covering_call_event_id);
+    return findLot(data, lotId);
+}
+
+function lotMetrics(data: MockData, lotId: string): AnyRecord {
+    const lot = findLot(data, lotId);
+    const stock = data.positions.find((p) => !isOption(p) && tickerOf(p) === lot.ticker);
+    const pnl = replayWheelEvents(lotEvents(data, lot) as any[], { currentPrice: stock ? num(stock.current_price) : undefined });
+    return {
+        lot_id: lot.id,
+        net_premiums: round2(pnl.premium),
+        stock_cost_total: round2(pnl.stockCostOpen),
+        fees_total: round2(pnl.fees),
+        realized_pl: round2(pnl.realized),
+        unrealized_pl: round2(pnl.unrealized),
+    };
+}
+
+/** The lot's events, with the call covering it marked */
+function lotLinks(data: MockData, lotId: string): AnyRecord[] {
+    const lot = findLot(data, lotId);
+    return lotEvents(data, lot).map((e) => ({
+        lot_id: lot.id,
+        event_id: e.id,
+        event_type: e.event_type,
+        trade_date: e.trade_date,
+        covering_call: e.id === lot.covering_call_event_id,
+    }));
+}
+
+/** Re-split one cycle's lots, or every cycle's */
+function rebuildLots(data: MockData, cycleId: string | null): AnyRecord {
+    const cycleIds = cycleId ? [cycleId] : data.cycles.map((c) => String(c.id));
+    const rebuilt = cycleIds.reduce((count, id) => count + syncCycleLots(data, id).length, 0);
+    return { rebuilt };
+}
+
+const snakeCase = (key: string): string => key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+
+/** Detection results in the backend's snake_case */
+function toSnakeCase(value: any): any {
+    if (Array.isArray(value)) return value.map(toSnakeCase);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [snakeCase(key), toSnakeCase(inner)]));
+    }
+    return value;
+}
+
+function detectWheels(body: AnyRecord, data: MockData): AnyRecord[] {
+    const accountId = body?.account_id;
+    const tickers = new Set<string>((body?.specific_tickers || []).map((t: string) => t.toUpperCase()));
+    const positions = data.positions
+        .filter((p) => accountId == null || String(p.account_id) === String(accountId))
+        .filter((p) => tickers.size === 0 || tickers.has(tickerOf(p)))
+        .map((p) => {
+            const quantity = num(p.long_quantity) - num(p.short_quantity);
+            return {
+                id: p.id,
+                symbol: p.symbol,
+                isOption: isOption(p),
+                shares: isOption(p) ? undefined : quantity,
+                contracts: isOption(p) ? quantity : undefined,
+                marketValue: num(p.market_value),
+                source: p.data_source,
+            };
+        });
+    const cashBalance = body?.options?.cash_balance ?? data.accounts
+        .filter((a) => accountId == null || String(a.id) === String(accountId))
+        .reduce((sum, a) => sum + num(a.cash_balance), 0);
+
+    return toSnakeCase(WheelDetectionService.detectWheelStrategies(positions, {
+        riskTolerance: body?.options?.risk_tolerance,
+        cashBalance,
+        dividends: projectUpcomingDividends(data.cycles, data.events),
+    } as any));
+}
+
+export const MOCK_ROUTES: MockRoute[] = [
+    route('GET', '/healthz', () => ({ status: 'ok', mode: 'local' })),
+    route('GET', '/health', () => ({ status: 'ok', mode: 'local' })),
+
+    // Auth
+    route('POST', '/auth/login', ({ body }, data) => {
+        const { username, password } = credentials(body);
+        const user = data.users.find((u) => u.username === username && u.password === password);
+        if (!user) throw new MockHttpError(401, 'Incorrect username or password');
+        return { access_token: tokenFor(user), token_type: 'bearer' };
+    }),
+    route('POST', '/auth/register', ({ body }, data) => {
+        const { username, email, password } = credentials(body);
+        if (!username || !password) throw new MockHttpError(422, 'username and password are required');
+        if (data.users.some((u) => u.username === username)) throw new MockHttpError(400, 'Username already registered');
+        const user = { id: nextMockId(data), username, email: email || '', password, is_active: true, roles: 'user' };
+        data.users.push(user);
+        return publicUser(user);
+    }, true),
+    route('GET', '/auth/me', (request, data) => publicUser(currentUser(request, data))),
+
+    // Stocks
+    route('GET', '/stocks', (_request, data) => data.stocks),
+    route('GET', '/stocks/sectors', (_request, data) => stockSectors(data)),
+    route('POST', '/stocks/refresh-prices', (_request, data) => refreshPrices(data.stocks, (stock) => {
+        const position = data.positions.find((p) => !isOption(p) && tickerOf(p) === stock.ticker);
+        return position ? num(position.current_price) : undefined;
+    }), true),
+    route('POST', '/stocks', ({ body }, data) => {
+        const stock = { status: 'Open', entry_date: today(), ...editable(body), id: nextMockId(data) };
+        data.stocks.push(stock);
+        return stock;
+    }, true),
+    route('PUT', '/stocks/:id', ({ params, body }, data) => Object.assign(findById(data.stocks, params.id, 'Stock'), editable(body)), true),
+    route('DELETE', '/stocks/:id', ({ params }, data) => removeById(data.stocks, params.id, 'Stock'), true),
+
+    // Options
+    route('GET', '/options', (_request, data) => data.options),
+    route('GET', '/options/expiries', (_request, data) => Array.from(new Set(data.options.map((o) => o.expiry_date))).sort()),
+    route('POST', '/options/refresh-prices', (_request, data) => refreshPrices(data.options, (option) => {
+        const position = data.positions.find((p) => isOption(p) && tickerOf(p) === option.ticker
+            && num(p.strike_price) === num(option.strike_price) && p.expiration_date === option.expiry_date);
+        return position ? num(position.current_price) : undefined;
+    }), true),
+    route('POST', '/options', ({ body }, data) => {
+        const option = { status: 'Open', ...editable(body), id: nextMockId(data) };
+        data.options.push(option);
+        return option;
+    }, true),
+    route('PUT', '/options/:id', ({ params, body }, data) => Object.assign(findById(data.options, params.id, 'Option'), editable(body)), true),
+    route('DELETE', '/options/:id', ({ params }, data) => removeById(data.options, params.id, 'Option'), true),
+
+    // Portfolio
+    route('GET', '/portfolio/positions', (_request, data) => ({ total_positions: data.positions.length, positions: data.positions })),
+    route('GET', '/portfolio/positions/stocks', (_request, data) => data.positions.filter((p) => !isOption(p))),
+    route('GET', '/portfolio/positions/options', (_request, data) => data.positions.filter(isOption)),
+    route('GET', '/portfolio/options', (_request, data) => data.positions.filter(isOption)),
+    route('GET', '/portfolio/accounts', (_request, data) => {
+        const accounts = accountsView(data);
+        return { total_accounts: accounts.length, accounts };
+    }),
+    route('GET', '/portfolio/summary', (_request, data) => {
+        const accounts = accountsView(data);
+        return { total_accounts: accounts.length, accounts, total_value: round2(accounts.reduce((sum, a) => sum + a.total_value, 0)) };
+    }),
+    route('POST', '/portfolio/import/positions', ({ body }, data) => importPositions(body, data), true),
+    route('POST', '/portfolio/refresh-all-prices', (_request, data) => fixedPriceSummary(data.positions.length)),
+    route('POST', '/portfolio/refresh-selected-prices', ({ body }, data) => refreshSelectedPrices(body, data)),
+
+    // Schwab sync has nothing to pull in local mode; imports change positions instead
+    route('POST', '/schwab/sync', (_request, data) => alreadySynced(data)),
+    route('GET', '/schwab/sync-status', (_request, data) => ({
+        accounts: data.accounts.map((a) => ({ account_id: a.id, account_number: a.account_number, last_synced: a.last_synced ?? null })),
+    })),
+    route('GET', '/schwab/health', () => ({ status: 'ok', mode: 'local' })),
+    route('GET', '/schwab/status', () => ({ connected: true, has_access_token: false, has_refresh_token: false, token_expires_at: null })),
+    route('GET', '/schwab/auth-url', () => {
+        throw new MockHttpError(501, 'Schwab login is not available with the local backend');
+    }),
+    route('POST', '/schwab/refresh-token', () => ({ success: true })),
+    route('DELETE', '/schwab/disconnect', () => ({ success: true })),
+    route('GET', '/schwab/accounts', (_request, data) => data.accounts.map((a) => ({ accountNumber: a.account_number, hashValue: accountHash(a) }))),
+    route('GET', '/schwab/accounts-with-positions', (_request, data) => data.accounts.map((a) => schwabAccount(data, a))),
+    route('GET', '/schwab/accounts/:hash', ({ params }, data) => schwabAccount(data, findAccountByHash(data, params.hash))),
+    route('GET', '/schwab/accounts/:hash/positions', ({ params }, data) => schwabAccount(data, findAccountByHash(data, params.hash))),
+    route('GET', '/schwab/positions', (_request, data) => ({ total_positions: data.positions.length, positions: data.positions })),
+    route('GET', '/schwab/export/positions', (_request, data) => exportPositions(data)),
+    route('POST', '/schwab/import/positions', ({ body }, data) => importSchwabPositions(body, data), true),
+    // The development mock endpoints read the same store
+    route('GET', '/schwab/mock/positions', (_request, data) => exportPositions(data)),
+    route('POST', '/schwab/mock/load-data', (_request, data) => ({
+        success: true,
+        message: 'Local backend: the store already holds the seed data',
+        accounts: data.accounts.length,
+        positions: data.positions.length,
+    })),
+    route('POST', '/schwab/mock/sync', (_request, data) => alreadySynced(data)),
+
+    // Dashboard
+    route('GET', '/dashboard/snapshot', (_request, data) => dashboardSnapshot(data)),
+
+    // Wheel cycles
+    route('GET', '/wheels/wheel-cycles', (_request, data) => data.cycles),
+    route('POST', '/wheels/wheel-cycles', ({ body }, data) => createCycle(body, data), true),
+    route('GET', '/wheels/wheel-cycles/:id', ({ params }, data) => findById(data.cycles, params.id, 'Wheel cycle')),
+    route('PUT', '/wheels/wheel-cycles/:id', ({ params, body }, data) => Object.assign(findById(data.cycles, params.id, 'Wheel cycle'), editable(body)), true),
+    route('PATCH', '/wheels/wheel-cycles/:id', ({ params, body }, data) => Object.assign(findById(data.cycles, params.id, 'Wheel cycle'), editable(body)), true),
+    route('DELETE', '/wheels/wheel-cycles/:id', ({ params }, data) => deleteCycle(data, params.id), true),
+    route('POST', '/wheels/wheel-cycles/:id/close', ({ params, body }, data) => closeCycle(data, params.id, body), true),
+    route('POST', '/wheels/wheel-cycles/:id/roll', ({ params }, data) => findById(data.cycles, params.id, 'Wheel cycle')),
+    route('PATCH', '/wheels/wheel-cycles/:id/status', ({ params, body }, data) => {
+        const cycle = findById(data.cycles, params.id, 'Wheel cycle');
+        cycle.status_history = [...(cycle.status_history || []), body?.history_entry].filter(Boolean);
+        return Object.assign(cycle, { status: body?.status ?? cycle.status });
+    }, true),
+    route('GET', '/wheels/wheel-cycles/:id/status/history', ({ params }, data) => findById(data.cycles, params.id, 'Wheel cycle').status_history || []),
+    route('GET', '/wheels/wheel-cycles/:id/performance', ({ params }, data) => {
+        findById(data.cycles, params.id, 'Wheel cycle');
+        const pnl = calculateCyclePnL(cycleEvents(data, params.id) as any[], { cycleId: params.id });
+        return {
+            cycle_id: Number(params.id),
+            realized: pnl.realized,
+            unrealized: pnl.unrealized,
+            premium: pnl.premium,
+            capital_gain: pnl.capitalGain,
+            dividends: pnl.dividends,
+            fees: pnl.fees,
+            total: pnl.total,
+            shares_open: pnl.sharesOpen,
+            average_cost: pnl.averageCost,
+        };
+    }),
+    route('GET', '/wheels/wheel-cycles/:id/positions', ({ params }, data) => {
+        const cycle = findById(data.cycles, params.id, 'Wheel cycle');
+        return data.positions.filter((p) => tickerOf(p) === cycle.ticker);
+    }),
+    route('GET', '/wheels/performance', (_request, data) => {
+        const byCycle = groupEventsByCycle(data.events as any[]);
+        const totals = sumPnLComponents(data.cycles.map((c) => replayWheelEvents(byCycle[String(c.id)] || [])));
+        return {
+            total_cycles: data.cycles.length,
+            open_cycles: data.cycles.filter((c) => String(c.status || 'Open').toLowerCase() !== 'closed').length,
+            ...totals,
+        };
+    }),
+
+    // Older wheel endpoints some modals and the phase view still call
+    route('DELETE', '/wheels/cycles/:id', ({ params }, data) => deleteCycle(data, params.id), true),
+    route('GET', '/wheels/:ticker/data', ({ params }, data) => tickerData(data, params.ticker), true),
+    route('GET', '/wheels/:ticker/roll-candidates', ({ params }, data) => rollCandidates(data, params.ticker)),
+    route('PUT', '/wheels/:id', ({ params, body }, data) => Object.assign(findById(data.cycles, params.id, 'Wheel cycle'), editable(body)), true),
+    route('POST', '/wheels/:id/close', ({ params, body }, data) => closeCycle(data, params.id, body), true),
+    route('GET', '/wheels/wheel-metrics/:id', ({ params }, data) => cycleMetrics(data, params.id)),
+    route('POST', '/wheels/detect', ({ body }, data) => detectWheels(body, data)),
+
+    // Wheel events
+    route('GET', '/wheels/wheel-events', ({ query }, data) => {
+        const cycleId = query.get('cycle_id');
+        return cycleId ? cycleEvents(data, cycleId) : data.events;
+    }),
+    route('POST', '/wheels/wheel-events', ({ body }, data) => createEvent(body, data), true),
+    route('POST', '/wheels/events', ({ body }, data) => createEvent({ ...body, cycle_id: body?.cycle_id ?? body?.wheel_cycle_id }, data), true),
+    route('PUT', '/wheels/wheel-events/:id', ({ params, body }, data) => Object.assign(findById(data.events, params.id, 'Wheel event'), editable(body)), true),
+    route('PATCH', '/wheels/wheel-events/:id', ({ params, body }, data) => Object.assign(findById(data.events, params.id, 'Wheel event'), editable(body)), true),
+    route('DELETE', '/wheels/wheel-events/:id', ({ params }, data) => removeById(data.events, params.id, 'Wheel event'), true),
+
+    // Lots, re-split from the events on every read so they follow event changes
+    route('GET', '/wheels/cycles/:id/lots', ({ params }, data) => syncCycleLots(data, params.id), true),
+    route('POST', '/wheels/lots/rebuild', ({ query }, data) => rebuildLots(data, query.get('cycle_id')), true),
+    route('GET', '/wheels/lots/:id', ({ params }, data) => findLot(data, params.id), true),
+    route('GET', '/wheels/lots/:id/metrics', ({ params }, data) => lotMetrics(data, params.id), true),
+    route('GET', '/wheels/lots/:id/links', ({ params }, data) => lotLinks(data, params.id), true),
+    route('POST', '/wheels/lots/:id/bind-call', ({ params, body }, data) => bindCall(data, params.id, body), true),
+    route('POST', '/wheels/lots/:id/unbind-call', ({ params }, data) => unbindCall(data, params.id), true),
+];
+
+/** Route and path parameters for a request, or null when nothing matches */
+export function matchMockRoute(method: string, path: string): { route: MockRoute; params: Record<string, string> } | null {
+    const trimmed = trimPath(path);
+    for (const candidate of MOCK_ROUTES) {
+        if (candidate.method !== method) continue;
+        const match = candidate.pattern.exec(trimmed);
+        if (!match) continue;
+        const params = Object.fromEntries(candidate.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+        return { route: candidate, params };
+    }
+    return null;
+}
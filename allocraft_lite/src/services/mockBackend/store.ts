@@ -0,0 +1,92 @@
+/**
+ * Mock Backend Store
+ *
+ * The local backend's data, kept in memory and written through to IndexedDB
+ * so it survives reloads. Where IndexedDB is missing (tests, private
+ * windows) the store lives in memory only and starts from the fixtures on
+ * every load.
+ */
+
+import { seedMockData, type MockData } from './fixtures';
+
+const DB_NAME = 'allocraft_mock_backend';
+const OBJECT_STORE = 'state';
+const STATE_KEY = 'data';
+
+let cached: Promise<MockData> | null = null;
+let database: Promise<IDBDatabase | null> | null = null;
+
+function openDatabase(): Promise<IDBDatabase | null> {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    database ||= new Promise((resolve) => {
+        try {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Mock backend: IndexedDB unavailable, keeping data in memory:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Mock backend: IndexedDB unavailable, keeping data in memory:', error);
+            resolve(null);
+        }
+    });
+    return database;
+}
+
+function runRequest<T>(mode: IDBTransactionMode, operation: (store: IDBObjectStore) => IDBRequest<T>): Promise<T | undefined> {
+    return openDatabase().then((db) => new Promise((resolve, reject) => {
+        if (!db) return resolve(undefined);
+        const request = operation(db.transaction(OBJECT_STORE, mode).objectStore(OBJECT_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+async function loadData(): Promise<MockData> {
+    try {
+        const stored = await runRequest<MockData>('readonly', (store) => store.get(STATE_KEY));
+        if (stored && Array.isArray(stored.cycles)) return stored;
+    } catch (error) {
+        console.warn('Mock backend: failed to read stored data, reseeding:', error);
+    }
+    const seeded = seedMockData();
+    await persist(seeded);
+    return seeded;
+}
+
+async function persist(data: MockData): Promise<void> {
+    try {
+        await runRequest('readwrite', (store) => store.put(data, STATE_KEY));
+    } catch (error) {
+        console.warn('Mock backend: failed to save data to IndexedDB:', error);
+    }
+}
+
+/** The store's data, loading or seeding it on first use */
+export function getMockData(): Promise<MockData> {
+    cached ||= loadData();
+    return cached;
+}
+
+/** Apply a change to the data and write it through */
+export async function updateMockData<T>(change: (data: MockData) => T): Promise<T> {
+    const data = await getMockData();
+    const result = change(data);
+    await persist(data);
+    return result;
+}
+
+/** Id for a new record in any collection */
+export function nextMockId(data: MockData): number {
+    return data.nextId++;
+}
+
+/** Throw away every change and start again from the fixtures */
+export async function resetMockData(): Promise<MockData> {
+    const seeded = seedMockData();
+    cached = Promise.resolve(seeded);
+    await persist(seeded);
+    return seeded;
+}
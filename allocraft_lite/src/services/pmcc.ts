@@ -0,0 +1,217 @@
+/**
+ * Poor Man's Covered Call
+ *
+ * A PMCC (call diagonal) sells short calls against a long LEAPS call
+ * instead of 100 shares. The LEAPS is the cycle's collateral lot; rolling
+ * it sells the old long call and buys a later one.
+ * - Net debit is what the LEAPS cost less the call premium kept. While every
+ *   short strike is above the long strike it is the most the position can
+ *   lose.
+ * - A short strike at or below the long strike loses the difference on
+ *   assignment on top of the net debit: exercising the LEAPS to deliver
+ *   costs more than the short call pays.
+ * - The short call must expire before the LEAPS, and the LEAPS needs time
+ *   left to keep its value; below LEAPS_ROLL_DAYS it should be rolled.
+ * Short legs are paired with the lowest-strike LEAPS, the best collateral.
+ */
+
+import { CONTRACT_MULTIPLIER, replayWheelEvents, type PnLEvent } from '../utils/wheelPnLEngine';
+
+/** Long calls with at least this many days left count as LEAPS for a PMCC */
+export const LEAPS_MIN_DAYS = 180;
+/** Roll the long leg once it has fewer days than this left */
+export const LEAPS_ROLL_DAYS = 90;
+
+export interface PmccLongLeg {
+    strike: number;
+    expiration: string | null;
+    contracts: number;
+    /** Debit paid per share */
+    debit: number;
+}
+
+export interface PmccShortLeg {
+    strike: number;
+    expiration: string | null;
+    contracts: number;
+    /** Premium received per share */
+    premium: number;
+}
+
+export type PmccRiskCode =
+    | 'short_strike_at_or_below_long'
+    | 'width_below_debit'
+    | 'short_outlasts_long'
+    | 'long_leg_expiring'
+    | 'uncovered_short_calls';
+
+export interface PmccRisk {
+    code: PmccRiskCode;
+    severity: 'high' | 'medium';
+    message: string;
+}
+
+export interface PmccAnalysis {
+    longLegs: PmccLongLeg[];
+    shortLegs: PmccShortLeg[];
+    /** Total debit of the long calls */
+    longCost: number;
+    /** Call premium kept so far, net of buy-backs */
+    premiumCollected: number;
+    netDebit: number;
+    /** Underlying price at the short calls' expiration above which the position profits */
+    breakeven: number | null;
+    maxLoss: number;
+    /** P&L if the short calls are assigned and the LEAPS is exercised to deliver */
+    assignmentPnL: number | null;
+    /** Premium collected as a share of the LEAPS cost */
+    returnOnDebit: number | null;
+    risks: PmccRisk[];
+}
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const money = (value: number): string => `$${round2(value).toFixed(2)}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Whole days from `asOf` to an ISO date */
+export function daysUntil(date: string, asOf: Date = new Date()): number {
+    const start = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    return Math.round((Date.parse(`${date.slice(0, 10)}T00:00:00Z`) - start) / DAY_MS);
+}
+
+/** Whether a long call has enough time left to serve as a PMCC's LEAPS */
+export function isLeaps(expiration: string | null | undefined, asOf: Date = new Date()): boolean {
+    return !!expiration && daysUntil(expiration, asOf) >= LEAPS_MIN_DAYS;
+}
+
+/**
+ * Risk checks, net debit and max loss of a PMCC. `premiumCollected`
+ * defaults to the premium of the open short calls.
+ */
+export function analyzePmcc({
+    longLegs,
+    shortLegs,
+    premiumCollected,
+    asOf = new Date(),
+}: {
+    longLegs: PmccLongLeg[];
+    shortLegs: PmccShortLeg[];
+    premiumCollected?: number;
+    asOf?: Date;
+}): PmccAnalysis {
+    const multiplier = CONTRACT_MULTIPLIER;
+    const longCost = round2(longLegs.reduce((sum, leg) => sum + leg.debit * leg.contracts * multiplier, 0));
+    const collected = round2(premiumCollected
+        ?? shortLegs.reduce((sum, leg) => sum + leg.premium * leg.contracts * multiplier, 0));
+    const netDebit = round2(longCost - collected);
+
+    const longContracts = longLegs.reduce((sum, leg) => sum + leg.contracts, 0);
+    const shortContracts = shortLegs.reduce((sum, leg) => sum + leg.contracts, 0);
+    const anchor = longLegs.length
+        ? longLegs.reduce((best, leg) => (leg.strike < best.strike ? leg : best))
+        : null;
+
+    const risks: PmccRisk[] = [];
+    if (anchor) {
+        for (const short of shortLegs) {
+            const width = short.strike - anchor.strike;
+            if (width <= 0) {
+                risks.push({
+                    code: 'short_strike_at_or_below_long',
+                    severity: 'high',
+                    message: `Short ${money(short.strike)} call is at or below the ${money(anchor.strike)} LEAPS strike - `
+                        + `assignment loses ${money(-width * short.contracts * multiplier)} beyond the net debit`,
+                });
+            } else if (longContracts > 0 && width * multiplier * longContracts < netDebit) {
+                risks.push({
+                    code: 'width_below_debit',
+                    severity: 'medium',
+                    message: `Strike width of ${money(width)} is below the ${money(netDebit / (longContracts * multiplier))}/sh `
+                        + `net debit - assignment at ${money(short.strike)} locks in a loss`,
+                });
+            }
+            if (short.expiration && anchor.expiration && short.expiration > anchor.expiration) {
+                risks.push({
+                    code: 'short_outlasts_long',
+                    severity: 'high',
+                    message: `Short ${money(short.strike)} call expires ${short.expiration}, after the LEAPS on ${anchor.expiration}`,
+                });
+            }
+        }
+        if (anchor.expiration) {
+            const daysLeft = daysUntil(anchor.expiration, asOf);
+            if (daysLeft < LEAPS_ROLL_DAYS) {
+                risks.push({
+                    code: 'long_leg_expiring',
+                    severity: 'medium',
+                    message: `LEAPS expires in ${Math.max(daysLeft, 0)} days - roll the long leg to a later expiration`,
+                });
+            }
+        }
+    }
+    if (shortContracts > longContracts) {
+        risks.push({
+            code: 'uncovered_short_calls',
+            severity: 'high',
+            message: `${shortContracts} short call contract(s) against ${longContracts} LEAPS contract(s) - the excess is naked`,
+        });
+    }
+
+    const invertedLoss = anchor
+        ? shortLegs.reduce((sum, leg) => sum + Math.max(0, anchor.strike - leg.strike) * leg.contracts * multiplier, 0)
+        : 0;
+    const nearest = shortLegs.length
+        ? shortLegs.reduce((low, leg) => (leg.strike < low.strike ? leg : low))
+        : null;
+    const covered = Math.min(shortContracts, longContracts);
+
+    return {
+        longLegs,
+        shortLegs,
+        longCost,
+        premiumCollected: collected,
+        netDebit,
+        breakeven: anchor && longContracts > 0 ? round2(anchor.strike + netDebit / (longContracts * multiplier)) : null,
+        maxLoss: round2(Math.max(0, netDebit) + invertedLoss),
+        assignmentPnL: anchor && nearest && covered > 0
+            ? round2((nearest.strike - anchor.strike) * covered * multiplier - netDebit)
+            : null,
+        returnOnDebit: longCost > 0 ? round2((collected / longCost) * 10000) / 10000 : null,
+        risks,
+    };
+}
+
+/**
+ * PMCC analysis of a cycle from its events: open LEAPS and open short
+ * calls, with the call premium kept over the whole cycle.
+ */
+export function pmccFromEvents(events: Array<PnLEvent & { expiration_date?: string | null }>, asOf: Date = new Date()): PmccAnalysis {
+    const pnl = replayWheelEvents(events);
+    const byId = new Map((events || []).map((e) => [String(e.id), e]));
+
+    return analyzePmcc({
+        longLegs: pnl.openLongLegs.map((leg) => ({
+            strike: num(leg.strike),
+            expiration: leg.expiration ?? null,
+            contracts: leg.contracts,
+            debit: leg.debit / (leg.contracts * CONTRACT_MULTIPLIER),
+        })),
+        shortLegs: pnl.openLegs
+            .filter((leg) => leg.optionType === 'CALL')
+            .map((leg) => ({
+                strike: num(leg.strike),
+                expiration: byId.get(String(leg.openEventId))?.expiration_date ?? null,
+                contracts: leg.contracts,
+                premium: leg.credit / (leg.contracts * CONTRACT_MULTIPLIER),
+            })),
+        premiumCollected: pnl.premiumByType.call,
+        asOf,
+    });
+}
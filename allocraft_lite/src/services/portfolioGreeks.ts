@@ -0,0 +1,179 @@
+/**
+ * Portfolio Greeks
+ *
+ * Aggregates position Greeks across the portfolio, per ticker and per
+ * account. Stock contributes delta only (one share = one delta); options are
+ * modelled with Black-Scholes from their mark and the underlying's last price.
+ * Short calls whose delta implies likely assignment are flagged.
+ *
+ * Units: delta in share-equivalents, theta in dollars per day, vega in
+ * dollars per one volatility point.
+ */
+
+import { calculatePositionGreeks, type OptionPosition } from '../utils/pnlCalculations';
+import { optionFieldsOf } from '../utils/occSymbol';
+import { buildUnderlyingPrices } from './expirationProcessor';
+import { accountName } from './accountScope';
+
+/** Per-share delta at which a short call is more likely than not to be assigned */
+export const ASSIGNMENT_DELTA_THRESHOLD = 0.5;
+
+export interface GreekTotals {
+    delta: number;
+    gamma: number;
+    theta: number;
+    vega: number;
+}
+
+export interface GreekRow extends GreekTotals {
+    key: string;
+    label: string;
+    shares: number;
+    optionCount: number;
+    assignmentRisk: boolean;
+}
+
+export interface AssignmentRisk {
+    ticker: string;
+    accountKey: string;
+    strike: number;
+    expiration: string;
+    contracts: number;
+    /** Per-share delta of the call (0-1) */
+    delta: number;
+    probabilityITM: number;
+}
+
+export interface PortfolioGreeks {
+    totals: GreekTotals;
+    byTicker: GreekRow[];
+    byAccount: GreekRow[];
+    assignmentRisks: AssignmentRisk[];
+    /** Option positions that could not be modelled (no underlying price or mark) */
+    unpriced: number;
+}
+
+export interface PortfolioGreeksInputs {
+    stockPositions?: any[];
+    optionPositions?: any[];
+    accounts?: any[];
+    asOf?: Date;
+    assignmentDeltaThreshold?: number;
+}
+
+const UNASSIGNED = 'unassigned';
+
+const emptyTotals = (): GreekTotals => ({ delta: 0, gamma: 0, theta: 0, vega: 0 });
+
+const round = (value: number, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/** Signed quantity: explicit contracts/shares, else long minus short */
+const netQuantity = (position: any, field: 'contracts' | 'shares'): number => {
+    const explicit = Number(position[field]);
+    if (Number.isFinite(explicit) && position[field] != null) return explicit;
+    return (Number(position.long_quantity) || 0) - (Number(position.short_quantity) || 0);
+};
+
+const accountKey = (position: any) => (position.account_id != null ? String(position.account_id) : UNASSIGNED);
+
+export function accountLabel(key: string, accounts: any[] = []): string {
+    if (key === UNASSIGNED) return 'Unassigned';
+    const account = accounts.find((a) => String(a.id) === key);
+    return account ? accountName(account) : `Account ${key}`;
+}
+
+export function calculatePortfolioGreeks({
+    stockPositions = [],
+    optionPositions = [],
+    accounts = [],
+    asOf = new Date(),
+    assignmentDeltaThreshold = ASSIGNMENT_DELTA_THRESHOLD,
+}: PortfolioGreeksInputs): PortfolioGreeks {
+    const prices = buildUnderlyingPrices(stockPositions, optionPositions);
+    const totals = emptyTotals();
+    const tickers = new Map<string, GreekRow>();
+    const accountRows = new Map<string, GreekRow>();
+    const assignmentRisks: AssignmentRisk[] = [];
+    let unpriced = 0;
+
+    const rowFor = (rows: Map<string, GreekRow>, key: string, label: string) => {
+        if (!rows.has(key)) rows.set(key, { key, label, ...emptyTotals(), shares: 0, optionCount: 0, assignmentRisk: false });
+        return rows.get(key)!;
+    };
+
+    const add = (ticker: string, account: string, greeks: GreekTotals, shares: number, isOption: boolean) => {
+        const rows = [totals, rowFor(tickers, ticker, ticker), rowFor(accountRows, account, accountLabel(account, accounts))];
+        for (const row of rows) {
+            row.delta += greeks.delta;
+            row.gamma += greeks.gamma;
+            row.theta += greeks.theta;
+            row.vega += greeks.vega;
+        }
+        for (const row of rows.slice(1) as GreekRow[]) {
+            row.shares += shares;
+            if (isOption) row.optionCount += 1;
+        }
+    };
+
+    for (const stock of stockPositions) {
+        const ticker = stock.symbol || stock.ticker;
+        const shares = netQuantity(stock, 'shares');
+        if (!ticker || !shares) continue;
+        add(ticker, accountKey(stock), { delta: shares, gamma: 0, theta: 0, vega: 0 }, shares, false);
+    }
+
+    for (const option of optionPositions) {
+        const fields = optionFieldsOf(option);
+        const ticker = fields.underlying || option.ticker;
+        const contracts = netQuantity(option, 'contracts');
+        if (!ticker || !contracts) continue;
+
+        const position: OptionPosition = {
+            contracts,
+            averagePrice: Number(option.average_price) || 0,
+            currentPrice: Number(option.current_price) || 0,
+            optionType: fields.optionType ?? 'CALL',
+            strikePrice: fields.strike ?? undefined,
+            underlyingPrice: prices[ticker] ?? null,
+            expirationDate: fields.expiration,
+        };
+        const greeks = calculatePositionGreeks(position, asOf);
+        if (!greeks) {
+            unpriced += 1;
+            continue;
+        }
+        add(ticker, accountKey(option), greeks, 0, true);
+
+        const perShareDelta = Math.abs(greeks.delta / (contracts * 100));
+        if (position.optionType === 'CALL' && contracts < 0 && perShareDelta >= assignmentDeltaThreshold) {
+            assignmentRisks.push({
+                ticker,
+                accountKey: accountKey(option),
+                strike: position.strikePrice!,
+                expiration: String(position.expirationDate).slice(0, 10),
+                contracts: Math.abs(contracts),
+                delta: round(perShareDelta, 3),
+                probabilityITM: greeks.probabilityITM,
+            });
+            tickers.get(ticker)!.assignmentRisk = true;
+            accountRows.get(accountKey(option))!.assignmentRisk = true;
+        }
+    }
+
+    const finish = <T extends GreekTotals>(row: T): T => ({
+        ...row,
+        delta: round(row.delta),
+        gamma: round(row.gamma, 4),
+        theta: round(row.theta),
+        vega: round(row.vega),
+    });
+    const byExposure = (a: GreekRow, b: GreekRow) => Math.abs(b.delta) - Math.abs(a.delta) || a.label.localeCompare(b.label);
+
+    return {
+        totals: finish(totals),
+        byTicker: Array.from(tickers.values()).map(finish).sort(byExposure),
+        byAccount: Array.from(accountRows.values()).map(finish).sort(byExposure),
+        assignmentRisks: assignmentRisks.sort((a, b) => b.delta - a.delta),
+        unpriced,
+    };
+}
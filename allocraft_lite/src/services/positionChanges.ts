@@ -0,0 +1,486 @@
+/**
+ * Position Changes
+ *
+ * Compares the positions after a sync or import with the snapshot taken
+ * the time before and turns what changed into suggested wheel events:
+ * - A new or larger short option        → SELL_PUT_OPEN / SELL_CALL_OPEN
+ * - A short option gone, with shares
+ *   moving by its deliverable            → PUT_ASSIGNMENT / CALLED_AWAY
+ * - A short option gone after its expiry → EXPIRED
+ * - A short option gone or smaller
+ *   before its expiry                    → BUY_PUT_CLOSE / SELL_CALL_CLOSE
+ * - Shares moving on their own           → BUY_SHARES / SELL_SHARES
+ * Closing events are matched to the open leg they close in a wheel of the
+ * same ticker and account. Changes wait in a queue until the user accepts
+ * or dismisses their suggestions; nothing is persisted to the backend here.
+ */
+
+import { optionFieldsOf } from '../utils/occSymbol';
+import { CONTRACT_MULTIPLIER, groupEventsByCycle, replayWheelEvents } from '../utils/wheelPnLEngine';
+import { normalizeSymbol } from './importers/diff';
+import { resolveCycleAccount } from './accountScope';
+import { modeStorageKey } from './mockBackend/mode';
+
+export interface SnapshotPosition {
+    /** Account and symbol; stable across syncs */
+    key: string;
+    accountId: string | null;
+    symbol: string;
+    ticker: string;
+    kind: 'stock' | 'option';
+    optionType: 'PUT' | 'CALL' | null;
+    strike: number | null;
+    expiration: string | null;
+    /** Shares or contracts, negative when short */
+    quantity: number;
+    /** Average cost per share */
+    cost: number;
+    /** Last value per share */
+    mark: number;
+}
+
+export interface PositionSnapshot {
+    takenAt: string;
+    positions: SnapshotPosition[];
+}
+
+export type PositionChangeKind = 'short_opened' | 'short_reduced' | 'short_vanished' | 'shares_changed';
+
+export interface PositionChange {
+    key: string;
+    kind: PositionChangeKind;
+    accountId: string | null;
+    symbol: string;
+    ticker: string;
+    optionType: 'PUT' | 'CALL' | null;
+    strike: number | null;
+    expiration: string | null;
+    /** Signed quantity in the previous and the new snapshot */
+    before: number;
+    after: number;
+    cost: number;
+    mark: number;
+    /** YYYY-MM-DD of the sync or import that showed the change */
+    detectedAt: string;
+}
+
+export type SuggestedEventType =
+    | 'SELL_PUT_OPEN'
+    | 'SELL_CALL_OPEN'
+    | 'BUY_PUT_CLOSE'
+    | 'SELL_CALL_CLOSE'
+    | 'PUT_ASSIGNMENT'
+    | 'CALLED_AWAY'
+    | 'EXPIRED'
+    | 'BUY_SHARES'
+    | 'SELL_SHARES';
+
+export interface SuggestedEventDraft {
+    cycle_id: number | null;
+    event_type: SuggestedEventType;
+    trade_date: string;
+    contracts?: number;
+    quantity_shares?: number;
+    strike?: number;
+    premium?: number;
+    price?: number;
+    expiration_date?: string;
+    link_event_id?: number;
+    notes?: string;
+}
+
+export interface WheelEventSuggestion {
+    key: string;
+    /** Changes the suggestion accounts for; an assignment covers the option and the shares */
+    changeKeys: string[];
+    ticker: string;
+    accountId: string | null;
+    optionType: 'PUT' | 'CALL' | null;
+    strike: number | null;
+    expiration: string | null;
+    contracts: number;
+    shares: number;
+    /** Per share: the option's cost or last mark, or the shares' price */
+    amount: number;
+    reason: string;
+    /** Event types the change could also be, the suggested one first */
+    alternatives: SuggestedEventType[];
+    event: SuggestedEventDraft;
+}
+
+export interface SuggestionInputs {
+    changes: PositionChange[];
+    cycles?: any[];
+    events?: any[];
+}
+
+type AnyRecord = Record<string, any>;
+
+const SNAPSHOT_KEY = 'allocraft_position_snapshot';
+const QUEUE_KEY = 'allocraft_position_change_queue';
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const isoDate = (value: Date | string): string =>
+    (typeof value === 'string' ? value : value.toISOString()).slice(0, 10);
+
+const money = (value: number): string => `$${round2(value).toFixed(2)}`;
+
+function snapshotPosition(position: AnyRecord): SnapshotPosition | null {
+    const isOption = position.asset_type === 'OPTION';
+    const fields = isOption ? optionFieldsOf(position) : null;
+    const quantity = num(position.long_quantity) - num(position.short_quantity);
+    const symbol = normalizeSymbol(position.symbol);
+    if (!symbol) return null;
+    const accountId = position.account_id != null ? String(position.account_id) : null;
+    const perShare = isOption ? Math.abs(quantity) * CONTRACT_MULTIPLIER : Math.abs(quantity);
+    return {
+        key: `${accountId ?? '-'}|${symbol}`,
+        accountId,
+        symbol,
+        ticker: String((isOption ? fields?.underlying : position.symbol) || '').toUpperCase(),
+        kind: isOption ? 'option' : 'stock',
+        optionType: fields?.optionType ?? null,
+        strike: fields?.strike ?? null,
+        expiration: fields?.expiration ?? null,
+        quantity,
+        cost: Math.abs(num(position.average_price)),
+        mark: perShare > 0 ? round2(Math.abs(num(position.market_value)) / perShare) : num(position.current_price),
+    };
+}
+
+/** Snapshot of every position, keyed by account and symbol */
+export function snapshotPositions(positions: AnyRecord[] = [], takenAt: Date | string = new Date()): PositionSnapshot {
+    const byKey = new Map<string, SnapshotPosition>();
+    for (const position of positions || []) {
+        const snap = snapshotPosition(position);
+        if (!snap) continue;
+        // The same symbol twice in one account (lots, sources) counts once
+        const existing = byKey.get(snap.key);
+        byKey.set(snap.key, existing ? { ...existing, quantity: existing.quantity + snap.quantity } : snap);
+    }
+    return { takenAt: typeof takenAt === 'string' ? takenAt : takenAt.toISOString(), positions: Array.from(byKey.values()) };
+}
+
+/**
+ * Short option and share changes between two snapshots. Long options are
+ * left out: buying a LEAPS or a spread's wing is not a wheel event on its own.
+ */
+export function diffSnapshots(previous: PositionSnapshot, current: PositionSnapshot): PositionChange[] {
+    const before = new Map(previous.positions.map((p) => [p.key, p]));
+    const after = new Map(current.positions.map((p) => [p.key, p]));
+    const detectedAt = isoDate(current.takenAt);
+    const changes: PositionChange[] = [];
+
+    for (const key of new Set([...before.keys(), ...after.keys()])) {
+        const old = before.get(key);
+        const now = after.get(key);
+        const base = (now ?? old) as SnapshotPosition;
+        const was = old?.quantity ?? 0;
+        const is = now?.quantity ?? 0;
+        const change = (kind: PositionChangeKind): PositionChange => ({
+            key: `${kind}:${key}:${current.takenAt}`,
+            kind,
+            accountId: base.accountId,
+            symbol: base.symbol,
+            ticker: base.ticker,
+            optionType: base.optionType,
+            strike: base.strike,
+            expiration: base.expiration,
+            before: was,
+            after: is,
+            cost: now?.cost ?? old?.cost ?? 0,
+            mark: now?.mark ?? old?.mark ?? 0,
+            detectedAt,
+        });
+
+        if (base.kind === 'stock') {
+            if (was !== is) changes.push(change('shares_changed'));
+            continue;
+        }
+        const shortBefore = Math.max(0, -was);
+        const shortAfter = Math.max(0, -is);
+        if (shortAfter > shortBefore) changes.push(change('short_opened'));
+        else if (shortAfter < shortBefore) changes.push(change(shortAfter === 0 ? 'short_vanished' : 'short_reduced'));
+    }
+
+    return changes.sort((a, b) => a.ticker.localeCompare(b.ticker) || a.key.localeCompare(b.key));
+}
+
+const isOpenCycle = (cycle: AnyRecord): boolean => String(cycle.status || 'Open').toLowerCase() !== 'closed';
+
+/** Open cycles of the change's ticker, in its account when both know theirs */
+function cyclesFor(change: PositionChange, cycles: AnyRecord[]): AnyRecord[] {
+    return cycles.filter((cycle) => {
+        if (String(cycle.ticker || '').toUpperCase() !== change.ticker || !isOpenCycle(cycle)) return false;
+        const account = resolveCycleAccount(cycle);
+        return account == null || change.accountId == null || account === change.accountId;
+    });
+}
+
+/** Wheel and opening event of the leg a vanished short option was */
+function findOpenLeg(change: PositionChange, cycles: AnyRecord[], events: AnyRecord[]): { cycleId: number; openEventId?: number } | null {
+    const byCycle = groupEventsByCycle(events as any[]);
+    for (const cycle of cyclesFor(change, cycles)) {
+        const cycleEvents = byCycle[String(cycle.id)] || [];
+        const byId = new Map(cycleEvents.map((e: AnyRecord) => [String(e.id), e]));
+        const leg = replayWheelEvents(cycleEvents).openLegs.find((open) => {
+            const expiration = byId.get(String(open.openEventId))?.expiration_date;
+            return open.optionType === change.optionType
+                && (open.strike == null || change.strike == null || open.strike === change.strike)
+                && (!expiration || !change.expiration || isoDate(expiration) === change.expiration);
+        });
+        if (leg) return { cycleId: Number(cycle.id), openEventId: leg.openEventId != null ? Number(leg.openEventId) : undefined };
+    }
+    return null;
+}
+
+type SuggestionDetails = Omit<WheelEventSuggestion, 'key' | 'changeKeys' | 'event' | 'alternatives' | 'reason'> & {
+    cycleId: number | null;
+    openEventId?: number;
+    tradeDate: string;
+};
+
+/** Event draft for a suggestion as `type` */
+export function buildSuggestedEvent(details: SuggestionDetails, type: SuggestedEventType): SuggestedEventDraft {
+    const base = { cycle_id: details.cycleId, event_type: type, trade_date: details.tradeDate };
+    const leg = {
+        contracts: details.contracts,
+        strike: details.strike ?? undefined,
+        link_event_id: details.openEventId,
+    };
+    const optionLabel = `${details.ticker} ${details.strike ?? ''}${details.optionType === 'PUT' ? 'P' : 'C'}`;
+
+    switch (type) {
+        case 'SELL_PUT_OPEN':
+        case 'SELL_CALL_OPEN':
+            return {
+                ...base,
+                ...leg,
+                premium: details.amount,
+                expiration_date: details.expiration ?? undefined,
+                notes: `Detected on sync: sold ${optionLabel}${details.expiration ? ` Exp ${details.expiration}` : ''}`,
+            };
+        case 'BUY_PUT_CLOSE':
+        case 'SELL_CALL_CLOSE':
+            return { ...base, ...leg, premium: details.amount, notes: `Detected on sync: bought back ${optionLabel}` };
+        case 'EXPIRED':
+            return { ...base, ...leg, trade_date: details.expiration ?? details.tradeDate, premium: 0, notes: `Detected on sync: ${optionLabel} expired` };
+        case 'PUT_ASSIGNMENT':
+        case 'CALLED_AWAY':
+            return {
+                ...base,
+                ...leg,
+                quantity_shares: details.contracts * CONTRACT_MULTIPLIER,
+                price: details.strike ?? undefined,
+                notes: `Detected on sync: ${optionLabel} ${type === 'PUT_ASSIGNMENT' ? 'assigned' : 'called away'}`,
+            };
+        case 'BUY_SHARES':
+        case 'SELL_SHARES':
+            return {
+                ...base,
+                quantity_shares: details.shares,
+                price: details.amount,
+                notes: `Detected on sync: ${details.shares} ${details.ticker} shares ${type === 'BUY_SHARES' ? 'added' : 'removed'}`,
+            };
+    }
+}
+
+/** Change the event type of a suggestion, rebuilding its draft */
+export function withEventType(suggestion: WheelEventSuggestion, type: SuggestedEventType): WheelEventSuggestion {
+    const details: SuggestionDetails = {
+        ...suggestion,
+        cycleId: suggestion.event.cycle_id,
+        openEventId: suggestion.event.link_event_id,
+        tradeDate: suggestion.event.trade_date,
+    };
+    return { ...suggestion, event: buildSuggestedEvent(details, type) };
+}
+
+const SUGGESTION_REASONS: Record<SuggestedEventType, string> = {
+    SELL_PUT_OPEN: 'New short put',
+    SELL_CALL_OPEN: 'New short call',
+    BUY_PUT_CLOSE: 'Short put closed before expiration',
+    SELL_CALL_CLOSE: 'Short call closed before expiration',
+    PUT_ASSIGNMENT: 'Short put gone and shares delivered',
+    CALLED_AWAY: 'Short call gone and shares delivered away',
+    EXPIRED: 'Short option gone after its expiration',
+    BUY_SHARES: 'Shares added',
+    SELL_SHARES: 'Shares removed',
+};
+
+/**
+ * Suggested wheel events for a set of changes. Share changes that an
+ * assignment explains are folded into it; what is left over is suggested
+ * as a share trade.
+ */
+export function suggestWheelEvents({ changes, cycles = [], events = [] }: SuggestionInputs): WheelEventSuggestion[] {
+    const shareChanges = changes.filter((c) => c.kind === 'shares_changed');
+    const unexplained = new Map(shareChanges.map((c) => [c.key, c.after - c.before]));
+    const suggestions: WheelEventSuggestion[] = [];
+
+    const push = (change: PositionChange, details: SuggestionDetails, type: SuggestedEventType, alternatives: SuggestedEventType[], changeKeys: string[]) => {
+        suggestions.push({
+            key: `${type}:${changeKeys.join('+')}`,
+            ...details,
+            changeKeys,
+            reason: `${SUGGESTION_REASONS[type]}: ${change.symbol}${change.kind === 'shares_changed' ? '' : ` (${Math.abs(change.before)} → ${Math.abs(change.after)} contracts)`}`,
+            alternatives: [type, ...alternatives.filter((t) => t !== type)],
+            event: buildSuggestedEvent(details, type),
+        });
+    };
+
+    for (const change of changes.filter((c) => c.kind !== 'shares_changed')) {
+        const isPut = change.optionType === 'PUT';
+        const contracts = Math.abs(Math.abs(change.after) - Math.abs(change.before));
+        const details: SuggestionDetails = {
+            ticker: change.ticker,
+            accountId: change.accountId,
+            optionType: change.optionType,
+            strike: change.strike,
+            expiration: change.expiration,
+            contracts,
+            shares: 0,
+            amount: round2(change.kind === 'short_opened' ? change.cost : change.mark),
+            cycleId: null,
+            tradeDate: change.detectedAt,
+        };
+
+        const cycle = cyclesFor(change, cycles)[0];
+        details.cycleId = cycle != null ? Number(cycle.id) : null;
+        if (change.kind === 'short_opened') {
+            push(change, details, isPut ? 'SELL_PUT_OPEN' : 'SELL_CALL_OPEN', [], [change.key]);
+            continue;
+        }
+
+        const open = findOpenLeg(change, cycles, events);
+        if (open) {
+            details.cycleId = open.cycleId;
+            details.openEventId = open.openEventId;
+        }
+
+        // Assigned puts deliver shares into the account, called-away calls take them out
+        const delivered = contracts * CONTRACT_MULTIPLIER * (isPut ? 1 : -1);
+        const shares = shareChanges.find((s) =>
+            s.ticker === change.ticker && s.accountId === change.accountId
+            && Math.sign(unexplained.get(s.key) || 0) === Math.sign(delivered)
+            && Math.abs(unexplained.get(s.key) || 0) >= Math.abs(delivered));
+        const assignment: SuggestedEventType = isPut ? 'PUT_ASSIGNMENT' : 'CALLED_AWAY';
+        const close: SuggestedEventType = isPut ? 'BUY_PUT_CLOSE' : 'SELL_CALL_CLOSE';
+        const expired = !!change.expiration && change.expiration < change.detectedAt;
+
+        if (shares) {
+            unexplained.set(shares.key, (unexplained.get(shares.key) || 0) - delivered);
+            push(change, { ...details, tradeDate: expired ? change.expiration as string : change.detectedAt }, assignment, [close, 'EXPIRED'], [change.key, shares.key]);
+        } else if (expired && change.kind === 'short_vanished') {
+            push(change, details, 'EXPIRED', [close, assignment], [change.key]);
+        } else {
+            push(change, details, close, ['EXPIRED', assignment], [change.key]);
+        }
+    }
+
+    for (const change of shareChanges) {
+        const left = unexplained.get(change.key) || 0;
+        if (left === 0) continue;
+        const type: SuggestedEventType = left > 0 ? 'BUY_SHARES' : 'SELL_SHARES';
+        const cycle = cyclesFor(change, cycles)[0];
+        push(change, {
+            ticker: change.ticker,
+            accountId: change.accountId,
+            optionType: null,
+            strike: null,
+            expiration: null,
+            contracts: 0,
+            shares: Math.abs(left),
+            amount: round2(change.mark || change.cost),
+            cycleId: cycle != null ? Number(cycle.id) : null,
+            tradeDate: change.detectedAt,
+        }, type, [], [change.key]);
+    }
+
+    return suggestions;
+}
+
+export interface ChangeQueue {
+    changes: PositionChange[];
+    /** Keys of suggestions already accepted or dismissed */
+    handled: string[];
+}
+
+/**
+ * Drop changes whose suggestions are all handled. Suggestions sharing a
+ * change (an assignment and the rest of a share move) leave together, so a
+ * half-handled change never comes back suggested as something else.
+ */
+export function settleQueue(queue: ChangeQueue, suggestions: WheelEventSuggestion[]): ChangeQueue {
+    const handled = new Set(queue.handled);
+    const settled = new Set(queue.changes.map((c) => c.key));
+    const unsettle = (suggestion: WheelEventSuggestion) => suggestion.changeKeys.forEach((key) => settled.delete(key));
+    suggestions.filter((s) => !handled.has(s.key)).forEach(unsettle);
+    // A change still waiting keeps every change it shares a suggestion with
+    let spreading = true;
+    while (spreading) {
+        const before = settled.size;
+        suggestions.filter((s) => s.changeKeys.some((key) => !settled.has(key))).forEach(unsettle);
+        spreading = settled.size < before;
+    }
+    const changes = queue.changes.filter((c) => !settled.has(c.key));
+    const remaining = new Set(changes.map((c) => c.key));
+    return {
+        changes,
+        handled: suggestions
+            .filter((s) => handled.has(s.key) && s.changeKeys.some((key) => remaining.has(key)))
+            .map((s) => s.key),
+    };
+}
+
+/** One-line description of a suggestion's event for review lists */
+export function describeSuggestion(suggestion: WheelEventSuggestion): string {
+    const { event } = suggestion;
+    if (event.event_type === 'BUY_SHARES' || event.event_type === 'SELL_SHARES') {
+        return `${event.quantity_shares} ${suggestion.ticker} @ ${money(num(event.price))}`;
+    }
+    const option = `${event.contracts}× ${suggestion.ticker} ${suggestion.strike ?? '—'}${suggestion.optionType === 'PUT' ? 'P' : 'C'}`;
+    return event.premium != null ? `${option} @ ${money(event.premium)}` : option;
+}
+
+export function loadPositionSnapshot(): PositionSnapshot | null {
+    try {
+        const stored = JSON.parse(localStorage.getItem(modeStorageKey(SNAPSHOT_KEY)) || 'null');
+        return stored && Array.isArray(stored.positions) ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+export function savePositionSnapshot(snapshot: PositionSnapshot): void {
+    try {
+        localStorage.setItem(modeStorageKey(SNAPSHOT_KEY), JSON.stringify(snapshot));
+    } catch (error) {
+        console.warn('Failed to save position snapshot to localStorage:', error);
+    }
+}
+
+export function loadChangeQueue(): ChangeQueue {
+    try {
+        const stored = JSON.parse(localStorage.getItem(modeStorageKey(QUEUE_KEY)) || 'null');
+        return stored && Array.isArray(stored.changes)
+            ? { changes: stored.changes, handled: Array.isArray(stored.handled) ? stored.handled : [] }
+            : { changes: [], handled: [] };
+    } catch {
+        return { changes: [], handled: [] };
+    }
+}
+
+export function saveChangeQueue(queue: ChangeQueue): void {
+    try {
+        localStorage.setItem(modeStorageKey(QUEUE_KEY), JSON.stringify(queue));
+    } catch (error) {
+        console.warn('Failed to save position change queue to localStorage:', error);
+    }
+}
@@ -6,6 +6,7 @@
  */
 
 import { unifiedApi } from './unifiedApi';
+import { optionTypeLabel, parseOccSymbol } from '../utils/occSymbol';
 
 export interface PositionData {
     id: string;
@@ -28,36 +29,6 @@ export interface PositionData {
     contracts?: number;
 }
 
-// Option symbol parser for formats like "HIMS 251017P00037000"
-const parseOptionSymbol = (symbol: string) => {
-    // Match pattern: TICKER YYMMDDCPPPPPPPP or TICKER YYMMDDPPPPPPPPP
-    const optionMatch = symbol.match(/^([A-Z]+)\s+(\d{6})([CP])(\d{8})$/);
-
-    if (!optionMatch) {
-        return { isOption: false, underlyingSymbol: symbol };
-    }
-
-    const [, underlying, dateStr, optionType, strikeStr] = optionMatch;
-
-    // Parse date (YYMMDD)
-    const year = 2000 + parseInt(dateStr.substring(0, 2));
-    const month = parseInt(dateStr.substring(2, 4));
-    const day = parseInt(dateStr.substring(4, 6));
-    const expirationDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-
-    // Parse strike price (last 8 digits, divide by 1000)
-    const strikePrice = parseInt(strikeStr) / 1000;
-
-    return {
-        isOption: true,
-        underlyingSymbol: underlying,
-        optionType: optionType === 'C' ? 'Call' : 'Put',
-        strikePrice,
-        expirationDate,
-        displaySymbol: `${underlying} ${expirationDate} ${optionType === 'C' ? 'Call' : 'Put'} $${strikePrice}`
-    };
-};
-
 // Transform Schwab position data to our standard format
 const transformSchwabPosition = (pos: any, accountNumber: string, accountType: string, index: number): PositionData | null => {
     try {
@@ -108,7 +79,7 @@ const transformSchwabPosition = (pos: any, accountNumber: string, accountType: s
         const profitLossPercent = costBasis > 0 ? (profitLoss / costBasis) * 100 : 0;
 
         // Parse option information
-        const optionInfo = parseOptionSymbol(symbol);
+        const occ = parseOccSymbol(symbol);
 
         const basePosition: PositionData = {
             id: `schwab-${accountNumber}-${symbol}-${index}`,
@@ -125,14 +96,14 @@ const transformSchwabPosition = (pos: any, accountNumber: string, accountType: s
         };
 
         // Add option-specific fields if it's an option
-        if (optionInfo.isOption) {
+        if (occ) {
             return {
                 ...basePosition,
                 isOption: true,
-                underlyingSymbol: optionInfo.underlyingSymbol,
-                optionType: optionInfo.optionType as 'Call' | 'Put',
-                strikePrice: optionInfo.strikePrice,
-                expirationDate: optionInfo.expirationDate,
+                underlyingSymbol: occ.underlying,
+                optionType: optionTypeLabel(occ.optionType),
+                strikePrice: occ.strike,
+                expirationDate: occ.expiration,
                 contracts: quantity / 100, // Convert shares to contracts (will be negative for short)
             };
         }
@@ -149,37 +120,6 @@ export class PositionDataService {
     private static lastFetch: Date | null = null;
     private static readonly CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
 
-    /**
-     * Parse option symbol to extract strike price and expiration date
-     * Format: "GOOG  260618C00250000" -> strike: 250, expiration: "2026-06-18"
-     */
-    private static parseOptionSymbol(symbol: string): { strikePrice?: number; expirationDate?: string } {
-        try {
-            // Match pattern like "GOOG  260618C00250000"
-            const match = symbol.match(/^([A-Z]+)\s+(\d{6})([CP])(\d{8})$/);
-            if (!match) {
-                console.warn(`Could not parse option symbol: ${symbol}`);
-                return {};
-            }
-
-            const [, ticker, dateStr, optionType, strikeStr] = match;
-
-            // Parse date (YYMMDD)
-            const year = 2000 + parseInt(dateStr.substring(0, 2));
-            const month = dateStr.substring(2, 4);
-            const day = dateStr.substring(4, 6);
-            const expirationDate = `${year}-${month}-${day}`;
-
-            // Parse strike price (divide by 1000)
-            const strikePrice = parseInt(strikeStr) / 1000;
-
-            return { strikePrice, expirationDate };
-        } catch (error) {
-            console.warn(`Error parsing option symbol ${symbol}:`, error);
-            return {};
-        }
-    }
-
     /**
      * Get all positions from unified model (cached for 5 minutes)
      */
@@ -241,7 +181,9 @@ export class PositionDataService {
                 const profitLossPercent = costBasis > 0 ? ((pos.current_price || 0) - costBasis) / costBasis * 100 : 0;
 
                 // Parse option symbol to extract strike and expiration
-                const { strikePrice, expirationDate } = this.parseOptionSymbol(pos.symbol);
+                const occ = parseOccSymbol(pos.symbol);
+                const strikePrice = occ?.strike;
+                const expirationDate = occ?.expiration;
 
                 // 🔧 CRITICAL FIX: Log position signs for debugging
                 console.log(`🔍 Option Position: ${pos.symbol}`, {
@@ -267,8 +209,8 @@ export class PositionDataService {
                     accountType: 'Securities',
                     accountNumber: pos.account_id?.toString() || 'Unknown',
                     isOption: true,
-                    underlyingSymbol: pos.underlying_symbol || pos.symbol.split(' ')[0], // Use underlying_symbol field from backend
-                    optionType: pos.option_type as 'Call' | 'Put',
+                    underlyingSymbol: pos.underlying_symbol || occ?.underlying || pos.symbol.split(' ')[0], // Use underlying_symbol field from backend
+                    optionType: pos.option_type || (occ ? optionTypeLabel(occ.optionType) : undefined),
                     strikePrice: strikePrice || pos.strike_price, // Use parsed strike or fallback to backend
                     expirationDate: expirationDate || pos.expiration_date, // Use parsed expiration or fallback to backend
                     contracts: contracts  // 🔧 FIXED: Preserve signed contracts for wheel detection
@@ -0,0 +1,226 @@
+/**
+ * Roll Analyzer
+ *
+ * Client-side analysis of rolling a short put or call to a new strike and/or
+ * expiration. Candidates are generated around the current leg and, when no
+ * quote is supplied, priced with Black-Scholes (utils/optionPricing) from an
+ * implied-volatility input. For each candidate the analyzer reports:
+ * - net credit (positive) or debit (negative) of buying back and re-selling
+ * - days added to the trade by moving the expiration
+ * - the new breakeven after all premium collected
+ * - annualized return on capital of the net credit over the added days
+ * - probability of the new option finishing in the money
+ * - P&L if the new option is assigned: a covered call's shares called away at
+ *   the strike, or a put's shares bought at the strike and marked at the
+ *   current underlying price
+ *
+ * Premiums and prices are per share; totals are multiplied by
+ * `contracts * CONTRACT_MULTIPLIER`.
+ */
+
+import { CONTRACT_MULTIPLIER } from '../utils/wheelPnLEngine';
+import { blackScholesPrice, probabilityITM } from '../utils/optionPricing';
+
+export type RollStrategy = 'extend_dte' | 'adjust_strike' | 'defensive';
+export type StrikeAdjustment = 'current' | 'otm' | 'atm' | 'defensive';
+
+export interface RollPosition {
+    optionType: 'PUT' | 'CALL';
+    strike: number;
+    expiration: string;
+    contracts: number;
+    /** Per-share cost to buy the current option back; priced from IV when missing */
+    currentPrice?: number | null;
+    /** Per-share premium collected when the current option was opened */
+    openPremium?: number | null;
+    /** Per-share cost basis of the shares behind a covered call */
+    costBasis?: number | null;
+}
+
+export interface RollCandidate {
+    strike: number;
+    expiration: string;
+    /** Per-share premium for selling the new option; priced from IV when missing */
+    premium?: number | null;
+}
+
+export interface RollMarket {
+    underlyingPrice: number;
+    /** Annualized implied volatility as a decimal (0.30 = 30%) */
+    impliedVolatility: number;
+    riskFreeRate?: number;
+    asOf?: Date | string;
+}
+
+export interface RollScenario {
+    strike: number;
+    expiration: string;
+    dte: number;
+    premium: number;
+    buybackCost: number;
+    netCreditPerShare: number;
+    netCredit: number;
+    daysAdded: number;
+    breakeven: number;
+    capital: number;
+    annualizedReturn: number | null;
+    probabilityITM: number;
+    /** Total P&L if the new option is assigned at expiration */
+    assignmentPnL: number;
+}
+
+export interface CandidateOptions {
+    strategy?: RollStrategy;
+    strikeAdjustment?: StrikeAdjustment;
+    targetDte?: number;
+    asOf?: Date | string;
+}
+
+export type RollSortKey = keyof RollScenario;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPIRIES = 6;
+
+const round = (value: number, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toUtcDay = (value: Date | string): number => {
+    const iso = (typeof value === 'string' ? value : value.toISOString()).slice(0, 10);
+    return Date.parse(`${iso}T00:00:00Z`);
+};
+
+const isoDay = (ms: number) => new Date(ms).toISOString().slice(0, 10);
+
+export const daysBetween = (from: Date | string, to: Date | string): number =>
+    Math.round((toUtcDay(to) - toUtcDay(from)) / DAY_MS);
+
+const pricingInputs = (optionType: 'PUT' | 'CALL', spot: number, strike: number, days: number, volatility: number, rate: number) => ({
+    optionType,
+    spot,
+    strike,
+    years: Math.max(days, 0) / 365,
+    volatility,
+    rate,
+});
+
+/** Listed strike spacing typical for the underlying's price. */
+export function strikeIncrement(price: number): number {
+    if (price < 25) return 0.5;
+    if (price < 100) return 1;
+    if (price < 200) return 2.5;
+    return 5;
+}
+
+/**
+ * Weekly Friday expirations after the current one, up to `targetDte` (plus
+ * three weeks of slack) from `asOf`.
+ */
+export function nextExpirations(currentExpiration: string, targetDte = 30, asOf: Date | string = new Date()): string[] {
+    const start = Math.max(toUtcDay(currentExpiration), toUtcDay(asOf));
+    const firstFriday = start + (((5 - new Date(start).getUTCDay() + 7) % 7) || 7) * DAY_MS;
+    const limit = toUtcDay(asOf) + (targetDte + 21) * DAY_MS;
+
+    const expiries: string[] = [];
+    for (let day = firstFriday; expiries.length < MAX_EXPIRIES && (day <= limit || expiries.length === 0); day += 7 * DAY_MS) {
+        expiries.push(isoDay(day));
+    }
+    return expiries;
+}
+
+/**
+ * Strikes to consider. The strike adjustment sets the centre (current
+ * strike, at the money, or further out of the money) and the roll strategy
+ * sets the spread: extending keeps the centre, adjusting looks two strikes
+ * either side, and defensive only moves further out of the money.
+ */
+export function candidateStrikes(position: RollPosition, underlyingPrice: number, strategy: RollStrategy = 'extend_dte', adjustment: StrikeAdjustment = 'current'): number[] {
+    const step = strikeIncrement(underlyingPrice || position.strike);
+    const otm = position.optionType === 'PUT' ? -1 : 1;
+
+    let centre = position.strike;
+    if (adjustment === 'atm') centre = Math.round(underlyingPrice / step) * step;
+    if (adjustment === 'otm') centre = position.strike + otm * step;
+    if (adjustment === 'defensive') centre = position.strike + otm * 2 * step;
+
+    const offsets = strategy === 'adjust_strike' ? [-2, -1, 0, 1, 2] : strategy === 'defensive' ? [0, 1, 2] : [0];
+    const strikes = offsets.map((offset) => round(centre + otm * offset * step)).filter((strike) => strike > 0);
+    return Array.from(new Set(strikes)).sort((a, b) => a - b);
+}
+
+export function generateRollCandidates(position: RollPosition, underlyingPrice: number, options: CandidateOptions = {}): RollCandidate[] {
+    const strikes = candidateStrikes(position, underlyingPrice, options.strategy, options.strikeAdjustment);
+    const expiries = nextExpirations(position.expiration, options.targetDte, options.asOf);
+    return expiries.flatMap((expiration) => strikes.map((strike) => ({ strike, expiration })));
+}
+
+/**
+ * Analyze a single roll from `position` into `candidate`.
+ */
+export function analyzeRoll(position: RollPosition, candidate: RollCandidate, market: RollMarket): RollScenario {
+    const { underlyingPrice, impliedVolatility, riskFreeRate = 0, asOf = new Date() } = market;
+    const size = position.contracts * CONTRACT_MULTIPLIER;
+    const dte = daysBetween(asOf, candidate.expiration);
+    const remaining = daysBetween(asOf, position.expiration);
+
+    const candidateInputs = pricingInputs(position.optionType, underlyingPrice, candidate.strike, dte, impliedVolatility, riskFreeRate);
+    const buybackCost = position.currentPrice ??
+        blackScholesPrice(pricingInputs(position.optionType, underlyingPrice, position.strike, remaining, impliedVolatility, riskFreeRate));
+    const premium = candidate.premium ?? blackScholesPrice(candidateInputs);
+    const netCreditPerShare = premium - buybackCost;
+    const creditsPerShare = (position.openPremium ?? 0) + netCreditPerShare;
+
+    const basis = position.optionType === 'PUT' ? candidate.strike : (position.costBasis ?? underlyingPrice);
+    const capital = basis * size;
+    const daysAdded = daysBetween(position.expiration, candidate.expiration);
+    const netCredit = netCreditPerShare * size;
+    const breakeven = basis - creditsPerShare;
+    // Called-away shares are sold at the strike; assigned put shares are worth the spot price
+    const assignmentValue = position.optionType === 'CALL' ? candidate.strike : underlyingPrice;
+
+    return {
+        strike: candidate.strike,
+        expiration: candidate.expiration,
+        dte,
+        premium: round(premium),
+        buybackCost: round(buybackCost),
+        netCreditPerShare: round(netCreditPerShare),
+        netCredit: round(netCredit),
+        daysAdded,
+        breakeven: round(breakeven),
+        capital: round(capital),
+        annualizedReturn: daysAdded > 0 && capital > 0 ? round((netCredit / capital) * (365 / daysAdded), 4) : null,
+        probabilityITM: round(probabilityITM(candidateInputs), 4),
+        assignmentPnL: round((assignmentValue - breakeven) * size),
+    };
+}
+
+/**
+ * Analyze every candidate, dropping rolls whose net debit exceeds `maxDebit`
+ * (a total dollar amount). Candidates default to a generated strike/expiry grid.
+ */
+export function analyzeRollCandidates(
+    position: RollPosition,
+    market: RollMarket,
+    options: CandidateOptions & { candidates?: RollCandidate[]; maxDebit?: number } = {},
+): RollScenario[] {
+    const candidates = options.candidates ?? generateRollCandidates(position, market.underlyingPrice, { ...options, asOf: market.asOf });
+    const maxDebit = options.maxDebit ?? Infinity;
+    return candidates
+        .map((candidate) => analyzeRoll(position, candidate, market))
+        .filter((scenario) => scenario.dte > 0 && -scenario.netCredit <= maxDebit);
+}
+
+/**
+ * Sort scenarios by a column; missing values (e.g. no annualized return for a
+ * same-expiry roll) always sort last.
+ */
+export function sortRollScenarios(scenarios: RollScenario[], key: RollSortKey, direction: 'asc' | 'desc' = 'desc'): RollScenario[] {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...scenarios].sort((a, b) => {
+        const av = a[key];
+        const bv = b[key];
+        if (av == null) return bv == null ? 0 : 1;
+        if (bv == null) return -1;
+        if (typeof av === 'string') return sign * av.localeCompare(bv as string);
+        return sign * ((av as number) - (bv as number));
+    });
+}
@@ -0,0 +1,382 @@
+/**
+ * Spread Detection
+ *
+ * Pairs option legs that share an underlying and expiration into multi-leg
+ * strategies, so a bull put spread shows as one position with a defined
+ * loss rather than a naked put and a stray long put. Legs are matched in
+ * this order, each contract used once:
+ * - Collar: 100 shares per contract + short call + long put
+ * - Jade lizard: short put + short call + long call above the short call
+ * - Short strangle: short put + short call at or above the put strike
+ * - Vertical: short and long option of the same type at different strikes
+ * Prices are per share; detection works from market values, so credits and
+ * debits are what the legs are worth now rather than what they traded at.
+ * Naked margin follows the Reg-T rule: 20% of the underlying less the
+ * out-of-the-money amount, at least 10%, plus the premium.
+ */
+
+import { CONTRACT_MULTIPLIER } from '../utils/wheelPnLEngine';
+
+export type SpreadStrategy = 'vertical_spread' | 'short_strangle' | 'jade_lizard' | 'collar';
+
+export type SpreadKind =
+    | 'bull_put_spread'
+    | 'bear_call_spread'
+    | 'bull_call_spread'
+    | 'bear_put_spread'
+    | 'short_strangle'
+    | 'jade_lizard'
+    | 'collar';
+
+export interface SpreadLeg {
+    symbol: string;
+    optionType: 'call' | 'put';
+    side: 'long' | 'short';
+    strike: number;
+    expiration: string | null;
+    /** Absolute contract count */
+    contracts: number;
+    /** Current value per share */
+    price: number;
+}
+
+export interface SpreadProfile {
+    strategy: SpreadStrategy;
+    kind: SpreadKind;
+    /** "Bull put spread 45/50P" */
+    label: string;
+    expiration: string | null;
+    legs: SpreadLeg[];
+    contracts: number;
+    /** Credit taken in, negative for a debit */
+    netCredit: number;
+    maxProfit: number | null;
+    /** Null when the loss is undefined (naked short legs) */
+    maxLoss: number | null;
+    /** Collateral or margin the broker holds against it */
+    margin: number;
+    breakevens: number[];
+    risks: string[];
+}
+
+export interface SpreadDetectionContext {
+    stockShares?: number;
+    /** Per share, for collars */
+    stockPrice?: number;
+    /** Last price of the underlying, for naked margin; strikes stand in without it */
+    underlyingPrice?: number;
+}
+
+type AnyRecord = Record<string, any>;
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const money = (value: number): string => `$${round2(value).toFixed(2)}`;
+
+const strikeText = (value: number): string => String(round2(value));
+
+const KIND_LABELS: Record<SpreadKind, string> = {
+    bull_put_spread: 'Bull put spread',
+    bear_call_spread: 'Bear call spread',
+    bull_call_spread: 'Bull call spread',
+    bear_put_spread: 'Bear put spread',
+    short_strangle: 'Short strangle',
+    jade_lizard: 'Jade lizard',
+    collar: 'Collar',
+};
+
+/** Reg-T requirement per share of a naked short option */
+export function nakedOptionMargin(leg: Pick<SpreadLeg, 'optionType' | 'strike' | 'price'>, underlyingPrice: number): number {
+    const outOfMoney = leg.optionType === 'put'
+        ? Math.max(0, underlyingPrice - leg.strike)
+        : Math.max(0, leg.strike - underlyingPrice);
+    const floor = 0.1 * (leg.optionType === 'put' ? leg.strike : underlyingPrice);
+    return Math.max(0.2 * underlyingPrice - outOfMoney, floor) + leg.price;
+}
+
+function verticalProfile(short: SpreadLeg, long: SpreadLeg, contracts: number, underlyingPrice?: number): SpreadProfile {
+    const size = contracts * CONTRACT_MULTIPLIER;
+    const width = Math.abs(short.strike - long.strike);
+    const credit = short.price - long.price;
+    const isPut = short.optionType === 'put';
+    // Credit spreads sell the strike nearer the money
+    const isCredit = isPut ? long.strike < short.strike : long.strike > short.strike;
+    const kind: SpreadKind = isPut
+        ? (isCredit ? 'bull_put_spread' : 'bear_put_spread')
+        : (isCredit ? 'bear_call_spread' : 'bull_call_spread');
+    const lowStrike = Math.min(short.strike, long.strike);
+    const highStrike = Math.max(short.strike, long.strike);
+
+    const risks: string[] = [];
+    let maxLoss: number;
+    let maxProfit: number;
+    let breakeven: number;
+    if (isCredit) {
+        maxProfit = Math.max(0, credit) * size;
+        maxLoss = Math.max(0, width - credit) * size;
+        breakeven = isPut ? short.strike - credit : short.strike + credit;
+        if (credit >= width) {
+            risks.push(`Spread is worth ${money(credit)}/sh, at or above its ${money(width)} width - close it rather than hold for the rest`);
+        }
+    } else {
+        const debit = -credit;
+        maxLoss = Math.max(0, debit) * size;
+        maxProfit = Math.max(0, width - debit) * size;
+        breakeven = isPut ? long.strike - debit : long.strike + debit;
+    }
+    if (underlyingPrice && (isPut ? underlyingPrice < short.strike : underlyingPrice > short.strike)) {
+        risks.push(`Short ${money(short.strike)} ${short.optionType} is in the money - early assignment possible`);
+    }
+
+    return {
+        strategy: 'vertical_spread',
+        kind,
+        label: `${KIND_LABELS[kind]} ${strikeText(lowStrike)}/${strikeText(highStrike)}${isPut ? 'P' : 'C'}`,
+        expiration: short.expiration,
+        legs: [short, long],
+        contracts,
+        netCredit: round2(credit * size),
+        maxProfit: round2(maxProfit),
+        maxLoss: round2(maxLoss),
+        // A debit spread is paid for up front; a credit spread holds its width
+        margin: isCredit ? round2(width * size) : 0,
+        breakevens: [round2(breakeven)],
+        risks,
+    };
+}
+
+function strangleProfile(put: SpreadLeg, call: SpreadLeg, contracts: number, underlyingPrice?: number): SpreadProfile {
+    const size = contracts * CONTRACT_MULTIPLIER;
+    const credit = put.price + call.price;
+    const price = underlyingPrice || (put.strike + call.strike) / 2;
+    const putMargin = nakedOptionMargin(put, price);
+    const callMargin = nakedOptionMargin(call, price);
+    // The larger side's requirement plus the other side's premium
+    const margin = putMargin >= callMargin ? putMargin + call.price : callMargin + put.price;
+
+    const risks = [`Undefined risk above the ${money(call.strike)} call - the loss has no cap`];
+    if (!underlyingPrice) {
+        risks.push('No underlying price - margin is estimated at the midpoint of the strikes');
+    }
+
+    return {
+        strategy: 'short_strangle',
+        kind: 'short_strangle',
+        label: `${KIND_LABELS.short_strangle} ${strikeText(put.strike)}P/${strikeText(call.strike)}C`,
+        expiration: put.expiration,
+        legs: [put, call],
+        contracts,
+        netCredit: round2(credit * size),
+        maxProfit: round2(credit * size),
+        maxLoss: null,
+        margin: round2(margin * size),
+        breakevens: [round2(put.strike - credit), round2(call.strike + credit)],
+        risks,
+    };
+}
+
+function jadeLizardProfile(put: SpreadLeg, call: SpreadLeg, longCall: SpreadLeg, contracts: number, underlyingPrice?: number): SpreadProfile {
+    const size = contracts * CONTRACT_MULTIPLIER;
+    const credit = put.price + call.price - longCall.price;
+    const width = longCall.strike - call.strike;
+    const price = underlyingPrice || put.strike;
+    const upsideRisk = credit < width;
+
+    const risks: string[] = [];
+    if (upsideRisk) {
+        risks.push(`Credit of ${money(credit)}/sh is below the ${money(width)} call spread width - `
+            + `a rally past ${money(longCall.strike)} loses ${money((width - credit) * size)}`);
+    }
+
+    const breakevens = [round2(put.strike - credit)];
+    if (upsideRisk) breakevens.push(round2(call.strike + credit));
+
+    return {
+        strategy: 'jade_lizard',
+        kind: 'jade_lizard',
+        label: `${KIND_LABELS.jade_lizard} ${strikeText(put.strike)}P/${strikeText(call.strike)}/${strikeText(longCall.strike)}C`,
+        expiration: put.expiration,
+        legs: [put, call, longCall],
+        contracts,
+        netCredit: round2(credit * size),
+        maxProfit: round2(Math.max(0, credit) * size),
+        // The put side losing down to zero outweighs any upside loss
+        maxLoss: round2(Math.max(0, put.strike - credit, width - credit) * size),
+        margin: round2(Math.max(nakedOptionMargin(put, price), width) * size),
+        breakevens,
+        risks,
+    };
+}
+
+function collarProfile(call: SpreadLeg, put: SpreadLeg, contracts: number, stockPrice: number): SpreadProfile {
+    const size = contracts * CONTRACT_MULTIPLIER;
+    const credit = call.price - put.price;
+    const basis = stockPrice - credit;
+
+    const risks: string[] = [];
+    if (stockPrice > call.strike) {
+        risks.push(`Short ${money(call.strike)} call is in the money - the shares are likely to be called away`);
+    }
+    if (put.strike >= call.strike) {
+        risks.push(`Put strike ${money(put.strike)} is at or above the ${money(call.strike)} call strike`);
+    }
+
+    return {
+        strategy: 'collar',
+        kind: 'collar',
+        label: `${KIND_LABELS.collar} ${strikeText(put.strike)}P/${strikeText(call.strike)}C`,
+        expiration: call.expiration,
+        legs: [call, put],
+        contracts,
+        netCredit: round2(credit * size),
+        maxProfit: round2((call.strike - basis) * size),
+        maxLoss: round2(Math.max(0, basis - put.strike) * size),
+        // The shares secure the call and the put is paid for
+        margin: 0,
+        breakevens: [round2(basis)],
+        risks,
+    };
+}
+
+interface PoolLeg {
+    leg: SpreadLeg;
+    left: number;
+}
+
+const open = (pool: PoolLeg[], optionType: SpreadLeg['optionType'], side: SpreadLeg['side']): PoolLeg[] =>
+    pool.filter((p) => p.left > 0 && p.leg.optionType === optionType && p.leg.side === side);
+
+const withContracts = (leg: SpreadLeg, contracts: number): SpreadLeg => ({ ...leg, contracts });
+
+/** Use `contracts` of every leg in a match */
+function take(parts: PoolLeg[]): number {
+    const contracts = Math.min(...parts.map((p) => p.left));
+    parts.forEach((p) => { p.left -= contracts; });
+    return contracts;
+}
+
+/**
+ * Multi-leg strategies among the option legs of one underlying, collars
+ * first, then jade lizards, strangles and verticals. Legs left over are
+ * not part of any spread.
+ */
+export function detectSpreads(legs: SpreadLeg[], context: SpreadDetectionContext = {}): SpreadProfile[] {
+    const { underlyingPrice } = context;
+    const stockPrice = num(context.stockPrice) || num(underlyingPrice);
+    let lotsLeft = Math.floor(num(context.stockShares) / CONTRACT_MULTIPLIER);
+
+    const groups = new Map<string, PoolLeg[]>();
+    legs.filter((leg) => leg.contracts > 0 && leg.strike > 0).forEach((leg) => {
+        const key = leg.expiration || '';
+        groups.set(key, [...(groups.get(key) || []), { leg, left: leg.contracts }]);
+    });
+    const pools = Array.from(groups.keys()).sort().map((key) => groups.get(key) || []);
+    const profiles: SpreadProfile[] = [];
+
+    for (const pool of pools) {
+        for (const call of open(pool, 'call', 'short')) {
+            for (const put of open(pool, 'put', 'long')) {
+                if (lotsLeft <= 0 || call.left <= 0 || put.left <= 0 || !stockPrice) continue;
+                const contracts = Math.min(call.left, put.left, lotsLeft);
+                call.left -= contracts;
+                put.left -= contracts;
+                lotsLeft -= contracts;
+                profiles.push(collarProfile(withContracts(call.leg, contracts), withContracts(put.leg, contracts), contracts, stockPrice));
+            }
+        }
+    }
+
+    for (const pool of pools) {
+        for (const put of open(pool, 'put', 'short')) {
+            for (const call of open(pool, 'call', 'short').filter((c) => c.leg.strike > put.leg.strike)) {
+                const longCall = open(pool, 'call', 'long')
+                    .filter((c) => c.leg.strike > call.leg.strike)
+                    .sort((a, b) => a.leg.strike - b.leg.strike)[0];
+                if (!longCall || put.left <= 0 || call.left <= 0) continue;
+                const contracts = take([put, call, longCall]);
+                profiles.push(jadeLizardProfile(
+                    withContracts(put.leg, contracts),
+                    withContracts(call.leg, contracts),
+                    withContracts(longCall.leg, contracts),
+                    contracts,
+                    underlyingPrice
+                ));
+            }
+        }
+    }
+
+    for (const pool of pools) {
+        for (const put of open(pool, 'put', 'short')) {
+            for (const call of open(pool, 'call', 'short').filter((c) => c.leg.strike >= put.leg.strike)) {
+                if (put.left <= 0 || call.left <= 0) continue;
+                // A short call with a long call to cap it is a vertical, not half a strangle
+                if (open(pool, 'call', 'long').length > 0) continue;
+                const contracts = take([put, call]);
+                profiles.push(strangleProfile(withContracts(put.leg, contracts), withContracts(call.leg, contracts), contracts, underlyingPrice));
+            }
+        }
+    }
+
+    for (const pool of pools) {
+        for (const optionType of ['put', 'call'] as const) {
+            for (const short of open(pool, optionType, 'short')) {
+                // The nearest long strike makes the narrowest, best-defined spread
+                const longs = open(pool, optionType, 'long')
+                    .filter((l) => l.leg.strike !== short.leg.strike)
+                    .sort((a, b) => Math.abs(a.leg.strike - short.leg.strike) - Math.abs(b.leg.strike - short.leg.strike));
+                for (const long of longs) {
+                    if (short.left <= 0) break;
+                    const contracts = take([short, long]);
+                    profiles.push(verticalProfile(withContracts(short.leg, contracts), withContracts(long.leg, contracts), contracts, underlyingPrice));
+                }
+            }
+        }
+    }
+
+    return profiles;
+}
+
+/** Combined max loss of several spreads, null when any of them has no cap */
+export function totalMaxLoss(spreads: SpreadProfile[]): number | null {
+    if (spreads.some((s) => s.maxLoss === null)) return null;
+    return round2(spreads.reduce((sum, s) => sum + (s.maxLoss || 0), 0));
+}
+
+/**
+ * Spread profiles of a detection result's positions, whether they come from
+ * WheelDetectionService (camelCase) or the backend (snake_case).
+ */
+export function spreadsFromPositions(positions: AnyRecord[] = [], underlyingPrice?: number): SpreadProfile[] {
+    const legs: SpreadLeg[] = [];
+    let stockShares = 0;
+    let stockValue = 0;
+    for (const p of positions || []) {
+        const signed = num(p.rawQuantity ?? p.raw_quantity ?? (p.position === 'short' ? -Math.abs(num(p.quantity)) : p.quantity));
+        const value = Math.abs(num(p.marketValue ?? p.market_value));
+        if (p.type === 'stock') {
+            stockShares += signed;
+            stockValue += value;
+        } else if ((p.type === 'call' || p.type === 'put') && signed !== 0) {
+            const contracts = Math.abs(signed);
+            legs.push({
+                symbol: String(p.symbol || ''),
+                optionType: p.type,
+                side: signed < 0 ? 'short' : 'long',
+                strike: num(p.strikePrice ?? p.strike_price),
+                expiration: p.expirationDate ?? p.expiration_date ?? null,
+                contracts,
+                price: value / (contracts * CONTRACT_MULTIPLIER),
+            });
+        }
+    }
+    return detectSpreads(legs, {
+        stockShares,
+        stockPrice: stockShares > 0 ? stockValue / stockShares : undefined,
+        underlyingPrice,
+    });
+}
@@ -0,0 +1,393 @@
+/**
+ * Tax Lots
+ *
+ * Real tax lots for a stock: every share purchase and put assignment opens a
+ * lot that keeps its acquisition date and per-share cost, and every sale or
+ * call assignment relieves shares from those lots by FIFO, LIFO, HIFO or
+ * specific identification. Relief reports per-lot proceeds, cost, gain and
+ * holding period so a sale can be previewed before it is recorded.
+ *
+ * Tax treatment follows the usual option rules: the premium of an assigned
+ * put lowers the cost of the shares it delivered, and the premium of a call
+ * that is assigned is added to the sale proceeds. A loss disallowed as a wash
+ * sale (see taxReport) is carried into the replacement shares: they become a
+ * lot of their own with the loss added to their cost and the sold shares'
+ * holding period added to theirs.
+ */
+
+import { CONTRACT_MULTIPLIER, sortEventsChronologically } from '../utils/wheelPnLEngine';
+
+export type LotReliefMethod = 'FIFO' | 'LIFO' | 'HIFO' | 'SPECIFIC';
+
+export const LOT_RELIEF_METHODS: Record<LotReliefMethod, string> = {
+    FIFO: 'First in, first out',
+    LIFO: 'Last in, first out',
+    HIFO: 'Highest cost first',
+    SPECIFIC: 'Specific lots',
+};
+
+export interface TaxLot {
+    id: string;
+    symbol: string;
+    /** YYYY-MM-DD; null for shares the event history does not account for */
+    acquiredAt: string | null;
+    shares: number;
+    /** Per share, including purchase fees and net of assigned put premium */
+    costPerShare: number;
+    source: 'event' | 'position';
+    /** Start of the holding period when a wash sale added the sold shares' holding period */
+    heldSince?: string;
+}
+
+export interface LotSelection {
+    lotId: string;
+    shares: number;
+}
+
+/** How a sale picks its lots; stored on SELL_SHARES and call assignment events */
+export interface LotRelief {
+    method: LotReliefMethod;
+    /** SPECIFIC only */
+    lots?: LotSelection[];
+}
+
+export interface ShareSale {
+    shares: number;
+    /** Per share */
+    price: number;
+    /** YYYY-MM-DD */
+    date: string;
+    /** Commissions, deducted from proceeds */
+    fees?: number;
+    /** Extra proceeds, e.g. the premium of an assigned call */
+    premium?: number;
+}
+
+/** A washed loss carried into the lot opened by a replacement acquisition */
+export interface WashSaleCarryover {
+    shares: number;
+    /** Disallowed loss added to the cost of those shares (total) */
+    basisAdjustment: number;
+    /** YYYY-MM-DD the replacement shares are treated as held since */
+    heldSince?: string | null;
+}
+
+export type HoldingTerm = 'short' | 'long' | 'unknown';
+
+export interface RelievedLot {
+    lotId: string;
+    acquiredAt: string | null;
+    soldAt: string;
+    shares: number;
+    costPerShare: number;
+    proceeds: number;
+    cost: number;
+    gain: number;
+    holdingDays: number | null;
+    term: HoldingTerm;
+}
+
+export interface SaleResult {
+    method: LotReliefMethod;
+    shares: number;
+    proceeds: number;
+    cost: number;
+    realizedGain: number;
+    shortTermGain: number;
+    longTermGain: number;
+    relieved: RelievedLot[];
+    remaining: TaxLot[];
+}
+
+export interface TaxLotHistory {
+    lots: TaxLot[];
+    sales: Array<SaleResult & { eventId?: number | string }>;
+}
+
+const PUT_OPEN = new Set(['SELL_PUT', 'SELL_PUT_OPEN']);
+const PUT_ASSIGN = new Set(['PUT_ASSIGNMENT', 'ASSIGNMENT']);
+const CALL_OPEN = new Set(['SELL_CALL_OPEN', 'SELL_CALL']);
+const CALL_AWAY = new Set(['CALLED_AWAY', 'CALL_ASSIGNED', 'CALL_ASSIGNMENT']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+/** Held for more than a year counts as long term */
+export function holdingTerm(acquiredAt: string | null, soldAt: string): { days: number | null; term: HoldingTerm } {
+    if (!acquiredAt) return { days: null, term: 'unknown' };
+    const acquired = new Date(`${acquiredAt.slice(0, 10)}T00:00:00Z`);
+    const sold = new Date(`${soldAt.slice(0, 10)}T00:00:00Z`);
+    const days = Math.round((sold.getTime() - acquired.getTime()) / DAY_MS);
+    const anniversary = new Date(acquired);
+    anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+    return { days, term: sold > anniversary ? 'long' : 'short' };
+}
+
+/** Lots in the order a method relieves them; SPECIFIC keeps the given order */
+export function orderLotsForRelief(lots: TaxLot[], method: LotReliefMethod): TaxLot[] {
+    const byDate = (a: TaxLot, b: TaxLot) => (a.acquiredAt ?? '').localeCompare(b.acquiredAt ?? '');
+    const indexed = lots.map((lot, index) => ({ lot, index }));
+    switch (method) {
+        case 'FIFO':
+            return indexed.sort((a, b) => byDate(a.lot, b.lot) || a.index - b.index).map(({ lot }) => lot);
+        case 'LIFO':
+            return indexed.sort((a, b) => byDate(b.lot, a.lot) || b.index - a.index).map(({ lot }) => lot);
+        case 'HIFO':
+            return indexed.sort((a, b) => b.lot.costPerShare - a.lot.costPerShare || byDate(a.lot, b.lot)).map(({ lot }) => lot);
+        default:
+            return [...lots];
+    }
+}
+
+function selectionFor(lots: TaxLot[], shares: number, relief: LotRelief): LotSelection[] {
+    if (relief.method === 'SPECIFIC') {
+        const selected = (relief.lots || []).filter((s) => s.shares > 0);
+        const total = selected.reduce((sum, s) => sum + s.shares, 0);
+        if (Math.abs(total - shares) > EPSILON) {
+            throw new Error(`Selected lots hold ${total} shares but the sale is for ${shares}`);
+        }
+        for (const s of selected) {
+            const lot = lots.find((l) => l.id === s.lotId);
+            if (!lot) throw new Error(`Tax lot ${s.lotId} not found`);
+            if (s.shares > lot.shares + EPSILON) throw new Error(`Tax lot ${s.lotId} only has ${lot.shares} shares`);
+        }
+        return selected;
+    }
+
+    const selection: LotSelection[] = [];
+    let left = shares;
+    for (const lot of orderLotsForRelief(lots, relief.method)) {
+        if (left <= EPSILON) break;
+        const take = Math.min(lot.shares, left);
+        if (take > 0) selection.push({ lotId: lot.id, shares: take });
+        left -= take;
+    }
+    return selection;
+}
+
+/**
+ * Relieve the shares of a sale from `lots`. Proceeds (net of fees, plus any
+ * premium) are split across the relieved lots by share count. Throws when the
+ * lots hold fewer shares than the sale or a specific selection is invalid.
+ */
+export function relieveLots(lots: TaxLot[], sale: ShareSale, relief: LotRelief = { method: 'FIFO' }): SaleResult {
+    const shares = Math.abs(num(sale.shares));
+    if (!(shares > 0)) throw new Error('Sale must be for a positive number of shares');
+    const held = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    if (shares > held + EPSILON) throw new Error(`Cannot sell ${shares} shares; only ${held} held in tax lots`);
+
+    const netProceeds = num(sale.price) * shares - Math.abs(num(sale.fees)) + num(sale.premium);
+    const taken = new Map<string, number>();
+    const relieved: RelievedLot[] = selectionFor(lots, shares, relief).map((s) => {
+        const lot = lots.find((l) => l.id === s.lotId)!;
+        taken.set(lot.id, (taken.get(lot.id) || 0) + s.shares);
+        const proceeds = netProceeds * (s.shares / shares);
+        const cost = lot.costPerShare * s.shares;
+        const { days, term } = holdingTerm(lot.heldSince ?? lot.acquiredAt, sale.date);
+        return {
+            lotId: lot.id,
+            acquiredAt: lot.acquiredAt,
+            soldAt: sale.date,
+            shares: s.shares,
+            costPerShare: lot.costPerShare,
+            proceeds: round2(proceeds),
+            cost: round2(cost),
+            gain: round2(proceeds - cost),
+            holdingDays: days,
+            term,
+        };
+    });
+
+    const remaining = lots
+        .map((lot) => ({ ...lot, shares: lot.shares - (taken.get(lot.id) || 0) }))
+        .filter((lot) => lot.shares > EPSILON);
+    const sum = (items: RelievedLot[], field: 'proceeds' | 'cost' | 'gain') =>
+        round2(items.reduce((total, item) => total + item[field], 0));
+
+    return {
+        method: relief.method,
+        shares,
+        proceeds: sum(relieved, 'proceeds'),
+        cost: sum(relieved, 'cost'),
+        realizedGain: sum(relieved, 'gain'),
+        shortTermGain: sum(relieved.filter((r) => r.term !== 'long'), 'gain'),
+        longTermGain: sum(relieved.filter((r) => r.term === 'long'), 'gain'),
+        relieved,
+        remaining,
+    };
+}
+
+/**
+ * The relief a recorded sale is replayed with. A specific selection that no
+ * longer matches the lots (one was edited away, or the sale was cut to the
+ * shares held) keeps what it can still take and relieves the rest FIFO, so a
+ * stale selection never breaks the replay.
+ */
+function replayRelief(lots: TaxLot[], shares: number, stored: LotRelief | undefined, defaultMethod: LotReliefMethod): LotRelief {
+    if (!stored?.method) return { method: defaultMethod };
+    if (stored.method !== 'SPECIFIC') return stored;
+
+    const available = new Map(lots.map((lot) => [lot.id, lot.shares]));
+    const taken = new Map<string, number>();
+    let left = shares;
+    const take = (lotId: string, wanted: number) => {
+        const amount = Math.min(wanted, available.get(lotId) ?? 0, left);
+        if (!(amount > EPSILON)) return;
+        available.set(lotId, available.get(lotId)! - amount);
+        taken.set(lotId, (taken.get(lotId) || 0) + amount);
+        left -= amount;
+    };
+    (stored.lots || []).forEach((s) => take(s.lotId, num(s.shares)));
+    orderLotsForRelief(lots, 'FIFO').forEach((lot) => take(lot.id, left));
+
+    return { method: 'SPECIFIC', lots: Array.from(taken, ([lotId, n]) => ({ lotId, shares: n })) };
+}
+
+/**
+ * A newly opened lot, with the shares that replaced washed losses split off
+ * into lots that carry the disallowed loss and the earlier holding period.
+ */
+function withCarryovers(lot: TaxLot, carryovers: WashSaleCarryover[] = []): TaxLot[] {
+    const carved: TaxLot[] = [];
+    let rest = lot.shares;
+    carryovers.forEach((carry, index) => {
+        const shares = Math.min(carry.shares, rest);
+        if (!(shares > EPSILON) || !(carry.shares > 0)) return;
+        rest -= shares;
+        carved.push({
+            ...lot,
+            id: `${lot.id}-w${index + 1}`,
+            shares,
+            costPerShare: lot.costPerShare + num(carry.basisAdjustment) / carry.shares,
+            ...(carry.heldSince ? { heldSince: carry.heldSince } : {}),
+        });
+    });
+    return rest > EPSILON ? [{ ...lot, shares: rest }, ...carved] : carved;
+}
+
+function deliverableOf(event: Record<string, any>, opening?: Record<string, any>): number {
+    return num(event.deliverable_shares) || num(opening?.deliverable_shares) || CONTRACT_MULTIPLIER;
+}
+
+/**
+ * Replay a stock's wheel events into tax lots and the sales that relieved
+ * them. Sales use the relief stored on the event (`lot_relief`), else
+ * `defaultMethod`; see replayRelief for stored selections that no longer fit.
+ * `carryovers` holds washed losses by the id of the lot that replaced them. When a broker position is given its share count wins:
+ * shares the events do not account for become a lot at the cost that keeps
+ * the broker's average price, and surplus event shares are dropped oldest
+ * first (sold outside the tracked history).
+ */
+export function buildTaxLots(
+    symbol: string,
+    events: Array<Record<string, any>> = [],
+    position?: { shares: number; averagePrice: number } | null,
+    defaultMethod: LotReliefMethod = 'FIFO',
+    carryovers: Record<string, WashSaleCarryover[]> = {},
+): TaxLotHistory {
+    let lots: TaxLot[] = [];
+    const sales: TaxLotHistory['sales'] = [];
+    const sorted = sortEventsChronologically(events as any[]) as Array<Record<string, any>>;
+    const byId = new Map(sorted.map((e) => [String(e.id), e]));
+    const openingLeg = (event: Record<string, any>, types: Set<string>) => {
+        const linked = event.link_event_id != null ? byId.get(String(event.link_event_id)) : undefined;
+        if (linked && types.has(String(linked.event_type).toUpperCase())) return linked;
+        return [...sorted].reverse().find((e) => types.has(String(e.event_type).toUpperCase()) && e.trade_date <= event.trade_date);
+    };
+    const sell = (event: Record<string, any>, sale: ShareSale) => {
+        const held = lots.reduce((sum, lot) => sum + lot.shares, 0);
+        const shares = Math.min(sale.shares, held);
+        if (!(shares > 0)) return;
+        const result = relieveLots(lots, { ...sale, shares }, replayRelief(lots, shares, event.lot_relief, defaultMethod));
+        lots = result.remaining;
+        sales.push({ ...result, eventId: event.id });
+    };
+
+    for (const event of sorted) {
+        const type = String(event.event_type || '').toUpperCase();
+        const date = String(event.trade_date || '').slice(0, 10);
+
+        if (type === 'BUY_SHARES') {
+            const shares = Math.abs(num(event.quantity_shares));
+            if (!shares) continue;
+            lots.push(...withCarryovers({
+                id: `evt-${event.id}`,
+                symbol,
+                acquiredAt: date || null,
+                shares,
+                costPerShare: num(event.price) + Math.abs(num(event.fees)) / shares,
+                source: 'event',
+            }, carryovers[`evt-${event.id}`]));
+        } else if (PUT_ASSIGN.has(type)) {
+            const put = openingLeg(event, PUT_OPEN);
+            const deliverable = deliverableOf(event, put);
+            const contracts = Math.abs(num(event.contracts)) || Math.abs(num(put?.contracts)) || 1;
+            const shares = Math.abs(num(event.quantity_shares)) || contracts * deliverable;
+            const strike = num(event.strike ?? put?.strike ?? event.price);
+            const premium = num(put?.premium) * contracts * CONTRACT_MULTIPLIER;
+            lots.push(...withCarryovers({
+                id: `evt-${event.id}`,
+                symbol,
+                acquiredAt: date || null,
+                shares,
+                costPerShare: (strike * contracts * CONTRACT_MULTIPLIER - premium + Math.abs(num(event.fees))) / shares,
+                source: 'event',
+            }, carryovers[`evt-${event.id}`]));
+        } else if (type === 'SELL_SHARES') {
+            sell(event, {
+                shares: Math.abs(num(event.quantity_shares)),
+                price: num(event.price),
+                date,
+                fees: num(event.fees),
+            });
+        } else if (CALL_AWAY.has(type)) {
+            const call = openingLeg(event, CALL_OPEN);
+            const deliverable = deliverableOf(event, call);
+            const contracts = Math.abs(num(event.contracts)) || Math.abs(num(call?.contracts)) || 1;
+            const shares = Math.abs(num(event.quantity_shares)) || contracts * deliverable;
+            const strike = num(event.strike ?? call?.strike ?? event.price);
+            sell(event, {
+                shares,
+                price: strike * contracts * CONTRACT_MULTIPLIER / shares,
+                date,
+                fees: num(event.fees),
+                premium: num(call?.premium) * contracts * CONTRACT_MULTIPLIER,
+            });
+        }
+    }
+
+    if (position) {
+        lots = reconcileWithPosition(symbol, lots, position);
+    }
+    return { lots, sales };
+}
+
+function reconcileWithPosition(symbol: string, lots: TaxLot[], position: { shares: number; averagePrice: number }): TaxLot[] {
+    const brokerShares = Math.max(0, num(position.shares));
+    const held = lots.reduce((sum, lot) => sum + lot.shares, 0);
+
+    if (brokerShares > held + EPSILON) {
+        const extra = brokerShares - held;
+        const heldCost = lots.reduce((sum, lot) => sum + lot.shares * lot.costPerShare, 0);
+        const implied = Math.round((num(position.averagePrice) * brokerShares - heldCost) / extra * 10000) / 10000;
+        return [...lots, {
+            id: `pos-${symbol}`,
+            symbol,
+            acquiredAt: null,
+            shares: extra,
+            costPerShare: implied > 0 ? implied : num(position.averagePrice),
+            source: 'position',
+        }];
+    }
+    if (held > brokerShares + EPSILON) {
+        return relieveLots(lots, { shares: held - brokerShares, price: 0, date: '1970-01-01' }, { method: 'FIFO' }).remaining;
+    }
+    return lots;
+}
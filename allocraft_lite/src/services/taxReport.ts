@@ -0,0 +1,436 @@
+/**
+ * Tax Report
+ *
+ * Realized gains for a tax year, built from the wheel event history:
+ * - Stock sales and call assignments relieve real tax lots (see taxLots),
+ *   split short/long term by holding period. Assigned put premium is already
+ *   in the lot's basis and assigned call premium in the sale proceeds.
+ * - Short options that expire or are bought back are short-term gains on the
+ *   closing date: proceeds are the premium received, cost the buy-back debit.
+ *   Assigned options produce no row of their own.
+ * - Long LEAPS calls (a PMCC's collateral) that are sold, rolled or expire
+ *   are gains on the closing date: proceeds are the sale credit, cost the
+ *   purchase debit, and the term follows how long the call was held.
+ * - A loss is a wash sale when the same stock, or a LEAPS call on it, is
+ *   acquired within 30 days before or after the sale (for an option loss, an
+ *   option written or bought the same way on the same underlying). A LEAPS
+ *   replaces as many shares as it delivers. The disallowed part of the loss
+ *   is shown as a Form 8949 "W" adjustment; each replacement absorbs at most
+ *   its own quantity of washed shares or contracts. The disallowed loss is added to
+ *   the replacement's basis (for shares, with the sold shares' holding period
+ *   too), so it is recognised when the replacement is sold or closed.
+ */
+
+import { buildTaxLots, holdingTerm, type HoldingTerm, type LotReliefMethod, type WashSaleCarryover } from './taxLots';
+import { CONTRACT_MULTIPLIER, groupEventsByCycle, replayWheelEvents } from '../utils/wheelPnLEngine';
+import { formatOptionLabel } from '../utils/occSymbol';
+
+export interface RealizedGainRow {
+    id: string;
+    ticker: string;
+    kind: 'stock' | 'option';
+    /** Form 8949 column (a) */
+    description: string;
+    /** Shares for stock, contracts for options */
+    quantity: number;
+    acquiredAt: string | null;
+    soldAt: string;
+    proceeds: number;
+    cost: number;
+    term: HoldingTerm;
+    /** Gain before wash-sale adjustments */
+    gain: number;
+    /** Loss disallowed as a wash sale (a positive adjustment) */
+    washSaleAdjustment: number;
+    /** Gain after adjustments */
+    reportedGain: number;
+    /** Tax lot relieved (stock rows) */
+    lotId?: string;
+    /** Days held, including any holding period carried over by a wash sale (stock rows) */
+    holdingDays?: number | null;
+    eventId?: number | string;
+    cycleId?: number | string;
+}
+
+export interface WashSale {
+    rowId: string;
+    ticker: string;
+    soldAt: string;
+    loss: number;
+    disallowed: number;
+    /** Acquisitions whose basis the disallowed loss is added to */
+    replacements: Array<{ id: string; acquiredAt: string; quantity: number; basisAdjustment: number }>;
+}
+
+export interface TaxSummaryLine {
+    proceeds: number;
+    cost: number;
+    adjustments: number;
+    gain: number;
+}
+
+export interface TaxReport {
+    year: number;
+    rows: RealizedGainRow[];
+    washSales: WashSale[];
+    shortTerm: TaxSummaryLine;
+    longTerm: TaxSummaryLine;
+    total: TaxSummaryLine;
+}
+
+type AnyRecord = Record<string, any>;
+
+interface Acquisition {
+    id: string;
+    ticker: string;
+    /** Short puts and calls written, or long LEAPS calls bought */
+    kind: 'stock' | 'PUT' | 'CALL' | 'LONG_CALL';
+    date: string;
+    /** Shares, or contracts for options */
+    quantity: number;
+    /** Shares one unit of `quantity` stands for when it replaces stock */
+    deliverable: number;
+}
+
+type AcquisitionKind = Acquisition['kind'];
+
+/** Acquisitions that replace what a loss row sold */
+const REPLACEMENT_KINDS: Record<AcquisitionKind, AcquisitionKind[]> = {
+    stock: ['stock', 'LONG_CALL'],
+    PUT: ['PUT'],
+    CALL: ['CALL'],
+    LONG_CALL: ['LONG_CALL'],
+};
+
+const STOCK_ACQUISITIONS = new Set(['BUY_SHARES', 'PUT_ASSIGNMENT', 'ASSIGNMENT']);
+const OPTION_OPENS: Record<string, 'PUT' | 'CALL'> = {
+    SELL_PUT: 'PUT',
+    SELL_PUT_OPEN: 'PUT',
+    SELL_CALL: 'CALL',
+    SELL_CALL_OPEN: 'CALL',
+};
+const OPTION_CLOSES = new Set(['SELL_PUT_CLOSE', 'BUY_PUT_CLOSE', 'SELL_CALL_CLOSE', 'BUY_CALL_CLOSE', 'SELL_LEAPS_CLOSE', 'EXPIRED']);
+
+export const WASH_SALE_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Rebuilds allowed while carried losses change later losses and their wash sales */
+const MAX_WASH_SALE_PASSES = 10;
+
+type Carryovers = Record<string, WashSaleCarryover[]>;
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const day = (date: unknown): string => String(date ?? '').slice(0, 10);
+
+const daysBetween = (a: string, b: string): number =>
+    Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+
+function optionDescription(ticker: string, optionType: 'PUT' | 'CALL', opening?: AnyRecord): string {
+    const strike = num(opening?.strike);
+    const expiration = day(opening?.expiration_date);
+    if (expiration) return formatOptionLabel({ root: ticker, expiration, optionType, strike });
+    return `${ticker} $${strike} ${optionType === 'PUT' ? 'Put' : 'Call'}`;
+}
+
+function stockRows(ticker: string, events: AnyRecord[], defaultMethod: LotReliefMethod, carryovers: Carryovers): RealizedGainRow[] {
+    const { sales } = buildTaxLots(ticker, events, null, defaultMethod, carryovers);
+    return sales.flatMap((sale) => sale.relieved.map((lot) => ({
+        id: `stock-${sale.eventId}-${lot.lotId}`,
+        ticker,
+        kind: 'stock' as const,
+        description: `${lot.shares} sh ${ticker}`,
+        quantity: lot.shares,
+        acquiredAt: lot.acquiredAt,
+        soldAt: lot.soldAt,
+        proceeds: lot.proceeds,
+        cost: lot.cost,
+        term: lot.term,
+        gain: lot.gain,
+        washSaleAdjustment: 0,
+        reportedGain: lot.gain,
+        lotId: lot.lotId,
+        holdingDays: lot.holdingDays,
+        eventId: sale.eventId,
+        cycleId: events.find((e) => e.id === sale.eventId)?.cycle_id,
+    })));
+}
+
+function optionRows(ticker: string, cycleId: number | string, events: AnyRecord[], carryovers: Carryovers): RealizedGainRow[] {
+    const byId = new Map(events.map((e) => [String(e.id), e]));
+    const closingFor = (openId: unknown) => events.find((e) =>
+        OPTION_CLOSES.has(String(e.event_type).toUpperCase()) && e.link_event_id != null && String(e.link_event_id) === String(openId));
+
+    const washedFor = (id: string) => (carryovers[id] || []).reduce((sum, carry) => sum + carry.basisAdjustment, 0);
+    const { legs, longLegs } = replayWheelEvents(events as any[]);
+
+    const shortRows = legs
+        .filter((leg) => leg.outcome === 'EXPIRED' || leg.outcome === 'BOUGHT_BACK')
+        .map((leg) => {
+            const opening = byId.get(String(leg.openEventId));
+            const closing = closingFor(leg.openEventId);
+            const proceeds = round2(leg.credit - Math.abs(num(opening?.fees)));
+            const cost = round2(leg.closeDebit + Math.abs(num(closing?.fees)) + washedFor(`option-${leg.openEventId}`));
+            return {
+                id: `option-${leg.openEventId}`,
+                ticker,
+                kind: 'option' as const,
+                description: optionDescription(ticker, leg.optionType, opening),
+                quantity: leg.contracts,
+                acquiredAt: day(leg.openedAt) || null,
+                soldAt: day(leg.closedAt),
+                proceeds,
+                cost,
+                // Gains on written options are short term however long they were open
+                term: 'short' as const,
+                gain: round2(proceeds - cost),
+                washSaleAdjustment: 0,
+                reportedGain: round2(proceeds - cost),
+                eventId: closing?.id ?? leg.openEventId,
+                cycleId,
+            };
+        });
+
+    const longRows = longLegs
+        .filter((leg) => leg.outcome === 'SOLD' || leg.outcome === 'EXPIRED')
+        .map((leg) => {
+            const opening = byId.get(String(leg.openEventId));
+            const closing = closingFor(leg.openEventId);
+            const proceeds = round2(leg.closeCredit - Math.abs(num(closing?.fees)));
+            const cost = round2(leg.debit + Math.abs(num(opening?.fees)) + washedFor(`leaps-${leg.openEventId}`));
+            const acquiredAt = day(leg.openedAt) || null;
+            const soldAt = day(leg.closedAt);
+            return {
+                id: `leaps-${leg.openEventId}`,
+                ticker,
+                kind: 'option' as const,
+                description: optionDescription(ticker, 'CALL', opening),
+                quantity: leg.contracts,
+                acquiredAt,
+                soldAt,
+                proceeds,
+                cost,
+                term: holdingTerm(acquiredAt, soldAt).term,
+                gain: round2(proceeds - cost),
+                washSaleAdjustment: 0,
+                reportedGain: round2(proceeds - cost),
+                eventId: closing?.id ?? leg.openEventId,
+                cycleId,
+            };
+        });
+
+    return [...shortRows, ...longRows];
+}
+
+function acquisitionsOf(ticker: string, events: AnyRecord[]): Acquisition[] {
+    return events.flatMap((event): Acquisition[] => {
+        const type = String(event.event_type || '').toUpperCase();
+        const date = day(event.trade_date);
+        if (STOCK_ACQUISITIONS.has(type)) {
+            const deliverable = num(event.deliverable_shares) || CONTRACT_MULTIPLIER;
+            const quantity = Math.abs(num(event.quantity_shares)) || Math.abs(num(event.contracts) || 1) * deliverable;
+            return [{ id: `evt-${event.id}`, ticker, kind: 'stock', date, quantity, deliverable: 1 }];
+        }
+        if (OPTION_OPENS[type]) {
+            return [{ id: `option-${event.id}`, ticker, kind: OPTION_OPENS[type], date, quantity: Math.abs(num(event.contracts)) || 1, deliverable: 1 }];
+        }
+        if (type === 'BUY_LEAPS_OPEN') {
+            const deliverable = num(event.deliverable_shares) || CONTRACT_MULTIPLIER;
+            return [{ id: `leaps-${event.id}`, ticker, kind: 'LONG_CALL', date, quantity: Math.abs(num(event.contracts)) || 1, deliverable }];
+        }
+        return [];
+    });
+}
+
+/**
+ * Apply wash-sale adjustments to `rows` in place, oldest loss first, and
+ * return the wash sales found. Lots relieved by the loss sale itself are
+ * never their own replacement.
+ */
+function detectWashSales(rows: RealizedGainRow[], acquisitions: Acquisition[], optionTypes: Record<string, AcquisitionKind> = {}): WashSale[] {
+    const used = new Map<string, number>();
+    const washSales: WashSale[] = [];
+    const losses = rows.filter((row) => row.gain < 0).sort((a, b) => a.soldAt.localeCompare(b.soldAt));
+
+    for (const row of losses) {
+        const replacementKinds = REPLACEMENT_KINDS[row.kind === 'stock' ? 'stock' : optionTypes[row.id]] || [];
+        // A LEAPS replacing shares counts in shares; otherwise units match the row's
+        const unitsOf = (acq: Acquisition) => (row.kind === 'stock' ? acq.deliverable : 1);
+        const soldTogether = new Set(rows.filter((r) => r.kind === 'stock' && r.eventId === row.eventId).map((r) => baseLotId(r.lotId)));
+        const candidates = acquisitions.filter((acq) =>
+            acq.ticker === row.ticker
+            && replacementKinds.includes(acq.kind)
+            && acq.id !== row.id
+            && !(row.kind === 'stock' && soldTogether.has(acq.id))
+            && Math.abs(daysBetween(row.soldAt, acq.date)) <= WASH_SALE_WINDOW_DAYS
+            && (used.get(acq.id) || 0) < acq.quantity)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        let washed = 0;
+        const replacements: WashSale['replacements'] = [];
+        for (const acq of candidates) {
+            if (washed >= row.quantity) break;
+            const take = Math.min((acq.quantity - (used.get(acq.id) || 0)) * unitsOf(acq), row.quantity - washed);
+            used.set(acq.id, (used.get(acq.id) || 0) + take / unitsOf(acq));
+            washed += take;
+            replacements.push({ id: acq.id, acquiredAt: acq.date, quantity: take, basisAdjustment: round2(-row.gain * take / row.quantity) });
+        }
+        if (!washed) continue;
+
+        const disallowed = round2(-row.gain * washed / row.quantity);
+        row.washSaleAdjustment = disallowed;
+        row.reportedGain = round2(row.gain + disallowed);
+        washSales.push({ rowId: row.id, ticker: row.ticker, soldAt: row.soldAt, loss: round2(-row.gain), disallowed, replacements });
+    }
+    return washSales;
+}
+
+function summarize(rows: RealizedGainRow[]): TaxSummaryLine {
+    const sum = (field: 'proceeds' | 'cost' | 'washSaleAdjustment' | 'reportedGain') =>
+        round2(rows.reduce((total, row) => total + row[field], 0));
+    return { proceeds: sum('proceeds'), cost: sum('cost'), adjustments: sum('washSaleAdjustment'), gain: sum('reportedGain') };
+}
+
+/** Tax years with at least one realized gain or loss, newest first */
+export function taxYears(rows: RealizedGainRow[]): number[] {
+    return [...new Set(rows.map((row) => Number(row.soldAt.slice(0, 4))).filter(Boolean))].sort((a, b) => b - a);
+}
+
+/** The event lot a carried-over lot was split from (`evt-5-w1` -> `evt-5`) */
+const baseLotId = (lotId?: string): string | undefined => lotId?.replace(/-w\d+$/, '');
+
+/** Washed losses by replacement id, with the sold shares' holding period carried over */
+function carryoversFrom(washSales: WashSale[], rows: RealizedGainRow[]): Carryovers {
+    const carryovers: Carryovers = {};
+    for (const wash of washSales) {
+        const sold = rows.find((row) => row.id === wash.rowId);
+        const heldDays = sold?.kind === 'stock' ? sold.holdingDays ?? null : null;
+        for (const replacement of wash.replacements) {
+            const heldSince = heldDays != null
+                ? new Date(Date.parse(`${replacement.acquiredAt}T00:00:00Z`) - heldDays * DAY_MS).toISOString().slice(0, 10)
+                : null;
+            (carryovers[replacement.id] ||= []).push({ shares: replacement.quantity, basisAdjustment: replacement.basisAdjustment, heldSince });
+        }
+    }
+    return carryovers;
+}
+
+/** Every realized row across all years, with wash sales applied */
+export function buildRealizedGains(
+    cycles: AnyRecord[],
+    events: AnyRecord[],
+    defaultMethod: LotReliefMethod = 'FIFO',
+): { rows: RealizedGainRow[]; washSales: WashSale[] } {
+    const tickerByCycle = new Map(cycles.map((c) => [String(c.id), String(c.ticker || '').toUpperCase()]));
+    const eventsByCycle = groupEventsByCycle(events as any[]) as Record<string, AnyRecord[]>;
+    const eventsByTicker: Record<string, AnyRecord[]> = {};
+    const cycleGroups: Array<{ ticker: string; cycleEvents: AnyRecord[] }> = [];
+
+    for (const [cycleId, cycleEvents] of Object.entries(eventsByCycle)) {
+        const ticker = tickerByCycle.get(cycleId);
+        if (!ticker) continue;
+        (eventsByTicker[ticker] ||= []).push(...cycleEvents);
+        cycleGroups.push({ ticker, cycleEvents });
+    }
+
+    const acquisitions: Acquisition[] = [];
+    for (const [ticker, tickerEvents] of Object.entries(eventsByTicker)) {
+        acquisitions.push(...acquisitionsOf(ticker, tickerEvents));
+    }
+    // Option rows share their opening acquisition's id
+    const optionTypes = Object.fromEntries(acquisitions.filter((acq) => acq.kind !== 'stock').map((acq) => [acq.id, acq.kind]));
+
+    const realize = (carryovers: Carryovers) => {
+        const rows: RealizedGainRow[] = [
+            ...cycleGroups.flatMap(({ ticker, cycleEvents }) => optionRows(ticker, cycleEvents[0].cycle_id, cycleEvents, carryovers)),
+            ...Object.entries(eventsByTicker).flatMap(([ticker, tickerEvents]) => stockRows(ticker, tickerEvents, defaultMethod, carryovers)),
+        ];
+        rows.sort((a, b) => a.soldAt.localeCompare(b.soldAt) || a.ticker.localeCompare(b.ticker));
+        return { rows, washSales: detectWashSales(rows, acquisitions, optionTypes) };
+    };
+
+    // A carried loss can deepen the replacement's own loss when it is sold, which may wash
+    // into a later acquisition, so rebuild until the carryovers stop changing
+    let carryovers: Carryovers = {};
+    let result = realize(carryovers);
+    for (let pass = 0; pass < MAX_WASH_SALE_PASSES; pass++) {
+        const next = carryoversFrom(result.washSales, result.rows);
+        if (JSON.stringify(next) === JSON.stringify(carryovers)) break;
+        carryovers = next;
+        result = realize(carryovers);
+    }
+    return result;
+}
+
+/**
+ * Realized gains report for one tax year. Wash sales are detected across the
+ * whole history so a replacement bought in January still washes a December loss.
+ */
+export function buildTaxReport(
+    cycles: AnyRecord[],
+    events: AnyRecord[],
+    year: number,
+    defaultMethod: LotReliefMethod = 'FIFO',
+): TaxReport {
+    const all = buildRealizedGains(cycles, events, defaultMethod);
+    const rows = all.rows.filter((row) => row.soldAt.startsWith(String(year)));
+    const ids = new Set(rows.map((row) => row.id));
+    return {
+        year,
+        rows,
+        washSales: all.washSales.filter((wash) => ids.has(wash.rowId)),
+        shortTerm: summarize(rows.filter((row) => row.term !== 'long')),
+        longTerm: summarize(rows.filter((row) => row.term === 'long')),
+        total: summarize(rows),
+    };
+}
+
+const csvCell = (value: string | number): string => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formDate = (date: string | null): string => {
+    if (!date) return 'VARIOUS';
+    const [year, month, dayOfMonth] = date.split('-');
+    return `${month}/${dayOfMonth}/${year}`;
+};
+
+const FORM_8949_HEADER = [
+    'Part',
+    'Description of property',
+    'Date acquired',
+    'Date sold or disposed of',
+    'Proceeds',
+    'Cost or other basis',
+    'Code',
+    'Amount of adjustment',
+    'Gain or (loss)',
+];
+
+/**
+ * Form 8949-style CSV: Part I (short term) rows, then Part II (long term).
+ * Lots with no known acquisition date are reported as short term, dated VARIOUS.
+ */
+export function toForm8949Csv(report: TaxReport): string {
+    const part = (row: RealizedGainRow) => (row.term === 'long' ? 'II' : 'I');
+    const lines = [...report.rows]
+        .sort((a, b) => part(a).localeCompare(part(b)))
+        .map((row) => [
+            part(row),
+            row.description,
+            formDate(row.acquiredAt),
+            formDate(row.soldAt),
+            row.proceeds.toFixed(2),
+            row.cost.toFixed(2),
+            row.washSaleAdjustment ? 'W' : '',
+            row.washSaleAdjustment ? row.washSaleAdjustment.toFixed(2) : '',
+            row.reportedGain.toFixed(2),
+        ].map(csvCell).join(','));
+    return [FORM_8949_HEADER.map(csvCell).join(','), ...lines].join('\n') + '\n';
+}
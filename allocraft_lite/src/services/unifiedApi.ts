@@ -39,6 +39,8 @@ export interface UnifiedAccount {
     brokerage: string;
     total_value: number;
     cash_balance: number;
+    /** Broker-reported buying power, when the brokerage provides it */
+    buying_power?: number;
     position_count: number;
     last_synced: string | null;
 }
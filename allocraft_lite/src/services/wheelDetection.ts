@@ -5,12 +5,21 @@
  * 1. Cash-Secured Put: Short put option only
  * 2. Covered Call: 100+ shares of stock + short call option
  * 3. Full Wheel: 100+ shares + short call + potential assignment history
- * 4. Naked Stock: Stock positions suitable for wheel strategies
+ * 4. Poor Man's Covered Call: Long LEAPS call + short call(s) expiring before it
+ * 5. Collar, Jade Lizard, Short Strangle, Vertical Spread: legs sharing an
+ *    expiration paired by spreadDetection, each with its own max loss and margin
+ * 6. Naked Stock: Stock positions suitable for wheel strategies
  * 
  * Enhanced with unified data model integration, cash balance validation,
  * and sophisticated confidence scoring.
  */
 
+import { optionFieldsOf, optionTypeLabel } from '../utils/occSymbol';
+import { collateralFor } from './collateralLedger';
+import { analyzePmcc } from './pmcc';
+import { scoreConfidence, type ConfidenceFactor, type ConfidenceWeights } from './confidenceScore';
+import { detectSpreads, totalMaxLoss, type SpreadProfile, type SpreadStrategy } from './spreadDetection';
+
 export interface WheelDetectionOptions {
     // Enhanced detection options
     cashBalance?: number;
@@ -18,6 +27,26 @@ export interface WheelDetectionOptions {
     riskTolerance?: 'conservative' | 'moderate' | 'aggressive';
     includeHistorical?: boolean;
     marketData?: MarketContextData;
+    // Upcoming dividends (see projectUpcomingDividends) and last prices by ticker,
+    // for the ex-dividend assignment check
+    dividends?: Record<string, UpcomingDividend>;
+    underlyingPrices?: Record<string, number>;
+    // User weights for the confidence factors; each defaults to 1
+    confidenceWeights?: Partial<ConfidenceWeights>;
+}
+
+export interface UpcomingDividend {
+    exDate: string; // YYYY-MM-DD
+    amount: number; // Per share
+}
+
+export interface ExDividendRisk {
+    symbol: string;
+    strikePrice: number;
+    underlyingPrice: number;
+    extrinsicValue: number; // Per share
+    dividend: number;
+    exDate: string;
 }
 
 export interface MarketContextData {
@@ -30,17 +59,20 @@ export interface MarketContextData {
 
 export interface WheelDetectionResult {
     ticker: string;
-    strategy: 'cash_secured_put' | 'covered_call' | 'full_wheel' | 'naked_stock';
+    strategy: 'cash_secured_put' | 'covered_call' | 'full_wheel' | 'poor_mans_covered_call' | SpreadStrategy | 'naked_stock';
     confidence: 'high' | 'medium' | 'low';
     confidenceScore: number; // 0-100 numerical confidence score
+    confidenceFactors: ConfidenceFactor[]; // What the score is made of, for re-weighting
     description: string;
     cashRequired?: number; // Required cash for CSP strategies
     cashValidated?: boolean; // Whether cash requirements are met
+    spreads?: SpreadProfile[]; // Multi-leg strategies found, first one sets the strategy
     riskAssessment: {
         level: 'low' | 'medium' | 'high';
         factors: string[];
         maxLoss?: number;
         assignmentRisk?: number; // 0-100 score
+        exDividend?: ExDividendRisk[]; // Short calls likely to be exercised for the dividend
     };
     positions: Array<{
         type: 'stock' | 'call' | 'put';
@@ -89,20 +121,24 @@ export class WheelDetectionService {
         console.log('🎯 Starting enhanced wheel strategy detection with positions:', positions);
         console.log('🔧 Detection options:', options);
 
-        // Convert positions to our internal format, handling optional fields
-        const parsedPositions: ParsedPosition[] = positions.map(p => ({
-            id: p.id,
-            symbol: p.symbol,
-            shares: p.shares,
-            isOption: p.isOption || false,
-            underlyingSymbol: p.underlyingSymbol,
-            optionType: p.optionType,
-            strikePrice: p.strikePrice,
-            expirationDate: p.expirationDate,
-            contracts: p.contracts,
-            marketValue: p.marketValue,
-            source: p.source || 'unknown'
-        }));
+        // Convert positions to our internal format, filling option fields from the symbol
+        const parsedPositions: ParsedPosition[] = positions.map(p => {
+            const option = optionFieldsOf(p);
+            const isOption = p.isOption || option.occ !== null;
+            return {
+                id: p.id,
+                symbol: p.symbol,
+                shares: p.shares,
+                isOption,
+                underlyingSymbol: isOption ? option.underlying ?? undefined : p.underlyingSymbol,
+                optionType: isOption && option.optionType ? optionTypeLabel(option.optionType) : undefined,
+                strikePrice: option.strike ?? undefined,
+                expirationDate: option.expiration ?? undefined,
+                contracts: p.contracts,
+                marketValue: p.marketValue,
+                source: p.source || 'unknown'
+            };
+        });
 
         console.log('📊 Parsed positions for analysis:', parsedPositions);
 
@@ -127,7 +163,10 @@ export class WheelDetectionService {
 
         // Sort by strategy complexity and confidence score
         return results.sort((a, b) => {
-            const strategyOrder = { 'full_wheel': 0, 'covered_call': 1, 'cash_secured_put': 2, 'naked_stock': 3 };
+            const strategyOrder = {
+                'full_wheel': 0, 'collar': 1, 'covered_call': 2, 'poor_mans_covered_call': 3, 'jade_lizard': 4,
+                'short_strangle': 5, 'vertical_spread': 6, 'cash_secured_put': 7, 'naked_stock': 8
+            };
             const strategyDiff = strategyOrder[a.strategy] - strategyOrder[b.strategy];
             if (strategyDiff !== 0) return strategyDiff;
             return b.confidenceScore - a.confidenceScore; // Higher confidence first
@@ -212,12 +251,31 @@ export class WheelDetectionService {
             return result;
         }
 
+        const spreads = this.findSpreads(ticker, stockPositions, optionPositions, totalStockShares, options);
+        if (spreads[0]?.strategy === 'collar') {
+            console.log(`✅ ${ticker}: Detected COLLAR strategy`);
+            const result = this.createSpreadResult(ticker, formattedPositions, spreads, options);
+            return result;
+        }
+
         if (this.isCoveredCall(totalStockShares, shortCalls)) {
             console.log(`✅ ${ticker}: Detected COVERED CALL strategy`);
             const result = this.createCoveredCallResult(ticker, formattedPositions, totalStockShares, shortCalls, options);
             return result;
         }
 
+        if (this.isPoorMansCoveredCall(totalStockShares, longCalls, shortCalls)) {
+            console.log(`✅ ${ticker}: Detected POOR MAN'S COVERED CALL strategy`);
+            const result = this.createPoorMansCoveredCallResult(ticker, formattedPositions, longCalls, shortCalls, options);
+            return result;
+        }
+
+        if (spreads.length > 0) {
+            console.log(`✅ ${ticker}: Detected ${spreads[0].strategy.toUpperCase()} strategy`);
+            const result = this.createSpreadResult(ticker, formattedPositions, spreads, options);
+            return result;
+        }
+
         if (this.isCashSecuredPut(shortPuts)) {
             console.log(`✅ ${ticker}: Detected CASH-SECURED PUT strategy`);
             const result = this.createCashSecuredPutResult(ticker, formattedPositions, shortPuts, totalStockShares, options);
@@ -251,6 +309,45 @@ export class WheelDetectionService {
         return stockShares >= 100 && shortCalls.length > 0;
     }
 
+    /**
+     * Detect poor man's covered call: short call(s) without 100 shares, held
+     * against a long call that expires later
+     */
+    private static isPoorMansCoveredCall(stockShares: number, longCalls: ParsedPosition[], shortCalls: ParsedPosition[]): boolean {
+        return stockShares < 100 && shortCalls.length > 0 && longCalls.some(long =>
+            shortCalls.some(short => !long.expirationDate || !short.expirationDate || long.expirationDate > short.expirationDate));
+    }
+
+    /**
+     * Pair option legs sharing an expiration into collars, jade lizards,
+     * strangles and verticals. Prices are per share of market value.
+     */
+    private static findSpreads(
+        ticker: string,
+        stockPositions: ParsedPosition[],
+        optionPositions: ParsedPosition[],
+        totalStockShares: number,
+        options: WheelDetectionOptions
+    ): SpreadProfile[] {
+        const stockValue = stockPositions.reduce((sum, p) => sum + Math.abs(p.marketValue || 0), 0);
+        return detectSpreads(
+            optionPositions.map(p => ({
+                symbol: p.symbol,
+                optionType: p.optionType === 'Call' ? 'call' as const : 'put' as const,
+                side: (p.contracts || 0) < 0 ? 'short' as const : 'long' as const,
+                strike: p.strikePrice || 0,
+                expiration: p.expirationDate ?? null,
+                contracts: Math.abs(p.contracts || 0),
+                price: this.perShareValue(p)
+            })),
+            {
+                stockShares: totalStockShares,
+                stockPrice: totalStockShares > 0 ? stockValue / totalStockShares : undefined,
+                underlyingPrice: options.underlyingPrices?.[ticker]
+            }
+        );
+    }
+
     /**
      * Detect cash-secured put: short put(s) 
      */
@@ -314,6 +411,40 @@ export class WheelDetectionService {
                 });
                 break;
 
+            case 'poor_mans_covered_call':
+                suggestions.push({
+                    title: "Track Poor Man's Covered Call",
+                    description: 'Track the LEAPS as the collateral lot and the short calls sold against it',
+                    action: 'create_pmcc_cycle',
+                    params: {
+                        ticker: detectionResult.ticker,
+                        leaps: detectionResult.positions.filter(p => p.type === 'call' && p.position === 'long'),
+                        calls: detectionResult.positions.filter(p => p.type === 'call' && p.position === 'short')
+                    }
+                });
+                break;
+
+            case 'collar':
+            case 'jade_lizard':
+            case 'short_strangle':
+            case 'vertical_spread':
+                for (const spread of detectionResult.spreads || []) {
+                    suggestions.push({
+                        title: `Track ${spread.label}`,
+                        description: spread.maxLoss === null
+                            ? `Track the legs together; $${spread.margin.toFixed(2)} of margin with no cap on the loss`
+                            : `Track the legs together; loss is capped at $${spread.maxLoss.toFixed(2)}`,
+                        action: 'create_spread_cycle',
+                        params: {
+                            ticker: detectionResult.ticker,
+                            kind: spread.kind,
+                            expiration: spread.expiration,
+                            legs: spread.legs
+                        }
+                    });
+                }
+                break;
+
             case 'naked_stock':
                 suggestions.push({
                     title: 'Start Wheel Strategy',
@@ -343,90 +474,75 @@ export class WheelDetectionService {
     }
 
     /**
-     * Calculate confidence score based on multiple factors
+     * Calculate confidence score from named, weighted factors
      */
     private static calculateConfidenceScore(
         strategy: string,
         positions: any[],
         cashRequired: number = 0,
         cashBalance: number = 0,
-        marketContext?: MarketContextData
-    ): { confidence: 'high' | 'medium' | 'low'; score: number } {
-        let score = 50; // Base score
-
-        // Strategy completeness
-        switch (strategy) {
-            case 'full_wheel':
-                score += 30; // Complete strategy
-                break;
-            case 'covered_call':
-                score += 20; // Partial strategy
-                break;
-            case 'cash_secured_put':
-                score += 15; // Basic strategy
-                break;
-            case 'naked_stock':
-                score += 10; // Potential strategy
-                break;
-        }
-
-        // Cash validation (for CSP strategies)
-        if (cashRequired > 0) {
-            if (cashBalance >= cashRequired) {
-                score += 15; // Sufficient cash
-            } else if (cashBalance >= cashRequired * 0.5) {
-                score += 5; // Partial cash coverage
-            } else {
-                score -= 10; // Insufficient cash
-            }
-        }
-
-        // Days to expiration factor
-        const optionPositions = positions.filter(p => p.daysToExpiration !== undefined);
-        if (optionPositions.length > 0) {
-            const avgDaysToExp = optionPositions.reduce((sum, p) => sum + (p.daysToExpiration || 0), 0) / optionPositions.length;
-            if (avgDaysToExp > 30) {
-                score += 10; // Good time horizon
-            } else if (avgDaysToExp < 7) {
-                score -= 15; // Close to expiration
-            }
-        }
-
-        // Market context (if available)
-        if (marketContext) {
-            if (marketContext.volatility && marketContext.volatility > 0.3) {
-                score += 5; // Higher volatility = better premiums
-            }
-            if (marketContext.marketTrend === 'bullish') {
-                score += 5; // Bullish trend favors wheels
-            }
-        }
-
-        // Ensure score is within bounds
-        score = Math.max(0, Math.min(100, score));
-
-        // Determine confidence level
-        let confidence: 'high' | 'medium' | 'low';
-        if (score >= 70) {
-            confidence = 'high';
-        } else if (score >= 40) {
-            confidence = 'medium';
-        } else {
-            confidence = 'low';
-        }
+        marketContext?: MarketContextData,
+        weights?: Partial<ConfidenceWeights>
+    ): { confidence: 'high' | 'medium' | 'low'; score: number; factors: ConfidenceFactor[] } {
+        const { confidence, score, factors } = scoreConfidence({
+            strategy,
+            stockShares: positions.filter(p => p.type === 'stock').reduce((sum, p) => sum + (p.rawQuantity || 0), 0),
+            daysToExpiration: positions.filter(p => p.daysToExpiration !== undefined).map(p => p.daysToExpiration || 0),
+            cashRequired,
+            cashBalance,
+            marketContext
+        }, weights);
+        return { confidence, score, factors };
+    }
 
-        return { confidence, score };
+    /**
+     * Market value per share of an option position
+     */
+    private static perShareValue(p: ParsedPosition): number {
+        return Math.abs(p.marketValue || 0) / (Math.max(Math.abs(p.contracts || 0), 1) * 100);
     }
 
     /**
      * Calculate cash required for CSP strategy
      */
     private static calculateCashRequired(shortPuts: ParsedPosition[]): number {
-        return shortPuts.reduce((total, put) => {
-            const contracts = Math.abs(put.contracts || 0);
-            const strike = put.strikePrice || 0;
-            return total + (contracts * strike * 100); // 100 shares per contract
-        }, 0);
+        return shortPuts.reduce((total, put) => total + collateralFor(put.strikePrice || 0, put.contracts || 0), 0);
+    }
+
+    /**
+     * Find short in-the-money calls expiring after an upcoming ex-dividend date
+     * whose remaining extrinsic value is below the dividend: holders gain more
+     * by exercising the day before the ex-date than by holding the option.
+     * The underlying price comes from the stock position, else `underlyingPrice`.
+     */
+    private static findExDividendRisks(
+        positions: any[],
+        dividend: UpcomingDividend,
+        underlyingPrice?: number
+    ): ExDividendRisk[] {
+        const daysToExDate = this.calculateDaysToExpiration(dividend.exDate);
+        if (!(dividend.amount > 0) || daysToExDate < 0) return [];
+
+        const stock = positions.find(p => p.type === 'stock' && p.quantity > 0 && p.marketValue);
+        const price = stock ? Math.abs(stock.marketValue) / stock.quantity : underlyingPrice;
+        if (!price) return [];
+
+        return positions
+            .filter(p => p.type === 'call' && p.position === 'short' && p.strikePrice && price > p.strikePrice)
+            .filter(p => p.daysToExpiration === undefined || p.daysToExpiration >= daysToExDate)
+            .map(p => {
+                const optionPrice = Math.abs(p.marketValue || 0) / (Math.max(p.quantity, 1) * 100);
+                const extrinsicValue = Math.max(0, optionPrice - (price - p.strikePrice));
+                return {
+                    symbol: p.symbol,
+                    strikePrice: p.strikePrice,
+                    underlyingPrice: price,
+                    extrinsicValue: Math.round(extrinsicValue * 100) / 100,
+                    dividend: dividend.amount,
+                    exDate: dividend.exDate
+                };
+            })
+            .filter(risk => risk.extrinsicValue < dividend.amount);
     }
 
     /**
@@ -435,12 +551,14 @@ export class WheelDetectionService {
     private static assessRisk(
         strategy: string,
         positions: any[],
-        options: WheelDetectionOptions
+        options: WheelDetectionOptions,
+        ticker?: string
     ): {
         level: 'low' | 'medium' | 'high';
         factors: string[];
         maxLoss?: number;
         assignmentRisk?: number;
+        exDividend?: ExDividendRisk[];
     } {
         const factors: string[] = [];
         let level: 'low' | 'medium' | 'high' = 'medium';
@@ -460,6 +578,22 @@ export class WheelDetectionService {
             }
         }
 
+        // Early assignment ahead of an ex-dividend date
+        const dividend = ticker ? options.dividends?.[ticker] : undefined;
+        const exDividend = dividend
+            ? this.findExDividendRisks(positions, dividend, options.underlyingPrices?.[ticker!])
+            : [];
+        for (const risk of exDividend) {
+            factors.push(
+                `Short $${risk.strikePrice} call is in the money with $${risk.extrinsicValue.toFixed(2)} extrinsic value, ` +
+                `below the $${risk.dividend.toFixed(2)} dividend going ex on ${risk.exDate} - early assignment likely`
+            );
+        }
+        if (exDividend.length > 0) {
+            assignmentRisk = Math.max(assignmentRisk, 90);
+            level = 'high';
+        }
+
         // Risk tolerance adjustment
         if (options.riskTolerance === 'conservative') {
             factors.push('Conservative risk profile - consider safer strikes');
@@ -479,13 +613,29 @@ export class WheelDetectionService {
             case 'covered_call':
                 factors.push('Call assignment would result in stock sale');
                 break;
+            case 'poor_mans_covered_call':
+                factors.push('Call assignment must be met by exercising or selling the LEAPS');
+                break;
+            case 'collar':
+                factors.push('Shares are capped at the call strike and protected below the put strike');
+                break;
+            case 'jade_lizard':
+                factors.push('Downside risk is that of a naked put');
+                break;
+            case 'short_strangle':
+                factors.push('Naked call and put - a large move either way loses without limit');
+                level = 'high';
+                break;
+            case 'vertical_spread':
+                factors.push('Loss is capped by the long leg');
+                break;
             case 'full_wheel':
                 factors.push('Multiple assignment possibilities - complex management');
                 if (level !== 'high') level = 'medium';
                 break;
         }
 
-        return { level, factors, assignmentRisk };
+        return { level, factors, assignmentRisk, ...(exDividend.length > 0 ? { exDividend } : {}) };
     }
 
     /**
@@ -499,20 +649,22 @@ export class WheelDetectionService {
         options: WheelDetectionOptions
     ): WheelDetectionResult {
         const cashRequired = this.calculateCashRequired(shortPuts);
-        const { confidence, score } = this.calculateConfidenceScore(
+        const { confidence, score, factors } = this.calculateConfidenceScore(
             'full_wheel',
             positions,
             cashRequired,
             options.cashBalance || 0,
-            options.marketData
+            options.marketData,
+            options.confidenceWeights
         );
-        const riskAssessment = this.assessRisk('full_wheel', positions, options);
+        const riskAssessment = this.assessRisk('full_wheel', positions, options, ticker);
 
         return {
             ticker,
             strategy: 'full_wheel',
             confidence,
             confidenceScore: score,
+            confidenceFactors: factors,
             description: `Complete wheel strategy: ${positions.filter(p => p.type === 'stock')[0]?.quantity || 0} shares with covered call and put-selling capability`,
             cashRequired,
             cashValidated: options.cashBalance ? options.cashBalance >= cashRequired : undefined,
@@ -542,14 +694,15 @@ export class WheelDetectionService {
         _shortCalls: ParsedPosition[],
         options: WheelDetectionOptions
     ): WheelDetectionResult {
-        const { confidence, score } = this.calculateConfidenceScore(
+        const { confidence, score, factors } = this.calculateConfidenceScore(
             'covered_call',
             positions,
             0,
             options.cashBalance || 0,
-            options.marketData
+            options.marketData,
+            options.confidenceWeights
         );
-        const riskAssessment = this.assessRisk('covered_call', positions, options);
+        const riskAssessment = this.assessRisk('covered_call', positions, options, ticker);
 
         const shortCallCount = positions.filter(p => p.type === 'call' && p.position === 'short').length;
 
@@ -558,6 +711,7 @@ export class WheelDetectionService {
             strategy: 'covered_call',
             confidence,
             confidenceScore: score,
+            confidenceFactors: factors,
             description: `Covered call position: ${totalStockShares} shares with ${shortCallCount} short call(s)`,
             riskAssessment,
             positions,
@@ -574,6 +728,133 @@ export class WheelDetectionService {
         };
     }
 
+    /**
+     * Create enhanced Poor Man's Covered Call result. Positions carry market
+     * values rather than trade prices, so net debit and max loss are measured
+     * on the spread's current value.
+     */
+    private static createPoorMansCoveredCallResult(
+        ticker: string,
+        positions: any[],
+        longCalls: ParsedPosition[],
+        shortCalls: ParsedPosition[],
+        options: WheelDetectionOptions
+    ): WheelDetectionResult {
+        const pmcc = analyzePmcc({
+            longLegs: longCalls.map(p => ({
+                strike: p.strikePrice || 0,
+                expiration: p.expirationDate ?? null,
+                contracts: Math.abs(p.contracts || 0),
+                debit: this.perShareValue(p)
+            })),
+            shortLegs: shortCalls.map(p => ({
+                strike: p.strikePrice || 0,
+                expiration: p.expirationDate ?? null,
+                contracts: Math.abs(p.contracts || 0),
+                premium: this.perShareValue(p)
+            }))
+        });
+        const { confidence, score, factors } = this.calculateConfidenceScore(
+            'poor_mans_covered_call',
+            positions,
+            0,
+            options.cashBalance || 0,
+            options.marketData,
+            options.confidenceWeights
+        );
+        const baseRisk = this.assessRisk('poor_mans_covered_call', positions, options, ticker);
+        const riskAssessment = {
+            ...baseRisk,
+            level: pmcc.risks.some(r => r.severity === 'high') ? 'high' as const : baseRisk.level,
+            factors: [...pmcc.risks.map(r => r.message), ...baseRisk.factors],
+            maxLoss: pmcc.maxLoss
+        };
+
+        const longContracts = longCalls.reduce((sum, p) => sum + Math.abs(p.contracts || 0), 0);
+
+        return {
+            ticker,
+            strategy: 'poor_mans_covered_call',
+            confidence,
+            confidenceScore: score,
+            confidenceFactors: factors,
+            description: `Poor man's covered call: ${longContracts} long LEAPS call(s) with ${shortCalls.length} short call(s)`,
+            riskAssessment,
+            positions,
+            recommendations: [
+                'Keep short strikes above the LEAPS strike plus the net debit',
+                'Roll the LEAPS before it has less than 90 days left',
+                'Close or roll short calls that move in the money'
+            ],
+            potentialActions: [
+                { action: 'roll_call', description: 'Roll the short call up and out', priority: 'high' },
+                { action: 'roll_leaps', description: 'Roll the long LEAPS to a later expiration', priority: 'medium' }
+            ],
+            marketContext: options.marketData
+        };
+    }
+
+    /**
+     * Create a multi-leg strategy result. The first spread sets the strategy;
+     * cash required is the margin of them all, and max loss is left out when
+     * any of them has no cap.
+     */
+    private static createSpreadResult(
+        ticker: string,
+        positions: any[],
+        spreads: SpreadProfile[],
+        options: WheelDetectionOptions
+    ): WheelDetectionResult {
+        const [primary] = spreads;
+        const cashRequired = Math.round(spreads.reduce((sum, s) => sum + s.margin, 0) * 100) / 100;
+        const { confidence, score, factors } = this.calculateConfidenceScore(
+            primary.strategy,
+            positions,
+            cashRequired,
+            options.cashBalance || 0,
+            options.marketData,
+            options.confidenceWeights
+        );
+        const baseRisk = this.assessRisk(primary.strategy, positions, options, ticker);
+        const maxLoss = totalMaxLoss(spreads);
+        const riskAssessment = {
+            ...baseRisk,
+            level: maxLoss === null ? 'high' as const : baseRisk.level,
+            factors: [...spreads.flatMap(s => s.risks), ...baseRisk.factors],
+            ...(maxLoss === null ? {} : { maxLoss })
+        };
+
+        return {
+            ticker,
+            strategy: primary.strategy,
+            confidence,
+            confidenceScore: score,
+            confidenceFactors: factors,
+            description: spreads.map(s => `${s.label} x${s.contracts}${s.expiration ? ` exp ${s.expiration}` : ''}`).join('; '),
+            cashRequired,
+            cashValidated: options.cashBalance ? options.cashBalance >= cashRequired : undefined,
+            spreads,
+            riskAssessment,
+            positions,
+            recommendations: primary.maxLoss === null
+                ? [
+                    'Define the risk by buying wings beyond the short strikes',
+                    'Roll the untested side toward the price to collect more credit',
+                    'Close at 50% of the credit to cut exposure'
+                ]
+                : [
+                    'Close near 50% of max profit rather than holding to expiration',
+                    'Watch the short strike as expiration nears',
+                    'Size new spreads so the max loss fits the account'
+                ],
+            potentialActions: [
+                { action: 'close_spread', description: 'Buy back the spread to lock in profit', priority: 'high' },
+                { action: 'roll_spread', description: 'Roll the spread to a later expiration', priority: 'medium' }
+            ],
+            marketContext: options.marketData
+        };
+    }
+
     /**
      * Create enhanced Cash-Secured Put result
      */
@@ -585,20 +866,22 @@ export class WheelDetectionService {
         options: WheelDetectionOptions
     ): WheelDetectionResult {
         const cashRequired = this.calculateCashRequired(shortPuts);
-        const { confidence, score } = this.calculateConfidenceScore(
+        const { confidence, score, factors } = this.calculateConfidenceScore(
             'cash_secured_put',
             positions,
             cashRequired,
             options.cashBalance || 0,
-            options.marketData
+            options.marketData,
+            options.confidenceWeights
         );
-        const riskAssessment = this.assessRisk('cash_secured_put', positions, options);
+        const riskAssessment = this.assessRisk('cash_secured_put', positions, options, ticker);
 
         return {
             ticker,
             strategy: 'cash_secured_put',
             confidence,
             confidenceScore: score,
+            confidenceFactors: factors,
             description: `Cash-secured put position: ${shortPuts.length} short put(s) ${totalStockShares > 0 ? `with ${totalStockShares} existing shares` : ''}`,
             cashRequired,
             cashValidated: options.cashBalance ? options.cashBalance >= cashRequired : undefined,
@@ -626,20 +909,22 @@ export class WheelDetectionService {
         totalStockShares: number,
         options: WheelDetectionOptions
     ): WheelDetectionResult {
-        const { confidence, score } = this.calculateConfidenceScore(
+        const { confidence, score, factors } = this.calculateConfidenceScore(
             'naked_stock',
             positions,
             0,
             options.cashBalance || 0,
-            options.marketData
+            options.marketData,
+            options.confidenceWeights
         );
-        const riskAssessment = this.assessRisk('naked_stock', positions, options);
+        const riskAssessment = this.assessRisk('naked_stock', positions, options, ticker);
 
         return {
             ticker,
             strategy: 'naked_stock',
             confidence,
             confidenceScore: score,
+            confidenceFactors: factors,
             description: `${totalStockShares} shares ready for wheel strategy`,
             riskAssessment,
             positions,
@@ -656,3 +941,45 @@ export class WheelDetectionService {
         };
     }
 }
+
+/** Gap assumed between ex-dates when a ticker has only one recorded dividend */
+const DEFAULT_DIVIDEND_INTERVAL_DAYS = 91;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next expected dividend per ticker, projected from the DIVIDEND events
+ * recorded on wheel cycles (dated on the ex-date, amount per share in
+ * `price`): the last amount, going ex one typical gap after the last ex-date
+ * and rolled forward to `asOf`. The gap is the median between recorded
+ * ex-dates, or quarterly when there is only one.
+ */
+export function projectUpcomingDividends(cycles: any[], events: any[], asOf: Date = new Date()): Record<string, UpcomingDividend> {
+    const tickers = new Map(cycles.map((c) => [String(c.id), String(c.ticker || '').toUpperCase()]));
+    const byTicker: Record<string, Map<string, number>> = {};
+    for (const event of events) {
+        const ticker = tickers.get(String(event.cycle_id));
+        const exDate = String(event.trade_date || '').slice(0, 10);
+        const amount = Number(event.price);
+        if (event.event_type !== 'DIVIDEND' || !ticker || !exDate || !(amount > 0)) continue;
+        // One entry per ex-date; lots of the same ticker record the same dividend
+        (byTicker[ticker] ||= new Map()).set(exDate, amount);
+    }
+
+    const today = Date.parse(`${asOf.toISOString().slice(0, 10)}T00:00:00Z`);
+    const upcoming: Record<string, UpcomingDividend> = {};
+    for (const [ticker, recorded] of Object.entries(byTicker)) {
+        const dates = Array.from(recorded.keys()).sort();
+        const times = dates.map((date) => Date.parse(`${date}T00:00:00Z`));
+        const gaps = times.slice(1).map((time, i) => Math.round((time - times[i]) / DAY_MS)).sort((a, b) => a - b);
+        const interval = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : DEFAULT_DIVIDEND_INTERVAL_DAYS;
+
+        let next = times[times.length - 1] + interval * DAY_MS;
+        while (next < today) next += interval * DAY_MS;
+        upcoming[ticker] = {
+            exDate: new Date(next).toISOString().slice(0, 10),
+            amount: recorded.get(dates[dates.length - 1])!,
+        };
+    }
+    return upcoming;
+}
@@ -0,0 +1,257 @@
+/**
+ * Wheel Status State Machine
+ *
+ * Declarative description of the wheel lifecycle statuses and the transitions
+ * allowed between them. Each transition lists the context fields it requires,
+ * guard conditions (blocking or warning) and the side effects the service must
+ * run once the change is persisted. The machine itself is pure; side effects
+ * are executed by WheelManagementService.
+ */
+
+export type WheelStatus =
+    | 'pending'
+    | 'active'
+    | 'monitoring'
+    | 'rolling'
+    | 'assigned'
+    | 'covered'
+    | 'expired'
+    | 'paused'
+    | 'closed';
+
+export type StatusSideEffect =
+    | 'log_status_event'      // POST a status_change wheel event
+    | 'update_cycle_cache'    // patch the cycle's status in the ['wheel-cycles'] cache
+    | 'invalidate_history'    // refetch ['wheel-status-history', id]
+    | 'invalidate_positions'  // refetch events and lots; the cycle's holdings changed
+    | 'invalidate_wheels';    // refetch cycles and detection results
+
+export interface TransitionContext {
+    reason?: string;
+    trigger_event?: string;
+    automated?: boolean;
+    updated_by?: string;
+    manual_closure?: boolean;
+    shares_sold?: boolean;
+    shares_owned?: number;
+    [key: string]: any;
+}
+
+export interface RequiredField {
+    field: string;
+    label: string;
+}
+
+export interface TransitionGuard {
+    name: string;
+    /** 'block' rejects the transition, 'warn' lets it through with a warning */
+    severity: 'block' | 'warn';
+    /** Returns true when the transition is fine */
+    check: (context: TransitionContext) => boolean;
+    message: string;
+    recommendation?: string;
+}
+
+export interface StatusTransition {
+    from: WheelStatus;
+    to: WheelStatus;
+    requires: RequiredField[];
+    guards: TransitionGuard[];
+    effects: StatusSideEffect[];
+}
+
+export interface StatusTransitionValidation {
+    valid: boolean;
+    reason?: string;
+    missing?: string[];
+    warnings: string[];
+    recommendations: string[];
+    effects?: StatusSideEffect[];
+}
+
+export const WHEEL_STATUSES: { value: WheelStatus; label: string; description: string }[] = [
+    { value: 'pending', label: 'Pending', description: 'Initial setup phase' },
+    { value: 'active', label: 'Active', description: 'Options active, generating income' },
+    { value: 'monitoring', label: 'Monitoring', description: 'Watching for assignment/expiration' },
+    { value: 'assigned', label: 'Assigned', description: 'Put assigned, holding shares' },
+    { value: 'rolling', label: 'Rolling', description: 'Rolling options to new expiration' },
+    { value: 'covered', label: 'Covered', description: 'Covered calls active on shares' },
+    { value: 'expired', label: 'Expired', description: 'Options expired, ready for next cycle' },
+    { value: 'paused', label: 'Paused', description: 'Strategy temporarily suspended' },
+    { value: 'closed', label: 'Closed', description: 'Strategy completed or manually closed' }
+];
+
+const BASE_EFFECTS: StatusSideEffect[] = ['log_status_event', 'update_cycle_cache', 'invalidate_history'];
+
+const REASON: RequiredField = { field: 'reason', label: 'Reason' };
+
+const closingWithoutCompletion: TransitionGuard = {
+    name: 'manual_closure',
+    severity: 'warn',
+    check: (ctx) => !!ctx.manual_closure,
+    message: 'Closing active wheel without completion may result in missed opportunities',
+    recommendation: 'Consider allowing wheel to complete naturally'
+};
+
+const activeWithoutSellingShares: TransitionGuard = {
+    name: 'shares_sold',
+    severity: 'warn',
+    check: (ctx) => !!ctx.shares_sold,
+    message: 'Transitioning from assigned to active without selling shares',
+    recommendation: 'Verify covered call strategy is in place'
+};
+
+const hasSharesToCover: TransitionGuard = {
+    name: 'has_shares',
+    severity: 'block',
+    check: (ctx) => ctx.shares_owned === undefined || ctx.shares_owned >= 100,
+    message: 'Covered calls need at least 100 shares',
+    recommendation: 'Record the share purchase or assignment first'
+};
+
+const newPositionOpened: TransitionGuard = {
+    name: 'new_position',
+    severity: 'warn',
+    check: (ctx) => ctx.trigger_event !== 'manual' || !!ctx.new_position_opened,
+    message: 'Reactivating an expired wheel before opening a new position',
+    recommendation: 'Sell the next put or call, then mark the wheel active'
+};
+
+type TransitionSpec = Partial<Omit<StatusTransition, 'from' | 'to'>>;
+
+function transition(from: WheelStatus, to: WheelStatus, spec: TransitionSpec = {}): StatusTransition {
+    const effects = [...BASE_EFFECTS, ...(spec.effects ?? [])];
+    if (to === 'closed') effects.push('invalidate_wheels');
+    return {
+        from,
+        to,
+        requires: spec.requires ?? (to === 'closed' || to === 'paused' ? [REASON] : []),
+        guards: spec.guards ?? [],
+        effects
+    };
+}
+
+const HOLDINGS_CHANGED: TransitionSpec = { effects: ['invalidate_positions'] };
+
+export const WHEEL_STATUS_TRANSITIONS: StatusTransition[] = [
+    transition('pending', 'active'),
+    transition('pending', 'closed'),
+
+    transition('active', 'paused'),
+    transition('active', 'monitoring'),
+    transition('active', 'closed', { guards: [closingWithoutCompletion] }),
+    transition('active', 'assigned', HOLDINGS_CHANGED),
+    transition('active', 'rolling', HOLDINGS_CHANGED),
+    transition('active', 'covered', { guards: [hasSharesToCover] }),
+    transition('active', 'expired', HOLDINGS_CHANGED),
+
+    transition('paused', 'active'),
+    transition('paused', 'closed'),
+
+    transition('monitoring', 'active'),
+    transition('monitoring', 'paused'),
+    transition('monitoring', 'closed'),
+    transition('monitoring', 'assigned', HOLDINGS_CHANGED),
+    transition('monitoring', 'rolling', HOLDINGS_CHANGED),
+    transition('monitoring', 'expired', HOLDINGS_CHANGED),
+
+    transition('assigned', 'active', { guards: [activeWithoutSellingShares] }),
+    transition('assigned', 'closed', HOLDINGS_CHANGED),
+    transition('assigned', 'covered', { guards: [hasSharesToCover] }),
+
+    transition('rolling', 'active'),
+    transition('rolling', 'closed'),
+    transition('rolling', 'monitoring'),
+
+    transition('covered', 'active', HOLDINGS_CHANGED),
+    transition('covered', 'closed', HOLDINGS_CHANGED),
+    transition('covered', 'monitoring'),
+    transition('covered', 'expired', HOLDINGS_CHANGED),
+
+    transition('expired', 'closed'),
+    transition('expired', 'active', { guards: [newPositionOpened] })
+];
+
+export interface WheelStatusMachine {
+    statuses: WheelStatus[];
+    getTransition(from: string, to: string): StatusTransition | undefined;
+    canTransition(from: string, to: string): boolean;
+    allowedTargets(from: string): WheelStatus[];
+    validate(from: string, to: string, context?: TransitionContext): StatusTransitionValidation;
+    toMermaid(): string;
+}
+
+export function createStatusMachine(transitions: StatusTransition[], statuses: WheelStatus[] = WHEEL_STATUSES.map((s) => s.value)): WheelStatusMachine {
+    const getTransition = (from: string, to: string) =>
+        transitions.find((t) => t.from === from && t.to === to);
+
+    const validate = (from: string, to: string, context: TransitionContext = {}): StatusTransitionValidation => {
+        const t = getTransition(from, to);
+        if (!t) {
+            return {
+                valid: false,
+                reason: `Invalid transition from ${from} to ${to}`,
+                warnings: [],
+                recommendations: ['Review wheel status transition rules']
+            };
+        }
+
+        const missing = t.requires
+            .filter(({ field }) => context[field] === undefined || context[field] === null || context[field] === '')
+            .map(({ field }) => field);
+        if (missing.length > 0) {
+            return {
+                valid: false,
+                reason: `Missing required context: ${missing.join(', ')}`,
+                missing,
+                warnings: [],
+                recommendations: []
+            };
+        }
+
+        const warnings: string[] = [];
+        const recommendations: string[] = [];
+        for (const guard of t.guards) {
+            if (guard.check(context)) continue;
+            if (guard.severity === 'block') {
+                return {
+                    valid: false,
+                    reason: guard.message,
+                    warnings,
+                    recommendations: guard.recommendation ? [...recommendations, guard.recommendation] : recommendations
+                };
+            }
+            warnings.push(guard.message);
+            if (guard.recommendation) recommendations.push(guard.recommendation);
+        }
+
+        return { valid: true, warnings, recommendations, effects: t.effects };
+    };
+
+    /**
+     * Mermaid stateDiagram of the allowed transitions. Edges are labelled with
+     * their required context fields followed by guard names in brackets.
+     */
+    const toMermaid = () => {
+        const lines = ['stateDiagram-v2', '    [*] --> pending'];
+        for (const t of transitions) {
+            const labels = [...t.requires.map((r) => r.field), ...t.guards.map((g) => `[${g.name}]`)];
+            lines.push(`    ${t.from} --> ${t.to}${labels.length ? `: ${labels.join(' ')}` : ''}`);
+        }
+        statuses
+            .filter((s) => !transitions.some((t) => t.from === s))
+            .forEach((s) => lines.push(`    ${s} --> [*]`));
+        return lines.join('\n');
+    };
+
+    return {
+        statuses,
+        getTransition,
+        canTransition: (from, to) => !!getTransition(from, to),
+        allowedTargets: (from) => transitions.filter((t) => t.from === from).map((t) => t.to),
+        validate,
+        toMermaid
+    };
+}
+
+export const wheelStatusMachine = createStatusMachine(WHEEL_STATUS_TRANSITIONS);
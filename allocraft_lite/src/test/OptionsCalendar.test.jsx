@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import OptionsCalendar from '../pages/OptionsCalendar'
+import * as enhancedClient from '@/api/enhancedClient'
+import { WheelManagementService } from '@/services/WheelManagementService'
+
+vi.mock('@/api/enhancedClient', () => ({
+  queryKeys: {
+    cycles: ['wheel-cycles'],
+    positions: ['positions'],
+    optionExpiries: ['options', 'expiries'],
+  },
+  useOptionExpiries: vi.fn(),
+  usePositionsData: vi.fn(),
+  useWheelCycles: vi.fn(),
+}))
+
+vi.mock('@/services/WheelManagementService', () => ({
+  WheelManagementService: {
+    rollOptionLeg: vi.fn(),
+    closeOptionLeg: vi.fn(),
+    rollWheel: vi.fn(),
+    closeWheel: vi.fn(),
+  }
+}))
+
+// Stand-ins for the modals: one button that submits a fixed trade
+vi.mock('@/components/wheel-management/WheelRollModal', () => ({
+  default: ({ isOpen, onRoll }) =>
+    isOpen ? (
+      <button
+        data-testid="submit-roll"
+        onClick={() => onRoll({ from_expiration: '2025-06-20', to_expiration: '2025-07-18', to_strike: 95, roll_type: 'out' })}
+      >
+        Roll it
+      </button>
+    ) : null
+}))
+
+vi.mock('@/components/wheel-management/CloseLegModal', () => ({
+  default: ({ isOpen, onCloseLeg }) =>
+    isOpen ? (
+      <button data-testid="submit-close" onClick={() => onCloseLeg({ trade_date: '2025-06-10', premium: 0.4 })}>
+        Close it
+      </button>
+    ) : null
+}))
+
+const today = new Date().toISOString().slice(0, 10)
+
+const optionPositions = [
+  { id: 1, symbol: 'KO', underlying_symbol: 'KO', option_type: 'PUT', strike_price: 60, expiration_date: today, short_quantity: 2, long_quantity: 0, account_id: 1 },
+  { id: 2, symbol: 'KO', underlying_symbol: 'KO', option_type: 'CALL', strike_price: 70, expiration_date: today, short_quantity: 0, long_quantity: 1, account_id: 1 },
+]
+
+const renderPage = () => {
+  const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } })
+  const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+  render(
+    <QueryClientProvider client={queryClient}>
+      <OptionsCalendar />
+    </QueryClientProvider>
+  )
+  return invalidate
+}
+
+const invalidatedKeys = (invalidate) => invalidate.mock.calls.map(([filters]) => filters.queryKey)
+
+describe('OptionsCalendar leg actions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    enhancedClient.usePositionsData.mockReturnValue({ stockPositions: [], optionPositions, isLoading: false })
+    enhancedClient.useOptionExpiries.mockReturnValue({ data: [] })
+    enhancedClient.useWheelCycles.mockReturnValue({ data: [{ id: 9, ticker: 'KO', status: 'Open' }] })
+    WheelManagementService.rollOptionLeg.mockResolvedValue([])
+    WheelManagementService.closeOptionLeg.mockResolvedValue([])
+  })
+
+  it('rolls only the selected short put and refreshes the wheel, events and positions', async () => {
+    const user = userEvent.setup()
+    const invalidate = renderPage()
+
+    const [rollPut, rollLong] = screen.getAllByRole('button', { name: /roll/i })
+    expect(rollLong).toBeDisabled()
+    await user.click(rollPut)
+    await user.click(screen.getByTestId('submit-roll'))
+
+    await waitFor(() => expect(screen.queryByTestId('submit-roll')).not.toBeInTheDocument())
+    expect(WheelManagementService.rollOptionLeg).toHaveBeenCalledWith(
+      9,
+      expect.objectContaining({ optionType: 'PUT', strike: 60, contracts: 2, expiration: today }),
+      expect.objectContaining({ to_expiration: '2025-07-18', to_strike: 95 })
+    )
+    expect(WheelManagementService.rollWheel).not.toHaveBeenCalled()
+    expect(invalidatedKeys(invalidate)).toEqual(expect.arrayContaining([['wheel-cycles'], ['wheel-events'], ['positions']]))
+  })
+
+  it('closes only the selected short put without closing the wheel', async () => {
+    const user = userEvent.setup()
+    const invalidate = renderPage()
+
+    await user.click(screen.getAllByRole('button', { name: /close/i })[0])
+    await user.click(screen.getByTestId('submit-close'))
+
+    await waitFor(() => expect(screen.queryByTestId('submit-close')).not.toBeInTheDocument())
+    expect(WheelManagementService.closeOptionLeg).toHaveBeenCalledWith(
+      9,
+      expect.objectContaining({ optionType: 'PUT', strike: 60, contracts: 2 }),
+      { trade_date: '2025-06-10', premium: 0.4 }
+    )
+    expect(WheelManagementService.closeWheel).not.toHaveBeenCalled()
+    expect(invalidatedKeys(invalidate)).toEqual(expect.arrayContaining([['wheel-cycles'], ['wheel-events'], ['positions']]))
+  })
+
+  it('keeps the close dialog open and skips the refresh when the close fails', async () => {
+    const user = userEvent.setup()
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => { })
+    WheelManagementService.closeOptionLeg.mockRejectedValue(new Error('No open PUT at $60'))
+    const invalidate = renderPage()
+
+    await user.click(screen.getAllByRole('button', { name: /close/i })[0])
+    await user.click(screen.getByTestId('submit-close'))
+
+    await waitFor(() => expect(alert).toHaveBeenCalledWith('Closure failed: No open PUT at $60'))
+    expect(screen.getByTestId('submit-close')).toBeInTheDocument()
+    expect(invalidate).not.toHaveBeenCalled()
+    alert.mockRestore()
+  })
+})
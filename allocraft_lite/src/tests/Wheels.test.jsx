@@ -24,6 +24,10 @@ vi.mock('../api/enhancedClient', () => ({
     data: null,
     isLoading: false
   }),
+  useAllWheelEvents: () => ({
+    data: [],
+    isLoading: false
+  }),
   usePositionsData: () => ({
     allPositions: [],
     stockPositions: [],
@@ -32,6 +36,14 @@ vi.mock('../api/enhancedClient', () => ({
     isError: false,
     error: null,
     refetch: vi.fn()
+  }),
+  useAllPositions: () => ({
+    data: { total_positions: 0, positions: [] },
+    isLoading: false
+  }),
+  useSyncPositions: () => ({
+    mutateAsync: vi.fn(),
+    isPending: false
   })
 }));
 
@@ -23,7 +23,14 @@ export enum WheelEventType {
     PUT_ASSIGNMENT = 'PUT_ASSIGNMENT',
     CALLED_AWAY = 'CALLED_AWAY',
     CALL_ASSIGNED = 'CALL_ASSIGNED',
-    FEE = 'FEE'
+    EXPIRED = 'EXPIRED',
+    FEE = 'FEE',
+    /** Cash dividend on held shares; `price` is the amount per share */
+    DIVIDEND = 'DIVIDEND',
+    /** Long LEAPS call bought as a PMCC's collateral; `premium` is the debit per share */
+    BUY_LEAPS_OPEN = 'BUY_LEAPS_OPEN',
+    /** Sale of the long LEAPS call; `premium` is the credit per share */
+    SELL_LEAPS_CLOSE = 'SELL_LEAPS_CLOSE'
 }
 
 export enum LotStatus {
@@ -31,14 +38,19 @@ export enum LotStatus {
     OPEN_COVERED = 'OPEN_COVERED',
     CASH_RESERVED = 'CASH_RESERVED',
     CLOSED_CALLED_AWAY = 'CLOSED_CALLED_AWAY',
-    CLOSED_SOLD = 'CLOSED_SOLD'
+    CLOSED_SOLD = 'CLOSED_SOLD',
+    /** Short put bought back before assignment */
+    CLOSED_BOUGHT_BACK = 'CLOSED_BOUGHT_BACK',
+    /** Short put expired worthless */
+    CLOSED_EXPIRED = 'CLOSED_EXPIRED'
 }
 
 export enum LotAcquisitionMethod {
     PUT_ASSIGNMENT = 'PUT_ASSIGNMENT',
     OUTRIGHT_PURCHASE = 'OUTRIGHT_PURCHASE',
     CASH_SECURED_PUT = 'CASH_SECURED_PUT',
-    CORPORATE_ACTION = 'CORPORATE_ACTION'
+    CORPORATE_ACTION = 'CORPORATE_ACTION',
+    LEAPS_PURCHASE = 'LEAPS_PURCHASE'
 }
 
 export enum CycleStatus {
@@ -56,6 +68,13 @@ export interface WheelCycle {
     notes?: string;
 }
 
+/** How a sale picks its tax lots (see services/taxLots) */
+export interface LotReliefSpec {
+    method: 'FIFO' | 'LIFO' | 'HIFO' | 'SPECIFIC';
+    /** SPECIFIC only: shares taken from each tax lot */
+    lots?: Array<{ lotId: string; shares: number }>;
+}
+
 export interface WheelEvent {
     id: number;
     cycle_id: number;
@@ -68,6 +87,11 @@ export interface WheelEvent {
     premium?: Currency;
     fees?: Currency;
     link_event_id?: number;
+    expiration_date?: DateString;
+    /** Shares per contract when a corporate action changed the deliverable from 100 */
+    deliverable_shares?: number;
+    /** Tax lots a SELL_SHARES or call assignment relieves; FIFO when absent */
+    lot_relief?: LotReliefSpec;
     notes?: string;
 }
 
@@ -81,6 +105,10 @@ export interface Lot {
     status: LotStatus;
     cost_basis_effective?: Currency;
     notes?: string;
+    /** The short put, share purchase or LEAPS purchase that opened the lot */
+    open_event_id?: number;
+    /** Covered calls bound to the lot, oldest first */
+    call_event_ids?: number[];
 }
 
 export interface LotMetrics {
@@ -155,6 +183,8 @@ export interface CreateWheelEventRequest {
     premium?: Currency;
     fees?: Currency;
     link_event_id?: number;
+    deliverable_shares?: number;
+    lot_relief?: LotReliefSpec;
     notes?: string;
 }
 
@@ -99,6 +99,8 @@ export interface WheelCycle {
   status: 'Open' | 'Closed';
   notes?: string;
   strategy_type?: string;
+  /** Account holding the wheel's collateral */
+  account_id?: number | string | null;
   detection_metadata?: any;
   current_option_value?: number;
   unrealized_pnl?: number;
@@ -113,13 +115,14 @@ export interface CreateWheelCycleRequest {
   status?: 'Open' | 'Closed';
   notes?: string;
   strategy_type?: string;
+  account_id?: number | string | null;
   detection_metadata?: any;
 }
 
 export interface WheelEvent {
   id: number;
   cycle_id: number;
-  event_type: 'BUY_SHARES' | 'SELL_SHARES' | 'SELL_PUT_OPEN' | 'SELL_PUT_CLOSE' | 'BUY_PUT_CLOSE' | 'ASSIGNMENT' | 'SELL_CALL_OPEN' | 'SELL_CALL_CLOSE' | 'CALLED_AWAY';
+  event_type: 'BUY_SHARES' | 'SELL_SHARES' | 'SELL_PUT_OPEN' | 'SELL_PUT_CLOSE' | 'BUY_PUT_CLOSE' | 'ASSIGNMENT' | 'SELL_CALL_OPEN' | 'SELL_CALL_CLOSE' | 'CALLED_AWAY' | 'BUY_LEAPS_OPEN' | 'SELL_LEAPS_CLOSE';
   event_date?: string;
   quantity_shares?: number;
   contracts?: number;
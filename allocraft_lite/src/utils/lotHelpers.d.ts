@@ -0,0 +1,51 @@
+// Type declarations for lotHelpers.js
+
+export interface BasisBreakdownItem {
+    id?: number | string;
+    event_type: string;
+    trade_date?: string;
+    label: string;
+    amount: number;
+    perShare: number;
+}
+
+export interface AdjustedCostBasis {
+    basePrice: number;
+    shares: number;
+    premiumsReceived: number;
+    dividendsReceived: number;
+    adjustments: number;
+    totalCost: number;
+    adjustedBasis: number;
+    breakeven: number;
+    breakdown: BasisBreakdownItem[];
+}
+
+export interface LotCoverage {
+    strike: number | null;
+    premium: number | null;
+    status: 'OPEN' | 'CLOSED';
+}
+
+export function deliverableSharesOf(event: any, events?: any[]): number;
+
+export function computeLotCoverageAndShares(lot: any, events: any[]): {
+    coverage: LotCoverage | null;
+    shares: number;
+    costBasis: AdjustedCostBasis;
+};
+
+export function computeAdjustedCostBasis(
+    lot: any,
+    events: any[],
+    options?: { shares?: number; basePrice?: number | null }
+): AdjustedCostBasis;
+
+export function mapEventForTimeline(event: any): any;
+export function computeCollateralReserved(events: any[]): number;
+export function sumNullable(...values: Array<number | null | undefined>): number;
+export function aggregateMetrics(metricsArray: any[]): {
+    total_realized_pl: number;
+    unrealized_pl: number;
+    net_options_cashflow: number;
+} | null;
@@ -5,6 +5,17 @@
  * efficient processing of batch-loaded data.
  */
 
+/**
+ * Shares delivered per contract: 100, unless a corporate action adjusted the
+ * contract (set on the event itself or on the opening event it links to).
+ */
+export function deliverableSharesOf(event, events = []) {
+  const own = Number(event?.deliverable_shares || 0);
+  if (own) return own;
+  const opening = event?.link_event_id != null ? events.find((e) => e.id === event.link_event_id) : null;
+  return Number(opening?.deliverable_shares || 0) || 100;
+}
+
 /**
  * Compute lot coverage and shares from events.
  * Replaces the previous individual API calls to getLotLinks.
@@ -15,7 +26,8 @@ export function computeLotCoverageAndShares(lot, events) {
   const callClose = events.find((e) =>
     e.event_type === 'SELL_CALL_CLOSE' ||
     e.event_type === 'CALLED_AWAY' ||
-    e.event_type === 'CALL_ASSIGNED'
+    e.event_type === 'CALL_ASSIGNED' ||
+    (e.event_type === 'EXPIRED' && callOpen && e.link_event_id === callOpen.id)
   );
   const putOpen = events.find((e) => e.event_type === 'SELL_PUT_OPEN');
 
@@ -45,14 +57,21 @@ export function computeLotCoverageAndShares(lot, events) {
         break;
       case 'ASSIGNMENT':
       case 'PUT_ASSIGNMENT':
-        shares += qty || (ctr ? 100 * ctr : 0);
+        shares += qty || (ctr ? deliverableSharesOf(e, events) * ctr : 0);
         break;
       case 'SELL_SHARES':
         shares -= qty || 0;
         break;
+      // A LEAPS lot controls the shares its long calls deliver
+      case 'BUY_LEAPS_OPEN':
+        shares += ctr * deliverableSharesOf(e, events);
+        break;
+      case 'SELL_LEAPS_CLOSE':
+        shares -= ctr * deliverableSharesOf(e, events);
+        break;
       case 'CALLED_AWAY':
       case 'CALL_ASSIGNED':
-        shares -= qty || (ctr ? 100 * ctr : 0);
+        shares -= qty || (ctr ? deliverableSharesOf(e, events) * ctr : 0);
         break;
       default:
         break;
@@ -68,7 +87,120 @@ export function computeLotCoverageAndShares(lot, events) {
     if (!closed && isStockLot) shares = 100;
   }
 
-  return { coverage, shares };
+  // Effective cost basis net of premiums, buy-backs and fees
+  const costBasis = computeAdjustedCostBasis(lot, events, { shares: shares || 100 });
+
+  return { coverage, shares, costBasis };
+}
+
+const CREDIT_EVENTS = ['SELL_PUT', 'SELL_PUT_OPEN', 'SELL_CALL_OPEN', 'SELL_CALL', 'SELL_LEAPS_CLOSE'];
+const DEBIT_EVENTS = ['SELL_PUT_CLOSE', 'BUY_PUT_CLOSE', 'SELL_CALL_CLOSE', 'BUY_CALL_CLOSE', 'BUY_LEAPS_OPEN'];
+const BASIS_EVENT_LABELS = {
+  SELL_PUT: 'Put premium',
+  SELL_PUT_OPEN: 'Put premium',
+  SELL_CALL_OPEN: 'Call premium',
+  SELL_CALL: 'Call premium',
+  SELL_PUT_CLOSE: 'Put buy-back',
+  BUY_PUT_CLOSE: 'Put buy-back',
+  SELL_CALL_CLOSE: 'Call buy-back',
+  BUY_CALL_CLOSE: 'Call buy-back',
+  SELL_LEAPS_CLOSE: 'LEAPS sale',
+  BUY_LEAPS_OPEN: 'LEAPS purchase',
+  FEE: 'Fee',
+  DIVIDEND: 'Dividend',
+};
+
+/**
+ * Compute the adjusted (effective) cost basis for a lot.
+ *
+ * Starts from the purchase price (BUY_SHARES), the assignment strike
+ * (PUT_ASSIGNMENT), the LEAPS premium (BUY_LEAPS_OPEN, for a poor man's
+ * covered call) or, for a lot still cash-reserved, the short put strike.
+ * Strikes of contracts with an adjusted deliverable are converted to a price
+ * per delivered share (strike * 100 / deliverable_shares).
+ * Every put/call premium received and every dividend (amount per share in
+ * `price`, on `quantity_shares` or the lot's shares) lowers the basis;
+ * buy-back debits and fees raise it. Rolling the LEAPS credits the sale of
+ * the old call and debits the new one. Amounts are totals (premium * contracts * 100) spread over
+ * the lot's shares to get a per-share basis, which is also the breakeven.
+ *
+ * Options:
+ * - shares: override the share count (defaults to the lot's shares, or 100)
+ * - basePrice: override the starting price (e.g. a broker average price)
+ */
+export function computeAdjustedCostBasis(lot, events, options = {}) {
+  const list = events || [];
+  const acquisition = list.find((e) =>
+    e.event_type === 'BUY_SHARES' ||
+    e.event_type === 'PUT_ASSIGNMENT' ||
+    e.event_type === 'ASSIGNMENT'
+  );
+  const putOpen = list.find((e) => e.event_type === 'SELL_PUT' || e.event_type === 'SELL_PUT_OPEN');
+  const leapsOpen = acquisition ? null : list.find((e) => e.event_type === 'BUY_LEAPS_OPEN');
+
+  let basePrice = options.basePrice ?? null;
+  if (basePrice == null && leapsOpen) basePrice = Number(leapsOpen.premium ?? leapsOpen.price ?? 0) * 100 / deliverableSharesOf(leapsOpen, list);
+  if (basePrice == null && acquisition) {
+    basePrice = acquisition.event_type === 'BUY_SHARES'
+      ? Number(acquisition.price ?? 0)
+      : Number(acquisition.strike ?? acquisition.price ?? 0) * 100 / deliverableSharesOf(acquisition, list);
+  }
+  if (basePrice == null && putOpen) basePrice = Number(putOpen.strike ?? 0) * 100 / deliverableSharesOf(putOpen, list);
+  if (basePrice == null) basePrice = Number(lot?.cost_basis_effective ?? 0);
+
+  let shares = Number(options.shares || 0);
+  if (!shares) {
+    const computed = computeLotCoverageAndShares(lot || {}, list).shares;
+    shares = computed > 0 ? computed : 100;
+  }
+
+  const breakdown = [];
+  for (const e of list) {
+    const contracts = Number(e.contracts || 0) || 1;
+    // The opening LEAPS is the starting price, not an adjustment
+    if (leapsOpen && e === leapsOpen) {
+      if (Number(e.fees || 0)) {
+        const fee = Math.abs(Number(e.fees));
+        breakdown.push({ id: e.id, event_type: e.event_type, trade_date: e.trade_date, label: 'Fee', amount: fee, perShare: fee / shares });
+      }
+      continue;
+    }
+    const label = BASIS_EVENT_LABELS[e.event_type];
+    let amount = 0;
+    if (CREDIT_EVENTS.includes(e.event_type)) {
+      amount = -Number(e.premium || 0) * contracts * 100;
+    } else if (DEBIT_EVENTS.includes(e.event_type)) {
+      amount = Number(e.premium ?? e.price ?? 0) * contracts * 100;
+    } else if (e.event_type === 'FEE') {
+      amount = Math.abs(Number(e.fees || e.price || 0));
+    } else if (e.event_type === 'DIVIDEND') {
+      amount = -Number(e.price || 0) * (Number(e.quantity_shares || 0) || shares);
+    }
+    if (amount && label) {
+      breakdown.push({ id: e.id, event_type: e.event_type, trade_date: e.trade_date, label, amount, perShare: amount / shares });
+    }
+    // Fees attached to any other event (e.g. commissions on the sale of a call)
+    if (e.event_type !== 'FEE' && Number(e.fees || 0)) {
+      const fee = Math.abs(Number(e.fees));
+      breakdown.push({ id: e.id, event_type: e.event_type, trade_date: e.trade_date, label: 'Fee', amount: fee, perShare: fee / shares });
+    }
+  }
+
+  const adjustments = breakdown.reduce((sum, item) => sum + item.amount, 0);
+  const totalCost = basePrice * shares + adjustments;
+  const adjustedBasis = shares > 0 ? totalCost / shares : 0;
+
+  return {
+    basePrice,
+    shares,
+    premiumsReceived: -breakdown.filter((b) => b.amount < 0 && b.event_type !== 'DIVIDEND').reduce((sum, b) => sum + b.amount, 0),
+    dividendsReceived: -breakdown.filter((b) => b.event_type === 'DIVIDEND').reduce((sum, b) => sum + b.amount, 0),
+    adjustments,
+    totalCost,
+    adjustedBasis,
+    breakeven: adjustedBasis,
+    breakdown,
+  };
 }
 
 /**
@@ -0,0 +1,153 @@
+/**
+ * OCC Option Symbology
+ *
+ * One place to read and write option symbols. Parses the OCC/OSI format,
+ * padded ("GOOG  260618C00250000", as Schwab, IBKR and Tastytrade report it)
+ * or unpadded, plus the shorthand brokers show in exports and streamers:
+ * - dollar strikes with an optional "-" or "." prefix: "-GOOG260618C250", ".GOOG260618C250"
+ * - IBKR descriptions: "GOOG 18JUN26 250 C"
+ * - Schwab descriptions: "GOOG 06/18/2026 250.00 C"
+ *
+ * Roots with a trailing digit ("GOOG1") are adjusted options with a
+ * non-standard deliverable after a corporate action; index weekly roots
+ * ("SPXW") map back to their underlying.
+ */
+
+import { toOptionKind, type OptionKind } from './optionPricing';
+
+export interface OccSymbol {
+  /** Option root as written, e.g. "SPXW" or "GOOG1" */
+  root: string;
+  /** Underlying ticker the root trades on */
+  underlying: string;
+  /** YYYY-MM-DD */
+  expiration: string;
+  optionType: OptionKind;
+  strike: number;
+  /** Non-standard deliverable (adjusted for a split, merger or special dividend) */
+  adjusted: boolean;
+  /** Expires on a day other than the monthly third Friday */
+  weekly: boolean;
+}
+
+/** Index option roots for weekly and PM-settled series */
+const WEEKLY_ROOTS: Record<string, string> = {
+  SPXW: 'SPX',
+  SPXQ: 'SPX',
+  NDXP: 'NDX',
+  RUTW: 'RUT',
+  VIXW: 'VIX',
+  XSPW: 'XSP',
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const OCC_PATTERN = /^([A-Z][A-Z0-9./]{0,5}?)\s*(\d{6})([CP])(\d{8})$/;
+const SHORTHAND_PATTERN = /^([A-Z][A-Z0-9./]*?)\s*(\d{6})([CP])(\d+(?:\.\d+)?)$/;
+const IBKR_PATTERN = /^([A-Z][A-Z0-9./]*)\s+(\d{1,2})([A-Z]{3})(\d{2})\s+(\d+(?:\.\d+)?)\s+([CP])$/;
+const SCHWAB_PATTERN = /^([A-Z][A-Z0-9./]*)\s+(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\s+\$?(\d+(?:\.\d+)?)\s+(C|P|CALL|PUT)$/;
+
+const pad = (value: number) => String(value).padStart(2, '0');
+const fullYear = (year: string) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+/** The third Friday of the month, when standard monthly options expire */
+function isThirdFriday(expiration: string): boolean {
+  const date = new Date(`${expiration}T12:00:00Z`);
+  return date.getUTCDay() === 5 && date.getUTCDate() >= 15 && date.getUTCDate() <= 21;
+}
+
+function build(root: string, year: number, month: number, day: number, typeChar: string, strike: number): OccSymbol | null {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || !Number.isFinite(strike)) return null;
+  const expiration = `${year}-${pad(month)}-${pad(day)}`;
+  const weeklyRoot = WEEKLY_ROOTS[root];
+  const adjusted = !weeklyRoot && /[A-Z]\d$/.test(root);
+  return {
+    root,
+    underlying: weeklyRoot || (adjusted ? root.slice(0, -1) : root),
+    expiration,
+    optionType: toOptionKind(typeChar),
+    strike,
+    adjusted,
+    weekly: Boolean(weeklyRoot) || !isThirdFriday(expiration),
+  };
+}
+
+/** Parse any supported option symbol; null for stock tickers and anything unrecognised */
+export function parseOccSymbol(symbol: string | null | undefined): OccSymbol | null {
+  const text = String(symbol ?? '').trim().toUpperCase().replace(/^[-.]/, '');
+  if (!text) return null;
+
+  let match = text.match(OCC_PATTERN);
+  if (match) {
+    const [, root, date, typeChar, strike] = match;
+    return build(root, fullYear(date.slice(0, 2)), Number(date.slice(2, 4)), Number(date.slice(4, 6)), typeChar, Number(strike) / 1000);
+  }
+  match = text.match(SHORTHAND_PATTERN);
+  if (match) {
+    const [, root, date, typeChar, strike] = match;
+    return build(root, fullYear(date.slice(0, 2)), Number(date.slice(2, 4)), Number(date.slice(4, 6)), typeChar, Number(strike));
+  }
+  match = text.match(IBKR_PATTERN);
+  if (match && MONTHS.includes(match[3])) {
+    const [, root, day, month, year, strike, typeChar] = match;
+    return build(root, fullYear(year), MONTHS.indexOf(month) + 1, Number(day), typeChar, Number(strike));
+  }
+  match = text.match(SCHWAB_PATTERN);
+  if (match) {
+    const [, root, month, day, year, strike, type] = match;
+    return build(root, fullYear(year), Number(month), Number(day), type[0], Number(strike));
+  }
+  return null;
+}
+
+export const isOptionSymbol = (symbol: string | null | undefined): boolean => parseOccSymbol(symbol) !== null;
+
+/**
+ * OCC symbol for a contract: root padded to 6 (or unpadded), YYMMDD, C/P and
+ * the strike in thousandths padded to 8. `root` wins over `underlying` so
+ * adjusted and weekly roots round-trip.
+ */
+export function formatOccSymbol(
+  contract: { underlying?: string; root?: string; expiration: string; optionType: string; strike: number },
+  { padded = true }: { padded?: boolean } = {},
+): string {
+  const root = (contract.root || contract.underlying || '').toUpperCase();
+  const date = contract.expiration.replace(/-/g, '').slice(2, 8);
+  const strike = String(Math.round(contract.strike * 1000)).padStart(8, '0');
+  return `${padded ? root.padEnd(6, ' ') : root}${date}${toOptionKind(contract.optionType)[0]}${strike}`;
+}
+
+/** "Call" / "Put", the spelling the backend and UI use */
+export const optionTypeLabel = (optionType: OptionKind): 'Call' | 'Put' => (optionType === 'PUT' ? 'Put' : 'Call');
+
+/** Human-readable contract, e.g. "GOOG 6/18/26 $250 Call" */
+export function formatOptionLabel(contract: Pick<OccSymbol, 'root' | 'expiration' | 'optionType' | 'strike'>): string {
+  const [year, month, day] = contract.expiration.split('-').map(Number);
+  return `${contract.root} ${month}/${day}/${String(year).slice(2)} $${contract.strike} ${optionTypeLabel(contract.optionType)}`;
+}
+
+export interface OptionFields {
+  underlying: string | null;
+  optionType: OptionKind | null;
+  strike: number | null;
+  expiration: string | null;
+  occ: OccSymbol | null;
+}
+
+/**
+ * Option type, strike, expiration and underlying of a position in any of the
+ * app's shapes (backend snake_case, parsed camelCase, broker imports).
+ * Explicit fields win; anything missing comes from the symbol.
+ */
+export function optionFieldsOf(position: Record<string, any>): OptionFields {
+  const occ = parseOccSymbol(position.symbol);
+  const explicitType = position.option_type ?? position.optionType ?? position.putCall;
+  const strike = Number(position.strike_price ?? position.strikePrice);
+  return {
+    underlying: position.underlying_symbol || position.underlyingSymbol || occ?.underlying || null,
+    optionType: explicitType ? toOptionKind(explicitType) : occ?.optionType ?? null,
+    strike: Number.isFinite(strike) && strike > 0 ? strike : occ?.strike ?? null,
+    expiration: position.expiration_date || position.expirationDate || position.expiry_date || occ?.expiration || null,
+    occ,
+  };
+}
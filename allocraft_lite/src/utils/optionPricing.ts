@@ -0,0 +1,188 @@
+/**
+ * Option Pricing Utilities
+ *
+ * Black-Scholes pricing for European options on a non-dividend-paying
+ * underlying, with the Greeks, implied volatility solved from a mark, and
+ * the probabilities used across the app (finishing in the money and touching
+ * the strike before expiry).
+ *
+ * Conventions:
+ * - Prices are per share; multiply by 100 per contract.
+ * - `years` is time to expiry in years (calendar days / 365).
+ * - `volatility` and `rate` are annualized decimals (0.25 = 25%).
+ * - `theta` is per calendar day and `vega` per one volatility point (1%).
+ */
+
+export type OptionKind = 'CALL' | 'PUT';
+
+export interface BlackScholesInputs {
+  optionType: OptionKind;
+  spot: number;
+  strike: number;
+  years: number;
+  volatility: number;
+  rate?: number;
+}
+
+export interface Greeks {
+  price: number;
+  delta: number;
+  gamma: number;
+  theta: number;
+  vega: number;
+}
+
+const DAYS_PER_YEAR = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IV_MIN = 0.0001;
+const IV_MAX = 5;
+const IV_TOLERANCE = 1e-6;
+const IV_MAX_ITERATIONS = 100;
+
+/**
+ * Normalize the option type spellings used by the backend and brokers
+ * ('Call', 'put', 'C', ...) to 'CALL' | 'PUT'.
+ */
+export function toOptionKind(optionType: string | null | undefined): OptionKind {
+  const type = String(optionType || '').toUpperCase();
+  return type === 'PUT' || type === 'P' ? 'PUT' : 'CALL';
+}
+
+/**
+ * Time to expiry in years from `asOf`. Options expire at the close of their
+ * expiry day, so a same-day expiry still has a fraction of a day left.
+ */
+export function yearsToExpiry(expiration: string | Date, asOf: Date = new Date()): number {
+  const expiry = typeof expiration === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(expiration)
+    ? new Date(`${expiration}T21:00:00Z`) // 4pm New York close
+    : new Date(expiration);
+  return Math.max(0, (expiry.getTime() - asOf.getTime()) / DAY_MS / DAYS_PER_YEAR);
+}
+
+export function normalPdf(x: number): number {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8). */
+export function normalCdf(x: number): number {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normalPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+const isExpired = ({ years, volatility }: BlackScholesInputs) => years <= 0 || volatility <= 0;
+
+const intrinsic = ({ optionType, spot, strike }: BlackScholesInputs) =>
+  Math.max(optionType === 'CALL' ? spot - strike : strike - spot, 0);
+
+function d1d2({ spot, strike, years, volatility, rate = 0 }: BlackScholesInputs) {
+  const sigmaRootT = volatility * Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / sigmaRootT;
+  return { d1, d2: d1 - sigmaRootT };
+}
+
+/**
+ * Black-Scholes price per share. At or past expiry this is intrinsic value.
+ */
+export function blackScholesPrice(inputs: BlackScholesInputs): number {
+  if (isExpired(inputs)) return intrinsic(inputs);
+
+  const { optionType, spot, strike, years, rate = 0 } = inputs;
+  const { d1, d2 } = d1d2(inputs);
+  const discounted = strike * Math.exp(-rate * years);
+  return optionType === 'CALL'
+    ? spot * normalCdf(d1) - discounted * normalCdf(d2)
+    : discounted * normalCdf(-d2) - spot * normalCdf(-d1);
+}
+
+/**
+ * Price and Greeks for one long option (per share). Negate for short positions.
+ */
+export function calculateGreeks(inputs: BlackScholesInputs): Greeks {
+  const price = blackScholesPrice(inputs);
+  if (isExpired(inputs)) {
+    const itm = intrinsic(inputs) > 0;
+    const delta = itm ? (inputs.optionType === 'CALL' ? 1 : -1) : 0;
+    return { price, delta, gamma: 0, theta: 0, vega: 0 };
+  }
+
+  const { optionType, spot, strike, years, volatility, rate = 0 } = inputs;
+  const { d1, d2 } = d1d2(inputs);
+  const rootT = Math.sqrt(years);
+  const discounted = strike * Math.exp(-rate * years);
+  const decay = -(spot * normalPdf(d1) * volatility) / (2 * rootT);
+
+  const annualTheta = optionType === 'CALL'
+    ? decay - rate * discounted * normalCdf(d2)
+    : decay + rate * discounted * normalCdf(-d2);
+
+  return {
+    price,
+    delta: optionType === 'CALL' ? normalCdf(d1) : normalCdf(d1) - 1,
+    gamma: normalPdf(d1) / (spot * volatility * rootT),
+    theta: annualTheta / DAYS_PER_YEAR,
+    vega: (spot * normalPdf(d1) * rootT) / 100
+  };
+}
+
+/**
+ * Volatility that reproduces `price`, solved with Newton-Raphson and falling
+ * back to bisection when vega is too small to step from. Returns null when
+ * the price is outside the no-arbitrage bounds or the option has expired.
+ */
+export function impliedVolatility(price: number, inputs: Omit<BlackScholesInputs, 'volatility'>): number | null {
+  if (!(price > 0) || inputs.years <= 0) return null;
+
+  const priceAt = (volatility: number) => blackScholesPrice({ ...inputs, volatility });
+  let low = IV_MIN;
+  let high = IV_MAX;
+  if (price < priceAt(low) - IV_TOLERANCE || price > priceAt(high) + IV_TOLERANCE) return null;
+
+  let volatility = 0.3;
+  for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+    const diff = priceAt(volatility) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) return volatility;
+
+    if (diff > 0) high = volatility;
+    else low = volatility;
+
+    const vega = calculateGreeks({ ...inputs, volatility }).vega * 100;
+    const next = vega > 1e-8 ? volatility - diff / vega : NaN;
+    volatility = next > low && next < high ? next : (low + high) / 2;
+  }
+  return volatility;
+}
+
+/**
+ * Risk-neutral probability of finishing in the money: N(d2) for calls and
+ * N(-d2) for puts.
+ */
+export function probabilityITM(inputs: BlackScholesInputs): number {
+  if (isExpired(inputs)) return intrinsic(inputs) > 0 ? 1 : 0;
+  const { d2 } = d1d2(inputs);
+  return inputs.optionType === 'CALL' ? normalCdf(d2) : normalCdf(-d2);
+}
+
+/**
+ * Probability that the underlying touches the strike at any time before
+ * expiry (first passage of geometric Brownian motion through a barrier).
+ * Already in the money counts as touched.
+ */
+export function probabilityOfTouch(inputs: BlackScholesInputs): number {
+  const { optionType, spot, strike, years, volatility, rate = 0 } = inputs;
+  const touched = optionType === 'CALL' ? spot >= strike : spot <= strike;
+  if (touched) return 1;
+  if (isExpired(inputs)) return 0;
+
+  const drift = rate - volatility * volatility / 2;
+  const sigmaRootT = volatility * Math.sqrt(years);
+  const distance = Math.log(strike / spot);
+  const reflection = Math.pow(strike / spot, (2 * drift) / (volatility * volatility));
+
+  const probability = optionType === 'CALL'
+    ? normalCdf((-distance + drift * years) / sigmaRootT) + reflection * normalCdf((-distance - drift * years) / sigmaRootT)
+    : normalCdf((distance - drift * years) / sigmaRootT) + reflection * normalCdf((distance + drift * years) / sigmaRootT);
+  return Math.min(1, probability);
+}
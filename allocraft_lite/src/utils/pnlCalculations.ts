@@ -5,6 +5,16 @@
  * for option positions and portfolio analytics.
  */
 
+import {
+  calculateGreeks,
+  impliedVolatility as solveImpliedVolatility,
+  probabilityITM,
+  probabilityOfTouch,
+  toOptionKind,
+  yearsToExpiry,
+  type BlackScholesInputs
+} from './optionPricing';
+
 export interface OptionPosition {
   contracts: number;
   averagePrice: number;
@@ -12,6 +22,12 @@ export interface OptionPosition {
   optionType: 'CALL' | 'PUT';
   strikePrice?: number;
   symbol?: string;
+  /** Needed with expirationDate for Greeks and probabilities */
+  underlyingPrice?: number | null;
+  expirationDate?: string | null;
+  /** Solved from currentPrice when not supplied */
+  impliedVolatility?: number | null;
+  riskFreeRate?: number;
 }
 
 export interface PnLResult {
@@ -28,6 +44,18 @@ export interface StrategyPnLResult extends PnLResult {
   breakevenPrice?: number;
   maxProfit?: number;
   timeDecayImpact?: 'positive' | 'negative' | 'neutral';
+  greeks?: PositionGreeks;
+}
+
+/** Position-level Greeks: per-share Greeks x contracts x 100, signed for short positions */
+export interface PositionGreeks {
+  delta: number;
+  gamma: number;
+  theta: number;
+  vega: number;
+  impliedVolatility: number;
+  probabilityITM: number;
+  probabilityOfTouch: number;
 }
 
 /**
@@ -64,6 +92,41 @@ export function calculateOptionPnL(position: OptionPosition): PnLResult {
   };
 }
 
+/**
+ * Black-Scholes Greeks and probabilities for a position. Returns undefined
+ * without an underlying price, expiration or a volatility (given or solved
+ * from the current mark).
+ */
+export function calculatePositionGreeks(position: OptionPosition, asOf: Date = new Date()): PositionGreeks | undefined {
+  const { contracts, currentPrice, strikePrice, underlyingPrice, expirationDate, riskFreeRate = 0 } = position;
+  if (!underlyingPrice || !strikePrice || !expirationDate || !contracts) return undefined;
+
+  const base = {
+    optionType: toOptionKind(position.optionType),
+    spot: underlyingPrice,
+    strike: strikePrice,
+    years: yearsToExpiry(expirationDate, asOf),
+    rate: riskFreeRate
+  };
+  const volatility = position.impliedVolatility || solveImpliedVolatility(currentPrice, base);
+  if (!volatility) return undefined;
+
+  const inputs: BlackScholesInputs = { ...base, volatility };
+  const greeks = calculateGreeks(inputs);
+  const size = contracts * 100;
+  const round = (value: number, places: number) => Math.round(value * 10 ** places) / 10 ** places;
+
+  return {
+    delta: round(greeks.delta * size, 2),
+    gamma: round(greeks.gamma * size, 4),
+    theta: round(greeks.theta * size, 2),
+    vega: round(greeks.vega * size, 2),
+    impliedVolatility: round(volatility, 4),
+    probabilityITM: round(probabilityITM(inputs), 4),
+    probabilityOfTouch: round(probabilityOfTouch(inputs), 4)
+  };
+}
+
 /**
  * Calculate strategy-specific P&L with additional insights
  */
@@ -73,11 +136,16 @@ export function calculateStrategyPnL(
 ): StrategyPnLResult {
   const basicPnL = calculateOptionPnL(position);
   const { contracts, averagePrice, optionType, strikePrice } = position;
+  const greeks = calculatePositionGreeks(position);
+
+  // Theta sign when it can be modelled; otherwise short premium decays in our favour
+  const thetaSign = greeks ? greeks.theta : contracts < 0 ? 1 : contracts > 0 ? -1 : 0;
+  const timeDecayImpact = thetaSign > 0 ? 'positive' : thetaSign < 0 ? 'negative' : 'neutral';
 
   let strategyInsights: Partial<StrategyPnLResult> = {
     strategyType: strategyType || 'unknown',
     riskLevel: 'medium',
-    timeDecayImpact: 'neutral'
+    timeDecayImpact
   };
 
   // Add strategy-specific calculations
@@ -86,7 +154,7 @@ export function calculateStrategyPnL(
     strategyInsights = {
       strategyType: 'wheel',
       riskLevel: 'low',
-      timeDecayImpact: 'positive',
+      timeDecayImpact,
       breakevenPrice: strikePrice ? strikePrice - averagePrice : undefined,
       maxProfit: averagePrice * Math.abs(contracts) * 100
     };
@@ -95,7 +163,7 @@ export function calculateStrategyPnL(
     strategyInsights = {
       strategyType: 'covered_call',
       riskLevel: 'low',
-      timeDecayImpact: 'positive',
+      timeDecayImpact,
       breakevenPrice: strikePrice ? strikePrice + averagePrice : undefined,
       maxProfit: averagePrice * Math.abs(contracts) * 100
     };
@@ -104,13 +172,14 @@ export function calculateStrategyPnL(
     strategyInsights = {
       strategyType: 'pmcc',
       riskLevel: 'medium',
-      timeDecayImpact: 'neutral'
+      timeDecayImpact
     };
   }
 
   return {
     ...basicPnL,
-    ...strategyInsights
+    ...strategyInsights,
+    greeks
   };
 }
 
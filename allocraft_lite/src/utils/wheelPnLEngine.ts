@@ -0,0 +1,437 @@
+/**
+ * Wheel P&L Engine
+ *
+ * Pure, event-sourced P&L calculation for wheel cycles and lots.
+ * Replays every wheel event in trade-date order and produces the
+ * realized, unrealized, premium, capital-gain and fee components so
+ * every screen (close modal, performance summary, phase view) agrees.
+ *
+ * Conventions:
+ * - `premium` on option events is per share; credits and buy-to-close
+ *   debits are multiplied by `contracts * multiplier`.
+ * - `fees` on any event, and the amount of FEE events, reduce P&L.
+ * - DIVIDEND events carry the amount per share in `price`, paid on
+ *   `quantity_shares` (or the shares held on the ex-date) and realized.
+ * - Options adjusted by a corporate action deliver `deliverable_shares`
+ *   per contract instead of 100; premium still counts at the standard
+ *   multiplier and assignment shares are bought or sold at
+ *   `strike * 100 / deliverable_shares` each.
+ * - Open short legs are valued at their mark when one is supplied,
+ *   otherwise the full credit is assumed kept (unrealized).
+ * - Long LEAPS calls (a poor man's covered call's collateral) are bought
+ *   with BUY_LEAPS_OPEN and sold with SELL_LEAPS_CLOSE, `premium` per share.
+ *   They are tracked as long legs: realized when sold or expired, valued at
+ *   their mark while open, otherwise assumed worth what was paid.
+ */
+
+export const CONTRACT_MULTIPLIER = 100;
+
+/** Minimal event shape the engine needs (compatible with WheelEvent). */
+export interface PnLEvent {
+    id?: number | string;
+    event_type: string;
+    trade_date?: string;
+    quantity_shares?: number | null;
+    contracts?: number | null;
+    price?: number | null;
+    strike?: number | null;
+    premium?: number | null;
+    fees?: number | null;
+    link_event_id?: number | string | null;
+    /** Shares delivered per contract when not the standard 100 */
+    deliverable_shares?: number | null;
+    expiration_date?: string | null;
+}
+
+export interface PnLOptions {
+    /** Current underlying price used for unrealized stock P&L */
+    currentPrice?: number | null;
+    /** Current per-share marks for open option legs, keyed by opening event id */
+    optionMarks?: Record<string, number>;
+}
+
+export interface PnLComponents {
+    realized: number;
+    unrealized: number;
+    premium: number;
+    capitalGain: number;
+    dividends: number;
+    fees: number;
+    total: number;
+}
+
+export interface OptionLeg {
+    openEventId?: number | string;
+    optionType: 'PUT' | 'CALL';
+    contracts: number;
+    strike: number | null;
+    deliverableShares: number;
+    credit: number;
+    openedAt?: string;
+    closedAt?: string;
+    closeDebit: number;
+    outcome: 'OPEN' | 'BOUGHT_BACK' | 'EXPIRED' | 'ASSIGNED';
+    realized: number;
+}
+
+export interface LongOptionLeg {
+    openEventId?: number | string;
+    optionType: 'CALL';
+    contracts: number;
+    strike: number | null;
+    expiration?: string;
+    debit: number;
+    openedAt?: string;
+    closedAt?: string;
+    closeCredit: number;
+    outcome: 'OPEN' | 'SOLD' | 'EXPIRED';
+    realized: number;
+}
+
+export interface PnLBreakdown extends PnLComponents {
+    premiumByType: { put: number; call: number };
+    capitalGainByExit: { sold: number; calledAway: number };
+    sharesOpen: number;
+    stockCostOpen: number;
+    averageCost: number;
+    legs: OptionLeg[];
+    openLegs: OptionLeg[];
+    longLegs: LongOptionLeg[];
+    openLongLegs: LongOptionLeg[];
+    /** Debit paid for the long legs still open */
+    longCallCost: number;
+    startDate: string | null;
+    endDate: string | null;
+}
+
+export interface LotPnL extends PnLBreakdown {
+    lotId: number | string;
+}
+
+export interface CyclePnL extends PnLBreakdown {
+    cycleId?: number | string;
+    lots: LotPnL[];
+}
+
+const PUT_OPEN = new Set(['SELL_PUT', 'SELL_PUT_OPEN']);
+const PUT_CLOSE = new Set(['SELL_PUT_CLOSE', 'BUY_PUT_CLOSE']);
+const PUT_ASSIGN = new Set(['PUT_ASSIGNMENT', 'ASSIGNMENT']);
+const CALL_OPEN = new Set(['SELL_CALL_OPEN', 'SELL_CALL']);
+const CALL_CLOSE = new Set(['SELL_CALL_CLOSE', 'BUY_CALL_CLOSE']);
+const CALL_AWAY = new Set(['CALLED_AWAY', 'CALL_ASSIGNED', 'CALL_ASSIGNMENT']);
+const LEAPS_OPEN = new Set(['BUY_LEAPS_OPEN']);
+const LEAPS_CLOSE = new Set(['SELL_LEAPS_CLOSE']);
+
+const num = (value: unknown): number => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+/**
+ * Sort events chronologically; events on the same date keep their
+ * original (usually id) order so opens precede their closes.
+ */
+export function sortEventsChronologically<T extends PnLEvent>(events: T[]): T[] {
+    return events
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => {
+            const da = a.event.trade_date ? Date.parse(a.event.trade_date) : 0;
+            const db = b.event.trade_date ? Date.parse(b.event.trade_date) : 0;
+            return (da || 0) - (db || 0) || a.index - b.index;
+        })
+        .map(({ event }) => event);
+}
+
+/**
+ * Find the open leg an event closes: the linked opening event when
+ * `link_event_id` is set, otherwise the oldest open leg of that type.
+ */
+function findOpenLeg(legs: OptionLeg[], optionType: 'PUT' | 'CALL', linkId?: number | string | null): OptionLeg | undefined {
+    const open = legs.filter((leg) => leg.outcome === 'OPEN' && leg.optionType === optionType);
+    if (linkId != null) {
+        const linked = open.find((leg) => String(leg.openEventId) === String(linkId));
+        if (linked) return linked;
+    }
+    return open[0];
+}
+
+function deliverableOf(event: PnLEvent, leg?: OptionLeg): number {
+    return Math.abs(num(event.deliverable_shares)) || leg?.deliverableShares || CONTRACT_MULTIPLIER;
+}
+
+function contractsOf(event: PnLEvent, fallback = 1): number {
+    const contracts = Math.abs(num(event.contracts));
+    if (contracts) return contracts;
+    const shares = Math.abs(num(event.quantity_shares));
+    return shares ? shares / deliverableOf(event) : fallback;
+}
+
+function sharesOf(event: PnLEvent, leg?: OptionLeg): number {
+    const shares = Math.abs(num(event.quantity_shares));
+    if (shares) return shares;
+    const contracts = Math.abs(num(event.contracts)) || leg?.contracts || 0;
+    return contracts * deliverableOf(event, leg);
+}
+
+/** Per-share price of shares delivered on assignment */
+function assignmentPrice(event: PnLEvent, leg?: OptionLeg): number {
+    const strike = num(event.strike ?? event.price ?? leg?.strike);
+    return strike * CONTRACT_MULTIPLIER / deliverableOf(event, leg);
+}
+
+/**
+ * Replay a list of wheel events and return the full P&L breakdown.
+ * Unknown event types are ignored (but their fees still count).
+ */
+export function replayWheelEvents(events: PnLEvent[], options: PnLOptions = {}): PnLBreakdown {
+    const legs: OptionLeg[] = [];
+    const longLegs: LongOptionLeg[] = [];
+    let shares = 0;
+    let stockCost = 0;
+    let fees = 0;
+    let putPremium = 0;
+    let callPremium = 0;
+    let gainSold = 0;
+    let gainCalledAway = 0;
+    let dividends = 0;
+    let unmatchedDebits = 0;
+
+    const sorted = sortEventsChronologically(events || []);
+
+    const openLeg = (event: PnLEvent, optionType: 'PUT' | 'CALL') => {
+        const contracts = contractsOf(event);
+        const credit = num(event.premium) * contracts * CONTRACT_MULTIPLIER;
+        legs.push({
+            openEventId: event.id,
+            optionType,
+            contracts,
+            strike: event.strike != null ? num(event.strike) : null,
+            deliverableShares: deliverableOf(event),
+            credit,
+            openedAt: event.trade_date,
+            closeDebit: 0,
+            outcome: 'OPEN',
+            realized: 0,
+        });
+        if (optionType === 'PUT') putPremium += credit;
+        else callPremium += credit;
+    };
+
+    const closeLeg = (event: PnLEvent, optionType: 'PUT' | 'CALL', outcome: OptionLeg['outcome']) => {
+        const leg = findOpenLeg(legs, optionType, event.link_event_id);
+        const contracts = contractsOf(event, leg?.contracts ?? 1);
+        const debit = outcome === 'BOUGHT_BACK'
+            ? num(event.premium ?? event.price) * contracts * CONTRACT_MULTIPLIER
+            : 0;
+        if (optionType === 'PUT') putPremium -= debit;
+        else callPremium -= debit;
+        if (leg) {
+            leg.closeDebit = debit;
+            leg.closedAt = event.trade_date;
+            leg.outcome = outcome;
+            leg.realized = leg.credit - debit;
+        } else {
+            unmatchedDebits += debit;
+        }
+        return leg;
+    };
+
+    const closeLongLeg = (event: PnLEvent, outcome: LongOptionLeg['outcome']) => {
+        const open = longLegs.filter((leg) => leg.outcome === 'OPEN');
+        const leg = open.find((l) => event.link_event_id != null && String(l.openEventId) === String(event.link_event_id)) ?? open[0];
+        if (!leg) return;
+        leg.closeCredit = outcome === 'SOLD' ? num(event.premium ?? event.price) * contractsOf(event, leg.contracts) * CONTRACT_MULTIPLIER : 0;
+        leg.closedAt = event.trade_date;
+        leg.outcome = outcome;
+        leg.realized = leg.closeCredit - leg.debit;
+    };
+
+    const sellShares = (qty: number, price: number): number => {
+        const avg = shares > 0 ? stockCost / shares : 0;
+        const sold = Math.min(qty, Math.max(shares, 0));
+        const gain = (price - avg) * sold;
+        stockCost -= avg * sold;
+        shares -= sold;
+        return gain;
+    };
+
+    for (const event of sorted) {
+        const type = String(event.event_type || '').toUpperCase();
+        fees += Math.abs(num(event.fees));
+
+        if (PUT_OPEN.has(type)) {
+            openLeg(event, 'PUT');
+        } else if (CALL_OPEN.has(type)) {
+            openLeg(event, 'CALL');
+        } else if (PUT_CLOSE.has(type)) {
+            closeLeg(event, 'PUT', 'BOUGHT_BACK');
+        } else if (CALL_CLOSE.has(type)) {
+            closeLeg(event, 'CALL', 'BOUGHT_BACK');
+        } else if (PUT_ASSIGN.has(type)) {
+            const leg = closeLeg(event, 'PUT', 'ASSIGNED');
+            const qty = sharesOf(event, leg);
+            shares += qty;
+            stockCost += assignmentPrice(event, leg) * qty;
+        } else if (LEAPS_OPEN.has(type)) {
+            const contracts = contractsOf(event);
+            longLegs.push({
+                openEventId: event.id,
+                optionType: 'CALL',
+                contracts,
+                strike: event.strike != null ? num(event.strike) : null,
+                expiration: event.expiration_date ?? undefined,
+                debit: num(event.premium ?? event.price) * contracts * CONTRACT_MULTIPLIER,
+                openedAt: event.trade_date,
+                closeCredit: 0,
+                outcome: 'OPEN',
+                realized: 0,
+            });
+        } else if (LEAPS_CLOSE.has(type)) {
+            closeLongLeg(event, 'SOLD');
+        } else if (type === 'EXPIRED') {
+            // Expirations name their leg via link_event_id, else the oldest open short leg, else the long leg
+            const linked = (leg: { openEventId?: number | string }) =>
+                event.link_event_id != null && String(leg.openEventId) === String(event.link_event_id);
+            const open = legs.filter((leg) => leg.outcome === 'OPEN');
+            const openLong = longLegs.filter((leg) => leg.outcome === 'OPEN');
+            const leg = open.find(linked);
+            if (leg) closeLeg(event, leg.optionType, 'EXPIRED');
+            else if (openLong.some(linked) || (open.length === 0 && openLong.length > 0)) closeLongLeg(event, 'EXPIRED');
+            else if (open[0]) closeLeg(event, open[0].optionType, 'EXPIRED');
+        } else if (CALL_AWAY.has(type)) {
+            const leg = closeLeg(event, 'CALL', 'ASSIGNED');
+            gainCalledAway += sellShares(sharesOf(event, leg), assignmentPrice(event, leg));
+        } else if (type === 'BUY_SHARES') {
+            const qty = Math.abs(num(event.quantity_shares));
+            shares += qty;
+            stockCost += num(event.price) * qty;
+        } else if (type === 'SELL_SHARES') {
+            gainSold += sellShares(Math.abs(num(event.quantity_shares)), num(event.price));
+        } else if (type === 'DIVIDEND') {
+            const qty = Math.abs(num(event.quantity_shares)) || Math.max(shares, 0);
+            dividends += num(event.price) * qty;
+        } else if (type === 'FEE') {
+            // FEE events may carry the amount in fees (already counted) or price
+            if (!num(event.fees)) fees += Math.abs(num(event.price ?? event.premium));
+        }
+    }
+
+    const openLegs = legs.filter((leg) => leg.outcome === 'OPEN');
+    const closedLegs = legs.filter((leg) => leg.outcome !== 'OPEN');
+
+    const marks = options.optionMarks || {};
+    const optionUnrealized = openLegs.reduce((sum, leg) => {
+        const mark = leg.openEventId != null ? marks[String(leg.openEventId)] : undefined;
+        const value = mark != null ? num(mark) * leg.contracts * CONTRACT_MULTIPLIER : 0;
+        return sum + (leg.credit - value);
+    }, 0);
+
+    const openLongLegs = longLegs.filter((leg) => leg.outcome === 'OPEN');
+    const longUnrealized = openLongLegs.reduce((sum, leg) => {
+        const mark = leg.openEventId != null ? marks[String(leg.openEventId)] : undefined;
+        return sum + (mark != null ? num(mark) * leg.contracts * CONTRACT_MULTIPLIER - leg.debit : 0);
+    }, 0);
+    const longRealized = longLegs.reduce((sum, leg) => sum + (leg.outcome === 'OPEN' ? 0 : leg.realized), 0);
+
+    const currentPrice = options.currentPrice;
+    const stockUnrealized = currentPrice != null && shares > 0 ? (num(currentPrice) * shares - stockCost) : 0;
+
+    const premium = putPremium + callPremium;
+    const capitalGain = gainSold + gainCalledAway;
+    const optionRealized = closedLegs.reduce((sum, leg) => sum + leg.realized, 0) - unmatchedDebits;
+    const realized = optionRealized + longRealized + capitalGain + dividends - fees;
+    const unrealized = optionUnrealized + longUnrealized + stockUnrealized;
+
+    const dates = sorted.map((e) => e.trade_date).filter(Boolean) as string[];
+
+    return {
+        realized: round2(realized),
+        unrealized: round2(unrealized),
+        premium: round2(premium),
+        capitalGain: round2(capitalGain),
+        dividends: round2(dividends),
+        fees: round2(fees),
+        total: round2(realized + unrealized),
+        premiumByType: { put: round2(putPremium), call: round2(callPremium) },
+        capitalGainByExit: { sold: round2(gainSold), calledAway: round2(gainCalledAway) },
+        sharesOpen: shares,
+        stockCostOpen: round2(stockCost),
+        averageCost: shares > 0 ? stockCost / shares : 0,
+        legs,
+        openLegs,
+        longLegs,
+        openLongLegs,
+        longCallCost: round2(openLongLegs.reduce((sum, leg) => sum + leg.debit, 0)),
+        startDate: dates[0] ?? null,
+        endDate: dates.length ? dates[dates.length - 1] : null,
+    };
+}
+
+/**
+ * Calculate P&L for a single lot from the events linked to it.
+ */
+export function calculateLotPnL(lotId: number | string, events: PnLEvent[], options: PnLOptions = {}): LotPnL {
+    return { lotId, ...replayWheelEvents(events, options) };
+}
+
+/**
+ * Calculate P&L for a whole cycle. Cycle totals come from replaying every
+ * event; when `lotLinks` (lot id -> event ids) is supplied, each lot is
+ * replayed separately from its linked events as well.
+ */
+export function calculateCyclePnL(
+    events: PnLEvent[],
+    options: PnLOptions & { cycleId?: number | string; lotLinks?: Record<string, Array<number | string>> } = {}
+): CyclePnL {
+    const { cycleId, lotLinks, ...pnlOptions } = options;
+    const cycle = replayWheelEvents(events, pnlOptions);
+
+    const lots: LotPnL[] = Object.entries(lotLinks || {}).map(([lotId, eventIds]) => {
+        const ids = new Set(eventIds.map(String));
+        const lotEvents = (events || []).filter((e) => e.id != null && ids.has(String(e.id)));
+        return calculateLotPnL(lotId, lotEvents, pnlOptions);
+    });
+
+    return { cycleId, ...cycle, lots };
+}
+
+/**
+ * Sum the P&L components of several breakdowns (e.g. all cycles).
+ */
+export function sumPnLComponents(items: PnLComponents[]): PnLComponents {
+    const total = { realized: 0, unrealized: 0, premium: 0, capitalGain: 0, dividends: 0, fees: 0, total: 0 };
+    for (const item of items || []) {
+        if (!item) continue;
+        total.realized += item.realized;
+        total.unrealized += item.unrealized;
+        total.premium += item.premium;
+        total.capitalGain += item.capitalGain;
+        total.dividends += item.dividends || 0;
+        total.fees += item.fees;
+        total.total += item.total;
+    }
+    return {
+        realized: round2(total.realized),
+        unrealized: round2(total.unrealized),
+        premium: round2(total.premium),
+        capitalGain: round2(total.capitalGain),
+        dividends: round2(total.dividends),
+        fees: round2(total.fees),
+        total: round2(total.total),
+    };
+}
+
+/**
+ * Group a flat list of events by their cycle id.
+ */
+export function groupEventsByCycle<T extends PnLEvent & { cycle_id?: number | string }>(events: T[]): Record<string, T[]> {
+    const grouped: Record<string, T[]> = {};
+    for (const event of events || []) {
+        if (event.cycle_id == null) continue;
+        const key = String(event.cycle_id);
+        (grouped[key] ||= []).push(event);
+    }
+    return grouped;
+}